@@ -18,6 +18,7 @@ import StudentProfilePage from "./features/students/StudentProfilePage.jsx";
 // Classes
 import ClassesListPage from "./features/classes/ClassesListPage.jsx";
 import ClassDetailsPage from "./features/classes/ClassDetailsPage.jsx";
+import PromotionPage from "./features/classes/PromotionPage.jsx";
 
 // Teachers
 import TeachersListPage from "@/features/teachers/TeachersListPage.jsx";
@@ -26,6 +27,9 @@ import TeachersListPage from "@/features/teachers/TeachersListPage.jsx";
 import AttendancePage from "@/features/attendance/AttendancePage.jsx";
 import AttendanceSessionPage from "@/features/attendance/AttendanceSessionPage.jsx";
 
+// Discipline
+import DisciplinePage from "@/features/discipline/DisciplinePage.jsx";
+
 // Fees
 import FeesPage from "@/features/fees/FeesPage.jsx";
 
@@ -41,6 +45,10 @@ import ClassPerformanceReport from "@/features/reports/academic/ClassPerformance
 import FeesSummaryReport from "@/features/reports/fees/FeesSummaryReport.jsx";
 import FeesDefaultersReport from "@/features/reports/fees/FeesDefaultersReport.jsx";
 import FeesCollectionsReport from "@/features/reports/fees/FeesCollectionsReport.jsx";
+import FeesAgingReport from "@/features/reports/fees/FeesAgingReport.jsx";
+
+// Parent portal
+import GuardianPortalPage from "@/features/portal/GuardianPortalPage.jsx";
 
 // Select School
 import SelectSchoolPage from "./pages/SelectSchoolPage.jsx";
@@ -60,6 +68,7 @@ const ROLE = {
   TEACHER: "TEACHER",
   BURSAR: "BURSAR",
   STUDENT: "STUDENT",
+  GUARDIAN: "GUARDIAN",
 };
 
 const R = ROLE;
@@ -72,6 +81,7 @@ const ADMIN_TEACHER_STUDENT = [R.ADMIN, R.TEACHER, R.STUDENT];
 const FEES_ACCESS = [R.ADMIN, R.BURSAR, R.STUDENT];
 const REPORTS_ACCESS = [R.ADMIN, R.BURSAR];
 const FINANCE_REPORTS_ACCESS = [R.ADMIN, R.BURSAR];
+const GUARDIAN_ONLY = [R.GUARDIAN];
 
 export default function App() {
   return (
@@ -148,6 +158,14 @@ export default function App() {
               </RoleGuard>
             }
           />
+          <Route
+            path="classes/promotion"
+            element={
+              <RoleGuard allow={ADMIN_ONLY}>
+                <PromotionPage />
+              </RoleGuard>
+            }
+          />
           <Route
             path="classes/:id"
             element={
@@ -185,6 +203,16 @@ export default function App() {
             }
           />
 
+          {/* Discipline */}
+          <Route
+            path="discipline"
+            element={
+              <RoleGuard allow={ADMIN_OR_TEACHER}>
+                <DisciplinePage />
+              </RoleGuard>
+            }
+          />
+
           {/* Fees */}
           <Route
             path="fees"
@@ -275,10 +303,36 @@ export default function App() {
                 </RoleGuard>
               }
             />
+            <Route
+              path="fees/aging"
+              element={
+                <RoleGuard allow={FINANCE_REPORTS_ACCESS}>
+                  <FeesAgingReport />
+                </RoleGuard>
+              }
+            />
 
             <Route path="*" element={<Navigate to="fees/summary" replace />} />
           </Route>
 
+          {/* Parent portal */}
+          <Route
+            path="children"
+            element={
+              <RoleGuard allow={GUARDIAN_ONLY}>
+                <GuardianPortalPage />
+              </RoleGuard>
+            }
+          />
+          <Route
+            path="children/:studentId"
+            element={
+              <RoleGuard allow={GUARDIAN_ONLY}>
+                <GuardianPortalPage />
+              </RoleGuard>
+            }
+          />
+
           {/* Settings */}
           <Route
             path="settings"
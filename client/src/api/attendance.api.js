@@ -58,6 +58,12 @@ export async function unlockAttendanceSession(id) {
 }
 
 // Reports
+// GET /api/attendance/summary/student/:studentId?from=YYYY-MM-DD&to=YYYY-MM-DD
+export async function attendanceStudentSummary(studentId, params = {}) {
+  const { data } = await api.get(`/api/attendance/summary/student/${studentId}`, { params });
+  return data;
+}
+
 export async function attendanceClassSummary(classId, params = {}) {
   const { data } = await api.get(`/api/attendance/summary/class/${classId}`, { params });
   return data;
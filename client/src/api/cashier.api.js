@@ -0,0 +1,46 @@
+import { api } from "./axios";
+
+const asArray = (v) => (Array.isArray(v) ? v : []);
+
+// --------------------
+// Cashier tills (sessions)
+// --------------------
+
+// the signed-in cashier's open till, or null
+export async function getCurrentCashierSession() {
+  const { data } = await api.get("/api/cashier/sessions/current");
+  return data?.data ?? null;
+}
+
+export async function openCashierSession(payload) {
+  const { data } = await api.post("/api/cashier/sessions", payload);
+  return data?.data ?? null;
+}
+
+// payload: { counted: { CASH, MPESA, ... }, note }
+export async function closeCashierSession(id, payload) {
+  const { data } = await api.post(`/api/cashier/sessions/${id}/close`, payload);
+  return data?.data ?? null;
+}
+
+export async function listCashierSessions(params = {}) {
+  const { data } = await api.get("/api/cashier/sessions", { params });
+  return asArray(data?.data);
+}
+
+export async function getCashierSession(id) {
+  const { data } = await api.get(`/api/cashier/sessions/${id}`);
+  return data?.data ?? null;
+}
+
+// Z-report (X-report while the till is open), opened with auth in a new tab
+export async function openZReportPdf(id) {
+  const res = await api.get(`/api/cashier/sessions/${id}/z-report.pdf`, {
+    responseType: "blob",
+  });
+
+  const file = new Blob([res.data], { type: "application/pdf" });
+  const url = URL.createObjectURL(file);
+  window.open(url, "_blank");
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
+}
@@ -200,3 +200,72 @@ export async function publishResults(sessionId) {
     throw new Error(errMessage(err, "Failed to publish results"));
   }
 }
+
+/**
+ * -------------------------
+ * Grade Scales
+ * -------------------------
+ */
+
+export async function listGradeScales() {
+  try {
+    const { data } = await api.get("/api/exams/grade-scales");
+    return asObject(data) ?? { scales: [], defaultGradeScaleId: null, builtInBands: [] };
+  } catch (err) {
+    throw new Error(errMessage(err, "Failed to load grade scales"));
+  }
+}
+
+export async function createGradeScale(payload) {
+  try {
+    const { data } = await api.post("/api/exams/grade-scales", payload);
+    return asObject(data) ?? unwrap(data);
+  } catch (err) {
+    throw new Error(errMessage(err, "Failed to create grade scale"));
+  }
+}
+
+export async function updateGradeScale(id, payload) {
+  if (!id) throw new Error("gradeScaleId is required");
+  try {
+    const { data } = await api.patch(`/api/exams/grade-scales/${id}`, payload);
+    return asObject(data) ?? unwrap(data);
+  } catch (err) {
+    throw new Error(errMessage(err, "Failed to update grade scale"));
+  }
+}
+
+export async function deleteGradeScale(id) {
+  if (!id) throw new Error("gradeScaleId is required");
+  try {
+    const { data } = await api.delete(`/api/exams/grade-scales/${id}`);
+    return asObject(data) ?? unwrap(data);
+  } catch (err) {
+    throw new Error(errMessage(err, "Failed to delete grade scale"));
+  }
+}
+
+// gradeScaleId = null → built-in bands
+export async function setDefaultGradeScale(gradeScaleId) {
+  try {
+    const { data } = await api.put("/api/exams/grade-scales/default", {
+      gradeScaleId: gradeScaleId || null,
+    });
+    return asObject(data) ?? unwrap(data);
+  } catch (err) {
+    throw new Error(errMessage(err, "Failed to set default grade scale"));
+  }
+}
+
+// gradeScaleId = null → subject uses the school default
+export async function setSubjectGradeScale(subjectId, gradeScaleId) {
+  if (!subjectId) throw new Error("subjectId is required");
+  try {
+    const { data } = await api.put(`/api/exams/grade-scales/subjects/${subjectId}`, {
+      gradeScaleId: gradeScaleId || null,
+    });
+    return asObject(data) ?? unwrap(data);
+  } catch (err) {
+    throw new Error(errMessage(err, "Failed to update subject grade scale"));
+  }
+}
@@ -41,6 +41,11 @@ export async function createFeePlan(payload) {
   const { data } = await api.post("/api/fees/plans", payload);
   return data;
 }
+// payload: { installments: [{ label, dueDate, percent }], applyToInvoices }
+export async function setFeePlanInstallments(id, payload) {
+  const { data } = await api.put(`/api/fees/plans/${id}/installments`, payload);
+  return data; // { plan, invoicesUpdated }
+}
 
 // --------------------
 // Invoices
@@ -57,6 +62,63 @@ export async function generateInvoice(payload) {
   const { data } = await api.post("/api/fees/invoices/generate", payload);
   return data;
 }
+// payload: { feePlanId, dryRun }
+export async function generateInvoicesBatch(payload) {
+  const { data } = await api.post("/api/fees/invoices/generate-batch", payload);
+  return data; // { dryRun, plan, class, summary, results }
+}
+
+// --------------------
+// Invoice adjustments
+// --------------------
+export async function listInvoiceAdjustments(invoiceId) {
+  const { data } = await api.get(`/api/fees/invoices/${invoiceId}/adjustments`);
+  return asArray(data);
+}
+// payload: { type, reason, percent?, amount?, feeItemId?, sponsor?, discountPolicyId? }
+export async function createInvoiceAdjustment(invoiceId, payload) {
+  const { data } = await api.post(`/api/fees/invoices/${invoiceId}/adjustments`, payload);
+  return data; // { adjustment, invoice }
+}
+export async function reverseInvoiceAdjustment(invoiceId, adjustmentId, payload) {
+  const { data } = await api.post(
+    `/api/fees/invoices/${invoiceId}/adjustments/${adjustmentId}/reverse`,
+    payload
+  );
+  return data;
+}
+
+// --------------------
+// Discount policies
+// --------------------
+export async function listDiscountPolicies() {
+  const { data } = await api.get("/api/fees/discount-policies");
+  return asArray(data);
+}
+export async function createDiscountPolicy(payload) {
+  const { data } = await api.post("/api/fees/discount-policies", payload);
+  return data;
+}
+export async function updateDiscountPolicy(id, payload) {
+  const { data } = await api.patch(`/api/fees/discount-policies/${id}`, payload);
+  return data;
+}
+export async function deactivateDiscountPolicy(id) {
+  const { data } = await api.delete(`/api/fees/discount-policies/${id}`);
+  return data;
+}
+export async function listStudentDiscounts(studentId) {
+  const { data } = await api.get(`/api/fees/students/${studentId}/discount-policies`);
+  return asArray(data);
+}
+export async function attachStudentDiscount(studentId, payload) {
+  const { data } = await api.post(`/api/fees/students/${studentId}/discount-policies`, payload);
+  return data;
+}
+export async function detachStudentDiscount(studentId, policyId) {
+  const { data } = await api.delete(`/api/fees/students/${studentId}/discount-policies/${policyId}`);
+  return data;
+}
 
 // --------------------
 // Student summary / statement
@@ -105,6 +167,86 @@ export async function voidFeeInvoice(invoiceId, payload) {
   return data;
 }
 
+// --------------------
+// Refunds (paid out of student credit)
+// --------------------
+export async function getStudentRefundable(studentId) {
+  const { data } = await api.get(`/api/fees/students/${studentId}/refundable`);
+  return data; // { creditBalance, pending, refundable }
+}
+
+export async function listFeeRefunds(params) {
+  const { data } = await api.get("/api/fees/refunds", { params });
+  return data;
+}
+
+export async function createFeeRefund(payload) {
+  const { data } = await api.post("/api/fees/refunds", payload);
+  return data;
+}
+
+export async function approveFeeRefund(refundId) {
+  const { data } = await api.post(`/api/fees/refunds/${refundId}/approve`);
+  return data;
+}
+
+export async function rejectFeeRefund(refundId, payload) {
+  const { data } = await api.post(`/api/fees/refunds/${refundId}/reject`, payload);
+  return data;
+}
+
+export async function openRefundVoucherPdf(refundId) {
+  const res = await api.get(`/api/fees/refunds/${refundId}/voucher.pdf`, {
+    responseType: "blob",
+  });
+
+  const file = new Blob([res.data], { type: "application/pdf" });
+  const url = URL.createObjectURL(file);
+  window.open(url, "_blank");
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
+}
+
+// --------------------
+// Two-person approvals (voids / reversals)
+// --------------------
+export async function listFeeApprovals(params) {
+  const { data } = await api.get("/api/fees/approvals", { params });
+  return data;
+}
+
+export async function approveFeeApproval(approvalId, payload) {
+  const { data } = await api.post(`/api/fees/approvals/${approvalId}/approve`, payload);
+  return data;
+}
+
+export async function rejectFeeApproval(approvalId, payload) {
+  const { data } = await api.post(`/api/fees/approvals/${approvalId}/reject`, payload);
+  return data;
+}
+
+export async function cancelFeeApproval(approvalId) {
+  const { data } = await api.post(`/api/fees/approvals/${approvalId}/cancel`);
+  return data;
+}
+
+export async function getFeeApprovalSettings() {
+  const { data } = await api.get("/api/fees/approvals/settings");
+  return data; // { voidApprovalThreshold, reversalApprovalThreshold, approvalsApplyToAdmins }
+}
+
+export async function updateFeeApprovalSettings(payload) {
+  const { data } = await api.patch("/api/fees/approvals/settings", payload);
+  return data;
+}
+
+// --------------------
+// Document numbering
+// --------------------
+export async function renumberFeeDocuments(payload) {
+  const { data } = await api.post("/api/fees/numbering/renumber", payload);
+  return data; // { kind, year, dryRun, documents, renumbered, nextNumber, changes }
+}
+
 // --------------------
 // Reports
 // --------------------
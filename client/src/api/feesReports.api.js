@@ -14,3 +14,43 @@ export async function getFeesCollections(params) {
   const { data } = await api.get("/api/fees/reports/collections", { params });
   return data;
 }
+
+export async function getFeesCollectionsByItem(params) {
+  const { data } = await api.get("/api/fees/reports/collections-by-item", { params });
+  return data;
+}
+
+export async function getFeesAging(params) {
+  const { data } = await api.get("/api/fees/reports/aging", { params });
+  return data;
+}
+
+// Saves an export response using the server's filename when it sends one.
+function saveDownload(res, fallbackName) {
+  const match = /filename="?([^"]+)"?/i.exec(res.headers?.["content-disposition"] || "");
+  const url = URL.createObjectURL(new Blob([res.data]));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = match?.[1] || fallbackName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// format: "csv" | "xlsx"; groupBy: "class" | "item"
+export async function downloadFeesAging(params, format = "csv") {
+  const res = await api.get("/api/fees/reports/aging", {
+    params: { ...params, export: format },
+    responseType: "blob",
+  });
+  saveDownload(res, `fees-aging.${format}`);
+}
+
+export async function downloadFeesCollectionsByItem(params, format = "csv") {
+  const res = await api.get("/api/fees/reports/collections-by-item", {
+    params: { ...params, export: format },
+    responseType: "blob",
+  });
+  saveDownload(res, `fees-collections-by-item.${format}`);
+}
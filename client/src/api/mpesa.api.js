@@ -0,0 +1,51 @@
+import { api } from "./axios";
+
+const asArray = (v) => (Array.isArray(v) ? v : []);
+
+// --------------------
+// Config (ADMIN)
+// --------------------
+export async function getMpesaConfig() {
+  const { data } = await api.get("/api/mpesa/config");
+  return data?.data ?? null;
+}
+export async function saveMpesaConfig(payload) {
+  const { data } = await api.put("/api/mpesa/config", payload);
+  return data?.data ?? null;
+}
+export async function rotateMpesaCallbackSecret() {
+  const { data } = await api.post("/api/mpesa/config/rotate-secret");
+  return data?.data ?? null;
+}
+export async function registerMpesaC2BUrls() {
+  const { data } = await api.post("/api/mpesa/config/register-c2b");
+  return data?.data ?? null;
+}
+
+// --------------------
+// STK push
+// --------------------
+export async function requestMpesaStkPush(payload) {
+  const { data } = await api.post("/api/mpesa/stk-push", payload);
+  return data?.data ?? null;
+}
+export async function getMpesaStkRequest(id) {
+  const { data } = await api.get(`/api/mpesa/stk/${id}`);
+  return data?.data ?? null;
+}
+
+// --------------------
+// Transactions / suspense
+// --------------------
+export async function listMpesaTransactions(params = {}) {
+  const { data } = await api.get("/api/mpesa/transactions", { params });
+  return asArray(data?.data);
+}
+export async function resolveMpesaTransaction(id, payload) {
+  const { data } = await api.post(`/api/mpesa/transactions/${id}/resolve`, payload);
+  return data?.data ?? null;
+}
+export async function ignoreMpesaTransaction(id, payload) {
+  const { data } = await api.post(`/api/mpesa/transactions/${id}/ignore`, payload);
+  return data?.data ?? null;
+}
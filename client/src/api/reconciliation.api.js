@@ -0,0 +1,84 @@
+import { api } from "./axios";
+
+const asArray = (v) => (Array.isArray(v) ? v : []);
+
+// --------------------
+// Column mappings
+// --------------------
+export async function listBankMappings() {
+  const { data } = await api.get("/api/reconciliation/mappings");
+  return asArray(data?.data);
+}
+export async function createBankMapping(payload) {
+  const { data } = await api.post("/api/reconciliation/mappings", payload);
+  return data?.data ?? null;
+}
+export async function updateBankMapping(id, payload) {
+  const { data } = await api.patch(`/api/reconciliation/mappings/${id}`, payload);
+  return data?.data ?? null;
+}
+
+// --------------------
+// Statements
+// --------------------
+export async function listBankStatements() {
+  const { data } = await api.get("/api/reconciliation/statements");
+  return asArray(data?.data);
+}
+
+// dryRun: parse + match only (preview), nothing saved
+export async function importBankStatement({ file, mappingId, bankName, dryRun = false }) {
+  const form = new FormData();
+  form.append("file", file);
+  form.append("mappingId", mappingId);
+  if (bankName) form.append("bankName", bankName);
+  form.append("dryRun", dryRun ? "true" : "false");
+
+  const { data } = await api.post("/api/reconciliation/statements", form, {
+    headers: { "Content-Type": "multipart/form-data" },
+  });
+  return data?.data ?? null;
+}
+
+export async function getBankStatement(id, params = {}) {
+  const { data } = await api.get(`/api/reconciliation/statements/${id}`, { params });
+  return data?.data ?? null;
+}
+
+export async function getBankReconciliationReport(id) {
+  const { data } = await api.get(`/api/reconciliation/statements/${id}/report`);
+  return data?.data ?? null;
+}
+
+export async function downloadBankReconciliationCsv(id) {
+  const res = await api.get(`/api/reconciliation/statements/${id}/report`, {
+    params: { format: "csv" },
+    responseType: "blob",
+  });
+
+  const match = /filename="?([^"]+)"?/i.exec(res.headers?.["content-disposition"] || "");
+  const url = URL.createObjectURL(new Blob([res.data], { type: "text/csv" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = match?.[1] || "bank-reconciliation.csv";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// --------------------
+// Line review
+// --------------------
+export async function confirmBankLine(id, payload = {}) {
+  const { data } = await api.post(`/api/reconciliation/lines/${id}/confirm`, payload);
+  return data?.data ?? null;
+}
+export async function rejectBankLine(id, payload) {
+  const { data } = await api.post(`/api/reconciliation/lines/${id}/reject`, payload);
+  return data?.data ?? null;
+}
+export async function reopenBankLine(id) {
+  const { data } = await api.post(`/api/reconciliation/lines/${id}/reopen`);
+  return data?.data ?? null;
+}
@@ -38,3 +38,32 @@ export async function getStudentResults(sessionId, studentId) {
   );
   return data;
 }
+
+/**
+ * Sessions a student has marks in (STUDENT / GUARDIAN: published only)
+ *
+ * GET /api/exams/students/:studentId/sessions
+ */
+export async function listStudentResultSessions(studentId) {
+  if (!studentId) throw new Error("studentId is required");
+
+  const { data } = await api.get(`/api/exams/students/${studentId}/sessions`);
+  return data;
+}
+
+/**
+ * Weighted term aggregate for a class (ADMIN / TEACHER)
+ * Combines all PUBLISHED sessions of the term using exam-type weights.
+ *
+ * GET /api/exams/terms/:year/:term/classes/:classId/aggregate
+ */
+export async function getTermAggregate(year, term, classId) {
+  if (!year || !term || !classId) {
+    throw new Error("year, term and classId are required");
+  }
+
+  const { data } = await api.get(
+    `/api/exams/terms/${year}/${term}/classes/${classId}/aggregate`
+  );
+  return data;
+}
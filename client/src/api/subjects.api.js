@@ -0,0 +1,8 @@
+// src/api/subjects.api.js
+import { api } from "./axios";
+
+// GET /api/subjects (active, tenant-scoped)
+export async function listSubjects() {
+  const { data } = await api.get("/api/subjects");
+  return Array.isArray(data) ? data : [];
+}
@@ -16,6 +16,7 @@ export const CAPS = {
     canManageAttendance: true,
     canViewReports: true,
     canViewResults: true,
+    canManageGrading: false, // grade scales are tenant exam config (ADMIN)
   },
 
   ADMIN: {
@@ -33,6 +34,7 @@ export const CAPS = {
     canManageAttendance: true,
     canViewReports: true,
     canViewResults: true,
+    canManageGrading: true,
   },
 
   BURSAR: {
@@ -79,6 +81,21 @@ export const CAPS = {
     canViewReports: false,
     canViewResults: true, // student sees own results
   },
+
+  GUARDIAN: {
+    canAccessSettings: false,
+
+    canManageSchools: false,
+    canManageSubscriptions: false,
+    canBackupRestore: false,
+    canViewBackup: false,
+    canViewAuditLogs: false,
+
+    canManageExams: false,
+    canManageAttendance: false,
+    canViewReports: false,
+    canViewResults: false, // children's results live in the portal page, not /app/results
+  },
 };
 
 export function capsFor(role) {
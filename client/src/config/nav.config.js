@@ -10,6 +10,7 @@ export const NAV_BY_ROLE = {
     { label: "Classes", to: "/app/classes" },
     { label: "Teachers", to: "/app/teachers" },
     { label: "Attendance", to: "/app/attendance" },
+    { label: "Discipline", to: "/app/discipline" },
     { label: "Exams", to: "/app/exams" },
     { label: "Results", to: "/app/results" },
     { label: "Fees", to: "/app/fees" },
@@ -20,6 +21,7 @@ export const NAV_BY_ROLE = {
   TEACHER: [
     { label: "Dashboard", to: "/app/dashboard" },
     { label: "Attendance", to: "/app/attendance" },
+    { label: "Discipline", to: "/app/discipline" },
     { label: "Exams", to: "/app/exams" },
     { label: "Results", to: "/app/results" },
     { label: "My Students", to: "/app/students" },
@@ -36,4 +38,7 @@ export const NAV_BY_ROLE = {
     { label: "Fees", to: "/app/fees" },
     { label: "Reports", to: "/app/reports" },
   ],
+
+  // Parent portal: everything is per child (switcher in the top bar)
+  GUARDIAN: [{ label: "My Children", to: "/app/children" }],
 };
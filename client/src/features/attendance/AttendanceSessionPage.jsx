@@ -68,9 +68,19 @@ export default function AttendanceSessionPage() {
     return m;
   }, [students]);
 
+  // ID card QR codes carry the admission number
+  const studentByAdmissionNo = useMemo(() => {
+    const m = new Map();
+    for (const s of students) if (s.admissionNo) m.set(String(s.admissionNo).trim().toUpperCase(), s);
+    return m;
+  }, [students]);
+
   // Local editable records
   const [search, setSearch] = useState("");
   const [local, setLocal] = useState([]); // [{ studentId, status, minutesLate, comment }]
+  const [scanValue, setScanValue] = useState("");
+  const [scanned, setScanned] = useState([]); // studentIds seen by the scanner this visit
+  const [scanMsg, setScanMsg] = useState(null); // { ok, text }
 
   // Avoid StrictMode/dev double-effect + avoid "sync setState in effect" warning
   const initializedRef = useRef(false);
@@ -79,6 +89,8 @@ export default function AttendanceSessionPage() {
   useEffect(() => {
     initializedRef.current = false;
     setLocal([]);
+    setScanned([]);
+    setScanMsg(null);
   }, [sessionId]);
 
   // Seed local ONCE when session + students ready
@@ -175,6 +187,31 @@ export default function AttendanceSessionPage() {
     setLocal((prev) => prev.map((r) => (r.studentId === studentId ? { ...r, comment } : r)));
   };
 
+  // Scanner types the admission number + Enter: mark that student present (a LATE mark stays)
+  const onScan = (e) => {
+    e.preventDefault();
+    const code = scanValue.trim().toUpperCase();
+    setScanValue("");
+    if (!code) return;
+
+    const stu = studentByAdmissionNo.get(code);
+    if (!stu || !local.some((r) => r.studentId === stu.id)) {
+      setScanMsg({ ok: false, text: `${code} is not in this class.` });
+      return;
+    }
+
+    const current = local.find((r) => r.studentId === stu.id);
+    if (current?.status !== "LATE") setStatus(stu.id, "PRESENT");
+    setScanned((prev) => (prev.includes(stu.id) ? prev : [...prev, stu.id]));
+    setScanMsg({ ok: true, text: `${stu.firstName || ""} ${stu.lastName || ""}`.trim() + " marked present." });
+  };
+
+  const markUnscannedAbsent = () => {
+    setLocal((prev) =>
+      prev.map((r) => (scanned.includes(r.studentId) ? r : { ...r, status: "ABSENT", minutesLate: null }))
+    );
+  };
+
   const save = () => {
     const payload = local.map((r) => ({
       studentId: r.studentId,
@@ -282,6 +319,31 @@ export default function AttendanceSessionPage() {
             </div>
           </div>
 
+          {!disableEdits && local.length > 0 && (
+            <form className="flex flex-col sm:flex-row gap-2 sm:items-center" onSubmit={onScan}>
+              <Input
+                placeholder="Scan ID card (or type admission no + Enter)…"
+                value={scanValue}
+                onChange={(e) => setScanValue(e.target.value)}
+              />
+              <Button
+                type="button"
+                variant="outline"
+                onClick={markUnscannedAbsent}
+                disabled={!scanned.length}
+                title="Everyone not scanned yet is marked absent"
+              >
+                Mark unscanned absent ({local.length - scanned.length})
+              </Button>
+            </form>
+          )}
+
+          {scanMsg && !disableEdits && (
+            <div className={`text-sm ${scanMsg.ok ? "text-muted-foreground" : "text-destructive"}`}>
+              {scanMsg.text} {scanned.length ? `• ${scanned.length} scanned` : ""}
+            </div>
+          )}
+
           {(saveMut.isError || submitMut.isError || lockMut.isError || unlockMut.isError) && (
             <div className="rounded-md border border-destructive/30 bg-destructive/5 p-3 text-sm">
               {saveMut.error?.response?.data?.message ||
@@ -353,9 +415,21 @@ export default function AttendanceSessionPage() {
                               </div>
                             </div>
 
-                            <Badge variant="outline" className="text-[10px]">
-                              {r.status}
-                            </Badge>
+                            <div className="flex items-center gap-1">
+                              {stu?.allergyAlert && (
+                                <Badge variant="destructive" className="text-[10px]">
+                                  ALLERGY
+                                </Badge>
+                              )}
+                              {scanned.includes(r.studentId) && (
+                                <Badge variant="secondary" className="text-[10px]">
+                                  SCANNED
+                                </Badge>
+                              )}
+                              <Badge variant="outline" className="text-[10px]">
+                                {r.status}
+                              </Badge>
+                            </div>
                           </div>
 
                           <div className="flex flex-col md:flex-row gap-2 md:items-center md:justify-between">
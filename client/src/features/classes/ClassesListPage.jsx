@@ -31,6 +31,7 @@ import {
   ArrowRight,
   AlertCircle,
   Loader2,
+  GraduationCap,
 } from "lucide-react";
 import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Skeleton } from "@/components/ui/skeleton";
@@ -161,21 +162,29 @@ export default function ClassesListPage() {
 
         {role === "ADMIN" && (
           <div className="flex flex-col items-start md:items-end gap-2">
-            <ClassFormDrawer defaultYear={Number(year) || new Date().getFullYear()}>
-              <Button
-                disabled={!canCreateClass}
-                onClick={(e) => {
-                  if (!canCreateClass) {
-                    e.preventDefault();
-                    toast.error(createBlockedMsg || "Class creation is blocked.");
-                  }
-                }}
-                className="gap-2"
-              >
-                <Plus className="h-4 w-4" />
-                Create Class
+            <div className="flex gap-2">
+              <Button variant="outline" asChild className="gap-2">
+                <Link to="/app/classes/promotion">
+                  <GraduationCap className="h-4 w-4" />
+                  Year-end Promotion
+                </Link>
               </Button>
-            </ClassFormDrawer>
+              <ClassFormDrawer defaultYear={Number(year) || new Date().getFullYear()}>
+                <Button
+                  disabled={!canCreateClass}
+                  onClick={(e) => {
+                    if (!canCreateClass) {
+                      e.preventDefault();
+                      toast.error(createBlockedMsg || "Class creation is blocked.");
+                    }
+                  }}
+                  className="gap-2"
+                >
+                  <Plus className="h-4 w-4" />
+                  Create Class
+                </Button>
+              </ClassFormDrawer>
+            </div>
 
             {!canCreateClass && (
               <div className="text-xs text-muted-foreground text-left md:text-right max-w-xs">
@@ -0,0 +1,487 @@
+// client/src/features/classes/PromotionPage.jsx
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import {
+  applyPromotion,
+  getPromotionPlan,
+  getPromotionRun,
+  listPromotionRuns,
+  previewPromotion,
+  reversePromotionRun,
+} from "./classes.api";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+
+const selectCls = "h-10 rounded-md border bg-background px-3 text-sm";
+
+const ACTION_LABELS = {
+  PROMOTE: "Promote",
+  GRADUATE: "Graduate",
+  SKIP: "Leave as is",
+};
+
+const ITEM_LABELS = {
+  PROMOTED: "Promoted",
+  REPEATED: "Repeating",
+  GRADUATED: "Graduated",
+};
+
+function classLabel(c) {
+  return `${c.name}${c.stream ? ` ${c.stream}` : ""}`;
+}
+
+function fullName(s) {
+  return `${s?.firstName || ""} ${s?.lastName || ""}`.trim() || "-";
+}
+
+function fmtWhen(d) {
+  return d ? new Date(d).toLocaleString() : "—";
+}
+
+function errMsg(err, fallback) {
+  return err?.response?.data?.message || fallback;
+}
+
+function RunItems({ runId }) {
+  const runQ = useQuery({
+    queryKey: ["promotionRun", runId],
+    queryFn: () => getPromotionRun(runId),
+  });
+  const items = runQ.data?.items || [];
+
+  if (runQ.isLoading) return <div className="text-xs text-muted-foreground">Loading…</div>;
+  if (runQ.isError) return <div className="text-xs text-destructive">{errMsg(runQ.error, "Failed to load run")}</div>;
+
+  return (
+    <div className="max-h-64 overflow-y-auto border rounded-md">
+      <table className="w-full text-xs">
+        <thead className="bg-muted/60 sticky top-0">
+          <tr>
+            <th className="text-left p-2">Student</th>
+            <th className="text-left p-2">Outcome</th>
+            <th className="text-left p-2">From</th>
+            <th className="text-left p-2">To</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((it) => (
+            <tr key={it.id} className="border-t">
+              <td className="p-2">
+                {fullName(it.student)} <span className="text-muted-foreground">{it.student?.admissionNo}</span>
+              </td>
+              <td className="p-2">{ITEM_LABELS[it.action] || it.action}</td>
+              <td className="p-2">{it.fromClassLabel || "—"}</td>
+              <td className="p-2">{it.toClassLabel || "Alumni"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function PromotionHistory() {
+  const qc = useQueryClient();
+  const [openRunId, setOpenRunId] = useState("");
+
+  const runsQ = useQuery({
+    queryKey: ["promotionRuns"],
+    queryFn: listPromotionRuns,
+  });
+  const runs = runsQ.data || [];
+
+  const reverseMut = useMutation({
+    mutationFn: (id) => reversePromotionRun(id),
+    onSuccess: (res) => {
+      toast.success(
+        `Promotion reversed • ${res?.restored || 0} students restored${
+          res?.skipped ? ` • ${res.skipped} moved since and left as they are` : ""
+        }`
+      );
+      qc.invalidateQueries({ queryKey: ["promotionRuns"] });
+      qc.invalidateQueries({ queryKey: ["promotionRun"] });
+      qc.invalidateQueries({ queryKey: ["promotionPlan"] });
+      qc.invalidateQueries({ queryKey: ["classes"] });
+      qc.invalidateQueries({ queryKey: ["students"] });
+    },
+    onError: (err) => toast.error(errMsg(err, "Failed to reverse promotion")),
+  });
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-base">Promotion history</CardTitle>
+        <CardDescription>The latest promotion can be reversed until its deadline.</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {runsQ.isLoading ? (
+          <div className="text-sm text-muted-foreground">Loading history...</div>
+        ) : runsQ.isError ? (
+          <div className="text-sm text-destructive">{errMsg(runsQ.error, "Failed to load promotions")}</div>
+        ) : runs.length === 0 ? (
+          <div className="text-sm text-muted-foreground">No promotions yet.</div>
+        ) : (
+          <div className="divide-y rounded-md border">
+            {runs.map((r) => (
+              <div key={r.id} className="p-3 space-y-2">
+                <div className="flex flex-wrap items-start justify-between gap-2">
+                  <button
+                    type="button"
+                    className="text-left"
+                    onClick={() => setOpenRunId(openRunId === r.id ? "" : r.id)}
+                  >
+                    <div className="flex flex-wrap items-center gap-2 text-sm font-medium">
+                      {r.fromYear} → {r.toYear}
+                      <Badge variant={r.status === "REVERSED" ? "secondary" : "default"}>{r.status}</Badge>
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      {r.promotedCount} promoted • {r.repeatedCount} repeating • {r.graduatedCount} graduated
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      {fmtWhen(r.createdAt)} • {r.appliedByEmail || "—"}
+                      {r.reversedAt && ` • reversed ${fmtWhen(r.reversedAt)} by ${r.reversedByEmail || "—"}`}
+                    </div>
+                  </button>
+
+                  {r.canReverse && (
+                    <div className="text-right space-y-1">
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        disabled={reverseMut.isPending}
+                        onClick={() => {
+                          if (window.confirm(`Reverse the ${r.fromYear} → ${r.toYear} promotion?`)) {
+                            reverseMut.mutate(r.id);
+                          }
+                        }}
+                      >
+                        Reverse
+                      </Button>
+                      <div className="text-xs text-muted-foreground">until {fmtWhen(r.reversibleUntil)}</div>
+                    </div>
+                  )}
+                </div>
+
+                {openRunId === r.id && <RunItems runId={r.id} />}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function toMappings(plan) {
+  return Object.fromEntries(
+    plan.classes.map((c) => [c.classId, { action: c.action, toName: c.toName || "", toStream: c.toStream || "" }])
+  );
+}
+
+/**
+ * The editable part of the wizard. Mount with a key per loaded plan so edits start from the suggestion.
+ */
+function PromotionWizard({ plan }) {
+  const qc = useQueryClient();
+
+  const [toYear, setToYear] = useState(String(plan.toYear));
+  const [mappings, setMappings] = useState(() => toMappings(plan));
+  const [repeaters, setRepeaters] = useState(() => new Set());
+  const [archive, setArchive] = useState(true);
+  const [openClassId, setOpenClassId] = useState("");
+  const [preview, setPreview] = useState(null);
+
+  const payload = () => ({
+    fromYear: plan.fromYear,
+    toYear: Number(toYear),
+    archiveSourceClasses: archive,
+    repeaterIds: [...repeaters],
+    mappings: plan.classes.map((c) => ({
+      classId: c.classId,
+      action: mappings[c.classId].action,
+      toName: mappings[c.classId].toName.trim(),
+      toStream: mappings[c.classId].toStream.trim(),
+    })),
+  });
+
+  const setMapping = (classId, patch) => {
+    setMappings((m) => ({ ...m, [classId]: { ...m[classId], ...patch } }));
+    setPreview(null);
+  };
+
+  const toggleRepeater = (studentId) => {
+    setRepeaters((prev) => {
+      const next = new Set(prev);
+      if (next.has(studentId)) next.delete(studentId);
+      else next.add(studentId);
+      return next;
+    });
+    setPreview(null);
+  };
+
+  const previewMut = useMutation({
+    mutationFn: () => previewPromotion(payload()),
+    onSuccess: (data) => setPreview(data),
+    onError: (err) => toast.error(errMsg(err, "Failed to preview promotion")),
+  });
+
+  const applyMut = useMutation({
+    mutationFn: () => applyPromotion(payload()),
+    onSuccess: (run) => {
+      toast.success(
+        `Promoted ${run?.promotedCount || 0} • ${run?.repeatedCount || 0} repeating • ${run?.graduatedCount || 0} graduated`
+      );
+      qc.invalidateQueries({ queryKey: ["promotionPlan"] });
+      qc.invalidateQueries({ queryKey: ["promotionRuns"] });
+      qc.invalidateQueries({ queryKey: ["classes"] });
+      qc.invalidateQueries({ queryKey: ["students"] });
+    },
+    onError: (err) => toast.error(errMsg(err, "Failed to apply promotion")),
+  });
+
+  const busy = previewMut.isPending || applyMut.isPending;
+
+  return (
+    <div className="space-y-4">
+      {plan.alreadyPromoted && (
+        <div className="text-sm text-destructive">
+          {plan.fromYear} was already promoted on {fmtWhen(plan.alreadyPromoted.createdAt)}. Reverse that run below
+          to promote it again.
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <span>{plan.fromYear} →</span>
+        <Input
+          type="number"
+          className="w-28"
+          value={toYear}
+          onChange={(e) => {
+            setToYear(e.target.value);
+            setPreview(null);
+          }}
+        />
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={archive}
+            onChange={(e) => {
+              setArchive(e.target.checked);
+              setPreview(null);
+            }}
+          />
+          Archive the {plan.fromYear} classes once emptied
+        </label>
+      </div>
+
+      <div className="overflow-auto border rounded-md">
+        <table className="w-full text-sm">
+          <thead className="bg-muted/60 text-left text-xs">
+            <tr>
+              <th className="p-2">Class ({plan.fromYear})</th>
+              <th className="p-2">Students</th>
+              <th className="p-2">Action</th>
+              <th className="p-2">Next class ({toYear})</th>
+              <th className="p-2">Repeaters</th>
+            </tr>
+          </thead>
+          <tbody>
+            {plan.classes.map((c) => {
+              const m = mappings[c.classId];
+              const repeating = c.students.filter((s) => repeaters.has(s.id)).length;
+              return (
+                <tr key={c.classId} className="border-t align-top">
+                  <td className="p-2 font-medium">{classLabel(c)}</td>
+                  <td className="p-2">{c.students.length}</td>
+                  <td className="p-2">
+                    <select
+                      className={selectCls}
+                      value={m.action}
+                      onChange={(e) => setMapping(c.classId, { action: e.target.value })}
+                      disabled={busy}
+                    >
+                      {Object.entries(ACTION_LABELS).map(([k, v]) => (
+                        <option key={k} value={k}>
+                          {v}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="p-2">
+                    {m.action === "PROMOTE" ? (
+                      <div className="flex gap-2">
+                        <Input
+                          className="w-32"
+                          placeholder="Class"
+                          value={m.toName}
+                          onChange={(e) => setMapping(c.classId, { toName: e.target.value })}
+                          disabled={busy}
+                        />
+                        <Input
+                          className="w-24"
+                          placeholder="Stream"
+                          value={m.toStream}
+                          onChange={(e) => setMapping(c.classId, { toStream: e.target.value })}
+                          disabled={busy}
+                        />
+                      </div>
+                    ) : (
+                      <span className="text-muted-foreground">{m.action === "GRADUATE" ? "Alumni" : "—"}</span>
+                    )}
+                  </td>
+                  <td className="p-2">
+                    {m.action !== "SKIP" && c.students.length > 0 && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => setOpenClassId(openClassId === c.classId ? "" : c.classId)}
+                      >
+                        {repeating > 0 ? `${repeating} repeating` : "Choose"}
+                      </Button>
+                    )}
+                    {openClassId === c.classId && m.action !== "SKIP" && (
+                      <div className="mt-2 max-h-48 overflow-y-auto space-y-1 text-xs">
+                        {c.students.map((s) => (
+                          <label key={s.id} className="flex items-center gap-2">
+                            <input
+                              type="checkbox"
+                              checked={repeaters.has(s.id)}
+                              onChange={() => toggleRepeater(s.id)}
+                              disabled={busy}
+                            />
+                            {fullName(s)} <span className="text-muted-foreground">{s.admissionNo}</span>
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex justify-end">
+        <Button variant="outline" disabled={busy || !!plan.alreadyPromoted} onClick={() => previewMut.mutate()}>
+          {previewMut.isPending ? "Checking…" : "Preview"}
+        </Button>
+      </div>
+
+      {preview && (
+        <div className="rounded-md border p-3 space-y-3 text-sm">
+          <div className="flex flex-wrap gap-2">
+            <Badge>{preview.summary.promoted} promoted</Badge>
+            <Badge variant="secondary">{preview.summary.repeated} repeating</Badge>
+            <Badge variant="secondary">{preview.summary.graduated} graduating</Badge>
+          </div>
+
+          <div className="space-y-1 text-xs">
+            {preview.classes.map((c) => (
+              <div key={c.classId}>
+                <span className="font-medium">{c.label}</span>:{" "}
+                {c.action === "GRADUATE"
+                  ? `${c.graduated} graduate`
+                  : `${c.promoted} → ${c.target}${c.targetIsNew ? " (new)" : ""}`}
+                {c.repeated > 0 && ` • ${c.repeated} repeat`}
+              </div>
+            ))}
+          </div>
+
+          {preview.summary.createClasses.length > 0 && (
+            <div className="text-xs">New classes: {preview.summary.createClasses.join(", ")}</div>
+          )}
+          {preview.summary.archiveClasses.length > 0 && (
+            <div className="text-xs text-muted-foreground">
+              Archived afterwards: {preview.summary.archiveClasses.join(", ")}
+            </div>
+          )}
+          {preview.warnings.map((w) => (
+            <div key={w} className="text-xs text-destructive">
+              {w}
+            </div>
+          ))}
+
+          <Button
+            className="w-full"
+            disabled={busy || preview.warnings.length > 0}
+            onClick={() => {
+              if (window.confirm(`Apply the ${plan.fromYear} → ${toYear} promotion?`)) applyMut.mutate();
+            }}
+          >
+            {applyMut.isPending ? "Applying…" : "Apply promotion"}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Year-end promotion wizard (ADMIN): map each class to next year's class, mark repeaters,
+ * graduate final-year classes, preview, apply. Applied runs can be reversed for a short while.
+ */
+export default function PromotionPage() {
+  const [fromYear, setFromYear] = useState("");
+
+  const planQ = useQuery({
+    queryKey: ["promotionPlan", fromYear || "latest"],
+    queryFn: () => getPromotionPlan(fromYear),
+  });
+  const plan = planQ.data;
+
+  const thisYear = new Date().getFullYear();
+  const years = [...new Set([plan?.fromYear, thisYear, thisYear - 1, thisYear - 2].filter(Boolean))].sort(
+    (a, b) => b - a
+  );
+
+  return (
+    <div className="p-6 space-y-6 max-w-7xl mx-auto">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div className="space-y-1">
+          <h1 className="text-3xl font-bold tracking-tight">Year-end Promotion</h1>
+          <p className="text-muted-foreground">Move every class up a year and graduate the final classes</p>
+        </div>
+        <Button variant="outline" asChild>
+          <Link to="/app/classes">Back to classes</Link>
+        </Button>
+      </div>
+
+      <Card>
+        <CardHeader className="pb-2 flex flex-row items-center justify-between gap-2">
+          <CardTitle className="text-base">Promote classes</CardTitle>
+          <select
+            className={selectCls}
+            value={fromYear || plan?.fromYear || ""}
+            onChange={(e) => setFromYear(e.target.value)}
+          >
+            {years.map((y) => (
+              <option key={y} value={y}>
+                {y}
+              </option>
+            ))}
+          </select>
+        </CardHeader>
+        <CardContent>
+          {planQ.isLoading ? (
+            <div className="text-sm text-muted-foreground">Loading classes...</div>
+          ) : planQ.isError ? (
+            <div className="text-sm text-destructive">{errMsg(planQ.error, "Failed to load classes")}</div>
+          ) : !plan?.classes?.length ? (
+            <div className="text-sm text-muted-foreground">No active classes for {plan?.fromYear}.</div>
+          ) : (
+            <PromotionWizard key={`${plan.fromYear}-${planQ.dataUpdatedAt}`} plan={plan} />
+          )}
+        </CardContent>
+      </Card>
+
+      <PromotionHistory />
+    </div>
+  );
+}
@@ -7,3 +7,39 @@ export async function listClasses({ year } = {}) {
   const { data } = await api.get("/api/classes", { params });
   return Array.isArray(data) ? data : [];
 }
+
+// --------------------
+// Year-end promotion (ADMIN)
+// --------------------
+export async function getPromotionPlan(fromYear) {
+  const params = {};
+  if (fromYear) params.fromYear = String(fromYear);
+
+  const { data } = await api.get("/api/promotions/plan", { params });
+  return data?.data ?? null;
+}
+
+export async function previewPromotion(payload) {
+  const { data } = await api.post("/api/promotions/preview", payload);
+  return data?.data ?? null;
+}
+
+export async function applyPromotion(payload) {
+  const { data } = await api.post("/api/promotions", payload);
+  return data?.data ?? null;
+}
+
+export async function listPromotionRuns() {
+  const { data } = await api.get("/api/promotions");
+  return Array.isArray(data?.data) ? data.data : [];
+}
+
+export async function getPromotionRun(id) {
+  const { data } = await api.get(`/api/promotions/${id}`);
+  return data?.data ?? null;
+}
+
+export async function reversePromotionRun(id) {
+  const { data } = await api.post(`/api/promotions/${id}/reverse`);
+  return data?.data ?? null;
+}
@@ -0,0 +1,349 @@
+// src/features/discipline/DisciplinePage.jsx
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+
+import { listClasses } from "@/api/classes.api";
+import { useMe } from "@/hooks/useMe";
+import { getClassDisciplineReport, getStudentDisciplineReport, listIncidents } from "./discipline.api";
+import {
+  ACTION_TYPES,
+  INCIDENT_CATEGORIES,
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATUSES,
+  optionLabel,
+  severityVariant,
+} from "./discipline.schema";
+import LogIncidentDrawer from "./LogIncidentDrawer";
+import IncidentDrawer from "./IncidentDrawer";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+
+const selectCls = "h-10 w-full rounded-md border bg-background px-3 text-sm";
+
+const fullName = (s) => `${s?.firstName || ""} ${s?.lastName || ""}`.trim() || "-";
+
+function fmtClass(c) {
+  return `${c.name}${c.stream ? ` ${c.stream}` : ""} (${c.year})`;
+}
+
+function fmtDate(d) {
+  return d ? new Date(d).toISOString().slice(0, 10) : "—";
+}
+
+function errMsg(err, fallback) {
+  return err?.response?.data?.message || fallback;
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="rounded-md border p-3">
+      <div className="text-xs text-muted-foreground">{label}</div>
+      <div className="text-xl font-semibold">{value}</div>
+    </div>
+  );
+}
+
+function TotalsRow({ totals }) {
+  return (
+    <div className="space-y-3">
+      <div className="grid gap-3 grid-cols-2 md:grid-cols-5">
+        <Stat label="Incidents" value={totals.incidents} />
+        <Stat label="Not resolved" value={totals.open} />
+        <Stat label="Serious" value={totals.bySeverity.SERIOUS || 0} />
+        <Stat label="Detentions" value={totals.actions.DETENTION || 0} />
+        <Stat label="Suspension days" value={totals.suspensionDays} />
+      </div>
+      {Object.keys(totals.byCategory).length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(totals.byCategory)
+            .sort((a, b) => b[1] - a[1])
+            .map(([cat, n]) => (
+              <Badge key={cat} variant="outline">
+                {optionLabel(INCIDENT_CATEGORIES, cat)}: {n}
+              </Badge>
+            ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function IncidentRows({ incidents, onOpen, showStudents = true }) {
+  return (
+    <div className="border rounded-md overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead className="bg-muted/60">
+          <tr>
+            <th className="text-left p-2">Date</th>
+            {showStudents && <th className="text-left p-2">Students</th>}
+            <th className="text-left p-2">Category</th>
+            <th className="text-left p-2">Severity</th>
+            <th className="text-left p-2">Actions</th>
+            <th className="text-left p-2">Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {incidents.map((inc) => (
+            <tr key={inc.id} className="border-t cursor-pointer hover:bg-muted/40" onClick={() => onOpen(inc.id)}>
+              <td className="p-2 whitespace-nowrap">{fmtDate(inc.occurredAt)}</td>
+              {showStudents && (
+                <td className="p-2">
+                  {inc.students.map((s) => fullName(s.student)).join(", ")}
+                  {inc.students[0]?.classLabel && (
+                    <div className="text-xs text-muted-foreground">{inc.students[0].classLabel}</div>
+                  )}
+                </td>
+              )}
+              <td className="p-2">{optionLabel(INCIDENT_CATEGORIES, inc.category)}</td>
+              <td className="p-2">
+                <Badge variant={severityVariant(inc.severity)}>{optionLabel(INCIDENT_SEVERITIES, inc.severity)}</Badge>
+              </td>
+              <td className="p-2 text-xs">
+                {inc.actions.length
+                  ? [...new Set(inc.actions.map((a) => optionLabel(ACTION_TYPES, a.type)))].join(", ")
+                  : "—"}
+              </td>
+              <td className="p-2">{optionLabel(INCIDENT_STATUSES, inc.status)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function StudentReport({ studentId, range, onOpen }) {
+  const reportQ = useQuery({
+    queryKey: ["disciplineReport", "student", studentId, range],
+    queryFn: () => getStudentDisciplineReport(studentId, range),
+  });
+  const r = reportQ.data;
+
+  if (reportQ.isLoading) return <div className="text-sm text-muted-foreground">Loading student report...</div>;
+  if (reportQ.isError) {
+    return <div className="text-sm text-destructive">{errMsg(reportQ.error, "Failed to load student report")}</div>;
+  }
+  if (!r) return null;
+
+  return (
+    <div className="space-y-3 rounded-md border p-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium">{fullName(r.student)}</span>
+        <span className="font-mono text-xs text-muted-foreground">{r.student.admissionNo}</span>
+        {r.student.classLabel && <Badge variant="outline">{r.student.classLabel}</Badge>}
+      </div>
+      <TotalsRow totals={r.totals} />
+      {r.incidents.length > 0 && (
+        <IncidentRows
+          incidents={r.incidents.map((inc) => ({ ...inc, students: [] }))}
+          onOpen={onOpen}
+          showStudents={false}
+        />
+      )}
+    </div>
+  );
+}
+
+function ClassReport({ classes, onOpen }) {
+  const [classId, setClassId] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [studentId, setStudentId] = useState("");
+  const range = { from, to };
+
+  const reportQ = useQuery({
+    queryKey: ["disciplineReport", "class", classId, range],
+    queryFn: () => getClassDisciplineReport(classId, range),
+    enabled: !!classId,
+  });
+  const r = reportQ.data;
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-base">Reports</CardTitle>
+        <CardDescription>
+          Incidents by class (the class the student was in at the time); pick a student for their own record.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid gap-3 md:grid-cols-3">
+          <select
+            className={selectCls}
+            value={classId}
+            onChange={(e) => {
+              setClassId(e.target.value);
+              setStudentId("");
+            }}
+          >
+            <option value="">Select class</option>
+            {classes.map((c) => (
+              <option key={c.id} value={c.id}>
+                {fmtClass(c)}
+              </option>
+            ))}
+          </select>
+          <Input type="date" value={from} onChange={(e) => setFrom(e.target.value)} aria-label="From" />
+          <Input type="date" value={to} onChange={(e) => setTo(e.target.value)} aria-label="To" />
+        </div>
+
+        {!classId ? null : reportQ.isLoading ? (
+          <div className="text-sm text-muted-foreground">Loading report...</div>
+        ) : reportQ.isError ? (
+          <div className="text-sm text-destructive">{errMsg(reportQ.error, "Failed to load report")}</div>
+        ) : r ? (
+          <>
+            <TotalsRow totals={r.totals} />
+            {r.students.length === 0 ? (
+              <div className="text-sm text-muted-foreground">No incidents for {r.class.label} in this period.</div>
+            ) : (
+              <div className="border rounded-md overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-muted/60">
+                    <tr>
+                      <th className="text-left p-2">Student</th>
+                      <th className="text-right p-2">Incidents</th>
+                      <th className="text-right p-2">Serious</th>
+                      <th className="text-right p-2">Not resolved</th>
+                      <th className="text-right p-2">Detentions</th>
+                      <th className="text-right p-2">Suspension days</th>
+                      <th className="text-left p-2">Last</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {r.students.map((s) => (
+                      <tr
+                        key={s.student.id}
+                        className={`border-t cursor-pointer hover:bg-muted/40 ${studentId === s.student.id ? "bg-muted/40" : ""}`}
+                        onClick={() => setStudentId(studentId === s.student.id ? "" : s.student.id)}
+                      >
+                        <td className="p-2">
+                          <span className="font-medium">{fullName(s.student)}</span>{" "}
+                          <span className="font-mono text-xs text-muted-foreground">{s.student.admissionNo}</span>
+                        </td>
+                        <td className="p-2 text-right">{s.incidents}</td>
+                        <td className="p-2 text-right">{s.bySeverity.SERIOUS || 0}</td>
+                        <td className="p-2 text-right">{s.open}</td>
+                        <td className="p-2 text-right">{s.actions.DETENTION || 0}</td>
+                        <td className="p-2 text-right">{s.suspensionDays}</td>
+                        <td className="p-2">{fmtDate(s.lastIncidentAt)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {studentId && <StudentReport studentId={studentId} range={range} onOpen={onOpen} />}
+          </>
+        ) : null}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default function DisciplinePage() {
+  const { data: meData } = useMe();
+  const role = meData?.role ?? meData?.user?.role;
+  const teacherId = meData?.user?.teacher?.id || null;
+  const isAdmin = role === "ADMIN";
+
+  const [filters, setFilters] = useState({ classId: "", status: "", category: "", from: "", to: "" });
+  const setFilter = (key, value) => setFilters((f) => ({ ...f, [key]: value }));
+
+  const [logOpen, setLogOpen] = useState(false);
+  const [openId, setOpenId] = useState("");
+
+  const classesQ = useQuery({
+    queryKey: ["classes"],
+    queryFn: () => listClasses(),
+  });
+  const classes = (classesQ.data || []).filter((c) => c.isActive !== false);
+
+  const incidentsQ = useQuery({
+    queryKey: ["disciplineIncidents", filters],
+    queryFn: () => listIncidents(filters),
+  });
+  const incidents = incidentsQ.data || [];
+
+  return (
+    <div className="p-6 space-y-6 max-w-7xl mx-auto">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div className="space-y-1">
+          <h1 className="text-3xl font-bold tracking-tight">Discipline</h1>
+          <p className="text-muted-foreground">
+            {isAdmin ? "Behaviour incidents, actions taken and follow-up" : "Behaviour incidents for your classes"}
+          </p>
+        </div>
+        <Button onClick={() => setLogOpen(true)}>Log incident</Button>
+      </div>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base">Incidents</CardTitle>
+          <CardDescription>Newest first (up to 200). Click an incident to record actions or follow up.</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid gap-3 md:grid-cols-5">
+            <select className={selectCls} value={filters.classId} onChange={(e) => setFilter("classId", e.target.value)}>
+              <option value="">All classes</option>
+              {classes.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {fmtClass(c)}
+                </option>
+              ))}
+            </select>
+            <select className={selectCls} value={filters.status} onChange={(e) => setFilter("status", e.target.value)}>
+              <option value="">Any status</option>
+              {INCIDENT_STATUSES.map((s) => (
+                <option key={s.value} value={s.value}>
+                  {s.label}
+                </option>
+              ))}
+            </select>
+            <select
+              className={selectCls}
+              value={filters.category}
+              onChange={(e) => setFilter("category", e.target.value)}
+            >
+              <option value="">Any category</option>
+              {INCIDENT_CATEGORIES.map((c) => (
+                <option key={c.value} value={c.value}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+            <Input type="date" value={filters.from} onChange={(e) => setFilter("from", e.target.value)} aria-label="From" />
+            <Input type="date" value={filters.to} onChange={(e) => setFilter("to", e.target.value)} aria-label="To" />
+          </div>
+
+          {incidentsQ.isLoading ? (
+            <div className="text-sm text-muted-foreground">Loading incidents...</div>
+          ) : incidentsQ.isError ? (
+            <div className="text-sm text-destructive">{errMsg(incidentsQ.error, "Failed to load incidents")}</div>
+          ) : incidents.length === 0 ? (
+            <div className="text-sm text-muted-foreground">No incidents found.</div>
+          ) : (
+            <IncidentRows incidents={incidents} onOpen={setOpenId} />
+          )}
+        </CardContent>
+      </Card>
+
+      {isAdmin && <ClassReport classes={classes} onOpen={setOpenId} />}
+
+      {logOpen && (
+        <LogIncidentDrawer
+          classes={classes}
+          defaultClassId={filters.classId}
+          isAdmin={isAdmin}
+          onClose={() => setLogOpen(false)}
+          onCreated={(inc) => inc?.id && setOpenId(inc.id)}
+        />
+      )}
+
+      {openId && <IncidentDrawer incidentId={openId} role={role} teacherId={teacherId} onClose={() => setOpenId("")} />}
+    </div>
+  );
+}
@@ -0,0 +1,314 @@
+// src/features/discipline/IncidentDrawer.jsx
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import {
+  addIncidentAction,
+  deleteIncident,
+  deleteIncidentAction,
+  getIncident,
+  updateIncident,
+} from "./discipline.api";
+import {
+  ACTION_TYPES,
+  INCIDENT_CATEGORIES,
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATUSES,
+  optionLabel,
+  severityVariant,
+} from "./discipline.schema";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import {
+  Sheet,
+  SheetContent,
+  SheetHeader,
+  SheetTitle,
+  SheetDescription,
+} from "@/components/ui/sheet";
+
+const selectCls = "h-10 w-full rounded-md border bg-background px-3 text-sm";
+const textareaCls = "min-h-[70px] w-full rounded-md border bg-background px-3 py-2 text-sm";
+
+const fullName = (s) => `${s?.firstName || ""} ${s?.lastName || ""}`.trim() || "-";
+
+function fmtDate(d) {
+  return d ? new Date(d).toISOString().slice(0, 10) : "—";
+}
+
+function errMsg(err, fallback) {
+  return err?.response?.data?.message || fallback;
+}
+
+function useInvalidate(incidentId) {
+  const qc = useQueryClient();
+  return () => {
+    qc.invalidateQueries({ queryKey: ["disciplineIncident", incidentId] });
+    qc.invalidateQueries({ queryKey: ["disciplineIncidents"] });
+    qc.invalidateQueries({ queryKey: ["disciplineReport"] });
+    qc.invalidateQueries({ queryKey: ["studentHistory"] });
+  };
+}
+
+// seeded once per incident version (the parent keys it on updatedAt)
+function FollowUpForm({ incident }) {
+  const invalidate = useInvalidate(incident.id);
+  const [status, setStatus] = useState(incident.status);
+  const [followUpDate, setFollowUpDate] = useState(incident.followUpDate ? fmtDate(incident.followUpDate) : "");
+  const [followUpNotes, setFollowUpNotes] = useState(incident.followUpNotes || "");
+
+  const saveMut = useMutation({
+    mutationFn: () => updateIncident(incident.id, { status, followUpDate: followUpDate || null, followUpNotes }),
+    onSuccess: () => {
+      toast.success("Follow-up saved");
+      invalidate();
+    },
+    onError: (err) => toast.error(errMsg(err, "Failed to save follow-up")),
+  });
+
+  return (
+    <div className="space-y-3 rounded-md border p-3">
+      <div className="text-sm font-medium">Follow-up</div>
+      <div className="grid gap-3 sm:grid-cols-2">
+        <select className={selectCls} value={status} onChange={(e) => setStatus(e.target.value)}>
+          {INCIDENT_STATUSES.map((s) => (
+            <option key={s.value} value={s.value}>
+              {s.label}
+            </option>
+          ))}
+        </select>
+        <Input type="date" value={followUpDate} onChange={(e) => setFollowUpDate(e.target.value)} />
+      </div>
+      <textarea
+        className={textareaCls}
+        placeholder="Follow-up notes (meetings, agreed steps, outcome)"
+        value={followUpNotes}
+        onChange={(e) => setFollowUpNotes(e.target.value)}
+      />
+      <div className="flex justify-end">
+        <Button size="sm" onClick={() => saveMut.mutate()} disabled={saveMut.isPending}>
+          {saveMut.isPending ? "Saving…" : "Save follow-up"}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function AddActionForm({ incident, isAdmin }) {
+  const invalidate = useInvalidate(incident.id);
+  const [studentId, setStudentId] = useState(incident.students[0]?.studentId || "");
+  const [type, setType] = useState("WARNING");
+  const [startDate, setStartDate] = useState("");
+  const [endDate, setEndDate] = useState("");
+  const [notes, setNotes] = useState("");
+
+  const addMut = useMutation({
+    mutationFn: () => addIncidentAction(incident.id, { studentId, type, startDate, endDate, notes }),
+    onSuccess: () => {
+      toast.success("Action recorded");
+      setNotes("");
+      setStartDate("");
+      setEndDate("");
+      invalidate();
+    },
+    onError: (err) => toast.error(errMsg(err, "Failed to record action")),
+  });
+
+  const needsStart = type === "DETENTION" || type === "SUSPENSION";
+  const canAdd =
+    !addMut.isPending && !!studentId && (!needsStart || !!startDate) && (type !== "SUSPENSION" || !!endDate);
+
+  return (
+    <div className="space-y-3 rounded-md border p-3">
+      <div className="text-sm font-medium">Record action taken</div>
+      <div className="grid gap-3 sm:grid-cols-2">
+        <select className={selectCls} value={studentId} onChange={(e) => setStudentId(e.target.value)}>
+          {incident.students.map((s) => (
+            <option key={s.studentId} value={s.studentId}>
+              {fullName(s.student)}
+            </option>
+          ))}
+        </select>
+        <select className={selectCls} value={type} onChange={(e) => setType(e.target.value)}>
+          {ACTION_TYPES.filter((t) => isAdmin || !t.adminOnly).map((t) => (
+            <option key={t.value} value={t.value}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+        <div className="space-y-1">
+          <div className="text-xs text-muted-foreground">
+            {type === "SUSPENSION" ? "From" : type === "DETENTION" ? "Detention date" : "Date (optional)"}
+          </div>
+          <Input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+        </div>
+        {type === "SUSPENSION" && (
+          <div className="space-y-1">
+            <div className="text-xs text-muted-foreground">Until (last day away)</div>
+            <Input type="date" min={startDate || undefined} value={endDate} onChange={(e) => setEndDate(e.target.value)} />
+          </div>
+        )}
+      </div>
+      <Input placeholder="Notes" value={notes} onChange={(e) => setNotes(e.target.value)} />
+      <div className="flex justify-end">
+        <Button size="sm" onClick={() => addMut.mutate()} disabled={!canAdd}>
+          {addMut.isPending ? "Saving…" : "Add action"}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/** One incident: who was involved, the actions taken and the follow-up status. */
+export default function IncidentDrawer({ incidentId, role, teacherId, onClose }) {
+  const invalidate = useInvalidate(incidentId);
+  const isAdmin = role === "ADMIN";
+
+  const incidentQ = useQuery({
+    queryKey: ["disciplineIncident", incidentId],
+    queryFn: () => getIncident(incidentId),
+    enabled: !!incidentId,
+  });
+  const inc = incidentQ.data;
+  const canEdit = isAdmin || (!!teacherId && inc?.reportedByTeacherId === teacherId);
+  const studentName = (id) => fullName(inc?.students.find((s) => s.studentId === id)?.student);
+
+  const removeActionMut = useMutation({
+    mutationFn: (actionId) => deleteIncidentAction(incidentId, actionId),
+    onSuccess: () => {
+      toast.success("Action removed");
+      invalidate();
+    },
+    onError: (err) => toast.error(errMsg(err, "Failed to remove action")),
+  });
+
+  const deleteMut = useMutation({
+    mutationFn: () => deleteIncident(incidentId),
+    onSuccess: () => {
+      toast.success("Incident deleted");
+      invalidate();
+      onClose();
+    },
+    onError: (err) => toast.error(errMsg(err, "Failed to delete incident")),
+  });
+
+  return (
+    <Sheet open onOpenChange={(v) => !v && onClose()}>
+      <SheetContent side="right" className="w-full sm:max-w-lg overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle>Incident</SheetTitle>
+          <SheetDescription>
+            {inc ? `${optionLabel(INCIDENT_CATEGORIES, inc.category)} • ${fmtDate(inc.occurredAt)}` : "Loading…"}
+          </SheetDescription>
+        </SheetHeader>
+
+        <div className="mt-4 space-y-4">
+          {incidentQ.isLoading ? (
+            <div className="text-sm text-muted-foreground">Loading incident...</div>
+          ) : incidentQ.isError ? (
+            <div className="text-sm text-destructive">{errMsg(incidentQ.error, "Failed to load incident")}</div>
+          ) : inc ? (
+            <>
+              <div className="flex flex-wrap items-center gap-2">
+                <Badge variant={severityVariant(inc.severity)}>{optionLabel(INCIDENT_SEVERITIES, inc.severity)}</Badge>
+                <Badge variant={inc.status === "RESOLVED" ? "outline" : "secondary"}>
+                  {optionLabel(INCIDENT_STATUSES, inc.status)}
+                </Badge>
+                <span className="text-sm text-muted-foreground">
+                  {new Date(inc.occurredAt).toLocaleString()}
+                  {inc.location ? ` • ${inc.location}` : ""}
+                </span>
+              </div>
+
+              <div className="text-sm whitespace-pre-wrap">{inc.description}</div>
+              <div className="text-xs text-muted-foreground">
+                Reported by {inc.reportedByName || "administration"}
+                {inc.createdByEmail ? ` (logged by ${inc.createdByEmail})` : ""}
+              </div>
+
+              <div>
+                <div className="text-xs text-muted-foreground mb-1">Students</div>
+                <div className="divide-y rounded-md border">
+                  {inc.students.map((s) => (
+                    <div key={s.studentId} className="flex flex-wrap items-center gap-2 p-2 text-sm">
+                      <span className="font-medium">{fullName(s.student)}</span>
+                      <span className="font-mono text-xs text-muted-foreground">{s.student?.admissionNo}</span>
+                      {s.classLabel && <span className="text-xs text-muted-foreground ml-auto">{s.classLabel}</span>}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <div className="text-xs text-muted-foreground mb-1">Actions taken</div>
+                {inc.actions.length === 0 ? (
+                  <div className="text-sm text-muted-foreground">None yet.</div>
+                ) : (
+                  <div className="divide-y rounded-md border">
+                    {inc.actions.map((a) => (
+                      <div key={a.id} className="p-2 text-sm space-y-1">
+                        <div className="flex flex-wrap items-center gap-2">
+                          <Badge variant={a.type === "SUSPENSION" ? "destructive" : "outline"}>
+                            {optionLabel(ACTION_TYPES, a.type)}
+                          </Badge>
+                          <span className="font-medium">{studentName(a.studentId)}</span>
+                          {a.startDate && (
+                            <span className="text-muted-foreground">
+                              {fmtDate(a.startDate)}
+                              {a.endDate ? ` → ${fmtDate(a.endDate)}` : ""}
+                            </span>
+                          )}
+                          {isAdmin && (
+                            <Button
+                              size="sm"
+                              variant="ghost"
+                              className="ml-auto text-destructive"
+                              disabled={removeActionMut.isPending}
+                              onClick={() => removeActionMut.mutate(a.id)}
+                            >
+                              Remove
+                            </Button>
+                          )}
+                        </div>
+                        {a.notes && <div className="text-xs text-muted-foreground">{a.notes}</div>}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <AddActionForm incident={inc} isAdmin={isAdmin} />
+
+              {canEdit ? (
+                <FollowUpForm key={inc.updatedAt} incident={inc} />
+              ) : (
+                (inc.followUpNotes || inc.followUpDate) && (
+                  <div className="rounded-md border p-3 text-sm space-y-1">
+                    <div className="font-medium">Follow-up {inc.followUpDate ? `on ${fmtDate(inc.followUpDate)}` : ""}</div>
+                    {inc.followUpNotes && <div className="whitespace-pre-wrap">{inc.followUpNotes}</div>}
+                  </div>
+                )
+              )}
+
+              {isAdmin && (
+                <Button
+                  variant="outline"
+                  className="w-full text-destructive"
+                  disabled={deleteMut.isPending}
+                  onClick={() => {
+                    if (confirm("Delete this incident and all its actions? This cannot be undone.")) deleteMut.mutate();
+                  }}
+                >
+                  Delete incident
+                </Button>
+              )}
+            </>
+          ) : null}
+        </div>
+      </SheetContent>
+    </Sheet>
+  );
+}
@@ -0,0 +1,242 @@
+// src/features/discipline/LogIncidentDrawer.jsx
+import { useMemo, useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { createIncident, listTeacherProfiles } from "./discipline.api";
+import { INCIDENT_CATEGORIES, INCIDENT_SEVERITIES } from "./discipline.schema";
+import { listStudents } from "@/features/students/students.api";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Sheet,
+  SheetContent,
+  SheetHeader,
+  SheetTitle,
+  SheetDescription,
+} from "@/components/ui/sheet";
+
+const selectCls = "h-10 w-full rounded-md border bg-background px-3 text-sm";
+const textareaCls = "min-h-[90px] w-full rounded-md border bg-background px-3 py-2 text-sm";
+
+const fullName = (s) => `${s?.firstName || ""} ${s?.lastName || ""}`.trim();
+
+function nowLocal() {
+  const d = new Date();
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+  return d.toISOString().slice(0, 16); // datetime-local value
+}
+
+/**
+ * Logs a behaviour incident for one or more students (ticks are kept when switching class).
+ * `student` pre-selects one student (from the profile page); teachers only get their own classes.
+ */
+export default function LogIncidentDrawer({ classes = [], defaultClassId = "", student = null, isAdmin, onClose, onCreated }) {
+  const qc = useQueryClient();
+
+  const [classId, setClassId] = useState(student?.classId || defaultClassId);
+  const [picked, setPicked] = useState(student ? [student.id] : []);
+  const [filter, setFilter] = useState("");
+  const [form, setForm] = useState({
+    category: "",
+    severity: "MINOR",
+    occurredAt: nowLocal(),
+    location: "",
+    description: "",
+    reportedByTeacherId: "",
+  });
+  const set = (key, value) => setForm((f) => ({ ...f, [key]: value }));
+
+  const studentsQ = useQuery({
+    queryKey: ["students", { classId }],
+    queryFn: () => listStudents({ classId }),
+    enabled: !!classId,
+  });
+
+  const teachersQ = useQuery({
+    queryKey: ["teacherProfiles"],
+    queryFn: listTeacherProfiles,
+    enabled: !!isAdmin,
+  });
+
+  const roster = useMemo(() => {
+    const q = filter.trim().toLowerCase();
+    const rows = studentsQ.data || [];
+    if (!q) return rows;
+    return rows.filter((s) => fullName(s).toLowerCase().includes(q) || String(s.admissionNo).toLowerCase().includes(q));
+  }, [studentsQ.data, filter]);
+
+  const toggle = (id) => setPicked((p) => (p.includes(id) ? p.filter((x) => x !== id) : [...p, id]));
+
+  const createMut = useMutation({
+    mutationFn: () =>
+      createIncident({
+        studentIds: picked,
+        category: form.category,
+        severity: form.severity,
+        occurredAt: new Date(form.occurredAt).toISOString(),
+        location: form.location,
+        description: form.description,
+        reportedByTeacherId: isAdmin ? form.reportedByTeacherId || undefined : undefined,
+      }),
+    onSuccess: (incident) => {
+      toast.success("Incident logged");
+      qc.invalidateQueries({ queryKey: ["disciplineIncidents"] });
+      qc.invalidateQueries({ queryKey: ["studentHistory"] });
+      onCreated?.(incident);
+      onClose();
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to log incident"),
+  });
+
+  const canSave =
+    !createMut.isPending && picked.length > 0 && !!form.category && !!form.description.trim() && !!form.occurredAt;
+
+  const handleOpenChange = (v) => {
+    if (!v && !createMut.isPending) onClose();
+  };
+
+  return (
+    <Sheet open onOpenChange={handleOpenChange}>
+      <SheetContent side="right" className="w-full sm:max-w-lg overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle>Log Incident</SheetTitle>
+          <SheetDescription>
+            {student
+              ? `Behaviour incident for ${student.name}. Add others who were involved.`
+              : "Pick the students involved, then describe what happened."}
+          </SheetDescription>
+        </SheetHeader>
+
+        <div className="mt-4 space-y-4">
+          <div className="space-y-1">
+            <div className="text-sm font-medium">Class</div>
+            <select
+              className={selectCls}
+              value={classId}
+              onChange={(e) => {
+                setClassId(e.target.value);
+                setFilter("");
+              }}
+            >
+              <option value="">Select class</option>
+              {classes.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.name}
+                  {c.stream ? ` ${c.stream}` : ""}
+                  {c.year ? ` (${c.year})` : ""}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {classId && (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between gap-2">
+                <div className="text-sm font-medium">Students ({picked.length} selected)</div>
+                <Input
+                  className="h-8 max-w-[180px]"
+                  placeholder="Filter…"
+                  value={filter}
+                  onChange={(e) => setFilter(e.target.value)}
+                />
+              </div>
+              <div className="max-h-52 overflow-y-auto rounded-md border divide-y">
+                {studentsQ.isLoading ? (
+                  <div className="p-2 text-sm text-muted-foreground">Loading students...</div>
+                ) : roster.length === 0 ? (
+                  <div className="p-2 text-sm text-muted-foreground">No students.</div>
+                ) : (
+                  roster.map((s) => (
+                    <label key={s.id} className="flex items-center gap-2 p-2 text-sm cursor-pointer">
+                      <input type="checkbox" checked={picked.includes(s.id)} onChange={() => toggle(s.id)} />
+                      <span className="font-medium">{fullName(s)}</span>
+                      <span className="text-muted-foreground font-mono text-xs">{s.admissionNo}</span>
+                    </label>
+                  ))
+                )}
+              </div>
+            </div>
+          )}
+
+          <div className="grid gap-3 sm:grid-cols-2">
+            <div className="space-y-1">
+              <div className="text-sm font-medium">Category</div>
+              <select className={selectCls} value={form.category} onChange={(e) => set("category", e.target.value)}>
+                <option value="">Select category</option>
+                {INCIDENT_CATEGORIES.map((c) => (
+                  <option key={c.value} value={c.value}>
+                    {c.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <div className="text-sm font-medium">Severity</div>
+              <select className={selectCls} value={form.severity} onChange={(e) => set("severity", e.target.value)}>
+                {INCIDENT_SEVERITIES.map((s) => (
+                  <option key={s.value} value={s.value}>
+                    {s.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <div className="text-sm font-medium">When</div>
+              <Input
+                type="datetime-local"
+                max={nowLocal()}
+                value={form.occurredAt}
+                onChange={(e) => set("occurredAt", e.target.value)}
+              />
+            </div>
+            <div className="space-y-1">
+              <div className="text-sm font-medium">Where</div>
+              <Input
+                placeholder="e.g. Dining hall"
+                value={form.location}
+                onChange={(e) => set("location", e.target.value)}
+              />
+            </div>
+          </div>
+
+          <div className="space-y-1">
+            <div className="text-sm font-medium">What happened</div>
+            <textarea
+              className={textareaCls}
+              value={form.description}
+              onChange={(e) => set("description", e.target.value)}
+            />
+          </div>
+
+          {isAdmin && (
+            <div className="space-y-1">
+              <div className="text-sm font-medium">Reported by</div>
+              <select
+                className={selectCls}
+                value={form.reportedByTeacherId}
+                onChange={(e) => set("reportedByTeacherId", e.target.value)}
+              >
+                <option value="">Administration</option>
+                {(teachersQ.data || []).map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {`${t.firstName || ""} ${t.lastName || ""}`.trim()}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="text-xs text-muted-foreground">
+            Warnings, detentions, suspensions and parent calls are added on the incident once it is logged.
+          </div>
+
+          <Button className="w-full" disabled={!canSave} onClick={() => createMut.mutate()}>
+            {createMut.isPending ? "Saving…" : "Log incident"}
+          </Button>
+        </div>
+      </SheetContent>
+    </Sheet>
+  );
+}
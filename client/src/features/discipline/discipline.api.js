@@ -0,0 +1,70 @@
+import { api } from "../../api/axios";
+
+// --------------------
+// Incidents (ADMIN + TEACHER for their classes)
+// --------------------
+// params: { classId, studentId, status, category, severity, from, to }
+export async function listIncidents(params = {}) {
+  const clean = Object.fromEntries(Object.entries(params).filter(([, v]) => v));
+  const { data } = await api.get("/api/discipline/incidents", { params: clean });
+  return Array.isArray(data?.data) ? data.data : [];
+}
+
+export async function getIncident(id) {
+  const { data } = await api.get(`/api/discipline/incidents/${id}`);
+  return data?.data ?? null;
+}
+
+// payload: { studentIds[], category, severity, description, location, occurredAt, reportedByTeacherId? }
+export async function createIncident(payload) {
+  const { data } = await api.post("/api/discipline/incidents", payload);
+  return data?.data ?? null;
+}
+
+export async function updateIncident(id, payload) {
+  const { data } = await api.patch(`/api/discipline/incidents/${id}`, payload);
+  return data?.data ?? null;
+}
+
+export async function deleteIncident(id) {
+  const { data } = await api.delete(`/api/discipline/incidents/${id}`);
+  return data?.data ?? null;
+}
+
+// payload: { studentId, type, startDate?, endDate?, notes? }
+export async function addIncidentAction(id, payload) {
+  const { data } = await api.post(`/api/discipline/incidents/${id}/actions`, payload);
+  return data?.data ?? null;
+}
+
+export async function deleteIncidentAction(id, actionId) {
+  const { data } = await api.delete(`/api/discipline/incidents/${id}/actions/${actionId}`);
+  return data?.data ?? null;
+}
+
+// --------------------
+// Reports (ADMIN)
+// --------------------
+export async function getClassDisciplineReport(classId, { from, to } = {}) {
+  const params = {};
+  if (from) params.from = from;
+  if (to) params.to = to;
+
+  const { data } = await api.get(`/api/discipline/reports/class/${classId}`, { params });
+  return data?.data ?? null;
+}
+
+export async function getStudentDisciplineReport(studentId, { from, to } = {}) {
+  const params = {};
+  if (from) params.from = from;
+  if (to) params.to = to;
+
+  const { data } = await api.get(`/api/discipline/reports/student/${studentId}`, { params });
+  return data?.data ?? null;
+}
+
+// Teacher profiles (ids for "reported by"); /api/users lists logins, not Teacher rows
+export async function listTeacherProfiles() {
+  const { data } = await api.get("/api/teachers");
+  return Array.isArray(data) ? data : [];
+}
@@ -0,0 +1,47 @@
+// Keep in step with server/src/modules/discipline/discipline.service.js
+export const INCIDENT_CATEGORIES = [
+  { value: "BULLYING", label: "Bullying" },
+  { value: "FIGHTING", label: "Fighting" },
+  { value: "DISRESPECT", label: "Disrespect" },
+  { value: "DISRUPTION", label: "Class disruption" },
+  { value: "LATENESS", label: "Lateness" },
+  { value: "TRUANCY", label: "Truancy" },
+  { value: "CHEATING", label: "Cheating" },
+  { value: "PROPERTY_DAMAGE", label: "Property damage" },
+  { value: "THEFT", label: "Theft" },
+  { value: "SUBSTANCE", label: "Drugs / alcohol" },
+  { value: "UNIFORM", label: "Uniform" },
+  { value: "PHONE", label: "Phone" },
+  { value: "OTHER", label: "Other" },
+];
+
+export const INCIDENT_SEVERITIES = [
+  { value: "MINOR", label: "Minor" },
+  { value: "MODERATE", label: "Moderate" },
+  { value: "SERIOUS", label: "Serious" },
+];
+
+export const INCIDENT_STATUSES = [
+  { value: "OPEN", label: "Open" },
+  { value: "FOLLOW_UP", label: "Following up" },
+  { value: "RESOLVED", label: "Resolved" },
+];
+
+// adminOnly: the server refuses these from teachers
+export const ACTION_TYPES = [
+  { value: "WARNING", label: "Warning" },
+  { value: "DETENTION", label: "Detention" },
+  { value: "SUSPENSION", label: "Suspension", adminOnly: true },
+  { value: "PARENT_CALLED", label: "Parent called" },
+  { value: "OTHER", label: "Other" },
+];
+
+export function optionLabel(options, value) {
+  return options.find((o) => o.value === value)?.label || value;
+}
+
+export function severityVariant(severity) {
+  if (severity === "SERIOUS") return "destructive";
+  if (severity === "MODERATE") return "secondary";
+  return "outline";
+}
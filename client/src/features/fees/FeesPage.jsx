@@ -8,9 +8,14 @@ import FeesTabsNav from "../fees/components/FeesTabsNav";
 import FeesDashboardTab from "../fees/tabs/FeesDashboardTab";
 import FeeItemsTab from "../fees/tabs/FeeItemsTab";
 import FeePlansTab from "../fees/tabs/FeePlansTab";
+import FeeDiscountsTab from "../fees/tabs/FeeDiscountsTab";
 import InvoicesTab from "../fees/tabs/InvoicesTab";
 import FeeCashierTab from "../fees/tabs/FeeCashierTab";
 import StudentStatementTab from "../fees/tabs/StudentStatementTab";
+import MpesaTab from "../fees/tabs/MpesaTab";
+import BankReconciliationTab from "../fees/tabs/BankReconciliationTab";
+import CashierSessionsTab from "../fees/tabs/CashierSessionsTab";
+import RefundsTab from "../fees/tabs/RefundsTab";
 import ReportsTab from "../fees/tabs/ReportsTab";
 
 // Print target (mounted once)
@@ -33,9 +38,14 @@ const TAB = {
   DASHBOARD: "dashboard",
   ITEMS: "items",
   PLANS: "plans",
+  DISCOUNTS: "discounts",
   INVOICES: "invoices",
   CASHIER: "cashier",
+  TILLS: "tills",
+  REFUNDS: "refunds",
   STUDENT: "student",
+  MPESA: "mpesa",
+  BANK: "bank",
   REPORTS: "reports",
 };
 
@@ -46,9 +56,14 @@ function getAllowedTabsByRole(role) {
       TAB.DASHBOARD,
       TAB.ITEMS,
       TAB.PLANS,
+      TAB.DISCOUNTS,
       TAB.INVOICES,
       TAB.CASHIER,
+      TAB.TILLS,
+      TAB.REFUNDS,
       TAB.STUDENT,
+      TAB.MPESA,
+      TAB.BANK,
       TAB.REPORTS,
     ];
   }
@@ -59,7 +74,11 @@ function getAllowedTabsByRole(role) {
       TAB.DASHBOARD,
       TAB.INVOICES,
       TAB.CASHIER,
+      TAB.TILLS,
+      TAB.REFUNDS,
       TAB.STUDENT,
+      TAB.MPESA,
+      TAB.BANK,
       TAB.REPORTS,
     ];
   }
@@ -156,10 +175,11 @@ export default function FeesPage() {
       {/* Pass allowed tabs to nav so it only renders what the user can use */}
       <FeesTabsNav tab={tab} setTab={setTab} tabs={allowedTabs} />
 
-      {tab === TAB.DASHBOARD && <FeesDashboardTab />}
+      {tab === TAB.DASHBOARD && <FeesDashboardTab role={role} userId={data.user.id} />}
 
       {tab === TAB.ITEMS && <FeeItemsTab />}
       {tab === TAB.PLANS && <FeePlansTab />}
+      {tab === TAB.DISCOUNTS && <FeeDiscountsTab />}
 
       {tab === TAB.INVOICES && <InvoicesTab />}
 
@@ -167,7 +187,11 @@ export default function FeesPage() {
         <FeeCashierTab onReceiptReady={setReceiptToPrint} />
       )}
 
+      {tab === TAB.TILLS && <CashierSessionsTab isAdmin={role === "ADMIN"} />}
+      {tab === TAB.REFUNDS && <RefundsTab isAdmin={role === "ADMIN"} />}
       {tab === TAB.STUDENT && <StudentStatementTab />}
+      {tab === TAB.MPESA && <MpesaTab isAdmin={role === "ADMIN"} />}
+      {tab === TAB.BANK && <BankReconciliationTab />}
       {tab === TAB.REPORTS && <ReportsTab />}
 
       {/* Print target mounted ONCE */}
@@ -0,0 +1,221 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { approveFeeApproval, cancelFeeApproval, listFeeApprovals, rejectFeeApproval } from "@/api/fees.api";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+
+import QueryBlock from "./QueryBlock";
+import SimpleModal from "./SimpleModal";
+import { money } from "./FeeMoney";
+
+const selectCls = "h-10 rounded-md border bg-background px-3 text-sm";
+
+const ACTION_LABELS = {
+  VOID_INVOICE: "Void invoice",
+  REVERSE_PAYMENT: "Reverse payment",
+};
+
+function fmtWhen(d) {
+  return d ? new Date(d).toLocaleString() : "—";
+}
+
+function target(a) {
+  if (a.action === "VOID_INVOICE") {
+    return a.invoice ? `${a.invoice.invoiceNo} • ${a.invoice.term} ${a.invoice.year}` : "Invoice removed";
+  }
+  return a.payment ? `Receipt ${a.payment.receiptNo} • ${a.payment.method}` : "Payment removed";
+}
+
+function RejectApprovalModal({ approval, onClose }) {
+  const qc = useQueryClient();
+  const [note, setNote] = useState("");
+
+  const rejectMut = useMutation({
+    mutationFn: () => rejectFeeApproval(approval.id, { note: note.trim() }),
+    onSuccess: () => {
+      toast.success("Request rejected");
+      qc.invalidateQueries({ queryKey: ["feeApprovals"] });
+      onClose();
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to reject request"),
+  });
+
+  return (
+    <SimpleModal
+      title="Reject request"
+      open
+      onClose={onClose}
+      footer={
+        <div className="flex justify-end">
+          <Button
+            variant="destructive"
+            disabled={note.trim().length < 3 || rejectMut.isPending}
+            onClick={() => rejectMut.mutate()}
+          >
+            {rejectMut.isPending ? "Rejecting…" : "Reject"}
+          </Button>
+        </div>
+      }
+    >
+      <div className="space-y-3">
+        <div className="text-sm">
+          {ACTION_LABELS[approval.action]} • {target(approval)} • {approval.reason}
+        </div>
+        <Input placeholder="Why is this rejected?" value={note} onChange={(e) => setNote(e.target.value)} />
+      </div>
+    </SimpleModal>
+  );
+}
+
+/**
+ * Voids/reversals waiting for a second person. Admins approve or reject anyone else's request;
+ * the requester can withdraw their own while it is pending.
+ */
+export default function ApprovalQueueCard({ isAdmin = false, userId = null }) {
+  const qc = useQueryClient();
+  const [status, setStatus] = useState("PENDING");
+  const [rejecting, setRejecting] = useState(null);
+
+  const approvalsQ = useQuery({
+    queryKey: ["feeApprovals", status],
+    queryFn: () => listFeeApprovals({ status: status || undefined }),
+  });
+  const approvals = approvalsQ.data || [];
+
+  const refresh = () => {
+    qc.invalidateQueries({ queryKey: ["feeApprovals"] });
+    qc.invalidateQueries({ queryKey: ["feeInvoices"] });
+  };
+
+  const approveMut = useMutation({
+    mutationFn: (id) => approveFeeApproval(id),
+    onSuccess: () => {
+      refresh();
+      toast.success("Approved and applied");
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to approve request"),
+  });
+
+  const cancelMut = useMutation({
+    mutationFn: (id) => cancelFeeApproval(id),
+    onSuccess: () => {
+      refresh();
+      toast.success("Request withdrawn");
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to cancel request"),
+  });
+
+  const busy = approveMut.isPending || cancelMut.isPending;
+
+  return (
+    <Card>
+      <CardHeader className="pb-2 flex flex-row items-center justify-between gap-2">
+        <CardTitle className="text-base">
+          {isAdmin ? "Approval requests" : "My approval requests"}
+          {status === "PENDING" && approvals.length > 0 && (
+            <Badge variant="secondary" className="ml-2">
+              {approvals.length}
+            </Badge>
+          )}
+        </CardTitle>
+        <select className={selectCls} value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value="PENDING">Pending</option>
+          <option value="APPROVED">Approved</option>
+          <option value="REJECTED">Rejected</option>
+          <option value="CANCELLED">Cancelled</option>
+          <option value="">All</option>
+        </select>
+      </CardHeader>
+
+      <CardContent>
+        <QueryBlock
+          isLoading={approvalsQ.isLoading}
+          isError={approvalsQ.isError}
+          error={approvalsQ.error}
+          empty={approvals.length === 0}
+          emptyText={status === "PENDING" ? "Nothing waiting for approval." : "No requests for this filter."}
+        >
+          <div className="overflow-auto">
+            <table className="w-full text-sm">
+              <thead className="text-left text-xs text-muted-foreground">
+                <tr>
+                  <th className="py-2">Request</th>
+                  <th>Student</th>
+                  <th>Requested by</th>
+                  <th className="text-right">Amount</th>
+                  <th>Status</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {approvals.map((a) => {
+                  const own = a.requestedBy === userId;
+                  return (
+                    <tr key={a.id} className="border-t align-top">
+                      <td className="py-2">
+                        <div className="font-medium">{ACTION_LABELS[a.action] || a.action}</div>
+                        <div className="text-xs text-muted-foreground">{target(a)}</div>
+                        <div className="text-xs">{a.reason}</div>
+                      </td>
+                      <td>
+                        {a.student ? `${a.student.firstName} ${a.student.lastName}` : "—"}
+                        <div className="text-xs text-muted-foreground">{a.student?.admissionNo}</div>
+                      </td>
+                      <td>
+                        {a.requestedByEmail || a.requestedBy}
+                        <div className="text-xs text-muted-foreground">{fmtWhen(a.createdAt)}</div>
+                      </td>
+                      <td className="text-right">{money(a.amount)}</td>
+                      <td>
+                        <Badge variant={a.status === "REJECTED" ? "destructive" : "secondary"}>{a.status}</Badge>
+                        {a.decidedAt && (
+                          <div className="text-xs text-muted-foreground">
+                            {a.decidedByEmail || "—"} • {fmtWhen(a.decidedAt)}
+                          </div>
+                        )}
+                        {a.decisionNote && <div className="text-xs">{a.decisionNote}</div>}
+                      </td>
+                      <td className="text-right">
+                        {a.status === "PENDING" && (
+                          <div className="flex justify-end gap-2">
+                            {isAdmin && !own && (
+                              <>
+                                <Button size="sm" disabled={busy} onClick={() => approveMut.mutate(a.id)}>
+                                  Approve
+                                </Button>
+                                <Button size="sm" variant="outline" onClick={() => setRejecting(a)}>
+                                  Reject
+                                </Button>
+                              </>
+                            )}
+                            {own && (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                disabled={busy}
+                                onClick={() => cancelMut.mutate(a.id)}
+                              >
+                                Withdraw
+                              </Button>
+                            )}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </QueryBlock>
+      </CardContent>
+
+      {rejecting && <RejectApprovalModal key={rejecting.id} approval={rejecting} onClose={() => setRejecting(null)} />}
+    </Card>
+  );
+}
@@ -0,0 +1,102 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { getFeeApprovalSettings, updateFeeApprovalSettings } from "@/api/fees.api";
+
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+
+import QueryBlock from "./QueryBlock";
+
+// "" in the form means approval is off for that action (null on the server)
+function toField(v) {
+  return v == null ? "" : String(v);
+}
+
+function toPayload(v) {
+  return String(v).trim() === "" ? null : Number(v);
+}
+
+function ApprovalSettingsForm({ settings }) {
+  const qc = useQueryClient();
+  const [voidThreshold, setVoidThreshold] = useState(() => toField(settings.voidApprovalThreshold));
+  const [reversalThreshold, setReversalThreshold] = useState(() => toField(settings.reversalApprovalThreshold));
+  const [applyToAdmins, setApplyToAdmins] = useState(() => !!settings.approvalsApplyToAdmins);
+
+  const saveMut = useMutation({
+    mutationFn: () =>
+      updateFeeApprovalSettings({
+        voidApprovalThreshold: toPayload(voidThreshold),
+        reversalApprovalThreshold: toPayload(reversalThreshold),
+        approvalsApplyToAdmins: applyToAdmins,
+      }),
+    onSuccess: () => {
+      toast.success("Approval rules saved");
+      qc.invalidateQueries({ queryKey: ["feeApprovalSettings"] });
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to save approval rules"),
+  });
+
+  return (
+    <div className="space-y-3">
+      <div className="grid gap-3 md:grid-cols-2">
+        <div>
+          <div className="text-xs text-muted-foreground mb-1">Voids of invoices totalling at least</div>
+          <Input
+            type="number"
+            placeholder="Blank = never"
+            value={voidThreshold}
+            onChange={(e) => setVoidThreshold(e.target.value)}
+          />
+        </div>
+        <div>
+          <div className="text-xs text-muted-foreground mb-1">Reversals of payments of at least</div>
+          <Input
+            type="number"
+            placeholder="Blank = never"
+            value={reversalThreshold}
+            onChange={(e) => setReversalThreshold(e.target.value)}
+          />
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={applyToAdmins} onChange={(e) => setApplyToAdmins(e.target.checked)} />
+        Admins also need a second admin&apos;s approval
+      </label>
+
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-xs text-muted-foreground">
+          0 sends every request for approval. A bursar&apos;s void, and a bursar&apos;s reversal on a closed till, always
+          need an admin.
+        </div>
+        <Button disabled={saveMut.isPending} onClick={() => saveMut.mutate()}>
+          {saveMut.isPending ? "Saving…" : "Save"}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/** Per-school thresholds for two-person approval of voids and reversals (ADMIN). */
+export default function ApprovalSettingsCard() {
+  const settingsQ = useQuery({
+    queryKey: ["feeApprovalSettings"],
+    queryFn: getFeeApprovalSettings,
+  });
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-base">Approval rules</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <QueryBlock isLoading={settingsQ.isLoading} isError={settingsQ.isError} error={settingsQ.error}>
+          {settingsQ.data && <ApprovalSettingsForm key={settingsQ.dataUpdatedAt} settings={settingsQ.data} />}
+        </QueryBlock>
+      </CardContent>
+    </Card>
+  );
+}
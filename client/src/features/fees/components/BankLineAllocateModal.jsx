@@ -0,0 +1,146 @@
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+
+import { listFeeInvoices } from "@/api/fees.api";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+
+import SimpleModal from "./SimpleModal";
+import QueryBlock from "./QueryBlock";
+import StudentLookupByAdmission from "./StudentLookupByAdmission";
+import { money, toNumberOrZero } from "./FeeMoney";
+
+function initialRows(line) {
+  const inv = line?.suggestedInvoice;
+  if (!inv || line?.matchedPayment) return [];
+  return [
+    {
+      invoiceId: inv.id,
+      label: `${inv.invoiceNo || "Invoice"} • ${inv.student?.admissionNo || ""}`,
+      amount: String(line.amount),
+    },
+  ];
+}
+
+/**
+ * Post one bank line to one or more invoices (e.g. a parent paying for siblings in one transfer).
+ * Allocations must add up to the line amount exactly. Mount with key={line.id}.
+ */
+export default function BankLineAllocateModal({ line, open, onClose, onSubmit, isPending }) {
+  const [rows, setRows] = useState(() => initialRows(line));
+  const [student, setStudent] = useState(null);
+  const studentId = student?.id || "";
+
+  const invoicesQ = useQuery({
+    queryKey: ["feeInvoices", { studentId }],
+    queryFn: () => listFeeInvoices({ studentId }),
+    enabled: open && !!studentId,
+  });
+
+  const payable = (Array.isArray(invoicesQ.data) ? invoicesQ.data : []).filter(
+    (i) => !["VOID", "CARRIED_FORWARD"].includes(String(i.status || "").toUpperCase())
+  );
+
+  const lineAmount = toNumberOrZero(line?.amount);
+  const allocated = rows.reduce((s, r) => s + toNumberOrZero(r.amount), 0);
+  const remaining = lineAmount - allocated;
+
+  const addInvoice = (inv) => {
+    if (rows.some((r) => r.invoiceId === inv.id)) return;
+    const suggested = Math.max(Math.min(remaining, toNumberOrZero(inv.balance) || remaining), 0);
+    setRows([
+      ...rows,
+      {
+        invoiceId: inv.id,
+        label: `${inv.invoiceNo || "Invoice"} • ${student?.admissionNo || ""} ${student?.firstName || ""}`.trim(),
+        amount: String(suggested),
+      },
+    ]);
+  };
+
+  const setAmount = (idx, value) => setRows(rows.map((r, i) => (i === idx ? { ...r, amount: value } : r)));
+  const removeRow = (idx) => setRows(rows.filter((_, i) => i !== idx));
+
+  const valid =
+    rows.length > 0 &&
+    remaining === 0 &&
+    rows.every((r) => Number.isInteger(Number(r.amount)) && Number(r.amount) > 0);
+
+  return (
+    <SimpleModal
+      title={`Allocate ${money(lineAmount)} • row ${line?.rowNo || ""}`}
+      open={open}
+      onClose={onClose}
+      footer={
+        <div className="flex items-center justify-between gap-2">
+          <div className={`text-xs ${remaining === 0 ? "text-muted-foreground" : "text-destructive"}`}>
+            {remaining === 0 ? "Fully allocated." : `${money(remaining)} left to allocate.`}
+          </div>
+          <Button
+            disabled={!valid || isPending}
+            onClick={() => onSubmit(rows.map((r) => ({ invoiceId: r.invoiceId, amount: Number(r.amount) })))}
+          >
+            {isPending ? "Posting…" : rows.length > 1 ? `Post ${rows.length} payments` : "Post payment"}
+          </Button>
+        </div>
+      }
+    >
+      <div className="space-y-3">
+        <div className="text-xs text-muted-foreground">
+          {line?.reference || "No reference"}
+          {line?.description ? ` • ${line.description}` : ""}
+        </div>
+
+        {rows.length > 0 && (
+          <div className="grid gap-2">
+            {rows.map((r, idx) => (
+              <div key={r.invoiceId} className="flex items-center gap-2">
+                <div className="flex-1 text-sm">{r.label}</div>
+                <Input
+                  type="number"
+                  className="w-32"
+                  value={r.amount}
+                  onChange={(e) => setAmount(idx, e.target.value)}
+                />
+                <Button size="sm" variant="ghost" onClick={() => removeRow(idx)}>
+                  Remove
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <StudentLookupByAdmission onSelect={(s) => setStudent(s)} helperText="Find a student to add their invoice." />
+
+        {student && (
+          <QueryBlock
+            isLoading={invoicesQ.isLoading}
+            isError={invoicesQ.isError}
+            error={invoicesQ.error}
+            empty={!invoicesQ.isLoading && !invoicesQ.isError && payable.length === 0}
+            emptyText="This student has no open invoices."
+          >
+            <div className="grid gap-1">
+              {payable.map((inv) => (
+                <div key={inv.id} className="flex items-center justify-between gap-2 text-sm border rounded-md p-2">
+                  <span>
+                    {inv.invoiceNo || inv.id.slice(0, 6)} • {inv.term} {inv.year} • Balance {money(inv.balance)}
+                  </span>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    disabled={rows.some((r) => r.invoiceId === inv.id)}
+                    onClick={() => addInvoice(inv)}
+                  >
+                    Add
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </QueryBlock>
+        )}
+      </div>
+    </SimpleModal>
+  );
+}
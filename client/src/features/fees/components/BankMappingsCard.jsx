@@ -0,0 +1,201 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { listBankMappings, createBankMapping, updateBankMapping } from "@/api/reconciliation.api";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+
+import QueryBlock from "./QueryBlock";
+
+const BANK_MAPPINGS_KEY = ["bankMappings"];
+
+const selectCls = "h-10 rounded-md border bg-background px-3 text-sm";
+
+const DATE_FORMATS = ["DD/MM/YYYY", "MM/DD/YYYY", "YYYY-MM-DD", "DD-MM-YYYY", "DD.MM.YYYY", "DD-MMM-YYYY"];
+const DELIMITERS = [
+  { value: ",", label: "Comma (,)" },
+  { value: ";", label: "Semicolon (;)" },
+  { value: "\\t", label: "Tab" },
+  { value: "|", label: "Pipe (|)" },
+];
+
+const emptyForm = {
+  name: "",
+  delimiter: ",",
+  headerRow: "1",
+  dateColumn: "",
+  dateFormat: "DD/MM/YYYY",
+  referenceColumn: "",
+  descriptionColumn: "",
+  amountMode: "credit",
+  amountColumn: "",
+};
+
+function toForm(m) {
+  return {
+    name: m.name,
+    delimiter: m.delimiter === "\t" ? "\\t" : m.delimiter,
+    headerRow: String(m.headerRow),
+    dateColumn: m.dateColumn,
+    dateFormat: m.dateFormat,
+    referenceColumn: m.referenceColumn,
+    descriptionColumn: m.descriptionColumn || "",
+    amountMode: m.creditColumn ? "credit" : "signed",
+    amountColumn: m.creditColumn || m.amountColumn || "",
+  };
+}
+
+function toPayload(f) {
+  return {
+    name: f.name.trim(),
+    delimiter: f.delimiter,
+    headerRow: Number(f.headerRow) || 1,
+    dateColumn: f.dateColumn.trim(),
+    dateFormat: f.dateFormat,
+    referenceColumn: f.referenceColumn.trim(),
+    descriptionColumn: f.descriptionColumn.trim() || null,
+    creditColumn: f.amountMode === "credit" ? f.amountColumn.trim() : null,
+    amountColumn: f.amountMode === "signed" ? f.amountColumn.trim() : null,
+  };
+}
+
+/**
+ * How each bank's CSV export is read. Column names must match the header row exactly (case-insensitive).
+ */
+export default function BankMappingsCard() {
+  const qc = useQueryClient();
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState("");
+
+  const mappingsQ = useQuery({ queryKey: BANK_MAPPINGS_KEY, queryFn: listBankMappings });
+  const mappings = Array.isArray(mappingsQ.data) ? mappingsQ.data : [];
+
+  const reset = () => {
+    setForm(emptyForm);
+    setEditingId("");
+  };
+
+  const saveMut = useMutation({
+    mutationFn: () =>
+      editingId ? updateBankMapping(editingId, toPayload(form)) : createBankMapping(toPayload(form)),
+    onSuccess: () => {
+      toast.success(editingId ? "Mapping updated" : "Mapping created");
+      reset();
+      qc.invalidateQueries({ queryKey: BANK_MAPPINGS_KEY });
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to save mapping"),
+  });
+
+  const toggleMut = useMutation({
+    mutationFn: (m) => updateBankMapping(m.id, { isActive: !m.isActive }),
+    onSuccess: () => qc.invalidateQueries({ queryKey: BANK_MAPPINGS_KEY }),
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to update mapping"),
+  });
+
+  const set = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const canSave =
+    form.name.trim().length >= 2 && form.dateColumn.trim() && form.referenceColumn.trim() && form.amountColumn.trim();
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-base">Bank CSV formats</CardTitle>
+        <div className="text-xs text-muted-foreground">
+          Type the column names exactly as they appear in the bank&apos;s export header row.
+        </div>
+      </CardHeader>
+
+      <CardContent className="space-y-3">
+        <div className="grid gap-2 md:grid-cols-4">
+          <Input placeholder="Name (e.g. Equity CSV)" value={form.name} onChange={set("name")} />
+          <select className={selectCls} value={form.delimiter} onChange={set("delimiter")}>
+            {DELIMITERS.map((d) => (
+              <option key={d.value} value={d.value}>
+                {d.label}
+              </option>
+            ))}
+          </select>
+          <Input type="number" placeholder="Header row" value={form.headerRow} onChange={set("headerRow")} />
+          <select className={selectCls} value={form.dateFormat} onChange={set("dateFormat")}>
+            {DATE_FORMATS.map((f) => (
+              <option key={f} value={f}>
+                {f}
+              </option>
+            ))}
+          </select>
+
+          <Input placeholder="Date column" value={form.dateColumn} onChange={set("dateColumn")} />
+          <Input placeholder="Reference column" value={form.referenceColumn} onChange={set("referenceColumn")} />
+          <Input
+            placeholder="Narrative column (optional)"
+            value={form.descriptionColumn}
+            onChange={set("descriptionColumn")}
+          />
+          <div className="flex gap-2">
+            <select className={selectCls} value={form.amountMode} onChange={set("amountMode")}>
+              <option value="credit">Credit column</option>
+              <option value="signed">Signed amount</option>
+            </select>
+            <Input placeholder="Column" value={form.amountColumn} onChange={set("amountColumn")} />
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          <Button disabled={!canSave || saveMut.isPending} onClick={() => saveMut.mutate()}>
+            {saveMut.isPending ? "Saving…" : editingId ? "Save mapping" : "Add mapping"}
+          </Button>
+          {editingId && (
+            <Button variant="outline" onClick={reset}>
+              Cancel
+            </Button>
+          )}
+        </div>
+
+        <QueryBlock
+          isLoading={mappingsQ.isLoading}
+          isError={mappingsQ.isError}
+          error={mappingsQ.error}
+          empty={!mappingsQ.isLoading && !mappingsQ.isError && mappings.length === 0}
+          emptyText="No bank formats yet. Add one before importing a statement."
+        >
+          <div className="grid gap-2">
+            {mappings.map((m) => (
+              <div key={m.id} className="border rounded-md p-2 flex flex-wrap items-center justify-between gap-2">
+                <div>
+                  <div className="text-sm font-medium flex items-center gap-2">
+                    {m.name}
+                    {!m.isActive && <Badge variant="secondary">Inactive</Badge>}
+                  </div>
+                  <div className="text-xs text-muted-foreground">
+                    Row {m.headerRow} • {m.dateColumn} ({m.dateFormat}) • Ref: {m.referenceColumn} •{" "}
+                    {m.creditColumn ? `Credit: ${m.creditColumn}` : `Amount: ${m.amountColumn}`}
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => {
+                      setEditingId(m.id);
+                      setForm(toForm(m));
+                    }}
+                  >
+                    Edit
+                  </Button>
+                  <Button size="sm" variant="outline" disabled={toggleMut.isPending} onClick={() => toggleMut.mutate(m)}>
+                    {m.isActive ? "Deactivate" : "Activate"}
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </QueryBlock>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,175 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { generateInvoicesBatch } from "@/api/fees.api";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+
+import SimpleModal from "./SimpleModal";
+import { money } from "./FeeMoney";
+
+const STATUS_VARIANT = {
+  WILL_CREATE: "outline",
+  CREATED: "default",
+  SKIPPED: "secondary",
+  FAILED: "destructive",
+};
+
+/**
+ * Invoice a whole class from a fee plan.
+ * Opens with a dry-run preview; "Generate" then runs the real batch (safe to re-run).
+ */
+export default function BatchInvoiceModal({ plan, open, onClose }) {
+  const qc = useQueryClient();
+  const [carryForward, setCarryForward] = useState(true);
+
+  // fresh preview every time the modal opens for a plan
+  const previewQ = useQuery({
+    queryKey: ["feeBatchPreview", plan?.id, carryForward],
+    queryFn: () => generateInvoicesBatch({ feePlanId: plan.id, dryRun: true, carryForward }),
+    enabled: open && !!plan?.id,
+    gcTime: 0,
+    staleTime: 0,
+  });
+
+  const batchMut = useMutation({
+    mutationFn: generateInvoicesBatch,
+    onSuccess: (data) => {
+      qc.invalidateQueries({ queryKey: ["feeInvoices"] });
+      toast.success(`${data?.summary?.created || 0} invoice(s) generated`);
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Batch invoicing failed"),
+  });
+
+  const report = batchMut.data || previewQ.data || null;
+  const summary = report?.summary;
+  const results = Array.isArray(report?.results) ? report.results : [];
+  const pending = report?.dryRun ? summary?.toCreate || 0 : 0;
+
+  return (
+    <SimpleModal
+      title={`Invoice class • ${plan?.title || "Fee Plan"} • ${plan?.term || ""} ${plan?.year || ""}`}
+      open={open}
+      onClose={onClose}
+      footer={
+        <div className="flex items-center justify-between gap-2">
+          <div className="text-xs text-muted-foreground">
+            {report?.dryRun ? "Preview — nothing has been invoiced yet." : report ? "Batch complete." : ""}
+          </div>
+          <Button
+            disabled={!report?.dryRun || pending === 0 || batchMut.isPending}
+            onClick={() => batchMut.mutate({ feePlanId: plan.id, dryRun: false, carryForward })}
+          >
+            {batchMut.isPending ? "Working…" : `Generate ${pending} invoice(s)`}
+          </Button>
+        </div>
+      }
+    >
+      <label className="flex items-center gap-2 text-sm mb-3">
+        <input
+          type="checkbox"
+          checked={carryForward}
+          disabled={!!batchMut.data || batchMut.isPending}
+          onChange={(e) => setCarryForward(e.target.checked)}
+        />
+        Bring forward unpaid balances from earlier terms
+      </label>
+
+      {previewQ.isLoading && <div className="text-sm text-muted-foreground">Loading preview…</div>}
+
+      {previewQ.isError && (
+        <div className="text-sm text-destructive">
+          {previewQ.error?.response?.data?.message || "Failed to load preview."}
+        </div>
+      )}
+
+      {summary && (
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+            <div className="rounded border p-2">
+              <div className="text-xs opacity-70">Students</div>
+              <div className="font-semibold">{summary.students}</div>
+            </div>
+            <div className="rounded border p-2">
+              <div className="text-xs opacity-70">{report.dryRun ? "To invoice" : "Created"}</div>
+              <div className="font-semibold">{report.dryRun ? summary.toCreate : summary.created}</div>
+            </div>
+            <div className="rounded border p-2">
+              <div className="text-xs opacity-70">Skipped</div>
+              <div className="font-semibold">{summary.skipped}</div>
+            </div>
+            <div className="rounded border p-2">
+              <div className="text-xs opacity-70">Amount</div>
+              <div className="font-semibold">{money(summary.totalAmount)}</div>
+            </div>
+          </div>
+
+          {summary.discountAmount > 0 && (
+            <div className="text-xs text-muted-foreground">
+              Includes {money(summary.discountAmount)} in student discount policies.
+            </div>
+          )}
+
+          {summary.broughtForward > 0 && (
+            <div className="text-xs text-muted-foreground">
+              {money(summary.broughtForward)} of unpaid balances {report.dryRun ? "will be" : "was"} brought forward as
+              "Balance b/f" lines.
+            </div>
+          )}
+
+          {summary.creditApplied > 0 && (
+            <div className="text-xs text-muted-foreground">
+              {money(summary.creditApplied)} of carried-forward credit {report.dryRun ? "will be" : "was"} applied.
+            </div>
+          )}
+
+          {summary.failed > 0 && (
+            <div className="text-sm text-destructive">{summary.failed} student(s) failed — re-run to retry.</div>
+          )}
+
+          <div className="max-h-72 overflow-y-auto border rounded-md">
+            <table className="w-full text-xs">
+              <thead className="bg-muted/60 sticky top-0">
+                <tr>
+                  <th className="text-left p-2">Adm No</th>
+                  <th className="text-left p-2">Student</th>
+                  <th className="text-right p-2">Amount</th>
+                  <th className="text-left p-2">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((r) => (
+                  <tr key={r.studentId} className="border-t">
+                    <td className="p-2">{r.admissionNo}</td>
+                    <td className="p-2">{r.name}</td>
+                    <td className="p-2 text-right">
+                      {money(r.total)}
+                      {r.broughtForward > 0 && (
+                        <div className="text-muted-foreground">+ {money(r.broughtForward)} b/f</div>
+                      )}
+                    </td>
+                    <td className="p-2">
+                      <Badge variant={STATUS_VARIANT[r.status] || "outline"} className="text-[10px]">
+                        {r.status}
+                      </Badge>
+                      {r.reason && <span className="ml-1 text-muted-foreground">{r.reason}</span>}
+                    </td>
+                  </tr>
+                ))}
+                {results.length === 0 && (
+                  <tr>
+                    <td colSpan={4} className="p-2 text-muted-foreground">
+                      No active students in this class.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </SimpleModal>
+  );
+}
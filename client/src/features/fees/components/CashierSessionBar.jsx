@@ -0,0 +1,109 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { getCurrentCashierSession, openCashierSession, openZReportPdf } from "@/api/cashier.api";
+
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+
+import CloseTillModal from "./CloseTillModal";
+import { money } from "./FeeMoney";
+
+/**
+ * The signed-in cashier's till: open it with a float, see running takings, close it with a cash-up.
+ * Payments posted at the desk while it is open are recorded against it.
+ */
+export default function CashierSessionBar({ disabled = false }) {
+  const qc = useQueryClient();
+  const [openingFloat, setOpeningFloat] = useState("");
+  const [closeOpen, setCloseOpen] = useState(false);
+
+  const sessionQ = useQuery({
+    queryKey: ["cashierSession", "current"],
+    queryFn: getCurrentCashierSession,
+    refetchInterval: 60 * 1000,
+  });
+  const session = sessionQ.data || null;
+
+  const openMut = useMutation({
+    mutationFn: () => openCashierSession({ openingFloat: Number(openingFloat || 0) }),
+    onSuccess: () => {
+      toast.success("Till opened");
+      setOpeningFloat("");
+      qc.invalidateQueries({ queryKey: ["cashierSession"] });
+      qc.invalidateQueries({ queryKey: ["cashierSessions"] });
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to open till"),
+  });
+
+  if (sessionQ.isLoading) return null;
+
+  return (
+    <Card>
+      <CardContent className="py-3">
+        {session ? (
+          <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+              <Badge>Till open</Badge>
+              <span className="text-muted-foreground">since {new Date(session.openedAt).toLocaleString()}</span>
+              <span>
+                • Float <b>{money(session.openingFloat)}</b>
+              </span>
+              <span>
+                • Expected <b>{money(session.expectedTotal)}</b>
+              </span>
+              <span className="text-xs text-muted-foreground">
+                (cash {money(session.expected?.CASH)}
+                {Number(session.expected?.MPESA || 0) > 0 ? ` • M-Pesa ${money(session.expected.MPESA)}` : ""}
+                {Number(session.refunded?.CASH || 0) > 0 ? ` • after ${money(session.refunded.CASH)} cash refunded` : ""})
+              </span>
+            </div>
+
+            <div className="flex gap-2">
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => openZReportPdf(session.id).catch(() => toast.error("Failed to open X-report"))}
+              >
+                X-report
+              </Button>
+              <Button size="sm" disabled={disabled} onClick={() => setCloseOpen(true)}>
+                Close till
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+            <div>
+              <div className="font-medium">No till open</div>
+              <div className="text-xs text-muted-foreground">
+                Open a till before taking money so your payments appear on the end-of-day cash-up.
+              </div>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <Input
+                className="w-40"
+                type="number"
+                placeholder="Opening float"
+                value={openingFloat}
+                onChange={(e) => setOpeningFloat(e.target.value)}
+                disabled={disabled}
+              />
+              <Button size="sm" disabled={disabled || openMut.isPending} onClick={() => openMut.mutate()}>
+                {openMut.isPending ? "Opening…" : "Open till"}
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+
+      {session && (
+        <CloseTillModal key={session.id} session={session} open={closeOpen} onClose={() => setCloseOpen(false)} />
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,93 @@
+import { useState } from "react";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { closeCashierSession, openZReportPdf } from "@/api/cashier.api";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+
+import SimpleModal from "./SimpleModal";
+import { money, toNumberOrZero } from "./FeeMoney";
+
+const METHODS = ["CASH", "MPESA", "BANK", "CHEQUE", "OTHER"];
+
+/**
+ * Cash-up: the cashier enters what they counted per method; the server freezes expected totals and the variance.
+ * Mount with key={session.id}.
+ */
+export default function CloseTillModal({ session, open, onClose }) {
+  const qc = useQueryClient();
+  // methods with takings are listed; CASH always (the float is in the drawer)
+  const methods = METHODS.filter((m) => m === "CASH" || toNumberOrZero(session?.expected?.[m]) > 0);
+  const [counted, setCounted] = useState(() => Object.fromEntries(methods.map((m) => [m, ""])));
+  const [note, setNote] = useState("");
+
+  const countedTotal = methods.reduce((sum, m) => sum + toNumberOrZero(counted[m]), 0);
+  const variance = countedTotal - toNumberOrZero(session?.expectedTotal);
+  const incomplete = methods.some((m) => counted[m] === "");
+
+  const closeMut = useMutation({
+    mutationFn: () =>
+      closeCashierSession(session.id, {
+        counted: Object.fromEntries(methods.map((m) => [m, toNumberOrZero(counted[m])])),
+        note: note.trim() || undefined,
+      }),
+    onSuccess: (closed) => {
+      toast.success(
+        closed?.variance ? `Till closed • variance ${money(closed.variance)}` : "Till closed • no variance"
+      );
+      qc.invalidateQueries({ queryKey: ["cashierSession"] });
+      qc.invalidateQueries({ queryKey: ["cashierSessions"] });
+      onClose();
+      openZReportPdf(closed.id).catch(() => toast.error("Till closed, but the Z-report failed to open"));
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to close till"),
+  });
+
+  return (
+    <SimpleModal
+      title="Close till (cash-up)"
+      open={open}
+      onClose={onClose}
+      footer={
+        <div className="flex items-center justify-between gap-2">
+          <div className={`text-sm ${variance < 0 ? "text-destructive" : variance > 0 ? "text-amber-600" : ""}`}>
+            {incomplete
+              ? "Enter every count"
+              : `Variance: ${money(variance)}${variance < 0 ? " (short)" : variance > 0 ? " (over)" : ""}`}
+          </div>
+          <Button disabled={incomplete || closeMut.isPending} onClick={() => closeMut.mutate()}>
+            {closeMut.isPending ? "Closing…" : "Close till"}
+          </Button>
+        </div>
+      }
+    >
+      <div className="space-y-3">
+        <div className="text-xs text-muted-foreground">
+          Count the drawer (including the opening float of {money(session?.openingFloat)}) and total the other
+          methods from their slips/statements.
+        </div>
+
+        {methods.map((m) => (
+          <div key={m} className="grid grid-cols-3 gap-2 items-center">
+            <div className="text-sm font-medium">{m}</div>
+            <div className="text-xs text-muted-foreground">Expected {money(session?.expected?.[m])}</div>
+            <Input
+              type="number"
+              placeholder="Counted"
+              value={counted[m]}
+              onChange={(e) => setCounted((c) => ({ ...c, [m]: e.target.value }))}
+            />
+          </div>
+        ))}
+
+        <Input
+          placeholder="Note (optional) e.g. reason for a shortage"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+        />
+      </div>
+    </SimpleModal>
+  );
+}
@@ -0,0 +1,38 @@
+import { toNumberOrZero } from "./FeeMoney";
+
+// Client-side mirror of the server's schedule rules; returns an error message or "".
+export function scheduleError(rows) {
+  for (let i = 0; i < rows.length; i++) {
+    const r = rows[i];
+    const pct = toNumberOrZero(r.percent);
+    if (!r.dueDate) return `Installment ${i + 1} needs a due date.`;
+    if (!Number.isInteger(pct) || pct < 1 || pct > 100) return `Installment ${i + 1}: percent must be 1–100.`;
+    if (i > 0 && (pct <= toNumberOrZero(rows[i - 1].percent) || r.dueDate <= rows[i - 1].dueDate)) {
+      return "Installments must be in date order with a rising cumulative percent.";
+    }
+  }
+  if (rows.length && toNumberOrZero(rows[rows.length - 1].percent) !== 100) {
+    return "The last installment must reach 100%.";
+  }
+  return "";
+}
+
+export function toScheduleRows(installments) {
+  return (installments || []).map((it) => ({
+    label: it.label || "",
+    dueDate: String(it.dueDate || "").slice(0, 10),
+    percent: it.percent,
+  }));
+}
+
+export function toSchedulePayload(rows) {
+  return rows.map((r) => ({
+    label: r.label.trim() || null,
+    dueDate: r.dueDate,
+    percent: Number(r.percent),
+  }));
+}
+
+export function fmtDueDate(d) {
+  return d ? new Date(d).toLocaleDateString(undefined, { timeZone: "UTC" }) : "—";
+}
@@ -11,11 +11,16 @@ const ALL_TABS = [
   // Setup (Admin)
   { key: "items", label: "Fee Items" },
   { key: "plans", label: "Fee Plans" },
+  { key: "discounts", label: "Discounts" },
 
   // Operations
   { key: "invoices", label: "Invoices" },
   { key: "cashier", label: "Receive Payment" },
+  { key: "tills", label: "Till Sessions" },
+  { key: "refunds", label: "Refunds" },
   { key: "student", label: "Student Statement" },
+  { key: "mpesa", label: "M-Pesa" },
+  { key: "bank", label: "Bank Reconciliation" },
 
   // Reports / Audit
   { key: "reports", label: "Reports" },
@@ -0,0 +1,70 @@
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+
+import { money, toNumberOrZero } from "./FeeMoney";
+import { scheduleError } from "./FeeInstallments";
+
+/**
+ * Cumulative installment schedule: each row says how much of the term's fees must be paid by its date
+ * (e.g. 50% by week 2, 100% by mid-term). No rows = whole invoice due on issue.
+ * Controlled: value is [{ label, dueDate: "YYYY-MM-DD", percent }].
+ */
+export default function InstallmentScheduleEditor({ value, onChange, total = 0 }) {
+  const rows = Array.isArray(value) ? value : [];
+  const error = scheduleError(rows);
+
+  const setRow = (idx, field, v) => onChange(rows.map((r, i) => (i === idx ? { ...r, [field]: v } : r)));
+
+  return (
+    <div className="space-y-2">
+      <div className="text-sm font-medium">Installments</div>
+      {rows.length === 0 && (
+        <div className="text-xs text-muted-foreground">No schedule — the full amount is due when invoiced.</div>
+      )}
+
+      {rows.map((r, idx) => (
+        <div key={idx} className="grid gap-2 md:grid-cols-12 items-center">
+          <div className="md:col-span-4">
+            <Input
+              placeholder={`Label (e.g. ${idx === 0 ? "Week 2" : "Mid-term"})`}
+              value={r.label}
+              onChange={(e) => setRow(idx, "label", e.target.value)}
+            />
+          </div>
+          <div className="md:col-span-3">
+            <Input type="date" value={r.dueDate} onChange={(e) => setRow(idx, "dueDate", e.target.value)} />
+          </div>
+          <div className="md:col-span-2">
+            <Input
+              type="number"
+              placeholder="% paid by"
+              value={r.percent}
+              onChange={(e) => setRow(idx, "percent", e.target.value)}
+            />
+          </div>
+          <div className="md:col-span-2 text-xs text-muted-foreground">
+            {total > 0 && toNumberOrZero(r.percent) > 0
+              ? money(Math.round((total * toNumberOrZero(r.percent)) / 100))
+              : ""}
+          </div>
+          <div className="md:col-span-1 flex justify-end">
+            <Button size="sm" variant="outline" onClick={() => onChange(rows.filter((_, i) => i !== idx))}>
+              X
+            </Button>
+          </div>
+        </div>
+      ))}
+
+      <Button
+        size="sm"
+        variant="outline"
+        onClick={() => onChange([...rows, { label: "", dueDate: "", percent: rows.length ? 100 : 50 }])}
+        disabled={rows.length >= 12}
+      >
+        + Add installment
+      </Button>
+
+      {error && <div className="text-sm text-destructive">{error}</div>}
+    </div>
+  );
+}
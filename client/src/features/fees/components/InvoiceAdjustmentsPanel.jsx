@@ -0,0 +1,228 @@
+import { useState } from "react";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import {
+  createInvoiceAdjustment,
+  reverseInvoiceAdjustment,
+  listDiscountPolicies,
+  listFeeItems,
+} from "@/api/fees.api";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+
+import { money } from "./FeeMoney";
+
+const TYPES = [
+  { value: "DISCOUNT", label: "Discount" },
+  { value: "BURSARY", label: "Bursary" },
+  { value: "WAIVER", label: "Waive a line" },
+  { value: "CHARGE", label: "Extra charge" },
+];
+
+const selectCls = "h-10 rounded-md border bg-background px-3 text-sm";
+
+const emptyForm = {
+  type: "DISCOUNT",
+  policyId: "",
+  feeItemId: "",
+  mode: "percent",
+  value: "",
+  sponsor: "",
+  reason: "",
+};
+
+function formToPayload(f) {
+  if (f.type === "DISCOUNT" && f.policyId) {
+    return { discountPolicyId: f.policyId, reason: f.reason.trim() || undefined };
+  }
+
+  const payload = { type: f.type, reason: f.reason.trim(), feeItemId: f.feeItemId || undefined };
+  if (f.type === "BURSARY") payload.sponsor = f.sponsor.trim();
+  if (f.type === "CHARGE") payload.amount = Number(f.value);
+  if (f.type === "DISCOUNT" || f.type === "BURSARY") {
+    payload[f.mode === "percent" ? "percent" : "amount"] = Number(f.value);
+  }
+  return payload;
+}
+
+/**
+ * Adjustments on one invoice (discounts, bursaries, waivers, charges).
+ * invoice = GET /api/fees/invoices/:id (includes lines + adjustments)
+ */
+export default function InvoiceAdjustmentsPanel({ invoice, canAdjust = false, onChanged }) {
+  const [form, setForm] = useState(null);
+
+  const policiesQ = useQuery({
+    queryKey: ["feeDiscountPolicies"],
+    queryFn: listDiscountPolicies,
+    enabled: canAdjust && !!form,
+  });
+  const itemsQ = useQuery({
+    queryKey: ["feeItems"],
+    queryFn: listFeeItems,
+    enabled: canAdjust && form?.type === "CHARGE",
+  });
+
+  const addMut = useMutation({
+    mutationFn: (f) => createInvoiceAdjustment(invoice.id, formToPayload(f)),
+    onSuccess: () => {
+      toast.success("Adjustment recorded");
+      setForm(null);
+      onChanged?.();
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to record adjustment"),
+  });
+
+  const reverseMut = useMutation({
+    mutationFn: ({ adjustmentId, reason }) => reverseInvoiceAdjustment(invoice.id, adjustmentId, { reason }),
+    onSuccess: () => {
+      toast.success("Adjustment reversed");
+      onChanged?.();
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to reverse adjustment"),
+  });
+
+  const adjustments = Array.isArray(invoice?.adjustments) ? invoice.adjustments : [];
+  const lines = Array.isArray(invoice?.lines) ? invoice.lines : [];
+  const policies = (Array.isArray(policiesQ.data) ? policiesQ.data : []).filter((p) => p.isActive);
+  const feeItems = (Array.isArray(itemsQ.data) ? itemsQ.data : []).filter((x) => x.isActive);
+  // carried invoices are adjusted on the invoice their balance moved to
+  const isClosed = invoice?.status === "VOID" || invoice?.status === "CARRIED_FORWARD";
+
+  const set = (key, value) => setForm((f) => ({ ...f, [key]: value }));
+
+  const usingPolicy = form?.type === "DISCOUNT" && !!form?.policyId;
+  const canSubmit =
+    form &&
+    (usingPolicy ||
+      (form.reason.trim() &&
+        (form.type !== "WAIVER" || form.feeItemId) &&
+        (form.type !== "BURSARY" || form.sponsor.trim()) &&
+        (form.type === "WAIVER" || Number(form.value) > 0)));
+
+  const askReverse = (a) => {
+    const reason = window.prompt("Reason for reversing this adjustment?");
+    if (reason && reason.trim()) reverseMut.mutate({ adjustmentId: a.id, reason: reason.trim() });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <div className="font-medium">Adjustments</div>
+        {canAdjust && !isClosed && !form && (
+          <Button size="sm" variant="outline" onClick={() => setForm(emptyForm)}>
+            Add adjustment
+          </Button>
+        )}
+      </div>
+
+      <div className="grid gap-1">
+        {adjustments.map((a) => (
+          <div key={a.id} className="flex items-center justify-between gap-2 text-xs">
+            <div className={a.isReversed ? "line-through opacity-60" : ""}>
+              <Badge variant="outline" className="text-[10px] mr-1">
+                {a.type}
+              </Badge>
+              {a.feeItem?.name || "Whole invoice"}
+              {a.percent ? ` • ${a.percent}%` : ""}
+              {a.sponsor ? ` • ${a.sponsor}` : ""} • {a.reason}
+            </div>
+            <div className="flex items-center gap-2">
+              <span className="font-medium">{money(a.amount)}</span>
+              {canAdjust && !a.isReversed && !isClosed && (
+                <Button size="sm" variant="ghost" disabled={reverseMut.isPending} onClick={() => askReverse(a)}>
+                  Reverse
+                </Button>
+              )}
+            </div>
+          </div>
+        ))}
+        {adjustments.length === 0 && <div className="text-xs text-muted-foreground">No adjustments.</div>}
+      </div>
+
+      {form && (
+        <div className="border rounded-md p-3 space-y-2">
+          <div className="grid gap-2 md:grid-cols-3">
+            <select className={selectCls} value={form.type} onChange={(e) => setForm({ ...emptyForm, type: e.target.value })}>
+              {TYPES.map((t) => (
+                <option key={t.value} value={t.value}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+
+            {form.type === "DISCOUNT" && (
+              <select className={selectCls} value={form.policyId} onChange={(e) => set("policyId", e.target.value)}>
+                <option value="">Manual discount…</option>
+                {policies.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            {!usingPolicy && (
+              <select className={selectCls} value={form.feeItemId} onChange={(e) => set("feeItemId", e.target.value)}>
+                <option value="">{form.type === "WAIVER" ? "Select line…" : form.type === "CHARGE" ? "No fee item" : "Whole invoice"}</option>
+                {form.type === "CHARGE"
+                  ? feeItems.map((it) => (
+                      <option key={it.id} value={it.id}>
+                        {it.name}
+                      </option>
+                    ))
+                  : lines.map((l) => (
+                      <option key={l.id} value={l.feeItemId}>
+                        {l.feeItem?.name || l.feeItemId} ({money(l.amount)})
+                      </option>
+                    ))}
+              </select>
+            )}
+          </div>
+
+          {!usingPolicy && (
+            <div className="grid gap-2 md:grid-cols-3">
+              {(form.type === "DISCOUNT" || form.type === "BURSARY") && (
+                <select className={selectCls} value={form.mode} onChange={(e) => set("mode", e.target.value)}>
+                  <option value="percent">Percent (%)</option>
+                  <option value="amount">Fixed amount</option>
+                </select>
+              )}
+
+              {form.type !== "WAIVER" && (
+                <Input
+                  type="number"
+                  placeholder={form.type !== "CHARGE" && form.mode === "percent" ? "e.g. 10" : "Amount"}
+                  value={form.value}
+                  onChange={(e) => set("value", e.target.value)}
+                />
+              )}
+
+              {form.type === "BURSARY" && (
+                <Input placeholder="Sponsor" value={form.sponsor} onChange={(e) => set("sponsor", e.target.value)} />
+              )}
+            </div>
+          )}
+
+          <Input
+            placeholder={usingPolicy ? "Reason (optional)" : "Reason (required)"}
+            value={form.reason}
+            onChange={(e) => set("reason", e.target.value)}
+          />
+
+          <div className="flex gap-2">
+            <Button size="sm" disabled={!canSubmit || addMut.isPending} onClick={() => addMut.mutate(form)}>
+              {addMut.isPending ? "Saving…" : "Save adjustment"}
+            </Button>
+            <Button size="sm" variant="ghost" onClick={() => setForm(null)}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
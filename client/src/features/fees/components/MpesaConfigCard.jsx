@@ -0,0 +1,181 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import {
+  getMpesaConfig,
+  saveMpesaConfig,
+  rotateMpesaCallbackSecret,
+  registerMpesaC2BUrls,
+} from "@/api/mpesa.api";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+
+const CONFIG_KEY = ["mpesaConfig"];
+
+const selectCls = "h-10 rounded-md border bg-background px-3 text-sm";
+
+const emptyForm = { environment: "SANDBOX", shortCode: "", passkey: "", consumerKey: "", consumerSecret: "", isActive: true };
+
+function toForm(config) {
+  if (!config) return emptyForm;
+  return { ...emptyForm, environment: config.environment, shortCode: config.shortCode, isActive: config.isActive };
+}
+
+/**
+ * Daraja credentials + callback URLs (ADMIN).
+ * Secrets are write-only: blank fields keep the stored value.
+ */
+export default function MpesaConfigCard() {
+  const qc = useQueryClient();
+  // null = untouched, show what is saved
+  const [draft, setDraft] = useState(null);
+
+  const configQ = useQuery({ queryKey: CONFIG_KEY, queryFn: getMpesaConfig });
+  const config = configQ.data;
+  const form = draft ?? toForm(config);
+
+  const onError = (fallback) => (err) => toast.error(err?.response?.data?.message || fallback);
+
+  const saveMut = useMutation({
+    mutationFn: () => saveMpesaConfig(form),
+    onSuccess: (data) => {
+      qc.setQueryData(CONFIG_KEY, data);
+      setDraft(null);
+      toast.success("M-Pesa settings saved");
+    },
+    onError: onError("Failed to save M-Pesa settings"),
+  });
+
+  const rotateMut = useMutation({
+    mutationFn: rotateMpesaCallbackSecret,
+    onSuccess: (data) => {
+      qc.setQueryData(CONFIG_KEY, data);
+      toast.success("Callback secret rotated — register the new URLs with Safaricom");
+    },
+    onError: onError("Failed to rotate secret"),
+  });
+
+  const registerMut = useMutation({
+    mutationFn: registerMpesaC2BUrls,
+    onSuccess: (data) => toast.success(data?.response?.ResponseDescription || "C2B URLs registered"),
+    onError: onError("Failed to register C2B URLs"),
+  });
+
+  const set = (field) => (e) => setDraft({ ...form, [field]: e.target.value });
+
+  const copy = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success("Copied");
+    } catch {
+      toast.error("Copy failed");
+    }
+  };
+
+  const urls = config?.callbackUrls;
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-base flex items-center gap-2">
+          M-Pesa settings
+          {config && <Badge variant={config.isActive ? "default" : "secondary"}>{config.isActive ? "Active" : "Off"}</Badge>}
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-3">
+        {configQ.isError && (
+          <div className="text-sm text-destructive">
+            {configQ.error?.response?.data?.message || "Failed to load M-Pesa settings."}
+          </div>
+        )}
+
+        <div className="grid gap-2 md:grid-cols-3">
+          <div>
+            <div className="text-xs text-muted-foreground mb-1">Environment</div>
+            <select className={`${selectCls} w-full`} value={form.environment} onChange={set("environment")}>
+              <option value="SANDBOX">Sandbox</option>
+              <option value="PRODUCTION">Production</option>
+            </select>
+          </div>
+          <div>
+            <div className="text-xs text-muted-foreground mb-1">Paybill / till number</div>
+            <Input value={form.shortCode} onChange={set("shortCode")} placeholder="174379" />
+          </div>
+          <label className="flex items-end gap-2 text-sm pb-2">
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={(e) => setDraft({ ...form, isActive: e.target.checked })}
+            />
+            Accept M-Pesa payments
+          </label>
+
+          <div>
+            <div className="text-xs text-muted-foreground mb-1">Consumer key</div>
+            <Input value={form.consumerKey} onChange={set("consumerKey")} placeholder={config?.consumerKey || ""} />
+          </div>
+          <div>
+            <div className="text-xs text-muted-foreground mb-1">Consumer secret</div>
+            <Input
+              type="password"
+              value={form.consumerSecret}
+              onChange={set("consumerSecret")}
+              placeholder={config?.consumerSecret || ""}
+            />
+          </div>
+          <div>
+            <div className="text-xs text-muted-foreground mb-1">STK passkey</div>
+            <Input
+              type="password"
+              value={form.passkey}
+              onChange={set("passkey")}
+              placeholder={config?.hasPasskey ? "•••• (set)" : "Needed for STK push"}
+            />
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <Button disabled={saveMut.isPending} onClick={() => saveMut.mutate()}>
+            {saveMut.isPending ? "Saving…" : config ? "Save changes" : "Connect M-Pesa"}
+          </Button>
+          {config && (
+            <>
+              <Button variant="outline" disabled={registerMut.isPending} onClick={() => registerMut.mutate()}>
+                {registerMut.isPending ? "Registering…" : "Register C2B URLs"}
+              </Button>
+              <Button variant="outline" disabled={rotateMut.isPending} onClick={() => rotateMut.mutate()}>
+                Rotate callback secret
+              </Button>
+            </>
+          )}
+        </div>
+
+        {urls && (
+          <div className="space-y-1 text-xs">
+            <div className="text-muted-foreground">
+              Callback URLs (contain this school&apos;s secret — share only with Safaricom / your gateway):
+            </div>
+            {[
+              ["C2B confirmation", urls.c2bConfirmation],
+              ["C2B validation", urls.c2bValidation],
+              ["STK callback", urls.stk],
+            ].map(([label, url]) => (
+              <div key={label} className="flex items-center gap-2">
+                <span className="w-32 shrink-0 text-muted-foreground">{label}</span>
+                <code className="truncate flex-1">{url}</code>
+                <Button size="sm" variant="ghost" onClick={() => copy(url)}>
+                  Copy
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,119 @@
+import { useEffect, useRef, useState } from "react";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { requestMpesaStkPush, getMpesaStkRequest } from "@/api/mpesa.api";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+
+import { money, toNumberOrZero } from "./FeeMoney";
+
+const POLL_MS = 3000;
+
+/**
+ * Sends an M-Pesa STK push for the selected invoice and watches it until the callback lands.
+ * The payment itself is posted server-side from the callback; onPaid refreshes the cashier view.
+ * Key it by invoice id so switching invoices starts a fresh request.
+ */
+export default function MpesaStkPanel({ invoice, disabled = false, onPaid }) {
+  const [phone, setPhone] = useState("");
+  const [amount, setAmount] = useState("");
+  const [requestId, setRequestId] = useState("");
+  const settledRef = useRef("");
+
+  const balance = toNumberOrZero(invoice?.balance);
+
+  const pushMut = useMutation({
+    mutationFn: () =>
+      requestMpesaStkPush({
+        invoiceId: invoice.id,
+        phone: phone.trim(),
+        amount: amount === "" ? undefined : Number(amount),
+      }),
+    onSuccess: (data) => {
+      setRequestId(data?.request?.id || "");
+      toast.success(data?.customerMessage || "Payment request sent to the phone");
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to send STK push"),
+  });
+
+  const statusQ = useQuery({
+    queryKey: ["mpesaStk", requestId],
+    queryFn: () => getMpesaStkRequest(requestId),
+    enabled: !!requestId,
+    refetchInterval: (q) => (q.state.data?.status && q.state.data.status !== "PENDING" ? false : POLL_MS),
+    gcTime: 0,
+  });
+
+  const stk = statusQ.data;
+
+  // one toast + refresh per finished request
+  useEffect(() => {
+    if (!stk?.id || stk.status === "PENDING" || settledRef.current === stk.id) return;
+    settledRef.current = stk.id;
+
+    if (stk.status === "SUCCESS") {
+      toast.success(`M-Pesa payment received${stk.payment?.receiptNo ? ` • ${stk.payment.receiptNo}` : ""}`);
+      onPaid?.();
+    } else {
+      toast.error(stk.resultDesc || "M-Pesa payment was not completed");
+    }
+  }, [stk, onPaid]);
+
+  const waiting = !!requestId && (!stk || stk.status === "PENDING");
+  const canSend = !!invoice?.id && !disabled && phone.trim().length >= 9 && !pushMut.isPending && !waiting;
+
+  return (
+    <div className="border rounded-md p-3 space-y-3">
+      <div className="font-medium">Request M-Pesa payment</div>
+
+      <div className="grid gap-2 md:grid-cols-6">
+        <div className="md:col-span-3">
+          <div className="text-xs text-muted-foreground mb-1">Payer phone</div>
+          <Input
+            value={phone}
+            onChange={(e) => setPhone(e.target.value)}
+            placeholder="0712345678"
+            disabled={disabled || waiting}
+          />
+        </div>
+
+        <div className="md:col-span-2">
+          <div className="text-xs text-muted-foreground mb-1">Amount</div>
+          <Input
+            type="number"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder={balance > 0 ? String(balance) : "0"}
+            disabled={disabled || waiting}
+          />
+        </div>
+
+        <div className="md:col-span-1 flex items-end">
+          <Button className="w-full" disabled={!canSend} onClick={() => pushMut.mutate()}>
+            {pushMut.isPending ? "Sending…" : "Send"}
+          </Button>
+        </div>
+      </div>
+
+      <div className="text-xs text-muted-foreground">
+        The parent confirms on their phone with their M-Pesa PIN. Leave amount blank to request the balance (
+        {money(balance)}).
+      </div>
+
+      {stk && (
+        <div className="text-sm">
+          {stk.status === "PENDING" && <span className="text-muted-foreground">Waiting for the payer to confirm…</span>}
+          {stk.status === "SUCCESS" && (
+            <span>
+              Paid {money(stk.amount)} • M-Pesa {stk.transCode}
+              {stk.payment?.receiptNo ? ` • Receipt ${stk.payment.receiptNo}` : ""}
+            </span>
+          )}
+          {stk.status === "FAILED" && <span className="text-destructive">{stk.resultDesc || "Not completed"}</span>}
+        </div>
+      )}
+    </div>
+  );
+}
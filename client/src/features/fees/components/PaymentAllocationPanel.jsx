@@ -0,0 +1,74 @@
+import { useQuery } from "@tanstack/react-query";
+
+import { getFeeInvoice } from "@/api/fees.api";
+
+import { Input } from "@/components/ui/input";
+
+import QueryBlock from "./QueryBlock";
+import { money, toNumberOrZero } from "./FeeMoney";
+
+/**
+ * Manual split of a cashier payment over the invoice's fee items (vote heads).
+ * Controlled: amounts is { [feeItemId]: string }. Whatever is left unassigned follows item priority on the server.
+ */
+export default function PaymentAllocationPanel({ invoiceId, amount, amounts, onChange, disabled = false }) {
+  const invQ = useQuery({
+    queryKey: ["feeInvoice", invoiceId],
+    queryFn: () => getFeeInvoice(invoiceId),
+    enabled: !!invoiceId,
+  });
+
+  const heads = (invQ.data?.voteHeads || []).filter((h) => toNumberOrZero(h.balance) > 0);
+  const assigned = Object.values(amounts || {}).reduce((sum, v) => sum + toNumberOrZero(v), 0);
+  const toInvoice = Math.min(toNumberOrZero(amount), toNumberOrZero(invQ.data?.balance));
+  const over = heads.find((h) => toNumberOrZero(amounts?.[h.feeItemId]) > toNumberOrZero(h.balance));
+
+  return (
+    <div className="border rounded-md p-3 space-y-2">
+      <div className="text-sm font-medium">Allocate to fee items</div>
+
+      <QueryBlock
+        isLoading={invQ.isLoading}
+        isError={invQ.isError}
+        error={invQ.error}
+        empty={heads.length === 0}
+        emptyText="Nothing outstanding on this invoice's items."
+      >
+        <div className="grid gap-2">
+          {heads.map((h) => (
+            <div key={h.feeItemId} className="grid gap-2 md:grid-cols-12 items-center">
+              <div className="md:col-span-6 text-sm">
+                {h.name || "Fee item"}
+                {h.code ? <span className="text-xs text-muted-foreground"> • {h.code}</span> : null}
+              </div>
+              <div className="md:col-span-3 text-xs text-muted-foreground">Owes {money(h.balance)}</div>
+              <div className="md:col-span-3">
+                <Input
+                  type="number"
+                  placeholder="0"
+                  value={amounts?.[h.feeItemId] ?? ""}
+                  onChange={(e) => onChange(h.feeItemId, e.target.value)}
+                  disabled={disabled}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      </QueryBlock>
+
+      {over ? (
+        <div className="text-sm text-destructive">
+          {over.name || "Fee item"} only owes {money(over.balance)}.
+        </div>
+      ) : assigned > toInvoice ? (
+        <div className="text-sm text-destructive">
+          Allocated {money(assigned)} but only {money(toInvoice)} goes to this invoice.
+        </div>
+      ) : (
+        <div className="text-xs text-muted-foreground">
+          {money(Math.max(toInvoice - assigned, 0))} left will follow fee item priority.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import { useState } from "react";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { setFeePlanInstallments } from "@/api/fees.api";
+
+import { Button } from "@/components/ui/button";
+
+import SimpleModal from "./SimpleModal";
+import InstallmentScheduleEditor from "./InstallmentScheduleEditor";
+import { scheduleError, toSchedulePayload, toScheduleRows } from "./FeeInstallments";
+
+/**
+ * Edit a plan's installment schedule. Mount with key={plan.id} so the form starts from the saved schedule.
+ */
+export default function PlanInstallmentsModal({ plan, open, onClose }) {
+  const qc = useQueryClient();
+  const [rows, setRows] = useState(() => toScheduleRows(plan?.installments));
+  const [applyToInvoices, setApplyToInvoices] = useState(false);
+
+  const total = (plan?.items || []).reduce((s, it) => s + (it.amount || 0), 0);
+
+  const saveMut = useMutation({
+    mutationFn: () =>
+      setFeePlanInstallments(plan.id, { installments: toSchedulePayload(rows), applyToInvoices }),
+    onSuccess: (data) => {
+      toast.success(
+        applyToInvoices
+          ? `Schedule saved • ${data?.invoicesUpdated || 0} invoice(s) updated`
+          : "Schedule saved for new invoices"
+      );
+      qc.invalidateQueries({ queryKey: ["feePlans"] });
+      qc.invalidateQueries({ queryKey: ["feeInvoices"] });
+      onClose();
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to save schedule"),
+  });
+
+  return (
+    <SimpleModal
+      title={`Installments • ${plan?.title || "Fee Plan"} • ${plan?.term || ""} ${plan?.year || ""}`}
+      open={open}
+      onClose={onClose}
+      footer={
+        <div className="flex items-center justify-between gap-2">
+          <label className="flex items-center gap-2 text-xs">
+            <input type="checkbox" checked={applyToInvoices} onChange={(e) => setApplyToInvoices(e.target.checked)} />
+            Also update invoices already generated from this plan
+          </label>
+          <Button disabled={!!scheduleError(rows) || saveMut.isPending} onClick={() => saveMut.mutate()}>
+            {saveMut.isPending ? "Saving…" : "Save schedule"}
+          </Button>
+        </div>
+      }
+    >
+      <InstallmentScheduleEditor value={rows} onChange={setRows} total={total} />
+    </SimpleModal>
+  );
+}
@@ -9,7 +9,7 @@ export default function StudentLookupByAdmission({
   onSelect,
   defaultAdmissionNo = "",
   label = "Admission No",
-  helperText = "Type admission number then click Use Student.",
+  helperText = "Type or scan (ID card QR) the admission number, then press Enter.",
 }) {
   const [admissionNo, setAdmissionNo] = useState(defaultAdmissionNo);
   const [error, setError] = useState("");
@@ -29,8 +29,16 @@ export default function StudentLookupByAdmission({
     },
   });
 
+  // barcode/QR scanners type the code and press Enter, so the form submit is the scan path
+  const submit = (e) => {
+    e.preventDefault();
+    const adm = admissionNo.trim();
+    if (!adm || lookupMut.isPending) return;
+    lookupMut.mutate(adm);
+  };
+
   return (
-    <div className="grid gap-2 md:grid-cols-4">
+    <form className="grid gap-2 md:grid-cols-4" onSubmit={submit}>
       <Input
         placeholder={`${label} (e.g. ADM0001)`}
         value={admissionNo}
@@ -38,8 +46,8 @@ export default function StudentLookupByAdmission({
       />
 
       <Button
+        type="submit"
         className="md:col-span-1"
-        onClick={() => lookupMut.mutate(admissionNo)}
         disabled={!admissionNo || lookupMut.isPending}
       >
         {lookupMut.isPending ? "Searching…" : "Use Student"}
@@ -53,6 +61,6 @@ export default function StudentLookupByAdmission({
           <span className="text-destructive">{error}</span>
         )}
       </div>
-    </div>
+    </form>
   );
 }
@@ -49,6 +49,11 @@ function normalizeReceipt(raw) {
   const invoiceTotal = Number(r.invoice?.total ?? r.invoiceTotal ?? 0);
   const paid = Number(r.invoice?.paid ?? r.totalPaid ?? 0);
   const balance = Number(r.invoice?.balance ?? r.balance ?? 0);
+  const creditApplied = Number(r.invoice?.creditApplied ?? 0);
+
+  // overpayment carried forward by this payment + the student's credit now
+  const creditCreated = Number(r.credit?.created ?? r.payment?.creditAmount ?? 0);
+  const creditBalance = Number(r.credit?.balance ?? 0);
 
   const receivedBy =
     r.receivedByName ||
@@ -57,6 +62,12 @@ function normalizeReceipt(raw) {
     r.payment?.receivedByUser?.email ||
     "Cashier";
 
+  // how this payment was split over the invoice's fee items
+  const allocations = (Array.isArray(r.allocations) ? r.allocations : []).map((a) => ({
+    name: a.name || a.code || "Fee item",
+    amount: Number(a.amount || 0),
+  }));
+
   const narrative =
     r.narrative ||
     r.payment?.narrative ||
@@ -79,6 +90,10 @@ function normalizeReceipt(raw) {
     invoiceTotal,
     paid,
     balance,
+    creditApplied,
+    creditCreated,
+    creditBalance,
+    allocations,
     receivedBy,
     narrative,
   };
@@ -169,6 +184,17 @@ function A4Receipt({ r }) {
         <div className="fees-a4__amountValue">KSh {money(r.amount)}</div>
       </div>
 
+      {r.allocations.length > 0 && (
+        <div className="fees-a4__totals">
+          {r.allocations.map((a) => (
+            <div key={a.name} className="fees-a4__totalsRow">
+              <span>{a.name}</span>
+              <b>KSh {money(a.amount)}</b>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="fees-a4__totals">
         <div className="fees-a4__totalsRow">
           <span>Invoice Total</span>
@@ -180,10 +206,31 @@ function A4Receipt({ r }) {
           <b>KSh {money(r.paid)}</b>
         </div>
 
+        {r.creditApplied > 0 && (
+          <div className="fees-a4__totalsRow">
+            <span>Credit Applied</span>
+            <b>KSh {money(r.creditApplied)}</b>
+          </div>
+        )}
+
         <div className="fees-a4__totalsRow fees-a4__totalsRow--strong">
           <span>Balance</span>
           <b>KSh {money(r.balance)}</b>
         </div>
+
+        {r.creditCreated > 0 && (
+          <div className="fees-a4__totalsRow">
+            <span>Carried Forward as Credit</span>
+            <b>KSh {money(r.creditCreated)}</b>
+          </div>
+        )}
+
+        {(r.creditCreated > 0 || r.creditBalance > 0) && (
+          <div className="fees-a4__totalsRow">
+            <span>Credit Balance</span>
+            <b>KSh {money(r.creditBalance)}</b>
+          </div>
+        )}
       </div>
 
       <div className="fees-a4__footer">
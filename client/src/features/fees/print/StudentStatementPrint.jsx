@@ -0,0 +1,149 @@
+import { money } from "../components/FeeMoney";
+import PrintDocument from "../../../components/print/PrintDocument";
+
+const CREDIT_LABELS = {
+  OVERPAYMENT: "Overpayment carried forward",
+  APPLIED: "Credit applied",
+  UNAPPLIED: "Credit returned",
+  REVERSAL: "Credit removed",
+};
+
+function fmtDate(d) {
+  try {
+    return d ? new Date(d).toISOString().slice(0, 10) : "—";
+  } catch {
+    return "—";
+  }
+}
+
+function describe(t) {
+  if (t.type === "INVOICE") {
+    return `Invoice ${t.invoiceNo || "—"} • ${t.term || ""} ${t.year || ""}`.trim();
+  }
+  if (t.type === "ADJUSTMENT") {
+    return [`${t.adjustmentType}${t.feeItem ? ` (${t.feeItem})` : ""}`, t.reason, t.sponsor].filter(Boolean).join(" • ");
+  }
+  if (t.type === "PAYMENT") {
+    return `Payment • ${t.method || ""} • Receipt ${t.receiptNo || "—"}`;
+  }
+  if (t.type === "REFUND") {
+    return `Refund • ${t.method || ""} • Voucher ${t.voucherNo || "—"}`;
+  }
+  return `${CREDIT_LABELS[t.entryType] || "Credit"}${t.invoiceNo ? ` • ${t.invoiceNo}` : ""}`;
+}
+
+/**
+ * Printable fee statement with running balances across terms.
+ * statement = GET /api/fees/students/:studentId/statement
+ * Keep mounted; printTarget("print-fees-statement") prints it.
+ */
+export default function StudentStatementPrint({ statement }) {
+  const student = statement?.student;
+  const totals = statement?.totals || {};
+  const filters = statement?.filters || {};
+  const timeline = Array.isArray(statement?.timeline) ? statement.timeline : [];
+  const opening = Number(totals.openingBalance || 0);
+  const voteHeads = (Array.isArray(statement?.voteHeads) ? statement.voteHeads : []).filter(
+    (h) => Number(h.balance || 0) > 0
+  );
+
+  return (
+    <PrintDocument id="print-fees-statement">
+      {!statement ? null : (
+        <div className="space-y-4">
+          <div className="text-center">
+            <div className="text-base font-semibold">Student Fee Statement</div>
+            <div className="text-sm opacity-70">
+              {filters.term || "All terms"} {filters.year || ""}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <div>
+              <b>Student:</b> {`${student?.firstName || ""} ${student?.lastName || ""}`.trim() || "—"}
+            </div>
+            <div>
+              <b>Admission No:</b> {student?.admissionNo || "—"}
+            </div>
+            <div>
+              <b>Printed:</b> {new Date().toLocaleString()}
+            </div>
+            <div>
+              <b>Credit available:</b> KSh {money(totals.creditBalance || 0)}
+            </div>
+          </div>
+
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr>
+                <th className="text-left p-2">Date</th>
+                <th className="text-left p-2">Description</th>
+                <th className="text-right p-2">Debit</th>
+                <th className="text-right p-2">Credit</th>
+                <th className="text-right p-2">Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(filters.year || opening !== 0) && (
+                <tr>
+                  <td className="p-2" />
+                  <td className="p-2 font-medium">Balance b/f</td>
+                  <td className="p-2" />
+                  <td className="p-2" />
+                  <td className="p-2 text-right font-medium">{money(opening)}</td>
+                </tr>
+              )}
+
+              {timeline.map((t) => (
+                <tr key={`${t.type}-${t.ref}`}>
+                  <td className="p-2">{fmtDate(t.at)}</td>
+                  <td className="p-2">{describe(t)}</td>
+                  <td className="p-2 text-right">{t.movement > 0 ? money(t.movement) : ""}</td>
+                  <td className="p-2 text-right">{t.movement < 0 ? money(-t.movement) : ""}</td>
+                  <td className="p-2 text-right">{t.type === "CREDIT" ? "" : money(t.runningBalance)}</td>
+                </tr>
+              ))}
+
+              <tr>
+                <td className="p-2" />
+                <td className="p-2 font-semibold">Closing balance</td>
+                <td className="p-2" />
+                <td className="p-2" />
+                <td className="p-2 text-right font-semibold">{money(totals.closingBalance || 0)}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          {voteHeads.length > 0 && (
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr>
+                  <th className="text-left p-2">Outstanding by fee item</th>
+                  <th className="text-right p-2">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {voteHeads.map((h) => (
+                  <tr key={h.feeItemId}>
+                    <td className="p-2">{h.name || "Fee item"}</td>
+                    <td className="p-2 text-right">{money(h.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div className="text-xs opacity-70">
+            A negative balance is money held as credit for the student. Arrears brought forward onto a new term are
+            settled before that term's charges.
+          </div>
+
+          <div className="mt-10 grid grid-cols-2 gap-8">
+            <div className="border-t pt-2 text-sm">Bursar</div>
+            <div className="border-t pt-2 text-sm">Signature &amp; Stamp</div>
+          </div>
+        </div>
+      )}
+    </PrintDocument>
+  );
+}
@@ -0,0 +1,517 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import {
+  listBankMappings,
+  listBankStatements,
+  importBankStatement,
+  getBankStatement,
+  getBankReconciliationReport,
+  downloadBankReconciliationCsv,
+  confirmBankLine,
+  rejectBankLine,
+  reopenBankLine,
+} from "@/api/reconciliation.api";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+
+import QueryBlock from "../components/QueryBlock";
+import SimpleModal from "../components/SimpleModal";
+import BankMappingsCard from "../components/BankMappingsCard";
+import BankLineAllocateModal from "../components/BankLineAllocateModal";
+import { money } from "../components/FeeMoney";
+
+const selectCls = "h-10 rounded-md border bg-background px-3 text-sm";
+
+const STATUSES = ["SUGGESTED", "UNMATCHED", "DUPLICATE", "POSTED", "RECONCILED", "REJECTED"];
+const OPEN_STATUSES = ["SUGGESTED", "UNMATCHED", "DUPLICATE"];
+
+const STATUS_VARIANT = {
+  SUGGESTED: "secondary",
+  UNMATCHED: "destructive",
+  DUPLICATE: "outline",
+  POSTED: "default",
+  RECONCILED: "default",
+  REJECTED: "outline",
+};
+
+const REPORT_GROUPS = [
+  { key: "matched", label: "Matched" },
+  { key: "pending", label: "Pending review" },
+  { key: "unmatched", label: "Unmatched" },
+  { key: "duplicate", label: "Duplicates" },
+  { key: "rejected", label: "Rejected" },
+];
+
+function fmtDate(d) {
+  return d ? new Date(d).toLocaleDateString() : "—";
+}
+
+function countOf(counts, status) {
+  return counts?.[status]?.count || 0;
+}
+
+function LineTarget({ line }) {
+  if (line.allocations?.length) {
+    return (
+      <div className="space-y-0.5">
+        {line.allocations.map((a) => (
+          <div key={a.id}>
+            {a.invoice?.invoiceNo || "—"} • {a.invoice?.student?.admissionNo || ""} • {money(a.amount)}
+            {a.payment?.receiptNo && <span className="text-muted-foreground"> • {a.payment.receiptNo}</span>}
+            {a.payment?.isReversed && <span className="text-destructive"> (reversed)</span>}
+          </div>
+        ))}
+      </div>
+    );
+  }
+  if (line.matchedPayment) {
+    return (
+      <div>
+        Receipt {line.matchedPayment.receiptNo || "—"} • {line.matchedPayment.method}
+        {line.matchedPayment.isReversed && <span className="text-destructive"> (reversed)</span>}
+      </div>
+    );
+  }
+  if (line.suggestedInvoice) {
+    const inv = line.suggestedInvoice;
+    return (
+      <div>
+        {inv.invoiceNo || "—"} • {inv.student?.admissionNo || ""} {inv.student?.firstName || ""} • Bal{" "}
+        {money(inv.balance)}
+      </div>
+    );
+  }
+  return <span className="text-muted-foreground">—</span>;
+}
+
+/**
+ * Bank reconciliation: import a bank CSV, review suggested matches, post or reject each credit line,
+ * and produce a matched / unmatched report per statement.
+ */
+export default function BankReconciliationTab() {
+  const qc = useQueryClient();
+
+  const [mappingId, setMappingId] = useState("");
+  const [bankName, setBankName] = useState("");
+  const [file, setFile] = useState(null);
+  const [fileKey, setFileKey] = useState(0);
+  const [preview, setPreview] = useState(null);
+
+  const [statementId, setStatementId] = useState("");
+  const [statusFilter, setStatusFilter] = useState("");
+
+  const [allocating, setAllocating] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [rejectReason, setRejectReason] = useState("");
+
+  const mappingsQ = useQuery({ queryKey: ["bankMappings"], queryFn: listBankMappings });
+  const statementsQ = useQuery({ queryKey: ["bankStatements"], queryFn: listBankStatements });
+
+  const statementQ = useQuery({
+    queryKey: ["bankStatement", statementId, statusFilter],
+    queryFn: () => getBankStatement(statementId, statusFilter ? { status: statusFilter } : {}),
+    enabled: !!statementId,
+  });
+  const reportQ = useQuery({
+    queryKey: ["bankStatement", statementId, "report"],
+    queryFn: () => getBankReconciliationReport(statementId),
+    enabled: !!statementId,
+  });
+
+  const mappings = (Array.isArray(mappingsQ.data) ? mappingsQ.data : []).filter((m) => m.isActive);
+  const statements = Array.isArray(statementsQ.data) ? statementsQ.data : [];
+  const statement = statementQ.data;
+  const lines = Array.isArray(statement?.lines) ? statement.lines : [];
+  const report = reportQ.data;
+
+  const refresh = () => {
+    qc.invalidateQueries({ queryKey: ["bankStatements"] });
+    qc.invalidateQueries({ queryKey: ["bankStatement", statementId] });
+  };
+  const afterPosting = () => {
+    refresh();
+    qc.invalidateQueries({ queryKey: ["feeInvoices"] });
+  };
+  const errMsg = (err, fallback) => err?.response?.data?.message || fallback;
+
+  const importMut = useMutation({
+    mutationFn: (dryRun) => importBankStatement({ file, mappingId, bankName: bankName.trim(), dryRun }),
+    onSuccess: (data) => {
+      if (data?.dryRun) {
+        setPreview(data);
+        return;
+      }
+      const s = data?.summary || {};
+      toast.success(`Imported ${s.lines || 0} lines • ${s.suggested || 0} matched • ${s.unmatched || 0} unmatched`);
+      setPreview(null);
+      setFile(null);
+      setFileKey((k) => k + 1);
+      setStatementId(data?.statement?.id || "");
+      setStatusFilter("");
+      qc.invalidateQueries({ queryKey: ["bankStatements"] });
+    },
+    onError: (err) => toast.error(errMsg(err, "Failed to read statement")),
+  });
+
+  const confirmMut = useMutation({
+    mutationFn: ({ id, allocations }) => confirmBankLine(id, allocations ? { allocations } : {}),
+    onSuccess: (line) => {
+      toast.success(line?.status === "RECONCILED" ? "Line reconciled" : "Payment posted");
+      setAllocating(null);
+      afterPosting();
+    },
+    onError: (err) => toast.error(errMsg(err, "Failed to confirm line")),
+  });
+
+  const rejectMut = useMutation({
+    mutationFn: () => rejectBankLine(rejecting.id, { reason: rejectReason.trim() }),
+    onSuccess: () => {
+      toast.success("Line rejected");
+      setRejecting(null);
+      setRejectReason("");
+      refresh();
+    },
+    onError: (err) => toast.error(errMsg(err, "Failed to reject line")),
+  });
+
+  const reopenMut = useMutation({
+    mutationFn: (id) => reopenBankLine(id),
+    onSuccess: () => {
+      toast.success("Line reopened");
+      refresh();
+    },
+    onError: (err) => toast.error(errMsg(err, "Failed to reopen line")),
+  });
+
+  const downloadMut = useMutation({
+    mutationFn: () => downloadBankReconciliationCsv(statementId),
+    onError: (err) => toast.error(errMsg(err, "Failed to download report")),
+  });
+
+  const canImport = !!file && !!mappingId && !importMut.isPending;
+
+  return (
+    <div className="grid gap-3">
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base">Import bank statement</CardTitle>
+          <div className="text-xs text-muted-foreground">
+            Upload the bank&apos;s CSV export. Only credits are imported; each is matched to an invoice by
+            reference, admission number or an existing bank/cheque receipt. Nothing is posted until you confirm it.
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          <div className="grid gap-2 md:grid-cols-4">
+            <select
+              className={selectCls}
+              value={mappingId}
+              onChange={(e) => {
+                setMappingId(e.target.value);
+                setPreview(null);
+              }}
+            >
+              <option value="">Bank format…</option>
+              {mappings.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.name}
+                </option>
+              ))}
+            </select>
+            <Input
+              key={fileKey}
+              type="file"
+              accept=".csv,.txt,text/csv"
+              onChange={(e) => {
+                setFile(e.target.files?.[0] || null);
+                setPreview(null);
+              }}
+            />
+            <Input placeholder="Bank / account (optional)" value={bankName} onChange={(e) => setBankName(e.target.value)} />
+            <div className="flex gap-2">
+              <Button variant="outline" disabled={!canImport} onClick={() => importMut.mutate(true)}>
+                Preview
+              </Button>
+              <Button disabled={!canImport} onClick={() => importMut.mutate(false)}>
+                {importMut.isPending ? "Reading…" : "Import"}
+              </Button>
+            </div>
+          </div>
+
+          {preview && (
+            <div className="border rounded-md p-3 space-y-2 text-xs">
+              {preview.alreadyImported && (
+                <div className="text-destructive">
+                  This file was already imported as {preview.alreadyImported.fileName}.
+                </div>
+              )}
+              <div>
+                {preview.summary.lines} credit lines • {money(preview.summary.totalCredits)} •{" "}
+                {fmtDate(preview.periodFrom)} – {fmtDate(preview.periodTo)} • {preview.summary.suggested} matched •{" "}
+                {preview.summary.unmatched} unmatched • {preview.summary.duplicate} duplicates •{" "}
+                {preview.summary.skipped} rows skipped
+              </div>
+              {preview.skipped?.length > 0 && (
+                <div className="text-muted-foreground">
+                  Skipped: {preview.skipped.map((s) => `row ${s.rowNo} (${s.reason})`).join(", ")}
+                </div>
+              )}
+              <div className="max-h-64 overflow-y-auto border rounded-md">
+                <table className="w-full">
+                  <thead className="bg-muted/60 sticky top-0">
+                    <tr>
+                      <th className="text-left p-2">Row</th>
+                      <th className="text-left p-2">Date</th>
+                      <th className="text-left p-2">Reference</th>
+                      <th className="text-right p-2">Amount</th>
+                      <th className="text-left p-2">Match</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.preview.map((l) => (
+                      <tr key={l.rowNo} className="border-t">
+                        <td className="p-2">{l.rowNo}</td>
+                        <td className="p-2">{fmtDate(l.txnDate)}</td>
+                        <td className="p-2">{l.reference || l.description || "—"}</td>
+                        <td className="p-2 text-right">{money(l.amount)}</td>
+                        <td className="p-2">
+                          <Badge variant={STATUS_VARIANT[l.status] || "outline"} className="text-[10px]">
+                            {l.status}
+                          </Badge>{" "}
+                          <span className="text-muted-foreground">{l.matchReason}</span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base">Statements</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <QueryBlock
+            isLoading={statementsQ.isLoading}
+            isError={statementsQ.isError}
+            error={statementsQ.error}
+            empty={!statementsQ.isLoading && !statementsQ.isError && statements.length === 0}
+            emptyText="No statements imported yet."
+          >
+            <div className="grid gap-2">
+              {statements.map((s) => {
+                const open = OPEN_STATUSES.reduce((n, st) => n + countOf(s.counts, st), 0);
+                return (
+                  <button
+                    key={s.id}
+                    type="button"
+                    onClick={() => {
+                      setStatementId(s.id);
+                      setStatusFilter("");
+                    }}
+                    className={`text-left border rounded-md p-2 hover:bg-muted/40 ${
+                      statementId === s.id ? "border-primary" : ""
+                    }`}
+                  >
+                    <div className="text-sm font-medium flex items-center gap-2">
+                      {s.bankName || s.mapping?.name || "Bank"} • {s.fileName}
+                      {open > 0 ? (
+                        <Badge variant="destructive">{open} to review</Badge>
+                      ) : (
+                        <Badge variant="secondary">Done</Badge>
+                      )}
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      {fmtDate(s.periodFrom)} – {fmtDate(s.periodTo)} • {s.lineCount} lines •{" "}
+                      {money(s.totalCredits)} • imported {fmtDate(s.createdAt)}
+                    </div>
+                  </button>
+                );
+              })}
+            </div>
+          </QueryBlock>
+        </CardContent>
+      </Card>
+
+      {statementId && (
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-base flex flex-wrap items-center justify-between gap-2">
+              <span>{statement ? `${statement.bankName || "Statement"} • ${statement.fileName}` : "Statement"}</span>
+              <div className="flex gap-2">
+                <select className={selectCls} value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+                  <option value="">All lines</option>
+                  {STATUSES.map((s) => (
+                    <option key={s} value={s}>
+                      {s} ({countOf(statement?.counts, s)})
+                    </option>
+                  ))}
+                </select>
+                <Button variant="outline" disabled={downloadMut.isPending} onClick={() => downloadMut.mutate()}>
+                  Download CSV
+                </Button>
+              </div>
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {report && (
+              <div className="grid gap-2 grid-cols-2 md:grid-cols-5">
+                {REPORT_GROUPS.map((g) => (
+                  <div key={g.key} className="border rounded-md p-2">
+                    <div className="text-xs text-muted-foreground">{g.label}</div>
+                    <div className="text-sm font-medium">{money(report.summary[g.key].amount)}</div>
+                    <div className="text-xs text-muted-foreground">{report.summary[g.key].count} lines</div>
+                  </div>
+                ))}
+              </div>
+            )}
+            {report?.summary.reversedAfterMatch.count > 0 && (
+              <div className="text-xs text-destructive">
+                {report.summary.reversedAfterMatch.count} matched line(s) (
+                {money(report.summary.reversedAfterMatch.amount)}) point to receipts that were later reversed.
+              </div>
+            )}
+
+            <QueryBlock
+              isLoading={statementQ.isLoading}
+              isError={statementQ.isError}
+              error={statementQ.error}
+              empty={!statementQ.isLoading && !statementQ.isError && lines.length === 0}
+              emptyText="No lines in this view."
+            >
+              <div className="max-h-[32rem] overflow-y-auto border rounded-md">
+                <table className="w-full text-xs">
+                  <thead className="bg-muted/60 sticky top-0">
+                    <tr>
+                      <th className="text-left p-2">Row</th>
+                      <th className="text-left p-2">Date</th>
+                      <th className="text-left p-2">Reference</th>
+                      <th className="text-right p-2">Amount</th>
+                      <th className="text-left p-2">Status</th>
+                      <th className="text-left p-2">Invoice / receipt</th>
+                      <th className="text-right p-2">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {lines.map((l) => {
+                      const isOpen = OPEN_STATUSES.includes(l.status);
+                      const canConfirm =
+                        isOpen &&
+                        ((l.matchedPayment && !l.matchedPayment.isReversed) || (!l.matchedPayment && l.suggestedInvoice));
+                      return (
+                        <tr key={l.id} className="border-t align-top">
+                          <td className="p-2">{l.rowNo}</td>
+                          <td className="p-2">{fmtDate(l.txnDate)}</td>
+                          <td className="p-2">
+                            <div>{l.reference || "—"}</div>
+                            {l.description && <div className="text-muted-foreground">{l.description}</div>}
+                          </td>
+                          <td className="p-2 text-right">{money(l.amount)}</td>
+                          <td className="p-2">
+                            <Badge variant={STATUS_VARIANT[l.status] || "outline"} className="text-[10px]">
+                              {l.status}
+                            </Badge>
+                            <div className="text-muted-foreground">{l.rejectReason || l.matchReason}</div>
+                          </td>
+                          <td className="p-2">
+                            <LineTarget line={l} />
+                          </td>
+                          <td className="p-2">
+                            <div className="flex flex-wrap justify-end gap-1">
+                              {canConfirm && (
+                                <Button
+                                  size="sm"
+                                  disabled={confirmMut.isPending}
+                                  onClick={() => confirmMut.mutate({ id: l.id })}
+                                >
+                                  {l.matchedPayment ? "Reconcile" : "Confirm"}
+                                </Button>
+                              )}
+                              {isOpen && (
+                                <Button size="sm" variant="outline" onClick={() => setAllocating(l)}>
+                                  Allocate
+                                </Button>
+                              )}
+                              {isOpen && (
+                                <Button size="sm" variant="ghost" onClick={() => setRejecting(l)}>
+                                  Reject
+                                </Button>
+                              )}
+                              {l.status === "REJECTED" && (
+                                <Button
+                                  size="sm"
+                                  variant="outline"
+                                  disabled={reopenMut.isPending}
+                                  onClick={() => reopenMut.mutate(l.id)}
+                                >
+                                  Reopen
+                                </Button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </QueryBlock>
+          </CardContent>
+        </Card>
+      )}
+
+      <BankMappingsCard />
+
+      {allocating && (
+        <BankLineAllocateModal
+          key={allocating.id}
+          line={allocating}
+          open
+          onClose={() => setAllocating(null)}
+          isPending={confirmMut.isPending}
+          onSubmit={(allocations) => confirmMut.mutate({ id: allocating.id, allocations })}
+        />
+      )}
+
+      {/* Reject modal */}
+      <SimpleModal
+        title={`Reject row ${rejecting?.rowNo || ""} • ${rejecting ? money(rejecting.amount) : ""}`}
+        open={!!rejecting}
+        onClose={() => {
+          setRejecting(null);
+          setRejectReason("");
+        }}
+        footer={
+          <div className="flex justify-end">
+            <Button
+              variant="destructive"
+              disabled={rejectReason.trim().length < 3 || rejectMut.isPending}
+              onClick={() => rejectMut.mutate()}
+            >
+              {rejectMut.isPending ? "Saving…" : "Reject line"}
+            </Button>
+          </div>
+        }
+      >
+        <div className="space-y-2">
+          <div className="text-xs text-muted-foreground">
+            Rejected lines stay on the report as not school fees (e.g. a grant, interest or a transfer between accounts).
+          </div>
+          <Input
+            value={rejectReason}
+            onChange={(e) => setRejectReason(e.target.value)}
+            placeholder="Reason (e.g. KCB interest credit)"
+          />
+        </div>
+      </SimpleModal>
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { listCashierSessions, openZReportPdf } from "@/api/cashier.api";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+
+import QueryBlock from "../components/QueryBlock";
+import CloseTillModal from "../components/CloseTillModal";
+import { money } from "../components/FeeMoney";
+
+const selectCls = "h-10 rounded-md border bg-background px-3 text-sm";
+
+function fmtWhen(d) {
+  return d ? new Date(d).toLocaleString() : "—";
+}
+
+function varianceCls(v) {
+  if (v == null || v === 0) return "";
+  return v < 0 ? "text-destructive font-medium" : "text-amber-600 font-medium";
+}
+
+/**
+ * Till sessions with their cash-up variances. Admins see every cashier (and can close a till left open);
+ * a bursar sees their own history.
+ */
+export default function CashierSessionsTab({ isAdmin = false }) {
+  const [status, setStatus] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [closing, setClosing] = useState(null);
+
+  const params = { status: status || undefined, from: from || undefined, to: to || undefined };
+
+  const sessionsQ = useQuery({
+    queryKey: ["cashierSessions", params],
+    queryFn: () => listCashierSessions(params),
+  });
+  const sessions = sessionsQ.data || [];
+
+  const closed = sessions.filter((s) => s.status === "CLOSED");
+  const totalVariance = closed.reduce((sum, s) => sum + Number(s.variance || 0), 0);
+  const shortCount = closed.filter((s) => Number(s.variance || 0) < 0).length;
+
+  const zReport = (id) => openZReportPdf(id).catch(() => toast.error("Failed to open report"));
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base">Till sessions</CardTitle>
+        </CardHeader>
+
+        <CardContent className="space-y-3">
+          <div className="flex flex-wrap items-end gap-2">
+            <div>
+              <div className="text-xs text-muted-foreground mb-1">Status</div>
+              <select className={selectCls} value={status} onChange={(e) => setStatus(e.target.value)}>
+                <option value="">All</option>
+                <option value="OPEN">Open</option>
+                <option value="CLOSED">Closed</option>
+              </select>
+            </div>
+            <div>
+              <div className="text-xs text-muted-foreground mb-1">Opened from</div>
+              <Input type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+            </div>
+            <div>
+              <div className="text-xs text-muted-foreground mb-1">to</div>
+              <Input type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+            </div>
+          </div>
+
+          {closed.length > 0 && (
+            <div className="text-sm">
+              Net variance over {closed.length} closed till(s):{" "}
+              <span className={varianceCls(totalVariance)}>{money(totalVariance)}</span>
+              {shortCount > 0 && <span className="text-muted-foreground"> • {shortCount} short</span>}
+            </div>
+          )}
+
+          <QueryBlock
+            isLoading={sessionsQ.isLoading}
+            isError={sessionsQ.isError}
+            error={sessionsQ.error}
+            empty={sessions.length === 0}
+            emptyText="No till sessions for this filter."
+          >
+            <div className="overflow-auto">
+              <table className="w-full text-sm">
+                <thead className="text-left text-xs text-muted-foreground">
+                  <tr>
+                    <th className="py-2">Cashier</th>
+                    <th>Opened</th>
+                    <th>Closed</th>
+                    <th className="text-right">Float</th>
+                    <th className="text-right">Expected</th>
+                    <th className="text-right">Counted</th>
+                    <th className="text-right">Variance</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {sessions.map((s) => (
+                    <tr key={s.id} className="border-t">
+                      <td className="py-2">
+                        <div>{s.cashierEmail || s.cashierId}</div>
+                        {s.closeNote && <div className="text-xs text-muted-foreground">{s.closeNote}</div>}
+                      </td>
+                      <td>{fmtWhen(s.openedAt)}</td>
+                      <td>
+                        {s.status === "OPEN" ? <Badge variant="secondary">Open</Badge> : fmtWhen(s.closedAt)}
+                      </td>
+                      <td className="text-right">{money(s.openingFloat)}</td>
+                      <td className="text-right">{money(s.expectedTotal)}</td>
+                      <td className="text-right">{s.countedTotal == null ? "—" : money(s.countedTotal)}</td>
+                      <td className={`text-right ${varianceCls(s.variance)}`}>
+                        {s.variance == null ? "—" : money(s.variance)}
+                      </td>
+                      <td className="text-right">
+                        <div className="flex justify-end gap-2">
+                          <Button size="sm" variant="outline" onClick={() => zReport(s.id)}>
+                            {s.status === "OPEN" ? "X-report" : "Z-report"}
+                          </Button>
+                          {isAdmin && s.status === "OPEN" && (
+                            <Button size="sm" variant="outline" onClick={() => setClosing(s)}>
+                              Close
+                            </Button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </QueryBlock>
+        </CardContent>
+      </Card>
+
+      {closing && (
+        <CloseTillModal key={closing.id} session={closing} open onClose={() => setClosing(null)} />
+      )}
+    </div>
+  );
+}
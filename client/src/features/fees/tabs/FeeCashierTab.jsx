@@ -23,6 +23,9 @@ import { Input } from "@/components/ui/input";
 import StudentLookupByAdmission from "../components/StudentLookupByAdmission";
 import QueryBlock from "../components/QueryBlock";
 import SimpleModal from "../components/SimpleModal";
+import MpesaStkPanel from "../components/MpesaStkPanel";
+import PaymentAllocationPanel from "../components/PaymentAllocationPanel";
+import CashierSessionBar from "../components/CashierSessionBar";
 import { money, toNumberOrZero } from "../components/FeeMoney";
 
 const PAYMENT_METHODS = ["CASH", "MPESA", "BANK", "CHEQUE", "OTHER"];
@@ -55,6 +58,10 @@ export default function FeeCashierTab({ onReceiptReady }) {
   const [amount, setAmount] = useState("");
   const [method, setMethod] = useState("CASH");
   const [reference, setReference] = useState("");
+  // manual split over fee items; only counts for the invoice it was entered against
+  const [manualSplit, setManualSplit] = useState(false);
+  const [split, setSplit] = useState({ invoiceId: "", amounts: {} });
+  const [carryForward, setCarryForward] = useState(true);
 
   // last receipt cache (quick reprint)
   const [lastReceipt, setLastReceipt] = useState(() => getInitialLastReceipt());
@@ -100,7 +107,7 @@ export default function FeeCashierTab({ onReceiptReady }) {
   const canPostPayment = isAdmin || isBursar;
   const canReversePayment = isAdmin || isBursar; // realistic school flow
   const canGenerateInvoice = isAdmin; // admin only
-  const canVoidInvoice = isAdmin; // admin only
+  const canVoidInvoice = isAdmin || isBursar; // bursar voids go to an admin for approval
 
   // defense-in-depth: this tab should only be used by cashier roles
   const isCashierRole = canPostPayment;
@@ -155,6 +162,10 @@ export default function FeeCashierTab({ onReceiptReady }) {
   const activeInvoiceBalance = toNumberOrZero(activeInvoice?.balance);
   const activeInvoiceIsVoid = String(activeInvoice?.status || "").toUpperCase() === "VOID";
 
+  const splitAmounts = split.invoiceId === activeInvoiceId ? split.amounts : {};
+  const setSplitAmount = (feeItemId, value) =>
+    setSplit({ invoiceId: activeInvoiceId, amounts: { ...splitAmounts, [feeItemId]: value } });
+
   const activePayments = useMemo(() => {
     const p = activeInvoice?.payments;
     return Array.isArray(p) ? p : [];
@@ -244,6 +255,8 @@ export default function FeeCashierTab({ onReceiptReady }) {
     mutationFn: createFeePayment,
     onSuccess: async (res) => {
       await qc.invalidateQueries({ queryKey: ["feeInvoices", { studentId, year, term }] });
+      qc.invalidateQueries({ queryKey: ["feeInvoice"] });
+      qc.invalidateQueries({ queryKey: ["cashierSession"] });
 
       const payment = res?.payment || null;
       if (!payment?.id) {
@@ -254,6 +267,7 @@ export default function FeeCashierTab({ onReceiptReady }) {
       // reset form
       setAmount("");
       setReference("");
+      setSplit({ invoiceId: "", amounts: {} });
 
       // cache quick reprint
       persistReceipt({
@@ -264,7 +278,8 @@ export default function FeeCashierTab({ onReceiptReady }) {
         createdAt: payment.createdAt || null,
       });
 
-      toast.success("Payment posted");
+      const carried = toNumberOrZero(res?.credit?.created);
+      toast.success(carried > 0 ? `Payment posted • ${money(carried)} carried forward as credit` : "Payment posted");
 
       // print
       await printPaymentId(payment.id);
@@ -277,11 +292,20 @@ export default function FeeCashierTab({ onReceiptReady }) {
 
   const reverseMut = useMutation({
     mutationFn: async ({ paymentId, reason }) => reverseFeePayment(paymentId, { reason }),
-    onSuccess: async () => {
-      await qc.invalidateQueries({ queryKey: ["feeInvoices", { studentId, year, term }] });
+    onSuccess: async (res) => {
       setReverseReason("");
       setReverseOpen(false);
       setSelectedPaymentForReverse(null);
+
+      // above the school's threshold the reversal waits for an admin
+      if (res?.approval) {
+        qc.invalidateQueries({ queryKey: ["feeApprovals"] });
+        toast.success(res.message || "Reversal sent for approval");
+        return;
+      }
+
+      await qc.invalidateQueries({ queryKey: ["feeInvoices", { studentId, year, term }] });
+      qc.invalidateQueries({ queryKey: ["cashierSession"] });
       toast.success("Payment reversed");
     },
     onError: (err) => {
@@ -292,10 +316,17 @@ export default function FeeCashierTab({ onReceiptReady }) {
 
   const voidMut = useMutation({
     mutationFn: async ({ invoiceId, reason }) => voidFeeInvoice(invoiceId, { reason }),
-    onSuccess: async () => {
-      await qc.invalidateQueries({ queryKey: ["feeInvoices", { studentId, year, term }] });
+    onSuccess: async (res) => {
       setVoidReason("");
       setVoidOpen(false);
+
+      if (res?.approval) {
+        qc.invalidateQueries({ queryKey: ["feeApprovals"] });
+        toast.success(res.message || "Void sent for approval");
+        return;
+      }
+
+      await qc.invalidateQueries({ queryKey: ["feeInvoices", { studentId, year, term }] });
       toast.success("Invoice voided");
     },
     onError: (err) => {
@@ -322,7 +353,7 @@ export default function FeeCashierTab({ onReceiptReady }) {
     if (!classId) return toast.error("Student has no class assigned. Assign class first.");
     if (!chosenPlan?.id) return toast.error("No fee plan for this class/year/term.");
 
-    genInvMut.mutate({ studentId, classId, year, term, feePlanId: chosenPlan.id });
+    genInvMut.mutate({ studentId, classId, year, term, feePlanId: chosenPlan.id, carryForward });
   };
 
   const startPay = (inv) => {
@@ -341,13 +372,25 @@ export default function FeeCashierTab({ onReceiptReady }) {
 
     const amt = toNumberOrZero(amount);
     if (amt <= 0) return toast.error("Enter a valid amount");
-    if (amt > activeInvoiceBalance) return toast.error("Overpayment is not allowed");
+
+    const allocations = manualSplit
+      ? Object.entries(splitAmounts)
+          .map(([feeItemId, v]) => ({ feeItemId, amount: toNumberOrZero(v) }))
+          .filter((a) => a.amount > 0)
+      : [];
+    if (allocations.some((a) => !Number.isInteger(a.amount))) {
+      return toast.error("Allocations must be whole amounts");
+    }
+    if (allocations.reduce((sum, a) => sum + a.amount, 0) > Math.min(amt, activeInvoiceBalance)) {
+      return toast.error("Allocations add up to more than goes to the invoice");
+    }
 
     payMut.mutate({
       invoiceId: activeInvoiceId,
       amount: amt,
       method,
       reference: reference.trim() || undefined,
+      allocations: allocations.length ? allocations : undefined,
     });
   };
 
@@ -370,7 +413,7 @@ export default function FeeCashierTab({ onReceiptReady }) {
 
   const confirmVoid = () => {
     if (!activeInvoice?.id) return;
-    if (!canVoidInvoice) return toast.error("Only ADMIN can void invoices");
+    if (!canVoidInvoice) return toast.error("Only ADMIN or BURSAR can void invoices");
     const reason = voidReason.trim();
     if (!reason) return toast.error("Reason is required");
     if (isReadOnly) return toast.error("Read-only mode");
@@ -433,6 +476,9 @@ export default function FeeCashierTab({ onReceiptReady }) {
         </Card>
       )}
 
+      {/* Till (cashier session) */}
+      {canPostPayment && <CashierSessionBar disabled={isReadOnly} />}
+
       {/* Top controls */}
       <Card>
         <CardHeader>
@@ -542,7 +588,14 @@ export default function FeeCashierTab({ onReceiptReady }) {
               <div className="flex flex-wrap items-center justify-between gap-2">
                 <div className="font-medium">Invoices</div>
 
-                <div className="flex gap-2 flex-wrap">
+                <div className="flex gap-2 flex-wrap items-center">
+                  {canGenerateInvoice && (
+                    <label className="flex items-center gap-2 text-xs text-muted-foreground">
+                      <input type="checkbox" checked={carryForward} onChange={(e) => setCarryForward(e.target.checked)} />
+                      Bring forward unpaid balances
+                    </label>
+                  )}
+
                   <Button
                     variant="outline"
                     disabled={
@@ -586,6 +639,7 @@ export default function FeeCashierTab({ onReceiptReady }) {
                     const isActive = inv.id === (activeInvoice?.id || "");
                     const invNo = inv.invoiceNo || inv.id.slice(0, 6);
                     const voided = String(inv.status || "").toUpperCase() === "VOID";
+                    const carried = String(inv.status || "").toUpperCase() === "CARRIED_FORWARD";
 
                     return (
                       <div
@@ -598,11 +652,22 @@ export default function FeeCashierTab({ onReceiptReady }) {
                           <div className="text-sm font-medium">
                             Invoice #{invNo}{" "}
                             {voided && <span className="text-xs text-muted-foreground">(VOID)</span>}
+                            {carried && <span className="text-xs text-muted-foreground">(CARRIED FORWARD)</span>}
                           </div>
                           <div className="text-xs text-muted-foreground">
                             Total: {money(inv.total)} • Paid: {money(inv.paid)} • Balance:{" "}
                             <span className={bal > 0 ? "text-destructive" : ""}>{money(bal)}</span>
                           </div>
+                          {toNumberOrZero(inv.broughtForward) > 0 && (
+                            <div className="text-xs text-muted-foreground">
+                              Includes balance b/f {money(inv.broughtForward)} (paid first)
+                            </div>
+                          )}
+                          {toNumberOrZero(inv.due?.overdue) > 0 && (
+                            <div className="text-xs text-destructive">
+                              Overdue {money(inv.due.overdue)} • {inv.due.daysOverdue} days
+                            </div>
+                          )}
                         </div>
 
                         <div className="flex gap-2 flex-wrap">
@@ -692,6 +757,35 @@ export default function FeeCashierTab({ onReceiptReady }) {
                 </Button>
               </div>
 
+              {activeInvoiceId && !activeInvoiceIsVoid && activeInvoiceBalance > 0 && (
+                <label className="flex items-center gap-2 text-xs">
+                  <input
+                    type="checkbox"
+                    checked={manualSplit}
+                    onChange={(e) => setManualSplit(e.target.checked)}
+                    disabled={isReadOnly}
+                  />
+                  Choose which fee items this payment settles (otherwise by item priority)
+                </label>
+              )}
+
+              {manualSplit && activeInvoiceId && !activeInvoiceIsVoid && activeInvoiceBalance > 0 && (
+                <PaymentAllocationPanel
+                  invoiceId={activeInvoiceId}
+                  amount={amount}
+                  amounts={splitAmounts}
+                  onChange={setSplitAmount}
+                  disabled={isReadOnly || payMut.isPending}
+                />
+              )}
+
+              {activeInvoiceId && !activeInvoiceIsVoid && toNumberOrZero(amount) > activeInvoiceBalance && (
+                <div className="text-sm text-muted-foreground">
+                  {money(toNumberOrZero(amount) - activeInvoiceBalance)} above the balance will be carried forward
+                  as student credit.
+                </div>
+              )}
+
               {!activeInvoiceId && (
                 <div className="text-sm text-muted-foreground">Select an invoice or generate one first.</div>
               )}
@@ -700,6 +794,16 @@ export default function FeeCashierTab({ onReceiptReady }) {
               )}
             </div>
 
+            {/* M-Pesa STK push (posted from the callback) */}
+            {canPostPayment && activeInvoiceId && !activeInvoiceIsVoid && (
+              <MpesaStkPanel
+                key={activeInvoiceId}
+                invoice={activeInvoice}
+                disabled={isReadOnly}
+                onPaid={() => qc.invalidateQueries({ queryKey: ["feeInvoices", { studentId, year, term }] })}
+              />
+            )}
+
             {/* Payments on selected invoice */}
             {activePayments.length > 0 && (
               <div className="space-y-2">
@@ -773,7 +877,8 @@ export default function FeeCashierTab({ onReceiptReady }) {
       >
         <div className="space-y-2">
           <div className="text-sm text-muted-foreground">
-            This will mark the payment as reversed and restore balances.
+            This will mark the payment as reversed and restore balances. Large reversals wait for an admin&apos;s
+            approval.
           </div>
           <Input
             value={reverseReason}
@@ -809,6 +914,7 @@ export default function FeeCashierTab({ onReceiptReady }) {
         <div className="space-y-2">
           <div className="text-sm text-muted-foreground">
             This will void the selected invoice. Reverse payments first if any exist.
+            {!isAdmin && " An admin must approve the void before it takes effect."}
           </div>
           <Input
             value={voidReason}
@@ -0,0 +1,236 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import {
+  listFeeItems,
+  listDiscountPolicies,
+  createDiscountPolicy,
+  updateDiscountPolicy,
+  listStudentDiscounts,
+  attachStudentDiscount,
+  detachStudentDiscount,
+} from "@/api/fees.api";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+
+import QueryBlock from "../components/QueryBlock";
+import StudentLookupByAdmission from "../components/StudentLookupByAdmission";
+import { money } from "../components/FeeMoney";
+
+const POLICIES_KEY = ["feeDiscountPolicies"];
+
+const selectCls = "h-10 rounded-md border bg-background px-3 text-sm";
+
+const emptyPolicy = { name: "", mode: "percent", value: "", feeItemId: "", description: "" };
+
+function describePolicy(p) {
+  const value = p.percent != null ? `${p.percent}%` : money(p.amount);
+  return `${value} off ${p.feeItem?.name || "whole invoice"}`;
+}
+
+export default function FeeDiscountsTab() {
+  const qc = useQueryClient();
+
+  const [draft, setDraft] = useState(emptyPolicy);
+  const [student, setStudent] = useState(null);
+  const [attachId, setAttachId] = useState("");
+  const studentId = student?.id || "";
+
+  const itemsQ = useQuery({ queryKey: ["feeItems"], queryFn: listFeeItems });
+  const policiesQ = useQuery({ queryKey: POLICIES_KEY, queryFn: listDiscountPolicies });
+  const attachedQ = useQuery({
+    queryKey: ["studentFeeDiscounts", studentId],
+    queryFn: () => listStudentDiscounts(studentId),
+    enabled: !!studentId,
+  });
+
+  const feeItems = Array.isArray(itemsQ.data) ? itemsQ.data.filter((x) => x.isActive) : [];
+  const policies = Array.isArray(policiesQ.data) ? policiesQ.data : [];
+  const attached = Array.isArray(attachedQ.data) ? attachedQ.data : [];
+  const attachedIds = new Set(attached.map((a) => a.policyId));
+
+  const onError = (fallback) => (err) => toast.error(err?.response?.data?.message || fallback);
+
+  const createMut = useMutation({
+    mutationFn: () =>
+      createDiscountPolicy({
+        name: draft.name.trim(),
+        description: draft.description.trim() || null,
+        feeItemId: draft.feeItemId || null,
+        [draft.mode === "percent" ? "percent" : "amount"]: Number(draft.value),
+      }),
+    onSuccess: () => {
+      toast.success("Discount policy created");
+      setDraft(emptyPolicy);
+      qc.invalidateQueries({ queryKey: POLICIES_KEY });
+    },
+    onError: onError("Failed to create policy"),
+  });
+
+  const toggleMut = useMutation({
+    mutationFn: (p) => updateDiscountPolicy(p.id, { isActive: !p.isActive }),
+    onSuccess: () => qc.invalidateQueries({ queryKey: POLICIES_KEY }),
+    onError: onError("Failed to update policy"),
+  });
+
+  const attachMut = useMutation({
+    mutationFn: () => attachStudentDiscount(studentId, { policyId: attachId }),
+    onSuccess: () => {
+      toast.success("Policy attached");
+      setAttachId("");
+      qc.invalidateQueries({ queryKey: ["studentFeeDiscounts", studentId] });
+      qc.invalidateQueries({ queryKey: POLICIES_KEY });
+    },
+    onError: onError("Failed to attach policy"),
+  });
+
+  const detachMut = useMutation({
+    mutationFn: (policyId) => detachStudentDiscount(studentId, policyId),
+    onSuccess: () => {
+      qc.invalidateQueries({ queryKey: ["studentFeeDiscounts", studentId] });
+      qc.invalidateQueries({ queryKey: POLICIES_KEY });
+    },
+    onError: onError("Failed to detach policy"),
+  });
+
+  const canCreate = draft.name.trim().length >= 2 && Number(draft.value) > 0;
+
+  return (
+    <div className="grid gap-3">
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base">Discount policies</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          <div className="grid gap-2 md:grid-cols-5">
+            <Input
+              placeholder="Name (e.g. Sibling discount)"
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            />
+            <select className={selectCls} value={draft.mode} onChange={(e) => setDraft({ ...draft, mode: e.target.value })}>
+              <option value="percent">Percent (%)</option>
+              <option value="amount">Fixed amount</option>
+            </select>
+            <Input
+              type="number"
+              placeholder={draft.mode === "percent" ? "e.g. 10" : "Amount"}
+              value={draft.value}
+              onChange={(e) => setDraft({ ...draft, value: e.target.value })}
+            />
+            <select
+              className={selectCls}
+              value={draft.feeItemId}
+              onChange={(e) => setDraft({ ...draft, feeItemId: e.target.value })}
+            >
+              <option value="">Whole invoice</option>
+              {feeItems.map((it) => (
+                <option key={it.id} value={it.id}>
+                  {it.name}
+                </option>
+              ))}
+            </select>
+            <Button disabled={!canCreate || createMut.isPending} onClick={() => createMut.mutate()}>
+              {createMut.isPending ? "Creating…" : "Create policy"}
+            </Button>
+          </div>
+
+          <QueryBlock
+            isLoading={policiesQ.isLoading}
+            isError={policiesQ.isError}
+            error={policiesQ.error}
+            empty={!policiesQ.isLoading && !policiesQ.isError && policies.length === 0}
+            emptyText="No discount policies yet."
+          >
+            <div className="grid gap-2">
+              {policies.map((p) => (
+                <div key={p.id} className="border rounded-md p-3 flex items-center justify-between gap-2">
+                  <div>
+                    <div className="font-medium flex items-center gap-2">
+                      {p.name}
+                      {!p.isActive && <Badge variant="secondary">Inactive</Badge>}
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      {describePolicy(p)} • {p._count?.students || 0} student(s)
+                    </div>
+                  </div>
+                  <Button size="sm" variant="outline" disabled={toggleMut.isPending} onClick={() => toggleMut.mutate(p)}>
+                    {p.isActive ? "Deactivate" : "Activate"}
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </QueryBlock>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base">Student discounts</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          <StudentLookupByAdmission
+            onSelect={(s) => setStudent(s)}
+            helperText="Attached policies are applied to every invoice generated for the student."
+          />
+
+          {student && (
+            <>
+              <div className="text-sm font-medium">
+                {student.firstName} {student.lastName}{" "}
+                <span className="text-xs text-muted-foreground">• Adm: {student.admissionNo}</span>
+              </div>
+
+              <div className="flex flex-wrap gap-2">
+                <select className={`${selectCls} min-w-[240px]`} value={attachId} onChange={(e) => setAttachId(e.target.value)}>
+                  <option value="">Select policy…</option>
+                  {policies
+                    .filter((p) => p.isActive && !attachedIds.has(p.id))
+                    .map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.name}
+                      </option>
+                    ))}
+                </select>
+                <Button disabled={!attachId || attachMut.isPending} onClick={() => attachMut.mutate()}>
+                  Attach
+                </Button>
+              </div>
+
+              <QueryBlock
+                isLoading={attachedQ.isLoading}
+                isError={attachedQ.isError}
+                error={attachedQ.error}
+                empty={!attachedQ.isLoading && !attachedQ.isError && attached.length === 0}
+                emptyText="No discounts attached."
+              >
+                <div className="grid gap-1">
+                  {attached.map((a) => (
+                    <div key={a.id} className="flex items-center justify-between text-sm border-b py-1 last:border-0">
+                      <span>
+                        {a.policy?.name}{" "}
+                        <span className="text-xs text-muted-foreground">{a.policy ? describePolicy(a.policy) : ""}</span>
+                      </span>
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        disabled={detachMut.isPending}
+                        onClick={() => detachMut.mutate(a.policyId)}
+                      >
+                        Detach
+                      </Button>
+                    </div>
+                  ))}
+                </div>
+              </QueryBlock>
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
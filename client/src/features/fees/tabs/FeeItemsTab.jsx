@@ -22,6 +22,7 @@ export default function FeeItemsTab() {
 
   const [name, setName] = useState("");
   const [code, setCode] = useState("");
+  const [priority, setPriority] = useState("100");
   const [q, setQ] = useState("");
   const [formError, setFormError] = useState("");
 
@@ -47,6 +48,7 @@ export default function FeeItemsTab() {
     onSuccess: () => {
       setName("");
       setCode("");
+      setPriority("100");
       setFormError("");
       qc.invalidateQueries({ queryKey: ["feeItems"] });
     },
@@ -64,6 +66,17 @@ export default function FeeItemsTab() {
     onSuccess: () => qc.invalidateQueries({ queryKey: ["feeItems"] }),
   });
 
+  const priorityMut = useMutation({
+    mutationFn: ({ id, allocationPriority }) => updateFeeItem(id, { allocationPriority }),
+    onSuccess: () => qc.invalidateQueries({ queryKey: ["feeItems"] }),
+  });
+
+  const onPriorityBlur = (it, value) => {
+    const p = Number(value);
+    if (!Number.isInteger(p) || p < 0 || p > 999 || p === it.allocationPriority) return;
+    priorityMut.mutate({ id: it.id, allocationPriority: p });
+  };
+
   const onCreate = () => {
     setFormError("");
 
@@ -94,7 +107,13 @@ export default function FeeItemsTab() {
       }
     }
 
-    createMut.mutate({ name: n, code: c || null });
+    const p = Number(priority);
+    if (!Number.isInteger(p) || p < 0 || p > 999) {
+      setFormError("Priority must be a whole number from 0 to 999.");
+      return;
+    }
+
+    createMut.mutate({ name: n, code: c || null, allocationPriority: p });
   };
 
   return (
@@ -105,7 +124,7 @@ export default function FeeItemsTab() {
           <CardTitle className="text-base">Create fee item</CardTitle>
         </CardHeader>
 
-        <CardContent className="grid gap-2 md:grid-cols-3">
+        <CardContent className="grid gap-2 md:grid-cols-4">
           <Input
             placeholder="Name (e.g. Tuition)"
             value={name}
@@ -120,6 +139,15 @@ export default function FeeItemsTab() {
             disabled={createMut.isPending}
           />
 
+          <Input
+            type="number"
+            placeholder="Payment priority (lower first)"
+            title="Payments settle lower numbers first"
+            value={priority}
+            onChange={(e) => setPriority(e.target.value)}
+            disabled={createMut.isPending}
+          />
+
           <Button
             onClick={onCreate}
             disabled={createMut.isPending || normStr(name).length < 2}
@@ -129,14 +157,15 @@ export default function FeeItemsTab() {
 
           {/* inline validation/error */}
           {formError ? (
-            <div className="md:col-span-3 text-sm text-destructive">
+            <div className="md:col-span-4 text-sm text-destructive">
               {formError}
             </div>
           ) : (
-            <div className="md:col-span-3 text-xs text-muted-foreground">
+            <div className="md:col-span-4 text-xs text-muted-foreground">
               Tip: Use short codes like <span className="font-medium">TUI</span>,{" "}
               <span className="font-medium">LUNCH</span>,{" "}
-              <span className="font-medium">EXAM</span> for cleaner reports.
+              <span className="font-medium">EXAM</span> for cleaner reports. Payments
+              settle items with the lowest priority number first (balance b/f always first).
             </div>
           )}
         </CardContent>
@@ -181,20 +210,34 @@ export default function FeeItemsTab() {
                       </div>
                     </div>
 
-                    <Button
-                      size="sm"
-                      variant="outline"
-                      disabled={isMutating}
-                      onClick={() =>
-                        toggleMut.mutate({ id: it.id, isActive: !it.isActive })
-                      }
-                    >
-                      {isMutating
-                        ? "Updating…"
-                        : it.isActive
-                        ? "Disable"
-                        : "Enable"}
-                    </Button>
+                    <div className="flex items-center gap-2">
+                      <label className="flex items-center gap-1 text-xs text-muted-foreground">
+                        Priority
+                        <Input
+                          key={`${it.id}:${it.allocationPriority}`}
+                          type="number"
+                          className="h-8 w-20"
+                          defaultValue={it.allocationPriority ?? 100}
+                          disabled={priorityMut.isPending}
+                          onBlur={(e) => onPriorityBlur(it, e.target.value)}
+                        />
+                      </label>
+
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        disabled={isMutating}
+                        onClick={() =>
+                          toggleMut.mutate({ id: it.id, isActive: !it.isActive })
+                        }
+                      >
+                        {isMutating
+                          ? "Updating…"
+                          : it.isActive
+                          ? "Disable"
+                          : "Enable"}
+                      </Button>
+                    </div>
                   </div>
                 );
               })}
@@ -11,6 +11,10 @@ import { Input } from "@/components/ui/input";
 import { Separator } from "@/components/ui/separator";
 
 import QueryBlock from "../components/QueryBlock";
+import BatchInvoiceModal from "../components/BatchInvoiceModal";
+import InstallmentScheduleEditor from "../components/InstallmentScheduleEditor";
+import PlanInstallmentsModal from "../components/PlanInstallmentsModal";
+import { fmtDueDate, scheduleError, toSchedulePayload } from "../components/FeeInstallments";
 import { money, toNumberOrZero } from "../components/FeeMoney";
 
 export default function FeePlansTab() {
@@ -20,6 +24,9 @@ export default function FeePlansTab() {
   const [year, setYear] = useState(new Date().getFullYear());
   const [term, setTerm] = useState("TERM1");
   const [title, setTitle] = useState("");
+  const [batchPlan, setBatchPlan] = useState(null);
+  const [schedulePlan, setSchedulePlan] = useState(null);
+  const [installments, setInstallments] = useState([]);
 
   const classesQ = useQuery({ queryKey: ["classes"], queryFn: () => listClasses({}) });
   const itemsQ = useQuery({ queryKey: ["feeItems"], queryFn: listFeeItems });
@@ -50,6 +57,7 @@ export default function FeePlansTab() {
     onSuccess: () => {
       qc.invalidateQueries({ queryKey: ["feePlans"] });
       setPlanLines([{ feeItemId: "", amount: 0, required: true }]);
+      setInstallments([]);
       setTitle("");
     },
   });
@@ -59,6 +67,7 @@ export default function FeePlansTab() {
     year &&
     term &&
     planLines.every((l) => l.feeItemId && toNumberOrZero(l.amount) > 0) &&
+    !scheduleError(installments) &&
     new Set(selectedIds).size === selectedIds.length; // no duplicates
 
   return (
@@ -172,6 +181,10 @@ export default function FeePlansTab() {
             )}
           </div>
 
+          <Separator />
+
+          <InstallmentScheduleEditor value={installments} onChange={setInstallments} total={total} />
+
           <Button
             onClick={() =>
               createPlanMut.mutate({
@@ -184,6 +197,7 @@ export default function FeePlansTab() {
                   amount: Number(x.amount),
                   required: !!x.required,
                 })),
+                installments: toSchedulePayload(installments),
               })
             }
             disabled={!canCreate || createPlanMut.isPending}
@@ -220,9 +234,22 @@ export default function FeePlansTab() {
                       <div className="font-medium">
                         {p.title || "Fee Plan"} • {p.term} {p.year}
                       </div>
-                      <Badge variant="outline" className="text-[10px]">
-                        {p.items?.length || 0} items
-                      </Badge>
+                      <div className="flex items-center gap-2">
+                        <Badge variant="outline" className="text-[10px]">
+                          {p.items?.length || 0} items
+                        </Badge>
+                        <Button size="sm" variant="outline" onClick={() => setSchedulePlan(p)}>
+                          Installments
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          disabled={!p.isActive || !p.items?.length}
+                          onClick={() => setBatchPlan(p)}
+                        >
+                          Invoice class
+                        </Button>
+                      </div>
                     </div>
 
                     <div className="mt-2 text-xs text-muted-foreground">
@@ -240,6 +267,14 @@ export default function FeePlansTab() {
                         {p.items.length > 5 && <div>…and {p.items.length - 5} more</div>}
                       </div>
                     )}
+
+                    <div className="mt-2 text-xs text-muted-foreground">
+                      {p.installments?.length
+                        ? p.installments
+                            .map((it) => `${it.label || `#${it.seq}`}: ${it.percent}% by ${fmtDueDate(it.dueDate)}`)
+                            .join(" • ")
+                        : "No installments — due on invoicing"}
+                    </div>
                   </div>
                 );
               })}
@@ -247,6 +282,19 @@ export default function FeePlansTab() {
           </QueryBlock>
         </CardContent>
       </Card>
+
+      {batchPlan && (
+        <BatchInvoiceModal key={batchPlan.id} plan={batchPlan} open onClose={() => setBatchPlan(null)} />
+      )}
+
+      {schedulePlan && (
+        <PlanInstallmentsModal
+          key={schedulePlan.id}
+          plan={schedulePlan}
+          open
+          onClose={() => setSchedulePlan(null)}
+        />
+      )}
     </div>
   );
 }
@@ -1,17 +1,29 @@
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 
-export default function FeesDashboardTab() {
+import ApprovalQueueCard from "../components/ApprovalQueueCard";
+import ApprovalSettingsCard from "../components/ApprovalSettingsCard";
+
+export default function FeesDashboardTab({ role = "", userId = null }) {
+  const isAdmin = role === "ADMIN";
+  const canSeeApprovals = isAdmin || role === "BURSAR";
+
   return (
-    <Card>
-      <CardHeader className="pb-2">
-        <CardTitle className="text-base">Fees overview</CardTitle>
-      </CardHeader>
-      <CardContent className="text-sm text-muted-foreground">
-        Use Reports tab for class summary / defaulters / collections.
-        <div className="mt-2">
-          Recommended workflow: Create items → Create plan → Generate invoice → Record payment → Print receipt.
-        </div>
-      </CardContent>
-    </Card>
+    <div className="space-y-4">
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base">Fees overview</CardTitle>
+        </CardHeader>
+        <CardContent className="text-sm text-muted-foreground">
+          Use Reports tab for class summary / defaulters / collections.
+          <div className="mt-2">
+            Recommended workflow: Create items → Create plan → Generate invoice → Record payment → Print receipt.
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* voids / reversals waiting for a second person */}
+      {canSeeApprovals && <ApprovalQueueCard isAdmin={isAdmin} userId={userId} />}
+      {isAdmin && <ApprovalSettingsCard />}
+    </div>
   );
 }
@@ -1,8 +1,9 @@
 import { useState } from "react";
-import { useMutation, useQuery } from "@tanstack/react-query";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 
 import { listClasses } from "@/api/classes.api";
 import { listFeeInvoices, getFeeInvoice } from "@/api/fees.api";
+import { useMe } from "@/hooks/useMe";
 
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
@@ -11,9 +12,15 @@ import { Input } from "@/components/ui/input";
 import { Separator } from "@/components/ui/separator";
 
 import QueryBlock from "../components/QueryBlock";
+import InvoiceAdjustmentsPanel from "../components/InvoiceAdjustmentsPanel";
 import { money } from "../components/FeeMoney";
+import { fmtDueDate } from "../components/FeeInstallments";
 
 export default function InvoicesTab() {
+  const qc = useQueryClient();
+  const meQ = useMe();
+  const canAdjust = String(meQ.data?.user?.role || "").trim().toUpperCase() === "ADMIN";
+
   const [studentId, setStudentId] = useState("");
   const [classId, setClassId] = useState("");
   const [year, setYear] = useState(new Date().getFullYear());
@@ -72,6 +79,7 @@ export default function InvoicesTab() {
             <option value="PARTIALLY_PAID">PARTIALLY_PAID</option>
             <option value="PAID">PAID</option>
             <option value="VOID">VOID</option>
+            <option value="CARRIED_FORWARD">CARRIED_FORWARD</option>
           </select>
         </CardContent>
       </Card>
@@ -129,8 +137,36 @@ export default function InvoicesTab() {
                   <Badge variant="secondary">Total {money(invoiceDetailsMut.data.total)}</Badge>
                   <Badge variant="secondary">Paid {money(invoiceDetailsMut.data.paid)}</Badge>
                   <Badge variant="secondary">Balance {money(invoiceDetailsMut.data.balance)}</Badge>
+                  {invoiceDetailsMut.data.due?.overdue > 0 && (
+                    <Badge variant="destructive">
+                      Overdue {money(invoiceDetailsMut.data.due.overdue)} • {invoiceDetailsMut.data.due.daysOverdue} days
+                    </Badge>
+                  )}
                 </div>
 
+                {(invoiceDetailsMut.data.installments || []).length > 0 && (
+                  <>
+                    <Separator />
+                    <div className="font-medium">Installments</div>
+                    <div className="grid gap-1">
+                      {invoiceDetailsMut.data.installments.map((it) => (
+                        <div key={it.id} className="flex items-center justify-between text-xs">
+                          <span>
+                            {it.label || `Installment ${it.seq}`} • due {fmtDueDate(it.dueDate)}
+                          </span>
+                          <span className="font-medium">{it.percent}% cumulative</span>
+                        </div>
+                      ))}
+                    </div>
+                    {invoiceDetailsMut.data.due?.nextDue && (
+                      <div className="text-xs text-muted-foreground">
+                        Next: {money(invoiceDetailsMut.data.due.nextDue.amount)} by{" "}
+                        {fmtDueDate(invoiceDetailsMut.data.due.nextDue.dueDate)}
+                      </div>
+                    )}
+                  </>
+                )}
+
                 <Separator />
 
                 <div className="font-medium">Lines</div>
@@ -145,6 +181,17 @@ export default function InvoicesTab() {
 
                 <Separator />
 
+                <InvoiceAdjustmentsPanel
+                  invoice={invoiceDetailsMut.data}
+                  canAdjust={canAdjust}
+                  onChanged={() => {
+                    invoiceDetailsMut.mutate(invoiceDetailsMut.data.id);
+                    qc.invalidateQueries({ queryKey: ["feeInvoices"] });
+                  }}
+                />
+
+                <Separator />
+
                 <div className="font-medium">Payments</div>
                 <div className="grid gap-1">
                   {(invoiceDetailsMut.data.payments || []).map((p) => (
@@ -0,0 +1,302 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { listMpesaTransactions, resolveMpesaTransaction, ignoreMpesaTransaction } from "@/api/mpesa.api";
+import { listFeeInvoices } from "@/api/fees.api";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+
+import QueryBlock from "../components/QueryBlock";
+import SimpleModal from "../components/SimpleModal";
+import StudentLookupByAdmission from "../components/StudentLookupByAdmission";
+import MpesaConfigCard from "../components/MpesaConfigCard";
+import { money, toNumberOrZero } from "../components/FeeMoney";
+
+const STATUS_VARIANT = {
+  POSTED: "default",
+  SUSPENSE: "destructive",
+  RESOLVED: "secondary",
+  IGNORED: "outline",
+};
+
+function fmtWhen(t) {
+  const d = t.transTime || t.createdAt;
+  return d ? new Date(d).toLocaleString() : "—";
+}
+
+function TxnSummary({ t }) {
+  return (
+    <div className="min-w-[240px]">
+      <div className="text-sm font-medium">
+        {money(t.amount)} <span className="text-muted-foreground">• {t.transCode}</span>
+      </div>
+      <div className="text-xs text-muted-foreground">
+        {fmtWhen(t)} • {t.source} • {t.payerName || t.msisdn || "Unknown payer"} • Ref: {t.accountRef || "—"}
+      </div>
+      {t.reason && <div className="text-xs text-muted-foreground">{t.reason}</div>}
+    </div>
+  );
+}
+
+/**
+ * M-Pesa: suspense queue (unmatched payments), recent transactions, and (ADMIN) Daraja settings.
+ */
+export default function MpesaTab({ isAdmin = false }) {
+  const qc = useQueryClient();
+
+  const [resolving, setResolving] = useState(null);
+  const [student, setStudent] = useState(null);
+  const [invoiceId, setInvoiceId] = useState("");
+  const [ignoring, setIgnoring] = useState(null);
+  const [ignoreReason, setIgnoreReason] = useState("");
+
+  const suspenseQ = useQuery({
+    queryKey: ["mpesaTransactions", "SUSPENSE"],
+    queryFn: () => listMpesaTransactions({ status: "SUSPENSE" }),
+  });
+  const recentQ = useQuery({
+    queryKey: ["mpesaTransactions", "ALL"],
+    queryFn: () => listMpesaTransactions({ take: 50 }),
+  });
+
+  const studentId = student?.id || "";
+  const invoicesQ = useQuery({
+    queryKey: ["feeInvoices", { studentId }],
+    queryFn: () => listFeeInvoices({ studentId }),
+    enabled: !!studentId,
+  });
+
+  const suspense = Array.isArray(suspenseQ.data) ? suspenseQ.data : [];
+  const recent = Array.isArray(recentQ.data) ? recentQ.data : [];
+  const payable = (Array.isArray(invoicesQ.data) ? invoicesQ.data : []).filter(
+    (i) => !["VOID", "CARRIED_FORWARD"].includes(String(i.status || "").toUpperCase())
+  );
+
+  const refresh = () => qc.invalidateQueries({ queryKey: ["mpesaTransactions"] });
+
+  const closeResolve = () => {
+    setResolving(null);
+    setStudent(null);
+    setInvoiceId("");
+  };
+
+  const resolveMut = useMutation({
+    mutationFn: () => resolveMpesaTransaction(resolving.id, { invoiceId }),
+    onSuccess: (data) => {
+      toast.success(`Posted${data?.payment?.receiptNo ? ` • Receipt ${data.payment.receiptNo}` : ""}`);
+      closeResolve();
+      refresh();
+      qc.invalidateQueries({ queryKey: ["feeInvoices"] });
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to post transaction"),
+  });
+
+  const ignoreMut = useMutation({
+    mutationFn: () => ignoreMpesaTransaction(ignoring.id, { reason: ignoreReason.trim() }),
+    onSuccess: () => {
+      toast.success("Transaction ignored");
+      setIgnoring(null);
+      setIgnoreReason("");
+      refresh();
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to ignore transaction"),
+  });
+
+  return (
+    <div className="grid gap-3">
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base flex items-center justify-between gap-2">
+            <span>
+              Suspense queue{" "}
+              {suspense.length > 0 && <Badge variant="destructive">{suspense.length}</Badge>}
+            </span>
+            <Button size="sm" variant="outline" onClick={refresh}>
+              Refresh
+            </Button>
+          </CardTitle>
+          <div className="text-xs text-muted-foreground">
+            M-Pesa payments whose account number matched no invoice or admission number. Post each to the right
+            invoice, or ignore it (e.g. refunded or not school fees).
+          </div>
+        </CardHeader>
+        <CardContent>
+          <QueryBlock
+            isLoading={suspenseQ.isLoading}
+            isError={suspenseQ.isError}
+            error={suspenseQ.error}
+            empty={!suspenseQ.isLoading && !suspenseQ.isError && suspense.length === 0}
+            emptyText="Nothing in suspense."
+          >
+            <div className="grid gap-2">
+              {suspense.map((t) => (
+                <div key={t.id} className="border rounded-md p-3 flex flex-wrap items-center justify-between gap-2">
+                  <TxnSummary t={t} />
+                  <div className="flex gap-2">
+                    <Button size="sm" onClick={() => setResolving(t)}>
+                      Post to invoice
+                    </Button>
+                    <Button size="sm" variant="outline" onClick={() => setIgnoring(t)}>
+                      Ignore
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </QueryBlock>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base">Recent M-Pesa transactions</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <QueryBlock
+            isLoading={recentQ.isLoading}
+            isError={recentQ.isError}
+            error={recentQ.error}
+            empty={!recentQ.isLoading && !recentQ.isError && recent.length === 0}
+            emptyText="No M-Pesa transactions received yet."
+          >
+            <div className="max-h-96 overflow-y-auto border rounded-md">
+              <table className="w-full text-xs">
+                <thead className="bg-muted/60 sticky top-0">
+                  <tr>
+                    <th className="text-left p-2">When</th>
+                    <th className="text-left p-2">Code</th>
+                    <th className="text-left p-2">Payer</th>
+                    <th className="text-left p-2">Ref</th>
+                    <th className="text-right p-2">Amount</th>
+                    <th className="text-left p-2">Status</th>
+                    <th className="text-left p-2">Posted to</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {recent.map((t) => (
+                    <tr key={t.id} className="border-t">
+                      <td className="p-2">{fmtWhen(t)}</td>
+                      <td className="p-2">{t.transCode}</td>
+                      <td className="p-2">{t.payerName || t.msisdn || "—"}</td>
+                      <td className="p-2">{t.accountRef || (t.source === "STK" ? "STK push" : "—")}</td>
+                      <td className="p-2 text-right">{money(t.amount)}</td>
+                      <td className="p-2">
+                        <Badge variant={STATUS_VARIANT[t.status] || "outline"} className="text-[10px]">
+                          {t.status}
+                        </Badge>
+                      </td>
+                      <td className="p-2">
+                        {t.invoice
+                          ? `${t.invoice.invoiceNo || "—"} • ${t.invoice.student?.admissionNo || ""}`
+                          : "—"}
+                        {t.payment?.receiptNo && <div className="text-muted-foreground">{t.payment.receiptNo}</div>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </QueryBlock>
+        </CardContent>
+      </Card>
+
+      {isAdmin && <MpesaConfigCard />}
+
+      {/* Resolve modal */}
+      <SimpleModal
+        title={`Post ${resolving ? money(resolving.amount) : ""} • ${resolving?.transCode || ""}`}
+        open={!!resolving}
+        onClose={closeResolve}
+        footer={
+          <div className="flex justify-end">
+            <Button disabled={!invoiceId || resolveMut.isPending} onClick={() => resolveMut.mutate()}>
+              {resolveMut.isPending ? "Posting…" : "Post payment"}
+            </Button>
+          </div>
+        }
+      >
+        <div className="space-y-3">
+          {resolving && <TxnSummary t={resolving} />}
+
+          <StudentLookupByAdmission
+            onSelect={(s) => {
+              setStudent(s);
+              setInvoiceId("");
+            }}
+            helperText="Find the student this payment belongs to."
+          />
+
+          {student && (
+            <QueryBlock
+              isLoading={invoicesQ.isLoading}
+              isError={invoicesQ.isError}
+              error={invoicesQ.error}
+              empty={!invoicesQ.isLoading && !invoicesQ.isError && payable.length === 0}
+              emptyText="This student has no open invoices."
+            >
+              <div className="grid gap-1">
+                {payable.map((inv) => (
+                  <label key={inv.id} className="flex items-center gap-2 text-sm border rounded-md p-2">
+                    <input
+                      type="radio"
+                      name="mpesa-resolve-invoice"
+                      checked={invoiceId === inv.id}
+                      onChange={() => setInvoiceId(inv.id)}
+                    />
+                    <span>
+                      {inv.invoiceNo || inv.id.slice(0, 6)} • {inv.term} {inv.year} • Balance {money(inv.balance)}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </QueryBlock>
+          )}
+
+          {resolving && invoiceId && (
+            <div className="text-xs text-muted-foreground">
+              {(() => {
+                const inv = payable.find((i) => i.id === invoiceId);
+                const extra = toNumberOrZero(resolving.amount) - toNumberOrZero(inv?.balance);
+                return extra > 0 ? `${money(extra)} above the balance will be held as student credit.` : null;
+              })()}
+            </div>
+          )}
+        </div>
+      </SimpleModal>
+
+      {/* Ignore modal */}
+      <SimpleModal
+        title={`Ignore ${ignoring?.transCode || ""}`}
+        open={!!ignoring}
+        onClose={() => {
+          setIgnoring(null);
+          setIgnoreReason("");
+        }}
+        footer={
+          <div className="flex justify-end">
+            <Button
+              variant="destructive"
+              disabled={ignoreReason.trim().length < 3 || ignoreMut.isPending}
+              onClick={() => ignoreMut.mutate()}
+            >
+              {ignoreMut.isPending ? "Saving…" : "Ignore transaction"}
+            </Button>
+          </div>
+        }
+      >
+        <div className="space-y-2">
+          {ignoring && <TxnSummary t={ignoring} />}
+          <Input
+            value={ignoreReason}
+            onChange={(e) => setIgnoreReason(e.target.value)}
+            placeholder="Reason (e.g. refunded to payer)"
+          />
+        </div>
+      </SimpleModal>
+    </div>
+  );
+}
@@ -0,0 +1,322 @@
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import {
+  approveFeeRefund,
+  createFeeRefund,
+  getStudentRefundable,
+  listFeeRefunds,
+  openRefundVoucherPdf,
+  rejectFeeRefund,
+} from "@/api/fees.api";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+
+import QueryBlock from "../components/QueryBlock";
+import SimpleModal from "../components/SimpleModal";
+import StudentLookupByAdmission from "../components/StudentLookupByAdmission";
+import { money, toNumberOrZero } from "../components/FeeMoney";
+
+const METHODS = ["CASH", "MPESA", "BANK", "CHEQUE", "OTHER"];
+const selectCls = "h-10 rounded-md border bg-background px-3 text-sm";
+
+function fmtWhen(d) {
+  return d ? new Date(d).toLocaleString() : "—";
+}
+
+function statusVariant(status) {
+  if (status === "APPROVED") return "default";
+  if (status === "REJECTED") return "destructive";
+  return "secondary";
+}
+
+function RejectRefundModal({ refund, onClose }) {
+  const qc = useQueryClient();
+  const [reason, setReason] = useState("");
+
+  const rejectMut = useMutation({
+    mutationFn: () => rejectFeeRefund(refund.id, { reason: reason.trim() }),
+    onSuccess: () => {
+      toast.success("Refund rejected");
+      qc.invalidateQueries({ queryKey: ["feeRefunds"] });
+      qc.invalidateQueries({ queryKey: ["refundable"] });
+      onClose();
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to reject refund"),
+  });
+
+  return (
+    <SimpleModal
+      title="Reject refund"
+      open
+      onClose={onClose}
+      footer={
+        <div className="flex justify-end">
+          <Button
+            variant="destructive"
+            disabled={reason.trim().length < 3 || rejectMut.isPending}
+            onClick={() => rejectMut.mutate()}
+          >
+            {rejectMut.isPending ? "Rejecting…" : "Reject"}
+          </Button>
+        </div>
+      }
+    >
+      <div className="space-y-3">
+        <div className="text-sm">
+          {money(refund.amount)} to {refund.student?.firstName} {refund.student?.lastName} • {refund.reason}
+        </div>
+        <Input placeholder="Reason for rejecting" value={reason} onChange={(e) => setReason(e.target.value)} />
+      </div>
+    </SimpleModal>
+  );
+}
+
+/**
+ * Refunds are paid out of a student's credit (overpayments, voided invoices).
+ * A bursar raises the request; an admin approves it (their own requests are approved on entry).
+ */
+export default function RefundsTab({ isAdmin = false }) {
+  const qc = useQueryClient();
+
+  const [student, setStudent] = useState(null);
+  const [amount, setAmount] = useState("");
+  const [method, setMethod] = useState("CASH");
+  const [reference, setReference] = useState("");
+  const [reason, setReason] = useState("");
+
+  const [status, setStatus] = useState("PENDING");
+  const [rejecting, setRejecting] = useState(null);
+
+  const refundableQ = useQuery({
+    queryKey: ["refundable", student?.id],
+    queryFn: () => getStudentRefundable(student.id),
+    enabled: !!student?.id,
+  });
+  const refundable = toNumberOrZero(refundableQ.data?.refundable);
+
+  const refundsQ = useQuery({
+    queryKey: ["feeRefunds", status],
+    queryFn: () => listFeeRefunds({ status: status || undefined }),
+  });
+  const refunds = refundsQ.data || [];
+
+  const invalidate = () => {
+    qc.invalidateQueries({ queryKey: ["feeRefunds"] });
+    qc.invalidateQueries({ queryKey: ["refundable"] });
+    qc.invalidateQueries({ queryKey: ["studentFeesStatement"] });
+  };
+
+  const voucher = (id) => openRefundVoucherPdf(id).catch(() => toast.error("Failed to open voucher"));
+
+  const createMut = useMutation({
+    mutationFn: () =>
+      createFeeRefund({
+        studentId: student.id,
+        amount: toNumberOrZero(amount),
+        method,
+        reference: reference.trim() || undefined,
+        reason: reason.trim(),
+      }),
+    onSuccess: (refund) => {
+      invalidate();
+      setAmount("");
+      setReference("");
+      setReason("");
+      if (refund?.status === "APPROVED") {
+        toast.success(`Refund paid • ${refund.voucherNo}`);
+        voucher(refund.id);
+      } else {
+        toast.success("Refund sent for approval");
+      }
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to record refund"),
+  });
+
+  const approveMut = useMutation({
+    mutationFn: (id) => approveFeeRefund(id),
+    onSuccess: (refund) => {
+      invalidate();
+      toast.success(`Refund approved • ${refund.voucherNo}`);
+      voucher(refund.id);
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to approve refund"),
+  });
+
+  const amt = toNumberOrZero(amount);
+  const canSubmit =
+    !!student && amt > 0 && amt <= refundable && reason.trim().length >= 3 && !createMut.isPending;
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base">New refund</CardTitle>
+        </CardHeader>
+
+        <CardContent className="space-y-3">
+          <StudentLookupByAdmission onSelect={setStudent} helperText="Find the student whose credit is refunded." />
+
+          {student && (
+            <div className="text-sm">
+              {student.firstName} {student.lastName} • {student.admissionNo}
+              {refundableQ.data && (
+                <span className="text-muted-foreground">
+                  {" "}
+                  • Credit {money(refundableQ.data.creditBalance)}
+                  {toNumberOrZero(refundableQ.data.pending) > 0 && <> • Pending {money(refundableQ.data.pending)}</>}
+                  {" "}• Refundable <span className="font-medium text-foreground">{money(refundable)}</span>
+                </span>
+              )}
+            </div>
+          )}
+
+          <div className="grid gap-2 md:grid-cols-4">
+            <Input
+              type="number"
+              placeholder="Amount"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              disabled={!student}
+            />
+            <select
+              className={selectCls}
+              value={method}
+              onChange={(e) => setMethod(e.target.value)}
+              disabled={!student}
+            >
+              {METHODS.map((m) => (
+                <option key={m} value={m}>
+                  {m}
+                </option>
+              ))}
+            </select>
+            <Input
+              placeholder="Reference (optional)"
+              value={reference}
+              onChange={(e) => setReference(e.target.value)}
+              disabled={!student}
+            />
+            <Input
+              placeholder="Reason e.g. left school"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              disabled={!student}
+            />
+          </div>
+
+          <div className="flex items-center justify-between gap-2">
+            <div className="text-xs text-muted-foreground">
+              {amt > refundable && student
+                ? `Only ${money(refundable)} can be refunded.`
+                : isAdmin
+                  ? "Paid on save; the voucher opens for printing."
+                  : "Goes to an admin for approval before it is paid."}
+            </div>
+            <Button disabled={!canSubmit} onClick={() => createMut.mutate()}>
+              {createMut.isPending ? "Saving…" : isAdmin ? "Pay refund" : "Request refund"}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base">Refunds</CardTitle>
+        </CardHeader>
+
+        <CardContent className="space-y-3">
+          <div>
+            <div className="text-xs text-muted-foreground mb-1">Status</div>
+            <select className={selectCls} value={status} onChange={(e) => setStatus(e.target.value)}>
+              <option value="PENDING">Pending</option>
+              <option value="APPROVED">Approved</option>
+              <option value="REJECTED">Rejected</option>
+              <option value="">All</option>
+            </select>
+          </div>
+
+          <QueryBlock
+            isLoading={refundsQ.isLoading}
+            isError={refundsQ.isError}
+            error={refundsQ.error}
+            empty={refunds.length === 0}
+            emptyText="No refunds for this filter."
+          >
+            <div className="overflow-auto">
+              <table className="w-full text-sm">
+                <thead className="text-left text-xs text-muted-foreground">
+                  <tr>
+                    <th className="py-2">Student</th>
+                    <th>Requested</th>
+                    <th>Method</th>
+                    <th>Reason</th>
+                    <th className="text-right">Amount</th>
+                    <th>Status</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {refunds.map((r) => (
+                    <tr key={r.id} className="border-t">
+                      <td className="py-2">
+                        <div>
+                          {r.student ? `${r.student.firstName} ${r.student.lastName}` : r.studentId}
+                        </div>
+                        <div className="text-xs text-muted-foreground">{r.student?.admissionNo}</div>
+                      </td>
+                      <td>{fmtWhen(r.createdAt)}</td>
+                      <td>
+                        {r.method}
+                        {r.reference && <div className="text-xs text-muted-foreground">{r.reference}</div>}
+                      </td>
+                      <td>
+                        {r.reason}
+                        {r.rejectReason && (
+                          <div className="text-xs text-destructive">Rejected: {r.rejectReason}</div>
+                        )}
+                      </td>
+                      <td className="text-right">{money(r.amount)}</td>
+                      <td>
+                        <Badge variant={statusVariant(r.status)}>{r.voucherNo || r.status}</Badge>
+                      </td>
+                      <td className="text-right">
+                        <div className="flex justify-end gap-2">
+                          {r.status === "APPROVED" && (
+                            <Button size="sm" variant="outline" onClick={() => voucher(r.id)}>
+                              Voucher
+                            </Button>
+                          )}
+                          {isAdmin && r.status === "PENDING" && (
+                            <>
+                              <Button
+                                size="sm"
+                                disabled={approveMut.isPending}
+                                onClick={() => approveMut.mutate(r.id)}
+                              >
+                                Approve
+                              </Button>
+                              <Button size="sm" variant="outline" onClick={() => setRejecting(r)}>
+                                Reject
+                              </Button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </QueryBlock>
+        </CardContent>
+      </Card>
+
+      {rejecting && <RejectRefundModal key={rejecting.id} refund={rejecting} onClose={() => setRejecting(null)} />}
+    </div>
+  );
+}
@@ -1,21 +1,37 @@
 import { useMemo, useState } from "react";
 import { useQuery } from "@tanstack/react-query";
+import { toast } from "sonner";
 
-import { getStudentFeesSummary, getStudentFeesStatement } from "@/api/fees.api";
+import { getStudentFeesSummary, getStudentFeesStatement, openReceiptPdf } from "@/api/fees.api";
 
+import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 
 import StudentLookupByAdmission from "../components/StudentLookupByAdmission";
 import QueryBlock from "../components/QueryBlock";
 import { money } from "../components/FeeMoney";
+import StudentStatementPrint from "../print/StudentStatementPrint";
+import { printTarget } from "../utils/print";
 
-export default function StudentStatementTab() {
+const CREDIT_LABELS = {
+  OVERPAYMENT: "Overpayment carried forward",
+  APPLIED: "Credit applied",
+  UNAPPLIED: "Credit returned",
+  REVERSAL: "Credit removed (payment reversed)",
+};
+
+/**
+ * Fee statement for one student. Staff look the student up by admission number;
+ * the parent portal passes the selected child in as `student` instead.
+ */
+export default function StudentStatementTab({ student: fixedStudent = null }) {
   const [year, setYear] = useState(new Date().getFullYear());
   const [term, setTerm] = useState("TERM1");
 
   // Store student object once selected by admissionNo
-  const [student, setStudent] = useState(null);
+  const [picked, setPicked] = useState(null);
+  const student = fixedStudent || picked;
   const studentId = student?.id || "";
 
   const summaryQ = useQuery({
@@ -38,6 +54,15 @@ export default function StudentStatementTab() {
   const paid = summary?.paid ?? 0;
   const balance = summary?.balance ?? 0;
   const count = summary?.count ?? 0;
+  const creditBalance = summary?.creditBalance ?? 0;
+  const creditApplied = statementQ.data?.totals?.totalCreditApplied ?? 0;
+  const adjustmentsTotal = statementQ.data?.totals?.totalAdjustments ?? 0;
+  const openingBalance = statementQ.data?.totals?.openingBalance ?? 0;
+
+  const voteHeads = useMemo(() => {
+    const v = statementQ.data?.voteHeads;
+    return Array.isArray(v) ? v : [];
+  }, [statementQ.data]);
 
   const timeline = useMemo(() => {
     const tl = statementQ.data?.timeline;
@@ -48,13 +73,15 @@ export default function StudentStatementTab() {
     <div className="grid gap-3">
       <Card>
         <CardHeader className="pb-2">
-          <CardTitle className="text-base">Lookup (Admission No)</CardTitle>
+          <CardTitle className="text-base">{fixedStudent ? "Fee statement" : "Lookup (Admission No)"}</CardTitle>
         </CardHeader>
         <CardContent className="grid gap-3">
-          <StudentLookupByAdmission
-            onSelect={(s) => setStudent(s)}
-            helperText="Use Admission No. The system will fetch statement using the internal student ID."
-          />
+          {!fixedStudent && (
+            <StudentLookupByAdmission
+              onSelect={(s) => setPicked(s)}
+              helperText="Use Admission No. The system will fetch statement using the internal student ID."
+            />
+          )}
 
           <div className="grid gap-3 md:grid-cols-4">
             <Input
@@ -110,9 +137,27 @@ export default function StudentStatementTab() {
                   <div>
                     Total paid: <b>{money(paid)}</b>
                   </div>
+                  {adjustmentsTotal !== 0 && (
+                    <div>
+                      Adjustments: <b>{money(adjustmentsTotal)}</b>
+                    </div>
+                  )}
+                  {openingBalance !== 0 && (
+                    <div>
+                      Balance from earlier terms: <b>{money(openingBalance)}</b>
+                    </div>
+                  )}
+                  {creditApplied > 0 && (
+                    <div>
+                      Credit applied: <b>{money(creditApplied)}</b>
+                    </div>
+                  )}
                   <div>
                     Balance: <b>{money(balance)}</b>
                   </div>
+                  <div>
+                    Credit available: <b className={creditBalance > 0 ? "text-emerald-600" : ""}>{money(creditBalance)}</b>
+                  </div>
                   <div className="text-xs text-muted-foreground">
                     Invoices: {count}
                   </div>
@@ -121,10 +166,57 @@ export default function StudentStatementTab() {
             </CardContent>
           </Card>
 
+          {/* VOTE HEADS */}
+          {voteHeads.length > 0 && (
+            <Card>
+              <CardHeader className="pb-2">
+                <CardTitle className="text-base">By fee item</CardTitle>
+              </CardHeader>
+
+              <CardContent className="overflow-auto">
+                <table className="w-full text-sm">
+                  <thead className="text-left text-xs text-muted-foreground">
+                    <tr>
+                      <th className="py-1">Fee item</th>
+                      <th className="text-right">Billed</th>
+                      <th className="text-right">Paid</th>
+                      <th className="text-right">Credit</th>
+                      <th className="text-right">Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {voteHeads.map((h) => (
+                      <tr key={h.feeItemId} className="border-t">
+                        <td className="py-1">
+                          {h.name || "Fee item"}
+                          {h.isBroughtForward && (
+                            <span className="text-xs text-muted-foreground"> (earlier terms)</span>
+                          )}
+                        </td>
+                        <td className="text-right">{money(h.billed)}</td>
+                        <td className="text-right">{money(h.paid)}</td>
+                        <td className="text-right">{money(h.credit)}</td>
+                        <td className="text-right font-medium">{money(h.balance)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </CardContent>
+            </Card>
+          )}
+
           {/* TIMELINE */}
           <Card>
-            <CardHeader className="pb-2">
+            <CardHeader className="pb-2 flex flex-row items-center justify-between gap-2">
               <CardTitle className="text-base">Timeline</CardTitle>
+              <Button
+                size="sm"
+                variant="outline"
+                disabled={!statementQ.data}
+                onClick={() => printTarget("print-fees-statement")}
+              >
+                Print statement
+              </Button>
             </CardHeader>
 
             <CardContent className="space-y-2">
@@ -138,18 +230,59 @@ export default function StudentStatementTab() {
                 <div className="space-y-2">
                   {timeline.map((t, i) => (
                     <div key={i} className="border rounded-md p-2 text-sm">
-                      <div className="font-medium">{t.type}</div>
+                      <div className="font-medium">
+                        {t.type === "CREDIT"
+                          ? CREDIT_LABELS[t.entryType] || "Credit"
+                          : t.type === "ADJUSTMENT"
+                          ? `${t.adjustmentType}${t.feeItem ? ` • ${t.feeItem}` : ""}`
+                          : t.type}
+                      </div>
 
                       <div className="text-xs text-muted-foreground">
                         {t.at ? new Date(t.at).toISOString().slice(0, 10) : "—"} •{" "}
                         {t.type === "PAYMENT"
                           ? `Receipt ${t.receiptNo || "—"}`
+                          : t.type === "ADJUSTMENT"
+                          ? [t.reason, t.sponsor].filter(Boolean).join(" • ") || "—"
+                          : t.type === "REFUND"
+                          ? `Voucher ${t.voucherNo || "—"} • ${t.method}${t.reason ? ` • ${t.reason}` : ""}`
+                          : t.type === "CREDIT"
+                          ? t.invoiceNo
+                            ? `Invoice ${t.invoiceNo}`
+                            : t.receiptNo
+                            ? `Receipt ${t.receiptNo}`
+                            : t.note || "—"
                           : `Invoice ${t.ref ? String(t.ref).slice(0, 8) + "…" : "—"}`}
                       </div>
 
                       <div className="text-xs">
                         Amount: <b>{money(t.amount ?? 0)}</b>
+                        {t.type !== "CREDIT" && t.runningBalance != null && (
+                          <span className="text-muted-foreground"> • Running balance: {money(t.runningBalance)}</span>
+                        )}
                       </div>
+
+                      {t.type === "PAYMENT" && t.ref && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          className="mt-1"
+                          onClick={() => openReceiptPdf(t.ref).catch(() => toast.error("Failed to open receipt"))}
+                        >
+                          Receipt
+                        </Button>
+                      )}
+
+                      {t.type === "INVOICE" && t.broughtForward > 0 && (
+                        <div className="text-xs text-muted-foreground">
+                          Balance b/f {money(t.broughtForward)} (settled first)
+                        </div>
+                      )}
+                      {t.type === "INVOICE" && t.status === "CARRIED_FORWARD" && (
+                        <div className="text-xs text-muted-foreground">
+                          {money(t.carriedForward)} carried to the next invoice
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -158,6 +291,9 @@ export default function StudentStatementTab() {
           </Card>
         </>
       )}
+
+      {/* Print target (kept mounted) */}
+      <StudentStatementPrint statement={studentId ? statementQ.data : null} />
     </div>
   );
 }
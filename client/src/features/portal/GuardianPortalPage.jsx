@@ -0,0 +1,189 @@
+// src/features/portal/GuardianPortalPage.jsx
+import { useState } from "react";
+import { Navigate, useParams } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+
+import { useMe } from "@/hooks/useMe";
+import { listStudentResultSessions } from "@/api/results.api";
+import { attendanceStudentSummary } from "@/api/attendance.api";
+
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+
+import StudentResultsCard from "../results/StudentResultsCard";
+import { useStudentResults } from "../results/hooks/useStudentResults";
+import StudentStatementTab from "../fees/tabs/StudentStatementTab";
+
+const selectCls = "h-10 rounded-md border bg-background px-3 text-sm";
+
+function fullName(s) {
+  return `${s?.firstName || ""} ${s?.lastName || ""}`.trim() || "-";
+}
+
+function classLabel(c) {
+  if (!c) return "Unassigned";
+  return `${c.name || "Class"}${c.stream ? ` ${c.stream}` : ""}`;
+}
+
+function sessionLabel(s) {
+  return [s.name || s.examType?.name || "Exam", s.term, s.year].filter(Boolean).join(" • ");
+}
+
+function AttendanceCard({ studentId }) {
+  const [year, setYear] = useState(new Date().getFullYear());
+
+  const summaryQ = useQuery({
+    queryKey: ["attendanceStudentSummary", studentId, year],
+    queryFn: () => attendanceStudentSummary(studentId, { from: `${year}-01-01`, to: `${year}-12-31` }),
+    enabled: !!studentId,
+  });
+  const s = summaryQ.data;
+
+  const years = [0, 1, 2].map((n) => new Date().getFullYear() - n);
+
+  return (
+    <Card>
+      <CardHeader className="pb-2 flex flex-row items-center justify-between gap-2">
+        <CardTitle className="text-base">Attendance</CardTitle>
+        <select className={selectCls} value={year} onChange={(e) => setYear(Number(e.target.value))}>
+          {years.map((y) => (
+            <option key={y} value={y}>
+              {y}
+            </option>
+          ))}
+        </select>
+      </CardHeader>
+      <CardContent>
+        {summaryQ.isLoading ? (
+          <div className="text-sm text-muted-foreground">Loading attendance...</div>
+        ) : summaryQ.isError ? (
+          <div className="text-sm text-destructive">
+            {summaryQ.error?.response?.data?.message || "Failed to load attendance"}
+          </div>
+        ) : !s?.total ? (
+          <div className="text-sm text-muted-foreground">No attendance recorded for {year}.</div>
+        ) : (
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-sm">
+            <div className="rounded border p-2">
+              <div className="text-xs opacity-70">Attendance</div>
+              <div className="font-semibold">{s.attendanceRatePct}%</div>
+            </div>
+            <div className="rounded border p-2">
+              <div className="text-xs opacity-70">Present</div>
+              <div className="font-semibold">{s.present}</div>
+            </div>
+            <div className="rounded border p-2">
+              <div className="text-xs opacity-70">Absent</div>
+              <div className="font-semibold">{s.absent}</div>
+            </div>
+            <div className="rounded border p-2">
+              <div className="text-xs opacity-70">Late</div>
+              <div className="font-semibold">{s.late}</div>
+            </div>
+            <div className="rounded border p-2">
+              <div className="text-xs opacity-70">Excused</div>
+              <div className="font-semibold">{s.excused}</div>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function ResultsCard({ studentId }) {
+  const [sessionId, setSessionId] = useState("");
+
+  const sessionsQ = useQuery({
+    queryKey: ["studentResultSessions", studentId],
+    queryFn: () => listStudentResultSessions(studentId),
+    enabled: !!studentId,
+  });
+  const sessions = sessionsQ.data?.data || [];
+  const activeId = sessionId || sessions[0]?.id || "";
+
+  const resultsQ = useStudentResults({ enabled: true, sessionId: activeId, studentId });
+
+  return (
+    <Card>
+      <CardHeader className="pb-2 flex flex-row items-center justify-between gap-2">
+        <CardTitle className="text-base">Results</CardTitle>
+        {sessions.length > 0 && (
+          <select className={selectCls} value={activeId} onChange={(e) => setSessionId(e.target.value)}>
+            {sessions.map((s) => (
+              <option key={s.id} value={s.id}>
+                {sessionLabel(s)}
+              </option>
+            ))}
+          </select>
+        )}
+      </CardHeader>
+      <CardContent>
+        {sessionsQ.isLoading || resultsQ.isLoading ? (
+          <div className="text-sm text-muted-foreground">Loading results...</div>
+        ) : sessionsQ.isError || resultsQ.isError ? (
+          <div className="text-sm text-destructive">
+            {(sessionsQ.error || resultsQ.error)?.response?.data?.message || "Failed to load results"}
+          </div>
+        ) : sessions.length === 0 ? (
+          <div className="text-sm text-muted-foreground">No published results yet.</div>
+        ) : (
+          <StudentResultsCard payload={resultsQ.data?.data} />
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+/**
+ * Parent portal: read-only view of one linked child (fees, receipts, results, attendance).
+ * The child is picked with the switcher in the app shell; the server enforces the same scope.
+ */
+export default function GuardianPortalPage() {
+  const { studentId } = useParams();
+  const { data: meData, isLoading } = useMe();
+
+  const children = Array.isArray(meData?.user?.children) ? meData.user.children : [];
+
+  if (isLoading) return <div className="p-6">Loading...</div>;
+
+  if (children.length === 0) {
+    return (
+      <div className="p-4">
+        <Card>
+          <CardContent className="pt-6 text-center text-sm text-muted-foreground">
+            No children are linked to your account yet. Please contact the school office.
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  if (!studentId) return <Navigate to={`/app/children/${children[0].id}`} replace />;
+
+  const child = children.find((c) => c.id === studentId);
+  if (!child) return <Navigate to="/app/children" replace />;
+
+  return (
+    <div className="space-y-4 p-4">
+      <Card>
+        <CardHeader>
+          <div className="flex flex-wrap items-center gap-2">
+            <CardTitle className="text-xl">{fullName(child)}</CardTitle>
+            {!child.isActive && <Badge variant="secondary">Inactive</Badge>}
+          </div>
+          <CardDescription>
+            Admission No: {child.admissionNo} • {classLabel(child.class)}
+          </CardDescription>
+        </CardHeader>
+      </Card>
+
+      <div className="grid gap-4 lg:grid-cols-2">
+        <ResultsCard key={`results-${child.id}`} studentId={child.id} />
+        <AttendanceCard key={`attendance-${child.id}`} studentId={child.id} />
+      </div>
+
+      <StudentStatementTab key={`fees-${child.id}`} student={child} />
+    </div>
+  );
+}
@@ -0,0 +1,360 @@
+import { useMemo, useState } from "react";
+import { Link, NavLink } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { listClasses } from "@/api/classes.api";
+import { getFeesAging, downloadFeesAging } from "@/api/feesReports.api";
+import { printId } from "../utils/print";
+
+import PrintDocument from "@/components/print/PrintDocument";
+
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+
+const ALL = "__all__";
+const TERMS = ["TERM1", "TERM2", "TERM3"];
+const BUCKETS = [
+  { key: "NOT_DUE", label: "Not due" },
+  { key: "0-30", label: "0–30" },
+  { key: "31-60", label: "31–60" },
+  { key: "61-90", label: "61–90" },
+  { key: "90+", label: "90+" },
+];
+
+function normalizeArray(maybe) {
+  if (Array.isArray(maybe)) return maybe;
+  if (Array.isArray(maybe?.data)) return maybe.data;
+  if (Array.isArray(maybe?.data?.data)) return maybe.data.data;
+  return [];
+}
+
+function fmtClass(c) {
+  return `${c.name}${c.stream ? ` ${c.stream}` : ""} (${c.year})`;
+}
+
+function fmtMoney(n) {
+  const v = Number(n || 0);
+  return v.toLocaleString();
+}
+
+function fmtDay(d) {
+  return d ? new Date(d).toLocaleDateString(undefined, { timeZone: "UTC" }) : "-";
+}
+
+function todayISO() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function FinanceNav() {
+  const linkCls = ({ isActive }) =>
+    `px-3 py-2 rounded-md border text-sm ${
+      isActive ? "bg-black text-white" : "bg-white"
+    }`;
+
+  return (
+    <div className="flex gap-2 no-print flex-wrap">
+      <NavLink className={linkCls} to="/app/reports/fees/summary">
+        Summary
+      </NavLink>
+      <NavLink className={linkCls} to="/app/reports/fees/defaulters">
+        Defaulters
+      </NavLink>
+      <NavLink className={linkCls} to="/app/reports/fees/collections">
+        Collections
+      </NavLink>
+      <NavLink className={linkCls} to="/app/reports/fees/aging" end>
+        Aging
+      </NavLink>
+    </div>
+  );
+}
+
+function AgingTable({ title, firstHeader, rows, totals, labelOf }) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{title}</CardTitle>
+      </CardHeader>
+      <CardContent className="overflow-auto">
+        <table className="w-full text-sm">
+          <thead className="text-left opacity-70">
+            <tr>
+              <th className="py-2">{firstHeader}</th>
+              <th className="text-right">Invoices</th>
+              {BUCKETS.map((b) => (
+                <th key={b.key} className="text-right">
+                  {b.label}
+                </th>
+              ))}
+              <th className="text-right">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={labelOf(r)} className="border-t">
+                <td className="py-2">{labelOf(r)}</td>
+                <td className="text-right">{r.invoices}</td>
+                {BUCKETS.map((b) => (
+                  <td key={b.key} className="text-right">
+                    {fmtMoney(r[b.key])}
+                  </td>
+                ))}
+                <td className="text-right font-medium">{fmtMoney(r.total)}</td>
+              </tr>
+            ))}
+            {rows.length === 0 && (
+              <tr className="border-t">
+                <td className="py-2 opacity-70" colSpan={BUCKETS.length + 3}>
+                  Nothing outstanding.
+                </td>
+              </tr>
+            )}
+          </tbody>
+          {totals && rows.length > 0 && (
+            <tfoot>
+              <tr className="border-t font-semibold">
+                <td className="py-2">Total</td>
+                <td className="text-right">{totals.invoices}</td>
+                {BUCKETS.map((b) => (
+                  <td key={b.key} className="text-right">
+                    {fmtMoney(totals[b.key])}
+                  </td>
+                ))}
+                <td className="text-right">{fmtMoney(totals.total)}</td>
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default function FeesAgingReport() {
+  const [classId, setClassId] = useState(ALL);
+  const [year, setYear] = useState(String(new Date().getFullYear()));
+  const [term, setTerm] = useState(ALL);
+  const [asOf, setAsOf] = useState(todayISO());
+  const [basis, setBasis] = useState("due");
+  const [downloading, setDownloading] = useState(false);
+
+  const { data: classesRaw, isLoading: classesLoading } = useQuery({
+    queryKey: ["classes", "active"],
+    queryFn: () => listClasses({ active: true }),
+  });
+  const classes = useMemo(() => normalizeArray(classesRaw), [classesRaw]);
+
+  const selectedClass = useMemo(
+    () => classes.find((c) => String(c.id) === String(classId)) || null,
+    [classes, classId]
+  );
+
+  const params = useMemo(
+    () => ({
+      classId: classId !== ALL ? String(classId) : undefined,
+      year: year ? Number(year) : undefined,
+      term: term !== ALL ? term : undefined,
+      asOf: asOf || undefined,
+      basis,
+    }),
+    [classId, year, term, asOf, basis]
+  );
+
+  const { data: report, isLoading, error } = useQuery({
+    queryKey: ["feesReports", "aging", params],
+    queryFn: () => getFeesAging(params),
+  });
+
+  const download = async (groupBy, format) => {
+    setDownloading(true);
+    try {
+      await downloadFeesAging({ ...params, groupBy }, format);
+    } catch (err) {
+      toast.error(err?.response?.data?.message || "Export failed");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const scopeText = [
+    selectedClass ? fmtClass(selectedClass) : "All classes",
+    term !== ALL ? term : "All terms",
+    year || "All years",
+    basis === "due" ? "Aged from due dates" : "Aged from invoice date",
+  ].join(" • ");
+
+  return (
+    <div className="space-y-4">
+      {/* top bar */}
+      <div className="flex items-start justify-between gap-3 flex-wrap no-print">
+        <div>
+          <h2 className="text-xl font-semibold">Finance — Aged Receivables</h2>
+          <p className="opacity-70 mt-1">
+            Outstanding fee balances by age, per class and per fee item.
+          </p>
+        </div>
+
+        <div className="flex items-center gap-2 flex-wrap">
+          <Button variant="outline" disabled={!report || downloading} onClick={() => download("class", "csv")}>
+            CSV (classes)
+          </Button>
+          <Button variant="outline" disabled={!report || downloading} onClick={() => download("item", "csv")}>
+            CSV (items)
+          </Button>
+          <Button variant="outline" disabled={!report || downloading} onClick={() => download("class", "xlsx")}>
+            Excel
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => printId("print-fees-aging")}
+            disabled={!report}
+            title={!report ? "Load a report first" : "Print this report"}
+          >
+            Print
+          </Button>
+        </div>
+      </div>
+
+      <FinanceNav />
+
+      {/* filters */}
+      <Card className="no-print">
+        <CardHeader>
+          <CardTitle>Filters</CardTitle>
+        </CardHeader>
+
+        <CardContent className="grid gap-3 md:grid-cols-5">
+          <div className="space-y-1">
+            <div className="text-xs opacity-70">Class</div>
+            <Select value={String(classId)} onValueChange={setClassId}>
+              <SelectTrigger>
+                <SelectValue placeholder={classesLoading ? "Loading classes..." : "All classes"} />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>All classes</SelectItem>
+                {classes.map((c) => (
+                  <SelectItem key={c.id} value={String(c.id)}>
+                    {fmtClass(c)}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-1">
+            <div className="text-xs opacity-70">Year</div>
+            <Input value={year} onChange={(e) => setYear(e.target.value)} inputMode="numeric" />
+          </div>
+
+          <div className="space-y-1">
+            <div className="text-xs opacity-70">Term</div>
+            <Select value={term} onValueChange={setTerm}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>All terms</SelectItem>
+                {TERMS.map((t) => (
+                  <SelectItem key={t} value={t}>
+                    {t}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-1">
+            <div className="text-xs opacity-70">As of</div>
+            <Input type="date" value={asOf} onChange={(e) => setAsOf(e.target.value)} />
+          </div>
+
+          <div className="space-y-1">
+            <div className="text-xs opacity-70">Age from</div>
+            <Select value={basis} onValueChange={setBasis}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="due">Installment due date</SelectItem>
+                <SelectItem value="issue">Invoice date</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </CardContent>
+      </Card>
+
+      {isLoading && <div className="opacity-70 no-print">Loading report…</div>}
+      {error && (
+        <div className="text-red-600 no-print">
+          {String(error?.response?.data?.message || error?.message || "Failed to load report")}
+        </div>
+      )}
+
+      {report && (
+        <PrintDocument id="print-fees-aging" className="space-y-3 bg-white">
+          <div className="hidden print:block">
+            <div className="text-base font-semibold">Aged Receivables — Fees</div>
+            <div className="text-sm opacity-70">
+              {scopeText} • As of {fmtDay(report.asOf)}
+            </div>
+          </div>
+
+          <div className="grid gap-3 grid-cols-2 md:grid-cols-6">
+            {BUCKETS.map((b) => (
+              <Card key={b.key}>
+                <CardContent className="pt-4">
+                  <div className="text-xs opacity-70">{b.key === "NOT_DUE" ? b.label : `${b.label} days`}</div>
+                  <div className="text-lg font-semibold">{fmtMoney(report.totals?.[b.key])}</div>
+                </CardContent>
+              </Card>
+            ))}
+            <Card>
+              <CardContent className="pt-4">
+                <div className="text-xs opacity-70">Total outstanding</div>
+                <div className="text-lg font-semibold">{fmtMoney(report.totals?.total)}</div>
+              </CardContent>
+            </Card>
+          </div>
+
+          <AgingTable
+            title="By class"
+            firstHeader="Class"
+            rows={report.byClass || []}
+            totals={report.totals}
+            labelOf={(r) => r.className}
+          />
+
+          <AgingTable
+            title="By fee item"
+            firstHeader="Fee item"
+            rows={report.byItem || []}
+            totals={null}
+            labelOf={(r) => r.itemName}
+          />
+
+          <div className="text-xs opacity-70">
+            Balances are as currently recorded; the as-of date sets the aging clock. Item amounts share each
+            invoice&apos;s balance in proportion to its charges (balance b/f kept separately).
+          </div>
+          <div className="text-xs opacity-70">Printed: {new Date().toLocaleString()}</div>
+
+          <div className="no-print">
+            <Button asChild variant="outline">
+              <Link to="/app/dashboard">Back to Dashboard</Link>
+            </Button>
+          </div>
+        </PrintDocument>
+      )}
+    </div>
+  );
+}
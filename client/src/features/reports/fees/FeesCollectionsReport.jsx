@@ -1,8 +1,13 @@
 import { useMemo, useState } from "react";
 import { Link, NavLink } from "react-router-dom";
 import { useQuery } from "@tanstack/react-query";
+import { toast } from "sonner";
 
-import { getFeesCollections } from "@/api/feesReports.api";
+import {
+  getFeesCollections,
+  getFeesCollectionsByItem,
+  downloadFeesCollectionsByItem,
+} from "@/api/feesReports.api";
 import { printId } from "../utils/print";
 
 import PrintDocument from "@/components/print/PrintDocument";
@@ -41,6 +46,9 @@ function FinanceNav() {
       <NavLink className={linkCls} to="/app/reports/fees/collections" end>
         Collections
       </NavLink>
+      <NavLink className={linkCls} to="/app/reports/fees/aging">
+        Aging
+      </NavLink>
     </div>
   );
 }
@@ -65,6 +73,24 @@ export default function FeesCollectionsReport() {
     enabled: Boolean(params),
   });
 
+  const { data: byItem } = useQuery({
+    queryKey: ["feesReports", "collectionsByItem", params],
+    queryFn: () => getFeesCollectionsByItem(params),
+    enabled: Boolean(params),
+  });
+
+  const [downloading, setDownloading] = useState(false);
+  const downloadByItem = async (format) => {
+    setDownloading(true);
+    try {
+      await downloadFeesCollectionsByItem(params, format);
+    } catch (err) {
+      toast.error(err?.response?.data?.message || "Export failed");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
   const canPrint = Boolean(report);
   const printSubtitle = report ? `From ${report.from} to ${report.to}` : "";
   const showHint = !report && !isLoading && !error;
@@ -80,7 +106,13 @@ export default function FeesCollectionsReport() {
           </p>
         </div>
 
-        <div className="flex items-center gap-2">
+        <div className="flex items-center gap-2 flex-wrap">
+          <Button variant="outline" disabled={!byItem || downloading} onClick={() => downloadByItem("csv")}>
+            CSV (by fee item)
+          </Button>
+          <Button variant="outline" disabled={!byItem || downloading} onClick={() => downloadByItem("xlsx")}>
+            Excel (by fee item)
+          </Button>
           <Button
             variant="outline"
             onClick={() => printId("print-fees-collections")}
@@ -182,6 +214,18 @@ export default function FeesCollectionsReport() {
                     </div>
                   </div>
 
+                  {Number(report.totalRefunded || 0) > 0 && (
+                    <div>
+                      <div className="text-xs opacity-70">Net of Refunds</div>
+                      <div className="text-2xl font-semibold">
+                        {fmtMoney(report.netCollected)}
+                      </div>
+                      <div className="text-xs opacity-70">
+                        after {fmtMoney(report.totalRefunded)} refunded
+                      </div>
+                    </div>
+                  )}
+
                   <div>
                     <div className="text-xs opacity-70">Payments Count</div>
                     <div className="text-2xl font-semibold">
@@ -210,6 +254,45 @@ export default function FeesCollectionsReport() {
                 </CardContent>
               </Card>
 
+              {/* by fee item (vote head) */}
+              {byItem && (
+                <Card>
+                  <CardHeader>
+                    <CardTitle>By Fee Item</CardTitle>
+                  </CardHeader>
+                  <CardContent className="overflow-auto">
+                    <table className="w-full text-sm">
+                      <thead className="text-left opacity-70">
+                        <tr>
+                          <th className="py-2">Fee Item</th>
+                          <th>Code</th>
+                          <th className="text-right">Receipts</th>
+                          <th className="text-right">Amount</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {(byItem.rows || []).map((r) => (
+                          <tr key={r.feeItemId || r.itemName} className="border-t">
+                            <td className="py-2">{r.itemName}</td>
+                            <td>{r.code || "-"}</td>
+                            <td className="text-right">{r.receipts ?? "-"}</td>
+                            <td className="text-right">{fmtMoney(r.amount)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                      <tfoot>
+                        <tr className="border-t font-semibold">
+                          <td className="py-2" colSpan={3}>
+                            Total
+                          </td>
+                          <td className="text-right">{fmtMoney(byItem.netCollected ?? byItem.totalCollected)}</td>
+                        </tr>
+                      </tfoot>
+                    </table>
+                  </CardContent>
+                </Card>
+              )}
+
               {/* payments */}
               <Card>
                 <CardHeader>
@@ -37,7 +37,23 @@ function fmtMoney(n) {
 
 const TERMS = ["TERM1", "TERM2", "TERM3"];
 
+const AGING_BUCKETS = ["NOT_DUE", "0-30", "31-60", "61-90", "90+"];
+
+function todayISO() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function fmtDay(d) {
+  return d ? new Date(d).toLocaleDateString(undefined, { timeZone: "UTC" }) : "-";
+}
+
+function fmtAging(b) {
+  return b === "NOT_DUE" ? "Not due" : `${b} days`;
+}
+
 function fmtName(s) {
+  if (s?.name) return s.name;
   const first = s?.firstName || "";
   const last = s?.lastName || "";
   return `${first} ${last}`.trim() || "-";
@@ -60,6 +76,9 @@ function FinanceNav() {
       <NavLink className={linkCls} to="/app/reports/fees/collections">
         Collections
       </NavLink>
+      <NavLink className={linkCls} to="/app/reports/fees/aging">
+        Aging
+      </NavLink>
     </div>
   );
 }
@@ -70,6 +89,9 @@ export default function FeesDefaultersReport() {
   const [term, setTerm] = useState("TERM1");
   const [minBalance, setMinBalance] = useState("1");
   const [limit, setLimit] = useState("50");
+  const [asOf, setAsOf] = useState(todayISO());
+  const [basis, setBasis] = useState("overdue");
+  const [minDays, setMinDays] = useState("0");
 
   // Classes
   const { data: classesRaw, isLoading: classesLoading } = useQuery({
@@ -91,8 +113,11 @@ export default function FeesDefaultersReport() {
       term: String(term),
       minBalance: Number(minBalance || 1),
       limit: Number(limit || 50),
+      asOf: asOf || undefined,
+      basis,
+      minDays: Number(minDays || 0),
     };
-  }, [classId, year, term, minBalance, limit]);
+  }, [classId, year, term, minBalance, limit, asOf, basis, minDays]);
 
   const { data: report, isLoading, error } = useQuery({
     queryKey: ["feesReports", "defaulters", params],
@@ -107,7 +132,7 @@ export default function FeesDefaultersReport() {
         <div>
           <h2 className="text-xl font-semibold">Finance — Fees Defaulters</h2>
           <p className="opacity-70 mt-1">
-            Print-first list sorted by highest balance.
+            Print-first list of installments past due, aged from the oldest unpaid installment.
           </p>
         </div>
 
@@ -195,6 +220,29 @@ export default function FeesDefaultersReport() {
             <div className="text-xs opacity-70">Limit</div>
             <Input value={limit} onChange={(e) => setLimit(e.target.value)} />
           </div>
+
+          <div className="space-y-1">
+            <div className="text-xs opacity-70">As of</div>
+            <Input type="date" value={asOf} onChange={(e) => setAsOf(e.target.value)} />
+          </div>
+
+          <div className="space-y-1">
+            <div className="text-xs opacity-70">Show</div>
+            <Select value={basis} onValueChange={setBasis}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="overdue">Overdue only</SelectItem>
+                <SelectItem value="balance">All with a balance</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-1">
+            <div className="text-xs opacity-70">Min Days Overdue</div>
+            <Input value={minDays} onChange={(e) => setMinDays(e.target.value)} inputMode="numeric" />
+          </div>
         </CardContent>
       </Card>
 
@@ -217,10 +265,31 @@ export default function FeesDefaultersReport() {
               {selectedClass
                 ? fmtClass(selectedClass)
                 : `Class ${String(classId)}`}{" "}
-              • {term} {year} • Min Balance: {minBalance}
+              • {term} {year} • As of {fmtDay(report.asOf)} •{" "}
+              {report.basis === "balance" ? "All with a balance" : "Overdue only"}
+              {Number(report.minDays) > 0 ? ` • ${report.minDays}+ days` : ""}
             </div>
           </div>
 
+          {report.aging && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Aging as of {fmtDay(report.asOf)}</CardTitle>
+              </CardHeader>
+              <CardContent className="grid gap-3 grid-cols-2 md:grid-cols-5">
+                {AGING_BUCKETS.map((b) => (
+                  <div key={b} className="border rounded-md p-2">
+                    <div className="text-xs opacity-70">{fmtAging(b)}</div>
+                    <div className="font-semibold">
+                      {fmtMoney(b === "NOT_DUE" ? report.aging[b]?.balance : report.aging[b]?.overdue)}
+                    </div>
+                    <div className="text-xs opacity-70">{report.aging[b]?.count || 0} students</div>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          )}
+
           <Card>
             <CardHeader>
               <CardTitle>
@@ -234,6 +303,9 @@ export default function FeesDefaultersReport() {
                     <th className="py-2">#</th>
                     <th>Adm</th>
                     <th>Student</th>
+                    <th className="text-right">Overdue</th>
+                    <th className="text-right">Days</th>
+                    <th>Next Due</th>
                     <th className="text-right">Balance</th>
                     <th className="text-right">Paid</th>
                     <th className="text-right">Total</th>
@@ -245,6 +317,11 @@ export default function FeesDefaultersReport() {
                       <td className="py-2">{idx + 1}</td>
                       <td>{r.student?.admissionNo || "-"}</td>
                       <td>{fmtName(r.student)}</td>
+                      <td className="text-right">{fmtMoney(r.overdue)}</td>
+                      <td className="text-right">{r.overdue > 0 ? r.daysOverdue : "-"}</td>
+                      <td>
+                        {r.nextDue ? `${fmtMoney(r.nextDue.amount)} by ${fmtDay(r.nextDue.dueDate)}` : "-"}
+                      </td>
                       <td className="text-right">{fmtMoney(r.balance)}</td>
                       <td className="text-right">{fmtMoney(r.paid)}</td>
                       <td className="text-right">{fmtMoney(r.total)}</td>
@@ -53,6 +53,9 @@ function FinanceNav() {
       <NavLink className={linkCls} to="/app/reports/fees/collections">
         Collections
       </NavLink>
+      <NavLink className={linkCls} to="/app/reports/fees/aging">
+        Aging
+      </NavLink>
     </div>
   );
 }
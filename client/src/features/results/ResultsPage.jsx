@@ -6,7 +6,7 @@ import { useMe } from "@/hooks/useMe";
 import { listExamSessions, publishResults } from "@/api/exams.api";
 import { listClasses } from "@/api/classes.api";
 import { listStudents } from "@/api/students.api";
-import { getClassResults, getStudentResults } from "@/api/results.api";
+import { getClassResults, getStudentResults, getTermAggregate } from "@/api/results.api";
 import { getBranding } from "@/api/settingsBranding.api";
 
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
@@ -17,6 +17,7 @@ import SessionsList from "./components/SessionsList";
 import ClassResultsCard from "./components/ClassResultsCard";
 import ClassResultsTable from "./components/ClassResultsTable";
 import StudentSlipPanel from "./components/StudentSlipPanel";
+import TermAggregateCard from "./components/TermAggregateCard";
 
 import { fmtClass } from "./utils/format";
 import { printNow } from "./utils/print";
@@ -47,6 +48,7 @@ export default function ResultsPage() {
   const [activeStudentId, setActiveStudentId] = useState(null);
 
   const [showGrades, setShowGrades] = useState(true);
+  const [aggregateClassId, setAggregateClassId] = useState("");
   const [toast, setToast] = useState(null);
 
   const yearNum = useMemo(
@@ -68,6 +70,7 @@ export default function ResultsPage() {
       qc.invalidateQueries({ queryKey: ["examSessions"] });
       qc.invalidateQueries({ queryKey: ["classResults", activeSessionId] });
       qc.invalidateQueries({ queryKey: ["studentResults"] });
+      qc.invalidateQueries({ queryKey: ["termAggregate"] });
       setToast({ type: "success", message: "Results published ✅" });
     },
     onError: (err) =>
@@ -160,6 +163,17 @@ export default function ResultsPage() {
     }, {});
   }, [studentsQ.data]);
 
+  /* ================= TERM AGGREGATE ================= */
+  const canViewAggregate = role === "ADMIN" || role === "TEACHER";
+
+  const termAggregateQ = useQuery({
+    enabled: canViewAggregate && !!yearNum && term !== "ALL" && !!aggregateClassId,
+    queryKey: ["termAggregate", yearNum, term, aggregateClassId],
+    queryFn: () => getTermAggregate(yearNum, term, aggregateClassId),
+  });
+
+  const aggregatePayload = termAggregateQ.data?.data || null;
+
   /* ================= STUDENT RESULTS ================= */
   const effectiveStudentId =
     role === "STUDENT" ? myStudentId : activeStudentId;
@@ -301,6 +315,33 @@ export default function ResultsPage() {
                 <div className="opacity-70">No sessions found for these filters.</div>
               )}
 
+              {canViewAggregate && (
+                <div className="flex flex-wrap items-center gap-2 rounded-md border p-3">
+                  <span className="text-sm font-medium">Term report (weighted)</span>
+                  <select
+                    className="h-10 rounded-md border bg-background px-3 text-sm min-w-[220px]"
+                    value={aggregateClassId}
+                    onChange={(e) => setAggregateClassId(e.target.value)}
+                    disabled={term === "ALL"}
+                  >
+                    <option value="">Select class…</option>
+                    {(Array.isArray(classesQ.data) ? classesQ.data : []).map((c) => (
+                      <option key={c.id} value={c.id}>
+                        {fmtClass(c)}
+                      </option>
+                    ))}
+                  </select>
+                  {term === "ALL" && (
+                    <span className="text-xs opacity-70">Pick a term to combine its exams.</span>
+                  )}
+                  {aggregateClassId && (
+                    <Button variant="ghost" size="sm" onClick={() => setAggregateClassId("")}>
+                      Clear
+                    </Button>
+                  )}
+                </div>
+              )}
+
               <SessionsList
                 sessions={filteredSessions}
                 activeSessionId={activeSessionId}
@@ -310,6 +351,20 @@ export default function ResultsPage() {
             </CardContent>
           </Card>
 
+          {/* Weighted term report (Admin/Teacher) */}
+          {canViewAggregate && term !== "ALL" && aggregateClassId && (
+            <TermAggregateCard
+              payload={aggregatePayload}
+              classLabel={classLabelById.get(aggregateClassId) || "-"}
+              term={term}
+              year={yearNum}
+              showGrades={showGrades}
+              isLoading={termAggregateQ.isLoading}
+              error={termAggregateQ.isError ? errMsg(termAggregateQ.error) : null}
+              onPrint={() => printNow("print-term-aggregate")}
+            />
+          )}
+
           {/* Class results (Admin/Teacher) */}
           {role !== "STUDENT" && activeSessionId && (
             <ClassResultsCard
@@ -1,94 +1,35 @@
 // src/features/results/components/ClassResultsTable.jsx
 import { useMemo } from "react";
 import { Badge } from "@/components/ui/badge";
-import { gradeFromCell } from "../utils/format";
-
+import { fmtScore, subjectCode } from "../utils/format";
+
+/**
+ * Renders the class results payload from the backend:
+ * { subjects: [{ id, name, code }], results: [{ student, subjects: [cell], total, average, overallGrade, position, missingCount }] }
+ *
+ * Totals, grades and positions come from the server (frozen snapshot once published),
+ * so nothing is recomputed here.
+ */
 export default function ClassResultsTable({
   classPayload = {},
   showGrades = true,
   students = {},
 }) {
-  // 1️⃣ Prepare student data
-  const studentData = classPayload;
-
-  // 2️⃣ Extract subjects from the first student's marks
-  const firstStudentMarks = useMemo(() => {
-    const values = Object.values(studentData);
-    return Array.isArray(values[0]) ? values[0] : [];
-  }, [studentData]);
-
-  const subjects = useMemo(() => {
-    return firstStudentMarks.map((mark, idx) => {
-      const fullName = mark.subjectName || `Subject ${idx + 1}`;
-      const code = mark.subjectCode
-        ? mark.subjectCode.substring(0, 5).toUpperCase()
-        : fullName.substring(0, 3).toUpperCase();
-
-      return {
-        id: mark.subjectId || `sub-${idx}`,
-        name: fullName,
-        code,
-      };
-    });
-  }, [firstStudentMarks]);
+  const subjects = useMemo(
+    () => (Array.isArray(classPayload?.subjects) ? classPayload.subjects : []),
+    [classPayload]
+  );
 
-  // 3️⃣ Compute per-student results
   const results = useMemo(() => {
-    return Object.entries(studentData).map(([studentId, marks], index) => {
-      const safeMarks = Array.isArray(marks) ? marks : [];
-
-      const student = students[studentId] || {
-        id: studentId,
-        admissionNo: `ADM-${studentId.slice(0, 3).toUpperCase()}`,
-        firstName: "Learner",
-        lastName: `#${index + 1}`,
-      };
-
-      const subjectScores = safeMarks.map((m) => ({
-        score: m.score ?? null,
-        grade: gradeFromCell(m.score),
-        missing: m.score == null,
-      }));
-
-      const total = subjectScores.reduce((sum, cell) => sum + (cell.score || 0), 0);
-      const average = subjectScores.length ? total / subjectScores.length : 0;
-
-      const roundedAvg = Math.round(average);
-      const overallGrade = gradeFromCell(roundedAvg) || "—";
-
-      return {
-        student,
-        subjectScores,
-        total,
-        average: Number(average.toFixed(2)),
-        overallGrade,
-        missingCount: subjectScores.filter((c) => c.missing).length,
-      };
-    });
-  }, [studentData, students]);
-
-  // 4️⃣ Compute ranking
-  const rankedResults = useMemo(() => {
-    const sorted = [...results].sort(
-      (a, b) => b.total - a.total || b.average - a.average
-    );
-
-    let rank = 1;
-    let prevTotal = null;
-    let prevAvg = null;
-
-    return sorted.map((r, idx) => {
-      if (prevTotal === null || r.total !== prevTotal || r.average !== prevAvg) {
-        rank = idx + 1;
-        prevTotal = r.total;
-        prevAvg = r.average;
-      }
-      return { ...r, position: rank };
-    });
-  }, [results]);
-
-  // 5️⃣ Empty state
-  if (!subjects.length && !rankedResults.length) {
+    const rows = Array.isArray(classPayload?.results) ? classPayload.results : [];
+    return rows.map((r) => ({
+      ...r,
+      // prefer the fresh roster record (names can be corrected after publish)
+      student: { ...r.student, ...(students[r.student?.id] || {}) },
+    }));
+  }, [classPayload, students]);
+
+  if (!subjects.length && !results.length) {
     return (
       <div className="text-center py-12 text-muted-foreground border rounded-lg bg-muted/30">
         No results data available.
@@ -96,7 +37,6 @@ export default function ClassResultsTable({
     );
   }
 
-  // 6️⃣ Render table
   return (
     <div className="border rounded-lg overflow-hidden print:border-0 print:shadow-none print:m-0">
       <div className="overflow-x-auto print:overflow-visible">
@@ -106,7 +46,9 @@ export default function ClassResultsTable({
               <th className="text-left p-2">Adm No</th>
               <th className="text-left p-2">Student</th>
               {subjects.map((sub) => (
-                <th key={sub.id} className="text-right p-2">{sub.code}</th>
+                <th key={sub.id} className="text-right p-2" title={sub.name}>
+                  {subjectCode(sub)}
+                </th>
               ))}
               {showGrades && <th className="text-right p-2">Overall</th>}
               <th className="text-right p-2">Total</th>
@@ -117,24 +59,27 @@ export default function ClassResultsTable({
           </thead>
 
           <tbody>
-            {rankedResults.map((r) => {
+            {results.map((r) => {
               const st = r.student;
               return (
                 <tr key={st.id} className="border-t print:page-break-inside-avoid">
                   <td className="p-2">{st.admissionNo}</td>
                   <td className="p-2">{st.firstName} {st.lastName}</td>
 
-                  {r.subjectScores.map((cell, idx) => (
-                    <td key={idx} className="p-2 text-right">
-                      {cell.missing ? "—" : cell.score}
+                  {(r.subjects || []).map((cell) => (
+                    <td key={cell.subjectId} className="p-2 text-right">
+                      {cell.missing ? "—" : fmtScore(cell.score)}
+                      {showGrades && !cell.missing && cell.grade && (
+                        <span className="ml-1 text-xs opacity-70">{cell.grade}</span>
+                      )}
                     </td>
                   ))}
 
-                  {showGrades && <td className="p-2 text-right">{r.overallGrade}</td>}
+                  {showGrades && <td className="p-2 text-right">{r.overallGrade || "—"}</td>}
 
-                  <td className="p-2 text-right">{r.total}</td>
-                  <td className="p-2 text-right">{r.average}</td>
-                  <td className="p-2 text-right">{r.position}</td>
+                  <td className="p-2 text-right">{fmtScore(r.total)}</td>
+                  <td className="p-2 text-right">{Number(r.average || 0).toFixed(2)}</td>
+                  <td className="p-2 text-right">{r.position ?? "—"}</td>
                   <td className="p-2 text-right">
                     <Badge
                       variant={r.missingCount > 0 ? "destructive" : "secondary"}
@@ -151,4 +96,4 @@ export default function ClassResultsTable({
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -3,6 +3,7 @@ import { Button } from "@/components/ui/button";
 
 import PrintDocument from "@/components/print/PrintDocument";
 import StudentResultsCard from "../StudentResultsCard";
+import StudentPhoto from "@/features/students/StudentPhoto";
 import { printNow } from "../utils/print";
 import { fmtPrintedAt, fmtStudentName } from "../utils/format";
 
@@ -51,18 +52,21 @@ export default function StudentSlipPanel({
           <div className="text-sm opacity-70">{sessionName || "-"}</div>
         </div>
 
-        <div className="grid grid-cols-2 gap-2 text-sm">
-          <div>
-            <b>Student:</b> {studentName}
-          </div>
-          <div>
-            <b>Class:</b> {classLabel || "-"}
-          </div>
-          <div>
-            <b>Printed:</b> {printedAt}
-          </div>
-          <div>
-            <b>School:</b> {schoolName || "School"}
+        <div className="flex items-start gap-4">
+          <StudentPhoto studentId={payload.student?.id} name={studentName} className="h-20 w-20" />
+          <div className="grid flex-1 grid-cols-2 gap-2 text-sm">
+            <div>
+              <b>Student:</b> {studentName}
+            </div>
+            <div>
+              <b>Class:</b> {classLabel || "-"}
+            </div>
+            <div>
+              <b>Printed:</b> {printedAt}
+            </div>
+            <div>
+              <b>School:</b> {schoolName || "School"}
+            </div>
           </div>
         </div>
 
@@ -0,0 +1,88 @@
+// src/features/results/components/TermAggregateCard.jsx
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import PrintDocument from "@/components/print/PrintDocument";
+
+import ClassResultsTable from "./ClassResultsTable";
+
+/**
+ * Weighted term report: all PUBLISHED sessions of a class/year/term combined
+ * by exam-type weight. Payload shape matches class results, so the table is reused.
+ */
+export default function TermAggregateCard({
+  payload,
+  classLabel,
+  term,
+  year,
+  showGrades,
+  isLoading,
+  error,
+  onPrint,
+}) {
+  const sessions = payload?.meta?.sessions || [];
+  const grading = payload?.meta?.grading;
+
+  const weights = (
+    <div className="flex flex-wrap gap-2 text-sm">
+      {sessions.map((s) => (
+        <Badge key={s.sessionId} variant="outline">
+          {s.examType?.name || s.name || "Session"} — {Math.round((s.normalizedWeight || 0) * 100)}%
+        </Badge>
+      ))}
+      {grading?.mode && <Badge variant="secondary">Grading: {grading.mode}</Badge>}
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      <Card className="no-print">
+        <CardHeader className="space-y-1">
+          <CardTitle>Term Report — {classLabel}</CardTitle>
+          <div className="text-sm opacity-70 flex flex-wrap gap-2 items-center">
+            <span>
+              {term} {year}
+            </span>
+            •<span>{sessions.length} published session(s)</span>•
+            <Button variant="secondary" onClick={onPrint} disabled={!payload || isLoading}>
+              Print Term Report
+            </Button>
+          </div>
+        </CardHeader>
+
+        <CardContent className="space-y-3">
+          {isLoading && <div className="opacity-70 py-8 text-center">Computing term aggregate…</div>}
+          {error && <div className="text-red-600 py-8 text-center">Failed to load term report: {error}</div>}
+
+          {payload && !sessions.length && (
+            <div className="text-center py-8 text-muted-foreground border rounded-lg bg-muted/30">
+              No published sessions for this class and term yet.
+            </div>
+          )}
+
+          {payload && sessions.length > 0 && (
+            <>
+              {weights}
+              <ClassResultsTable classPayload={payload} showGrades={showGrades} />
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {payload && sessions.length > 0 && (
+        <PrintDocument id="print-term-aggregate">
+          <div className="bg-white">
+            <div className="text-center mb-4">
+              <h2 className="text-xl font-semibold">Term Report</h2>
+              <p className="text-sm mt-1">
+                {term} {year} • Class: {classLabel || "-"}
+              </p>
+            </div>
+            <div className="mb-3">{weights}</div>
+            <ClassResultsTable classPayload={payload} showGrades={showGrades} />
+          </div>
+        </PrintDocument>
+      )}
+    </div>
+  );
+}
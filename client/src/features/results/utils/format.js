@@ -9,22 +9,18 @@ export function scoreFromCell(cell) {
   return cell;
 }
 
-export function gradeFromCell(cell) {
-  let score = null;
-
-  if (typeof cell === "object") {
-    score = cell.score ?? null;
-  } else if (typeof cell === "number") {
-    score = cell;
-  }
-
-  if (score === null) return null;
+// Grades come from the server; this only formats the numbers.
+export function fmtScore(n) {
+  if (n === null || n === undefined || n === "") return "—";
+  const x = Number(n);
+  if (Number.isNaN(x)) return "—";
+  return Number.isInteger(x) ? String(x) : x.toFixed(2);
+}
 
-  if (score >= 80) return "A";
-  if (score >= 70) return "B";
-  if (score >= 60) return "C";
-  if (score >= 50) return "D";
-  return "F";
+export function subjectCode(sub) {
+  if (!sub) return "-";
+  if (sub.code) return String(sub.code).substring(0, 5).toUpperCase();
+  return String(sub.name || "-").substring(0, 3).toUpperCase();
 }
 
 export function fmtStudentName(s) {
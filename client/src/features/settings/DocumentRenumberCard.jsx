@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { useMutation } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { renumberFeeDocuments } from "@/api/fees.api";
+
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+
+/**
+ * Migration tool for documents issued before sequential numbering.
+ * Preview first; applying re-issues the year's numbers in creation order (old numbers are kept as legacy).
+ */
+export default function DocumentRenumberCard({ includeYear = true }) {
+  const [kind, setKind] = useState("INVOICE");
+  const [year, setYear] = useState(() => new Date().getFullYear());
+
+  const previewM = useMutation({
+    mutationFn: () => renumberFeeDocuments({ kind, year, dryRun: true }),
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to preview renumbering"),
+  });
+
+  const applyM = useMutation({
+    mutationFn: () => renumberFeeDocuments({ kind, year, dryRun: false }),
+    onSuccess: (data) => {
+      toast.success(`${data?.renumbered || 0} document(s) renumbered`);
+      previewM.reset();
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to renumber documents"),
+  });
+
+  const preview = previewM.data;
+  const changes = Array.isArray(preview?.changes) ? preview.changes : [];
+
+  const onScopeChange = (fn) => (e) => {
+    fn(e.target.value);
+    previewM.reset();
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm">Renumber existing documents</CardTitle>
+        <div className="text-xs text-muted-foreground mt-1">
+          Invoices and receipts issued before sequential numbering keep random numbers. Renumbering gives them
+          sequential numbers in the order they were created; the old number stays on record. This is only possible
+          before the year's first sequential number has been issued.
+        </div>
+      </CardHeader>
+
+      <CardContent className="space-y-3">
+        <div className="flex flex-wrap items-end gap-2">
+          <div className="space-y-1">
+            <Label className="text-xs">Documents</Label>
+            <select
+              className="h-10 rounded-md border bg-background px-3 text-sm"
+              value={kind}
+              onChange={onScopeChange(setKind)}
+            >
+              <option value="INVOICE">Invoices</option>
+              <option value="RECEIPT">Receipts</option>
+            </select>
+          </div>
+
+          {includeYear && (
+            <div className="space-y-1">
+              <Label className="text-xs">Year issued</Label>
+              <Input
+                type="number"
+                className="w-28"
+                value={year}
+                onChange={onScopeChange((v) => setYear(Number(v)))}
+              />
+            </div>
+          )}
+
+          <Button size="sm" variant="outline" disabled={previewM.isPending} onClick={() => previewM.mutate()}>
+            {previewM.isPending ? "Checking…" : "Preview"}
+          </Button>
+
+          <Button
+            size="sm"
+            disabled={!preview || preview.renumbered === 0 || applyM.isPending}
+            onClick={() => applyM.mutate()}
+          >
+            {applyM.isPending ? "Renumbering…" : `Renumber ${preview?.renumbered || 0}`}
+          </Button>
+        </div>
+
+        {preview && (
+          <div className="space-y-2 text-xs">
+            <div className="text-muted-foreground">
+              {preview.documents} document(s) • {preview.renumbered} to renumber • next number {preview.nextNumber}
+            </div>
+
+            {changes.length > 0 && (
+              <div className="max-h-56 overflow-y-auto border rounded-md">
+                <table className="w-full">
+                  <thead className="bg-muted/60 sticky top-0">
+                    <tr>
+                      <th className="text-left p-2">Issued</th>
+                      <th className="text-left p-2">Current</th>
+                      <th className="text-left p-2">New</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {changes.map((c) => (
+                      <tr key={c.id} className="border-t">
+                        <td className="p-2">{new Date(c.createdAt).toLocaleDateString()}</td>
+                        <td className="p-2">{c.from || "—"}</td>
+                        <td className="p-2 font-medium">{c.to}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -15,6 +15,8 @@ import { Separator } from "@/components/ui/separator";
 import { Switch } from "@/components/ui/switch";
 import { Textarea } from "@/components/ui/textarea";
 
+import DocumentRenumberCard from "./DocumentRenumberCard";
+
 function apiBase() {
   return (api?.defaults?.baseURL || "http://localhost:5000").replace(/\/$/, "");
 }
@@ -29,6 +31,24 @@ function isSysAdmin(meData) {
   return role === "SYSTEM_ADMIN";
 }
 
+function toForm(data) {
+  return {
+    printShowLogo: !!data.printShowLogo,
+    printHeaderText: data.printHeaderText || "",
+    printFooterText: data.printFooterText || "",
+    invoiceNoPrefix: data.invoiceNoPrefix || "INV",
+    receiptNoPrefix: data.receiptNoPrefix || "RCPT",
+    docNoIncludeYear: data.docNoIncludeYear !== false,
+    docNoPadding: Number(data.docNoPadding || 5),
+  };
+}
+
+// mirrors server formatting (utils/docNumbers.js) for the live preview
+function sampleDocNo(prefix, form) {
+  const num = "1".padStart(Math.min(Math.max(Number(form.docNoPadding) || 0, 3), 10), "0");
+  return form.docNoIncludeYear ? `${prefix}-${new Date().getFullYear()}-${num}` : `${prefix}-${num}`;
+}
+
 export default function PrintSettingsTab() {
   const qc = useQueryClient();
   const meQ = useMe();
@@ -57,19 +77,11 @@ export default function PrintSettingsTab() {
     enabled: scopeReady,
   });
 
-  const [form, setForm] = useState({
-    printShowLogo: true,
-    printHeaderText: "",
-    printFooterText: "",
-  });
+  const [form, setForm] = useState(() => toForm({ printShowLogo: true }));
 
   useEffect(() => {
     if (!printQ.data) return;
-    setForm({
-      printShowLogo: !!printQ.data.printShowLogo,
-      printHeaderText: printQ.data.printHeaderText || "",
-      printFooterText: printQ.data.printFooterText || "",
-    });
+    setForm(toForm(printQ.data));
   }, [printQ.data]);
 
   const dirty = useMemo(() => {
@@ -77,7 +89,11 @@ export default function PrintSettingsTab() {
     return (
       !!form.printShowLogo !== !!printQ.data.printShowLogo ||
       (form.printHeaderText || "") !== (printQ.data.printHeaderText || "") ||
-      (form.printFooterText || "") !== (printQ.data.printFooterText || "")
+      (form.printFooterText || "") !== (printQ.data.printFooterText || "") ||
+      form.invoiceNoPrefix !== printQ.data.invoiceNoPrefix ||
+      form.receiptNoPrefix !== printQ.data.receiptNoPrefix ||
+      form.docNoIncludeYear !== printQ.data.docNoIncludeYear ||
+      Number(form.docNoPadding) !== Number(printQ.data.docNoPadding)
     );
   }, [form, printQ.data]);
 
@@ -85,11 +101,7 @@ export default function PrintSettingsTab() {
     mutationFn: (payload) => patchPrintSettings(payload, scopeParams),
     onSuccess: (data) => {
       qc.setQueryData(["settings", "print", sys ? scopeParams.schoolId : "tenant"], data);
-      setForm({
-        printShowLogo: !!data.printShowLogo,
-        printHeaderText: data.printHeaderText || "",
-        printFooterText: data.printFooterText || "",
-      });
+      setForm(toForm(data));
       toast.success("Print settings saved");
     },
     onError: (err) => toast.error(err?.response?.data?.message || "Failed to save print settings"),
@@ -181,16 +193,16 @@ export default function PrintSettingsTab() {
       printShowLogo: !!form.printShowLogo,
       printHeaderText: form.printHeaderText,
       printFooterText: form.printFooterText,
+      invoiceNoPrefix: form.invoiceNoPrefix.trim().toUpperCase(),
+      receiptNoPrefix: form.receiptNoPrefix.trim().toUpperCase(),
+      docNoIncludeYear: !!form.docNoIncludeYear,
+      docNoPadding: Number(form.docNoPadding),
     });
   };
 
   const onReset = () => {
     if (!printQ.data) return;
-    setForm({
-      printShowLogo: !!printQ.data.printShowLogo,
-      printHeaderText: printQ.data.printHeaderText || "",
-      printFooterText: printQ.data.printFooterText || "",
-    });
+    setForm(toForm(printQ.data));
   };
 
   return (
@@ -265,6 +277,62 @@ export default function PrintSettingsTab() {
 
           <Separator />
 
+          {/* Document numbers */}
+          <div className="space-y-3">
+            <div>
+              <div className="text-sm font-medium">Invoice & receipt numbers</div>
+              <div className="text-xs text-muted-foreground">
+                Numbers run in sequence per school{form.docNoIncludeYear ? " and restart every year" : ""}. Changes
+                apply to documents issued from now on.
+              </div>
+            </div>
+
+            <div className="grid md:grid-cols-4 gap-4">
+              <div className="space-y-2">
+                <Label className="text-xs">Invoice prefix</Label>
+                <Input
+                  value={form.invoiceNoPrefix}
+                  maxLength={12}
+                  onChange={(e) => setForm((p) => ({ ...p, invoiceNoPrefix: e.target.value.toUpperCase() }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label className="text-xs">Receipt prefix</Label>
+                <Input
+                  value={form.receiptNoPrefix}
+                  maxLength={12}
+                  onChange={(e) => setForm((p) => ({ ...p, receiptNoPrefix: e.target.value.toUpperCase() }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label className="text-xs">Digits (zero-padded)</Label>
+                <Input
+                  type="number"
+                  min={3}
+                  max={10}
+                  value={form.docNoPadding}
+                  onChange={(e) => setForm((p) => ({ ...p, docNoPadding: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label className="text-xs">Include year</Label>
+                <div className="h-10 flex items-center">
+                  <Switch
+                    checked={!!form.docNoIncludeYear}
+                    onCheckedChange={(v) => setForm((p) => ({ ...p, docNoIncludeYear: !!v }))}
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div className="text-xs text-muted-foreground">
+              Next documents will look like <b>{sampleDocNo(form.invoiceNoPrefix || "INV", form)}</b> and{" "}
+              <b>{sampleDocNo(form.receiptNoPrefix || "RCPT", form)}</b>.
+            </div>
+          </div>
+
+          <Separator />
+
           {/* Preview */}
           <div className="rounded-xl border p-4 space-y-3">
             <div className="text-sm font-medium">Preview (Centered Letterhead)</div>
@@ -305,6 +373,11 @@ export default function PrintSettingsTab() {
           </div>
         </CardContent>
       </Card>
+
+      {/* fees endpoints are tenant-scoped: school ADMIN only */}
+      {String(meQ.data?.user?.role || "").toUpperCase() === "ADMIN" && (
+        <DocumentRenumberCard includeYear={!!printQ.data?.docNoIncludeYear} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,336 @@
+// src/features/settings/grading/GradingSettingsTab.jsx
+import { useMemo, useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import {
+  listGradeScales,
+  createGradeScale,
+  updateGradeScale,
+  deleteGradeScale,
+  setDefaultGradeScale,
+  setSubjectGradeScale,
+} from "@/api/exams.api";
+import { listSubjects } from "@/api/subjects.api";
+
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+
+const SCALES_KEY = ["exams", "gradeScales"];
+const SUBJECTS_KEY = ["subjects"];
+
+const selectCls = "h-9 rounded-md border bg-background px-3 text-sm";
+
+function emptyBand() {
+  return { label: "", minScore: "", maxScore: "", points: "", remark: "" };
+}
+
+// Built-in bands only carry `min`; derive max from the band above.
+function bandsFromBuiltIn(builtIn = []) {
+  const sorted = [...builtIn].sort((a, b) => b.min - a.min);
+  return sorted.map((b, idx) => ({
+    label: b.grade,
+    minScore: String(b.min),
+    maxScore: String(idx === 0 ? 100 : sorted[idx - 1].min - 1),
+    points: b.points != null ? String(b.points) : "",
+    remark: b.remark || "",
+  }));
+}
+
+function bandsToForm(bands = []) {
+  return bands.map((b) => ({
+    label: b.label,
+    minScore: String(b.minScore),
+    maxScore: String(b.maxScore),
+    points: b.points != null ? String(b.points) : "",
+    remark: b.remark || "",
+  }));
+}
+
+function formToPayload(form) {
+  return {
+    name: form.name.trim(),
+    bands: form.bands.map((b) => ({
+      label: b.label.trim(),
+      minScore: Number(b.minScore),
+      maxScore: Number(b.maxScore),
+      points: b.points === "" ? null : Number(b.points),
+      remark: b.remark.trim() || null,
+    })),
+  };
+}
+
+export default function GradingSettingsTab() {
+  const qc = useQueryClient();
+
+  const scalesQ = useQuery({ queryKey: SCALES_KEY, queryFn: listGradeScales });
+  const subjectsQ = useQuery({ queryKey: SUBJECTS_KEY, queryFn: listSubjects });
+
+  const scales = useMemo(() => scalesQ.data?.scales || [], [scalesQ.data]);
+  const activeScales = useMemo(() => scales.filter((s) => s.status === "ACTIVE"), [scales]);
+  const defaultId = scalesQ.data?.defaultGradeScaleId || "";
+
+  // editor: null (closed) | { id?: string, name, bands[] }
+  const [editor, setEditor] = useState(null);
+
+  const invalidate = () => {
+    qc.invalidateQueries({ queryKey: SCALES_KEY });
+    qc.invalidateQueries({ queryKey: SUBJECTS_KEY });
+  };
+
+  const saveMut = useMutation({
+    mutationFn: (form) =>
+      form.id ? updateGradeScale(form.id, formToPayload(form)) : createGradeScale(formToPayload(form)),
+    onSuccess: () => {
+      toast.success("Grade scale saved");
+      setEditor(null);
+      invalidate();
+    },
+    onError: (err) => toast.error(err?.message || "Failed to save grade scale"),
+  });
+
+  const deleteMut = useMutation({
+    mutationFn: deleteGradeScale,
+    onSuccess: (res) => {
+      toast.success(res?.archived ? "Grade scale archived (used by published results)" : "Grade scale deleted");
+      invalidate();
+    },
+    onError: (err) => toast.error(err?.message || "Failed to delete grade scale"),
+  });
+
+  const defaultMut = useMutation({
+    mutationFn: setDefaultGradeScale,
+    onSuccess: () => {
+      toast.success("Default grade scale updated");
+      invalidate();
+    },
+    onError: (err) => toast.error(err?.message || "Failed to set default"),
+  });
+
+  const subjectMut = useMutation({
+    mutationFn: ({ subjectId, gradeScaleId }) => setSubjectGradeScale(subjectId, gradeScaleId),
+    onSuccess: () => {
+      toast.success("Subject grading updated");
+      invalidate();
+    },
+    onError: (err) => toast.error(err?.message || "Failed to update subject"),
+  });
+
+  const setBand = (idx, key, value) =>
+    setEditor((e) => ({ ...e, bands: e.bands.map((b, i) => (i === idx ? { ...b, [key]: value } : b)) }));
+
+  if (scalesQ.isLoading) return <div className="text-sm text-muted-foreground">Loading grade scales...</div>;
+  if (scalesQ.isError) {
+    return <div className="text-sm text-red-600">{scalesQ.error?.message || "Failed to load grade scales"}</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Default scale */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">School default</CardTitle>
+          <CardDescription>
+            Used for every subject without an override, and for the overall (mean) grade.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="flex flex-wrap items-center gap-2">
+          <select
+            className={`${selectCls} min-w-[260px]`}
+            value={defaultId}
+            disabled={defaultMut.isPending}
+            onChange={(e) => defaultMut.mutate(e.target.value || null)}
+          >
+            <option value="">Built-in (12-point A–E)</option>
+            {activeScales.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+          <span className="text-xs text-muted-foreground">
+            Changes apply to results published from now on; published results keep their grades.
+          </span>
+        </CardContent>
+      </Card>
+
+      {/* Scales */}
+      <Card>
+        <CardHeader className="flex flex-row items-start justify-between gap-2">
+          <div>
+            <CardTitle className="text-base">Grade scales</CardTitle>
+            <CardDescription>Bands must cover 0–100 with no gaps or overlaps.</CardDescription>
+          </div>
+          {!editor && (
+            <div className="flex gap-2">
+              <Button size="sm" variant="outline" onClick={() => setEditor({ name: "", bands: [emptyBand()] })}>
+                New scale
+              </Button>
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() =>
+                  setEditor({ name: "", bands: bandsFromBuiltIn(scalesQ.data?.builtInBands) })
+                }
+              >
+                Copy built-in
+              </Button>
+            </div>
+          )}
+        </CardHeader>
+
+        <CardContent className="space-y-4">
+          {!editor && scales.length === 0 && (
+            <div className="text-sm text-muted-foreground">No custom scales yet. The built-in bands are in use.</div>
+          )}
+
+          {!editor &&
+            scales.map((s) => (
+              <div key={s.id} className="rounded-md border p-3 space-y-2">
+                <div className="flex items-center justify-between gap-2 flex-wrap">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium">{s.name}</span>
+                    {s.isDefault && <Badge>Default</Badge>}
+                    {s.status !== "ACTIVE" && <Badge variant="secondary">Inactive</Badge>}
+                    {s.subjects?.length > 0 && (
+                      <Badge variant="outline">{s.subjects.length} subject override(s)</Badge>
+                    )}
+                  </div>
+                  <div className="flex gap-2">
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => setEditor({ id: s.id, name: s.name, bands: bandsToForm(s.bands) })}
+                    >
+                      Edit
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="destructive"
+                      disabled={s.isDefault || deleteMut.isPending}
+                      onClick={() => {
+                        if (window.confirm(`Delete grade scale "${s.name}"?`)) deleteMut.mutate(s.id);
+                      }}
+                    >
+                      Delete
+                    </Button>
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-1 text-xs">
+                  {s.bands.map((b) => (
+                    <span key={b.id} className="rounded bg-muted px-2 py-0.5">
+                      {b.label}: {b.minScore}–{b.maxScore}
+                      {b.points != null ? ` (${b.points} pts)` : ""}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            ))}
+
+          {editor && (
+            <div className="space-y-3">
+              <div className="space-y-1 max-w-sm">
+                <Label>Scale name</Label>
+                <Input value={editor.name} onChange={(e) => setEditor({ ...editor, name: e.target.value })} />
+              </div>
+
+              <div className="overflow-x-auto border rounded-md">
+                <table className="w-full text-sm">
+                  <thead className="bg-muted/60">
+                    <tr>
+                      <th className="text-left p-2">Grade</th>
+                      <th className="text-left p-2">Min</th>
+                      <th className="text-left p-2">Max</th>
+                      <th className="text-left p-2">Points</th>
+                      <th className="text-left p-2">Remark</th>
+                      <th className="p-2" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {editor.bands.map((b, idx) => (
+                      <tr key={idx} className="border-t">
+                        <td className="p-1 w-24">
+                          <Input value={b.label} onChange={(e) => setBand(idx, "label", e.target.value)} />
+                        </td>
+                        <td className="p-1 w-24">
+                          <Input type="number" value={b.minScore} onChange={(e) => setBand(idx, "minScore", e.target.value)} />
+                        </td>
+                        <td className="p-1 w-24">
+                          <Input type="number" value={b.maxScore} onChange={(e) => setBand(idx, "maxScore", e.target.value)} />
+                        </td>
+                        <td className="p-1 w-24">
+                          <Input type="number" value={b.points} onChange={(e) => setBand(idx, "points", e.target.value)} />
+                        </td>
+                        <td className="p-1">
+                          <Input value={b.remark} onChange={(e) => setBand(idx, "remark", e.target.value)} />
+                        </td>
+                        <td className="p-1 text-right">
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            disabled={editor.bands.length <= 1}
+                            onClick={() => setEditor({ ...editor, bands: editor.bands.filter((_, i) => i !== idx) })}
+                          >
+                            Remove
+                          </Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex flex-wrap gap-2">
+                <Button size="sm" variant="outline" onClick={() => setEditor({ ...editor, bands: [...editor.bands, emptyBand()] })}>
+                  Add band
+                </Button>
+                <Button size="sm" disabled={saveMut.isPending || !editor.name.trim()} onClick={() => saveMut.mutate(editor)}>
+                  {saveMut.isPending ? "Saving..." : "Save scale"}
+                </Button>
+                <Button size="sm" variant="ghost" onClick={() => setEditor(null)}>
+                  Cancel
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Subject overrides */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Subject overrides</CardTitle>
+          <CardDescription>Grade specific subjects on a different scale.</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {subjectsQ.isLoading && <div className="text-sm text-muted-foreground">Loading subjects...</div>}
+          {subjectsQ.isError && <div className="text-sm text-red-600">Failed to load subjects</div>}
+          {(subjectsQ.data || []).map((sub) => (
+            <div key={sub.id} className="flex items-center justify-between gap-2 border-b py-2 last:border-0">
+              <div className="text-sm">
+                {sub.name}
+                {sub.code && <span className="ml-1 text-muted-foreground">({sub.code})</span>}
+              </div>
+              <select
+                className={`${selectCls} min-w-[220px]`}
+                value={sub.gradeScaleId || ""}
+                disabled={subjectMut.isPending}
+                onChange={(e) => subjectMut.mutate({ subjectId: sub.id, gradeScaleId: e.target.value || null })}
+              >
+                <option value="">School default</option>
+                {activeScales.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -74,6 +74,10 @@ export default function ManageUserDialog({ actor, user, onChanged }) {
 
   const canToggleStatus = !saving && !wrongSchoolForAdmin && !targetIsPlatformOwner;
 
+  // medical profiles: ADMIN always; TEACHER/BURSAR only when designated here (school nurse, boarding staff)
+  const canToggleMedical =
+    canToggleStatus && ["TEACHER", "BURSAR"].includes(String(user?.role || "").toUpperCase());
+
   const [credsOpen, setCredsOpen] = useState(false);
   const [creds, setCreds] = useState({ email: "", tempPassword: "" });
 
@@ -108,6 +112,22 @@ export default function ManageUserDialog({ actor, user, onChanged }) {
     }
   }
 
+  async function doToggleMedical() {
+    if (!canToggleMedical) return;
+    try {
+      setSaving(true);
+      const next = !user.medicalAccess;
+      await updateUser(user.id, { medicalAccess: next });
+      toast.success(next ? "Medical access granted" : "Medical access removed");
+      onChanged?.();
+      setOpen(false);
+    } catch (err) {
+      toast.error(err?.response?.data?.message || err?.message || "Failed to change medical access");
+    } finally {
+      setSaving(false);
+    }
+  }
+
   async function doResetPassword() {
     if (!canToggleStatus) return;
     try {
@@ -166,6 +186,11 @@ export default function ManageUserDialog({ actor, user, onChanged }) {
               <div className="mt-2 flex items-center gap-2 flex-wrap">
                 <RoleBadge role={user.role} />
                 <StatusBadge active={!!user.isActive} />
+                {user.medicalAccess && (
+                  <Badge variant="outline" className="text-[10px]">
+                    Medical access
+                  </Badge>
+                )}
                 <Badge variant="outline" className="text-[10px]">
                   {user.schoolId || "platform"}
                 </Badge>
@@ -219,10 +244,17 @@ export default function ManageUserDialog({ actor, user, onChanged }) {
                   Reset password (auto)
                 </Button>
 
+                {canToggleMedical && (
+                  <Button variant="outline" onClick={doToggleMedical} className="w-full">
+                    {user.medicalAccess ? "Remove medical access" : "Grant medical access"}
+                  </Button>
+                )}
+
                 <Separator />
 
                 <div className="text-xs text-muted-foreground">
                   Reset returns a temporary password once. Share securely.
+                  {canToggleMedical && " Medical access lets this user read and edit students' medical records (every view is logged)."}
                 </div>
               </div>
             </div>
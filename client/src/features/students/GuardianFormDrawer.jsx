@@ -0,0 +1,266 @@
+// src/features/students/GuardianFormDrawer.jsx
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { GUARDIAN_RELATIONSHIPS, guardianSchema, toGuardianPayload } from "./students.schema";
+import { addStudentGuardian, searchGuardians, updateStudentGuardian } from "./students.api";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Sheet,
+  SheetContent,
+  SheetHeader,
+  SheetTitle,
+  SheetDescription,
+} from "@/components/ui/sheet";
+import { Separator } from "@/components/ui/separator";
+
+const selectCls = "h-10 w-full rounded-md border bg-background px-3 text-sm";
+
+function guardianName(g) {
+  return `${g?.firstName || ""} ${g?.lastName || ""}`.trim();
+}
+
+function toFormValues(link) {
+  const g = link?.guardian || {};
+  return {
+    firstName: g.firstName || "",
+    lastName: g.lastName || "",
+    relationship: link?.relationship || "GUARDIAN",
+    phone: g.phone || "",
+    altPhone: g.altPhone || "",
+    email: g.email || "",
+    nationalId: g.nationalId || "",
+    address: g.address || "",
+    isPrimary: !!link?.isPrimary,
+    isFeePayer: !!link?.isFeePayer,
+  };
+}
+
+/**
+ * Add or edit one of a student's guardians. When adding, an admin can search for a
+ * guardian already on file (e.g. a sibling's parent) and link them instead of retyping.
+ * Mount with a key per link so the form starts from that link's values.
+ */
+export default function GuardianFormDrawer({ studentId, link = null, isFirst = false, onClose }) {
+  const qc = useQueryClient();
+  const mode = link ? "edit" : "create";
+
+  const [q, setQ] = useState("");
+  const [existing, setExisting] = useState(null);
+
+  const form = useForm({
+    resolver: zodResolver(guardianSchema),
+    defaultValues: link ? toFormValues(link) : { ...toFormValues(null), isPrimary: isFirst },
+    mode: "onChange",
+  });
+
+  const searchQ = useQuery({
+    queryKey: ["guardianSearch", q.trim()],
+    queryFn: () => searchGuardians(q.trim()),
+    enabled: mode === "create" && !existing && q.trim().length >= 2,
+    staleTime: 30 * 1000,
+  });
+  const matches = searchQ.data || [];
+
+  const done = (message) => {
+    toast.success(message);
+    qc.invalidateQueries({ queryKey: ["studentGuardians", studentId] });
+    qc.invalidateQueries({ queryKey: ["studentSiblings"] });
+    onClose();
+  };
+
+  const createMut = useMutation({
+    mutationFn: (payload) => addStudentGuardian(studentId, payload),
+    onSuccess: (res) =>
+      done(res?.linkedExisting ? "Linked to the guardian already on file" : "Guardian added"),
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to add guardian"),
+  });
+
+  const updateMut = useMutation({
+    mutationFn: (payload) => updateStudentGuardian(studentId, link.guardianId, payload),
+    onSuccess: () => done("Guardian updated"),
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to update guardian"),
+  });
+
+  const busy = createMut.isPending || updateMut.isPending;
+
+  const onSubmit = (values) => {
+    const payload = toGuardianPayload(values);
+    if (mode === "edit") {
+      updateMut.mutate(payload);
+      return;
+    }
+    createMut.mutate(payload);
+  };
+
+  const linkExisting = () => {
+    const { relationship, isPrimary, isFeePayer } = form.getValues();
+    createMut.mutate({ guardianId: existing.id, relationship, isPrimary, isFeePayer });
+  };
+
+  const handleOpenChange = (v) => {
+    if (!v && !busy) onClose();
+  };
+
+  const errors = form.formState.errors;
+
+  const linkFields = (
+    <>
+      <Field label="Relationship *" error={errors.relationship?.message}>
+        <select className={selectCls} {...form.register("relationship")} disabled={busy}>
+          {GUARDIAN_RELATIONSHIPS.map((r) => (
+            <option key={r} value={r}>
+              {r.charAt(0) + r.slice(1).toLowerCase()}
+            </option>
+          ))}
+        </select>
+      </Field>
+
+      <div className="flex flex-wrap gap-4 text-sm">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" {...form.register("isPrimary")} disabled={busy} />
+          Primary contact
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" {...form.register("isFeePayer")} disabled={busy} />
+          Pays fees
+        </label>
+      </div>
+    </>
+  );
+
+  return (
+    <Sheet open onOpenChange={handleOpenChange}>
+      <SheetContent side="right" className="w-full sm:max-w-md overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle>{mode === "create" ? "Add Guardian" : "Edit Guardian"}</SheetTitle>
+          <SheetDescription>
+            {mode === "create"
+              ? "Add a parent or guardian, or link one already on file"
+              : "Changes to contact details apply to every student of this guardian"}
+          </SheetDescription>
+        </SheetHeader>
+
+        {mode === "create" && (
+          <div className="mt-4 space-y-2">
+            {existing ? (
+              <div className="flex items-center justify-between gap-2 rounded-md border p-3 text-sm">
+                <div>
+                  <div className="font-medium">{guardianName(existing)}</div>
+                  <div className="text-xs text-muted-foreground">
+                    {existing.phone || existing.email}
+                  </div>
+                </div>
+                <Button size="sm" variant="outline" onClick={() => setExisting(null)} disabled={busy}>
+                  Change
+                </Button>
+              </div>
+            ) : (
+              <>
+                <Input
+                  placeholder="Find existing guardian by name, phone or ID"
+                  value={q}
+                  onChange={(e) => setQ(e.target.value)}
+                />
+                {matches.length > 0 && (
+                  <div className="max-h-48 overflow-auto rounded-md border divide-y">
+                    {matches.map((g) => (
+                      <button
+                        key={g.id}
+                        type="button"
+                        className="w-full px-3 py-2 text-left text-sm hover:bg-muted"
+                        onClick={() => setExisting(g)}
+                      >
+                        <div className="font-medium">{guardianName(g)}</div>
+                        <div className="text-xs text-muted-foreground">
+                          {[g.phone, g.nationalId].filter(Boolean).join(" • ") || g.email}
+                          {g.students?.length > 0 &&
+                            ` • ${g.students.map((l) => guardianName(l.student)).join(", ")}`}
+                        </div>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        <Separator className="my-4" />
+
+        {existing ? (
+          <div className="space-y-4">
+            {linkFields}
+
+            <Button className="w-full" disabled={busy} onClick={linkExisting}>
+              {busy ? "Saving..." : "Link Guardian"}
+            </Button>
+
+            <Button type="button" variant="outline" className="w-full" onClick={onClose} disabled={busy}>
+              Cancel
+            </Button>
+          </div>
+        ) : (
+          <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+              <Field label="First Name *" error={errors.firstName?.message}>
+                <Input {...form.register("firstName")} placeholder="e.g. Grace" disabled={busy} />
+              </Field>
+
+              <Field label="Last Name *" error={errors.lastName?.message}>
+                <Input {...form.register("lastName")} placeholder="e.g. Otieno" disabled={busy} />
+              </Field>
+            </div>
+
+            {linkFields}
+
+            <div className="grid grid-cols-2 gap-3">
+              <Field label="Phone" error={errors.phone?.message}>
+                <Input {...form.register("phone")} placeholder="e.g. 0712345678" disabled={busy} />
+              </Field>
+
+              <Field label="Alt. Phone" error={errors.altPhone?.message}>
+                <Input {...form.register("altPhone")} disabled={busy} />
+              </Field>
+            </div>
+
+            <Field label="Email" error={errors.email?.message}>
+              <Input type="email" {...form.register("email")} disabled={busy} />
+            </Field>
+
+            <Field label="National ID" error={errors.nationalId?.message}>
+              <Input {...form.register("nationalId")} disabled={busy} />
+            </Field>
+
+            <Field label="Address" error={errors.address?.message}>
+              <Input {...form.register("address")} placeholder="e.g. P.O. Box 12, Kisumu" disabled={busy} />
+            </Field>
+
+            <Button type="submit" className="w-full" disabled={busy || !form.formState.isValid}>
+              {busy ? "Saving..." : mode === "create" ? "Add Guardian" : "Save Changes"}
+            </Button>
+
+            <Button type="button" variant="outline" className="w-full" onClick={onClose} disabled={busy}>
+              Cancel
+            </Button>
+          </form>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+}
+
+function Field({ label, error, children }) {
+  return (
+    <div className="space-y-1">
+      <div className="text-sm font-medium">{label}</div>
+      {children}
+      {error ? <div className="text-xs text-destructive">{error}</div> : null}
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+// src/features/students/StudentDocumentsCard.jsx
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { DOCUMENT_TYPES } from "./students.schema";
+import {
+  deleteStudentDocument,
+  downloadStudentDocument,
+  listStudentDocuments,
+  uploadStudentDocument,
+} from "./students.api";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+
+const selectCls = "h-10 rounded-md border bg-background px-3 text-sm";
+
+function typeLabel(type) {
+  return DOCUMENT_TYPES.find((t) => t.value === type)?.label || type;
+}
+
+function fmtSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function fmtDate(d) {
+  return d ? new Date(d).toISOString().slice(0, 10) : "—";
+}
+
+/** Photo and attachments (birth certificate, transfer letters, medical forms). ADMIN uploads/removes. */
+export default function StudentDocumentsCard({ studentId, role }) {
+  const qc = useQueryClient();
+  const isAdmin = role === "ADMIN";
+
+  const [type, setType] = useState("BIRTH_CERTIFICATE");
+  const [title, setTitle] = useState("");
+  const [file, setFile] = useState(null);
+  const [fileKey, setFileKey] = useState(0);
+
+  const docsQ = useQuery({
+    queryKey: ["studentDocuments", studentId],
+    queryFn: () => listStudentDocuments(studentId),
+    enabled: !!studentId,
+  });
+  const docs = docsQ.data || [];
+
+  const refresh = (docType) => {
+    qc.invalidateQueries({ queryKey: ["studentDocuments", studentId] });
+    if (docType === "PHOTO") qc.invalidateQueries({ queryKey: ["studentPhoto", studentId] });
+  };
+
+  const uploadMut = useMutation({
+    mutationFn: () => uploadStudentDocument(studentId, { file, type, title: title.trim() }),
+    onSuccess: (doc) => {
+      toast.success(doc?.type === "PHOTO" ? "Photo updated" : "Document uploaded");
+      setFile(null);
+      setTitle("");
+      setFileKey((k) => k + 1);
+      refresh(doc?.type);
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Upload failed"),
+  });
+
+  const deleteMut = useMutation({
+    mutationFn: (doc) => deleteStudentDocument(studentId, doc.id),
+    onSuccess: (_res, doc) => {
+      toast.success("Document removed");
+      refresh(doc.type);
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to remove document"),
+  });
+
+  const download = (doc) =>
+    downloadStudentDocument(studentId, doc).catch(() => toast.error("Failed to download document"));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base">Documents</CardTitle>
+        <CardDescription>Passport photo, birth certificate, transfer letters and medical forms</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isAdmin && (
+          <div className="flex flex-col md:flex-row gap-2">
+            <select className={selectCls} value={type} onChange={(e) => setType(e.target.value)}>
+              {DOCUMENT_TYPES.map((t) => (
+                <option key={t.value} value={t.value}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+            {type !== "PHOTO" && (
+              <Input value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Title (optional)" />
+            )}
+            <Input
+              key={fileKey}
+              type="file"
+              accept={type === "PHOTO" ? "image/jpeg,image/png,image/webp" : "application/pdf,image/jpeg,image/png,image/webp"}
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+            />
+            <Button disabled={!file || uploadMut.isPending} onClick={() => uploadMut.mutate()}>
+              {uploadMut.isPending ? "Uploading…" : "Upload"}
+            </Button>
+          </div>
+        )}
+        {isAdmin && (
+          <div className="text-xs text-muted-foreground">
+            Photos: JPG, PNG or WEBP up to 2 MB (replaces the current photo). Documents: PDF or image up to 10 MB.
+          </div>
+        )}
+
+        {docsQ.isLoading ? (
+          <div className="text-sm text-muted-foreground">Loading documents...</div>
+        ) : docsQ.isError ? (
+          <div className="text-sm text-destructive">
+            {docsQ.error?.response?.data?.message || "Failed to load documents"}
+          </div>
+        ) : docs.length === 0 ? (
+          <div className="text-sm text-muted-foreground">No documents uploaded.</div>
+        ) : (
+          <div className="divide-y rounded-md border">
+            {docs.map((d) => (
+              <div key={d.id} className="flex flex-wrap items-center gap-2 p-2 text-sm">
+                <Badge variant="secondary">{typeLabel(d.type)}</Badge>
+                <span className="font-medium">{d.title || d.fileName}</span>
+                <span className="text-xs text-muted-foreground">
+                  {fmtSize(d.size)} • {fmtDate(d.createdAt)}
+                  {d.uploadedByEmail ? ` • ${d.uploadedByEmail}` : ""}
+                </span>
+                <div className="ml-auto flex gap-2">
+                  <Button size="sm" variant="outline" onClick={() => download(d)}>
+                    Download
+                  </Button>
+                  {isAdmin && (
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      className="text-destructive"
+                      disabled={deleteMut.isPending}
+                      onClick={() => {
+                        if (window.confirm(`Remove ${d.title || d.fileName}?`)) deleteMut.mutate(d);
+                      }}
+                    >
+                      Remove
+                    </Button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
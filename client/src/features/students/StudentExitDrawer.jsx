@@ -0,0 +1,154 @@
+// src/features/students/StudentExitDrawer.jsx
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { EXIT_TYPES } from "./students.schema";
+import { getStudentClearance, openLeavingCertificatePdf, recordStudentExit } from "./students.api";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Sheet,
+  SheetContent,
+  SheetHeader,
+  SheetTitle,
+  SheetDescription,
+} from "@/components/ui/sheet";
+
+const selectCls = "h-10 w-full rounded-md border bg-background px-3 text-sm";
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Records that a student left: type, date, reason and destination school.
+ * Shows the fee position first; an outstanding balance has to be acknowledged before saving.
+ */
+export default function StudentExitDrawer({ student, onClose }) {
+  const qc = useQueryClient();
+
+  const [type, setType] = useState("TRANSFERRED_OUT");
+  const [exitDate, setExitDate] = useState(today());
+  const [reason, setReason] = useState("");
+  const [destinationSchool, setDestinationSchool] = useState("");
+  const [allowBalance, setAllowBalance] = useState(false);
+
+  const clearanceQ = useQuery({
+    queryKey: ["studentClearance", student.id],
+    queryFn: () => getStudentClearance(student.id),
+  });
+  const clearance = clearanceQ.data;
+
+  const exitMut = useMutation({
+    mutationFn: () =>
+      recordStudentExit(student.id, { type, exitDate, reason, destinationSchool, allowBalance }),
+    onSuccess: (exit) => {
+      toast.success(exit?.certificateNo ? `Exit recorded • certificate ${exit.certificateNo}` : "Exit recorded");
+      qc.invalidateQueries({ queryKey: ["students"] });
+      qc.invalidateQueries({ queryKey: ["student", student.id] });
+      qc.invalidateQueries({ queryKey: ["studentHistory", student.id] });
+      qc.invalidateQueries({ queryKey: ["subscription-overview"] });
+      if (exit?.certificateNo) {
+        openLeavingCertificatePdf(student.id, exit.id).catch(() => toast.error("Failed to open certificate"));
+      }
+      onClose();
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to record exit"),
+  });
+
+  const owes = clearance && !clearance.cleared && type !== "DECEASED";
+  const needsReason = type === "WITHDRAWN" || type === "EXPELLED";
+  const canSave =
+    !exitMut.isPending &&
+    !!exitDate &&
+    (!needsReason || reason.trim()) &&
+    (type !== "TRANSFERRED_OUT" || destinationSchool.trim()) &&
+    (!owes || allowBalance);
+
+  const handleOpenChange = (v) => {
+    if (!v && !exitMut.isPending) onClose();
+  };
+
+  return (
+    <Sheet open onOpenChange={handleOpenChange}>
+      <SheetContent side="right" className="w-full sm:max-w-md overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle>Student Leaving</SheetTitle>
+          <SheetDescription>
+            {`${student.firstName} ${student.lastName}`.trim()} ({student.admissionNo}) will be marked inactive and
+            removed from class lists from the leaving date.
+          </SheetDescription>
+        </SheetHeader>
+
+        <div className="mt-4 space-y-4">
+          <div className="rounded-md border p-3 text-sm">
+            <div className="font-medium mb-1">Fee clearance</div>
+            {clearanceQ.isLoading ? (
+              <div className="text-muted-foreground">Checking fees…</div>
+            ) : clearanceQ.isError ? (
+              <div className="text-destructive">
+                {clearanceQ.error?.response?.data?.message || "Failed to check fees"}
+              </div>
+            ) : clearance.cleared ? (
+              <div className="text-muted-foreground">
+                Cleared{clearance.creditBalance > 0 ? ` • credit of ${clearance.creditBalance} can be refunded` : ""}
+              </div>
+            ) : (
+              <div className="text-destructive">Balance of {clearance.balance} outstanding</div>
+            )}
+          </div>
+
+          <div className="space-y-1">
+            <div className="text-sm font-medium">Reason for leaving</div>
+            <select className={selectCls} value={type} onChange={(e) => setType(e.target.value)}>
+              {EXIT_TYPES.map((t) => (
+                <option key={t.value} value={t.value}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="space-y-1">
+            <div className="text-sm font-medium">Leaving date</div>
+            <Input type="date" max={today()} value={exitDate} onChange={(e) => setExitDate(e.target.value)} />
+          </div>
+
+          {type === "TRANSFERRED_OUT" && (
+            <div className="space-y-1">
+              <div className="text-sm font-medium">Destination school *</div>
+              <Input
+                value={destinationSchool}
+                onChange={(e) => setDestinationSchool(e.target.value)}
+                placeholder="School the student is moving to"
+              />
+            </div>
+          )}
+
+          <div className="space-y-1">
+            <div className="text-sm font-medium">Details{needsReason ? " *" : ""}</div>
+            <Input value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Notes for the record" />
+          </div>
+
+          {owes && (
+            <label className="flex items-start gap-2 text-sm">
+              <input
+                type="checkbox"
+                className="mt-1"
+                checked={allowBalance}
+                onChange={(e) => setAllowBalance(e.target.checked)}
+              />
+              Record the exit with {clearance.balance} unpaid (the balance stays on the student's account)
+            </label>
+          )}
+
+          <Button className="w-full" variant="destructive" disabled={!canSave} onClick={() => exitMut.mutate()}>
+            {exitMut.isPending ? "Saving…" : "Record exit"}
+          </Button>
+        </div>
+      </SheetContent>
+    </Sheet>
+  );
+}
@@ -0,0 +1,222 @@
+// src/features/students/StudentGuardiansCard.jsx
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { listStudentGuardians, listStudentSiblings, removeStudentGuardian } from "./students.api";
+import GuardianFormDrawer from "./GuardianFormDrawer";
+import { createUser } from "../settings/users/users.api";
+import CredentialsDialog from "../settings/users/components/CredentialsDialog";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Separator } from "@/components/ui/separator";
+
+function personName(p) {
+  return `${p?.firstName || ""} ${p?.lastName || ""}`.trim() || "-";
+}
+
+function titleCase(v) {
+  return v ? v.charAt(0) + v.slice(1).toLowerCase() : "-";
+}
+
+function classLabel(c) {
+  if (!c) return "Unassigned";
+  return `${c.name || "Class"}${c.stream ? ` ${c.stream}` : ""}`;
+}
+
+export default function StudentGuardiansCard({ studentId, role }) {
+  const qc = useQueryClient();
+  const isAdmin = role === "ADMIN";
+
+  // null = closed, "new" = add, otherwise the link being edited
+  const [editing, setEditing] = useState(null);
+  const [creds, setCreds] = useState(null);
+
+  const guardiansQ = useQuery({
+    queryKey: ["studentGuardians", studentId],
+    queryFn: () => listStudentGuardians(studentId),
+    enabled: !!studentId,
+  });
+  const links = guardiansQ.data || [];
+
+  const siblingsQ = useQuery({
+    queryKey: ["studentSiblings", studentId],
+    queryFn: () => listStudentSiblings(studentId),
+    enabled: !!studentId && isAdmin,
+  });
+  const siblings = siblingsQ.data || [];
+
+  const removeMut = useMutation({
+    mutationFn: (guardianId) => removeStudentGuardian(studentId, guardianId),
+    onSuccess: () => {
+      toast.success("Guardian removed");
+      qc.invalidateQueries({ queryKey: ["studentGuardians", studentId] });
+      qc.invalidateQueries({ queryKey: ["studentSiblings"] });
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to remove guardian"),
+  });
+
+  // Parent portal login: a GUARDIAN user bound to this guardian record
+  const loginMut = useMutation({
+    mutationFn: (g) => createUser({ email: g.email, role: "GUARDIAN", guardianId: g.id }),
+    onSuccess: (res) => {
+      toast.success("Portal login created");
+      qc.invalidateQueries({ queryKey: ["studentGuardians", studentId] });
+      if (res?.tempPassword) setCreds({ email: res.user?.email, tempPassword: res.tempPassword });
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to create portal login"),
+  });
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between gap-2">
+        <div>
+          <CardTitle className="text-base">Parents & Guardians</CardTitle>
+          <CardDescription>Contacts, primary contact and who pays fees</CardDescription>
+        </div>
+        {isAdmin && (
+          <Button size="sm" onClick={() => setEditing("new")}>
+            Add Guardian
+          </Button>
+        )}
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {guardiansQ.isLoading ? (
+          <div className="text-sm text-muted-foreground">Loading guardians...</div>
+        ) : guardiansQ.isError ? (
+          <div className="text-sm text-destructive">
+            {guardiansQ.error?.response?.data?.message || "Failed to load guardians"}
+          </div>
+        ) : links.length === 0 ? (
+          <div className="text-sm text-muted-foreground">No guardians on file.</div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {links.map((l) => {
+              const g = l.guardian;
+              return (
+                <div key={l.id} className="rounded-md border p-3 space-y-2">
+                  <div className="flex items-start justify-between gap-2">
+                    <div>
+                      <div className="font-medium">{personName(g)}</div>
+                      <div className="text-xs text-muted-foreground">{titleCase(l.relationship)}</div>
+                    </div>
+                    <div className="flex flex-wrap justify-end gap-1">
+                      {l.isPrimary && <Badge>Primary</Badge>}
+                      {l.isFeePayer && <Badge variant="secondary">Fee payer</Badge>}
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-2 text-sm">
+                    <div>
+                      <div className="text-xs text-muted-foreground">Phone</div>
+                      <div>{g.phone || "-"}</div>
+                      {g.altPhone && <div className="text-xs">{g.altPhone}</div>}
+                    </div>
+                    <div>
+                      <div className="text-xs text-muted-foreground">Email</div>
+                      <div className="truncate">{g.email || "-"}</div>
+                    </div>
+                    <div>
+                      <div className="text-xs text-muted-foreground">National ID</div>
+                      <div>{g.nationalId || "-"}</div>
+                    </div>
+                    <div>
+                      <div className="text-xs text-muted-foreground">Address</div>
+                      <div>{g.address || "-"}</div>
+                    </div>
+                  </div>
+
+                  {isAdmin && (
+                    <div className="flex flex-wrap items-center justify-end gap-2">
+                      {g.userId ? (
+                        <Badge variant="outline">Portal login</Badge>
+                      ) : (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          disabled={!g.email || loginMut.isPending}
+                          title={g.email ? undefined : "Add an email first"}
+                          onClick={() => loginMut.mutate(g)}
+                        >
+                          Create login
+                        </Button>
+                      )}
+                      <Button size="sm" variant="outline" onClick={() => setEditing(l)}>
+                        Edit
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        disabled={removeMut.isPending}
+                        onClick={() => {
+                          if (window.confirm(`Remove ${personName(g)} from this student?`)) {
+                            removeMut.mutate(l.guardianId);
+                          }
+                        }}
+                      >
+                        Remove
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {isAdmin && siblings.length > 0 && (
+          <>
+            <Separator />
+            <div>
+              <div className="text-sm font-medium mb-2">Siblings</div>
+              <div className="space-y-1">
+                {siblings.map((sib) => (
+                  <div key={sib.id} className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                    <div>
+                      <Link to={`/app/students/${sib.id}`} className="font-medium hover:underline">
+                        {personName(sib)}
+                      </Link>{" "}
+                      <span className="text-muted-foreground">
+                        • {sib.admissionNo} • {classLabel(sib.class)}
+                      </span>
+                      {!sib.isActive && (
+                        <Badge variant="secondary" className="ml-2">
+                          Inactive
+                        </Badge>
+                      )}
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      via {sib.sharedGuardians.map(personName).join(", ")}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+      </CardContent>
+
+      {editing && (
+        <GuardianFormDrawer
+          key={editing === "new" ? "new" : editing.id}
+          studentId={studentId}
+          link={editing === "new" ? null : editing}
+          isFirst={links.length === 0}
+          onClose={() => setEditing(null)}
+        />
+      )}
+
+      <CredentialsDialog
+        open={!!creds}
+        onOpenChange={(v) => !v && setCreds(null)}
+        title="Portal login created"
+        email={creds?.email || ""}
+        tempPassword={creds?.tempPassword || ""}
+      />
+    </Card>
+  );
+}
@@ -0,0 +1,160 @@
+// src/features/students/StudentHistoryCard.jsx
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { getStudentHistory, openLeavingCertificatePdf } from "./students.api";
+import { EXIT_TYPES } from "./students.schema";
+import {
+  ACTION_TYPES,
+  INCIDENT_CATEGORIES,
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATUSES,
+  optionLabel,
+  severityVariant,
+} from "@/features/discipline/discipline.schema";
+import IncidentDrawer from "@/features/discipline/IncidentDrawer";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+
+const REASON_LABELS = {
+  ADMISSION: "Admitted",
+  CLASS_CHANGE: "Class change",
+  PROMOTION: "Promoted",
+  REPEAT: "Repeating",
+  IMPORT: "Imported",
+  READMISSION: "Readmitted",
+};
+
+function fmtDate(d) {
+  return d ? new Date(d).toISOString().slice(0, 10) : "—";
+}
+
+function exitLabel(type) {
+  return EXIT_TYPES.find((t) => t.value === type)?.label || type;
+}
+
+/** Class placements over time, exit records (with leaving certificates) and discipline incidents. */
+export default function StudentHistoryCard({ studentId, role, teacherId }) {
+  const [incidentId, setIncidentId] = useState("");
+
+  const historyQ = useQuery({
+    queryKey: ["studentHistory", studentId],
+    queryFn: () => getStudentHistory(studentId),
+    enabled: !!studentId,
+  });
+  const enrollments = historyQ.data?.enrollments || [];
+  const exits = historyQ.data?.exits || [];
+  const incidents = historyQ.data?.incidents || [];
+  const canPrint = role === "ADMIN" || role === "BURSAR";
+
+  const certificate = (exitId) =>
+    openLeavingCertificatePdf(studentId, exitId).catch(() => toast.error("Failed to open certificate"));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base">Enrollment History</CardTitle>
+        <CardDescription>Class placements, leaving records and discipline incidents</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {historyQ.isLoading ? (
+          <div className="text-sm text-muted-foreground">Loading history...</div>
+        ) : historyQ.isError ? (
+          <div className="text-sm text-destructive">
+            {historyQ.error?.response?.data?.message || "Failed to load history"}
+          </div>
+        ) : (
+          <>
+            {exits.map((x) => (
+              <div key={x.id} className="rounded-md border p-3 text-sm space-y-1">
+                <div className="flex flex-wrap items-center gap-2">
+                  <Badge variant="secondary">{exitLabel(x.type)}</Badge>
+                  <span>{fmtDate(x.exitDate)}</span>
+                  {x.classLabel && <span className="text-muted-foreground">from {x.classLabel}</span>}
+                  {!x.feeCleared && <Badge variant="destructive">Left with {x.feeBalance} unpaid</Badge>}
+                  {canPrint && x.type !== "DECEASED" && (
+                    <Button size="sm" variant="outline" className="ml-auto" onClick={() => certificate(x.id)}>
+                      Leaving certificate
+                    </Button>
+                  )}
+                </div>
+                {x.destinationSchool && (
+                  <div className="text-xs text-muted-foreground">To: {x.destinationSchool}</div>
+                )}
+                {x.reason && <div className="text-xs text-muted-foreground">{x.reason}</div>}
+              </div>
+            ))}
+
+            {incidents.length > 0 && (
+              <div className="space-y-2">
+                <div className="text-sm font-medium">Discipline</div>
+                <div className="divide-y rounded-md border">
+                  {incidents.map((inc) => (
+                    <button
+                      key={inc.id}
+                      type="button"
+                      className="w-full text-left p-3 text-sm space-y-1 hover:bg-muted/40"
+                      onClick={() => setIncidentId(inc.id)}
+                    >
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span>{fmtDate(inc.occurredAt)}</span>
+                        <span className="font-medium">{optionLabel(INCIDENT_CATEGORIES, inc.category)}</span>
+                        <Badge variant={severityVariant(inc.severity)}>
+                          {optionLabel(INCIDENT_SEVERITIES, inc.severity)}
+                        </Badge>
+                        {inc.actions.map((a) => (
+                          <Badge key={a.id} variant="outline">
+                            {optionLabel(ACTION_TYPES, a.type)}
+                            {a.type === "SUSPENSION" && a.endDate ? ` to ${fmtDate(a.endDate)}` : ""}
+                          </Badge>
+                        ))}
+                        <span className="ml-auto text-xs text-muted-foreground">
+                          {optionLabel(INCIDENT_STATUSES, inc.status)}
+                        </span>
+                      </div>
+                      <div className="text-xs text-muted-foreground line-clamp-2">{inc.description}</div>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {enrollments.length === 0 ? (
+              <div className="text-sm text-muted-foreground">No class placements recorded.</div>
+            ) : (
+              <div className="border rounded-md">
+                <table className="w-full text-sm">
+                  <thead className="bg-muted/60">
+                    <tr>
+                      <th className="text-left p-2">Class</th>
+                      <th className="text-left p-2">From</th>
+                      <th className="text-left p-2">To</th>
+                      <th className="text-left p-2">How</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {enrollments.map((e) => (
+                      <tr key={e.id} className="border-t">
+                        <td className="p-2">{e.classLabel || "—"}</td>
+                        <td className="p-2">{fmtDate(e.startDate)}</td>
+                        <td className="p-2">{e.endDate ? fmtDate(e.endDate) : "Current"}</td>
+                        <td className="p-2">{REASON_LABELS[e.reason] || e.reason}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+
+      {incidentId && (
+        <IncidentDrawer incidentId={incidentId} role={role} teacherId={teacherId} onClose={() => setIncidentId("")} />
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,123 @@
+// src/features/students/StudentIdCardsDrawer.jsx
+import { useState } from "react";
+import { useMutation } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { openStudentIdCardsPdf } from "./students.api";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Sheet,
+  SheetContent,
+  SheetHeader,
+  SheetTitle,
+  SheetDescription,
+} from "@/components/ui/sheet";
+
+const selectCls = "h-10 w-full rounded-md border bg-background px-3 text-sm";
+
+/**
+ * Prints ID cards for the ticked students or for a whole class.
+ * Each card's QR code is the admission number, so it scans straight into the cashier and attendance screens.
+ */
+export default function StudentIdCardsDrawer({ classes = [], defaultClassId = "", selected = [], onClose }) {
+  const thisYear = new Date().getFullYear();
+
+  const [scope, setScope] = useState(selected.length ? "selected" : "class");
+  const [classId, setClassId] = useState(defaultClassId);
+  const [expiryYear, setExpiryYear] = useState(String(thisYear));
+
+  const printMut = useMutation({
+    mutationFn: () =>
+      openStudentIdCardsPdf({
+        classId: scope === "class" ? classId : undefined,
+        studentIds: scope === "selected" ? selected.map((s) => s.id) : undefined,
+        expiryYear: Number(expiryYear),
+      }),
+    onSuccess: () => onClose(),
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to generate ID cards"),
+  });
+
+  const canPrint =
+    !printMut.isPending &&
+    /^\d{4}$/.test(expiryYear) &&
+    (scope === "class" ? !!classId : selected.length > 0);
+
+  const handleOpenChange = (v) => {
+    if (!v && !printMut.isPending) onClose();
+  };
+
+  return (
+    <Sheet open onOpenChange={handleOpenChange}>
+      <SheetContent side="right" className="w-full sm:max-w-md overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle>Student ID Cards</SheetTitle>
+          <SheetDescription>
+            Card-size (CR80) cards, eight to an A4 page, with photo, class, expiry and a QR code of the admission
+            number in the school colours.
+          </SheetDescription>
+        </SheetHeader>
+
+        <div className="mt-4 space-y-4">
+          <div className="space-y-2 text-sm">
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="id-card-scope"
+                checked={scope === "selected"}
+                disabled={!selected.length}
+                onChange={() => setScope("selected")}
+              />
+              Selected students ({selected.length})
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="id-card-scope"
+                checked={scope === "class"}
+                onChange={() => setScope("class")}
+              />
+              Whole class
+            </label>
+          </div>
+
+          {scope === "class" && (
+            <div className="space-y-1">
+              <div className="text-sm font-medium">Class</div>
+              <select className={selectCls} value={classId} onChange={(e) => setClassId(e.target.value)}>
+                <option value="">Select class</option>
+                {classes.map((c) => (
+                  <option key={c.id} value={c.id}>
+                    {c.name}
+                    {c.stream ? ` ${c.stream}` : ""}
+                    {c.year ? ` (${c.year})` : ""}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="space-y-1">
+            <div className="text-sm font-medium">Valid until (December of)</div>
+            <Input
+              type="number"
+              min={thisYear}
+              max={thisYear + 10}
+              value={expiryYear}
+              onChange={(e) => setExpiryYear(e.target.value)}
+            />
+          </div>
+
+          <div className="text-xs text-muted-foreground">
+            Only active students get cards. Photos must be JPG or PNG to print; others show initials.
+          </div>
+
+          <Button className="w-full" disabled={!canPrint} onClick={() => printMut.mutate()}>
+            {printMut.isPending ? "Generating…" : "Generate PDF"}
+          </Button>
+        </div>
+      </SheetContent>
+    </Sheet>
+  );
+}
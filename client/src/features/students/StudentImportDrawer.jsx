@@ -0,0 +1,334 @@
+// src/features/students/StudentImportDrawer.jsx
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import {
+  downloadStudentImportTemplate,
+  getStudentImport,
+  importStudents,
+  listStudentImports,
+} from "./students.api";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import {
+  Sheet,
+  SheetContent,
+  SheetHeader,
+  SheetTitle,
+  SheetDescription,
+} from "@/components/ui/sheet";
+import { Separator } from "@/components/ui/separator";
+
+const selectCls = "h-10 w-full rounded-md border bg-background px-3 text-sm";
+
+function fmtDate(d) {
+  return d ? new Date(d).toISOString().slice(0, 10) : "—";
+}
+
+function fmtWhen(d) {
+  return d ? new Date(d).toLocaleString() : "—";
+}
+
+function titleCase(v) {
+  return v ? v.charAt(0) + v.slice(1).toLowerCase() : "—";
+}
+
+function ImportErrors({ importId }) {
+  const detailQ = useQuery({
+    queryKey: ["studentImport", importId],
+    queryFn: () => getStudentImport(importId),
+  });
+  const errors = Array.isArray(detailQ.data?.errors) ? detailQ.data.errors : [];
+
+  if (detailQ.isLoading) return <div className="text-xs text-muted-foreground">Loading…</div>;
+  if (detailQ.isError) {
+    return (
+      <div className="text-xs text-destructive">
+        {detailQ.error?.response?.data?.message || "Failed to load import"}
+      </div>
+    );
+  }
+  if (errors.length === 0) return <div className="text-xs text-muted-foreground">Every row was imported.</div>;
+
+  return (
+    <div className="space-y-1 text-xs">
+      {errors.map((e) => (
+        <div key={e.rowNo}>
+          Row {e.rowNo}
+          {e.admissionNo ? ` (${e.admissionNo})` : ""}: <span className="text-destructive">{e.errors.join("; ")}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Bulk student import: download the template, preview a CSV/XLSX row by row, then import the valid rows.
+ * Columns are matched by header name; the admin can point a field at a different column and preview again.
+ */
+export default function StudentImportDrawer({ onClose }) {
+  const qc = useQueryClient();
+
+  const [file, setFile] = useState(null);
+  const [fileKey, setFileKey] = useState(0);
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [onlyErrors, setOnlyErrors] = useState(false);
+  const [openImportId, setOpenImportId] = useState("");
+
+  const historyQ = useQuery({
+    queryKey: ["studentImports"],
+    queryFn: listStudentImports,
+  });
+  const history = historyQ.data || [];
+
+  const importMut = useMutation({
+    mutationFn: (dryRun) => importStudents({ file, mapping, dryRun }),
+    onSuccess: (data) => {
+      if (data?.dryRun) {
+        setPreview(data);
+        return;
+      }
+      const s = data?.summary || {};
+      toast.success(
+        `Imported ${s.valid || 0} students${s.errors ? ` • ${s.errors} rows left out` : ""}`
+      );
+      setPreview(null);
+      setFile(null);
+      setMapping({});
+      setFileKey((k) => k + 1);
+      setOpenImportId(data?.import?.id || "");
+      qc.invalidateQueries({ queryKey: ["students"] });
+      qc.invalidateQueries({ queryKey: ["studentImports"] });
+      qc.invalidateQueries({ queryKey: ["subscription-overview"] });
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to read file"),
+  });
+
+  const templateMut = useMutation({
+    mutationFn: (format) => downloadStudentImportTemplate(format),
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to download template"),
+  });
+
+  const busy = importMut.isPending;
+  const summary = preview?.summary;
+  const capacity = summary?.capacity;
+  const overCap = capacity?.remaining != null && summary.valid > capacity.remaining;
+  const canCommit = !!preview && !busy && summary.valid > 0 && !overCap && !preview.missing?.length;
+
+  const rows = (preview?.rows || []).filter((r) => !onlyErrors || r.errors.length > 0);
+
+  const setColumn = (key, header) => {
+    setMapping((m) => {
+      const next = { ...m };
+      if (header) next[key] = header;
+      else delete next[key];
+      return next;
+    });
+    setPreview(null);
+  };
+
+  const handleOpenChange = (v) => {
+    if (!v && !busy) onClose();
+  };
+
+  return (
+    <Sheet open onOpenChange={handleOpenChange}>
+      <SheetContent side="right" className="w-full sm:max-w-3xl overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle>Import Students</SheetTitle>
+          <SheetDescription>
+            Upload a CSV or Excel file. Every row is checked first; only valid rows are imported.
+          </SheetDescription>
+        </SheetHeader>
+
+        <div className="mt-4 space-y-4">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-muted-foreground">Template:</span>
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={templateMut.isPending}
+              onClick={() => templateMut.mutate("xlsx")}
+            >
+              Excel
+            </Button>
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={templateMut.isPending}
+              onClick={() => templateMut.mutate("csv")}
+            >
+              CSV
+            </Button>
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-2">
+            <Input
+              key={fileKey}
+              type="file"
+              accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+              onChange={(e) => {
+                setFile(e.target.files?.[0] || null);
+                setMapping({});
+                setPreview(null);
+              }}
+            />
+            <Button variant="outline" disabled={!file || busy} onClick={() => importMut.mutate(true)}>
+              {busy && !preview ? "Reading…" : "Preview"}
+            </Button>
+          </div>
+
+          {preview && (
+            <div className="space-y-3">
+              {preview.alreadyImported && (
+                <div className="text-xs text-destructive">
+                  This file was already imported as {preview.alreadyImported.fileName} on{" "}
+                  {fmtDate(preview.alreadyImported.createdAt)}.
+                </div>
+              )}
+
+              <div className="rounded-md border p-3 space-y-2">
+                <div className="text-sm font-medium">Columns</div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                  {preview.fields.map((f) => (
+                    <div key={f.key} className="space-y-1">
+                      <div className="text-xs text-muted-foreground">
+                        {f.header}
+                        {f.required ? " *" : ""}
+                      </div>
+                      <select
+                        className={selectCls}
+                        value={mapping[f.key] || preview.columns[f.key] || ""}
+                        onChange={(e) => setColumn(f.key, e.target.value)}
+                        disabled={busy}
+                      >
+                        <option value="">— not in file —</option>
+                        {preview.headers.filter(Boolean).map((h) => (
+                          <option key={h} value={h}>
+                            {h}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+                {preview.missing?.length > 0 && (
+                  <div className="text-xs text-destructive">
+                    Pick a column for: {preview.missing.join(", ")}, then preview again.
+                  </div>
+                )}
+              </div>
+
+              {!preview.missing?.length && (
+                <>
+                  <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <span>{summary.rows} rows</span>
+                    <Badge variant="secondary">{summary.valid} ready</Badge>
+                    {summary.errors > 0 && <Badge variant="destructive">{summary.errors} with errors</Badge>}
+                    {capacity?.remaining != null && (
+                      <span className={`text-xs ${overCap ? "text-destructive" : "text-muted-foreground"}`}>
+                        Plan room: {capacity.remaining} of {capacity.limit}
+                      </span>
+                    )}
+                    <label className="ml-auto flex items-center gap-2 text-xs">
+                      <input type="checkbox" checked={onlyErrors} onChange={(e) => setOnlyErrors(e.target.checked)} />
+                      Only rows with errors
+                    </label>
+                  </div>
+
+                  {overCap && (
+                    <div className="text-xs text-destructive">
+                      The file has more valid students than your plan has room for. Remove some rows or upgrade.
+                    </div>
+                  )}
+
+                  <div className="max-h-80 overflow-y-auto border rounded-md">
+                    <table className="w-full text-xs">
+                      <thead className="bg-muted/60 sticky top-0">
+                        <tr>
+                          <th className="text-left p-2">Row</th>
+                          <th className="text-left p-2">Adm No</th>
+                          <th className="text-left p-2">Name</th>
+                          <th className="text-left p-2">Gender</th>
+                          <th className="text-left p-2">DOB</th>
+                          <th className="text-left p-2">Class</th>
+                          <th className="text-left p-2">Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rows.map((r) => (
+                          <tr key={r.rowNo} className="border-t align-top">
+                            <td className="p-2">{r.rowNo}</td>
+                            <td className="p-2">{r.admissionNo || "—"}</td>
+                            <td className="p-2">{`${r.firstName} ${r.lastName}`.trim() || "—"}</td>
+                            <td className="p-2">{titleCase(r.gender)}</td>
+                            <td className="p-2">{fmtDate(r.dob)}</td>
+                            <td className="p-2">{r.classLabel || "Unassigned"}</td>
+                            <td className="p-2">
+                              {r.errors.length === 0 ? (
+                                <Badge variant="secondary" className="text-[10px]">
+                                  OK
+                                </Badge>
+                              ) : (
+                                <span className="text-destructive">{r.errors.join("; ")}</span>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  <Button className="w-full" disabled={!canCommit} onClick={() => importMut.mutate(false)}>
+                    {busy ? "Importing…" : `Import ${summary.valid} students`}
+                  </Button>
+                </>
+              )}
+            </div>
+          )}
+
+          <Separator />
+
+          <div className="space-y-2">
+            <div className="text-sm font-medium">Import history</div>
+            {historyQ.isLoading ? (
+              <div className="text-sm text-muted-foreground">Loading history...</div>
+            ) : historyQ.isError ? (
+              <div className="text-sm text-destructive">
+                {historyQ.error?.response?.data?.message || "Failed to load import history"}
+              </div>
+            ) : history.length === 0 ? (
+              <div className="text-sm text-muted-foreground">No imports yet.</div>
+            ) : (
+              <div className="divide-y rounded-md border">
+                {history.map((h) => (
+                  <div key={h.id} className="p-2 space-y-2">
+                    <button
+                      type="button"
+                      className="w-full text-left text-sm"
+                      onClick={() => setOpenImportId(openImportId === h.id ? "" : h.id)}
+                    >
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="font-medium">{h.fileName}</span>
+                        <Badge variant="secondary">{h.createdCount} added</Badge>
+                        {h.errorCount > 0 && <Badge variant="destructive">{h.errorCount} left out</Badge>}
+                      </div>
+                      <div className="text-xs text-muted-foreground">
+                        {fmtWhen(h.createdAt)} • {h.uploadedByEmail || "—"}
+                      </div>
+                    </button>
+                    {openImportId === h.id && <ImportErrors importId={h.id} />}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </SheetContent>
+    </Sheet>
+  );
+}
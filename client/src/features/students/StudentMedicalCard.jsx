@@ -0,0 +1,251 @@
+// src/features/students/StudentMedicalCard.jsx
+import { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+
+import { BLOOD_GROUPS, MAX_EMERGENCY_CONTACTS } from "./students.schema";
+import { getStudentMedical, updateStudentMedical } from "./students.api";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+
+const selectCls = "h-10 w-full rounded-md border bg-background px-3 text-sm";
+const textareaCls = "min-h-[70px] w-full rounded-md border bg-background px-3 py-2 text-sm";
+
+const TEXT_FIELDS = [
+  { key: "allergies", label: "Allergies", placeholder: "e.g. Peanuts (anaphylaxis – EpiPen in sick bay)" },
+  { key: "conditions", label: "Medical conditions", placeholder: "e.g. Asthma, epilepsy, diabetes" },
+  { key: "medications", label: "Medications", placeholder: "Name, dose and when it is given" },
+  { key: "specialNeeds", label: "Special needs / IEP notes", placeholder: "Learning support, accommodations" },
+];
+
+const emptyContact = () => ({ name: "", relationship: "", phone: "", altPhone: "", notes: "" });
+
+function toForm(data) {
+  const p = data?.profile || {};
+  return {
+    bloodGroup: p.bloodGroup || "",
+    allergies: p.allergies || "",
+    conditions: p.conditions || "",
+    medications: p.medications || "",
+    specialNeeds: p.specialNeeds || "",
+    doctorName: p.doctorName || "",
+    doctorPhone: p.doctorPhone || "",
+    emergencyContacts: (data?.emergencyContacts || []).map((c) => ({
+      name: c.name || "",
+      relationship: c.relationship || "",
+      phone: c.phone || "",
+      altPhone: c.altPhone || "",
+      notes: c.notes || "",
+    })),
+  };
+}
+
+function Field({ label, value, alert = false }) {
+  return (
+    <div>
+      <div className="text-xs text-muted-foreground">{label}</div>
+      <div className={`text-sm whitespace-pre-wrap ${alert ? "font-medium text-destructive" : ""}`}>
+        {value || "—"}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Medical profile and emergency contacts, for ADMIN and staff with medical access.
+ * Nothing is fetched until the user asks: each opening is recorded in the audit log.
+ */
+export default function StudentMedicalCard({ studentId }) {
+  const qc = useQueryClient();
+  const [revealed, setRevealed] = useState(false);
+  const [form, setForm] = useState(null); // non-null while editing
+
+  const medicalQ = useQuery({
+    queryKey: ["studentMedical", studentId],
+    queryFn: () => getStudentMedical(studentId),
+    enabled: revealed && !!studentId,
+    gcTime: 0, // do not keep medical data around once the card is gone
+    retry: false,
+  });
+  const data = medicalQ.data;
+  const profile = data?.profile;
+  const contacts = data?.emergencyContacts || [];
+
+  const saveMut = useMutation({
+    mutationFn: () => updateStudentMedical(studentId, form),
+    onSuccess: (saved) => {
+      toast.success("Medical information saved");
+      qc.setQueryData(["studentMedical", studentId], saved);
+      qc.invalidateQueries({ queryKey: ["student", studentId] });
+      qc.invalidateQueries({ queryKey: ["students"] });
+      setForm(null);
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Failed to save medical information"),
+  });
+
+  const set = (key, value) => setForm((f) => ({ ...f, [key]: value }));
+  const setContact = (i, key, value) =>
+    setForm((f) => ({
+      ...f,
+      emergencyContacts: f.emergencyContacts.map((c, idx) => (idx === i ? { ...c, [key]: value } : c)),
+    }));
+  const addContact = () =>
+    setForm((f) => ({ ...f, emergencyContacts: [...f.emergencyContacts, emptyContact()] }));
+  const removeContact = (i) =>
+    setForm((f) => ({ ...f, emergencyContacts: f.emergencyContacts.filter((_, idx) => idx !== i) }));
+
+  const contactsOk = (form?.emergencyContacts || []).every((c) => c.name.trim() && c.phone.trim());
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-2">
+          <div>
+            <CardTitle className="text-base flex items-center gap-2">
+              Medical &amp; Emergency
+              {profile?.allergyAlert && <Badge variant="destructive">Allergies</Badge>}
+            </CardTitle>
+            <CardDescription>Restricted. Every time this is opened it is recorded in the audit log.</CardDescription>
+          </div>
+          {revealed && data && !form && (
+            <Button size="sm" variant="outline" onClick={() => setForm(toForm(data))}>
+              Edit
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!revealed ? (
+          <Button variant="outline" onClick={() => setRevealed(true)}>
+            Show medical information
+          </Button>
+        ) : medicalQ.isLoading ? (
+          <div className="text-sm text-muted-foreground">Loading medical information...</div>
+        ) : medicalQ.isError ? (
+          <div className="text-sm text-destructive">
+            {medicalQ.error?.response?.data?.message || "Failed to load medical information"}
+          </div>
+        ) : form ? (
+          <div className="space-y-4">
+            <div className="grid gap-3 md:grid-cols-3">
+              <div className="space-y-1">
+                <div className="text-sm font-medium">Blood group</div>
+                <select className={selectCls} value={form.bloodGroup} onChange={(e) => set("bloodGroup", e.target.value)}>
+                  <option value="">Unknown</option>
+                  {BLOOD_GROUPS.map((bg) => (
+                    <option key={bg} value={bg}>
+                      {bg}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="space-y-1">
+                <div className="text-sm font-medium">Doctor / clinic</div>
+                <Input value={form.doctorName} onChange={(e) => set("doctorName", e.target.value)} />
+              </div>
+              <div className="space-y-1">
+                <div className="text-sm font-medium">Doctor phone</div>
+                <Input value={form.doctorPhone} onChange={(e) => set("doctorPhone", e.target.value)} />
+              </div>
+            </div>
+
+            {TEXT_FIELDS.map((f) => (
+              <div key={f.key} className="space-y-1">
+                <div className="text-sm font-medium">{f.label}</div>
+                <textarea
+                  className={textareaCls}
+                  value={form[f.key]}
+                  placeholder={f.placeholder}
+                  onChange={(e) => set(f.key, e.target.value)}
+                />
+              </div>
+            ))}
+
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <div className="text-sm font-medium">Emergency contacts (in call order)</div>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={addContact}
+                  disabled={form.emergencyContacts.length >= MAX_EMERGENCY_CONTACTS}
+                >
+                  Add contact
+                </Button>
+              </div>
+              {form.emergencyContacts.map((c, i) => (
+                <div key={i} className="grid gap-2 rounded-md border p-2 md:grid-cols-5">
+                  <Input placeholder="Name *" value={c.name} onChange={(e) => setContact(i, "name", e.target.value)} />
+                  <Input
+                    placeholder="Relationship"
+                    value={c.relationship}
+                    onChange={(e) => setContact(i, "relationship", e.target.value)}
+                  />
+                  <Input placeholder="Phone *" value={c.phone} onChange={(e) => setContact(i, "phone", e.target.value)} />
+                  <Input
+                    placeholder="Alt phone"
+                    value={c.altPhone}
+                    onChange={(e) => setContact(i, "altPhone", e.target.value)}
+                  />
+                  <Button variant="ghost" className="text-destructive" onClick={() => removeContact(i)}>
+                    Remove
+                  </Button>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" onClick={() => setForm(null)} disabled={saveMut.isPending}>
+                Cancel
+              </Button>
+              <Button onClick={() => saveMut.mutate()} disabled={saveMut.isPending || !contactsOk}>
+                {saveMut.isPending ? "Saving…" : "Save"}
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="grid gap-3 md:grid-cols-3">
+              <Field label="Blood group" value={profile?.bloodGroup} />
+              <Field label="Doctor / clinic" value={profile?.doctorName} />
+              <Field label="Doctor phone" value={profile?.doctorPhone} />
+            </div>
+            <Field label="Allergies" value={profile?.allergies} alert={!!profile?.allergies} />
+            <Field label="Medical conditions" value={profile?.conditions} />
+            <Field label="Medications" value={profile?.medications} />
+            <Field label="Special needs / IEP notes" value={profile?.specialNeeds} />
+
+            <div>
+              <div className="text-xs text-muted-foreground mb-1">Emergency contacts</div>
+              {contacts.length === 0 ? (
+                <div className="text-sm text-muted-foreground">None recorded.</div>
+              ) : (
+                <div className="divide-y rounded-md border">
+                  {contacts.map((c, i) => (
+                    <div key={c.id} className="flex flex-wrap items-center gap-2 p-2 text-sm">
+                      <span className="text-muted-foreground">{i + 1}.</span>
+                      <span className="font-medium">{c.name}</span>
+                      {c.relationship && <Badge variant="outline">{c.relationship}</Badge>}
+                      <span>{c.phone}</span>
+                      {c.altPhone && <span className="text-muted-foreground">/ {c.altPhone}</span>}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {profile?.updatedAt && (
+              <div className="text-xs text-muted-foreground">
+                Last updated {new Date(profile.updatedAt).toISOString().slice(0, 10)}
+                {profile.updatedByEmail ? ` by ${profile.updatedByEmail}` : ""}
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,42 @@
+// src/features/students/StudentPhoto.jsx
+import { useEffect, useMemo } from "react";
+import { useQuery } from "@tanstack/react-query";
+
+import { getStudentPhoto } from "./students.api";
+
+/**
+ * Passport photo loaded through the authenticated photo route (an <img src> cannot send the token).
+ * Falls back to the student's initials when no photo is on file.
+ */
+export default function StudentPhoto({ studentId, name = "", className = "h-16 w-16" }) {
+  const photoQ = useQuery({
+    queryKey: ["studentPhoto", studentId],
+    queryFn: () => getStudentPhoto(studentId),
+    enabled: !!studentId,
+    staleTime: 5 * 60 * 1000,
+    retry: false,
+  });
+
+  // one object URL per blob, released when the blob changes or the component unmounts
+  const url = useMemo(() => (photoQ.data ? URL.createObjectURL(photoQ.data) : ""), [photoQ.data]);
+  useEffect(() => () => url && URL.revokeObjectURL(url), [url]);
+
+  if (url) {
+    return <img src={url} alt={name || "Student photo"} className={`${className} rounded-md border object-cover`} />;
+  }
+
+  const initials = name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((p) => p[0].toUpperCase())
+    .join("");
+
+  return (
+    <div
+      className={`${className} rounded-md border bg-muted flex items-center justify-center text-sm font-medium text-muted-foreground`}
+    >
+      {initials || "—"}
+    </div>
+  );
+}
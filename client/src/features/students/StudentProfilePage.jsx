@@ -1,10 +1,19 @@
 // src/features/students/StudentProfilePage.jsx
+import { useState } from "react";
 import { Link, useParams } from "react-router-dom";
-import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useQuery } from "@tanstack/react-query";
 import { toast } from "sonner";
 
 import { useMe } from "@/hooks/useMe";
-import { deactivateStudent, getStudent } from "./students.api";
+import { listClasses } from "@/api/classes.api";
+import { getStudent, openStudentIdCardsPdf } from "./students.api";
+import StudentGuardiansCard from "./StudentGuardiansCard";
+import StudentHistoryCard from "./StudentHistoryCard";
+import StudentExitDrawer from "./StudentExitDrawer";
+import StudentPhoto from "./StudentPhoto";
+import StudentDocumentsCard from "./StudentDocumentsCard";
+import StudentMedicalCard from "./StudentMedicalCard";
+import LogIncidentDrawer from "@/features/discipline/LogIncidentDrawer";
 
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
@@ -28,11 +37,18 @@ function fmtDate(d) {
 
 export default function StudentProfilePage() {
   const { id } = useParams();
-  const qc = useQueryClient();
+  const [exitOpen, setExitOpen] = useState(false);
+  const [incidentOpen, setIncidentOpen] = useState(false);
 
   const { data: meData, isLoading: meLoading } = useMe();
   const role = meData?.role ?? meData?.user?.role;
 
+  const classesQ = useQuery({
+    queryKey: ["classes"],
+    queryFn: () => listClasses(),
+    enabled: incidentOpen,
+  });
+
   const { data, isLoading, isError, error } = useQuery({
     queryKey: ["student", id],
     queryFn: () => getStudent(id),
@@ -41,16 +57,6 @@ export default function StudentProfilePage() {
     staleTime: 30 * 1000,
   });
 
-  const deactivateMut = useMutation({
-    mutationFn: deactivateStudent,
-    onSuccess: () => {
-      toast.success("Student deactivated");
-      qc.invalidateQueries({ queryKey: ["students"] });
-      qc.invalidateQueries({ queryKey: ["student", id] });
-    },
-    onError: (err) => toast.error(err?.response?.data?.message || "Failed to deactivate"),
-  });
-
   if (meLoading) return (
     <div className="flex items-center justify-center min-h-[400px]">
       <div className="text-muted-foreground">Loading...</div>
@@ -93,15 +99,19 @@ export default function StudentProfilePage() {
     <div className="p-4 md:p-6 space-y-6">
       {/* Header */}
       <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
-        <div>
-          <div className="flex items-center gap-2 mb-1">
-            <h1 className="text-2xl font-semibold">{fullName(s)}</h1>
-            <Badge variant={s?.isActive ? "default" : "secondary"}>
-              {s?.isActive ? "Active" : "Inactive"}
-            </Badge>
-          </div>
-          <div className="text-muted-foreground">
-            Admission No: <span className="font-medium text-foreground">{s.admissionNo}</span>
+        <div className="flex items-start gap-4">
+          <StudentPhoto studentId={s.id} name={fullName(s)} className="h-20 w-20" />
+          <div>
+            <div className="flex items-center gap-2 mb-1">
+              <h1 className="text-2xl font-semibold">{fullName(s)}</h1>
+              <Badge variant={s?.isActive ? "default" : "secondary"}>
+                {s?.isActive ? "Active" : s?.graduatedAt ? `Alumni ${s.graduationYear || ""}`.trim() : "Inactive"}
+              </Badge>
+              {s?.allergyAlert && <Badge variant="destructive">Allergy alert</Badge>}
+            </div>
+            <div className="text-muted-foreground">
+              Admission No: <span className="font-medium text-foreground">{s.admissionNo}</span>
+            </div>
           </div>
         </div>
 
@@ -112,16 +122,27 @@ export default function StudentProfilePage() {
 
           {role === "ADMIN" && s?.isActive && (
             <Button
-              variant="destructive"
+              variant="outline"
               size="sm"
-              disabled={deactivateMut.isPending}
-              onClick={() => {
-                if (window.confirm(`Deactivate ${fullName(s)}?`)) {
-                  deactivateMut.mutate(s.id);
-                }
-              }}
+              onClick={() =>
+                openStudentIdCardsPdf({ studentIds: [s.id] }).catch((err) =>
+                  toast.error(err?.response?.data?.message || "Failed to generate ID card")
+                )
+              }
             >
-              {deactivateMut.isPending ? "Processing..." : "Deactivate"}
+              ID Card
+            </Button>
+          )}
+
+          {s?.isActive && (
+            <Button variant="outline" size="sm" onClick={() => setIncidentOpen(true)}>
+              Log Incident
+            </Button>
+          )}
+
+          {role === "ADMIN" && s?.isActive && (
+            <Button variant="destructive" size="sm" onClick={() => setExitOpen(true)}>
+              Record Exit
             </Button>
           )}
         </div>
@@ -178,6 +199,14 @@ export default function StudentProfilePage() {
         </Card>
       </div>
 
+      <StudentGuardiansCard studentId={s.id} role={role} />
+
+      <StudentHistoryCard studentId={s.id} role={role} teacherId={meData?.user?.teacher?.id} />
+
+      <StudentDocumentsCard studentId={s.id} role={role} />
+
+      {meData?.user?.medicalAccess && <StudentMedicalCard studentId={s.id} />}
+
       {/* Status & Additional Info */}
       <Card>
         <CardHeader>
@@ -188,7 +217,9 @@ export default function StudentProfilePage() {
           <div className="grid grid-cols-2 gap-4">
             <div>
               <div className="text-sm text-muted-foreground">Account Status</div>
-              <div className="font-medium">{s.isActive ? "Active" : "Inactive"}</div>
+              <div className="font-medium">
+                {s.isActive ? "Active" : s.graduatedAt ? `Graduated ${fmtDate(s.graduatedAt)}` : "Inactive"}
+              </div>
             </div>
             <div>
               <div className="text-sm text-muted-foreground">Created</div>
@@ -207,6 +238,17 @@ export default function StudentProfilePage() {
           )}
         </CardContent>
       </Card>
+
+      {role === "ADMIN" && exitOpen && <StudentExitDrawer student={s} onClose={() => setExitOpen(false)} />}
+
+      {incidentOpen && (
+        <LogIncidentDrawer
+          classes={(classesQ.data || []).filter((c) => c.isActive !== false)}
+          student={{ id: s.id, name: fullName(s), classId: s.classId || "" }}
+          isAdmin={role === "ADMIN"}
+          onClose={() => setIncidentOpen(false)}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
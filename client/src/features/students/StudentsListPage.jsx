@@ -7,12 +7,14 @@ import { toast } from "sonner";
 import { useMe } from "@/hooks/useMe";
 import { api } from "@/api/axios";
 import {
-  deactivateStudent,
  updateStudent,
   getTeacherAssignedClasses,
   listStudents,
 } from "./students.api";
 import StudentFormDrawer from "./StudentFormDrawer.jsx";
+import StudentImportDrawer from "./StudentImportDrawer.jsx";
+import StudentExitDrawer from "./StudentExitDrawer.jsx";
+import StudentIdCardsDrawer from "./StudentIdCardsDrawer.jsx";
 import { listClasses } from "../classes/classes.api";
 
 import { Button } from "@/components/ui/button";
@@ -44,10 +46,12 @@ import {
   Search,
   Filter,
   Plus,
+  Upload,
   Eye,
   Edit2,
   UserX,
   UserCheck,               // ← NEW icon
+  IdCard,
   Loader2,
   AlertCircle,
 } from "lucide-react";
@@ -68,12 +72,17 @@ export default function StudentsListPage() {
 
   const [active, setActive] = useState(true);
   const [classId, setClassId] = useState("");
+  const [asOf, setAsOf] = useState("");
   const [search, setSearch] = useState("");
 
   // Drawer
   const [drawerOpen, setDrawerOpen] = useState(false);
   const [drawerMode, setDrawerMode] = useState("create");
   const [editingStudent, setEditingStudent] = useState(null);
+  const [importOpen, setImportOpen] = useState(false);
+  const [exitStudent, setExitStudent] = useState(null);
+  const [idCardsOpen, setIdCardsOpen] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
 
   // identity truth
   const { data: meData, isLoading: meLoading } = useMe();
@@ -171,6 +180,8 @@ export default function StudentsListPage() {
 
   // Teacher must pick a class; Admin can do "all"
   const effectiveClassId = role === "TEACHER" ? classId : classId || undefined;
+  // "as of" only applies to one class: that class's list on the chosen day, leavers included
+  const effectiveAsOf = effectiveClassId ? asOf : "";
 
   const {
     data: students = [],
@@ -178,8 +189,8 @@ export default function StudentsListPage() {
     isError,
     error,
   } = useQuery({
-    queryKey: ["students", { active, classId: effectiveClassId || null }],
-    queryFn: () => listStudents({ active, classId: effectiveClassId }),
+    queryKey: ["students", { active, classId: effectiveClassId || null, asOf: effectiveAsOf || null }],
+    queryFn: () => listStudents({ active, classId: effectiveClassId, asOf: effectiveAsOf }),
     enabled:
       role === "ADMIN"
         ? true
@@ -189,16 +200,6 @@ export default function StudentsListPage() {
     retry: false,
   });
 
-  const deactivateMut = useMutation({
-    mutationFn: deactivateStudent,
-    onSuccess: () => {
-      toast.success("Student deactivated");
-      qc.invalidateQueries({ queryKey: ["students"] });
-    },
-    onError: (err) =>
-      toast.error(err?.response?.data?.message || "Failed to deactivate"),
-  });
-
 const activateMut = useMutation({
   mutationFn: (id) => updateStudent(id, { isActive: true }),
   onSuccess: () => {
@@ -220,6 +221,25 @@ const activateMut = useMutation({
     });
   }, [students, search]);
 
+  // ticked rows (for ID cards); only what is still in the current list counts
+  const selectedStudents = useMemo(
+    () => students.filter((s) => selectedIds.includes(s.id)),
+    [students, selectedIds]
+  );
+  const selectable = role === "ADMIN" && active && !effectiveAsOf;
+  const allVisibleSelected =
+    filteredStudents.length > 0 && filteredStudents.every((s) => selectedIds.includes(s.id));
+
+  const toggleSelected = (id) =>
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+
+  const toggleAllVisible = () => {
+    const ids = filteredStudents.map((s) => s.id);
+    setSelectedIds((prev) =>
+      allVisibleSelected ? prev.filter((id) => !ids.includes(id)) : [...new Set([...prev, ...ids])]
+    );
+  };
+
   const openCreate = () => {
     if (role === "ADMIN" && !canCreateStudent) {
       toast.error(createBlockedMsg || "Cannot create student right now.");
@@ -325,14 +345,29 @@ const activateMut = useMutation({
 
         {role === "ADMIN" && (
           <div className="flex flex-col items-start sm:items-end gap-2">
-            <Button 
-              onClick={openCreate} 
-              disabled={!canCreateStudent}
-              className="gap-2"
-            >
-              <Plus className="h-4 w-4" />
-              Add Student
-            </Button>
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={() => setIdCardsOpen(true)} className="gap-2">
+                <IdCard className="h-4 w-4" />
+                ID Cards{selectedStudents.length ? ` (${selectedStudents.length})` : ""}
+              </Button>
+              <Button
+                variant="outline"
+                onClick={() => setImportOpen(true)}
+                disabled={!canCreateStudent}
+                className="gap-2"
+              >
+                <Upload className="h-4 w-4" />
+                Import
+              </Button>
+              <Button 
+                onClick={openCreate} 
+                disabled={!canCreateStudent}
+                className="gap-2"
+              >
+                <Plus className="h-4 w-4" />
+                Add Student
+              </Button>
+            </div>
 
             {!canCreateStudent && (
               <div className="text-xs text-muted-foreground text-left sm:text-right max-w-xs">
@@ -369,10 +404,15 @@ const activateMut = useMutation({
               className="w-fit"
             >
               <TabsList>
-                <TabsTrigger value="active">Active Students</TabsTrigger>
-                <TabsTrigger value="inactive">Inactive Students</TabsTrigger>
+                <TabsTrigger value="active" disabled={!!effectiveAsOf}>Active Students</TabsTrigger>
+                <TabsTrigger value="inactive" disabled={!!effectiveAsOf}>Inactive Students</TabsTrigger>
               </TabsList>
             </Tabs>
+            {effectiveAsOf && (
+              <p className="text-xs text-muted-foreground">
+                Showing the class as it was on {effectiveAsOf}, including students who have since left.
+              </p>
+            )}
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -432,6 +472,18 @@ const activateMut = useMutation({
                 </Select>
               </div>
             )}
+
+            {/* Class list on a past date */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium">As of date</label>
+              <Input
+                type="date"
+                value={asOf}
+                onChange={(e) => setAsOf(e.target.value)}
+                disabled={!effectiveClassId}
+                title={effectiveClassId ? undefined : "Pick a class first"}
+              />
+            </div>
           </div>
         </CardContent>
       </Card>
@@ -514,6 +566,16 @@ const activateMut = useMutation({
                 <Table>
                   <TableHeader className="bg-muted/50">
                     <TableRow>
+                      {selectable && (
+                        <TableHead className="w-10">
+                          <input
+                            type="checkbox"
+                            aria-label="Select all shown"
+                            checked={allVisibleSelected}
+                            onChange={toggleAllVisible}
+                          />
+                        </TableHead>
+                      )}
                       <TableHead className="font-semibold">Admission No</TableHead>
                       <TableHead className="font-semibold">Name</TableHead>
                       <TableHead className="font-semibold">Gender</TableHead>
@@ -526,11 +588,28 @@ const activateMut = useMutation({
                   <TableBody>
                     {filteredStudents.map((s) => (
                       <TableRow key={s.id} className="hover:bg-muted/30">
+                        {selectable && (
+                          <TableCell>
+                            <input
+                              type="checkbox"
+                              aria-label={`Select ${fullName(s)}`}
+                              checked={selectedIds.includes(s.id)}
+                              onChange={() => toggleSelected(s.id)}
+                            />
+                          </TableCell>
+                        )}
                         <TableCell className="font-medium">
                           <div className="font-mono">{s.admissionNo}</div>
                         </TableCell>
                         <TableCell>
-                          <div className="font-medium">{fullName(s)}</div>
+                          <div className="font-medium flex items-center gap-2">
+                            {fullName(s)}
+                            {s.allergyAlert && (
+                              <Badge variant="destructive" className="text-[10px]">
+                                ALLERGY
+                              </Badge>
+                            )}
+                          </div>
                         </TableCell>
                         <TableCell>
                           <Badge variant="outline" className="uppercase text-xs">
@@ -546,6 +625,8 @@ const activateMut = useMutation({
                         <TableCell>
                           {s.isActive ? (
                             <Badge variant="success">Active</Badge>
+                          ) : s.graduatedAt ? (
+                            <Badge variant="outline">Alumni {s.graduationYear}</Badge>
                           ) : (
                             <Badge variant="secondary">Inactive</Badge>
                           )}
@@ -577,19 +658,10 @@ const activateMut = useMutation({
                                     variant="ghost"
                                     size="sm"
                                     className="h-8 text-destructive hover:text-destructive"
-                                    disabled={deactivateMut.isPending}
-                                    onClick={() => {
-                                      if (confirm(`Deactivate ${fullName(s)}? They will no longer appear in active lists or marksheets.`)) {
-                                        deactivateMut.mutate(s.id);
-                                      }
-                                    }}
+                                    onClick={() => setExitStudent(s)}
                                   >
-                                    {deactivateMut.isPending ? (
-                                      <Loader2 className="h-3.5 w-3.5 animate-spin" />
-                                    ) : (
-                                      <UserX className="h-3.5 w-3.5" />
-                                    )}
-                                    Deactivate
+                                    <UserX className="h-3.5 w-3.5" />
+                                    Exit
                                   </Button>
                                 ) : (
                                   <Button
@@ -634,6 +706,21 @@ const activateMut = useMutation({
           onClose={() => setDrawerOpen(false)}
         />
       )}
+
+      {role === "ADMIN" && importOpen && <StudentImportDrawer onClose={() => setImportOpen(false)} />}
+
+      {role === "ADMIN" && idCardsOpen && (
+        <StudentIdCardsDrawer
+          classes={classes}
+          defaultClassId={classId}
+          selected={selectedStudents}
+          onClose={() => setIdCardsOpen(false)}
+        />
+      )}
+
+      {role === "ADMIN" && exitStudent && (
+        <StudentExitDrawer key={exitStudent.id} student={exitStudent} onClose={() => setExitStudent(null)} />
+      )}
     </div>
   );
 }
\ No newline at end of file
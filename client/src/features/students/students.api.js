@@ -3,10 +3,12 @@ import { api } from "../../api/axios";
 // --------------------
 // Students
 // --------------------
-export async function listStudents({ active = true, classId } = {}) {
+// asOf (YYYY-MM-DD, needs classId): the class as it stood that day, leavers included
+export async function listStudents({ active = true, classId, asOf } = {}) {
   const params = {};
   if (active !== undefined) params.active = String(active);
   if (classId) params.classId = String(classId);
+  if (classId && asOf) params.asOf = String(asOf);
 
   const { data } = await api.get("/api/students", { params });
   return Array.isArray(data) ? data : [];
@@ -52,6 +54,193 @@ export async function deactivateStudent(id) {
   return data;
 }
 
+// --------------------
+// Enrollment history + exits
+// --------------------
+export async function getStudentHistory(id) {
+  const { data } = await api.get(`/api/students/${id}/history`);
+  return data; // { enrollments, exits }
+}
+
+export async function getStudentClearance(id) {
+  const { data } = await api.get(`/api/students/${id}/clearance`);
+  return data; // { balance, creditBalance, cleared }
+}
+
+// payload: { type, exitDate, reason, destinationSchool, allowBalance }
+export async function recordStudentExit(id, payload) {
+  const { data } = await api.post(`/api/students/${id}/exit`, payload);
+  return data;
+}
+
+export async function openLeavingCertificatePdf(studentId, exitId) {
+  const res = await api.get(`/api/students/${studentId}/exits/${exitId}/certificate.pdf`, {
+    responseType: "blob",
+  });
+
+  const file = new Blob([res.data], { type: "application/pdf" });
+  const url = URL.createObjectURL(file);
+  window.open(url, "_blank");
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
+}
+
+/**
+ * ID cards (PDF) for a class ({ classId }) or a selection ({ studentIds }), opened in a new tab.
+ * Validation errors come back as a blob; they are unpacked so callers can read response.data.message.
+ */
+export async function openStudentIdCardsPdf({ classId, studentIds, expiryYear } = {}) {
+  let res;
+  try {
+    res = await api.post(
+      "/api/students/id-cards",
+      { classId: classId || undefined, studentIds: studentIds?.length ? studentIds : undefined, expiryYear },
+      { responseType: "blob" }
+    );
+  } catch (err) {
+    if (err?.response?.data instanceof Blob) {
+      try {
+        err.response.data = JSON.parse(await err.response.data.text());
+      } catch {
+        // not JSON: leave as is
+      }
+    }
+    throw err;
+  }
+
+  const file = new Blob([res.data], { type: "application/pdf" });
+  const url = URL.createObjectURL(file);
+  window.open(url, "_blank");
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
+}
+
+// --------------------
+// Documents + photo (files are only reachable through these authenticated routes)
+// --------------------
+export async function listStudentDocuments(studentId) {
+  const { data } = await api.get(`/api/students/${studentId}/documents`);
+  return Array.isArray(data?.data) ? data.data : [];
+}
+
+// type: PHOTO | BIRTH_CERTIFICATE | TRANSFER_LETTER | MEDICAL_FORM | OTHER
+export async function uploadStudentDocument(studentId, { file, type, title }) {
+  const form = new FormData();
+  form.append("file", file);
+  form.append("type", type);
+  if (title) form.append("title", title);
+
+  const { data } = await api.post(`/api/students/${studentId}/documents`, form, {
+    headers: { "Content-Type": "multipart/form-data" },
+  });
+  return data?.data ?? null;
+}
+
+export async function deleteStudentDocument(studentId, documentId) {
+  const { data } = await api.delete(`/api/students/${studentId}/documents/${documentId}`);
+  return data?.data ?? null;
+}
+
+export async function downloadStudentDocument(studentId, doc) {
+  const res = await api.get(`/api/students/${studentId}/documents/${doc.id}/download`, {
+    responseType: "blob",
+  });
+
+  const url = URL.createObjectURL(new Blob([res.data], { type: doc.mimeType }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = doc.fileName || "document";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Photo as a Blob, or null when none is on file
+export async function getStudentPhoto(studentId) {
+  try {
+    const res = await api.get(`/api/students/${studentId}/documents/photo`, { responseType: "blob" });
+    return res.data;
+  } catch (err) {
+    if (err?.response?.status === 404) return null;
+    throw err;
+  }
+}
+
+// --------------------
+// Guardians
+// --------------------
+export async function listStudentGuardians(studentId) {
+  const { data } = await api.get(`/api/students/${studentId}/guardians`);
+  return Array.isArray(data) ? data : [];
+}
+
+// payload: guardian fields for a new person, or { guardianId } to link an existing one
+export async function addStudentGuardian(studentId, payload) {
+  const { data } = await api.post(`/api/students/${studentId}/guardians`, payload);
+  return data;
+}
+
+export async function updateStudentGuardian(studentId, guardianId, payload) {
+  const { data } = await api.patch(`/api/students/${studentId}/guardians/${guardianId}`, payload);
+  return data;
+}
+
+export async function removeStudentGuardian(studentId, guardianId) {
+  const { data } = await api.delete(`/api/students/${studentId}/guardians/${guardianId}`);
+  return data;
+}
+
+export async function listStudentSiblings(studentId) {
+  const { data } = await api.get(`/api/students/${studentId}/siblings`);
+  return Array.isArray(data) ? data : [];
+}
+
+export async function searchGuardians(q) {
+  const { data } = await api.get("/api/students/guardians/search", { params: { q } });
+  return Array.isArray(data) ? data : [];
+}
+
+// --------------------
+// Bulk import (CSV / XLSX)
+// --------------------
+// dryRun: validate every row (preview), nothing saved
+export async function importStudents({ file, mapping, dryRun = false }) {
+  const form = new FormData();
+  form.append("file", file);
+  if (mapping) form.append("mapping", JSON.stringify(mapping));
+  form.append("dryRun", dryRun ? "true" : "false");
+
+  const { data } = await api.post("/api/students/import", form, {
+    headers: { "Content-Type": "multipart/form-data" },
+  });
+  return data?.data ?? null;
+}
+
+export async function listStudentImports() {
+  const { data } = await api.get("/api/students/import");
+  return Array.isArray(data?.data) ? data.data : [];
+}
+
+export async function getStudentImport(id) {
+  const { data } = await api.get(`/api/students/import/${id}`);
+  return data?.data ?? null;
+}
+
+export async function downloadStudentImportTemplate(format = "csv") {
+  const res = await api.get("/api/students/import/template", {
+    params: { format },
+    responseType: "blob",
+  });
+
+  const url = URL.createObjectURL(new Blob([res.data], { type: res.headers?.["content-type"] || undefined }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `student-import-template.${format}`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
 // --------------------
 // Class Teachers (TEMP approach)
 // --------------------
@@ -67,3 +256,16 @@ export async function getTeacherAssignedClasses(teacherId) {
   const rows = await listClassTeachers();
   return rows.filter((r) => String(r.teacherId) === String(teacherId));
 }
+
+// --------------------
+// Medical profile (restricted; the server logs every read)
+// --------------------
+export async function getStudentMedical(studentId) {
+  const { data } = await api.get(`/api/students/${studentId}/medical`);
+  return data?.data;
+}
+
+export async function updateStudentMedical(studentId, payload) {
+  const { data } = await api.put(`/api/students/${studentId}/medical`, payload);
+  return data?.data;
+}
@@ -19,3 +19,73 @@ export function toStudentPayload(values) {
     classId: values.classId ? values.classId : null,
   };
 }
+
+export const GUARDIAN_RELATIONSHIPS = [
+  "MOTHER",
+  "FATHER",
+  "GUARDIAN",
+  "GRANDPARENT",
+  "SIBLING",
+  "SPONSOR",
+  "OTHER",
+];
+
+// why a student left (StudentExit.type)
+export const EXIT_TYPES = [
+  { value: "TRANSFERRED_OUT", label: "Transferred out" },
+  { value: "WITHDRAWN", label: "Withdrawn" },
+  { value: "EXPELLED", label: "Expelled" },
+  { value: "GRADUATED", label: "Graduated" },
+  { value: "DECEASED", label: "Deceased" },
+];
+
+export const DOCUMENT_TYPES = [
+  { value: "PHOTO", label: "Passport photo" },
+  { value: "BIRTH_CERTIFICATE", label: "Birth certificate" },
+  { value: "TRANSFER_LETTER", label: "Transfer letter" },
+  { value: "MEDICAL_FORM", label: "Medical form" },
+  { value: "OTHER", label: "Other" },
+];
+
+const optionalStr = z.string().trim().optional().or(z.literal(""));
+
+export const guardianSchema = z
+  .object({
+    firstName: z.string().trim().min(1, "First name is required"),
+    lastName: z.string().trim().min(1, "Last name is required"),
+    relationship: z.enum(GUARDIAN_RELATIONSHIPS),
+    phone: optionalStr,
+    altPhone: optionalStr,
+    email: z.string().trim().email("Invalid email").optional().or(z.literal("")),
+    nationalId: optionalStr,
+    address: optionalStr,
+    isPrimary: z.boolean(),
+    isFeePayer: z.boolean(),
+  })
+  .refine((v) => v.phone || v.email, {
+    message: "Give a phone number or an email",
+    path: ["phone"],
+  });
+
+export function toGuardianPayload(values) {
+  const orNull = (v) => (v && v.trim() ? v.trim() : null);
+  return {
+    firstName: values.firstName.trim(),
+    lastName: values.lastName.trim(),
+    relationship: values.relationship,
+    phone: orNull(values.phone),
+    altPhone: orNull(values.altPhone),
+    email: orNull(values.email),
+    nationalId: orNull(values.nationalId),
+    address: orNull(values.address),
+    isPrimary: values.isPrimary,
+    isFeePayer: values.isFeePayer,
+  };
+}
+
+// --------------------
+// Medical profile
+// --------------------
+export const BLOOD_GROUPS = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+
+export const MAX_EMERGENCY_CONTACTS = 5;
@@ -45,11 +45,13 @@ function getPageTitle(pathname) {
   if (pathname.includes("/app/classes")) return "Classes";
   if (pathname.includes("/app/teachers")) return "Teachers";
   if (pathname.includes("/app/attendance")) return "Attendance";
+  if (pathname.includes("/app/discipline")) return "Discipline";
   if (pathname.includes("/app/exams")) return "Exams";
   if (pathname.includes("/app/results")) return "Results";
   if (pathname.includes("/app/fees")) return "Fees";
   if (pathname.includes("/app/reports")) return "Reports";
   if (pathname.includes("/app/settings")) return "Settings";
+  if (pathname.includes("/app/children")) return "My Children";
   return "SMS";
 }
 
@@ -86,6 +88,10 @@ export default function AppShell() {
 
   const title = useMemo(() => getPageTitle(location.pathname), [location.pathname]);
 
+  // Parent portal: the child in the URL drives every page under /app/children
+  const children = role === "GUARDIAN" && Array.isArray(user?.children) ? user.children : [];
+  const activeChildId = location.pathname.match(/^\/app\/children\/([^/]+)/)?.[1] || "";
+
   const logout = () => {
     doLogout();
     navigate("/auth/login", { replace: true });
@@ -118,6 +124,11 @@ export default function AppShell() {
     return <Navigate to="/auth/change-password" replace />;
   }
 
+  // GUARDIAN has no staff dashboard; the portal is their home
+  if (role === "GUARDIAN" && location.pathname === "/app/dashboard") {
+    return <Navigate to="/app/children" replace />;
+  }
+
   // SYSTEM_ADMIN must choose a school context before entering /app
   if (role === "SYSTEM_ADMIN" && !effectiveSchoolId) {
     if (location.pathname !== "/select-school") {
@@ -170,6 +181,13 @@ export default function AppShell() {
                   />
                 </div>
                 <div className="text-base font-semibold">{title}</div>
+                {children.length > 0 && (
+                  <ChildSwitcher
+                    items={children}
+                    value={activeChildId}
+                    onChange={(id) => navigate(`/app/children/${id}`)}
+                  />
+                )}
               </div>
 
               <div className="flex items-center gap-2">
@@ -200,6 +218,28 @@ export default function AppShell() {
   );
 }
 
+/* =========================
+   Child Switcher (GUARDIAN)
+========================= */
+
+function ChildSwitcher({ items, value, onChange }) {
+  return (
+    <select
+      className="h-8 max-w-[180px] rounded-md border bg-background px-2 text-sm"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label="Select child"
+    >
+      {!value && <option value="">Select child…</option>}
+      {items.map((c) => (
+        <option key={c.id} value={c.id}>
+          {`${c.firstName} ${c.lastName}`.trim()}
+        </option>
+      ))}
+    </select>
+  );
+}
+
 /* =========================
    Nav Item
 ========================= */
@@ -459,6 +459,25 @@ export default function Dashboard() {
             </Card>
           </div>
 
+          {/* Voids / reversals waiting for a second admin */}
+          {canFees && Number(fees?.pendingApprovals || 0) > 0 && (
+            <Card className="border-amber-300">
+              <CardContent className="p-4 flex items-center justify-between gap-3">
+                <div>
+                  <div className="font-medium">
+                    {fees.pendingApprovals} fee approval request{fees.pendingApprovals === 1 ? "" : "s"} pending
+                  </div>
+                  <div className="text-xs text-muted-foreground mt-1">
+                    Invoice voids and payment reversals wait for an admin before they take effect.
+                  </div>
+                </div>
+                <Button asChild size="sm" variant="outline">
+                  <Link to="/app/fees">Review</Link>
+                </Button>
+              </CardContent>
+            </Card>
+          )}
+
           {/* Current Plan Panel for tenant users */}
           {!isGovOnly && <CurrentPlanPanel compact />}
 
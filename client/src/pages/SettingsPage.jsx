@@ -21,6 +21,7 @@ import SubscriptionLimitsTab from "@/features/settings/subs/SubscriptionLimitsTa
 import BackupsRestoreTab from "@/features/settings/backup/BackupsRestoreTab.jsx";
 import AuditLogsTab from "@/features/settings/logs/AuditLogsTab.jsx";
 import BrandingPrintTab from "@/features/settings/branding/BrandingPrintTab.jsx";
+import GradingSettingsTab from "@/features/settings/grading/GradingSettingsTab.jsx";
 
 const ALL_TABS = [
   { key: "general", label: "General" },
@@ -31,6 +32,7 @@ const ALL_TABS = [
   { key: "backup", label: "Backups" },
   { key: "logs", label: "Logs" },
   { key: "branding", label: "Branding" },
+  { key: "grading", label: "Grading" },
 ];
 
 // Tabs that are platform-only (SYSTEM_ADMIN-only)
@@ -71,6 +73,8 @@ function getTabPolicy(tabKey, caps, ctx) {
         return !!caps.canManageSubscriptions;
       case "logs":
         return !!caps.canViewAuditLogs;
+      case "grading":
+        return !!caps.canManageGrading;
       default:
         return true;
     }
@@ -213,6 +217,8 @@ export default function SettingsPage() {
         return <AuditLogsTab />;
       case "branding":
         return <BrandingPrintTab />;
+      case "grading":
+        return <GradingSettingsTab />;
       default:
         return <div className="text-sm text-muted-foreground">Select a tab above.</div>;
     }
@@ -24,13 +24,23 @@ import examsRoutes from "./src/modules/exams/exams.routes.js";
 import feesRoutes from "./src/routes/fees.js";
 import reportsRoutes from "./src/modules/reports/reports.routes.js";
 import dashboardRoutes from "./src/modules/dashboard/dashboard.routes.js";
+import mpesaRoutes, { callbackRouter as mpesaCallbackRoutes } from "./src/modules/mpesa/mpesa.routes.js";
+import { CALLBACK_MOUNT as MPESA_CALLBACK_MOUNT } from "./src/modules/mpesa/mpesa.service.js";
+import reconciliationRoutes from "./src/modules/reconciliation/reconciliation.routes.js";
+import cashierRoutes from "./src/modules/cashier/cashier.routes.js";
+import studentImportRoutes from "./src/modules/imports/imports.routes.js";
+import studentDocumentRoutes from "./src/modules/documents/documents.routes.js";
+import studentIdCardRoutes from "./src/modules/idcards/idcards.routes.js";
+import studentMedicalRoutes from "./src/modules/medical/medical.routes.js";
+import promotionRoutes from "./src/modules/promotions/promotions.routes.js";
+import disciplineRoutes from "./src/modules/discipline/discipline.routes.js";
 
 // Platform control plane (SYSTEM_ADMIN)
 import schoolsRoutes from "./src/routes/schools.js";
 import usersRoutes from "./src/routes/users.js";
 
 import { requireAuth } from "./src/middleware/auth.js";
-import { tenantContext } from "./src/middleware/tenant.js";
+import { tenantContext, hasMedicalAccess } from "./src/middleware/tenant.js";
 
 dotenv.config();
 
@@ -79,14 +89,24 @@ app.use(
   })
 );
 
-app.use(express.json({ limit: "1mb" }));
+app.use(
+  express.json({
+    limit: "1mb",
+    // M-Pesa callback signatures are computed over the exact bytes received
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith(MPESA_CALLBACK_MOUNT)) req.rawBody = buf;
+    },
+  })
+);
 
 // ---- Dev request logger ----
 app.use((req, res, next) => {
   const start = Date.now();
   res.on("finish", () => {
     const ms = Date.now() - start;
-    console.log(`${req.method} ${req.originalUrl} ${res.statusCode} - ${ms}ms`);
+    // callback URLs carry the school's shared secret in ?key=
+    const url = req.originalUrl.startsWith(MPESA_CALLBACK_MOUNT) ? req.originalUrl.split("?")[0] : req.originalUrl;
+    console.log(`${req.method} ${url} ${res.statusCode} - ${ms}ms`);
   });
   next();
 });
@@ -105,6 +125,9 @@ app.disable("etag");
 // ===============================
 app.use("/api/auth", authRoutes);
 
+// M-Pesa (Daraja) callbacks: authenticated by per-school shared secret, not JWT
+app.use(MPESA_CALLBACK_MOUNT, mpesaCallbackRoutes);
+
 // ===============================
 // PLATFORM ROUTES (SYSTEM_ADMIN)
 // ===============================
@@ -120,8 +143,14 @@ app.use("/api/users", usersRoutes);
 app.use("/api", requireAuth, tenantContext);
 
 // Core
+app.use("/api/students/import", studentImportRoutes); // before /api/students so "/import" is not read as an :id
+app.use("/api/students/id-cards", studentIdCardRoutes);
+app.use("/api/students/:studentId/documents", studentDocumentRoutes);
+app.use("/api/students/:studentId/medical", studentMedicalRoutes);
 app.use("/api/students", studentRoutes);
 app.use("/api/classes", classRoutes);
+app.use("/api/promotions", promotionRoutes);
+app.use("/api/discipline", disciplineRoutes);
 app.use("/api/teachers", teacherRoutes);
 app.use("/api/settings", settingsRoutes);
 app.use("/api/subjects", subjectRoutes);
@@ -132,6 +161,9 @@ app.use("/api/class-teachers", classTeacherRoutes);
 app.use("/api/attendance", attendanceRoutes);
 app.use("/api/exams", examsRoutes);
 app.use("/api/fees", feesRoutes);
+app.use("/api/mpesa", mpesaRoutes);
+app.use("/api/reconciliation", reconciliationRoutes);
+app.use("/api/cashier", cashierRoutes);
 
 app.use("/api/reports", reportsRoutes);
 app.use("/api/dashboard", dashboardRoutes);
@@ -167,6 +199,23 @@ app.get("/api/me", async (req, res) => {
       });
     }
 
+    // Parent portal: the children a guardian can switch between
+    let childrenRows = [];
+    if (req.role === "GUARDIAN" && req.childStudentIds?.length) {
+      childrenRows = await prisma.student.findMany({
+        where: { id: { in: req.childStudentIds }, schoolId: req.schoolId },
+        orderBy: [{ firstName: "asc" }, { lastName: "asc" }],
+        select: {
+          id: true,
+          admissionNo: true,
+          firstName: true,
+          lastName: true,
+          isActive: true,
+          class: { select: { id: true, name: true, stream: true } },
+        },
+      });
+    }
+
     return res.json({
       user: {
         ...base,
@@ -174,6 +223,7 @@ app.get("/api/me", async (req, res) => {
         email: req.userEmail,
         schoolId: req.schoolId,
         school: schoolRow,
+        medicalAccess: hasMedicalAccess(req),
         teacher: teacherRow
           ? {
               id: teacherRow.id,
@@ -187,6 +237,7 @@ app.get("/api/me", async (req, res) => {
               admissionNo: studentRow.admissionNo,
             }
           : null,
+        ...(req.role === "GUARDIAN" ? { children: childrenRows } : {}),
       },
     });
   } catch (err) {
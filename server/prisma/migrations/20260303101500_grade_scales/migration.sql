@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "SchoolSettings" ADD COLUMN     "defaultGradeScaleId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Subject" ADD COLUMN     "gradeScaleId" TEXT;
+
+-- AlterTable
+ALTER TABLE "StudentResult" ADD COLUMN     "meanPoints" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "SubjectResult" ADD COLUMN     "points" DOUBLE PRECISION;
+
+-- AddForeignKey
+ALTER TABLE "SchoolSettings" ADD CONSTRAINT "SchoolSettings_defaultGradeScaleId_fkey" FOREIGN KEY ("defaultGradeScaleId") REFERENCES "GradeScale"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Subject" ADD CONSTRAINT "Subject_gradeScaleId_fkey" FOREIGN KEY ("gradeScaleId") REFERENCES "GradeScale"("id") ON DELETE SET NULL ON UPDATE CASCADE;
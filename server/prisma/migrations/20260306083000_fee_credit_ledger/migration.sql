@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "FeeCreditEntryType" AS ENUM ('OVERPAYMENT', 'APPLIED', 'UNAPPLIED', 'REVERSAL');
+
+-- AlterTable
+ALTER TABLE "FeeInvoice" ADD COLUMN     "creditApplied" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "FeePayment" ADD COLUMN     "creditAmount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "FeeCreditEntry" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "type" "FeeCreditEntryType" NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "paymentId" TEXT,
+    "invoiceId" TEXT,
+    "note" TEXT,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FeeCreditEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FeeCreditEntry_schoolId_studentId_createdAt_idx" ON "FeeCreditEntry"("schoolId", "studentId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "FeeCreditEntry_schoolId_paymentId_idx" ON "FeeCreditEntry"("schoolId", "paymentId");
+
+-- CreateIndex
+CREATE INDEX "FeeCreditEntry_schoolId_invoiceId_idx" ON "FeeCreditEntry"("schoolId", "invoiceId");
+
+-- AddForeignKey
+ALTER TABLE "FeeCreditEntry" ADD CONSTRAINT "FeeCreditEntry_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FeeCreditEntry" ADD CONSTRAINT "FeeCreditEntry_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "FeePayment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FeeCreditEntry" ADD CONSTRAINT "FeeCreditEntry_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "FeeInvoice"("id") ON DELETE SET NULL ON UPDATE CASCADE;
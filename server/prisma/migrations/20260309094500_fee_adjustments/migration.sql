@@ -0,0 +1,98 @@
+-- CreateEnum
+CREATE TYPE "FeeAdjustmentType" AS ENUM ('DISCOUNT', 'BURSARY', 'WAIVER', 'CHARGE');
+
+-- CreateTable
+CREATE TABLE "FeeInvoiceAdjustment" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "invoiceId" TEXT NOT NULL,
+    "type" "FeeAdjustmentType" NOT NULL,
+    "feeItemId" TEXT,
+    "percent" DOUBLE PRECISION,
+    "amount" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "sponsor" TEXT,
+    "discountPolicyId" TEXT,
+    "isReversed" BOOLEAN NOT NULL DEFAULT false,
+    "reversedAt" TIMESTAMP(3),
+    "reversedBy" TEXT,
+    "reversalReason" TEXT,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FeeInvoiceAdjustment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "FeeDiscountPolicy" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "percent" DOUBLE PRECISION,
+    "amount" INTEGER,
+    "feeItemId" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FeeDiscountPolicy_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StudentFeeDiscount" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "policyId" TEXT NOT NULL,
+    "note" TEXT,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StudentFeeDiscount_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FeeInvoiceAdjustment_schoolId_invoiceId_idx" ON "FeeInvoiceAdjustment"("schoolId", "invoiceId");
+
+-- CreateIndex
+CREATE INDEX "FeeInvoiceAdjustment_schoolId_type_createdAt_idx" ON "FeeInvoiceAdjustment"("schoolId", "type", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "FeeDiscountPolicy_schoolId_isActive_idx" ON "FeeDiscountPolicy"("schoolId", "isActive");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeeDiscountPolicy_schoolId_name_key" ON "FeeDiscountPolicy"("schoolId", "name");
+
+-- CreateIndex
+CREATE INDEX "StudentFeeDiscount_schoolId_studentId_idx" ON "StudentFeeDiscount"("schoolId", "studentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StudentFeeDiscount_studentId_policyId_key" ON "StudentFeeDiscount"("studentId", "policyId");
+
+-- AddForeignKey
+ALTER TABLE "FeeInvoiceAdjustment" ADD CONSTRAINT "FeeInvoiceAdjustment_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FeeInvoiceAdjustment" ADD CONSTRAINT "FeeInvoiceAdjustment_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "FeeInvoice"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FeeInvoiceAdjustment" ADD CONSTRAINT "FeeInvoiceAdjustment_feeItemId_fkey" FOREIGN KEY ("feeItemId") REFERENCES "FeeItem"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FeeInvoiceAdjustment" ADD CONSTRAINT "FeeInvoiceAdjustment_discountPolicyId_fkey" FOREIGN KEY ("discountPolicyId") REFERENCES "FeeDiscountPolicy"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FeeDiscountPolicy" ADD CONSTRAINT "FeeDiscountPolicy_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FeeDiscountPolicy" ADD CONSTRAINT "FeeDiscountPolicy_feeItemId_fkey" FOREIGN KEY ("feeItemId") REFERENCES "FeeItem"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StudentFeeDiscount" ADD CONSTRAINT "StudentFeeDiscount_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StudentFeeDiscount" ADD CONSTRAINT "StudentFeeDiscount_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StudentFeeDiscount" ADD CONSTRAINT "StudentFeeDiscount_policyId_fkey" FOREIGN KEY ("policyId") REFERENCES "FeeDiscountPolicy"("id") ON DELETE CASCADE ON UPDATE CASCADE;
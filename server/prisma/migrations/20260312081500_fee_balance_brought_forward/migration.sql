@@ -0,0 +1,16 @@
+-- AlterEnum
+ALTER TYPE "InvoiceStatus" ADD VALUE 'CARRIED_FORWARD';
+
+-- AlterTable
+ALTER TABLE "FeeInvoice" ADD COLUMN     "broughtForward" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "carriedForward" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "carriedToInvoiceId" TEXT;
+
+-- AlterTable
+ALTER TABLE "FeeInvoiceLine" ADD COLUMN     "isBroughtForward" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "FeeInvoice_carriedToInvoiceId_idx" ON "FeeInvoice"("carriedToInvoiceId");
+
+-- AddForeignKey
+ALTER TABLE "FeeInvoice" ADD CONSTRAINT "FeeInvoice_carriedToInvoiceId_fkey" FOREIGN KEY ("carriedToInvoiceId") REFERENCES "FeeInvoice"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "DocumentKind" AS ENUM ('INVOICE', 'RECEIPT');
+
+-- AlterTable
+ALTER TABLE "SchoolSettings" ADD COLUMN     "invoiceNoPrefix" TEXT NOT NULL DEFAULT 'INV',
+ADD COLUMN     "receiptNoPrefix" TEXT NOT NULL DEFAULT 'RCPT',
+ADD COLUMN     "docNoIncludeYear" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "docNoPadding" INTEGER NOT NULL DEFAULT 5;
+
+-- AlterTable
+ALTER TABLE "FeeInvoice" ADD COLUMN     "legacyInvoiceNo" TEXT;
+
+-- AlterTable
+ALTER TABLE "FeePayment" ADD COLUMN     "legacyReceiptNo" TEXT;
+
+-- CreateTable
+CREATE TABLE "DocumentCounter" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "kind" "DocumentKind" NOT NULL,
+    "year" INTEGER NOT NULL,
+    "lastNumber" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DocumentCounter_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DocumentCounter_schoolId_kind_year_key" ON "DocumentCounter"("schoolId", "kind", "year");
+
+-- AddForeignKey
+ALTER TABLE "DocumentCounter" ADD CONSTRAINT "DocumentCounter_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,105 @@
+-- CreateEnum
+CREATE TYPE "MpesaEnvironment" AS ENUM ('SANDBOX', 'PRODUCTION');
+
+-- CreateEnum
+CREATE TYPE "MpesaSource" AS ENUM ('C2B', 'STK');
+
+-- CreateEnum
+CREATE TYPE "MpesaTxnStatus" AS ENUM ('POSTED', 'SUSPENSE', 'RESOLVED', 'IGNORED');
+
+-- CreateEnum
+CREATE TYPE "MpesaStkStatus" AS ENUM ('PENDING', 'SUCCESS', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "MpesaConfig" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "environment" "MpesaEnvironment" NOT NULL DEFAULT 'SANDBOX',
+    "shortCode" TEXT NOT NULL,
+    "passkey" TEXT,
+    "consumerKey" TEXT NOT NULL,
+    "consumerSecret" TEXT NOT NULL,
+    "callbackSecret" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MpesaConfig_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "MpesaTransaction" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "source" "MpesaSource" NOT NULL,
+    "transCode" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "msisdn" TEXT,
+    "payerName" TEXT,
+    "accountRef" TEXT,
+    "transTime" TIMESTAMP(3),
+    "status" "MpesaTxnStatus" NOT NULL,
+    "reason" TEXT,
+    "invoiceId" TEXT,
+    "paymentId" TEXT,
+    "raw" JSONB,
+    "resolvedBy" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MpesaTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "MpesaStkRequest" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "invoiceId" TEXT NOT NULL,
+    "phone" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "merchantRequestId" TEXT,
+    "checkoutRequestId" TEXT NOT NULL,
+    "status" "MpesaStkStatus" NOT NULL DEFAULT 'PENDING',
+    "resultCode" INTEGER,
+    "resultDesc" TEXT,
+    "transCode" TEXT,
+    "requestedBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MpesaStkRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MpesaConfig_schoolId_key" ON "MpesaConfig"("schoolId");
+
+-- CreateIndex
+CREATE INDEX "MpesaTransaction_schoolId_status_createdAt_idx" ON "MpesaTransaction"("schoolId", "status", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MpesaTransaction_schoolId_transCode_key" ON "MpesaTransaction"("schoolId", "transCode");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MpesaStkRequest_checkoutRequestId_key" ON "MpesaStkRequest"("checkoutRequestId");
+
+-- CreateIndex
+CREATE INDEX "MpesaStkRequest_schoolId_invoiceId_idx" ON "MpesaStkRequest"("schoolId", "invoiceId");
+
+-- AddForeignKey
+ALTER TABLE "MpesaConfig" ADD CONSTRAINT "MpesaConfig_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MpesaTransaction" ADD CONSTRAINT "MpesaTransaction_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MpesaTransaction" ADD CONSTRAINT "MpesaTransaction_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "FeeInvoice"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MpesaTransaction" ADD CONSTRAINT "MpesaTransaction_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "FeePayment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MpesaStkRequest" ADD CONSTRAINT "MpesaStkRequest_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MpesaStkRequest" ADD CONSTRAINT "MpesaStkRequest_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "FeeInvoice"("id") ON DELETE CASCADE ON UPDATE CASCADE;
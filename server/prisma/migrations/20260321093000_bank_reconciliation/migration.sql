@@ -0,0 +1,133 @@
+-- CreateEnum
+CREATE TYPE "BankLineStatus" AS ENUM ('UNMATCHED', 'SUGGESTED', 'DUPLICATE', 'POSTED', 'RECONCILED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "BankStatementMapping" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "delimiter" TEXT NOT NULL DEFAULT ',',
+    "headerRow" INTEGER NOT NULL DEFAULT 1,
+    "dateColumn" TEXT NOT NULL,
+    "dateFormat" TEXT NOT NULL DEFAULT 'DD/MM/YYYY',
+    "referenceColumn" TEXT NOT NULL,
+    "descriptionColumn" TEXT,
+    "amountColumn" TEXT,
+    "creditColumn" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BankStatementMapping_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BankStatement" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "mappingId" TEXT,
+    "fileName" TEXT NOT NULL,
+    "fileHash" TEXT NOT NULL,
+    "bankName" TEXT,
+    "periodFrom" TIMESTAMP(3),
+    "periodTo" TIMESTAMP(3),
+    "lineCount" INTEGER NOT NULL DEFAULT 0,
+    "skippedRows" INTEGER NOT NULL DEFAULT 0,
+    "totalCredits" INTEGER NOT NULL DEFAULT 0,
+    "uploadedBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BankStatement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BankStatementLine" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "statementId" TEXT NOT NULL,
+    "rowNo" INTEGER NOT NULL,
+    "txnDate" TIMESTAMP(3) NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "reference" TEXT,
+    "description" TEXT,
+    "fingerprint" TEXT NOT NULL,
+    "status" "BankLineStatus" NOT NULL,
+    "matchReason" TEXT,
+    "suggestedInvoiceId" TEXT,
+    "matchedPaymentId" TEXT,
+    "duplicateOfId" TEXT,
+    "rejectReason" TEXT,
+    "reviewedBy" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "raw" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BankStatementLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BankLineAllocation" (
+    "id" TEXT NOT NULL,
+    "lineId" TEXT NOT NULL,
+    "invoiceId" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "paymentId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BankLineAllocation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BankStatementMapping_schoolId_name_key" ON "BankStatementMapping"("schoolId", "name");
+
+-- CreateIndex
+CREATE INDEX "BankStatement_schoolId_createdAt_idx" ON "BankStatement"("schoolId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BankStatement_schoolId_fileHash_key" ON "BankStatement"("schoolId", "fileHash");
+
+-- CreateIndex
+CREATE INDEX "BankStatementLine_schoolId_fingerprint_idx" ON "BankStatementLine"("schoolId", "fingerprint");
+
+-- CreateIndex
+CREATE INDEX "BankStatementLine_statementId_status_idx" ON "BankStatementLine"("statementId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BankLineAllocation_paymentId_key" ON "BankLineAllocation"("paymentId");
+
+-- CreateIndex
+CREATE INDEX "BankLineAllocation_lineId_idx" ON "BankLineAllocation"("lineId");
+
+-- AddForeignKey
+ALTER TABLE "BankStatementMapping" ADD CONSTRAINT "BankStatementMapping_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankStatement" ADD CONSTRAINT "BankStatement_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankStatement" ADD CONSTRAINT "BankStatement_mappingId_fkey" FOREIGN KEY ("mappingId") REFERENCES "BankStatementMapping"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankStatementLine" ADD CONSTRAINT "BankStatementLine_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankStatementLine" ADD CONSTRAINT "BankStatementLine_statementId_fkey" FOREIGN KEY ("statementId") REFERENCES "BankStatement"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankStatementLine" ADD CONSTRAINT "BankStatementLine_suggestedInvoiceId_fkey" FOREIGN KEY ("suggestedInvoiceId") REFERENCES "FeeInvoice"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankStatementLine" ADD CONSTRAINT "BankStatementLine_matchedPaymentId_fkey" FOREIGN KEY ("matchedPaymentId") REFERENCES "FeePayment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankStatementLine" ADD CONSTRAINT "BankStatementLine_duplicateOfId_fkey" FOREIGN KEY ("duplicateOfId") REFERENCES "BankStatementLine"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankLineAllocation" ADD CONSTRAINT "BankLineAllocation_lineId_fkey" FOREIGN KEY ("lineId") REFERENCES "BankStatementLine"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankLineAllocation" ADD CONSTRAINT "BankLineAllocation_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "FeeInvoice"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankLineAllocation" ADD CONSTRAINT "BankLineAllocation_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "FeePayment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "FeePlanInstallment" (
+    "id" TEXT NOT NULL,
+    "feePlanId" TEXT NOT NULL,
+    "seq" INTEGER NOT NULL,
+    "label" TEXT,
+    "dueDate" TIMESTAMP(3) NOT NULL,
+    "percent" INTEGER NOT NULL,
+
+    CONSTRAINT "FeePlanInstallment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "FeeInvoiceInstallment" (
+    "id" TEXT NOT NULL,
+    "invoiceId" TEXT NOT NULL,
+    "seq" INTEGER NOT NULL,
+    "label" TEXT,
+    "dueDate" TIMESTAMP(3) NOT NULL,
+    "percent" INTEGER NOT NULL,
+
+    CONSTRAINT "FeeInvoiceInstallment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeePlanInstallment_feePlanId_seq_key" ON "FeePlanInstallment"("feePlanId", "seq");
+
+-- CreateIndex
+CREATE INDEX "FeeInvoiceInstallment_dueDate_idx" ON "FeeInvoiceInstallment"("dueDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeeInvoiceInstallment_invoiceId_seq_key" ON "FeeInvoiceInstallment"("invoiceId", "seq");
+
+-- AddForeignKey
+ALTER TABLE "FeePlanInstallment" ADD CONSTRAINT "FeePlanInstallment_feePlanId_fkey" FOREIGN KEY ("feePlanId") REFERENCES "FeePlan"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FeeInvoiceInstallment" ADD CONSTRAINT "FeeInvoiceInstallment_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "FeeInvoice"("id") ON DELETE CASCADE ON UPDATE CASCADE;
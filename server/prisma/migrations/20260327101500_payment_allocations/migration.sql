@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "FeeItem" ADD COLUMN     "allocationPriority" INTEGER NOT NULL DEFAULT 100;
+
+-- CreateTable
+CREATE TABLE "FeePaymentAllocation" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "paymentId" TEXT NOT NULL,
+    "invoiceId" TEXT NOT NULL,
+    "feeItemId" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FeePaymentAllocation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FeePaymentAllocation_schoolId_feeItemId_idx" ON "FeePaymentAllocation"("schoolId", "feeItemId");
+
+-- CreateIndex
+CREATE INDEX "FeePaymentAllocation_invoiceId_idx" ON "FeePaymentAllocation"("invoiceId");
+
+-- CreateIndex
+CREATE INDEX "FeePaymentAllocation_paymentId_idx" ON "FeePaymentAllocation"("paymentId");
+
+-- AddForeignKey
+ALTER TABLE "FeePaymentAllocation" ADD CONSTRAINT "FeePaymentAllocation_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FeePaymentAllocation" ADD CONSTRAINT "FeePaymentAllocation_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "FeePayment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FeePaymentAllocation" ADD CONSTRAINT "FeePaymentAllocation_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "FeeInvoice"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FeePaymentAllocation" ADD CONSTRAINT "FeePaymentAllocation_feeItemId_fkey" FOREIGN KEY ("feeItemId") REFERENCES "FeeItem"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
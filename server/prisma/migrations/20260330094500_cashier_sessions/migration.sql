@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "CashierSessionStatus" AS ENUM ('OPEN', 'CLOSED');
+
+-- AlterTable
+ALTER TABLE "FeePayment" ADD COLUMN     "sessionId" TEXT;
+
+-- CreateTable
+CREATE TABLE "CashierSession" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "cashierId" TEXT NOT NULL,
+    "status" "CashierSessionStatus" NOT NULL DEFAULT 'OPEN',
+    "openingFloat" INTEGER NOT NULL DEFAULT 0,
+    "openedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "closedAt" TIMESTAMP(3),
+    "closedBy" TEXT,
+    "expected" JSONB,
+    "counted" JSONB,
+    "variance" INTEGER,
+    "closeNote" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CashierSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FeePayment_sessionId_idx" ON "FeePayment"("sessionId");
+
+-- CreateIndex
+CREATE INDEX "CashierSession_schoolId_status_idx" ON "CashierSession"("schoolId", "status");
+
+-- CreateIndex
+CREATE INDEX "CashierSession_schoolId_cashierId_openedAt_idx" ON "CashierSession"("schoolId", "cashierId", "openedAt");
+
+-- AddForeignKey
+ALTER TABLE "FeePayment" ADD CONSTRAINT "FeePayment_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "CashierSession"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CashierSession" ADD CONSTRAINT "CashierSession_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
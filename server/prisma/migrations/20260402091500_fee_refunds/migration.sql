@@ -0,0 +1,55 @@
+-- AlterEnum
+ALTER TYPE "FeeCreditEntryType" ADD VALUE 'REFUND';
+
+-- AlterEnum
+ALTER TYPE "DocumentKind" ADD VALUE 'REFUND';
+
+-- CreateEnum
+CREATE TYPE "FeeRefundStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "FeeCreditEntry" ADD COLUMN     "refundId" TEXT;
+
+-- CreateTable
+CREATE TABLE "FeeRefund" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "method" "PaymentMethod" NOT NULL,
+    "reference" TEXT,
+    "reason" TEXT NOT NULL,
+    "status" "FeeRefundStatus" NOT NULL DEFAULT 'PENDING',
+    "voucherNo" TEXT,
+    "requestedBy" TEXT,
+    "approvedBy" TEXT,
+    "approvedAt" TIMESTAMP(3),
+    "rejectedBy" TEXT,
+    "rejectedAt" TIMESTAMP(3),
+    "rejectReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FeeRefund_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FeeCreditEntry_refundId_idx" ON "FeeCreditEntry"("refundId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeeRefund_schoolId_voucherNo_key" ON "FeeRefund"("schoolId", "voucherNo");
+
+-- CreateIndex
+CREATE INDEX "FeeRefund_schoolId_status_idx" ON "FeeRefund"("schoolId", "status");
+
+-- CreateIndex
+CREATE INDEX "FeeRefund_schoolId_studentId_idx" ON "FeeRefund"("schoolId", "studentId");
+
+-- CreateIndex
+CREATE INDEX "FeeRefund_schoolId_approvedAt_idx" ON "FeeRefund"("schoolId", "approvedAt");
+
+-- AddForeignKey
+ALTER TABLE "FeeCreditEntry" ADD CONSTRAINT "FeeCreditEntry_refundId_fkey" FOREIGN KEY ("refundId") REFERENCES "FeeRefund"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FeeRefund" ADD CONSTRAINT "FeeRefund_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "FeeApprovalAction" AS ENUM ('VOID_INVOICE', 'REVERSE_PAYMENT');
+
+-- CreateEnum
+CREATE TYPE "FeeApprovalStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "SchoolSettings" ADD COLUMN     "approvalsApplyToAdmins" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "reversalApprovalThreshold" INTEGER DEFAULT 0,
+ADD COLUMN     "voidApprovalThreshold" INTEGER DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "FeeApprovalRequest" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "action" "FeeApprovalAction" NOT NULL,
+    "status" "FeeApprovalStatus" NOT NULL DEFAULT 'PENDING',
+    "invoiceId" TEXT,
+    "paymentId" TEXT,
+    "amount" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "requestedBy" TEXT NOT NULL,
+    "requestedRole" TEXT,
+    "decidedBy" TEXT,
+    "decidedAt" TIMESTAMP(3),
+    "decisionNote" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FeeApprovalRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FeeApprovalRequest_schoolId_status_createdAt_idx" ON "FeeApprovalRequest"("schoolId", "status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "FeeApprovalRequest_invoiceId_idx" ON "FeeApprovalRequest"("invoiceId");
+
+-- CreateIndex
+CREATE INDEX "FeeApprovalRequest_paymentId_idx" ON "FeeApprovalRequest"("paymentId");
+
+-- AddForeignKey
+ALTER TABLE "FeeApprovalRequest" ADD CONSTRAINT "FeeApprovalRequest_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FeeApprovalRequest" ADD CONSTRAINT "FeeApprovalRequest_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "FeeInvoice"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FeeApprovalRequest" ADD CONSTRAINT "FeeApprovalRequest_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "FeePayment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- AlterEnum
+ALTER TYPE "Role" ADD VALUE 'GUARDIAN';
+
+-- AlterTable
+ALTER TABLE "Guardian" ADD COLUMN "userId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Guardian_userId_key" ON "Guardian"("userId");
+
+-- AddForeignKey
+ALTER TABLE "Guardian" ADD CONSTRAINT "Guardian_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
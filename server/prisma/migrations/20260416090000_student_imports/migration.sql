@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "StudentImport" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "fileHash" TEXT NOT NULL,
+    "format" VARCHAR(10) NOT NULL,
+    "totalRows" INTEGER NOT NULL DEFAULT 0,
+    "createdCount" INTEGER NOT NULL DEFAULT 0,
+    "errorCount" INTEGER NOT NULL DEFAULT 0,
+    "columnMap" JSONB,
+    "errors" JSONB,
+    "uploadedBy" TEXT,
+    "uploadedByEmail" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StudentImport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StudentImport_schoolId_createdAt_idx" ON "StudentImport"("schoolId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "StudentImport_schoolId_fileHash_idx" ON "StudentImport"("schoolId", "fileHash");
+
+-- AddForeignKey
+ALTER TABLE "StudentImport" ADD CONSTRAINT "StudentImport_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,69 @@
+-- CreateEnum
+CREATE TYPE "PromotionRunStatus" AS ENUM ('APPLIED', 'REVERSED');
+
+-- CreateEnum
+CREATE TYPE "PromotionAction" AS ENUM ('PROMOTED', 'REPEATED', 'GRADUATED');
+
+-- AlterTable
+ALTER TABLE "Student" ADD COLUMN     "graduatedAt" TIMESTAMP(3),
+ADD COLUMN     "graduationYear" INTEGER;
+
+-- CreateTable
+CREATE TABLE "PromotionRun" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "fromYear" INTEGER NOT NULL,
+    "toYear" INTEGER NOT NULL,
+    "status" "PromotionRunStatus" NOT NULL DEFAULT 'APPLIED',
+    "promotedCount" INTEGER NOT NULL DEFAULT 0,
+    "repeatedCount" INTEGER NOT NULL DEFAULT 0,
+    "graduatedCount" INTEGER NOT NULL DEFAULT 0,
+    "plan" JSONB,
+    "createdClassIds" JSONB,
+    "archivedClassIds" JSONB,
+    "reversibleUntil" TIMESTAMP(3) NOT NULL,
+    "appliedBy" TEXT,
+    "appliedByEmail" TEXT,
+    "reversedAt" TIMESTAMP(3),
+    "reversedBy" TEXT,
+    "reversedByEmail" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PromotionRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PromotionRunItem" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "runId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "action" "PromotionAction" NOT NULL,
+    "fromClassId" TEXT,
+    "fromClassLabel" TEXT,
+    "toClassId" TEXT,
+    "toClassLabel" TEXT,
+
+    CONSTRAINT "PromotionRunItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PromotionRun_schoolId_createdAt_idx" ON "PromotionRun"("schoolId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "PromotionRun_schoolId_fromYear_status_idx" ON "PromotionRun"("schoolId", "fromYear", "status");
+
+-- CreateIndex
+CREATE INDEX "PromotionRunItem_schoolId_studentId_idx" ON "PromotionRunItem"("schoolId", "studentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromotionRunItem_runId_studentId_key" ON "PromotionRunItem"("runId", "studentId");
+
+-- AddForeignKey
+ALTER TABLE "PromotionRun" ADD CONSTRAINT "PromotionRun_schoolId_fkey" FOREIGN KEY ("schoolId") REFERENCES "School"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PromotionRunItem" ADD CONSTRAINT "PromotionRunItem_runId_fkey" FOREIGN KEY ("runId") REFERENCES "PromotionRun"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PromotionRunItem" ADD CONSTRAINT "PromotionRunItem_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
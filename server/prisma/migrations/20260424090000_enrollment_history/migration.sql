@@ -0,0 +1,84 @@
+-- AlterEnum
+ALTER TYPE "DocumentKind" ADD VALUE 'LEAVING_CERT';
+
+-- CreateEnum
+CREATE TYPE "StudentExitType" AS ENUM ('TRANSFERRED_OUT', 'WITHDRAWN', 'EXPELLED', 'GRADUATED', 'DECEASED');
+
+-- CreateTable
+CREATE TABLE "StudentEnrollment" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "classId" TEXT,
+    "classLabel" TEXT NOT NULL,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3),
+    "reason" VARCHAR(30) NOT NULL,
+    "promotionRunId" TEXT,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StudentEnrollment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StudentExit" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "type" "StudentExitType" NOT NULL,
+    "exitDate" TIMESTAMP(3) NOT NULL,
+    "reason" TEXT,
+    "destinationSchool" TEXT,
+    "classId" TEXT,
+    "classLabel" TEXT,
+    "feeBalance" INTEGER NOT NULL DEFAULT 0,
+    "creditBalance" INTEGER NOT NULL DEFAULT 0,
+    "feeCleared" BOOLEAN NOT NULL DEFAULT false,
+    "certificateNo" TEXT,
+    "promotionRunId" TEXT,
+    "recordedBy" TEXT,
+    "recordedByEmail" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StudentExit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StudentEnrollment_schoolId_classId_startDate_idx" ON "StudentEnrollment"("schoolId", "classId", "startDate");
+
+-- CreateIndex
+CREATE INDEX "StudentEnrollment_studentId_startDate_idx" ON "StudentEnrollment"("studentId", "startDate");
+
+-- CreateIndex
+CREATE INDEX "StudentExit_schoolId_exitDate_idx" ON "StudentExit"("schoolId", "exitDate");
+
+-- CreateIndex
+CREATE INDEX "StudentExit_studentId_idx" ON "StudentExit"("studentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StudentExit_schoolId_certificateNo_key" ON "StudentExit"("schoolId", "certificateNo");
+
+-- AddForeignKey
+ALTER TABLE "StudentEnrollment" ADD CONSTRAINT "StudentEnrollment_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StudentEnrollment" ADD CONSTRAINT "StudentEnrollment_classId_fkey" FOREIGN KEY ("classId") REFERENCES "Class"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StudentExit" ADD CONSTRAINT "StudentExit_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: one placement per student in their current class, from the day they were added.
+-- Inactive students get it closed at their last update (best available "left on" date).
+INSERT INTO "StudentEnrollment" ("id", "schoolId", "studentId", "classId", "classLabel", "startDate", "endDate", "reason")
+SELECT
+    'enr_' || s."id",
+    s."schoolId",
+    s."id",
+    s."classId",
+    c."name" || COALESCE(' ' || c."stream", '') || ' (' || c."year" || ')',
+    s."createdAt",
+    CASE WHEN s."isActive" THEN NULL ELSE s."updatedAt" END,
+    'ADMISSION'
+FROM "Student" s
+JOIN "Class" c ON c."id" = s."classId";
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "StudentDocumentType" AS ENUM ('PHOTO', 'BIRTH_CERTIFICATE', 'TRANSFER_LETTER', 'MEDICAL_FORM', 'OTHER');
+
+-- CreateTable
+CREATE TABLE "StudentDocument" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "type" "StudentDocumentType" NOT NULL,
+    "title" TEXT,
+    "fileName" TEXT NOT NULL,
+    "mimeType" VARCHAR(100) NOT NULL,
+    "size" INTEGER NOT NULL,
+    "sha256" VARCHAR(64) NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "uploadedBy" TEXT,
+    "uploadedByEmail" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StudentDocument_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StudentDocument_storageKey_key" ON "StudentDocument"("storageKey");
+
+-- CreateIndex
+CREATE INDEX "StudentDocument_schoolId_studentId_type_idx" ON "StudentDocument"("schoolId", "studentId", "type");
+
+-- AddForeignKey
+ALTER TABLE "StudentDocument" ADD CONSTRAINT "StudentDocument_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
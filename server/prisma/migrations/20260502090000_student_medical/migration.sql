@@ -0,0 +1,54 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "medicalAccess" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "StudentMedicalProfile" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "bloodGroup" VARCHAR(5),
+    "allergies" TEXT,
+    "conditions" TEXT,
+    "medications" TEXT,
+    "specialNeeds" TEXT,
+    "doctorName" TEXT,
+    "doctorPhone" VARCHAR(30),
+    "allergyAlert" BOOLEAN NOT NULL DEFAULT false,
+    "updatedBy" TEXT,
+    "updatedByEmail" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StudentMedicalProfile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StudentEmergencyContact" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "relationship" VARCHAR(30),
+    "phone" VARCHAR(30) NOT NULL,
+    "altPhone" VARCHAR(30),
+    "notes" TEXT,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StudentEmergencyContact_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StudentMedicalProfile_studentId_key" ON "StudentMedicalProfile"("studentId");
+
+-- CreateIndex
+CREATE INDEX "StudentMedicalProfile_schoolId_allergyAlert_idx" ON "StudentMedicalProfile"("schoolId", "allergyAlert");
+
+-- CreateIndex
+CREATE INDEX "StudentEmergencyContact_schoolId_studentId_idx" ON "StudentEmergencyContact"("schoolId", "studentId");
+
+-- AddForeignKey
+ALTER TABLE "StudentMedicalProfile" ADD CONSTRAINT "StudentMedicalProfile_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StudentEmergencyContact" ADD CONSTRAINT "StudentEmergencyContact_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,102 @@
+-- CreateEnum
+CREATE TYPE "DisciplineSeverity" AS ENUM ('MINOR', 'MODERATE', 'SERIOUS');
+
+-- CreateEnum
+CREATE TYPE "DisciplineStatus" AS ENUM ('OPEN', 'FOLLOW_UP', 'RESOLVED');
+
+-- CreateEnum
+CREATE TYPE "DisciplineActionType" AS ENUM ('WARNING', 'DETENTION', 'SUSPENSION', 'PARENT_CALLED', 'OTHER');
+
+-- CreateTable
+CREATE TABLE "DisciplineIncident" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "category" VARCHAR(30) NOT NULL,
+    "severity" "DisciplineSeverity" NOT NULL DEFAULT 'MINOR',
+    "description" TEXT NOT NULL,
+    "location" TEXT,
+    "occurredAt" TIMESTAMP(3) NOT NULL,
+    "reportedByTeacherId" TEXT,
+    "reportedByName" TEXT,
+    "status" "DisciplineStatus" NOT NULL DEFAULT 'OPEN',
+    "followUpNotes" TEXT,
+    "followUpDate" TIMESTAMP(3),
+    "resolvedAt" TIMESTAMP(3),
+    "createdBy" TEXT,
+    "createdByEmail" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DisciplineIncident_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DisciplineIncidentStudent" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "incidentId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "classId" TEXT,
+    "classLabel" TEXT,
+
+    CONSTRAINT "DisciplineIncidentStudent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DisciplineAction" (
+    "id" TEXT NOT NULL,
+    "schoolId" TEXT NOT NULL,
+    "incidentId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "type" "DisciplineActionType" NOT NULL,
+    "startDate" TIMESTAMP(3),
+    "endDate" TIMESTAMP(3),
+    "notes" TEXT,
+    "createdBy" TEXT,
+    "createdByEmail" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DisciplineAction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DisciplineIncident_schoolId_occurredAt_idx" ON "DisciplineIncident"("schoolId", "occurredAt");
+
+-- CreateIndex
+CREATE INDEX "DisciplineIncident_schoolId_status_idx" ON "DisciplineIncident"("schoolId", "status");
+
+-- CreateIndex
+CREATE INDEX "DisciplineIncidentStudent_schoolId_classId_idx" ON "DisciplineIncidentStudent"("schoolId", "classId");
+
+-- CreateIndex
+CREATE INDEX "DisciplineIncidentStudent_studentId_idx" ON "DisciplineIncidentStudent"("studentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DisciplineIncidentStudent_incidentId_studentId_key" ON "DisciplineIncidentStudent"("incidentId", "studentId");
+
+-- CreateIndex
+CREATE INDEX "DisciplineAction_incidentId_idx" ON "DisciplineAction"("incidentId");
+
+-- CreateIndex
+CREATE INDEX "DisciplineAction_schoolId_type_startDate_idx" ON "DisciplineAction"("schoolId", "type", "startDate");
+
+-- CreateIndex
+CREATE INDEX "DisciplineAction_studentId_idx" ON "DisciplineAction"("studentId");
+
+-- AddForeignKey
+ALTER TABLE "DisciplineIncident" ADD CONSTRAINT "DisciplineIncident_reportedByTeacherId_fkey" FOREIGN KEY ("reportedByTeacherId") REFERENCES "Teacher"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DisciplineIncidentStudent" ADD CONSTRAINT "DisciplineIncidentStudent_incidentId_fkey" FOREIGN KEY ("incidentId") REFERENCES "DisciplineIncident"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DisciplineIncidentStudent" ADD CONSTRAINT "DisciplineIncidentStudent_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DisciplineIncidentStudent" ADD CONSTRAINT "DisciplineIncidentStudent_classId_fkey" FOREIGN KEY ("classId") REFERENCES "Class"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DisciplineAction" ADD CONSTRAINT "DisciplineAction_incidentId_fkey" FOREIGN KEY ("incidentId") REFERENCES "DisciplineIncident"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DisciplineAction" ADD CONSTRAINT "DisciplineAction_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
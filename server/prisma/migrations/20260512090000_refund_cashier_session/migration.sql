@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "FeeRefund" ADD COLUMN "sessionId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "FeeRefund_sessionId_idx" ON "FeeRefund"("sessionId");
+
+-- AddForeignKey
+ALTER TABLE "FeeRefund" ADD CONSTRAINT "FeeRefund_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "CashierSession"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,210 @@
+// scripts/mpesa-mock.js
+// Local stand-in for Safaricom Daraja, for developing the M-Pesa integration without a sandbox account.
+//
+// 1) Fake Daraja API (OAuth, STK push, C2B URL registration). STK pushes "complete" after a delay
+//    and the mock POSTs the Daraja-shaped callback to the CallBackURL it was given:
+//
+//      MPESA_API_BASE_URL=http://localhost:7071 npm run dev      # in one terminal
+//      npm run mpesa:mock                                       # in another
+//
+//    Options: --port 7071  --delay 3000  --fail (STK callbacks report "cancelled by user")
+//
+// 2) Send a paybill (C2B) confirmation, as if a parent paid with an account number:
+//
+//      node scripts/mpesa-mock.js c2b --url "<c2bConfirmation url from M-Pesa settings>" --amount 1500 --ref ADM001
+//
+//    Options: --code QWE1234XYZ (reuse to test idempotency)  --phone 254712345678
+//             --secret <callbackSecret> (sign with x-callback-signature instead of relying on ?key=)
+
+import http from "http";
+import crypto from "crypto";
+
+function parseArgs(argv) {
+  const out = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) {
+      out._.push(a);
+      continue;
+    }
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) out[key] = true;
+    else {
+      out[key] = next;
+      i++;
+    }
+  }
+  return out;
+}
+
+function darajaTimestamp(at = new Date()) {
+  const eat = new Date(at.getTime() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace(/[-:TZ]/g, "").slice(0, 14);
+}
+
+function transCode() {
+  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+  let s = "S";
+  for (let i = 0; i < 9; i++) s += chars[crypto.randomInt(chars.length)];
+  return s;
+}
+
+async function postJson(url, payload, headers = {}) {
+  const body = JSON.stringify(payload);
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body,
+    signal: AbortSignal.timeout(15_000),
+  });
+  const text = await res.text();
+  return { status: res.status, text };
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch {
+        resolve({});
+      }
+    });
+  });
+}
+
+function send(res, status, payload) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
+
+/* -------------------- fake Daraja -------------------- */
+function serve(opts) {
+  const port = Number(opts.port || 7071);
+  const delay = Number(opts.delay || 3000);
+  const fail = !!opts.fail;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+
+    if (req.method === "GET" && url.pathname === "/oauth/v1/generate") {
+      if (!String(req.headers.authorization || "").startsWith("Basic ")) {
+        return send(res, 401, { errorMessage: "Invalid Authentication passed" });
+      }
+      return send(res, 200, { access_token: crypto.randomBytes(16).toString("hex"), expires_in: "3599" });
+    }
+
+    if (req.method === "POST" && url.pathname === "/mpesa/stkpush/v1/processrequest") {
+      const body = await readBody(req);
+      if (!body.CallBackURL || !body.PhoneNumber || !body.Amount) {
+        return send(res, 400, { errorCode: "400.002.02", errorMessage: "Bad Request - Invalid payload" });
+      }
+
+      const merchantRequestId = `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1e6, 9e6)}-1`;
+      const checkoutRequestId = `ws_CO_${darajaTimestamp()}${crypto.randomInt(1e5, 9e5)}`;
+
+      send(res, 200, {
+        MerchantRequestID: merchantRequestId,
+        CheckoutRequestID: checkoutRequestId,
+        ResponseCode: "0",
+        ResponseDescription: "Success. Request accepted for processing",
+        CustomerMessage: "Success. Request accepted for processing",
+      });
+
+      setTimeout(async () => {
+        const stkCallback = fail
+          ? {
+              MerchantRequestID: merchantRequestId,
+              CheckoutRequestID: checkoutRequestId,
+              ResultCode: 1032,
+              ResultDesc: "Request cancelled by user",
+            }
+          : {
+              MerchantRequestID: merchantRequestId,
+              CheckoutRequestID: checkoutRequestId,
+              ResultCode: 0,
+              ResultDesc: "The service request is processed successfully.",
+              CallbackMetadata: {
+                Item: [
+                  { Name: "Amount", Value: Number(body.Amount) },
+                  { Name: "MpesaReceiptNumber", Value: transCode() },
+                  { Name: "TransactionDate", Value: Number(darajaTimestamp()) },
+                  { Name: "PhoneNumber", Value: Number(body.PhoneNumber) },
+                ],
+              },
+            };
+        try {
+          const r = await postJson(body.CallBackURL, { Body: { stkCallback } });
+          console.log(`STK callback ${checkoutRequestId} -> ${r.status} ${r.text}`);
+        } catch (e) {
+          console.error(`STK callback ${checkoutRequestId} failed:`, e?.message || e);
+        }
+      }, delay);
+      return;
+    }
+
+    if (req.method === "POST" && url.pathname === "/mpesa/c2b/v1/registerurl") {
+      const body = await readBody(req);
+      console.log("C2B URLs registered:", body.ConfirmationURL, body.ValidationURL);
+      return send(res, 200, { OriginatorCoversationID: crypto.randomUUID(), ResponseCode: "0", ResponseDescription: "Success" });
+    }
+
+    return send(res, 404, { errorMessage: `Mock has no route for ${req.method} ${url.pathname}` });
+  });
+
+  server.listen(port, () => {
+    console.log(`Mock Daraja on http://localhost:${port} (STK callbacks after ${delay}ms${fail ? ", failing" : ""})`);
+  });
+}
+
+/* -------------------- C2B confirmation -------------------- */
+async function c2b(opts) {
+  if (!opts.url || !opts.amount || !opts.ref) {
+    console.error("Usage: node scripts/mpesa-mock.js c2b --url <confirmation url> --amount <KES> --ref <account no>");
+    process.exit(1);
+  }
+
+  const payload = {
+    TransactionType: "Pay Bill",
+    TransID: String(opts.code || transCode()),
+    TransTime: darajaTimestamp(),
+    TransAmount: String(opts.amount),
+    BusinessShortCode: "600000",
+    BillRefNumber: String(opts.ref),
+    InvoiceNumber: "",
+    OrgAccountBalance: "",
+    ThirdPartyTransID: "",
+    MSISDN: String(opts.phone || "254708374149"),
+    FirstName: "John",
+    MiddleName: "",
+    LastName: "Doe",
+  };
+
+  const headers = {};
+  if (opts.secret) {
+    headers["x-callback-signature"] = crypto
+      .createHmac("sha256", String(opts.secret))
+      .update(JSON.stringify(payload))
+      .digest("hex");
+  }
+
+  const r = await postJson(String(opts.url), payload, headers);
+  console.log(`C2B ${payload.TransID} -> ${r.status} ${r.text}`);
+}
+
+const args = parseArgs(process.argv.slice(2));
+const command = args._[0] || "serve";
+
+if (command === "serve") serve(args);
+else if (command === "c2b") {
+  c2b(args).catch((e) => {
+    console.error(e?.message || e);
+    process.exit(1);
+  });
+} else {
+  console.error(`Unknown command "${command}" (use serve | c2b)`);
+  process.exit(1);
+}
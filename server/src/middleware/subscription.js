@@ -51,7 +51,7 @@ function getLimitFromJson(sub, key) {
   return Number.isFinite(n) ? n : undefined;
 }
 
-function effectiveCap(sub, resource) {
+export function effectiveCap(sub, resource) {
   if (resource === "students") {
     const json = getLimitFromJson(sub, "STUDENTS_MAX");
     return json !== undefined ? json : sub.maxStudents;
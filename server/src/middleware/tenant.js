@@ -43,8 +43,10 @@ async function getUserDb(userId) {
       schoolId: true,
       email: true,
       isActive: true,
+      medicalAccess: true,
       teacher: { select: { id: true, schoolId: true } },
       student: { select: { id: true, schoolId: true } },
+      guardian: { select: { id: true, schoolId: true } },
     },
   });
 
@@ -90,10 +92,13 @@ export async function tenantContext(req, res, next) {
       schoolId: userDb.schoolId ?? null,
       teacherId: userDb.teacher?.id ?? null,
       studentId: userDb.student?.id ?? null,
+      guardianId: userDb.guardian?.id ?? null,
     };
 
     req.teacherId = req.user.teacherId;
     req.studentId = req.user.studentId;
+    req.guardianId = req.user.guardianId;
+    req.medicalAccess = userDb.medicalAccess === true;
 
     // ---- SYSTEM_ADMIN: platform or tenant mode
     if (userDb.role === "SYSTEM_ADMIN") {
@@ -148,6 +153,21 @@ export async function tenantContext(req, res, next) {
     if (userDb.student && userDb.student.schoolId !== school.id) {
       return res.status(403).json({ message: "Student profile mismatch (wrong school)" });
     }
+    if (userDb.guardian && userDb.guardian.schoolId !== school.id) {
+      return res.status(403).json({ message: "Guardian profile mismatch (wrong school)" });
+    }
+
+    // ---- GUARDIAN: scope to linked children (read live, not cached — unlinking must apply at once)
+    if (userDb.role === "GUARDIAN") {
+      const links = userDb.guardian
+        ? await prisma.studentGuardian.findMany({
+            where: { guardianId: userDb.guardian.id, schoolId: school.id },
+            select: { studentId: true },
+          })
+        : [];
+      req.childStudentIds = links.map((l) => l.studentId);
+      req.user.childStudentIds = req.childStudentIds;
+    }
 
     req.schoolId = school.id;
     req.school = school;
@@ -168,3 +188,35 @@ export function requireTenant(req, res, next) {
   }
   return next();
 }
+
+/**
+ * STUDENT users may only reach themselves, GUARDIAN users only the students linked to them.
+ * Other roles pass through (their own role checks still apply).
+ */
+export function canAccessStudent(req, studentId) {
+  const id = String(studentId || "");
+  if (req.role === "STUDENT") return !!req.studentId && req.studentId === id;
+  if (req.role !== "GUARDIAN") return true;
+  // req.childStudentIds survives routers that re-run requireAuth (which resets req.user)
+  return (req.childStudentIds || []).includes(id);
+}
+
+/**
+ * Student medical profiles: ADMIN, plus TEACHER/BURSAR users an admin has designated (User.medicalAccess).
+ */
+export function hasMedicalAccess(req) {
+  if (req.role === "ADMIN") return true;
+  return ["TEACHER", "BURSAR"].includes(req.role) && req.medicalAccess === true;
+}
+
+export function requireStudentScope(param = "studentId") {
+  return (req, res, next) => {
+    if (!canAccessStudent(req, req.params?.[param])) {
+      return res.status(403).json({
+        message: "You can only view your own (or your children's) records.",
+        code: "STUDENT_SCOPE_FORBIDDEN",
+      });
+    }
+    return next();
+  };
+}
@@ -1,6 +1,7 @@
 // src/modules/attendance/attendance.routes.js
 import { Router } from "express";
 import { requireAuth, requireRole } from "../../middleware/auth.js";
+import { requireStudentScope } from "../../middleware/tenant.js";
 import { requireSchool, requireAttendanceWrite } from "./attendance.permissions.js";
 
 import {
@@ -21,11 +22,16 @@ const router = Router();
 // Must be authenticated + have schoolId
 router.use(requireAuth, requireSchool);
 
-// READ endpoints (allow ADMIN/TEACHER)
+// READ endpoints (allow ADMIN/TEACHER; GUARDIAN reads their children's summaries)
 router.get("/sessions", requireRole("ADMIN", "TEACHER"), list);
 router.get("/sessions/:id", requireRole("ADMIN", "TEACHER"), getSession);
 
-router.get("/summary/student/:studentId", requireRole("ADMIN", "TEACHER"), studentSummary);
+router.get(
+  "/summary/student/:studentId",
+  requireRole("ADMIN", "TEACHER", "GUARDIAN"),
+  requireStudentScope(),
+  studentSummary
+);
 router.get("/summary/class/:classId", requireRole("ADMIN", "TEACHER"), classSummary);
 router.get("/defaulters", requireRole("ADMIN", "TEACHER"), defaultersList);
 
@@ -3,6 +3,7 @@
 import { prisma } from "../../lib/prisma.js";
 import { AttendanceSessionStatus } from "@prisma/client";
 import { ensureEditable } from "./attendance.validators.js";
+import { classRosterWhere } from "../../utils/enrollment.js";
 
 /**
  * Determine if a teacher (by userId) is allowed to take attendance for a class.
@@ -45,7 +46,7 @@ export async function assertTeacherAccessOrThrow({ schoolId, userId, classId })
 }
 
 /**
- * Create or reopen a session (upsert) and ensure records exist for all active students
+ * Create or reopen a session (upsert) and ensure records exist for every student in the class on that date
  */
 export async function upsertSessionAndEnsureRecords({
   schoolId,
@@ -74,8 +75,9 @@ export async function upsertSessionAndEnsureRecords({
     },
   });
 
+  // the class as it stood on the register date (a back-dated register skips later joiners)
   const students = await prisma.student.findMany({
-    where: { classId, isActive: true },
+    where: { schoolId, ...classRosterWhere(classId, date) },
     select: { id: true },
   });
 
@@ -260,7 +262,7 @@ export async function submitSession({ schoolId, sessionId, editorUserId }) {
   ensureEditable(session);
 
   const activeCount = await prisma.student.count({
-    where: { classId: session.classId, isActive: true },
+    where: { schoolId, ...classRosterWhere(session.classId, session.date) },
   });
 
   const recordCount = await prisma.attendanceRecord.count({
@@ -429,8 +431,9 @@ export async function summaryClass({ schoolId, classId, from, to }) {
 }
 
 export async function defaulters({ schoolId, classId, from, to, minAbsences = 5 }) {
+  // class list on the last day of the range (current list when open-ended)
   const students = await prisma.student.findMany({
-    where: { classId, isActive: true },
+    where: { schoolId, ...classRosterWhere(classId, to) },
     select: { id: true, admissionNo: true, firstName: true, lastName: true },
   });
 
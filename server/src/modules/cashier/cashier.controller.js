@@ -0,0 +1,165 @@
+import PDFDocument from "pdfkit";
+
+import * as svc from "./cashier.service.js";
+import { logAudit } from "../../utils/audit.js";
+
+function fail(res, label, err) {
+  console.error(`${label} ERROR:`, err);
+  return res.status(err.statusCode || 500).json({ message: err.message || "Server error" });
+}
+
+function fmtAmount(n) {
+  return Number(n || 0).toLocaleString("en-KE");
+}
+
+function fmtWhen(d) {
+  return d ? new Date(d).toLocaleString("en-KE") : "—";
+}
+
+export async function currentSession(req, res) {
+  try {
+    return res.json({ data: await svc.currentSession(req) });
+  } catch (err) {
+    return fail(res, "CASHIER SESSION", err);
+  }
+}
+
+export async function openSession(req, res) {
+  try {
+    return res.status(201).json({ data: await svc.openSession(req) });
+  } catch (err) {
+    return fail(res, "CASHIER SESSION OPEN", err);
+  }
+}
+
+export async function closeSession(req, res) {
+  try {
+    return res.json({ data: await svc.closeSession(req) });
+  } catch (err) {
+    return fail(res, "CASHIER SESSION CLOSE", err);
+  }
+}
+
+export async function listSessions(req, res) {
+  try {
+    return res.json({ data: await svc.listSessions(req) });
+  } catch (err) {
+    return fail(res, "CASHIER SESSIONS", err);
+  }
+}
+
+export async function getSession(req, res) {
+  try {
+    return res.json({ data: await svc.getSessionReport(req) });
+  } catch (err) {
+    return fail(res, "CASHIER SESSION DETAIL", err);
+  }
+}
+
+/**
+ * Z-report: the till's cash-up as a printable PDF (expected vs counted per method, receipts, variance).
+ * An open till prints as an X-report (running totals, nothing counted yet).
+ */
+export async function zReportPdf(req, res) {
+  try {
+    const report = await svc.getSessionReport(req);
+    const s = report.session;
+    const isClosed = s.status === "CLOSED";
+
+    await logAudit({
+      req,
+      actorId: req.user?.id || null,
+      actorRole: req.role || req.user?.role || null,
+      actorEmail: req.user?.email || null,
+      schoolId: s.schoolId,
+      action: "FEES_CASHIER_ZREPORT_VIEWED",
+      targetType: "CASHIER_SESSION",
+      targetId: s.id,
+    });
+
+    const doc = new PDFDocument({ margin: 50 });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename=${isClosed ? "z" : "x"}-report-${new Date(s.openedAt).toISOString().slice(0, 10)}.pdf`
+    );
+    doc.pipe(res);
+
+    doc.fontSize(18).text(isClosed ? "CASHIER Z-REPORT" : "CASHIER X-REPORT (TILL STILL OPEN)", { align: "center" });
+    doc.moveDown();
+
+    doc.fontSize(11);
+    doc.text(`Cashier: ${s.cashierEmail || s.cashierId}`);
+    doc.text(`Opened: ${fmtWhen(s.openedAt)}`);
+    doc.text(`Closed: ${isClosed ? fmtWhen(s.closedAt) : "—"}`);
+    if (isClosed && s.closedBy && s.closedBy !== s.cashierId) doc.text(`Closed by: ${s.closedByEmail || s.closedBy}`);
+    doc.text(`Opening float: ${fmtAmount(s.openingFloat)}`);
+    doc.moveDown();
+
+    doc.fontSize(12).text("Takings by method");
+    doc.fontSize(10);
+    for (const m of svc.PAYMENT_METHODS) {
+      const expected = Number(s.expected?.[m] || 0);
+      const count = Number(s.paymentCounts?.[m] || 0);
+      if (!expected && !count && !Number(s.counted?.[m] || 0)) continue;
+
+      const parts = [`${m}: expected ${fmtAmount(expected)} (${count} receipt${count === 1 ? "" : "s"})`];
+      if (isClosed) {
+        parts.push(`counted ${fmtAmount(s.counted?.[m])}`);
+        parts.push(`variance ${fmtAmount(report.variances[m])}`);
+      }
+      doc.text(parts.join(" • "));
+    }
+    doc.moveDown(0.5);
+    doc.fontSize(11).text(`Expected total: ${fmtAmount(s.expectedTotal)}`);
+    if (isClosed) {
+      doc.text(`Counted total: ${fmtAmount(s.countedTotal)}`);
+      doc.text(`Variance: ${fmtAmount(s.variance)}${s.variance < 0 ? " (SHORT)" : s.variance > 0 ? " (OVER)" : ""}`);
+      if (s.closeNote) doc.text(`Note: ${s.closeNote}`);
+    }
+    doc.moveDown();
+
+    doc.fontSize(12).text("Receipts");
+    doc.fontSize(9);
+    if (!report.payments.length) doc.text("No payments on this till.");
+    for (const p of report.payments) {
+      const who = p.student
+        ? `${p.student.admissionNo || ""} ${p.student.firstName || ""} ${p.student.lastName || ""}`.trim()
+        : "";
+      doc.text(
+        `${fmtWhen(p.receivedAt)}  ${p.receiptNo || "—"}  ${p.method}  ${fmtAmount(p.amount)}  ${who}${
+          p.isReversed ? "  [REVERSED]" : ""
+        }`
+      );
+    }
+    doc.moveDown();
+
+    if (report.refunds.length) {
+      doc.fontSize(12).text("Refunds paid out (deducted from expected)");
+      doc.fontSize(9);
+      for (const r of report.refunds) {
+        const who = r.student
+          ? `${r.student.admissionNo || ""} ${r.student.firstName || ""} ${r.student.lastName || ""}`.trim()
+          : "";
+        doc.text(`${fmtWhen(r.approvedAt)}  ${r.voucherNo || "—"}  ${r.method}  ${fmtAmount(r.amount)}  ${who}`);
+      }
+      doc.moveDown();
+    }
+
+    if (report.reversedInSession) {
+      doc.fontSize(10).text(`Reversed before close: ${report.reversedInSession} (excluded from expected)`);
+    }
+    if (report.reversedAfterClose.length) {
+      doc.fontSize(10).text("Reversed after close (admin):");
+      for (const p of report.reversedAfterClose) {
+        doc.text(`${p.receiptNo || "—"}  ${p.method}  ${fmtAmount(p.amount)}  ${fmtWhen(p.reversedAt)}  ${p.reversalReason || ""}`);
+      }
+    }
+    doc.moveDown(2);
+
+    doc.fontSize(10).text("Cashier signature: ____________________      Supervisor: ____________________");
+    doc.end();
+  } catch (err) {
+    return fail(res, "CASHIER Z-REPORT", err);
+  }
+}
@@ -0,0 +1,27 @@
+import { Router } from "express";
+
+import { requireRole } from "../../middleware/auth.js";
+import { requireTenant } from "../../middleware/tenant.js";
+import { loadSubscription, requireEntitlement } from "../../middleware/subscription.js";
+import * as ctrl from "./cashier.controller.js";
+
+/**
+ * Cashier tills (mounted under /api/cashier).
+ * Cashiers open/close their own till; admins also see and close everyone's.
+ */
+const router = Router();
+
+router.use(requireTenant);
+router.use(loadSubscription);
+
+const finance = requireRole("ADMIN", "BURSAR");
+const write = requireEntitlement("FEES_WRITE");
+
+router.get("/sessions/current", finance, ctrl.currentSession);
+router.post("/sessions", finance, write, ctrl.openSession);
+router.get("/sessions", finance, ctrl.listSessions);
+router.get("/sessions/:id", finance, ctrl.getSession);
+router.post("/sessions/:id/close", finance, write, ctrl.closeSession);
+router.get("/sessions/:id/z-report.pdf", finance, ctrl.zReportPdf);
+
+export default router;
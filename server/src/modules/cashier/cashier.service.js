@@ -0,0 +1,341 @@
+// src/modules/cashier/cashier.service.js
+import { prisma } from "../../lib/prisma.js";
+import { logAudit } from "../../utils/audit.js";
+
+/* =========================
+   Helpers
+   ========================= */
+export const PAYMENT_METHODS = ["CASH", "MPESA", "BANK", "CHEQUE", "OTHER"];
+const MAX_AMOUNT = 100_000_000;
+
+function httpError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function requireSchoolOrThrow(req) {
+  const schoolId = req.schoolId || req.user?.schoolId;
+  if (!schoolId) throw httpError("No school selected/attached to this user.");
+  return schoolId;
+}
+
+function actorCtx(req) {
+  return {
+    actorId: req.user?.id || null,
+    actorRole: req.role || req.user?.role || null,
+    actorEmail: req.user?.email || null,
+  };
+}
+
+function isAdmin(req) {
+  return String(req.role || req.user?.role || "").toUpperCase() === "ADMIN";
+}
+
+function wholeAmount(v, label) {
+  const n = Number(v ?? 0);
+  if (!Number.isInteger(n) || n < 0 || n > MAX_AMOUNT) throw httpError(`${label} must be a whole amount of 0 or more.`);
+  return n;
+}
+
+function emptyTotals() {
+  return Object.fromEntries(PAYMENT_METHODS.map((m) => [m, 0]));
+}
+
+function sumTotals(t) {
+  return Object.values(t || {}).reduce((sum, v) => sum + Number(v || 0), 0);
+}
+
+// The till a user is taking money on right now, if any. `db` may be prisma or a tx client.
+export async function openSessionFor(db, { schoolId, userId }) {
+  if (!userId) return null;
+  return db.cashierSession.findFirst({
+    where: { schoolId, cashierId: String(userId), status: "OPEN" },
+    orderBy: { openedAt: "desc" },
+  });
+}
+
+/**
+ * openSessionFor inside a transaction, share-locking the till until it ends. A cash-up takes the
+ * row lock, so it waits for payments still being posted to the till; a payment that waited on a
+ * cash-up finds the till closed and is taken without one.
+ */
+export async function lockOpenSessionFor(tx, { schoolId, userId }) {
+  if (!userId) return null;
+  const [row] = await tx.$queryRaw`
+    SELECT id FROM "CashierSession"
+    WHERE "schoolId" = ${schoolId} AND "cashierId" = ${String(userId)} AND status = 'OPEN'
+    ORDER BY "openedAt" DESC
+    LIMIT 1
+    FOR SHARE`;
+  return row ? tx.cashierSession.findUnique({ where: { id: row.id } }) : null;
+}
+
+/**
+ * Expected takings per method from the session's live payments, less refunds paid out of the till;
+ * the opening float sits in CASH. Reversed payments are left out (they never stayed in the drawer).
+ */
+async function expectedTotals(db, session) {
+  const [grouped, refundGroups] = await Promise.all([
+    db.feePayment.groupBy({
+      by: ["method"],
+      where: { sessionId: session.id, isReversed: false },
+      _sum: { amount: true },
+      _count: { id: true },
+    }),
+    db.feeRefund.groupBy({
+      by: ["method"],
+      where: { sessionId: session.id, status: "APPROVED" },
+      _sum: { amount: true },
+    }),
+  ]);
+
+  const expected = emptyTotals();
+  const counts = emptyTotals();
+  const refunded = emptyTotals();
+  for (const g of grouped) {
+    expected[g.method] = Number(g._sum.amount || 0);
+    counts[g.method] = g._count.id;
+  }
+  for (const g of refundGroups) {
+    refunded[g.method] = Number(g._sum.amount || 0);
+    expected[g.method] -= refunded[g.method];
+  }
+  expected.CASH += Number(session.openingFloat || 0);
+  return { expected, counts, refunded };
+}
+
+async function loadSession(db, req, id) {
+  const schoolId = requireSchoolOrThrow(req);
+  const session = await db.cashierSession.findFirst({ where: { id: String(id), schoolId } });
+  if (!session) throw httpError("Cashier session not found.", 404);
+
+  // cashiers see their own tills; admins see everyone's
+  if (!isAdmin(req) && session.cashierId !== req.user?.id) throw httpError("Not your cashier session.", 403);
+  return session;
+}
+
+async function cashierEmails(cashierIds) {
+  const users = await prisma.user.findMany({
+    where: { id: { in: [...new Set(cashierIds.filter(Boolean))] } },
+    select: { id: true, email: true },
+  });
+  return new Map(users.map((u) => [u.id, u.email]));
+}
+
+// Session + figures: live totals while open, the frozen cash-up once closed.
+async function sessionView(session, emails) {
+  const live = await expectedTotals(prisma, session);
+  const expected = session.status === "CLOSED" && session.expected ? session.expected : live.expected;
+
+  return {
+    ...session,
+    cashierEmail: emails.get(session.cashierId) || null,
+    closedByEmail: emails.get(session.closedBy) || null,
+    expected,
+    expectedTotal: sumTotals(expected),
+    countedTotal: session.counted ? sumTotals(session.counted) : null,
+    paymentCounts: live.counts,
+    refunded: live.refunded,
+  };
+}
+
+/* =========================
+   Open / current / close
+   ========================= */
+export async function currentSession(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const session = await openSessionFor(prisma, { schoolId, userId: req.user?.id });
+  if (!session) return null;
+  return sessionView(session, await cashierEmails([session.cashierId]));
+}
+
+export async function openSession(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const userId = req.user?.id;
+  if (!userId) throw httpError("Sign in to open a till.", 401);
+
+  const openingFloat = wholeAmount(req.body?.openingFloat, "Opening float");
+
+  const session = await prisma.$transaction(async (tx) => {
+    const existing = await openSessionFor(tx, { schoolId, userId });
+    if (existing) throw httpError("You already have an open till. Close it before opening another.", 409);
+
+    return tx.cashierSession.create({ data: { schoolId, cashierId: userId, openingFloat } });
+  });
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "FEES_CASHIER_SESSION_OPENED",
+    targetType: "CASHIER_SESSION",
+    targetId: session.id,
+    metadata: { openingFloat },
+  });
+
+  return sessionView(session, await cashierEmails([session.cashierId]));
+}
+
+/**
+ * Cash-up: the cashier declares what they counted per method; expected takings and the variance are
+ * frozen on the session. Once closed its payments can only be reversed by an admin.
+ */
+export async function closeSession(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const body = req.body || {};
+  const input = body.counted && typeof body.counted === "object" ? body.counted : {};
+
+  const unknown = Object.keys(input).filter((k) => !PAYMENT_METHODS.includes(String(k).toUpperCase()));
+  if (unknown.length) throw httpError(`Unknown payment method(s): ${unknown.join(", ")}`);
+
+  const counted = emptyTotals();
+  for (const [k, v] of Object.entries(input)) {
+    counted[String(k).toUpperCase()] = wholeAmount(v, `Counted ${String(k).toUpperCase()}`);
+  }
+  const closeNote = String(body.note || "").trim().slice(0, 500) || null;
+
+  const session = await loadSession(prisma, req, req.params.id);
+  if (session.status !== "OPEN") throw httpError("This till is already closed.", 409);
+
+  const closed = await prisma.$transaction(async (tx) => {
+    // waits for payments still being posted to this till, then totals what they left
+    await tx.$queryRaw`SELECT id FROM "CashierSession" WHERE id = ${session.id} FOR UPDATE`;
+    const { expected } = await expectedTotals(tx, session);
+    const variance = sumTotals(counted) - sumTotals(expected);
+
+    const { count } = await tx.cashierSession.updateMany({
+      where: { id: session.id, status: "OPEN" },
+      data: {
+        status: "CLOSED",
+        closedAt: new Date(),
+        closedBy: req.user?.id || null,
+        expected,
+        counted,
+        variance,
+        closeNote,
+      },
+    });
+    if (count === 0) throw httpError("This till was closed by someone else.", 409);
+
+    return tx.cashierSession.findUnique({ where: { id: session.id } });
+  });
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "FEES_CASHIER_SESSION_CLOSED",
+    targetType: "CASHIER_SESSION",
+    targetId: closed.id,
+    metadata: {
+      cashierId: closed.cashierId,
+      closedForCashier: closed.cashierId !== req.user?.id,
+      expected: closed.expected,
+      counted: closed.counted,
+      variance: closed.variance,
+    },
+  });
+
+  return sessionView(closed, await cashierEmails([closed.cashierId, closed.closedBy]));
+}
+
+/* =========================
+   Listing / detail (Z-report data)
+   ========================= */
+export async function listSessions(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const q = req.query || {};
+
+  const status = ["OPEN", "CLOSED"].includes(String(q.status || "").toUpperCase())
+    ? String(q.status).toUpperCase()
+    : undefined;
+  const from = q.from ? new Date(`${String(q.from)}T00:00:00.000Z`) : null;
+  const to = q.to ? new Date(`${String(q.to)}T23:59:59.999Z`) : null;
+  if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+    throw httpError("Invalid date format. Use YYYY-MM-DD.");
+  }
+
+  const sessions = await prisma.cashierSession.findMany({
+    where: {
+      schoolId,
+      status,
+      // cashiers only ever list their own tills
+      cashierId: isAdmin(req) ? (q.cashierId ? String(q.cashierId) : undefined) : req.user?.id,
+      openedAt: from || to ? { gte: from || undefined, lte: to || undefined } : undefined,
+    },
+    orderBy: { openedAt: "desc" },
+    take: 200,
+  });
+
+  const emails = await cashierEmails(sessions.flatMap((s) => [s.cashierId, s.closedBy]));
+  return Promise.all(sessions.map((s) => sessionView(s, emails)));
+}
+
+export async function getSessionReport(req) {
+  const session = await loadSession(prisma, req, req.params.id);
+
+  const payments = await prisma.feePayment.findMany({
+    where: { sessionId: session.id },
+    orderBy: { receivedAt: "asc" },
+    select: {
+      id: true,
+      receiptNo: true,
+      amount: true,
+      method: true,
+      reference: true,
+      receivedAt: true,
+      isReversed: true,
+      reversedAt: true,
+      reversedBy: true,
+      reversalReason: true,
+      invoice: { select: { invoiceNo: true, studentId: true } },
+    },
+  });
+
+  const refunds = await prisma.feeRefund.findMany({
+    where: { sessionId: session.id, status: "APPROVED" },
+    orderBy: { approvedAt: "asc" },
+    select: { id: true, voucherNo: true, studentId: true, amount: true, method: true, reference: true, approvedAt: true },
+  });
+
+  const studentIds = [...payments.map((p) => p.invoice.studentId), ...refunds.map((r) => r.studentId)];
+  const students = await prisma.student.findMany({
+    where: { schoolId: session.schoolId, id: { in: [...new Set(studentIds)] } },
+    select: { id: true, admissionNo: true, firstName: true, lastName: true },
+  });
+  const studentsById = new Map(students.map((st) => [st.id, st]));
+
+  const closedAt = session.closedAt ? new Date(session.closedAt) : null;
+  const reversedAfterClose = payments.filter((p) => p.isReversed && closedAt && new Date(p.reversedAt) > closedAt);
+
+  const emails = await cashierEmails([session.cashierId, session.closedBy, ...payments.map((p) => p.reversedBy)]);
+  const view = await sessionView(session, emails);
+
+  const variances = {};
+  if (session.counted) {
+    for (const m of PAYMENT_METHODS) {
+      variances[m] = Number(session.counted[m] || 0) - Number(view.expected[m] || 0);
+    }
+  }
+
+  return {
+    session: view,
+    variances,
+    payments: payments.map((p) => ({
+      ...p,
+      student: studentsById.get(p.invoice.studentId) || null,
+      reversedByEmail: emails.get(p.reversedBy) || null,
+    })),
+    refunds: refunds.map((r) => ({ ...r, student: studentsById.get(r.studentId) || null })),
+    reversedInSession: payments.filter((p) => p.isReversed && !reversedAfterClose.includes(p)).length,
+    reversedAfterClose: reversedAfterClose.map((p) => ({
+      id: p.id,
+      receiptNo: p.receiptNo,
+      amount: p.amount,
+      method: p.method,
+      reversedAt: p.reversedAt,
+      reversalReason: p.reversalReason,
+    })),
+  };
+}
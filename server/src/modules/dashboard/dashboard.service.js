@@ -130,6 +130,14 @@ export async function getSummary(req) {
     feeInvoicesCount = 0;
   }
 
+  // --- Voids/reversals waiting for a second person ---
+  let feesPendingApprovals = 0;
+  try {
+    feesPendingApprovals = await prisma.feeApprovalRequest.count({ where: { schoolId, status: "PENDING" } });
+  } catch {
+    feesPendingApprovals = 0;
+  }
+
   // --- Latest exam session (real model) ---
   let latestExamSession = null;
   try {
@@ -156,6 +164,7 @@ export async function getSummary(req) {
     attendanceDraftSessionsToday: attendanceDraft,
     feesOutstandingTotal: feeOutstandingTotal,
     feesOutstandingInvoices: feeInvoicesCount,
+    feesPendingApprovals,
   };
 
   return {
@@ -180,6 +189,7 @@ export async function getSummary(req) {
       receiptsToday: feesReceiptsToday,
       outstandingTotal: feeOutstandingTotal,
       invoicesCount: feeInvoicesCount,
+      pendingApprovals: feesPendingApprovals,
     },
     exams: {
       latestSession: latestExamSession,
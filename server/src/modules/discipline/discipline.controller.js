@@ -0,0 +1,78 @@
+import * as svc from "./discipline.service.js";
+
+function fail(res, label, err) {
+  console.error(`${label} ERROR:`, err);
+  return res.status(err.statusCode || 500).json({ message: err.message || "Server error" });
+}
+
+export async function listIncidents(req, res) {
+  try {
+    return res.json({ data: await svc.listIncidents(req) });
+  } catch (err) {
+    return fail(res, "DISCIPLINE INCIDENTS", err);
+  }
+}
+
+export async function getIncident(req, res) {
+  try {
+    return res.json({ data: await svc.getIncident(req) });
+  } catch (err) {
+    return fail(res, "DISCIPLINE INCIDENT", err);
+  }
+}
+
+export async function createIncident(req, res) {
+  try {
+    return res.status(201).json({ data: await svc.createIncident(req) });
+  } catch (err) {
+    return fail(res, "DISCIPLINE INCIDENT CREATE", err);
+  }
+}
+
+export async function updateIncident(req, res) {
+  try {
+    return res.json({ data: await svc.updateIncident(req) });
+  } catch (err) {
+    return fail(res, "DISCIPLINE INCIDENT UPDATE", err);
+  }
+}
+
+export async function deleteIncident(req, res) {
+  try {
+    return res.json({ data: await svc.deleteIncident(req) });
+  } catch (err) {
+    return fail(res, "DISCIPLINE INCIDENT DELETE", err);
+  }
+}
+
+export async function addAction(req, res) {
+  try {
+    return res.status(201).json({ data: await svc.addAction(req) });
+  } catch (err) {
+    return fail(res, "DISCIPLINE ACTION ADD", err);
+  }
+}
+
+export async function deleteAction(req, res) {
+  try {
+    return res.json({ data: await svc.deleteAction(req) });
+  } catch (err) {
+    return fail(res, "DISCIPLINE ACTION DELETE", err);
+  }
+}
+
+export async function classReport(req, res) {
+  try {
+    return res.json({ data: await svc.classReport(req) });
+  } catch (err) {
+    return fail(res, "DISCIPLINE CLASS REPORT", err);
+  }
+}
+
+export async function studentReport(req, res) {
+  try {
+    return res.json({ data: await svc.studentReport(req) });
+  } catch (err) {
+    return fail(res, "DISCIPLINE STUDENT REPORT", err);
+  }
+}
@@ -0,0 +1,30 @@
+import { Router } from "express";
+
+import { requireRole } from "../../middleware/auth.js";
+import { requireTenant } from "../../middleware/tenant.js";
+import { loadSubscription } from "../../middleware/subscription.js";
+import * as ctrl from "./discipline.controller.js";
+
+/**
+ * Behaviour incidents and the actions taken (mounted under /api/discipline).
+ * Teachers log and follow up incidents for students in their classes; the service scopes
+ * every read to those students. Suspensions, deletes and the reports are ADMIN only.
+ */
+const router = Router();
+
+router.use(requireTenant);
+router.use(loadSubscription);
+
+router.get("/reports/class/:classId", requireRole("ADMIN"), ctrl.classReport);
+router.get("/reports/student/:studentId", requireRole("ADMIN"), ctrl.studentReport);
+
+router.get("/incidents", requireRole("ADMIN", "TEACHER"), ctrl.listIncidents);
+router.post("/incidents", requireRole("ADMIN", "TEACHER"), ctrl.createIncident);
+router.get("/incidents/:id", requireRole("ADMIN", "TEACHER"), ctrl.getIncident);
+router.patch("/incidents/:id", requireRole("ADMIN", "TEACHER"), ctrl.updateIncident);
+router.delete("/incidents/:id", requireRole("ADMIN"), ctrl.deleteIncident);
+
+router.post("/incidents/:id/actions", requireRole("ADMIN", "TEACHER"), ctrl.addAction);
+router.delete("/incidents/:id/actions/:actionId", requireRole("ADMIN"), ctrl.deleteAction);
+
+export default router;
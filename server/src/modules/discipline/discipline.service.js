@@ -0,0 +1,616 @@
+// src/modules/discipline/discipline.service.js
+import { prisma } from "../../lib/prisma.js";
+import { logAudit } from "../../utils/audit.js";
+import { classLabel } from "../../utils/enrollment.js";
+
+/* =========================
+   Helpers
+   ========================= */
+export const CATEGORIES = [
+  "BULLYING",
+  "FIGHTING",
+  "DISRESPECT",
+  "DISRUPTION",
+  "LATENESS",
+  "TRUANCY",
+  "CHEATING",
+  "PROPERTY_DAMAGE",
+  "THEFT",
+  "SUBSTANCE",
+  "UNIFORM",
+  "PHONE",
+  "OTHER",
+];
+const SEVERITIES = ["MINOR", "MODERATE", "SERIOUS"];
+const STATUSES = ["OPEN", "FOLLOW_UP", "RESOLVED"];
+const ACTION_TYPES = ["WARNING", "DETENTION", "SUSPENSION", "PARENT_CALLED", "OTHER"];
+
+// suspensions are a school decision; teachers record the rest themselves
+const TEACHER_ACTION_TYPES = ["WARNING", "DETENTION", "PARENT_CALLED", "OTHER"];
+
+const MAX_STUDENTS_PER_INCIDENT = 30;
+const LIST_LIMIT = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STUDENT_BRIEF = { id: true, admissionNo: true, firstName: true, lastName: true, classId: true };
+
+const INCIDENT_INCLUDE = {
+  students: {
+    select: { studentId: true, classId: true, classLabel: true, student: { select: STUDENT_BRIEF } },
+  },
+  actions: { orderBy: { createdAt: "asc" } },
+};
+
+function httpError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function requireSchoolOrThrow(req) {
+  const schoolId = req.schoolId || req.user?.schoolId;
+  if (!schoolId) throw httpError("No school selected/attached to this user.");
+  return schoolId;
+}
+
+function actorCtx(req) {
+  return {
+    actorId: req.user?.id || null,
+    actorRole: req.role || req.user?.role || null,
+    actorEmail: req.userEmail || req.user?.email || null,
+  };
+}
+
+function cleanStr(v, max = 2000) {
+  const s = String(v ?? "").trim();
+  return s ? s.slice(0, max) : null;
+}
+
+function toDateOrNull(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function pickEnum(value, allowed, field) {
+  const v = String(value ?? "").trim().toUpperCase();
+  if (!allowed.includes(v)) throw httpError(`${field} must be one of ${allowed.join(", ")}.`);
+  return v;
+}
+
+// a minute of slack for clock drift between the browser and the server
+function assertNotFuture(occurredAt) {
+  if (occurredAt.getTime() > Date.now() + 60 * 1000) throw httpError("occurredAt cannot be in the future.");
+}
+
+// inclusive day count of a suspension
+function suspensionDays(a) {
+  if (a.type !== "SUSPENSION" || !a.startDate || !a.endDate) return 0;
+  return Math.round((new Date(a.endDate) - new Date(a.startDate)) / DAY_MS) + 1;
+}
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (to is inclusive)
+function dateRange(query) {
+  const from = toDateOrNull(query?.from);
+  const to = toDateOrNull(query?.to);
+  if (query?.from && !from) throw httpError("from must be a date.");
+  if (query?.to && !to) throw httpError("to must be a date.");
+  if (!from && !to) return undefined;
+  return {
+    ...(from ? { gte: from } : {}),
+    ...(to ? { lt: new Date(to.getTime() + DAY_MS) } : {}),
+  };
+}
+
+// TEACHER scope: the classes they are class teacher of (same rule as the student lookup)
+async function teacherClassIds(req, schoolId) {
+  const teacherId = req.user?.teacherId;
+  if (!teacherId) return [];
+  const rows = await prisma.classTeacher.findMany({
+    where: {
+      teacherId: String(teacherId),
+      isActive: true,
+      class: { schoolId },
+      teacher: { schoolId },
+    },
+    select: { classId: true },
+  });
+  return rows.map((r) => r.classId);
+}
+
+/**
+ * What the caller may see of an incident. Teachers only see the students (and their actions)
+ * who are in their classes now; null when none are.
+ */
+function scopeIncident(incident, classIds) {
+  if (!classIds) return incident;
+  const students = incident.students.filter((s) => classIds.includes(s.student?.classId));
+  if (!students.length) return null;
+  const ids = new Set(students.map((s) => s.studentId));
+  return { ...incident, students, actions: incident.actions.filter((a) => ids.has(a.studentId)) };
+}
+
+async function callerScope(req, schoolId) {
+  return req.role === "TEACHER" ? teacherClassIds(req, schoolId) : null;
+}
+
+async function loadIncidentOrThrow(req, schoolId) {
+  const incident = await prisma.disciplineIncident.findFirst({
+    where: { id: String(req.params.id), schoolId },
+    include: INCIDENT_INCLUDE,
+  });
+  const scoped = incident && scopeIncident(incident, await callerScope(req, schoolId));
+  if (!scoped) throw httpError("Incident not found.", 404);
+  return scoped;
+}
+
+// ADMIN edits anything; a teacher edits the incidents they reported
+function assertCanEdit(req, incident) {
+  if (req.role === "ADMIN") return;
+  if (req.user?.teacherId && incident.reportedByTeacherId === String(req.user.teacherId)) return;
+  throw httpError("Only the reporting teacher or an admin can change this incident.", 403);
+}
+
+async function reporterFor(req, schoolId) {
+  if (req.role === "TEACHER") {
+    const teacher = await prisma.teacher.findFirst({
+      where: { id: String(req.user?.teacherId || "__none__"), schoolId },
+      select: { id: true, firstName: true, lastName: true },
+    });
+    if (!teacher) throw httpError("Forbidden", 403);
+    return teacher;
+  }
+
+  // ADMIN may log on behalf of a teacher
+  const teacherId = cleanStr(req.body?.reportedByTeacherId, 50);
+  if (!teacherId) return null;
+  const teacher = await prisma.teacher.findFirst({
+    where: { id: teacherId, schoolId },
+    select: { id: true, firstName: true, lastName: true },
+  });
+  if (!teacher) throw httpError("Reporting teacher not found.", 404);
+  return teacher;
+}
+
+/* =========================
+   Incidents
+   ========================= */
+
+// GET /api/discipline/incidents?classId&studentId&status&category&severity&from&to
+export async function listIncidents(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const q = req.query || {};
+  const classIds = await callerScope(req, schoolId);
+  if (classIds && !classIds.length) return [];
+
+  const studentWhere = {
+    ...(q.classId ? { classId: String(q.classId) } : {}),
+    ...(q.studentId ? { studentId: String(q.studentId) } : {}),
+    ...(classIds ? { student: { classId: { in: classIds } } } : {}),
+  };
+
+  const where = {
+    schoolId,
+    ...(Object.keys(studentWhere).length ? { students: { some: studentWhere } } : {}),
+    ...(q.status ? { status: pickEnum(q.status, STATUSES, "status") } : {}),
+    ...(q.category ? { category: pickEnum(q.category, CATEGORIES, "category") } : {}),
+    ...(q.severity ? { severity: pickEnum(q.severity, SEVERITIES, "severity") } : {}),
+  };
+  const occurredAt = dateRange(q);
+  if (occurredAt) where.occurredAt = occurredAt;
+
+  const rows = await prisma.disciplineIncident.findMany({
+    where,
+    orderBy: [{ occurredAt: "desc" }, { createdAt: "desc" }],
+    take: LIST_LIMIT,
+    include: INCIDENT_INCLUDE,
+  });
+  return rows.map((r) => scopeIncident(r, classIds)).filter(Boolean);
+}
+
+export async function getIncident(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  return loadIncidentOrThrow(req, schoolId);
+}
+
+/**
+ * Logs an incident for one or more students. Teachers can only name students in their classes
+ * and are recorded as the reporter; admins may name any teacher (or none).
+ */
+export async function createIncident(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const body = req.body || {};
+
+  const studentIds = [...new Set((Array.isArray(body.studentIds) ? body.studentIds : []).map(String))];
+  if (!studentIds.length) throw httpError("Pick at least one student.");
+  if (studentIds.length > MAX_STUDENTS_PER_INCIDENT) {
+    throw httpError(`At most ${MAX_STUDENTS_PER_INCIDENT} students per incident.`);
+  }
+
+  const category = pickEnum(body.category, CATEGORIES, "category");
+  const severity = body.severity ? pickEnum(body.severity, SEVERITIES, "severity") : "MINOR";
+  const description = cleanStr(body.description);
+  if (!description) throw httpError("Describe what happened.");
+
+  const occurredAt = body.occurredAt ? toDateOrNull(body.occurredAt) : new Date();
+  if (!occurredAt) throw httpError("occurredAt must be a date.");
+  assertNotFuture(occurredAt);
+
+  const students = await prisma.student.findMany({
+    where: { id: { in: studentIds }, schoolId },
+    select: { ...STUDENT_BRIEF, class: { select: { name: true, stream: true, year: true } } },
+  });
+  if (students.length !== studentIds.length) throw httpError("One or more students were not found.", 404);
+
+  const classIds = await callerScope(req, schoolId);
+  if (classIds && students.some((s) => !classIds.includes(s.classId))) {
+    throw httpError("You can only log incidents for students in your classes.", 403);
+  }
+
+  const reporter = await reporterFor(req, schoolId);
+
+  const incident = await prisma.disciplineIncident.create({
+    data: {
+      schoolId,
+      category,
+      severity,
+      description,
+      location: cleanStr(body.location, 120),
+      occurredAt,
+      reportedByTeacherId: reporter?.id || null,
+      reportedByName: reporter ? `${reporter.firstName} ${reporter.lastName}`.trim() : null,
+      createdBy: req.user?.id || null,
+      createdByEmail: req.userEmail || req.user?.email || null,
+      students: {
+        create: students.map((s) => ({
+          schoolId,
+          studentId: s.id,
+          classId: s.classId,
+          classLabel: s.class ? classLabel(s.class) : null,
+        })),
+      },
+    },
+    include: INCIDENT_INCLUDE,
+  });
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "DISCIPLINE_INCIDENT_CREATED",
+    targetType: "DISCIPLINE_INCIDENT",
+    targetId: incident.id,
+    metadata: {
+      category,
+      severity,
+      occurredAt,
+      admissionNos: students.map((s) => s.admissionNo),
+    },
+  });
+
+  return incident;
+}
+
+// Details, follow-up status and notes. RESOLVED stamps resolvedAt; reopening clears it.
+export async function updateIncident(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const incident = await loadIncidentOrThrow(req, schoolId);
+  assertCanEdit(req, incident);
+
+  const body = req.body || {};
+  const data = {};
+
+  if ("category" in body) data.category = pickEnum(body.category, CATEGORIES, "category");
+  if ("severity" in body) data.severity = pickEnum(body.severity, SEVERITIES, "severity");
+  if ("description" in body) {
+    data.description = cleanStr(body.description);
+    if (!data.description) throw httpError("Describe what happened.");
+  }
+  if ("location" in body) data.location = cleanStr(body.location, 120);
+  if ("occurredAt" in body) {
+    data.occurredAt = toDateOrNull(body.occurredAt);
+    if (!data.occurredAt) throw httpError("occurredAt must be a date.");
+    assertNotFuture(data.occurredAt);
+  }
+  if ("followUpNotes" in body) data.followUpNotes = cleanStr(body.followUpNotes);
+  if ("followUpDate" in body) {
+    data.followUpDate = body.followUpDate ? toDateOrNull(body.followUpDate) : null;
+    if (body.followUpDate && !data.followUpDate) throw httpError("followUpDate must be a date.");
+  }
+  if ("status" in body) {
+    data.status = pickEnum(body.status, STATUSES, "status");
+    if (data.status !== incident.status) data.resolvedAt = data.status === "RESOLVED" ? new Date() : null;
+  }
+
+  const changed = Object.keys(data).filter((k) => k !== "resolvedAt");
+  if (!changed.length) return incident;
+
+  const updated = await prisma.disciplineIncident.update({
+    where: { id: incident.id },
+    data,
+    include: INCIDENT_INCLUDE,
+  });
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "DISCIPLINE_INCIDENT_UPDATED",
+    targetType: "DISCIPLINE_INCIDENT",
+    targetId: incident.id,
+    metadata: {
+      fields: changed,
+      ...(data.status ? { statusFrom: incident.status, statusTo: data.status } : {}),
+    },
+  });
+
+  return scopeIncident(updated, await callerScope(req, schoolId));
+}
+
+// ADMIN only (route): removes the incident and its actions
+export async function deleteIncident(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const incident = await loadIncidentOrThrow(req, schoolId);
+
+  await prisma.disciplineIncident.delete({ where: { id: incident.id } });
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "DISCIPLINE_INCIDENT_DELETED",
+    targetType: "DISCIPLINE_INCIDENT",
+    targetId: incident.id,
+    metadata: {
+      category: incident.category,
+      occurredAt: incident.occurredAt,
+      admissionNos: incident.students.map((s) => s.student?.admissionNo),
+      actions: incident.actions.length,
+    },
+  });
+
+  return { id: incident.id, deleted: true };
+}
+
+/* =========================
+   Actions taken
+   ========================= */
+
+/**
+ * Records an action against one student of the incident. An OPEN incident moves to FOLLOW_UP.
+ * Suspensions need start and end dates (ADMIN only); detentions need their date.
+ */
+export async function addAction(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const incident = await loadIncidentOrThrow(req, schoolId);
+  const body = req.body || {};
+
+  const type = pickEnum(body.type, ACTION_TYPES, "type");
+  if (req.role !== "ADMIN" && !TEACHER_ACTION_TYPES.includes(type)) {
+    throw httpError("Only an admin can record a suspension.", 403);
+  }
+
+  const studentId = String(body.studentId || "");
+  const target = incident.students.find((s) => s.studentId === studentId);
+  if (!target) throw httpError("That student is not part of this incident.");
+
+  const startDate = body.startDate ? toDateOrNull(body.startDate) : null;
+  const endDate = body.endDate ? toDateOrNull(body.endDate) : null;
+  if ((body.startDate && !startDate) || (body.endDate && !endDate)) throw httpError("Dates must be valid dates.");
+  if (type === "SUSPENSION") {
+    if (!startDate || !endDate) throw httpError("A suspension needs a start and an end date.");
+    if (endDate < startDate) throw httpError("The suspension cannot end before it starts.");
+  }
+  if (type === "DETENTION" && !startDate) throw httpError("Pick the detention date.");
+
+  const action = await prisma.$transaction(async (tx) => {
+    const created = await tx.disciplineAction.create({
+      data: {
+        schoolId,
+        incidentId: incident.id,
+        studentId,
+        type,
+        startDate,
+        endDate: type === "SUSPENSION" ? endDate : null,
+        notes: cleanStr(body.notes),
+        createdBy: req.user?.id || null,
+        createdByEmail: req.userEmail || req.user?.email || null,
+      },
+    });
+    if (incident.status === "OPEN") {
+      await tx.disciplineIncident.update({ where: { id: incident.id }, data: { status: "FOLLOW_UP" } });
+    }
+    return created;
+  });
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "DISCIPLINE_ACTION_ADDED",
+    targetType: "DISCIPLINE_INCIDENT",
+    targetId: incident.id,
+    metadata: {
+      actionId: action.id,
+      type,
+      admissionNo: target.student?.admissionNo,
+      startDate,
+      endDate: action.endDate,
+    },
+  });
+
+  return action;
+}
+
+// ADMIN only (route)
+export async function deleteAction(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const incident = await loadIncidentOrThrow(req, schoolId);
+
+  const action = incident.actions.find((a) => a.id === String(req.params.actionId));
+  if (!action) throw httpError("Action not found.", 404);
+
+  await prisma.disciplineAction.delete({ where: { id: action.id } });
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "DISCIPLINE_ACTION_DELETED",
+    targetType: "DISCIPLINE_INCIDENT",
+    targetId: incident.id,
+    metadata: { actionId: action.id, type: action.type, studentId: action.studentId },
+  });
+
+  return { id: action.id, deleted: true };
+}
+
+/* =========================
+   Reports (ADMIN)
+   ========================= */
+function emptyTotals() {
+  return {
+    incidents: 0,
+    open: 0,
+    byCategory: {},
+    bySeverity: Object.fromEntries(SEVERITIES.map((s) => [s, 0])),
+    actions: Object.fromEntries(ACTION_TYPES.map((t) => [t, 0])),
+    suspensionDays: 0,
+  };
+}
+
+function countIncident(totals, incident) {
+  totals.incidents += 1;
+  if (incident.status !== "RESOLVED") totals.open += 1;
+  totals.byCategory[incident.category] = (totals.byCategory[incident.category] || 0) + 1;
+  totals.bySeverity[incident.severity] += 1;
+}
+
+function countAction(totals, a) {
+  totals.actions[a.type] += 1;
+  totals.suspensionDays += suspensionDays(a);
+}
+
+// Incidents recorded against the class (its class at the time), with a per-student breakdown
+export async function classReport(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const classId = String(req.params.classId);
+
+  const klass = await prisma.class.findFirst({
+    where: { id: classId, schoolId },
+    select: { id: true, name: true, stream: true, year: true },
+  });
+  if (!klass) throw httpError("Class not found.", 404);
+
+  const occurredAt = dateRange(req.query);
+  const rows = await prisma.disciplineIncidentStudent.findMany({
+    where: { schoolId, classId, ...(occurredAt ? { incident: { occurredAt } } : {}) },
+    select: {
+      studentId: true,
+      student: { select: STUDENT_BRIEF },
+      incident: {
+        select: {
+          id: true,
+          category: true,
+          severity: true,
+          status: true,
+          occurredAt: true,
+          actions: { select: { studentId: true, type: true, startDate: true, endDate: true } },
+        },
+      },
+    },
+  });
+
+  const totals = emptyTotals();
+  const seen = new Set();
+  const byStudent = new Map();
+
+  for (const r of rows) {
+    const inc = r.incident;
+    if (!seen.has(inc.id)) {
+      seen.add(inc.id);
+      countIncident(totals, inc);
+    }
+
+    let s = byStudent.get(r.studentId);
+    if (!s) {
+      s = { student: r.student, ...emptyTotals(), lastIncidentAt: null };
+      byStudent.set(r.studentId, s);
+    }
+    countIncident(s, inc);
+    if (!s.lastIncidentAt || inc.occurredAt > s.lastIncidentAt) s.lastIncidentAt = inc.occurredAt;
+
+    for (const a of inc.actions) {
+      if (a.studentId !== r.studentId) continue;
+      countAction(totals, a);
+      countAction(s, a);
+    }
+  }
+
+  const students = [...byStudent.values()].sort(
+    (a, b) => b.incidents - a.incidents || b.bySeverity.SERIOUS - a.bySeverity.SERIOUS
+  );
+
+  return {
+    class: { id: klass.id, label: classLabel(klass) },
+    from: req.query?.from || null,
+    to: req.query?.to || null,
+    totals,
+    students,
+  };
+}
+
+export async function studentReport(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const student = await prisma.student.findFirst({
+    where: { id: String(req.params.studentId), schoolId },
+    select: { ...STUDENT_BRIEF, isActive: true, class: { select: { name: true, stream: true, year: true } } },
+  });
+  if (!student) throw httpError("Student not found.", 404);
+
+  const occurredAt = dateRange(req.query);
+  const incidents = await studentIncidents(schoolId, student.id, occurredAt);
+
+  const totals = emptyTotals();
+  for (const inc of incidents) {
+    countIncident(totals, inc);
+    inc.actions.forEach((a) => countAction(totals, a));
+  }
+
+  return {
+    student: { ...student, classLabel: student.class ? classLabel(student.class) : null },
+    from: req.query?.from || null,
+    to: req.query?.to || null,
+    totals,
+    incidents,
+  };
+}
+
+/**
+ * One student's incidents (newest first) with only the actions taken against them.
+ * Also feeds the student profile timeline (GET /api/students/:id/history).
+ */
+export async function studentIncidents(schoolId, studentId, occurredAt) {
+  const rows = await prisma.disciplineIncident.findMany({
+    where: {
+      schoolId,
+      students: { some: { studentId } },
+      ...(occurredAt ? { occurredAt } : {}),
+    },
+    orderBy: [{ occurredAt: "desc" }, { createdAt: "desc" }],
+    select: {
+      id: true,
+      category: true,
+      severity: true,
+      description: true,
+      location: true,
+      occurredAt: true,
+      status: true,
+      reportedByName: true,
+      students: { where: { studentId }, select: { classLabel: true } },
+      actions: { where: { studentId }, orderBy: { createdAt: "asc" } },
+    },
+  });
+
+  return rows.map(({ students, ...r }) => ({ ...r, classLabel: students[0]?.classLabel || null }));
+}
@@ -0,0 +1,61 @@
+import * as svc from "./documents.service.js";
+
+function fail(res, label, err) {
+  console.error(`${label} ERROR:`, err);
+  return res.status(err.statusCode || 500).json({ message: err.message || "Server error" });
+}
+
+// RFC 5987 filename so non-ASCII names survive the download
+function contentDisposition(kind, fileName) {
+  const ascii = String(fileName).replace(/[^\x20-\x7e]/g, "_").replace(/"/g, "");
+  return `${kind}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+export async function listDocuments(req, res) {
+  try {
+    return res.json({ data: await svc.listDocuments(req) });
+  } catch (err) {
+    return fail(res, "STUDENT DOCUMENTS", err);
+  }
+}
+
+export async function uploadDocument(req, res) {
+  try {
+    return res.status(201).json({ data: await svc.uploadDocument(req) });
+  } catch (err) {
+    return fail(res, "STUDENT DOCUMENT UPLOAD", err);
+  }
+}
+
+export async function downloadDocument(req, res) {
+  try {
+    const { doc, buffer } = await svc.getDocumentFile(req);
+    const kind = String(req.query?.inline) === "1" ? "inline" : "attachment";
+
+    res.setHeader("Content-Type", doc.mimeType);
+    res.setHeader("Content-Disposition", contentDisposition(kind, doc.fileName));
+    res.setHeader("Cache-Control", "private, no-store");
+    return res.send(buffer);
+  } catch (err) {
+    return fail(res, "STUDENT DOCUMENT DOWNLOAD", err);
+  }
+}
+
+export async function deleteDocument(req, res) {
+  try {
+    return res.json({ data: await svc.deleteDocument(req) });
+  } catch (err) {
+    return fail(res, "STUDENT DOCUMENT DELETE", err);
+  }
+}
+
+export async function getPhoto(req, res) {
+  try {
+    const photo = await svc.getPhoto(req);
+    res.setHeader("Content-Type", photo.mimeType);
+    res.setHeader("Cache-Control", "private, max-age=300");
+    return res.send(photo.buffer);
+  } catch (err) {
+    return fail(res, "STUDENT PHOTO", err);
+  }
+}
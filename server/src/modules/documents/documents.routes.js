@@ -0,0 +1,46 @@
+import { Router } from "express";
+import multer from "multer";
+
+import { requireRole } from "../../middleware/auth.js";
+import { requireTenant } from "../../middleware/tenant.js";
+import { loadSubscription } from "../../middleware/subscription.js";
+import * as ctrl from "./documents.controller.js";
+import { MAX_UPLOAD_BYTES } from "./documents.service.js";
+
+/**
+ * Student photo + document attachments (mounted under /api/students/:studentId/documents).
+ * Files are served only through these routes; the service checks school, portal and teacher scope.
+ * ADMIN uploads and deletes; teachers see documents of students they teach.
+ * The photo is readable by everyone who can see the student (slips, ID cards, parent portal).
+ */
+const router = Router({ mergeParams: true });
+
+router.use(requireTenant);
+router.use(loadSubscription);
+
+// kept in memory until the service has checked the bytes, then handed to the storage driver
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (_req, file, cb) => {
+    const ok = /^(image\/(jpeg|png|webp)|application\/pdf)$/.test(file.mimetype || "");
+    cb(ok ? null : new Error("Upload a PDF, JPG, PNG or WEBP file"), ok);
+  },
+});
+
+function uploadFile(req, res, next) {
+  return upload.single("file")(req, res, (err) => {
+    if (err?.code === "LIMIT_FILE_SIZE") return res.status(400).json({ message: "File is too large" });
+    if (err) return res.status(400).json({ message: err?.message || "Upload failed" });
+    return next();
+  });
+}
+
+router.get("/photo", requireRole("ADMIN", "TEACHER", "BURSAR", "STUDENT", "GUARDIAN"), ctrl.getPhoto);
+
+router.get("/", requireRole("ADMIN", "TEACHER"), ctrl.listDocuments);
+router.get("/:docId/download", requireRole("ADMIN", "TEACHER"), ctrl.downloadDocument);
+router.post("/", requireRole("ADMIN"), uploadFile, ctrl.uploadDocument);
+router.delete("/:docId", requireRole("ADMIN"), ctrl.deleteDocument);
+
+export default router;
@@ -0,0 +1,291 @@
+// src/modules/documents/documents.service.js
+import crypto from "crypto";
+import path from "path";
+
+import { prisma } from "../../lib/prisma.js";
+import { logAudit } from "../../utils/audit.js";
+import { canAccessStudent, hasMedicalAccess } from "../../middleware/tenant.js";
+import { getStorage, schoolKey } from "../../services/storage/index.js";
+
+/* =========================
+   Helpers
+   ========================= */
+export const DOCUMENT_TYPES = ["PHOTO", "BIRTH_CERTIFICATE", "TRANSFER_LETTER", "MEDICAL_FORM", "OTHER"];
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// what each document type accepts; the file's own bytes decide its type, not the browser's label
+const RULES = {
+  PHOTO: { mimeTypes: IMAGE_TYPES, maxBytes: 2 * 1024 * 1024, hint: "a JPG, PNG or WEBP image" },
+  DEFAULT: { mimeTypes: [...IMAGE_TYPES, "application/pdf"], maxBytes: 10 * 1024 * 1024, hint: "a PDF or image" },
+};
+
+export const MAX_UPLOAD_BYTES = RULES.DEFAULT.maxBytes;
+
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+};
+
+const DOCUMENT_SELECT = {
+  id: true,
+  studentId: true,
+  type: true,
+  title: true,
+  fileName: true,
+  mimeType: true,
+  size: true,
+  uploadedByEmail: true,
+  createdAt: true,
+};
+
+function httpError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function requireSchoolOrThrow(req) {
+  const schoolId = req.schoolId || req.user?.schoolId;
+  if (!schoolId) throw httpError("No school selected/attached to this user.");
+  return schoolId;
+}
+
+function actorCtx(req) {
+  return {
+    actorId: req.user?.id || null,
+    actorRole: req.role || req.user?.role || null,
+    actorEmail: req.user?.email || null,
+  };
+}
+
+function cleanStr(v) {
+  const s = String(v ?? "").trim();
+  return s || null;
+}
+
+function mb(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+// Magic numbers for the formats we accept.
+function sniffMimeType(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf.subarray(0, 5).toString("latin1") === "%PDF-") return "application/pdf";
+  if (buf[0] === 0x89 && buf.subarray(1, 4).toString("latin1") === "PNG") return "image/png";
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (buf.subarray(0, 4).toString("latin1") === "RIFF" && buf.subarray(8, 12).toString("latin1") === "WEBP") {
+    return "image/webp";
+  }
+  return null;
+}
+
+// TEACHER: only students in a class they teach (class teacher or subject assignment)
+async function teacherTeachesClass(req, classId) {
+  const teacherId = req.user?.teacherId;
+  if (!teacherId || !classId) return false;
+
+  const where = { teacherId: String(teacherId), classId, isActive: true };
+  const [ct, ta] = await Promise.all([
+    prisma.classTeacher.findFirst({ where, select: { id: true } }),
+    prisma.teachingAssignment.findFirst({ where, select: { id: true } }),
+  ]);
+  return !!(ct || ta);
+}
+
+async function loadStudentOrThrow(req, schoolId) {
+  const studentId = String(req.params.studentId);
+  if (!canAccessStudent(req, studentId)) throw httpError("Student not found.", 404);
+
+  const student = await prisma.student.findFirst({
+    where: { id: studentId, schoolId },
+    select: { id: true, classId: true, admissionNo: true },
+  });
+  if (!student) throw httpError("Student not found.", 404);
+
+  if (req.role === "TEACHER" && !(await teacherTeachesClass(req, student.classId))) {
+    throw httpError("Forbidden: not your student.", 403);
+  }
+  return student;
+}
+
+/* =========================
+   Documents
+   ========================= */
+export async function listDocuments(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const student = await loadStudentOrThrow(req, schoolId);
+
+  return prisma.studentDocument.findMany({
+    // medical forms follow the medical profile's restriction
+    where: { schoolId, studentId: student.id, ...(hasMedicalAccess(req) ? {} : { type: { not: "MEDICAL_FORM" } }) },
+    orderBy: [{ type: "asc" }, { createdAt: "desc" }],
+    select: DOCUMENT_SELECT,
+  });
+}
+
+/**
+ * Stores an upload (multipart field "file", plus type and optional title).
+ * A new PHOTO replaces the previous one; other types accumulate.
+ */
+export async function uploadDocument(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const student = await loadStudentOrThrow(req, schoolId);
+
+  const type = String(req.body?.type || "").trim().toUpperCase();
+  if (!DOCUMENT_TYPES.includes(type)) throw httpError(`type must be one of ${DOCUMENT_TYPES.join(", ")}.`);
+  if (!req.file?.buffer?.length) throw httpError("Choose a file to upload.");
+
+  const rule = RULES[type] || RULES.DEFAULT;
+  const mimeType = sniffMimeType(req.file.buffer);
+  if (!mimeType || !rule.mimeTypes.includes(mimeType)) throw httpError(`Upload ${rule.hint}.`);
+  if (req.file.size > rule.maxBytes) throw httpError(`File is too large (max ${mb(rule.maxBytes)}).`);
+
+  const ext = EXTENSIONS[mimeType];
+  const baseName = path.basename(cleanStr(req.file.originalname) || `${type.toLowerCase()}${ext}`).slice(0, 200);
+  const storageKey = schoolKey(schoolId, "students", student.id, `${type.toLowerCase()}-${crypto.randomUUID()}${ext}`);
+  const sha256 = crypto.createHash("sha256").update(req.file.buffer).digest("hex");
+
+  const storage = getStorage();
+  await storage.put(storageKey, req.file.buffer, { contentType: mimeType });
+
+  let replaced = [];
+  let doc;
+  try {
+    doc = await prisma.$transaction(async (tx) => {
+      if (type === "PHOTO") {
+        replaced = await tx.studentDocument.findMany({
+          where: { schoolId, studentId: student.id, type: "PHOTO" },
+          select: { id: true, storageKey: true },
+        });
+        if (replaced.length) {
+          await tx.studentDocument.deleteMany({ where: { id: { in: replaced.map((d) => d.id) } } });
+        }
+      }
+
+      return tx.studentDocument.create({
+        data: {
+          schoolId,
+          studentId: student.id,
+          type,
+          title: cleanStr(req.body?.title)?.slice(0, 200) || null,
+          fileName: baseName,
+          mimeType,
+          size: req.file.size,
+          sha256,
+          storageKey,
+          uploadedBy: req.user?.id || null,
+          uploadedByEmail: req.user?.email || null,
+        },
+        select: DOCUMENT_SELECT,
+      });
+    });
+  } catch (err) {
+    await storage.remove(storageKey).catch(() => {});
+    throw err;
+  }
+
+  // old photo bytes go once the new row is committed
+  for (const old of replaced) {
+    await storage.remove(old.storageKey).catch((e) => console.error("STORAGE REMOVE ERROR:", e));
+  }
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "STUDENT_DOCUMENT_UPLOADED",
+    targetType: "STUDENT",
+    targetId: student.id,
+    metadata: { documentId: doc.id, type, fileName: doc.fileName, size: doc.size, replaced: replaced.length },
+  });
+
+  return doc;
+}
+
+export async function getDocumentFile(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const student = await loadStudentOrThrow(req, schoolId);
+
+  const doc = await prisma.studentDocument.findFirst({
+    where: { id: String(req.params.docId), schoolId, studentId: student.id },
+  });
+  if (!doc || (doc.type === "MEDICAL_FORM" && !hasMedicalAccess(req))) throw httpError("Document not found.", 404);
+
+  const buffer = await getStorage().get(doc.storageKey);
+
+  if (doc.type === "MEDICAL_FORM") {
+    await logAudit({
+      req,
+      ...actorCtx(req),
+      schoolId,
+      action: "STUDENT_MEDICAL_VIEWED",
+      targetType: "STUDENT",
+      targetId: student.id,
+      metadata: { admissionNo: student.admissionNo, documentId: doc.id },
+    });
+  }
+  return { doc, buffer };
+}
+
+export async function deleteDocument(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const student = await loadStudentOrThrow(req, schoolId);
+
+  const doc = await prisma.studentDocument.findFirst({
+    where: { id: String(req.params.docId), schoolId, studentId: student.id },
+  });
+  if (!doc) throw httpError("Document not found.", 404);
+
+  await prisma.studentDocument.delete({ where: { id: doc.id } });
+  await getStorage()
+    .remove(doc.storageKey)
+    .catch((e) => console.error("STORAGE REMOVE ERROR:", e));
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "STUDENT_DOCUMENT_DELETED",
+    targetType: "STUDENT",
+    targetId: student.id,
+    metadata: { documentId: doc.id, type: doc.type, fileName: doc.fileName },
+  });
+
+  return { id: doc.id };
+}
+
+/* =========================
+   Photo
+   ========================= */
+
+/**
+ * Current passport photo bytes for a student, or null. No access checks: for server-side
+ * renderers (PDFs) that have already scoped the student to the school.
+ */
+export async function readStudentPhoto(schoolId, studentId) {
+  const doc = await prisma.studentDocument.findFirst({
+    where: { schoolId, studentId: String(studentId), type: "PHOTO" },
+    orderBy: { createdAt: "desc" },
+    select: { storageKey: true, mimeType: true },
+  });
+  if (!doc) return null;
+
+  try {
+    return { buffer: await getStorage().get(doc.storageKey), mimeType: doc.mimeType };
+  } catch (err) {
+    if (err?.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+export async function getPhoto(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const student = await loadStudentOrThrow(req, schoolId);
+
+  const photo = await readStudentPhoto(schoolId, student.id);
+  if (!photo) throw httpError("No photo on file.", 404);
+  return photo;
+}
@@ -1,5 +1,6 @@
 // src/modules/exams/exams.controllers.js
 import * as svc from "./exams.services.js";
+import * as scales from "./exams.gradeScales.js";
 
 export async function wrap(req, res, fn) {
   try {
@@ -26,4 +27,14 @@ export const unlockMarkSheet = (req, res) => wrap(req, res, svc.unlockMarkSheet)
 
 export const publishResults = (req, res) => wrap(req, res, svc.publishResults);
 export const getClassResults = (req, res) => wrap(req, res, svc.getClassResults);
-export const getStudentResults = (req, res) => wrap(req, res, svc.getStudentResults);
\ No newline at end of file
+export const getStudentResults = (req, res) => wrap(req, res, svc.getStudentResults);
+export const listStudentResultSessions = (req, res) => wrap(req, res, svc.listStudentResultSessions);
+export const getTermAggregate = (req, res) => wrap(req, res, svc.getTermAggregate);
+
+export const listGradeScales = (req, res) => wrap(req, res, scales.listGradeScales);
+export const getGradeScale = (req, res) => wrap(req, res, scales.getGradeScale);
+export const createGradeScale = (req, res) => wrap(req, res, scales.createGradeScale);
+export const updateGradeScale = (req, res) => wrap(req, res, scales.updateGradeScale);
+export const deleteGradeScale = (req, res) => wrap(req, res, scales.deleteGradeScale);
+export const setDefaultGradeScale = (req, res) => wrap(req, res, scales.setDefaultGradeScale);
+export const setSubjectGradeScale = (req, res) => wrap(req, res, scales.setSubjectGradeScale);
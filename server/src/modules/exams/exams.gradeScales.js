@@ -0,0 +1,347 @@
+// src/modules/exams/exams.gradeScales.js
+import { ExamAuditAction, GradeScaleStatus } from "@prisma/client";
+import { prisma } from "../../lib/prisma.js";
+import { clearSettingsCache } from "../../middleware/features.js";
+import { assertCuid, validateGradeBands } from "./exams.validators.js";
+import { buildAuditPayload } from "./exams.utils.js";
+import { DEFAULT_GRADE_BANDS, toEngineBands } from "./exams.grades.js";
+
+const gradeScaleSelect = {
+  id: true,
+  name: true,
+  status: true,
+  createdAt: true,
+  updatedAt: true,
+  bands: {
+    orderBy: { minScore: "desc" },
+    select: { id: true, label: true, minScore: true, maxScore: true, remark: true, points: true },
+  },
+  subjects: { select: { id: true, name: true, code: true } },
+};
+
+async function audit(schoolId, data) {
+  return prisma.examAuditLog.create({ data: { schoolId, ...data } });
+}
+
+function cleanStr(v) {
+  return typeof v === "string" ? v.trim() : "";
+}
+
+async function getDefaultScaleId(schoolId) {
+  const settings = await prisma.schoolSettings.findUnique({
+    where: { schoolId },
+    select: { defaultGradeScaleId: true },
+  });
+  return settings?.defaultGradeScaleId || null;
+}
+
+async function findScaleOrThrow(schoolId, id) {
+  const scale = await prisma.gradeScale.findFirst({
+    where: { id, schoolId },
+    select: gradeScaleSelect,
+  });
+  if (!scale) throw Object.assign(new Error("Grade scale not found."), { statusCode: 404 });
+  return scale;
+}
+
+function rethrowDuplicateName(e) {
+  if (e?.code === "P2002") {
+    throw Object.assign(new Error("A grade scale with this name already exists."), { statusCode: 409 });
+  }
+  throw e;
+}
+
+// ────────────────────────────────────────────────
+// Grading context (used by results)
+// ────────────────────────────────────────────────
+
+/**
+ * Resolves which bands grade a session: the school default scale (or the built-in
+ * DEFAULT_GRADE_BANDS) plus any per-subject overrides.
+ * `db` may be the prisma client or a transaction client.
+ */
+export async function loadGradingContext(db, schoolId) {
+  const [settings, overrides] = await Promise.all([
+    db.schoolSettings.findUnique({
+      where: { schoolId },
+      select: {
+        defaultGradeScale: {
+          select: {
+            id: true,
+            name: true,
+            status: true,
+            bands: { select: { label: true, minScore: true, maxScore: true, remark: true, points: true } },
+          },
+        },
+      },
+    }),
+    db.subject.findMany({
+      where: { schoolId, gradeScaleId: { not: null }, gradeScale: { status: GradeScaleStatus.ACTIVE } },
+      select: {
+        id: true,
+        gradeScale: {
+          select: { bands: { select: { label: true, minScore: true, maxScore: true, remark: true, points: true } } },
+        },
+      },
+    }),
+  ]);
+
+  const scale = settings?.defaultGradeScale;
+  const useScale = scale && scale.status === GradeScaleStatus.ACTIVE && scale.bands.length > 0;
+
+  const subjectBands = new Map();
+  for (const s of overrides) {
+    if (s.gradeScale?.bands?.length) subjectBands.set(s.id, toEngineBands(s.gradeScale.bands));
+  }
+
+  return {
+    scale: useScale ? { id: scale.id, name: scale.name } : null,
+    bands: useScale ? toEngineBands(scale.bands) : DEFAULT_GRADE_BANDS,
+    subjectBands,
+  };
+}
+
+// ────────────────────────────────────────────────
+// Grade Scales CRUD
+// ────────────────────────────────────────────────
+export async function listGradeScales(req) {
+  const schoolId = req.user.schoolId;
+
+  const [scales, defaultId] = await Promise.all([
+    prisma.gradeScale.findMany({
+      where: { schoolId },
+      orderBy: [{ status: "asc" }, { name: "asc" }],
+      select: gradeScaleSelect,
+    }),
+    getDefaultScaleId(schoolId),
+  ]);
+
+  return {
+    defaultGradeScaleId: defaultId,
+    builtInBands: DEFAULT_GRADE_BANDS,
+    scales: scales.map((s) => ({ ...s, isDefault: s.id === defaultId })),
+  };
+}
+
+export async function getGradeScale(req) {
+  const schoolId = req.user.schoolId;
+  const id = assertCuid("gradeScaleId", req.params?.id);
+
+  const [scale, defaultId] = await Promise.all([findScaleOrThrow(schoolId, id), getDefaultScaleId(schoolId)]);
+  return { ...scale, isDefault: scale.id === defaultId };
+}
+
+export async function createGradeScale(req) {
+  const schoolId = req.user.schoolId;
+  const actorUserId = req.user.id;
+
+  const name = cleanStr(req.body?.name);
+  if (!name) throw Object.assign(new Error("Name is required."), { statusCode: 400 });
+
+  const bands = validateGradeBands(req.body?.bands);
+  const makeDefault = req.body?.makeDefault === true;
+
+  const created = await prisma
+    .$transaction(async (tx) => {
+      const scale = await tx.gradeScale.create({
+        data: { schoolId, name, status: GradeScaleStatus.ACTIVE },
+        select: { id: true },
+      });
+
+      await tx.gradeBand.createMany({
+        data: bands.map((b) => ({ schoolId, gradeScaleId: scale.id, ...b })),
+      });
+
+      if (makeDefault) {
+        await tx.schoolSettings.upsert({
+          where: { schoolId },
+          create: { schoolId, defaultGradeScaleId: scale.id },
+          update: { defaultGradeScaleId: scale.id },
+        });
+      }
+
+      return tx.gradeScale.findUnique({ where: { id: scale.id }, select: gradeScaleSelect });
+    })
+    .catch(rethrowDuplicateName);
+
+  if (makeDefault) clearSettingsCache(schoolId);
+
+  await audit(schoolId, buildAuditPayload({
+    action: ExamAuditAction.CREATE,
+    entityType: "GradeScale",
+    entityId: created.id,
+    actorUserId,
+    after: { name: created.name, bands: created.bands.length, isDefault: makeDefault },
+  }));
+
+  return { ...created, isDefault: makeDefault };
+}
+
+export async function updateGradeScale(req) {
+  const schoolId = req.user.schoolId;
+  const actorUserId = req.user.id;
+  const id = assertCuid("gradeScaleId", req.params?.id);
+
+  const before = await findScaleOrThrow(schoolId, id);
+  const defaultId = await getDefaultScaleId(schoolId);
+
+  const data = {};
+  if (req.body?.name !== undefined) {
+    const name = cleanStr(req.body.name);
+    if (!name) throw Object.assign(new Error("Name cannot be empty."), { statusCode: 400 });
+    data.name = name;
+  }
+
+  if (req.body?.status !== undefined) {
+    const status = String(req.body.status).toUpperCase();
+    if (!Object.values(GradeScaleStatus).includes(status)) {
+      throw Object.assign(new Error(`Invalid status. Allowed: ${Object.values(GradeScaleStatus).join(", ")}`), {
+        statusCode: 400,
+      });
+    }
+    if (status === GradeScaleStatus.INACTIVE && id === defaultId) {
+      throw Object.assign(new Error("Cannot deactivate the default grade scale."), { statusCode: 400 });
+    }
+    data.status = status;
+  }
+
+  const bands = req.body?.bands !== undefined ? validateGradeBands(req.body.bands) : null;
+
+  const updated = await prisma
+    .$transaction(async (tx) => {
+      if (Object.keys(data).length) {
+        await tx.gradeScale.update({ where: { id }, data });
+      }
+
+      // Bands are replaced as a whole so the scale is never half-valid.
+      if (bands) {
+        await tx.gradeBand.deleteMany({ where: { schoolId, gradeScaleId: id } });
+        await tx.gradeBand.createMany({
+          data: bands.map((b) => ({ schoolId, gradeScaleId: id, ...b })),
+        });
+      }
+
+      return tx.gradeScale.findUnique({ where: { id }, select: gradeScaleSelect });
+    })
+    .catch(rethrowDuplicateName);
+
+  await audit(schoolId, buildAuditPayload({
+    action: ExamAuditAction.UPDATE,
+    entityType: "GradeScale",
+    entityId: id,
+    actorUserId,
+    before: { name: before.name, status: before.status, bands: before.bands },
+    after: { name: updated.name, status: updated.status, bands: updated.bands },
+  }));
+
+  return { ...updated, isDefault: id === defaultId };
+}
+
+export async function deleteGradeScale(req) {
+  const schoolId = req.user.schoolId;
+  const actorUserId = req.user.id;
+  const id = assertCuid("gradeScaleId", req.params?.id);
+
+  const scale = await findScaleOrThrow(schoolId, id);
+
+  if (id === (await getDefaultScaleId(schoolId))) {
+    throw Object.assign(new Error("Cannot delete the default grade scale. Choose another default first."), {
+      statusCode: 400,
+    });
+  }
+
+  // Published snapshots keep their grades, but keep the scale for traceability.
+  const usedByPublish = await prisma.resultPublish.count({ where: { schoolId, gradeScaleId: id } });
+
+  if (usedByPublish > 0) {
+    await prisma.gradeScale.update({ where: { id }, data: { status: GradeScaleStatus.INACTIVE } });
+  } else {
+    await prisma.gradeScale.delete({ where: { id } });
+  }
+
+  await audit(schoolId, buildAuditPayload({
+    action: usedByPublish > 0 ? ExamAuditAction.UPDATE : ExamAuditAction.DELETE,
+    entityType: "GradeScale",
+    entityId: id,
+    actorUserId,
+    before: { name: scale.name, status: scale.status },
+    after: usedByPublish > 0 ? { status: GradeScaleStatus.INACTIVE } : null,
+  }));
+
+  return { id, archived: usedByPublish > 0 };
+}
+
+export async function setDefaultGradeScale(req) {
+  const schoolId = req.user.schoolId;
+  const actorUserId = req.user.id;
+
+  const raw = req.body?.gradeScaleId;
+  const gradeScaleId = raw === null || raw === "" ? null : assertCuid("gradeScaleId", raw);
+
+  if (gradeScaleId) {
+    const scale = await findScaleOrThrow(schoolId, gradeScaleId);
+    if (scale.status !== GradeScaleStatus.ACTIVE) {
+      throw Object.assign(new Error("Only an active grade scale can be the default."), { statusCode: 400 });
+    }
+  }
+
+  const before = await getDefaultScaleId(schoolId);
+
+  await prisma.schoolSettings.upsert({
+    where: { schoolId },
+    create: { schoolId, defaultGradeScaleId: gradeScaleId },
+    update: { defaultGradeScaleId: gradeScaleId },
+  });
+
+  clearSettingsCache(schoolId);
+
+  await audit(schoolId, buildAuditPayload({
+    action: ExamAuditAction.UPDATE,
+    entityType: "SchoolSettings",
+    entityId: schoolId,
+    actorUserId,
+    before: { defaultGradeScaleId: before },
+    after: { defaultGradeScaleId: gradeScaleId },
+  }));
+
+  return { defaultGradeScaleId: gradeScaleId };
+}
+
+export async function setSubjectGradeScale(req) {
+  const schoolId = req.user.schoolId;
+  const actorUserId = req.user.id;
+  const subjectId = assertCuid("subjectId", req.params?.subjectId);
+
+  const raw = req.body?.gradeScaleId;
+  const gradeScaleId = raw === null || raw === "" ? null : assertCuid("gradeScaleId", raw);
+
+  const subject = await prisma.subject.findFirst({
+    where: { id: subjectId, schoolId },
+    select: { id: true, gradeScaleId: true },
+  });
+  if (!subject) throw Object.assign(new Error("Subject not found."), { statusCode: 404 });
+
+  if (gradeScaleId) {
+    const scale = await findScaleOrThrow(schoolId, gradeScaleId);
+    if (scale.status !== GradeScaleStatus.ACTIVE) {
+      throw Object.assign(new Error("Only an active grade scale can be assigned."), { statusCode: 400 });
+    }
+  }
+
+  const updated = await prisma.subject.update({
+    where: { id: subjectId },
+    data: { gradeScaleId },
+    select: { id: true, name: true, code: true, gradeScaleId: true },
+  });
+
+  await audit(schoolId, buildAuditPayload({
+    action: ExamAuditAction.UPDATE,
+    entityType: "Subject",
+    entityId: subjectId,
+    actorUserId,
+    before: { gradeScaleId: subject.gradeScaleId },
+    after: { gradeScaleId },
+  }));
+
+  return updated;
+}
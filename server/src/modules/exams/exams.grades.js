@@ -2,22 +2,22 @@
 
 // Default bands (edit later without touching results logic)
 export const DEFAULT_GRADE_BANDS = [
-  { min: 80, grade: "A" },
-  { min: 75, grade: "A-" },
-  { min: 70, grade: "B+" },
-  { min: 65, grade: "B" },
-  { min: 60, grade: "B-" },
-  { min: 55, grade: "C+" },
-  { min: 50, grade: "C" },
-  { min: 45, grade: "C-" },
-  { min: 40, grade: "D+" },
-  { min: 35, grade: "D" },
-  { min: 30, grade: "D-" },
-  { min: 0, grade: "E" },
+  { min: 80, grade: "A", remark: "Excellent", points: 12 },
+  { min: 75, grade: "A-", remark: "Very good", points: 11 },
+  { min: 70, grade: "B+", remark: "Good", points: 10 },
+  { min: 65, grade: "B", remark: "Good", points: 9 },
+  { min: 60, grade: "B-", remark: "Fairly good", points: 8 },
+  { min: 55, grade: "C+", remark: "Average", points: 7 },
+  { min: 50, grade: "C", remark: "Average", points: 6 },
+  { min: 45, grade: "C-", remark: "Below average", points: 5 },
+  { min: 40, grade: "D+", remark: "Below average", points: 4 },
+  { min: 35, grade: "D", remark: "Weak", points: 3 },
+  { min: 30, grade: "D-", remark: "Weak", points: 2 },
+  { min: 0, grade: "E", remark: "Poor", points: 1 },
 ];
 
 // score can be null
-export function gradeFromScore(score, bands = DEFAULT_GRADE_BANDS) {
+export function bandFromScore(score, bands = DEFAULT_GRADE_BANDS) {
   if (score === null || score === undefined) return null;
 
   const n = Number(score);
@@ -27,7 +27,50 @@ export function gradeFromScore(score, bands = DEFAULT_GRADE_BANDS) {
   const x = Math.max(0, Math.min(100, n));
 
   for (const b of bands) {
-    if (x >= b.min) return b.grade;
+    if (x >= b.min) return b;
   }
-  return bands[bands.length - 1]?.grade ?? "E";
+  return bands[bands.length - 1] ?? null;
+}
+
+export function gradeFromScore(score, bands = DEFAULT_GRADE_BANDS) {
+  return bandFromScore(score, bands)?.grade ?? null;
+}
+
+export function remarkFromScore(score, bands = DEFAULT_GRADE_BANDS) {
+  return bandFromScore(score, bands)?.remark ?? null;
+}
+
+// True when every band carries points, so a mean grade can be derived from mean points.
+export function bandsHavePoints(bands = DEFAULT_GRADE_BANDS) {
+  return bands.length > 0 && bands.every((b) => b.points !== null && b.points !== undefined);
+}
+
+// Mean points are rounded to the nearest whole point, then matched to the band
+// with the highest points not above it (KCSE-style mean grade).
+export function bandFromPoints(points, bands = DEFAULT_GRADE_BANDS) {
+  if (points === null || points === undefined) return null;
+
+  const n = Number(points);
+  if (Number.isNaN(n)) return null;
+
+  const target = Math.round(n);
+  const sorted = [...bands].sort((a, b) => b.points - a.points);
+
+  for (const b of sorted) {
+    if (b.points <= target) return b;
+  }
+  return sorted[sorted.length - 1] ?? null;
+}
+
+// DB GradeBand rows → engine bands (highest min first).
+export function toEngineBands(rows = []) {
+  return rows
+    .map((b) => ({
+      min: Number(b.minScore),
+      max: Number(b.maxScore),
+      grade: b.label,
+      remark: b.remark ?? null,
+      points: b.points ?? null,
+    }))
+    .sort((a, b) => b.min - a.min);
 }
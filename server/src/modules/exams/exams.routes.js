@@ -4,7 +4,7 @@ import * as ctrl from "./exams.controllers.js";
 
 import { requireAuth, requireRole } from "../../middleware/auth.js";
 import { requireEntitlement } from "../../middleware/entitlements.js";
-import { tenantContext, requireTenant } from "../../middleware/tenant.js";
+import { tenantContext, requireTenant, requireStudentScope } from "../../middleware/tenant.js";
 
 const router = Router();
 
@@ -19,6 +19,7 @@ const router = Router();
  * - Roles:
  *   - ADMIN: read + write (subject to entitlement/subscription)
  *   - TEACHER: read, and limited writes (marksheets submit/marks)
+ *   - STUDENT / GUARDIAN: published results of self / linked children only
  *   - Others: denied
  */
 
@@ -45,6 +46,60 @@ router.post(
   ctrl.createExamType
 );
 
+// ------------------------
+// Grade Scales
+// ------------------------
+router.get(
+  "/grade-scales",
+  requireRole("ADMIN", "TEACHER"),
+  requireEntitlement("EXAMS_READ"),
+  ctrl.listGradeScales
+);
+
+router.post(
+  "/grade-scales",
+  requireRole("ADMIN"),
+  requireEntitlement("EXAMS_WRITE"),
+  ctrl.createGradeScale
+);
+
+// School default scale: { gradeScaleId } (null = built-in bands)
+router.put(
+  "/grade-scales/default",
+  requireRole("ADMIN"),
+  requireEntitlement("EXAMS_WRITE"),
+  ctrl.setDefaultGradeScale
+);
+
+// Per-subject override: { gradeScaleId } (null = use school default)
+router.put(
+  "/grade-scales/subjects/:subjectId",
+  requireRole("ADMIN"),
+  requireEntitlement("EXAMS_WRITE"),
+  ctrl.setSubjectGradeScale
+);
+
+router.get(
+  "/grade-scales/:id",
+  requireRole("ADMIN", "TEACHER"),
+  requireEntitlement("EXAMS_READ"),
+  ctrl.getGradeScale
+);
+
+router.patch(
+  "/grade-scales/:id",
+  requireRole("ADMIN"),
+  requireEntitlement("EXAMS_WRITE"),
+  ctrl.updateGradeScale
+);
+
+router.delete(
+  "/grade-scales/:id",
+  requireRole("ADMIN"),
+  requireEntitlement("EXAMS_WRITE"),
+  ctrl.deleteGradeScale
+);
+
 // ------------------------
 // Exam Sessions
 // ------------------------
@@ -123,9 +178,26 @@ router.get(
 
 router.get(
   "/sessions/:id/results/students/:studentId",
-  requireRole("ADMIN", "TEACHER", "STUDENT"),
+  requireRole("ADMIN", "TEACHER", "STUDENT", "GUARDIAN"),
+  requireStudentScope(),
   requireEntitlement("EXAMS_READ"),
   ctrl.getStudentResults
 );
 
+router.get(
+  "/students/:studentId/sessions",
+  requireRole("ADMIN", "TEACHER", "STUDENT", "GUARDIAN"),
+  requireStudentScope(),
+  requireEntitlement("EXAMS_READ"),
+  ctrl.listStudentResultSessions
+);
+
+// Weighted term aggregate across all PUBLISHED sessions (CAT 1, CAT 2, End-Term...)
+router.get(
+  "/terms/:year/:term/classes/:classId/aggregate",
+  requireRole("ADMIN", "TEACHER"),
+  requireEntitlement("EXAMS_READ"),
+  ctrl.getTermAggregate
+);
+
 export default router;
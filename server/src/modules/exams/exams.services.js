@@ -9,7 +9,9 @@ import {
 } from "./exams.validators.js";
 import { buildAuditPayload } from "./exams.utils.js";
 import { examTypeSelect, examSessionSelect, markSheetSelect } from "./exams.selectors.js";
-import { gradeFromScore, DEFAULT_GRADE_BANDS } from "./exams.grades.js";
+import { bandFromScore, bandFromPoints, bandsHavePoints, DEFAULT_GRADE_BANDS } from "./exams.grades.js";
+import { loadGradingContext } from "./exams.gradeScales.js";
+import { classRosterWhere } from "../../utils/enrollment.js";
 
 const prisma = new PrismaClient();
 
@@ -653,41 +655,147 @@ export async function listSessionMarkSheets(req) {
 // ────────────────────────────────────────────────
 // Results
 // ────────────────────────────────────────────────
-export async function getClassResults(req) {
-  const schoolId = req.user.schoolId;
-  const sessionId = assertCuid("sessionId", req.params?.id);
+function round2(n) {
+  return Math.round(Number(n || 0) * 100) / 100;
+}
 
-  const session = await prisma.examSession.findFirst({
-    where: { id: sessionId, schoolId },
-    select: { id: true, classId: true, term: true, year: true },
+// Competition ranking (1, 2, 2, 4): average first, total breaks ties.
+function assignPositions(rows) {
+  const sorted = [...rows].sort((a, b) => b.average - a.average || b.total - a.total);
+
+  let prev = null;
+  sorted.forEach((r, idx) => {
+    if (!prev || r.average !== prev.average || r.total !== prev.total) {
+      r.position = idx + 1;
+    } else {
+      r.position = prev.position;
+    }
+    prev = r;
   });
 
-  if (!session) throw Object.assign(new Error("Exam session not found."), { statusCode: 404 });
+  return sorted;
+}
 
-  console.log(`[getClassResults] Fetching marks for session ${sessionId} (school ${schoolId})`);
+const BUILT_IN_GRADING = { scale: null, bands: DEFAULT_GRADE_BANDS, subjectBands: new Map() };
 
-  const marks = await prisma.mark.findMany({
-    where: {
-      markSheet: { examSessionId: sessionId },
-      student: { isActive: true },
-    },
-    select: {
-      studentId: true,
-      score: true,
-      student: {
-        select: {
-          admissionNo: true,
-          firstName: true,
-          lastName: true,
+function gradingMeta(grading) {
+  return {
+    mode: bandsHavePoints(grading.bands) ? "POINTS" : "AVERAGE",
+    scale: grading.scale,
+  };
+}
+
+/**
+ * Computes per-student results for a session from Mark rows.
+ * Used by the live (DRAFT) preview and by publish, which freezes the output.
+ * `db` may be the prisma client or a transaction client.
+ *
+ * Subject grades use the subject's override scale when set, else the school scale.
+ * The overall grade comes from mean points when the school scale carries points,
+ * otherwise from the average score.
+ */
+async function computeSessionResults(db, { schoolId, sessionId, classId, asOf = null, grading = BUILT_IN_GRADING }) {
+  const sheets = await db.markSheet.findMany({
+    where: { schoolId, examSessionId: sessionId },
+    orderBy: [{ subject: { name: "asc" } }],
+    select: { id: true, subjectId: true, subject: { select: { id: true, name: true, code: true } } },
+  });
+
+  // with asOf: whoever was in the class when the exam ran, including students who have since left
+  const students = await db.student.findMany({
+    where: { schoolId, ...classRosterWhere(classId, asOf) },
+    orderBy: { admissionNo: "asc" },
+    select: { id: true, admissionNo: true, firstName: true, lastName: true },
+  });
+
+  const marks = sheets.length
+    ? await db.mark.findMany({
+        where: {
+          schoolId,
+          markSheetId: { in: sheets.map((ms) => ms.id) },
+          studentId: { in: students.map((st) => st.id) },
         },
-      },
-      markSheet: {
+        select: { studentId: true, markSheetId: true, score: true },
+      })
+    : [];
+
+  const scoreMap = new Map(marks.map((m) => [`${m.studentId}:${m.markSheetId}`, m.score]));
+  const subjects = sheets.map((ms) => ms.subject);
+
+  const rows = [];
+  for (const student of students) {
+    const cells = sheets.map((ms) => {
+      const score = scoreMap.get(`${student.id}:${ms.id}`);
+      if (score === null || score === undefined) {
+        return { subjectId: ms.subjectId, score: null, grade: null, remark: null, points: null, missing: true };
+      }
+      const band = bandFromScore(score, grading.subjectBands.get(ms.subjectId) || grading.bands);
+      return {
+        subjectId: ms.subjectId,
+        score,
+        grade: band?.grade ?? null,
+        remark: band?.remark ?? null,
+        points: band?.points ?? null,
+        missing: false,
+      };
+    });
+
+    const scored = cells.filter((c) => !c.missing);
+    if (!scored.length) continue; // nothing to rank on
+
+    const total = round2(scored.reduce((sum, c) => sum + c.score, 0));
+    const average = round2(total / scored.length);
+
+    let meanPoints = null;
+    let overall = bandFromScore(average, grading.bands);
+    if (bandsHavePoints(grading.bands) && scored.every((c) => c.points !== null)) {
+      meanPoints = round2(scored.reduce((sum, c) => sum + c.points, 0) / scored.length);
+      overall = bandFromPoints(meanPoints, grading.bands);
+    }
+
+    rows.push({
+      student,
+      subjects: cells,
+      total,
+      average,
+      meanPoints,
+      overallGrade: overall?.grade ?? null,
+      overallRemark: overall?.remark ?? null,
+      position: null,
+      missingCount: cells.length - scored.length,
+    });
+  }
+
+  return { subjects, results: assignPositions(rows) };
+}
+
+// Rebuilds the class results payload from the frozen publish snapshot.
+async function readSessionSnapshot({ schoolId, sessionId }) {
+  const publish = await prisma.resultPublish.findFirst({
+    where: { schoolId, examSessionId: sessionId },
+    select: {
+      id: true,
+      publishedAt: true,
+      gradeScaleId: true,
+      studentResults: {
+        orderBy: [{ position: "asc" }, { student: { admissionNo: "asc" } }],
         select: {
-          subjectId: true,
-          subject: {  // ← make sure this is present
+          studentId: true,
+          totalScore: true,
+          averageScore: true,
+          overallGrade: true,
+          overallRemark: true,
+          meanPoints: true,
+          position: true,
+          student: { select: { id: true, admissionNo: true, firstName: true, lastName: true } },
+          subjectResults: {
             select: {
-              name: true,
-              // code: true,  // if you have it
+              subjectId: true,
+              score: true,
+              grade: true,
+              remark: true,
+              points: true,
+              subject: { select: { id: true, name: true, code: true } },
             },
           },
         },
@@ -695,71 +803,337 @@ export async function getClassResults(req) {
     },
   });
 
-  // ← Log right after query to confirm we got subject names
-  console.log(`[getClassResults] Fetched ${marks.length} marks`);
-  if (marks.length > 0) {
-    console.log(
-      "[getClassResults] Sample mark object:",
-      JSON.stringify(marks[0], null, 2)
-    );
-    // Check if subject.name exists in the first few
-    const hasSubjectName = marks.some(
-      (m) => m.markSheet?.subject?.name
-    );
-    console.log(`[getClassResults] Has subject.name in at least one mark? ${hasSubjectName}`);
+  if (!publish) return null;
+
+  const subjectMap = new Map();
+  for (const sr of publish.studentResults) {
+    for (const sub of sr.subjectResults) subjectMap.set(sub.subjectId, sub.subject);
   }
+  const subjects = [...subjectMap.values()].sort((a, b) => a.name.localeCompare(b.name));
+
+  const results = publish.studentResults.map((sr) => {
+    const bySubject = new Map(sr.subjectResults.map((sub) => [sub.subjectId, sub]));
+    const cells = subjects.map((s) => {
+      const hit = bySubject.get(s.id);
+      return hit
+        ? { subjectId: s.id, score: hit.score, grade: hit.grade, remark: hit.remark, points: hit.points, missing: false }
+        : { subjectId: s.id, score: null, grade: null, remark: null, points: null, missing: true };
+    });
 
-  const studentMap = {};
-  for (const m of marks) {
-    const sid = m.studentId;
-    studentMap[sid] = studentMap[sid] || [];
+    return {
+      student: sr.student,
+      subjects: cells,
+      total: sr.totalScore,
+      average: sr.averageScore,
+      meanPoints: sr.meanPoints,
+      overallGrade: sr.overallGrade,
+      overallRemark: sr.overallRemark,
+      position: sr.position,
+      missingCount: cells.filter((c) => c.missing).length,
+    };
+  });
 
-    studentMap[sid].push({
-      subjectId: m.markSheet.subjectId,
-      subjectName: m.markSheet.subject?.name || "NO_SUBJECT_NAME",
-      score: m.score,
-    });
+  const scale = publish.gradeScaleId
+    ? await prisma.gradeScale.findFirst({
+        where: { id: publish.gradeScaleId, schoolId },
+        select: { id: true, name: true },
+      })
+    : null;
+
+  const grading = {
+    mode: results.some((r) => r.meanPoints !== null) ? "POINTS" : "AVERAGE",
+    scale,
+  };
+
+  return { publishedAt: publish.publishedAt, grading, subjects, results };
+}
+
+async function loadSessionResults({ schoolId, session }) {
+  if (session.status === ExamSessionStatus.PUBLISHED) {
+    const snapshot = await readSessionSnapshot({ schoolId, sessionId: session.id });
+    if (snapshot) {
+      return {
+        meta: { source: "SNAPSHOT", publishedAt: snapshot.publishedAt, grading: snapshot.grading },
+        subjects: snapshot.subjects,
+        results: snapshot.results,
+      };
+    }
   }
 
-  // ← Final log: check if subjectName made it into the response
-  if (Object.keys(studentMap).length > 0) {
-    const firstStudentId = Object.keys(studentMap)[0];
-    console.log(
-      `[getClassResults] First student's first mark:`,
-      JSON.stringify(studentMap[firstStudentId][0], null, 2)
-    );
+  const grading = await loadGradingContext(prisma, schoolId);
+  const live = await computeSessionResults(prisma, {
+    schoolId,
+    sessionId: session.id,
+    classId: session.classId,
+    asOf: sessionRosterDate(session),
+    grading,
+  });
+
+  return {
+    meta: { source: "LIVE", publishedAt: null, grading: gradingMeta(grading) },
+    subjects: live.subjects,
+    results: live.results,
+  };
+}
+
+const resultsSessionSelect = {
+  id: true,
+  name: true,
+  classId: true,
+  term: true,
+  year: true,
+  status: true,
+  startsOn: true,
+  endsOn: true,
+  publishedAt: true,
+};
+
+// roster date for a session's results: the exam window when set, else the current class list
+function sessionRosterDate(session) {
+  return session.endsOn || session.startsOn || null;
+}
+
+export async function getClassResults(req) {
+  const schoolId = req.user.schoolId;
+  const sessionId = assertCuid("sessionId", req.params?.id);
+
+  const session = await prisma.examSession.findFirst({
+    where: { id: sessionId, schoolId },
+    select: resultsSessionSelect,
+  });
+
+  if (!session) throw Object.assign(new Error("Exam session not found."), { statusCode: 404 });
+
+  const { meta, subjects, results } = await loadSessionResults({ schoolId, session });
+
+  return { session, meta, subjects, results };
+}
+
+// STUDENT / GUARDIAN only ever see published results (their scope is checked on the route)
+function seesPublishedOnly(req) {
+  return req.user.role === "STUDENT" || req.user.role === "GUARDIAN";
+}
+
+/**
+ * Sessions in which a student has marks, newest first.
+ * Lets the student/parent portal pick a session without listing the whole school's exams.
+ */
+export async function listStudentResultSessions(req) {
+  const schoolId = req.user.schoolId;
+  const studentId = assertCuid("studentId", req.params?.studentId);
+
+  if (req.user.role === "STUDENT" && req.user.studentId !== studentId) {
+    throw Object.assign(new Error("Access denied: not your results."), { statusCode: 403 });
   }
 
-  return studentMap;
+  const where = {
+    schoolId,
+    markSheets: { some: { marks: { some: { studentId } } } },
+  };
+  if (seesPublishedOnly(req)) where.status = ExamSessionStatus.PUBLISHED;
+
+  return prisma.examSession.findMany({
+    where,
+    orderBy: [{ year: "desc" }, { createdAt: "desc" }],
+    select: examSessionSelect,
+  });
 }
 
 export async function getStudentResults(req) {
   const schoolId = req.user.schoolId;
-  const studentId = assertCuid("studentId", req.params?.id);
+  const sessionId = assertCuid("sessionId", req.params?.id);
+  const studentId = assertCuid("studentId", req.params?.studentId);
+
+  if (req.user.role === "STUDENT" && req.user.studentId !== studentId) {
+    throw Object.assign(new Error("Access denied: not your results."), { statusCode: 403 });
+  }
+
+  const session = await prisma.examSession.findFirst({
+    where: { id: sessionId, schoolId },
+    select: resultsSessionSelect,
+  });
+
+  if (!session) throw Object.assign(new Error("Exam session not found."), { statusCode: 404 });
+
+  if (seesPublishedOnly(req) && session.status !== ExamSessionStatus.PUBLISHED) {
+    throw Object.assign(new Error("Results not published yet."), { statusCode: 403 });
+  }
+
+  const { meta, subjects, results } = await loadSessionResults({ schoolId, session });
+
+  const row = results.find((r) => r.student.id === studentId);
+  if (!row) throw Object.assign(new Error("No results for this student in this session."), { statusCode: 404 });
+
+  const subjectById = new Map(subjects.map((s) => [s.id, s]));
+
+  return {
+    session,
+    meta,
+    student: row.student,
+    subjects: row.subjects.map((c) => ({
+      subjectId: c.subjectId,
+      subjectName: subjectById.get(c.subjectId)?.name || null,
+      subjectCode: subjectById.get(c.subjectId)?.code || null,
+      score: c.score,
+      grade: c.grade,
+      remark: c.remark,
+      points: c.points,
+      missing: c.missing,
+    })),
+    total: row.total,
+    average: row.average,
+    meanPoints: row.meanPoints,
+    overallGrade: row.overallGrade,
+    overallRemark: row.overallRemark,
+    position: row.position,
+    outOf: results.length,
+  };
+}
 
-  const marks = await prisma.mark.findMany({
-    where: { schoolId, studentId },
+// ────────────────────────────────────────────────
+// Term aggregate (weighted across exam types)
+// ────────────────────────────────────────────────
+
+/**
+ * Combines every PUBLISHED session of a class/year/term using ExamType.weight.
+ * Weights are normalized to sum to 1; a type without a weight gets an equal share.
+ * When a student has no score for a subject in one session, that subject's
+ * weights are renormalized over the sessions they did sit.
+ */
+export async function getTermAggregate(req) {
+  const schoolId = req.user.schoolId;
+  const year = assertInt("year", req.params?.year);
+  const term = String(req.params?.term || "").toUpperCase();
+  assertTerm(term);
+  const classId = assertCuid("classId", req.params?.classId);
+
+  const klass = await prisma.class.findFirst({
+    where: { id: classId, schoolId },
+    select: { id: true, name: true, stream: true, year: true },
+  });
+  if (!klass) throw Object.assign(new Error("Class not found."), { statusCode: 404 });
+
+  const sessions = await prisma.examSession.findMany({
+    where: { schoolId, year, term, classId, status: ExamSessionStatus.PUBLISHED },
+    orderBy: { publishedAt: "asc" },
     select: {
-      score: true,
-      markSheet: {
-        select: {
-          examSession: {
-            select: { id: true, term: true, year: true, classId: true },
-          },
-          subject: { select: { name: true } },
-        },
-      },
+      ...resultsSessionSelect,
+      examType: { select: { id: true, name: true, code: true, weight: true } },
     },
   });
 
-  return marks.map(m => ({
-    examSessionId: m.markSheet.examSession.id,
-    term: m.markSheet.examSession.term,
-    year: m.markSheet.examSession.year,
-    classId: m.markSheet.examSession.classId,
-    subjectName: m.markSheet.subject?.name || null,
-    score: m.score,
+  const grading = await loadGradingContext(prisma, schoolId);
+
+  if (!sessions.length) {
+    return {
+      meta: { year, term, classId, grading: gradingMeta(grading), sessions: [] },
+      class: klass,
+      subjects: [],
+      results: [],
+    };
+  }
+
+  const equalShare = 1 / sessions.length;
+  const rawWeights = sessions.map((x) => (x.examType?.weight > 0 ? x.examType.weight : equalShare));
+  const weightSum = rawWeights.reduce((a, b) => a + b, 0);
+
+  const sessionMeta = sessions.map((x, idx) => ({
+    sessionId: x.id,
+    name: x.name,
+    examType: x.examType,
+    weight: x.examType?.weight ?? null,
+    normalizedWeight: round2(rawWeights[idx] / weightSum),
+    _w: rawWeights[idx] / weightSum,
   }));
+
+  const perSession = await Promise.all(sessions.map((x) => loadSessionResults({ schoolId, session: x })));
+
+  // studentId → { student, subjectId → [{ sessionId, score, w }] }
+  const subjectMap = new Map();
+  const studentMap = new Map();
+
+  perSession.forEach((payload, idx) => {
+    const { sessionId, _w } = sessionMeta[idx];
+    for (const sub of payload.subjects) subjectMap.set(sub.id, sub);
+
+    for (const r of payload.results) {
+      let entry = studentMap.get(r.student.id);
+      if (!entry) {
+        entry = { student: r.student, scores: new Map() };
+        studentMap.set(r.student.id, entry);
+      }
+      for (const c of r.subjects) {
+        if (c.missing) continue;
+        const list = entry.scores.get(c.subjectId) || [];
+        list.push({ sessionId, score: c.score, w: _w });
+        entry.scores.set(c.subjectId, list);
+      }
+    }
+  });
+
+  const subjects = [...subjectMap.values()].sort((a, b) => a.name.localeCompare(b.name));
+
+  const rows = [];
+  for (const { student, scores } of studentMap.values()) {
+    const cells = subjects.map((sub) => {
+      const list = scores.get(sub.id) || [];
+      if (!list.length) {
+        return { subjectId: sub.id, score: null, grade: null, remark: null, points: null, bySession: {}, missing: true };
+      }
+
+      const w = list.reduce((a, x) => a + x.w, 0);
+      const score = round2(list.reduce((a, x) => a + x.score * x.w, 0) / w);
+      const band = bandFromScore(score, grading.subjectBands.get(sub.id) || grading.bands);
+
+      return {
+        subjectId: sub.id,
+        score,
+        grade: band?.grade ?? null,
+        remark: band?.remark ?? null,
+        points: band?.points ?? null,
+        bySession: Object.fromEntries(list.map((x) => [x.sessionId, x.score])),
+        missing: false,
+      };
+    });
+
+    const scored = cells.filter((c) => !c.missing);
+    if (!scored.length) continue;
+
+    const total = round2(scored.reduce((a, c) => a + c.score, 0));
+    const average = round2(total / scored.length);
+
+    let meanPoints = null;
+    let overall = bandFromScore(average, grading.bands);
+    if (bandsHavePoints(grading.bands) && scored.every((c) => c.points !== null)) {
+      meanPoints = round2(scored.reduce((a, c) => a + c.points, 0) / scored.length);
+      overall = bandFromPoints(meanPoints, grading.bands);
+    }
+
+    rows.push({
+      student,
+      subjects: cells,
+      total,
+      average,
+      meanPoints,
+      overallGrade: overall?.grade ?? null,
+      overallRemark: overall?.remark ?? null,
+      position: null,
+      missingCount: cells.length - scored.length,
+    });
+  }
+
+  return {
+    meta: {
+      year,
+      term,
+      classId,
+      grading: gradingMeta(grading),
+      sessions: sessionMeta.map(({ _w, ...rest }) => rest),
+    },
+    class: klass,
+    subjects,
+    results: assignPositions(rows),
+  };
 }
 
 export async function publishResults(req) {
@@ -769,7 +1143,7 @@ export async function publishResults(req) {
 
   const session = await prisma.examSession.findFirst({
     where: { id: sessionId, schoolId },
-    select: { id: true, status: true },
+    select: { id: true, status: true, classId: true, startsOn: true, endsOn: true },
   });
 
   if (!session) throw Object.assign(new Error("Exam session not found."), { statusCode: 404 });
@@ -777,22 +1151,102 @@ export async function publishResults(req) {
     throw Object.assign(new Error("Results already published."), { statusCode: 400 });
   }
 
-  const updated = await prisma.examSession.update({
-    where: { id: sessionId },
-    data: {
-      status: ExamSessionStatus.PUBLISHED,
-      publishedAt: new Date(),
-      publishedById: actorUserId,
+  const [sheetCount, pending] = await Promise.all([
+    prisma.markSheet.count({ where: { schoolId, examSessionId: sessionId } }),
+    prisma.markSheet.count({
+      where: { schoolId, examSessionId: sessionId, status: { not: MarkSheetStatus.SUBMITTED } },
+    }),
+  ]);
+
+  if (!sheetCount) throw Object.assign(new Error("Session has no marksheets."), { statusCode: 400 });
+  if (pending > 0) {
+    throw Object.assign(
+      new Error(`Cannot publish: ${pending} marksheet(s) not yet submitted.`),
+      { statusCode: 400 }
+    );
+  }
+
+  const { updated, publish, studentCount, subjectCount } = await prisma.$transaction(
+    async (tx) => {
+      // Guard against a concurrent publish: only one request can flip DRAFT → PUBLISHED.
+      const flipped = await tx.examSession.updateMany({
+        where: { id: sessionId, schoolId, status: { not: ExamSessionStatus.PUBLISHED } },
+        data: {
+          status: ExamSessionStatus.PUBLISHED,
+          publishedAt: new Date(),
+          publishedById: actorUserId,
+        },
+      });
+      if (flipped.count !== 1) {
+        throw Object.assign(new Error("Results already published."), { statusCode: 400 });
+      }
+
+      const grading = await loadGradingContext(tx, schoolId);
+      const computed = await computeSessionResults(tx, {
+        schoolId,
+        sessionId,
+        classId: session.classId,
+        asOf: sessionRosterDate(session),
+        grading,
+      });
+
+      const publish = await tx.resultPublish.create({
+        data: {
+          schoolId,
+          examSessionId: sessionId,
+          gradeScaleId: grading.scale?.id ?? null,
+          publishedById: actorUserId,
+        },
+        select: { id: true, publishedAt: true },
+      });
+
+      for (const r of computed.results) {
+        await tx.studentResult.create({
+          data: {
+            schoolId,
+            resultPublishId: publish.id,
+            studentId: r.student.id,
+            totalScore: r.total,
+            averageScore: r.average,
+            overallGrade: r.overallGrade,
+            overallRemark: r.overallRemark,
+            meanPoints: r.meanPoints,
+            position: r.position,
+            subjectResults: {
+              create: r.subjects
+                .filter((c) => !c.missing)
+                .map((c) => ({
+                  schoolId,
+                  subjectId: c.subjectId,
+                  score: c.score,
+                  grade: c.grade,
+                  remark: c.remark,
+                  points: c.points,
+                })),
+            },
+          },
+        });
+      }
+
+      const updated = await tx.examSession.findUnique({ where: { id: sessionId } });
+
+      return {
+        updated,
+        publish,
+        studentCount: computed.results.length,
+        subjectCount: computed.subjects.length,
+      };
     },
-  });
+    { timeout: 30000 }
+  );
 
   await audit(schoolId, buildAuditPayload({
     action: ExamAuditAction.PUBLISH,
     entityType: "ExamSession",
     entityId: sessionId,
     actorUserId,
-    after: { status: updated.status },
+    after: { status: updated.status, resultPublishId: publish.id, studentCount, subjectCount },
   }));
 
   return updated;
-}
\ No newline at end of file
+}
@@ -64,3 +64,74 @@ export function validateBulkMarksPayload(body) {
 
   return marks;
 }
+
+/**
+ * Validates grade bands for a scale and returns them normalized (lowest band first).
+ * Bands must cover 0–100 without overlaps or gaps. Integer-style boundaries are
+ * accepted (e.g. 0–29 then 30–34); a score is graded by the highest minScore it reaches.
+ */
+export function validateGradeBands(bands) {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    throw new Error("bands[] is required.");
+  }
+  if (bands.length > 30) {
+    throw new Error("Maximum 30 bands per grade scale.");
+  }
+
+  const rows = bands.map((b, idx) => {
+    const label = typeof b?.label === "string" ? b.label.trim() : "";
+    if (!label) throw new Error(`Band ${idx + 1}: label is required.`);
+    if (label.length > 10) throw new Error(`Band ${label}: label is too long (max 10 chars).`);
+
+    const minScore = Number(b.minScore);
+    const maxScore = Number(b.maxScore);
+    if (!Number.isFinite(minScore) || !Number.isFinite(maxScore)) {
+      throw new Error(`Band ${label}: minScore and maxScore must be numbers.`);
+    }
+    if (minScore < 0 || maxScore > 100 || minScore > maxScore) {
+      throw new Error(`Band ${label}: scores must satisfy 0 ≤ minScore ≤ maxScore ≤ 100.`);
+    }
+
+    let points = null;
+    if (b.points !== null && b.points !== undefined && b.points !== "") {
+      points = Number(b.points);
+      if (!Number.isFinite(points) || points < 0) {
+        throw new Error(`Band ${label}: points must be a non-negative number.`);
+      }
+    }
+
+    const remark = typeof b.remark === "string" && b.remark.trim() ? b.remark.trim() : null;
+
+    return { label, minScore, maxScore, remark, points };
+  });
+
+  const labels = new Set();
+  for (const r of rows) {
+    const key = r.label.toUpperCase();
+    if (labels.has(key)) throw new Error(`Duplicate band label: ${r.label}`);
+    labels.add(key);
+  }
+
+  const withPoints = rows.filter((r) => r.points !== null).length;
+  if (withPoints > 0 && withPoints !== rows.length) {
+    throw new Error("Points must be set on all bands or on none.");
+  }
+
+  rows.sort((a, b) => a.minScore - b.minScore);
+
+  if (rows[0].minScore !== 0) throw new Error("Lowest band must start at 0.");
+  if (rows[rows.length - 1].maxScore !== 100) throw new Error("Highest band must end at 100.");
+
+  for (let i = 1; i < rows.length; i++) {
+    const prev = rows[i - 1];
+    const cur = rows[i];
+    if (cur.minScore <= prev.maxScore) {
+      throw new Error(`Bands ${prev.label} and ${cur.label} overlap.`);
+    }
+    if (cur.minScore - prev.maxScore > 1) {
+      throw new Error(`Gap between bands ${prev.label} (max ${prev.maxScore}) and ${cur.label} (min ${cur.minScore}).`);
+    }
+  }
+
+  return rows;
+}
@@ -0,0 +1,151 @@
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+
+import * as svc from "./idcards.service.js";
+
+function fail(res, label, err) {
+  console.error(`${label} ERROR:`, err);
+  return res.status(err.statusCode || 500).json({ message: err.message || "Server error" });
+}
+
+// CR80 card (85.6 x 54 mm) in points, 2 x 4 to an A4 page
+const CARD_W = 243;
+const CARD_H = 153;
+const COLS = 2;
+const ROWS = 4;
+const GAP = 18;
+
+const PAGE_W = 595.28;
+const PAGE_H = 841.89;
+const LEFT = (PAGE_W - (COLS * CARD_W + (COLS - 1) * GAP)) / 2;
+const TOP = (PAGE_H - (ROWS * CARD_H + (ROWS - 1) * GAP)) / 2;
+
+const QR_SIZE = 54;
+
+function initials(c) {
+  return `${c.firstName?.[0] || ""}${c.lastName?.[0] || ""}`.toUpperCase();
+}
+
+// draws the admission number as a QR code of filled squares (stays sharp at any print size)
+function drawQr(doc, text, x, y, size) {
+  const qr = QRCode.create(text, { errorCorrectionLevel: "M" });
+  const n = qr.modules.size;
+  const cell = size / n;
+
+  for (let row = 0; row < n; row += 1) {
+    for (let col = 0; col < n; col += 1) {
+      if (qr.modules.get(row, col)) doc.rect(x + col * cell, y + row * cell, cell, cell);
+    }
+  }
+  doc.fill("#000000");
+}
+
+function tryImage(doc, buffer, x, y, opts) {
+  try {
+    doc.image(buffer, x, y, opts);
+    return true;
+  } catch {
+    return false; // corrupt or unsupported file: caller draws the placeholder
+  }
+}
+
+function drawCard(doc, data, card, x, y) {
+  // colour bands, clipped to the rounded card
+  doc.save();
+  doc.roundedRect(x, y, CARD_W, CARD_H, 8).clip();
+  doc.rect(x, y, CARD_W, 36).fill(data.primaryColor);
+  doc.rect(x, y + CARD_H - 6, CARD_W, 6).fill(data.secondaryColor);
+  doc.restore();
+  doc.roundedRect(x, y, CARD_W, CARD_H, 8).lineWidth(0.75).stroke("#d1d5db");
+
+  // header: logo + school name
+  const hasLogo =
+    data.logo && tryImage(doc, data.logo, x + 8, y + 5, { fit: [26, 26], align: "center", valign: "center" });
+  const nameX = x + (hasLogo ? 40 : 10);
+  doc.fillColor("#ffffff").font("Helvetica-Bold").fontSize(9).text(data.schoolName, nameX, y + 8, {
+    width: x + CARD_W - 10 - nameX,
+    height: 11,
+    ellipsis: true,
+    lineBreak: false,
+  });
+  doc.font("Helvetica").fontSize(6.5).text("STUDENT IDENTITY CARD", nameX, y + 21, { lineBreak: false });
+
+  // photo
+  const px = x + 10;
+  const py = y + 44;
+  if (!card.photo || !tryImage(doc, card.photo, px, py, { fit: [58, 72], align: "center", valign: "center" })) {
+    doc.rect(px, py, 58, 72).fill("#f3f4f6");
+    doc
+      .fillColor("#6b7280")
+      .font("Helvetica-Bold")
+      .fontSize(18)
+      .text(initials(card), px, py + 27, { width: 58, align: "center", lineBreak: false });
+  }
+  doc.rect(px, py, 58, 72).lineWidth(0.5).stroke("#d1d5db");
+
+  // details
+  const tx = x + 76;
+  const tw = CARD_W - 76 - QR_SIZE - 20;
+  let ty = y + 44;
+  doc
+    .fillColor("#111827")
+    .font("Helvetica-Bold")
+    .fontSize(9)
+    .text(`${card.firstName} ${card.lastName}`.trim(), tx, ty, { width: tw, height: 22, ellipsis: true });
+  ty += 25;
+
+  for (const [label, value] of [
+    ["ADM NO", card.admissionNo],
+    ["CLASS", card.classLabel || "—"],
+    ["VALID UNTIL", `Dec ${data.expiryYear}`],
+  ]) {
+    doc.fillColor("#6b7280").font("Helvetica").fontSize(5.5).text(label, tx, ty, { lineBreak: false });
+    doc
+      .fillColor("#111827")
+      .font("Helvetica-Bold")
+      .fontSize(7.5)
+      .text(value, tx, ty + 6.5, { width: tw, height: 9, ellipsis: true, lineBreak: false });
+    ty += 17;
+  }
+
+  // QR: the admission number, as the cashier and attendance scanners expect
+  const qx = x + CARD_W - QR_SIZE - 10;
+  const qy = y + 46;
+  drawQr(doc, card.admissionNo, qx, qy, QR_SIZE);
+  doc
+    .fillColor("#111827")
+    .font("Helvetica")
+    .fontSize(6)
+    .text(card.admissionNo, qx - 6, qy + QR_SIZE + 4, { width: QR_SIZE + 12, align: "center", lineBreak: false });
+}
+
+/**
+ * Student ID cards as a printable PDF: photo, name, admission number, class, expiry and a QR code
+ * of the admission number, in the school's colours. Eight CR80-size cards per A4 page.
+ */
+export async function idCardsPdf(req, res) {
+  try {
+    const data = await svc.buildIdCards(req);
+
+    const doc = new PDFDocument({ size: "A4", margin: 0 });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename=id-cards-${new Date().toISOString().slice(0, 10)}.pdf`
+    );
+    doc.pipe(res);
+
+    const perPage = COLS * ROWS;
+    data.cards.forEach((card, i) => {
+      if (i > 0 && i % perPage === 0) doc.addPage({ size: "A4", margin: 0 });
+      const slot = i % perPage;
+      const x = LEFT + (slot % COLS) * (CARD_W + GAP);
+      const y = TOP + Math.floor(slot / COLS) * (CARD_H + GAP);
+      drawCard(doc, data, card, x, y);
+    });
+
+    doc.end();
+  } catch (err) {
+    return fail(res, "STUDENT ID CARDS", err);
+  }
+}
@@ -0,0 +1,20 @@
+import { Router } from "express";
+
+import { requireRole } from "../../middleware/auth.js";
+import { requireTenant } from "../../middleware/tenant.js";
+import { loadSubscription } from "../../middleware/subscription.js";
+import * as ctrl from "./idcards.controller.js";
+
+/**
+ * Student ID cards (mounted under /api/students/id-cards).
+ * POST because a selection can be a few hundred student ids.
+ */
+const router = Router();
+
+router.use(requireTenant);
+router.use(loadSubscription);
+router.use(requireRole("ADMIN"));
+
+router.post("/", ctrl.idCardsPdf);
+
+export default router;
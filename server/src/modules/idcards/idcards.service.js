@@ -0,0 +1,154 @@
+// src/modules/idcards/idcards.service.js
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { prisma } from "../../lib/prisma.js";
+import { logAudit } from "../../utils/audit.js";
+import { classLabel, classRosterWhere } from "../../utils/enrollment.js";
+import { readStudentPhoto } from "../documents/documents.service.js";
+
+// logos live under <project root>/uploads/branding (see settings/branding.routes.js)
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = path.join(__dirname, "..", "..", "..", "..");
+
+export const MAX_CARDS = 500;
+
+// pdfkit can only embed these; other formats print the placeholder instead
+const EMBEDDABLE = ["image/jpeg", "image/png"];
+
+const DEFAULT_PRIMARY = "#1f2937";
+const DEFAULT_SECONDARY = "#2563eb";
+
+/* =========================
+   Helpers
+   ========================= */
+function httpError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function requireSchoolOrThrow(req) {
+  const schoolId = req.schoolId || req.user?.schoolId;
+  if (!schoolId) throw httpError("No school selected/attached to this user.");
+  return schoolId;
+}
+
+function actorCtx(req) {
+  return {
+    actorId: req.user?.id || null,
+    actorRole: req.role || req.user?.role || null,
+    actorEmail: req.user?.email || null,
+  };
+}
+
+function hexOr(v, fallback) {
+  const s = String(v || "").trim();
+  return /^#[0-9a-fA-F]{6}$/.test(s) ? s : fallback;
+}
+
+function parseExpiryYear(v) {
+  const thisYear = new Date().getFullYear();
+  if (v === undefined || v === null || v === "") return thisYear;
+
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < thisYear || n > thisYear + 10) {
+    throw httpError(`expiryYear must be a year between ${thisYear} and ${thisYear + 10}.`);
+  }
+  return n;
+}
+
+async function readLogo(brandLogoUrl) {
+  const clean = path.posix.normalize(String(brandLogoUrl || "").replace(/^\/+/, ""));
+  if (!clean.startsWith("uploads/branding/")) return null;
+  if (!/\.(png|jpe?g)$/i.test(clean)) return null;
+
+  try {
+    return await fs.readFile(path.join(PROJECT_ROOT, clean));
+  } catch {
+    return null;
+  }
+}
+
+/* =========================
+   Cards
+   ========================= */
+
+/**
+ * Everything needed to print ID cards for a class (body.classId) or a selection (body.studentIds).
+ * Only active students get cards. Photos and the logo are returned as JPEG/PNG buffers or null.
+ */
+export async function buildIdCards(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const body = req.body || {};
+
+  const classId = body.classId ? String(body.classId) : null;
+  const studentIds = Array.isArray(body.studentIds) ? [...new Set(body.studentIds.map(String))] : [];
+  if (!classId && !studentIds.length) throw httpError("Pick a class or select students.");
+  if (studentIds.length > MAX_CARDS) throw httpError(`Print at most ${MAX_CARDS} cards at a time.`);
+
+  const expiryYear = parseExpiryYear(body.expiryYear);
+
+  if (classId) {
+    const cls = await prisma.class.findFirst({ where: { id: classId, schoolId }, select: { id: true } });
+    if (!cls) throw httpError("Class not found.", 404);
+  }
+
+  const byClass = !studentIds.length;
+  const where = byClass
+    ? { schoolId, ...classRosterWhere(classId) }
+    : { schoolId, id: { in: studentIds }, isActive: true };
+
+  const [students, school, settings] = await Promise.all([
+    prisma.student.findMany({
+      where,
+      orderBy: [{ class: { name: "asc" } }, { admissionNo: "asc" }],
+      take: MAX_CARDS + 1,
+      select: {
+        id: true,
+        admissionNo: true,
+        firstName: true,
+        lastName: true,
+        class: { select: { name: true, stream: true, year: true } },
+      },
+    }),
+    prisma.school.findUnique({ where: { id: schoolId }, select: { name: true } }),
+    prisma.schoolSettings.findUnique({
+      where: { schoolId },
+      select: { brandLogoUrl: true, brandPrimaryColor: true, brandSecondaryColor: true, printShowLogo: true },
+    }),
+  ]);
+
+  if (!students.length) throw httpError("No active students to print cards for.", 404);
+  if (students.length > MAX_CARDS) throw httpError(`Print at most ${MAX_CARDS} cards at a time.`);
+
+  const cards = [];
+  for (const s of students) {
+    const photo = await readStudentPhoto(schoolId, s.id);
+    cards.push({
+      ...s,
+      classLabel: classLabel(s.class),
+      photo: photo && EMBEDDABLE.includes(photo.mimeType) ? photo.buffer : null,
+    });
+  }
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "STUDENT_ID_CARDS_PRINTED",
+    targetType: byClass ? "CLASS" : "STUDENT",
+    targetId: byClass ? classId : null,
+    metadata: { count: cards.length, expiryYear, classId, selected: studentIds.length },
+  });
+
+  return {
+    schoolName: school?.name || "School",
+    logo: settings?.printShowLogo === false ? null : await readLogo(settings?.brandLogoUrl),
+    primaryColor: hexOr(settings?.brandPrimaryColor, DEFAULT_PRIMARY),
+    secondaryColor: hexOr(settings?.brandSecondaryColor, DEFAULT_SECONDARY),
+    expiryYear,
+    cards,
+  };
+}
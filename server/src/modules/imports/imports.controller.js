@@ -0,0 +1,48 @@
+import * as svc from "./imports.service.js";
+import { exportCSV } from "../../utils/export.js";
+
+function fail(res, label, err) {
+  console.error(`${label} ERROR:`, err);
+  return res.status(err.statusCode || 500).json({ message: err.message || "Server error" });
+}
+
+export async function importStudents(req, res) {
+  try {
+    const data = await svc.importStudents(req);
+    return res.status(data.dryRun ? 200 : 201).json({ data });
+  } catch (err) {
+    return fail(res, "STUDENT IMPORT", err);
+  }
+}
+
+export async function listImports(req, res) {
+  try {
+    return res.json({ data: await svc.listImports(req) });
+  } catch (err) {
+    return fail(res, "STUDENT IMPORTS", err);
+  }
+}
+
+export async function getImport(req, res) {
+  try {
+    return res.json({ data: await svc.getImport(req) });
+  } catch (err) {
+    return fail(res, "STUDENT IMPORT DETAIL", err);
+  }
+}
+
+export async function downloadTemplate(req, res) {
+  try {
+    if (String(req.query?.format || "").toLowerCase() === "xlsx") {
+      const wb = await svc.templateWorkbook(req);
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", 'attachment; filename="student-import-template.xlsx"');
+      await wb.xlsx.write(res);
+      return res.end();
+    }
+
+    return exportCSV(res, "student-import-template", await svc.templateRows(req));
+  } catch (err) {
+    return fail(res, "STUDENT IMPORT TEMPLATE", err);
+  }
+}
@@ -0,0 +1,138 @@
+// src/modules/imports/imports.parser.js
+// Student import file (CSV / XLSX) -> rows of plain cells + a header -> field column map.
+import ExcelJS from "exceljs";
+
+import { parseCsv, parseStatementDate } from "../reconciliation/reconciliation.parser.js";
+
+/**
+ * Importable student fields, in template order.
+ * aliases are compared after normalizeHeader() so "Adm. No", "ADM NO" and "adm_no" all match.
+ */
+export const STUDENT_FIELDS = [
+  { key: "admissionNo", header: "Admission No", required: true, aliases: ["admissionno", "admno", "admissionnumber", "admission", "regno"] },
+  { key: "firstName", header: "First Name", required: true, aliases: ["firstname", "first", "givenname", "othernames"] },
+  { key: "lastName", header: "Last Name", required: true, aliases: ["lastname", "last", "surname", "familyname"] },
+  { key: "gender", header: "Gender", aliases: ["gender", "sex"] },
+  { key: "dob", header: "Date of Birth", aliases: ["dateofbirth", "dob", "birthdate", "birthday"] },
+  { key: "className", header: "Class", aliases: ["class", "classname", "form", "grade"] },
+  { key: "stream", header: "Stream", aliases: ["stream", "classstream"] },
+];
+
+const GENDERS = { M: "MALE", MALE: "MALE", BOY: "MALE", F: "FEMALE", FEMALE: "FEMALE", GIRL: "FEMALE" };
+
+export function normalizeHeader(value) {
+  return String(value ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+export function fileFormat(file) {
+  return /\.xlsx$/i.test(file?.originalname || "") || /spreadsheetml/.test(file?.mimetype || "") ? "XLSX" : "CSV";
+}
+
+// ExcelJS cell values can be rich text, formulas, hyperlinks or dates; keep dates, flatten the rest
+function cellValue(v) {
+  if (v == null) return "";
+  if (v instanceof Date) return v;
+  if (typeof v === "object") {
+    if (Array.isArray(v.richText)) return v.richText.map((t) => t.text).join("");
+    if ("result" in v) return cellValue(v.result);
+    if ("text" in v) return String(v.text ?? "");
+    return "";
+  }
+  return String(v);
+}
+
+async function readXlsx(buffer) {
+  const wb = new ExcelJS.Workbook();
+  try {
+    await wb.xlsx.load(buffer);
+  } catch {
+    const err = new Error("Could not read this file as an Excel workbook (.xlsx).");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const ws = wb.worksheets[0];
+  if (!ws) return [];
+
+  const rows = [];
+  ws.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const cells = [];
+    for (let c = 1; c <= ws.columnCount; c++) cells.push(cellValue(row.getCell(c).value));
+    rows[rowNumber - 1] = cells;
+  });
+
+  // eachRow skips trailing gaps; keep row numbers aligned with the sheet
+  for (let i = 0; i < rows.length; i++) if (!rows[i]) rows[i] = [];
+  return rows;
+}
+
+/** Buffer -> array of rows (arrays of strings, or Dates for XLSX date cells). */
+export async function readRows(buffer, format) {
+  if (format === "XLSX") return readXlsx(buffer);
+  return parseCsv(buffer.toString("utf8"), ",");
+}
+
+/**
+ * Header row -> { field: columnIndex }.
+ * `overrides` ({ field: "Header text" }) wins over alias detection; unknown override headers are a 400.
+ * Required fields may be left unmapped here; see missingColumns().
+ */
+export function buildColumnMap(headers, overrides = {}) {
+  const norm = headers.map(normalizeHeader);
+  const map = {};
+
+  for (const f of STUDENT_FIELDS) {
+    const wanted = overrides?.[f.key];
+    if (wanted) {
+      const idx = norm.indexOf(normalizeHeader(wanted));
+      if (idx < 0) {
+        const err = new Error(`Column "${wanted}" (for ${f.header}) was not found in the header row.`);
+        err.statusCode = 400;
+        throw err;
+      }
+      map[f.key] = idx;
+      continue;
+    }
+
+    const idx = norm.findIndex((h) => h && f.aliases.includes(h));
+    if (idx >= 0) map[f.key] = idx;
+  }
+
+  return map;
+}
+
+/** Required fields the column map could not place (template headers). */
+export function missingColumns(map) {
+  return STUDENT_FIELDS.filter((f) => f.required && map[f.key] === undefined).map((f) => f.header);
+}
+
+export function parseGender(value) {
+  const s = String(value ?? "").trim().toUpperCase();
+  if (!s) return { value: null };
+  return GENDERS[s] ? { value: GENDERS[s] } : { error: `Unknown gender "${value}" (use Male or Female)` };
+}
+
+/** Excel date cell, YYYY-MM-DD or DD/MM/YYYY -> UTC date. */
+export function parseDob(value) {
+  let d;
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return { error: "Unreadable date of birth" };
+    d = new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  } else {
+    const s = String(value ?? "").trim();
+    if (!s) return { value: null };
+
+    d = parseStatementDate(s, "YYYY-MM-DD") || parseStatementDate(s, "DD/MM/YYYY");
+    if (!d) return { error: `Unreadable date of birth "${s}" (use YYYY-MM-DD or DD/MM/YYYY)` };
+  }
+
+  if (d.getTime() > Date.now()) return { error: "Date of birth is in the future" };
+  return { value: d };
+}
+
+/** Plain string for a cell (dates in text columns become YYYY-MM-DD). */
+export function cellText(value) {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value ?? "").trim();
+}
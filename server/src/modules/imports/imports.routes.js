@@ -0,0 +1,44 @@
+import { Router } from "express";
+import multer from "multer";
+
+import { requireRole } from "../../middleware/auth.js";
+import { requireTenant } from "../../middleware/tenant.js";
+import { loadSubscription, requireLimit } from "../../middleware/subscription.js";
+import * as ctrl from "./imports.controller.js";
+
+/**
+ * Bulk student import from CSV / XLSX (mounted under /api/students/import).
+ * ADMIN only, same as creating a single student; the upload is blocked once the student cap is hit
+ * and the service checks the whole file fits in what is left.
+ */
+const router = Router();
+
+router.use(requireTenant);
+router.use(loadSubscription);
+router.use(requireRole("ADMIN"));
+
+// files are parsed in memory; nothing is kept on disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    const ok =
+      /\.(csv|txt|xlsx)$/i.test(file.originalname || "") ||
+      /csv|text\/plain|spreadsheetml/.test(file.mimetype || "");
+    cb(ok ? null : new Error("Upload the students as a CSV or Excel (.xlsx) file"), ok);
+  },
+});
+
+function uploadFile(req, res, next) {
+  return upload.single("file")(req, res, (err) => {
+    if (err) return res.status(400).json({ message: err?.message || "Upload failed" });
+    return next();
+  });
+}
+
+router.get("/template", ctrl.downloadTemplate);
+router.get("/", ctrl.listImports);
+router.get("/:id", ctrl.getImport);
+router.post("/", requireLimit("students"), uploadFile, ctrl.importStudents);
+
+export default router;
@@ -0,0 +1,420 @@
+// src/modules/imports/imports.service.js
+import crypto from "crypto";
+import ExcelJS from "exceljs";
+
+import { prisma } from "../../lib/prisma.js";
+import { logAudit } from "../../utils/audit.js";
+import { effectiveCap } from "../../middleware/subscription.js";
+import {
+  STUDENT_FIELDS,
+  buildColumnMap,
+  cellText,
+  fileFormat,
+  missingColumns,
+  normalizeHeader,
+  parseDob,
+  parseGender,
+  readRows,
+} from "./imports.parser.js";
+
+/* =========================
+   Helpers
+   ========================= */
+const MAX_ROWS = 2000;
+
+function httpError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function requireSchoolOrThrow(req) {
+  const schoolId = req.schoolId || req.user?.schoolId;
+  if (!schoolId) throw httpError("No school selected/attached to this user.");
+  return schoolId;
+}
+
+function actorCtx(req) {
+  return {
+    actorId: req.user?.id || null,
+    actorRole: req.role || req.user?.role || null,
+    actorEmail: req.user?.email || null,
+  };
+}
+
+function cleanStr(v) {
+  const s = String(v ?? "").trim();
+  return s || null;
+}
+
+function fmtDay(d) {
+  return d ? new Date(d).toISOString().slice(0, 10) : "";
+}
+
+function classLabel(c) {
+  return `${c.name}${c.stream ? ` ${c.stream}` : ""}`;
+}
+
+// { field: "Header" } from the request; sent as a JSON string alongside the multipart upload
+function readMappingOverrides(body) {
+  const raw = body?.mapping;
+  if (!raw) return {};
+  if (typeof raw === "object") return raw;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    throw httpError("mapping must be a JSON object of field -> column header.");
+  }
+}
+
+/**
+ * Active classes keyed by normalized "name|stream".
+ * When a class name is reused across years the most recent year wins.
+ * "Form 1 East" with no stream column also resolves to name "Form 1" + stream "East".
+ */
+async function classLookup(schoolId) {
+  const classes = await prisma.class.findMany({
+    where: { schoolId, isActive: true },
+    select: { id: true, name: true, stream: true, year: true },
+    orderBy: [{ year: "desc" }, { name: "asc" }],
+  });
+
+  const byKey = new Map();
+  for (const c of classes) {
+    const name = normalizeHeader(c.name);
+    const stream = normalizeHeader(c.stream);
+    if (!byKey.has(`${name}|${stream}`)) byKey.set(`${name}|${stream}`, c);
+    if (stream && !byKey.has(`${name}${stream}|`)) byKey.set(`${name}${stream}|`, c);
+  }
+  return { classes, byKey };
+}
+
+async function studentCapacity(req, schoolId) {
+  const limit = req.subscription ? effectiveCap(req.subscription, "students") : null;
+  const used = await prisma.student.count({ where: { schoolId, isActive: true } });
+  return { limit, used, remaining: limit == null ? null : Math.max(Number(limit) - used, 0) };
+}
+
+/**
+ * File rows -> validated student rows.
+ * Each row: { rowNo, admissionNo, firstName, lastName, gender, dob, className, stream, classId, classLabel, errors[] }.
+ */
+async function validateRows(schoolId, rows, columnMap) {
+  const cell = (cells, field) => (columnMap[field] === undefined ? "" : cells[columnMap[field]]);
+
+  const { byKey } = await classLookup(schoolId);
+
+  const parsed = [];
+  for (let i = 1; i < rows.length; i++) {
+    const cells = rows[i] || [];
+    if (!cells.some((c) => cellText(c))) continue; // blank
+    if (parsed.length >= MAX_ROWS) throw httpError(`Imports are limited to ${MAX_ROWS} students per file.`);
+
+    const errors = [];
+    const admissionNo = cellText(cell(cells, "admissionNo"));
+    const firstName = cellText(cell(cells, "firstName"));
+    const lastName = cellText(cell(cells, "lastName"));
+    const className = cellText(cell(cells, "className"));
+    const stream = cellText(cell(cells, "stream"));
+
+    if (!admissionNo) errors.push("Admission No is required");
+    if (!firstName) errors.push("First Name is required");
+    if (!lastName) errors.push("Last Name is required");
+
+    const gender = parseGender(cell(cells, "gender"));
+    if (gender.error) errors.push(gender.error);
+
+    const dob = parseDob(cell(cells, "dob"));
+    if (dob.error) errors.push(dob.error);
+
+    let cls = null;
+    if (className) {
+      cls = byKey.get(`${normalizeHeader(className)}|${normalizeHeader(stream)}`) || null;
+      if (!cls) errors.push(`Class "${[className, stream].filter(Boolean).join(" ")}" not found`);
+    } else if (stream) {
+      errors.push("Stream given without a class");
+    }
+
+    parsed.push({
+      rowNo: i + 1,
+      admissionNo,
+      firstName,
+      lastName,
+      gender: gender.value ?? null,
+      dob: dob.value ?? null,
+      className,
+      stream,
+      classId: cls?.id || null,
+      classLabel: cls ? classLabel(cls) : null,
+      errors,
+    });
+  }
+
+  // admission numbers must be unique in the file and against every student on record (inactive too)
+  const seen = new Map();
+  for (const r of parsed) {
+    if (!r.admissionNo) continue;
+    const key = r.admissionNo.toUpperCase();
+    if (seen.has(key)) r.errors.push(`Admission No repeats row ${seen.get(key)}`);
+    else seen.set(key, r.rowNo);
+  }
+
+  const admissionNos = parsed.map((r) => r.admissionNo).filter(Boolean);
+  const existing = admissionNos.length
+    ? await prisma.student.findMany({
+        where: { schoolId, admissionNo: { in: admissionNos, mode: "insensitive" } },
+        select: { admissionNo: true, firstName: true, lastName: true, isActive: true },
+      })
+    : [];
+  const taken = new Map(existing.map((s) => [s.admissionNo.toUpperCase(), s]));
+
+  for (const r of parsed) {
+    const s = r.admissionNo ? taken.get(r.admissionNo.toUpperCase()) : null;
+    if (s) {
+      r.errors.push(
+        `Admission No already used by ${s.firstName} ${s.lastName}${s.isActive ? "" : " (inactive)"}`
+      );
+    }
+  }
+
+  return parsed;
+}
+
+/* =========================
+   Import (dry run + commit)
+   ========================= */
+
+/**
+ * Upload a CSV/XLSX of students.
+ * dryRun=true validates every row and returns the preview without writing anything;
+ * otherwise the valid rows are created in one transaction and the upload is recorded in the history.
+ * Rows with errors are never created; fix them and import a file with just those rows.
+ */
+export async function importStudents(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const body = req.body || {};
+  const dryRun = body.dryRun === true || body.dryRun === "true" || body.dryRun === "1";
+
+  if (!req.file?.buffer?.length) throw httpError("Upload a CSV or Excel (.xlsx) file.");
+
+  const format = fileFormat(req.file);
+  const overrides = readMappingOverrides(body);
+
+  const rows = await readRows(req.file.buffer, format);
+  const headers = (rows[0] || []).map(cellText);
+  const columnMap = buildColumnMap(headers, overrides);
+
+  // the preview still comes back so the admin can pick the right columns
+  const missing = missingColumns(columnMap);
+  if (missing.length && !dryRun) throw httpError(`Required columns not found: ${missing.join(", ")}.`);
+
+  const parsed = missing.length ? [] : await validateRows(schoolId, rows, columnMap);
+  const valid = parsed.filter((r) => r.errors.length === 0);
+  const invalid = parsed.filter((r) => r.errors.length > 0);
+
+  const capacity = await studentCapacity(req, schoolId);
+  const summary = {
+    rows: parsed.length,
+    valid: valid.length,
+    errors: invalid.length,
+    capacity,
+  };
+
+  const columns = Object.fromEntries(
+    STUDENT_FIELDS.filter((f) => columnMap[f.key] !== undefined).map((f) => [f.key, headers[columnMap[f.key]]])
+  );
+
+  const fileHash = crypto.createHash("sha256").update(req.file.buffer).digest("hex");
+  const already = await prisma.studentImport.findFirst({
+    where: { schoolId, fileHash },
+    orderBy: { createdAt: "desc" },
+    select: { id: true, fileName: true, createdAt: true },
+  });
+
+  if (dryRun) {
+    return {
+      dryRun: true,
+      format,
+      alreadyImported: already
+        ? { id: already.id, fileName: already.fileName, createdAt: already.createdAt }
+        : null,
+      headers,
+      fields: STUDENT_FIELDS.map(({ key, header, required }) => ({ key, header, required: !!required })),
+      columns,
+      missing,
+      summary,
+      rows: parsed,
+    };
+  }
+
+  if (!valid.length) throw httpError("No valid rows to import. Fix the errors in the preview and upload again.");
+  if (capacity.remaining != null && valid.length > capacity.remaining) {
+    throw httpError(
+      `Your plan allows ${capacity.limit} active students (${capacity.used} in use). ` +
+        `This file adds ${valid.length}; remove ${valid.length - capacity.remaining} rows or upgrade the plan.`,
+      409
+    );
+  }
+
+  const fileName = cleanStr(req.file.originalname)?.slice(0, 200) || `students.${format.toLowerCase()}`;
+  const errorRows = invalid.map((r) => ({ rowNo: r.rowNo, admissionNo: r.admissionNo, errors: r.errors }));
+
+  const record = await prisma
+    .$transaction(
+      async (tx) => {
+        const created = await tx.student.createManyAndReturn({
+          data: valid.map((r) => ({
+            schoolId,
+            admissionNo: r.admissionNo,
+            firstName: r.firstName,
+            lastName: r.lastName,
+            gender: r.gender,
+            dob: r.dob,
+            classId: r.classId,
+            isActive: true,
+          })),
+          select: { id: true, admissionNo: true, classId: true, createdAt: true },
+        });
+
+        // opening placement for everyone imported into a class
+        const labelByAdm = new Map(valid.map((r) => [r.admissionNo, r.classLabel]));
+        const placed = created.filter((st) => st.classId);
+        if (placed.length) {
+          await tx.studentEnrollment.createMany({
+            data: placed.map((st) => ({
+              schoolId,
+              studentId: st.id,
+              classId: st.classId,
+              classLabel: labelByAdm.get(st.admissionNo) || "",
+              startDate: st.createdAt,
+              reason: "IMPORT",
+              createdBy: req.user?.id || null,
+            })),
+          });
+        }
+
+        return tx.studentImport.create({
+          data: {
+            schoolId,
+            fileName,
+            fileHash,
+            format,
+            totalRows: parsed.length,
+            createdCount: valid.length,
+            errorCount: invalid.length,
+            columnMap: columns,
+            errors: errorRows,
+            uploadedBy: req.user?.id || null,
+            uploadedByEmail: req.user?.email || null,
+          },
+        });
+      },
+      { timeout: 30_000 }
+    )
+    .catch((e) => {
+      if (e?.code === "P2002") {
+        throw httpError("Some admission numbers were taken while importing. Preview the file again.", 409);
+      }
+      throw e;
+    });
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "STUDENTS_IMPORTED",
+    targetType: "STUDENT_IMPORT",
+    targetId: record.id,
+    metadata: {
+      fileName,
+      format,
+      rows: parsed.length,
+      created: valid.length,
+      errors: invalid.length,
+      ...(already ? { previousImportId: already.id, previousImportOn: fmtDay(already.createdAt) } : {}),
+    },
+  });
+
+  return { dryRun: false, import: record, summary, errors: errorRows.slice(0, 50) };
+}
+
+/* =========================
+   History
+   ========================= */
+export async function listImports(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  return prisma.studentImport.findMany({
+    where: { schoolId },
+    orderBy: { createdAt: "desc" },
+    take: 100,
+    select: {
+      id: true,
+      fileName: true,
+      format: true,
+      totalRows: true,
+      createdCount: true,
+      errorCount: true,
+      uploadedByEmail: true,
+      createdAt: true,
+    },
+  });
+}
+
+export async function getImport(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const record = await prisma.studentImport.findFirst({
+    where: { id: String(req.params.id), schoolId },
+  });
+  if (!record) throw httpError("Import not found.", 404);
+  return record;
+}
+
+/* =========================
+   Template
+   ========================= */
+const EXAMPLE_ROW = {
+  admissionNo: "ADM-0001",
+  firstName: "Grace",
+  lastName: "Otieno",
+  gender: "Female",
+  dob: "2012-03-14",
+  className: "",
+  stream: "",
+};
+
+// keyed by template header; the example class is a real one so the file imports as-is
+function exampleRow(classes) {
+  const example = { ...EXAMPLE_ROW, className: classes[0]?.name || "", stream: classes[0]?.stream || "" };
+  return Object.fromEntries(STUDENT_FIELDS.map((f) => [f.header, example[f.key]]));
+}
+
+/** Header + one example row (CSV export shape). */
+export async function templateRows(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const { classes } = await classLookup(schoolId);
+  return [exampleRow(classes)];
+}
+
+/** XLSX template: a Students sheet to fill in and a Classes sheet listing valid class/stream names. */
+export async function templateWorkbook(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const { classes } = await classLookup(schoolId);
+  const wb = new ExcelJS.Workbook();
+
+  const ws = wb.addWorksheet("Students");
+  ws.columns = STUDENT_FIELDS.map((f) => ({ header: f.header, key: f.header, width: 18 }));
+  ws.getRow(1).font = { bold: true };
+  ws.addRow(exampleRow(classes));
+
+  const cs = wb.addWorksheet("Classes");
+  cs.columns = [
+    { header: "Class", key: "name", width: 18 },
+    { header: "Stream", key: "stream", width: 14 },
+    { header: "Year", key: "year", width: 8 },
+  ];
+  cs.getRow(1).font = { bold: true };
+  classes.forEach((c) => cs.addRow({ name: c.name, stream: c.stream || "", year: c.year }));
+
+  return wb;
+}
@@ -0,0 +1,24 @@
+import * as svc from "./medical.service.js";
+
+function fail(res, label, err) {
+  console.error(`${label} ERROR:`, err);
+  return res.status(err.statusCode || 500).json({ message: err.message || "Server error" });
+}
+
+export async function getMedical(req, res) {
+  try {
+    res.setHeader("Cache-Control", "private, no-store");
+    return res.json({ data: await svc.getMedical(req) });
+  } catch (err) {
+    return fail(res, "STUDENT MEDICAL", err);
+  }
+}
+
+export async function updateMedical(req, res) {
+  try {
+    res.setHeader("Cache-Control", "private, no-store");
+    return res.json({ data: await svc.updateMedical(req) });
+  } catch (err) {
+    return fail(res, "STUDENT MEDICAL UPDATE", err);
+  }
+}
@@ -0,0 +1,22 @@
+import { Router } from "express";
+
+import { requireRole } from "../../middleware/auth.js";
+import { requireTenant } from "../../middleware/tenant.js";
+import { loadSubscription } from "../../middleware/subscription.js";
+import * as ctrl from "./medical.controller.js";
+
+/**
+ * Student medical profile + emergency contacts (mounted under /api/students/:studentId/medical).
+ * ADMIN, and TEACHER/BURSAR users with medical access (User.medicalAccess); the service enforces it
+ * and audits every read. Class lists only ever see the allergyAlert flag.
+ */
+const router = Router({ mergeParams: true });
+
+router.use(requireTenant);
+router.use(loadSubscription);
+router.use(requireRole("ADMIN", "TEACHER", "BURSAR"));
+
+router.get("/", ctrl.getMedical);
+router.put("/", ctrl.updateMedical);
+
+export default router;
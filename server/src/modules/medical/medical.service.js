@@ -0,0 +1,194 @@
+// src/modules/medical/medical.service.js
+import { prisma } from "../../lib/prisma.js";
+import { logAudit } from "../../utils/audit.js";
+import { hasMedicalAccess } from "../../middleware/tenant.js";
+
+/* =========================
+   Helpers
+   ========================= */
+export const BLOOD_GROUPS = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+
+const MAX_CONTACTS = 5;
+const TEXT_FIELDS = ["allergies", "conditions", "medications", "specialNeeds", "doctorName"];
+
+const PROFILE_SELECT = {
+  bloodGroup: true,
+  allergies: true,
+  conditions: true,
+  medications: true,
+  specialNeeds: true,
+  doctorName: true,
+  doctorPhone: true,
+  allergyAlert: true,
+  updatedByEmail: true,
+  updatedAt: true,
+};
+
+const CONTACT_SELECT = {
+  id: true,
+  name: true,
+  relationship: true,
+  phone: true,
+  altPhone: true,
+  notes: true,
+  sortOrder: true,
+};
+
+function httpError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function requireSchoolOrThrow(req) {
+  const schoolId = req.schoolId || req.user?.schoolId;
+  if (!schoolId) throw httpError("No school selected/attached to this user.");
+  return schoolId;
+}
+
+function actorCtx(req) {
+  return {
+    actorId: req.user?.id || null,
+    actorRole: req.role || req.user?.role || null,
+    actorEmail: req.userEmail || req.user?.email || null,
+  };
+}
+
+function cleanStr(v, max = 2000) {
+  const s = String(v ?? "").trim();
+  return s ? s.slice(0, max) : null;
+}
+
+async function loadStudentOrThrow(req) {
+  if (!hasMedicalAccess(req)) {
+    throw httpError("Medical information is restricted. Ask an admin for medical access.", 403);
+  }
+
+  const schoolId = requireSchoolOrThrow(req);
+  const student = await prisma.student.findFirst({
+    where: { id: String(req.params.studentId), schoolId },
+    select: { id: true, admissionNo: true },
+  });
+  if (!student) throw httpError("Student not found.", 404);
+  return { schoolId, student };
+}
+
+async function readMedical(schoolId, studentId) {
+  const [profile, emergencyContacts] = await Promise.all([
+    prisma.studentMedicalProfile.findUnique({ where: { studentId }, select: PROFILE_SELECT }),
+    prisma.studentEmergencyContact.findMany({
+      where: { schoolId, studentId },
+      orderBy: [{ sortOrder: "asc" }, { createdAt: "asc" }],
+      select: CONTACT_SELECT,
+    }),
+  ]);
+  return { studentId, profile, emergencyContacts };
+}
+
+function parseContacts(list) {
+  if (list === undefined) return undefined;
+  if (!Array.isArray(list)) throw httpError("emergencyContacts must be a list.");
+  if (list.length > MAX_CONTACTS) throw httpError(`At most ${MAX_CONTACTS} emergency contacts.`);
+
+  return list.map((c, i) => {
+    const name = cleanStr(c?.name, 120);
+    const phone = cleanStr(c?.phone, 30);
+    if (!name || !phone) throw httpError(`Emergency contact ${i + 1} needs a name and a phone number.`);
+    return {
+      name,
+      phone,
+      relationship: cleanStr(c?.relationship, 30)?.toUpperCase() || null,
+      altPhone: cleanStr(c?.altPhone, 30),
+      notes: cleanStr(c?.notes, 500),
+      sortOrder: i,
+    };
+  });
+}
+
+/* =========================
+   Medical profile
+   ========================= */
+
+// Every read is audited: who looked at which child's medical record, and when.
+export async function getMedical(req) {
+  const { schoolId, student } = await loadStudentOrThrow(req);
+  const data = await readMedical(schoolId, student.id);
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "STUDENT_MEDICAL_VIEWED",
+    targetType: "STUDENT",
+    targetId: student.id,
+    metadata: { admissionNo: student.admissionNo },
+  });
+
+  return data;
+}
+
+/**
+ * Saves the profile. Fields left out of the body are kept; emergencyContacts, when sent,
+ * replaces the whole list (in call order).
+ */
+export async function updateMedical(req) {
+  const { schoolId, student } = await loadStudentOrThrow(req);
+  const body = req.body || {};
+
+  const data = {};
+  for (const f of TEXT_FIELDS) {
+    if (f in body) data[f] = cleanStr(body[f], f === "doctorName" ? 120 : 2000);
+  }
+  if ("doctorPhone" in body) data.doctorPhone = cleanStr(body.doctorPhone, 30);
+  if ("bloodGroup" in body) {
+    const bg = cleanStr(body.bloodGroup, 5)?.toUpperCase() || null;
+    if (bg && !BLOOD_GROUPS.includes(bg)) throw httpError(`bloodGroup must be one of ${BLOOD_GROUPS.join(", ")}.`);
+    data.bloodGroup = bg;
+  }
+  const contacts = parseContacts(body.emergencyContacts);
+
+  await prisma.$transaction(async (tx) => {
+    const existing = await tx.studentMedicalProfile.findUnique({
+      where: { studentId: student.id },
+      select: { allergies: true },
+    });
+    const allergies = "allergies" in data ? data.allergies : existing?.allergies;
+    const stamp = {
+      allergyAlert: !!allergies,
+      updatedBy: req.user?.id || null,
+      updatedByEmail: req.userEmail || req.user?.email || null,
+    };
+
+    await tx.studentMedicalProfile.upsert({
+      where: { studentId: student.id },
+      create: { schoolId, studentId: student.id, ...data, ...stamp },
+      update: { ...data, ...stamp },
+    });
+
+    if (contacts) {
+      await tx.studentEmergencyContact.deleteMany({ where: { schoolId, studentId: student.id } });
+      if (contacts.length) {
+        await tx.studentEmergencyContact.createMany({
+          data: contacts.map((c) => ({ ...c, schoolId, studentId: student.id })),
+        });
+      }
+    }
+  });
+
+  // field names only: the audit log must not become a second copy of the medical record
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "STUDENT_MEDICAL_UPDATED",
+    targetType: "STUDENT",
+    targetId: student.id,
+    metadata: {
+      admissionNo: student.admissionNo,
+      fields: Object.keys(data),
+      emergencyContacts: contacts ? contacts.length : undefined,
+    },
+  });
+
+  return readMedical(schoolId, student.id);
+}
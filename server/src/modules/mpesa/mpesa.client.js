@@ -0,0 +1,130 @@
+// src/modules/mpesa/mpesa.client.js
+// Thin Daraja HTTP client. MPESA_API_BASE_URL points every school at a local mock (scripts/mpesa-mock.js).
+
+const DARAJA_BASE = {
+  SANDBOX: "https://sandbox.safaricom.co.ke",
+  PRODUCTION: "https://api.safaricom.co.ke",
+};
+
+const HTTP_TIMEOUT_MS = 15_000;
+
+// token cache: `${configId}:${consumerKey}` -> { token, expiresAt }
+const tokenCache = new Map();
+
+function apiBase(config) {
+  const override = String(process.env.MPESA_API_BASE_URL || "").trim();
+  if (override) return override.replace(/\/+$/, "");
+  return DARAJA_BASE[config.environment] || DARAJA_BASE.SANDBOX;
+}
+
+function darajaError(message, body) {
+  const err = new Error(message);
+  err.statusCode = 502;
+  err.daraja = body ?? null;
+  return err;
+}
+
+async function darajaFetch(url, init) {
+  let res;
+  try {
+    res = await fetch(url, { ...init, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  } catch (e) {
+    throw darajaError(`M-Pesa API unreachable: ${e?.message || "network error"}`);
+  }
+
+  const text = await res.text();
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch {
+    body = { raw: text };
+  }
+
+  if (!res.ok) {
+    throw darajaError(body?.errorMessage || body?.ResponseDescription || `M-Pesa API error (${res.status})`, body);
+  }
+  return body;
+}
+
+// YYYYMMDDHHmmss in East Africa Time, as Daraja expects
+export function darajaTimestamp(at = new Date()) {
+  const eat = new Date(at.getTime() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace(/[-:TZ]/g, "").slice(0, 14);
+}
+
+// Inverse of darajaTimestamp; null when unparseable.
+export function parseDarajaTimestamp(value) {
+  const s = String(value ?? "").trim();
+  const m = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(s);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, sec] = m.map(Number);
+  const ms = Date.UTC(y, mo - 1, d, h - 3, mi, sec);
+  return Number.isFinite(ms) ? new Date(ms) : null;
+}
+
+export async function getAccessToken(config) {
+  const key = `${config.id}:${config.consumerKey}`;
+  const cached = tokenCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.token;
+
+  const basic = Buffer.from(`${config.consumerKey}:${config.consumerSecret}`).toString("base64");
+  const body = await darajaFetch(`${apiBase(config)}/oauth/v1/generate?grant_type=client_credentials`, {
+    method: "GET",
+    headers: { Authorization: `Basic ${basic}` },
+  });
+
+  if (!body?.access_token) throw darajaError("M-Pesa did not return an access token.", body);
+
+  // refresh a minute early
+  const ttl = Math.max(Number(body.expires_in || 3599) - 60, 30);
+  tokenCache.set(key, { token: body.access_token, expiresAt: Date.now() + ttl * 1000 });
+  return body.access_token;
+}
+
+export function clearAccessToken(config) {
+  for (const key of tokenCache.keys()) {
+    if (key.startsWith(`${config.id}:`)) tokenCache.delete(key);
+  }
+}
+
+async function authedPost(config, path, payload) {
+  const token = await getAccessToken(config);
+  return darajaFetch(`${apiBase(config)}${path}`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+}
+
+/**
+ * Lipa na M-Pesa Online (STK push) to the payer's phone.
+ * Returns Daraja's { MerchantRequestID, CheckoutRequestID, ResponseCode, CustomerMessage, ... }.
+ */
+export async function stkPush(config, { amount, phone, accountReference, description, callbackUrl }) {
+  const timestamp = darajaTimestamp();
+  const password = Buffer.from(`${config.shortCode}${config.passkey}${timestamp}`).toString("base64");
+
+  return authedPost(config, "/mpesa/stkpush/v1/processrequest", {
+    BusinessShortCode: config.shortCode,
+    Password: password,
+    Timestamp: timestamp,
+    TransactionType: "CustomerPayBillOnline",
+    Amount: amount,
+    PartyA: phone,
+    PartyB: config.shortCode,
+    PhoneNumber: phone,
+    CallBackURL: callbackUrl,
+    AccountReference: String(accountReference).slice(0, 12),
+    TransactionDesc: String(description || "School fees").slice(0, 13),
+  });
+}
+
+// Registers the paybill's C2B validation/confirmation URLs.
+export async function registerC2BUrls(config, { confirmationUrl, validationUrl }) {
+  return authedPost(config, "/mpesa/c2b/v1/registerurl", {
+    ShortCode: config.shortCode,
+    ResponseType: "Completed",
+    ConfirmationURL: confirmationUrl,
+    ValidationURL: validationUrl,
+  });
+}
@@ -0,0 +1,112 @@
+import * as svc from "./mpesa.service.js";
+
+function fail(res, label, err) {
+  console.error(`${label} ERROR:`, err);
+  return res.status(err.statusCode || 500).json({ message: err.message || "Server error" });
+}
+
+/* ---------- authenticated ---------- */
+
+export async function getConfig(req, res) {
+  try {
+    return res.json({ data: await svc.getConfig(req) });
+  } catch (err) {
+    return fail(res, "MPESA CONFIG", err);
+  }
+}
+
+export async function saveConfig(req, res) {
+  try {
+    return res.json({ data: await svc.saveConfig(req) });
+  } catch (err) {
+    return fail(res, "MPESA CONFIG SAVE", err);
+  }
+}
+
+export async function rotateCallbackSecret(req, res) {
+  try {
+    return res.json({ data: await svc.rotateCallbackSecret(req) });
+  } catch (err) {
+    return fail(res, "MPESA ROTATE SECRET", err);
+  }
+}
+
+export async function registerC2B(req, res) {
+  try {
+    return res.json({ data: await svc.registerC2B(req) });
+  } catch (err) {
+    return fail(res, "MPESA REGISTER C2B", err);
+  }
+}
+
+export async function initiateStkPush(req, res) {
+  try {
+    return res.status(201).json({ data: await svc.initiateStkPush(req) });
+  } catch (err) {
+    return fail(res, "MPESA STK PUSH", err);
+  }
+}
+
+export async function getStkRequest(req, res) {
+  try {
+    return res.json({ data: await svc.getStkRequest(req) });
+  } catch (err) {
+    return fail(res, "MPESA STK STATUS", err);
+  }
+}
+
+export async function listTransactions(req, res) {
+  try {
+    return res.json({ data: await svc.listTransactions(req) });
+  } catch (err) {
+    return fail(res, "MPESA TRANSACTIONS", err);
+  }
+}
+
+export async function resolveTransaction(req, res) {
+  try {
+    return res.json({ data: await svc.resolveTransaction(req) });
+  } catch (err) {
+    return fail(res, "MPESA RESOLVE", err);
+  }
+}
+
+export async function ignoreTransaction(req, res) {
+  try {
+    return res.json({ data: await svc.ignoreTransaction(req) });
+  } catch (err) {
+    return fail(res, "MPESA IGNORE", err);
+  }
+}
+
+/* ---------- public callbacks ---------- */
+
+// Loads the school's config from :configId and checks the shared secret / signature.
+export async function verifyCallback(req, res, next) {
+  try {
+    const config = await svc.loadCallbackConfig(req.params.configId);
+    svc.verifyCallback(config, req);
+    req.mpesaConfig = config;
+    req.schoolId = config.schoolId;
+    return next();
+  } catch (err) {
+    if (!err.statusCode || err.statusCode >= 500) console.error("MPESA CALLBACK AUTH ERROR:", err);
+    return res.status(err.statusCode || 500).json({ ResultCode: 1, ResultDesc: err.message || "Rejected" });
+  }
+}
+
+function callbackHandler(label, fn) {
+  return async (req, res) => {
+    try {
+      return res.json(await fn(req, req.mpesaConfig));
+    } catch (err) {
+      // non-2xx makes Daraja retry later
+      console.error(`${label} ERROR:`, err);
+      return res.status(err.statusCode || 500).json({ ResultCode: 1, ResultDesc: err.message || "Server error" });
+    }
+  };
+}
+
+export const c2bValidation = callbackHandler("MPESA C2B VALIDATION", (req, config) => svc.handleC2BValidation(config));
+export const c2bConfirmation = callbackHandler("MPESA C2B CONFIRMATION", svc.handleC2BConfirmation);
+export const stkCallback = callbackHandler("MPESA STK CALLBACK", svc.handleStkCallback);
@@ -0,0 +1,50 @@
+import { Router } from "express";
+import { requireRole } from "../../middleware/auth.js";
+import { requireTenant } from "../../middleware/tenant.js";
+import { loadSubscription, requireEntitlement } from "../../middleware/subscription.js";
+import * as ctrl from "./mpesa.controller.js";
+
+/**
+ * Authenticated M-Pesa endpoints (mounted under /api/mpesa, after requireAuth + tenantContext).
+ */
+const router = Router();
+
+router.use(requireTenant);
+router.use(loadSubscription);
+
+// config: ADMIN only (holds Daraja credentials)
+router.get("/config", requireRole("ADMIN"), ctrl.getConfig);
+router.put("/config", requireRole("ADMIN"), requireEntitlement("FEES_WRITE"), ctrl.saveConfig);
+router.post("/config/rotate-secret", requireRole("ADMIN"), requireEntitlement("FEES_WRITE"), ctrl.rotateCallbackSecret);
+router.post("/config/register-c2b", requireRole("ADMIN"), requireEntitlement("FEES_WRITE"), ctrl.registerC2B);
+
+// STK push from the cashier screen
+router.post("/stk-push", requireRole("ADMIN", "BURSAR"), requireEntitlement("FEES_WRITE"), ctrl.initiateStkPush);
+router.get("/stk/:id", requireRole("ADMIN", "BURSAR"), ctrl.getStkRequest);
+
+// received transactions + suspense queue
+router.get("/transactions", requireRole("ADMIN", "BURSAR"), ctrl.listTransactions);
+router.post(
+  "/transactions/:id/resolve",
+  requireRole("ADMIN", "BURSAR"),
+  requireEntitlement("FEES_WRITE"),
+  ctrl.resolveTransaction
+);
+router.post(
+  "/transactions/:id/ignore",
+  requireRole("ADMIN", "BURSAR"),
+  requireEntitlement("FEES_WRITE"),
+  ctrl.ignoreTransaction
+);
+
+/**
+ * Public Daraja callbacks (no JWT). Each school's URLs carry its config id and shared secret.
+ * Mounted at CALLBACK_MOUNT before the tenant routes.
+ */
+export const callbackRouter = Router();
+
+callbackRouter.post("/:configId/c2b/validation", ctrl.verifyCallback, ctrl.c2bValidation);
+callbackRouter.post("/:configId/c2b/confirmation", ctrl.verifyCallback, ctrl.c2bConfirmation);
+callbackRouter.post("/:configId/stk", ctrl.verifyCallback, ctrl.stkCallback);
+
+export default router;
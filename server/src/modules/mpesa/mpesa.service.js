@@ -0,0 +1,726 @@
+// src/modules/mpesa/mpesa.service.js
+import crypto from "crypto";
+
+import { prisma } from "../../lib/prisma.js";
+import { logAudit } from "../../utils/audit.js";
+import { postFeePayment } from "../../routes/fees.js";
+import * as daraja from "./mpesa.client.js";
+
+/* =========================
+   Helpers
+   ========================= */
+function httpError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function requireSchoolOrThrow(req) {
+  const schoolId = req.schoolId || req.user?.schoolId;
+  if (!schoolId) throw httpError("No school selected/attached to this user.");
+  return schoolId;
+}
+
+function actorCtx(req) {
+  return {
+    actorId: req.user?.id || null,
+    actorRole: req.role || req.user?.role || null,
+    actorEmail: req.user?.email || null,
+  };
+}
+
+// callbacks have no user: the payer (via Safaricom) is the actor
+const SYSTEM_ACTOR = { actorId: null, actorRole: "SYSTEM", actorEmail: null };
+
+function toInt(v) {
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) ? n : 0;
+}
+
+function mask(secret) {
+  const s = String(secret || "");
+  if (!s) return null;
+  return s.length <= 4 ? "••••" : `••••${s.slice(-4)}`;
+}
+
+function newCallbackSecret() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ""));
+  const y = Buffer.from(String(b || ""));
+  return x.length === y.length && x.length > 0 && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * Kenyan mobile numbers to Daraja's 2547XXXXXXXX / 2541XXXXXXXX form.
+ * Accepts 07.., 01.., 7.., +254.., 254..; null when not a valid number.
+ */
+export function normalizeMsisdn(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  let local = null;
+  if (/^254[17]\d{8}$/.test(digits)) local = digits.slice(3);
+  else if (/^0[17]\d{8}$/.test(digits)) local = digits.slice(1);
+  else if (/^[17]\d{8}$/.test(digits)) local = digits;
+  return local ? `254${local}` : null;
+}
+
+function callbackBase() {
+  const configured = String(process.env.MPESA_CALLBACK_BASE_URL || "").trim();
+  if (configured) return configured.replace(/\/+$/, "");
+  if (process.env.NODE_ENV === "production") {
+    throw httpError("MPESA_CALLBACK_BASE_URL is not set on the server.", 500);
+  }
+  return `http://localhost:${process.env.PORT || 5000}`;
+}
+
+// Daraja rejects callback URLs containing "mpesa"/"safaricom", hence the neutral path.
+export const CALLBACK_MOUNT = "/api/payment-callbacks";
+
+function callbackUrls(config) {
+  const base = `${callbackBase()}${CALLBACK_MOUNT}/${config.id}`;
+  const key = `?key=${encodeURIComponent(config.callbackSecret)}`;
+  return {
+    c2bValidation: `${base}/c2b/validation${key}`,
+    c2bConfirmation: `${base}/c2b/confirmation${key}`,
+    stk: `${base}/stk${key}`,
+  };
+}
+
+function shapeConfig(config) {
+  if (!config) return null;
+  return {
+    id: config.id,
+    environment: config.environment,
+    shortCode: config.shortCode,
+    hasPasskey: !!config.passkey,
+    consumerKey: mask(config.consumerKey),
+    consumerSecret: mask(config.consumerSecret),
+    isActive: config.isActive,
+    callbackUrls: callbackUrls(config),
+    updatedAt: config.updatedAt,
+  };
+}
+
+async function requireActiveConfig(schoolId) {
+  const config = await prisma.mpesaConfig.findUnique({ where: { schoolId } });
+  if (!config || !config.isActive) throw httpError("M-Pesa is not configured for this school.");
+  return config;
+}
+
+/* =========================
+   Config (ADMIN)
+   ========================= */
+export async function getConfig(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const config = await prisma.mpesaConfig.findUnique({ where: { schoolId } });
+  return shapeConfig(config);
+}
+
+export async function saveConfig(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const body = req.body || {};
+  const existing = await prisma.mpesaConfig.findUnique({ where: { schoolId } });
+
+  const data = {};
+
+  if (body.environment !== undefined) {
+    const env = String(body.environment).trim().toUpperCase();
+    if (!["SANDBOX", "PRODUCTION"].includes(env)) throw httpError("environment must be SANDBOX or PRODUCTION.");
+    data.environment = env;
+  }
+
+  if (body.shortCode !== undefined) {
+    const shortCode = String(body.shortCode).trim();
+    if (!/^\d{5,7}$/.test(shortCode)) throw httpError("shortCode must be a 5–7 digit paybill/till number.");
+    data.shortCode = shortCode;
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== "boolean") throw httpError("isActive must be boolean.");
+    data.isActive = body.isActive;
+  }
+
+  // secrets: blank means "keep current"
+  for (const field of ["passkey", "consumerKey", "consumerSecret"]) {
+    const v = body[field];
+    if (v !== undefined && v !== null && String(v).trim() !== "") data[field] = String(v).trim();
+  }
+
+  let config;
+  if (existing) {
+    config = await prisma.mpesaConfig.update({ where: { schoolId }, data });
+  } else {
+    for (const field of ["shortCode", "consumerKey", "consumerSecret"]) {
+      if (!data[field]) throw httpError(`${field} is required.`);
+    }
+    config = await prisma.mpesaConfig.create({
+      data: { schoolId, ...data, callbackSecret: newCallbackSecret() },
+    });
+  }
+
+  daraja.clearAccessToken(config);
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "FEES_MPESA_CONFIG_UPDATED",
+    targetType: "MPESA_CONFIG",
+    targetId: config.id,
+    metadata: {
+      created: !existing,
+      environment: config.environment,
+      shortCode: config.shortCode,
+      isActive: config.isActive,
+      secretsChanged: ["passkey", "consumerKey", "consumerSecret"].filter((f) => f in data),
+    },
+  });
+
+  return shapeConfig(config);
+}
+
+export async function rotateCallbackSecret(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const existing = await prisma.mpesaConfig.findUnique({ where: { schoolId } });
+  if (!existing) throw httpError("M-Pesa is not configured for this school.", 404);
+
+  const config = await prisma.mpesaConfig.update({
+    where: { schoolId },
+    data: { callbackSecret: newCallbackSecret() },
+  });
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "FEES_MPESA_SECRET_ROTATED",
+    targetType: "MPESA_CONFIG",
+    targetId: config.id,
+  });
+
+  return shapeConfig(config);
+}
+
+export async function registerC2B(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const config = await requireActiveConfig(schoolId);
+  const urls = callbackUrls(config);
+
+  const result = await daraja.registerC2BUrls(config, {
+    confirmationUrl: urls.c2bConfirmation,
+    validationUrl: urls.c2bValidation,
+  });
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "FEES_MPESA_C2B_REGISTERED",
+    targetType: "MPESA_CONFIG",
+    targetId: config.id,
+    metadata: { shortCode: config.shortCode, response: result?.ResponseDescription || null },
+  });
+
+  return { response: result };
+}
+
+/* =========================
+   Matching + posting
+   ========================= */
+
+/**
+ * Account reference -> invoice.
+ * 1) invoice number (current or legacy)
+ * 2) admission number -> the student's oldest outstanding invoice,
+ *    else their latest invoice (the whole amount then becomes credit)
+ * Returns { invoice } or { reason } for the suspense queue.
+ */
+async function matchAccountRef(schoolId, accountRef) {
+  const ref = String(accountRef || "").trim();
+  if (!ref) return { reason: "No account reference" };
+
+  const byNo = await prisma.feeInvoice.findFirst({
+    where: {
+      schoolId,
+      OR: [
+        { invoiceNo: { equals: ref, mode: "insensitive" } },
+        { legacyInvoiceNo: { equals: ref, mode: "insensitive" } },
+      ],
+    },
+    select: { id: true, status: true },
+  });
+  if (byNo) {
+    if (byNo.status === "VOID") return { reason: `Invoice ${ref} is void` };
+    return { invoice: byNo };
+  }
+
+  const student = await prisma.student.findFirst({
+    where: { schoolId, admissionNo: { equals: ref, mode: "insensitive" } },
+    select: { id: true },
+  });
+  if (!student) return { reason: `No invoice or admission number matches "${ref}"` };
+
+  const outstanding = await prisma.feeInvoice.findFirst({
+    where: { schoolId, studentId: student.id, status: { in: ["ISSUED", "PARTIALLY_PAID"] }, balance: { gt: 0 } },
+    orderBy: [{ year: "asc" }, { createdAt: "asc" }],
+    select: { id: true, status: true },
+  });
+  if (outstanding) return { invoice: outstanding };
+
+  const latest = await prisma.feeInvoice.findFirst({
+    where: { schoolId, studentId: student.id, status: { notIn: ["VOID", "CARRIED_FORWARD"] } },
+    orderBy: { createdAt: "desc" },
+    select: { id: true, status: true },
+  });
+  if (latest) return { invoice: latest };
+
+  return { reason: `Student ${ref} has no invoice to pay` };
+}
+
+async function findTxn(schoolId, transCode) {
+  return prisma.mpesaTransaction.findUnique({
+    where: { schoolId_transCode: { schoolId, transCode } },
+  });
+}
+
+/**
+ * Records one M-Pesa credit and posts it when it can be matched.
+ * Idempotent on transCode: Daraja retries callbacks, and FeePayment.clientTxnId = transCode
+ * guards the payment itself if two deliveries race.
+ */
+async function ingestPayment(req, { config, source, transCode, amount, msisdn, payerName, accountRef, transTime, raw, invoiceId }) {
+  const schoolId = config.schoolId;
+
+  const existing = await findTxn(schoolId, transCode);
+  if (existing) return { transaction: existing, duplicate: true };
+
+  const base = {
+    schoolId,
+    source,
+    transCode,
+    amount,
+    msisdn: msisdn || null,
+    payerName: payerName || null,
+    accountRef: accountRef || null,
+    transTime: transTime || null,
+    raw: raw ?? undefined,
+  };
+
+  let match;
+  if (amount <= 0) match = { reason: "Amount must be greater than 0" };
+  else if (invoiceId) match = { invoice: { id: invoiceId } };
+  else match = await matchAccountRef(schoolId, accountRef);
+
+  let posted = null;
+  if (match.invoice) {
+    try {
+      posted = await postFeePayment({
+        schoolId,
+        invoiceId: match.invoice.id,
+        amount,
+        method: "MPESA",
+        reference: transCode,
+        clientTxnId: transCode,
+        userId: null,
+        receivedAt: transTime || new Date(),
+      });
+    } catch (e) {
+      // business rule failures (void invoice etc.) park the money; anything else lets Daraja retry
+      if (!e?.status || e.status >= 500) throw e;
+      match = { reason: e.message };
+    }
+  }
+
+  let transaction;
+  try {
+    transaction = await prisma.mpesaTransaction.create({
+      data: posted
+        ? { ...base, status: "POSTED", invoiceId: posted.invoice.id, paymentId: posted.payment.id }
+        : { ...base, status: "SUSPENSE", reason: match.reason },
+    });
+  } catch (e) {
+    if (e?.code === "P2002") return { transaction: await findTxn(schoolId, transCode), duplicate: true };
+    throw e;
+  }
+
+  const sourceTag = `MPESA_${source}`;
+  if (posted && !posted.idempotent) {
+    await logAudit({
+      req,
+      ...SYSTEM_ACTOR,
+      schoolId,
+      action: "FEES_PAYMENT_POSTED",
+      targetType: "FEE_PAYMENT",
+      targetId: posted.payment.id,
+      metadata: {
+        source: sourceTag,
+        transCode,
+        invoiceId: posted.invoice.id,
+        requestedInvoiceId: posted.redirectedFrom?.id || null,
+        amount,
+        creditCreated: posted.credit?.created || 0,
+        receiptNo: posted.payment.receiptNo,
+        accountRef: accountRef || null,
+      },
+    });
+  } else if (!posted) {
+    await logAudit({
+      req,
+      ...SYSTEM_ACTOR,
+      schoolId,
+      action: "FEES_MPESA_SUSPENSE",
+      targetType: "MPESA_TRANSACTION",
+      targetId: transaction.id,
+      metadata: { source: sourceTag, transCode, amount, accountRef: accountRef || null, reason: match.reason },
+    });
+  }
+
+  return { transaction, duplicate: false };
+}
+
+/* =========================
+   Callbacks (public, secret-checked)
+   ========================= */
+
+export async function loadCallbackConfig(configId) {
+  const config = await prisma.mpesaConfig.findUnique({ where: { id: String(configId || "") } });
+  if (!config) throw httpError("Unknown callback endpoint.", 404);
+  return config;
+}
+
+/**
+ * Accepts either:
+ * - x-callback-signature: hex HMAC-SHA256 of the raw body keyed with callbackSecret (gateways / mock)
+ * - ?key=<callbackSecret> (Daraja itself cannot sign, so the secret rides in the registered URL)
+ */
+export function verifyCallback(config, req) {
+  const signature = req.headers?.["x-callback-signature"];
+  if (signature) {
+    const raw = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+    const expected = crypto.createHmac("sha256", config.callbackSecret).update(raw).digest("hex");
+    if (safeEqual(String(signature).toLowerCase(), expected)) return;
+  } else if (safeEqual(req.query?.key, config.callbackSecret)) {
+    return;
+  }
+  throw httpError("Invalid callback signature.", 401);
+}
+
+function payerNameOf(body) {
+  return [body?.FirstName, body?.MiddleName, body?.LastName].filter(Boolean).join(" ").trim() || null;
+}
+
+// Unknown references are still accepted: they land in suspense instead of bouncing the payer.
+export async function handleC2BValidation(config) {
+  if (!config.isActive) return { ResultCode: "C2B00016", ResultDesc: "Rejected" };
+  return { ResultCode: 0, ResultDesc: "Accepted" };
+}
+
+export async function handleC2BConfirmation(req, config) {
+  const body = req.body || {};
+  const transCode = String(body.TransID || "").trim().toUpperCase();
+  if (!transCode) throw httpError("TransID is required.");
+
+  await ingestPayment(req, {
+    config,
+    source: "C2B",
+    transCode,
+    amount: toInt(body.TransAmount),
+    msisdn: body.MSISDN ? String(body.MSISDN) : null,
+    payerName: payerNameOf(body),
+    accountRef: String(body.BillRefNumber || "").trim().toUpperCase() || null,
+    transTime: daraja.parseDarajaTimestamp(body.TransTime),
+    raw: body,
+  });
+
+  return { ResultCode: 0, ResultDesc: "Accepted" };
+}
+
+export async function handleStkCallback(req, config) {
+  const cb = req.body?.Body?.stkCallback;
+  const checkoutRequestId = String(cb?.CheckoutRequestID || "");
+  if (!checkoutRequestId) throw httpError("CheckoutRequestID is required.");
+
+  const stk = await prisma.mpesaStkRequest.findUnique({ where: { checkoutRequestId } });
+  if (!stk || stk.schoolId !== config.schoolId) return { ResultCode: 0, ResultDesc: "Accepted" };
+  if (stk.status !== "PENDING") return { ResultCode: 0, ResultDesc: "Accepted" };
+
+  const resultCode = toInt(cb.ResultCode);
+  if (resultCode !== 0) {
+    await prisma.mpesaStkRequest.update({
+      where: { id: stk.id },
+      data: { status: "FAILED", resultCode, resultDesc: cb.ResultDesc ? String(cb.ResultDesc) : null },
+    });
+    return { ResultCode: 0, ResultDesc: "Accepted" };
+  }
+
+  const meta = {};
+  for (const item of cb.CallbackMetadata?.Item || []) {
+    if (item?.Name) meta[item.Name] = item.Value;
+  }
+
+  const transCode = String(meta.MpesaReceiptNumber || "").trim().toUpperCase();
+  if (!transCode) throw httpError("MpesaReceiptNumber is required.");
+
+  await ingestPayment(req, {
+    config,
+    source: "STK",
+    transCode,
+    amount: toInt(meta.Amount ?? stk.amount),
+    msisdn: meta.PhoneNumber ? String(meta.PhoneNumber) : stk.phone,
+    payerName: null,
+    accountRef: null,
+    transTime: daraja.parseDarajaTimestamp(meta.TransactionDate),
+    raw: req.body,
+    invoiceId: stk.invoiceId,
+  });
+
+  await prisma.mpesaStkRequest.update({
+    where: { id: stk.id },
+    data: { status: "SUCCESS", resultCode, resultDesc: cb.ResultDesc ? String(cb.ResultDesc) : null, transCode },
+  });
+
+  return { ResultCode: 0, ResultDesc: "Accepted" };
+}
+
+/* =========================
+   STK push (cashier)
+   ========================= */
+export async function initiateStkPush(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const { invoiceId, phone, amount } = req.body || {};
+
+  if (!invoiceId) throw httpError("invoiceId is required.");
+
+  const msisdn = normalizeMsisdn(phone);
+  if (!msisdn) throw httpError("Enter a valid Safaricom number (e.g. 0712345678).");
+
+  const config = await requireActiveConfig(schoolId);
+  if (!config.passkey) throw httpError("M-Pesa passkey is not set; STK push is unavailable.");
+
+  const invoice = await prisma.feeInvoice.findFirst({
+    where: { id: String(invoiceId), schoolId },
+    select: { id: true, invoiceNo: true, status: true, balance: true },
+  });
+  if (!invoice) throw httpError("Invoice not found.", 404);
+  if (invoice.status === "VOID") throw httpError("Cannot request payment for a VOID invoice.");
+
+  const amt = amount === undefined || amount === null || amount === "" ? Number(invoice.balance || 0) : toInt(amount);
+  if (!Number.isFinite(amt) || amt <= 0) throw httpError("Amount must be greater than 0.");
+
+  const res = await daraja.stkPush(config, {
+    amount: amt,
+    phone: msisdn,
+    accountReference: invoice.invoiceNo || invoice.id,
+    description: "School fees",
+    callbackUrl: callbackUrls(config).stk,
+  });
+
+  if (String(res?.ResponseCode) !== "0" || !res?.CheckoutRequestID) {
+    throw httpError(res?.errorMessage || res?.ResponseDescription || "M-Pesa rejected the request.", 502);
+  }
+
+  const request = await prisma.mpesaStkRequest.create({
+    data: {
+      schoolId,
+      invoiceId: invoice.id,
+      phone: msisdn,
+      amount: amt,
+      merchantRequestId: res.MerchantRequestID || null,
+      checkoutRequestId: res.CheckoutRequestID,
+      requestedBy: req.user?.id || null,
+    },
+  });
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "FEES_MPESA_STK_REQUESTED",
+    targetType: "FEE_INVOICE",
+    targetId: invoice.id,
+    metadata: { stkRequestId: request.id, amount: amt, phone: msisdn, invoiceNo: invoice.invoiceNo },
+  });
+
+  return { request, customerMessage: res.CustomerMessage || null };
+}
+
+export async function getStkRequest(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const request = await prisma.mpesaStkRequest.findFirst({
+    where: { id: String(req.params.id), schoolId },
+  });
+  if (!request) throw httpError("STK request not found.", 404);
+
+  let payment = null;
+  if (request.transCode) {
+    const txn = await findTxn(schoolId, request.transCode);
+    if (txn?.paymentId) {
+      payment = await prisma.feePayment.findUnique({
+        where: { id: txn.paymentId },
+        select: { id: true, receiptNo: true, amount: true },
+      });
+    }
+  }
+
+  return { ...request, payment };
+}
+
+/* =========================
+   Transactions + suspense queue
+   ========================= */
+const TXN_STATUSES = ["POSTED", "SUSPENSE", "RESOLVED", "IGNORED"];
+
+export async function listTransactions(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const status = String(req.query?.status || "").trim().toUpperCase();
+  const take = Math.min(Math.max(toInt(req.query?.take) || 100, 1), 500);
+
+  if (status && !TXN_STATUSES.includes(status)) {
+    throw httpError(`status must be one of ${TXN_STATUSES.join(", ")}.`);
+  }
+
+  const txns = await prisma.mpesaTransaction.findMany({
+    where: { schoolId, ...(status ? { status } : {}) },
+    orderBy: { createdAt: "desc" },
+    take,
+    select: {
+      id: true,
+      source: true,
+      transCode: true,
+      amount: true,
+      msisdn: true,
+      payerName: true,
+      accountRef: true,
+      transTime: true,
+      status: true,
+      reason: true,
+      resolvedAt: true,
+      createdAt: true,
+      invoice: {
+        select: {
+          id: true,
+          invoiceNo: true,
+          studentId: true,
+        },
+      },
+      payment: { select: { id: true, receiptNo: true } },
+    },
+  });
+
+  // FeeInvoice has no student relation; attach the students separately
+  const studentIds = [...new Set(txns.map((t) => t.invoice?.studentId).filter(Boolean))];
+  const students = studentIds.length
+    ? await prisma.student.findMany({
+        where: { schoolId, id: { in: studentIds } },
+        select: { id: true, firstName: true, lastName: true, admissionNo: true },
+      })
+    : [];
+  const byId = new Map(students.map((st) => [st.id, st]));
+
+  return txns.map((t) =>
+    t.invoice ? { ...t, invoice: { ...t.invoice, student: byId.get(t.invoice.studentId) || null } } : t
+  );
+}
+
+async function requireSuspenseTxn(schoolId, id) {
+  const txn = await prisma.mpesaTransaction.findFirst({ where: { id: String(id), schoolId } });
+  if (!txn) throw httpError("Transaction not found.", 404);
+  if (txn.status !== "SUSPENSE") throw httpError(`Transaction is already ${txn.status}.`, 409);
+  return txn;
+}
+
+export async function resolveTransaction(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const { invoiceId } = req.body || {};
+  if (!invoiceId) throw httpError("invoiceId is required.");
+
+  const txn = await requireSuspenseTxn(schoolId, req.params.id);
+  if (txn.amount <= 0) throw httpError("Transaction has no amount to post; ignore it instead.");
+
+  let posted;
+  try {
+    posted = await postFeePayment({
+      schoolId,
+      invoiceId,
+      amount: txn.amount,
+      method: "MPESA",
+      reference: txn.transCode,
+      clientTxnId: txn.transCode,
+      userId: req.user?.id || null,
+      receivedAt: txn.transTime || txn.createdAt,
+    });
+  } catch (e) {
+    if (e?.status) throw httpError(e.message, e.status);
+    throw e;
+  }
+
+  // conditional update: a concurrent resolve/ignore wins only once
+  const { count } = await prisma.mpesaTransaction.updateMany({
+    where: { id: txn.id, status: "SUSPENSE" },
+    data: {
+      status: "RESOLVED",
+      invoiceId: posted.invoice.id,
+      paymentId: posted.payment.id,
+      resolvedBy: req.user?.id || null,
+      resolvedAt: new Date(),
+    },
+  });
+  if (count === 0) throw httpError("Transaction was resolved by someone else.", 409);
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "FEES_MPESA_SUSPENSE_RESOLVED",
+    targetType: "MPESA_TRANSACTION",
+    targetId: txn.id,
+    metadata: {
+      transCode: txn.transCode,
+      amount: txn.amount,
+      invoiceId: posted.invoice.id,
+      paymentId: posted.payment.id,
+      receiptNo: posted.payment.receiptNo,
+      creditCreated: posted.credit?.created || 0,
+    },
+  });
+
+  return {
+    transaction: await prisma.mpesaTransaction.findUnique({ where: { id: txn.id } }),
+    payment: posted.payment,
+    invoice: posted.invoice,
+    credit: posted.credit,
+  };
+}
+
+export async function ignoreTransaction(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const reason = String(req.body?.reason || "").trim();
+  if (reason.length < 3) throw httpError("A reason is required to ignore a transaction.");
+
+  const txn = await requireSuspenseTxn(schoolId, req.params.id);
+
+  const { count } = await prisma.mpesaTransaction.updateMany({
+    where: { id: txn.id, status: "SUSPENSE" },
+    data: {
+      status: "IGNORED",
+      reason: `${txn.reason ? `${txn.reason} • ` : ""}Ignored: ${reason}`.slice(0, 500),
+      resolvedBy: req.user?.id || null,
+      resolvedAt: new Date(),
+    },
+  });
+  if (count === 0) throw httpError("Transaction was resolved by someone else.", 409);
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "FEES_MPESA_SUSPENSE_IGNORED",
+    targetType: "MPESA_TRANSACTION",
+    targetId: txn.id,
+    metadata: { transCode: txn.transCode, amount: txn.amount, reason },
+  });
+
+  return prisma.mpesaTransaction.findUnique({ where: { id: txn.id } });
+}
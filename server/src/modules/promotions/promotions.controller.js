@@ -0,0 +1,54 @@
+import * as svc from "./promotions.service.js";
+
+function fail(res, label, err) {
+  console.error(`${label} ERROR:`, err);
+  return res.status(err.statusCode || 500).json({ message: err.message || "Server error" });
+}
+
+export async function getPlan(req, res) {
+  try {
+    return res.json({ data: await svc.getPlan(req) });
+  } catch (err) {
+    return fail(res, "PROMOTION PLAN", err);
+  }
+}
+
+export async function previewPromotion(req, res) {
+  try {
+    return res.json({ data: await svc.previewPromotion(req) });
+  } catch (err) {
+    return fail(res, "PROMOTION PREVIEW", err);
+  }
+}
+
+export async function applyPromotion(req, res) {
+  try {
+    return res.status(201).json({ data: await svc.applyPromotion(req) });
+  } catch (err) {
+    return fail(res, "PROMOTION APPLY", err);
+  }
+}
+
+export async function listRuns(req, res) {
+  try {
+    return res.json({ data: await svc.listRuns(req) });
+  } catch (err) {
+    return fail(res, "PROMOTION RUNS", err);
+  }
+}
+
+export async function getRun(req, res) {
+  try {
+    return res.json({ data: await svc.getRun(req) });
+  } catch (err) {
+    return fail(res, "PROMOTION RUN", err);
+  }
+}
+
+export async function reverseRun(req, res) {
+  try {
+    return res.json({ data: await svc.reverseRun(req) });
+  } catch (err) {
+    return fail(res, "PROMOTION REVERSE", err);
+  }
+}
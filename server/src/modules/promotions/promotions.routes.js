@@ -0,0 +1,26 @@
+import { Router } from "express";
+
+import { requireRole } from "../../middleware/auth.js";
+import { requireTenant } from "../../middleware/tenant.js";
+import { loadSubscription } from "../../middleware/subscription.js";
+import * as ctrl from "./promotions.controller.js";
+
+/**
+ * End-of-year promotion / graduation (mounted under /api/promotions).
+ * ADMIN only. Preview is read-only; apply and reverse each run in one transaction.
+ */
+const router = Router();
+
+router.use(requireTenant);
+router.use(loadSubscription);
+router.use(requireRole("ADMIN"));
+
+router.get("/plan", ctrl.getPlan);
+router.post("/preview", ctrl.previewPromotion);
+
+router.get("/", ctrl.listRuns);
+router.post("/", ctrl.applyPromotion);
+router.get("/:id", ctrl.getRun);
+router.post("/:id/reverse", ctrl.reverseRun);
+
+export default router;
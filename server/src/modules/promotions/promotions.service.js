@@ -0,0 +1,654 @@
+// src/modules/promotions/promotions.service.js
+import { prisma } from "../../lib/prisma.js";
+import { logAudit } from "../../utils/audit.js";
+import { effectiveCap } from "../../middleware/subscription.js";
+import { feeClearanceByStudent } from "../../routes/fees.js";
+
+/* =========================
+   Helpers
+   ========================= */
+const REVERSAL_WINDOW_DAYS = 7;
+
+// per source class: move everyone up, graduate them, or leave the class alone
+const CLASS_ACTIONS = ["PROMOTE", "GRADUATE", "SKIP"];
+
+const STUDENT_BRIEF = { id: true, admissionNo: true, firstName: true, lastName: true };
+
+function httpError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function requireSchoolOrThrow(req) {
+  const schoolId = req.schoolId || req.user?.schoolId;
+  if (!schoolId) throw httpError("No school selected/attached to this user.");
+  return schoolId;
+}
+
+function actorCtx(req) {
+  return {
+    actorId: req.user?.id || null,
+    actorRole: req.role || req.user?.role || null,
+    actorEmail: req.user?.email || null,
+  };
+}
+
+function cleanStr(v) {
+  const s = String(v ?? "").trim();
+  return s || null;
+}
+
+function toYear(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 2000 && n <= 2100 ? n : null;
+}
+
+function classLabel(c) {
+  return `${c.name}${c.stream ? ` ${c.stream}` : ""} (${c.year})`;
+}
+
+function classKey(name, stream) {
+  return `${String(name || "").trim().toUpperCase()}|${String(stream || "").trim().toUpperCase()}`;
+}
+
+// "Form 1" -> { prefix: "FORM", level: 1 }; names without a trailing number have no level
+function parseLevel(name) {
+  const m = /^(.*?)(\d+)\s*$/.exec(String(name || "").trim());
+  if (!m) return null;
+  return { prefix: m[1].trim(), prefixKey: m[1].trim().toUpperCase(), level: Number(m[2]) };
+}
+
+/* =========================
+   Suggested plan
+   ========================= */
+
+/**
+ * Classes of `fromYear` with their active students and a suggested action:
+ * "Form 1" -> "Form 2" (same stream, next year); the highest level ever used for a name graduates.
+ * Names without a level number are left alone (SKIP) for the admin to decide.
+ */
+export async function getPlan(req) {
+  const schoolId = requireSchoolOrThrow(req);
+
+  let fromYear = toYear(req.query?.fromYear);
+  if (req.query?.fromYear && !fromYear) throw httpError("fromYear must be a valid year (e.g. 2026).");
+
+  if (!fromYear) {
+    const latest = await prisma.class.findFirst({
+      where: { schoolId, isActive: true },
+      orderBy: { year: "desc" },
+      select: { year: true },
+    });
+    fromYear = latest?.year || new Date().getFullYear();
+  }
+  const nextYear = fromYear + 1;
+
+  const [classes, allNames, applied] = await Promise.all([
+    prisma.class.findMany({
+      where: { schoolId, year: fromYear, isActive: true },
+      orderBy: [{ name: "asc" }, { stream: "asc" }],
+      select: {
+        id: true,
+        name: true,
+        stream: true,
+        year: true,
+        students: { where: { isActive: true }, select: STUDENT_BRIEF, orderBy: { admissionNo: "asc" } },
+      },
+    }),
+    prisma.class.findMany({ where: { schoolId }, select: { name: true }, distinct: ["name"] }),
+    prisma.promotionRun.findFirst({
+      where: { schoolId, fromYear, status: "APPLIED" },
+      select: { id: true, createdAt: true },
+    }),
+  ]);
+
+  const topLevel = new Map();
+  for (const c of allNames) {
+    const p = parseLevel(c.name);
+    if (p) topLevel.set(p.prefixKey, Math.max(topLevel.get(p.prefixKey) || 0, p.level));
+  }
+
+  const existing = await prisma.class.findMany({
+    where: { schoolId, year: nextYear },
+    select: { id: true, name: true, stream: true, isActive: true },
+  });
+  const nextByKey = new Map(existing.map((c) => [classKey(c.name, c.stream), c]));
+
+  const items = classes.map((c) => {
+    const p = parseLevel(c.name);
+    let action = "SKIP";
+    let toName = null;
+
+    if (p && p.level >= (topLevel.get(p.prefixKey) || 0)) action = "GRADUATE";
+    else if (p) {
+      action = "PROMOTE";
+      toName = `${p.prefix} ${p.level + 1}`.trim();
+    }
+
+    const target = toName ? nextByKey.get(classKey(toName, c.stream)) : null;
+    return {
+      classId: c.id,
+      name: c.name,
+      stream: c.stream,
+      students: c.students,
+      action,
+      toName,
+      toStream: toName ? c.stream : null,
+      toClassId: target?.id || null,
+    };
+  });
+
+  return {
+    fromYear,
+    toYear: nextYear,
+    alreadyPromoted: applied,
+    classes: items,
+  };
+}
+
+/* =========================
+   Resolve (shared by preview + apply)
+   ========================= */
+
+/**
+ * Validates a promotion request and works out every student move.
+ * body: { fromYear, toYear, mappings: [{ classId, action, toName, toStream }], repeaterIds: [], archiveSourceClasses }
+ * Classes not in mappings are skipped. Repeaters go to the same class name/stream in toYear.
+ */
+async function resolvePlan(db, req, schoolId) {
+  const body = req.body || {};
+  const fromYear = toYear(body.fromYear);
+  const nextYear = toYear(body.toYear);
+  if (!fromYear || !nextYear) throw httpError("fromYear and toYear must be valid years.");
+  if (nextYear <= fromYear) throw httpError("toYear must be after fromYear.");
+
+  const mappings = Array.isArray(body.mappings) ? body.mappings : [];
+  const repeaterIds = new Set((Array.isArray(body.repeaterIds) ? body.repeaterIds : []).map(String));
+  const archive = body.archiveSourceClasses !== false;
+
+  const already = await db.promotionRun.findFirst({
+    where: { schoolId, fromYear, status: "APPLIED" },
+    select: { id: true, createdAt: true },
+  });
+  if (already) {
+    throw httpError(
+      `${fromYear} was already promoted on ${already.createdAt.toISOString().slice(0, 10)}. Reverse that run first.`,
+      409
+    );
+  }
+
+  const sources = await db.class.findMany({
+    where: { schoolId, year: fromYear, isActive: true },
+    select: {
+      id: true,
+      name: true,
+      stream: true,
+      year: true,
+      students: { where: { isActive: true }, select: STUDENT_BRIEF },
+    },
+  });
+  const sourceById = new Map(sources.map((c) => [c.id, c]));
+
+  const seen = new Set();
+  const plan = [];
+  for (const m of mappings) {
+    const classId = String(m?.classId || "");
+    const action = String(m?.action || "").toUpperCase();
+    const source = sourceById.get(classId);
+
+    if (!source) throw httpError(`Class ${classId || "(blank)"} is not an active ${fromYear} class.`);
+    if (seen.has(classId)) throw httpError(`${classLabel(source)} is mapped more than once.`);
+    seen.add(classId);
+    if (!CLASS_ACTIONS.includes(action)) throw httpError(`action must be one of ${CLASS_ACTIONS.join(", ")}.`);
+    if (action === "SKIP") continue;
+
+    const toName = action === "PROMOTE" ? cleanStr(m.toName) : null;
+    if (action === "PROMOTE" && !toName) throw httpError(`Pick the next class for ${classLabel(source)}.`);
+
+    plan.push({ source, action, toName, toStream: action === "PROMOTE" ? cleanStr(m.toStream) : null });
+  }
+  if (!plan.length) throw httpError("Nothing to promote. Map at least one class.");
+
+  // repeaters must belong to a class that is being moved
+  const movingIds = new Set(plan.flatMap((p) => p.source.students.map((s) => s.id)));
+  for (const id of repeaterIds) {
+    if (!movingIds.has(id)) throw httpError("Repeaters must be active students of a promoted or graduating class.");
+  }
+
+  // target classes in toYear: reuse (reactivating if needed) or create
+  const existing = await db.class.findMany({
+    where: { schoolId, year: nextYear },
+    select: { id: true, name: true, stream: true, year: true, isActive: true },
+  });
+  const targets = new Map(existing.map((c) => [classKey(c.name, c.stream), { ...c }]));
+
+  const need = (name, stream) => {
+    const key = classKey(name, stream);
+    if (!targets.has(key)) targets.set(key, { id: null, name, stream, year: nextYear, isActive: false, isNew: true });
+    const t = targets.get(key);
+    t.used = true;
+    return t;
+  };
+
+  const moves = [];
+  const classes = [];
+  for (const p of plan) {
+    const promoteTo = p.action === "PROMOTE" ? need(p.toName, p.toStream) : null;
+    let repeatTo = null;
+
+    const row = {
+      classId: p.source.id,
+      label: classLabel(p.source),
+      action: p.action,
+      target: promoteTo ? classLabel(promoteTo) : null,
+      targetIsNew: !!promoteTo?.isNew,
+      students: p.source.students.length,
+      promoted: 0,
+      repeated: 0,
+      graduated: 0,
+    };
+
+    for (const s of p.source.students) {
+      if (repeaterIds.has(s.id)) {
+        repeatTo = repeatTo || need(p.source.name, p.source.stream);
+        moves.push({ student: s, action: "REPEATED", from: p.source, to: repeatTo });
+        row.repeated++;
+      } else if (p.action === "PROMOTE") {
+        moves.push({ student: s, action: "PROMOTED", from: p.source, to: promoteTo });
+        row.promoted++;
+      } else {
+        moves.push({ student: s, action: "GRADUATED", from: p.source, to: null });
+        row.graduated++;
+      }
+    }
+    classes.push(row);
+  }
+
+  const used = [...targets.values()].filter((t) => t.used);
+  const toCreate = used.filter((t) => t.isNew);
+  const toReactivate = used.filter((t) => !t.isNew && !t.isActive);
+  const toArchive = archive ? plan.map((p) => p.source) : [];
+
+  // class cap: new + reactivated classes minus the emptied ones we archive
+  const sub = req.subscription;
+  const limit = sub ? effectiveCap(sub, "classes") : null;
+  const activeClasses = await db.class.count({ where: { schoolId, isActive: true } });
+  const afterClasses = activeClasses + toCreate.length + toReactivate.length - toArchive.length;
+
+  const count = (a) => moves.filter((m) => m.action === a).length;
+  const summary = {
+    promoted: count("PROMOTED"),
+    repeated: count("REPEATED"),
+    graduated: count("GRADUATED"),
+    createClasses: toCreate.map(classLabel),
+    reactivateClasses: toReactivate.map(classLabel),
+    archiveClasses: toArchive.map(classLabel),
+    classCapacity: { limit, used: activeClasses, after: afterClasses },
+  };
+
+  return { fromYear, toYear: nextYear, plan, moves, classes, toCreate, toReactivate, toArchive, summary, limit, afterClasses };
+}
+
+function capError(r) {
+  return httpError(
+    `This promotion needs ${r.afterClasses} active classes but your plan allows ${r.limit}. ` +
+      "Archive the old classes or upgrade the plan.",
+    409
+  );
+}
+
+/* =========================
+   Preview + apply
+   ========================= */
+export async function previewPromotion(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const r = await resolvePlan(prisma, req, schoolId);
+
+  const warnings = [];
+  if (r.limit != null && r.afterClasses > r.limit) warnings.push(capError(r).message);
+
+  return {
+    fromYear: r.fromYear,
+    toYear: r.toYear,
+    classes: r.classes,
+    summary: r.summary,
+    warnings,
+  };
+}
+
+/**
+ * Applies a promotion in one transaction: creates/reactivates target classes, moves students,
+ * graduates final-year students (isActive=false + graduatedAt + a GRADUATED exit), archives emptied classes,
+ * updates the enrollment history and records every move so the run can be reversed within REVERSAL_WINDOW_DAYS.
+ */
+export async function applyPromotion(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const now = new Date();
+
+  const run = await prisma.$transaction(
+    async (tx) => {
+      // one promotion per school at a time, so a double submit cannot pass the "already promoted" check twice
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`promotion:${schoolId}`}::text))`;
+      const r = await resolvePlan(tx, req, schoolId);
+      if (r.limit != null && r.afterClasses > r.limit) throw capError(r);
+
+      for (const t of r.toCreate) {
+        const created = await tx.class.create({
+          data: { schoolId, name: t.name, stream: t.stream, year: t.year, isActive: true },
+          select: { id: true },
+        });
+        t.id = created.id;
+      }
+      if (r.toReactivate.length) {
+        await tx.class.updateMany({
+          where: { schoolId, id: { in: r.toReactivate.map((t) => t.id) } },
+          data: { isActive: true },
+        });
+      }
+
+      const created = await tx.promotionRun.create({
+        data: {
+          schoolId,
+          fromYear: r.fromYear,
+          toYear: r.toYear,
+          promotedCount: r.summary.promoted,
+          repeatedCount: r.summary.repeated,
+          graduatedCount: r.summary.graduated,
+          plan: r.plan.map((p) => ({
+            classId: p.source.id,
+            label: classLabel(p.source),
+            action: p.action,
+            toName: p.toName,
+            toStream: p.toStream,
+          })),
+          createdClassIds: r.toCreate.map((t) => t.id),
+          archivedClassIds: r.toArchive.map((c) => c.id),
+          reversibleUntil: new Date(now.getTime() + REVERSAL_WINDOW_DAYS * 24 * 60 * 60 * 1000),
+          appliedBy: req.user?.id || null,
+          appliedByEmail: req.user?.email || null,
+          createdAt: now, // placements closed by this run end at exactly this instant (see reverseRun)
+        },
+      });
+
+      // one update per target class instead of per student
+      const byTarget = new Map();
+      for (const m of r.moves) {
+        if (!m.to) continue;
+        if (!byTarget.has(m.to.id)) byTarget.set(m.to.id, []);
+        byTarget.get(m.to.id).push(m.student.id);
+      }
+      for (const [classId, ids] of byTarget) {
+        await tx.student.updateMany({ where: { schoolId, id: { in: ids } }, data: { classId } });
+      }
+
+      const graduating = r.moves.filter((m) => m.action === "GRADUATED");
+      const graduates = graduating.map((m) => m.student.id);
+      if (graduates.length) {
+        await tx.student.updateMany({
+          where: { schoolId, id: { in: graduates } },
+          data: { isActive: false, graduatedAt: now, graduationYear: r.fromYear },
+        });
+      }
+
+      // enrollment history: close the old placement, open the new one, record graduations as exits
+      await tx.studentEnrollment.updateMany({
+        where: { schoolId, studentId: { in: r.moves.map((m) => m.student.id) }, endDate: null },
+        data: { endDate: now },
+      });
+      const moved = r.moves.filter((m) => m.to);
+      if (moved.length) {
+        await tx.studentEnrollment.createMany({
+          data: moved.map((m) => ({
+            schoolId,
+            studentId: m.student.id,
+            classId: m.to.id,
+            classLabel: classLabel(m.to),
+            startDate: now,
+            reason: m.action === "REPEATED" ? "REPEAT" : "PROMOTION",
+            promotionRunId: created.id,
+            createdBy: req.user?.id || null,
+          })),
+        });
+      }
+      if (graduating.length) {
+        // certificate numbers are issued when first printed, so a reversed run leaves no gaps
+        const clearance = await feeClearanceByStudent(tx, schoolId, graduates);
+        await tx.studentExit.createMany({
+          data: graduating.map((m) => {
+            const c = clearance.get(m.student.id);
+            return {
+              schoolId,
+              studentId: m.student.id,
+              type: "GRADUATED",
+              exitDate: now,
+              classId: m.from.id,
+              classLabel: classLabel(m.from),
+              feeBalance: c.balance,
+              creditBalance: c.creditBalance,
+              feeCleared: c.cleared,
+              promotionRunId: created.id,
+              recordedBy: req.user?.id || null,
+              recordedByEmail: req.user?.email || null,
+            };
+          }),
+        });
+      }
+
+      if (r.toArchive.length) {
+        await tx.class.updateMany({
+          where: { schoolId, id: { in: r.toArchive.map((c) => c.id) } },
+          data: { isActive: false },
+        });
+      }
+
+      await tx.promotionRunItem.createMany({
+        data: r.moves.map((m) => ({
+          schoolId,
+          runId: created.id,
+          studentId: m.student.id,
+          action: m.action,
+          fromClassId: m.from.id,
+          fromClassLabel: classLabel(m.from),
+          toClassId: m.to?.id || null,
+          toClassLabel: m.to ? classLabel(m.to) : null,
+        })),
+      });
+
+      return { ...created, summary: r.summary };
+    },
+    { timeout: 60_000 }
+  );
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "STUDENTS_PROMOTED",
+    targetType: "PROMOTION_RUN",
+    targetId: run.id,
+    metadata: {
+      fromYear: run.fromYear,
+      toYear: run.toYear,
+      promoted: run.promotedCount,
+      repeated: run.repeatedCount,
+      graduated: run.graduatedCount,
+      createdClasses: run.summary.createClasses.length,
+      archivedClasses: run.summary.archiveClasses.length,
+    },
+  });
+
+  return run;
+}
+
+/* =========================
+   History + reversal
+   ========================= */
+export async function listRuns(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const runs = await prisma.promotionRun.findMany({
+    where: { schoolId },
+    orderBy: { createdAt: "desc" },
+    take: 50,
+    select: {
+      id: true,
+      fromYear: true,
+      toYear: true,
+      status: true,
+      promotedCount: true,
+      repeatedCount: true,
+      graduatedCount: true,
+      reversibleUntil: true,
+      appliedByEmail: true,
+      reversedAt: true,
+      reversedByEmail: true,
+      createdAt: true,
+    },
+  });
+
+  // only the newest applied run can be reversed, and only inside its window
+  const latestApplied = runs.find((r) => r.status === "APPLIED");
+  const now = Date.now();
+  return runs.map((r) => ({
+    ...r,
+    canReverse: r.id === latestApplied?.id && new Date(r.reversibleUntil).getTime() > now,
+  }));
+}
+
+export async function getRun(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const run = await prisma.promotionRun.findFirst({
+    where: { id: String(req.params.id), schoolId },
+    include: {
+      items: {
+        orderBy: [{ action: "asc" }, { fromClassLabel: "asc" }],
+        include: { student: { select: STUDENT_BRIEF } },
+      },
+    },
+  });
+  if (!run) throw httpError("Promotion not found.", 404);
+  return run;
+}
+
+/**
+ * Undoes a run: students go back to their old class, graduates become active again,
+ * archived classes come back and classes the run created are deactivated if left empty.
+ * Students moved again since the run (by hand) are left where they are and counted as skipped.
+ */
+export async function reverseRun(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const id = String(req.params.id);
+
+  const result = await prisma.$transaction(
+    async (tx) => {
+      // claim the run first: of two concurrent reversals only the first gets past here
+      const { count } = await tx.promotionRun.updateMany({
+        where: { id, schoolId, status: "APPLIED" },
+        data: {
+          status: "REVERSED",
+          reversedAt: new Date(),
+          reversedBy: req.user?.id || null,
+          reversedByEmail: req.user?.email || null,
+        },
+      });
+      const run = await tx.promotionRun.findFirst({
+        where: { id, schoolId },
+        include: { items: true },
+      });
+      if (!run) throw httpError("Promotion not found.", 404);
+      if (count === 0) throw httpError("This promotion was already reversed.", 409);
+      if (run.reversibleUntil.getTime() < Date.now()) {
+        throw httpError(`Promotions can only be reversed within ${REVERSAL_WINDOW_DAYS} days.`, 409);
+      }
+
+      const later = await tx.promotionRun.findFirst({
+        where: { schoolId, status: "APPLIED", createdAt: { gt: run.createdAt } },
+        select: { id: true, fromYear: true },
+      });
+      if (later) throw httpError(`Reverse the later ${later.fromYear} promotion first.`, 409);
+
+      // back to the old class, but only if still sitting where the run put them
+      const byMove = new Map();
+      for (const it of run.items) {
+        if (it.action === "GRADUATED") continue;
+        const key = `${it.toClassId}|${it.fromClassId}`;
+        if (!byMove.has(key)) byMove.set(key, { to: it.toClassId, from: it.fromClassId, ids: [] });
+        byMove.get(key).ids.push(it.studentId);
+      }
+      const restoredIds = [];
+      for (const m of byMove.values()) {
+        const still = await tx.student.findMany({
+          where: { schoolId, id: { in: m.ids }, classId: m.to },
+          select: { id: true },
+        });
+        if (!still.length) continue;
+        const ids = still.map((st) => st.id);
+        await tx.student.updateMany({ where: { schoolId, id: { in: ids } }, data: { classId: m.from } });
+        restoredIds.push(...ids);
+      }
+
+      const graduates = run.items.filter((it) => it.action === "GRADUATED").map((it) => it.studentId);
+      if (graduates.length) {
+        const alumni = await tx.student.findMany({
+          where: { schoolId, id: { in: graduates }, graduatedAt: { not: null }, isActive: false },
+          select: { id: true },
+        });
+        const ids = alumni.map((st) => st.id);
+        if (ids.length) {
+          await tx.student.updateMany({
+            where: { schoolId, id: { in: ids } },
+            data: { isActive: true, graduatedAt: null, graduationYear: null },
+          });
+          await tx.studentExit.deleteMany({ where: { schoolId, studentId: { in: ids }, promotionRunId: run.id } });
+          restoredIds.push(...ids);
+        }
+      }
+      const restored = restoredIds.length;
+
+      // enrollment history: drop the placements the run opened and reopen the ones it closed
+      if (restoredIds.length) {
+        await tx.studentEnrollment.deleteMany({
+          where: { schoolId, studentId: { in: restoredIds }, promotionRunId: run.id },
+        });
+        await tx.studentEnrollment.updateMany({
+          where: { schoolId, studentId: { in: restoredIds }, endDate: run.createdAt },
+          data: { endDate: null },
+        });
+      }
+
+      const archived = Array.isArray(run.archivedClassIds) ? run.archivedClassIds : [];
+      if (archived.length) {
+        await tx.class.updateMany({ where: { schoolId, id: { in: archived } }, data: { isActive: true } });
+      }
+
+      const createdIds = Array.isArray(run.createdClassIds) ? run.createdClassIds : [];
+      if (createdIds.length) {
+        await tx.class.updateMany({
+          where: { schoolId, id: { in: createdIds }, students: { none: {} } },
+          data: { isActive: false },
+        });
+      }
+
+      const updated = await tx.promotionRun.findUnique({ where: { id: run.id } });
+      return { run: updated, restored, skipped: run.items.length - restored };
+    },
+    { timeout: 60_000 }
+  );
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "STUDENTS_PROMOTION_REVERSED",
+    targetType: "PROMOTION_RUN",
+    targetId: result.run.id,
+    metadata: {
+      fromYear: result.run.fromYear,
+      toYear: result.run.toYear,
+      restored: result.restored,
+      skipped: result.skipped,
+    },
+  });
+
+  return result;
+}
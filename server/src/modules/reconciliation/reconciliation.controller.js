@@ -0,0 +1,95 @@
+import * as svc from "./reconciliation.service.js";
+import { exportCSV } from "../../utils/export.js";
+
+function fail(res, label, err) {
+  console.error(`${label} ERROR:`, err);
+  return res.status(err.statusCode || 500).json({ message: err.message || "Server error" });
+}
+
+export async function listMappings(req, res) {
+  try {
+    return res.json({ data: await svc.listMappings(req) });
+  } catch (err) {
+    return fail(res, "BANK MAPPINGS", err);
+  }
+}
+
+export async function createMapping(req, res) {
+  try {
+    return res.status(201).json({ data: await svc.createMapping(req) });
+  } catch (err) {
+    return fail(res, "BANK MAPPING CREATE", err);
+  }
+}
+
+export async function updateMapping(req, res) {
+  try {
+    return res.json({ data: await svc.updateMapping(req) });
+  } catch (err) {
+    return fail(res, "BANK MAPPING UPDATE", err);
+  }
+}
+
+export async function importStatement(req, res) {
+  try {
+    const data = await svc.importStatement(req);
+    return res.status(data.dryRun ? 200 : 201).json({ data });
+  } catch (err) {
+    return fail(res, "BANK STATEMENT IMPORT", err);
+  }
+}
+
+export async function listStatements(req, res) {
+  try {
+    return res.json({ data: await svc.listStatements(req) });
+  } catch (err) {
+    return fail(res, "BANK STATEMENTS", err);
+  }
+}
+
+export async function getStatement(req, res) {
+  try {
+    return res.json({ data: await svc.getStatement(req) });
+  } catch (err) {
+    return fail(res, "BANK STATEMENT", err);
+  }
+}
+
+export async function statementReport(req, res) {
+  try {
+    const report = await svc.statementReport(req);
+
+    if (String(req.query?.format || "").toLowerCase() === "csv") {
+      const day = report.statement.createdAt.toISOString().slice(0, 10);
+      return exportCSV(res, `bank-reconciliation-${day}`, svc.reportRows(report));
+    }
+
+    return res.json({ data: report });
+  } catch (err) {
+    return fail(res, "BANK RECONCILIATION REPORT", err);
+  }
+}
+
+export async function confirmLine(req, res) {
+  try {
+    return res.json({ data: await svc.confirmLine(req) });
+  } catch (err) {
+    return fail(res, "BANK LINE CONFIRM", err);
+  }
+}
+
+export async function rejectLine(req, res) {
+  try {
+    return res.json({ data: await svc.rejectLine(req) });
+  } catch (err) {
+    return fail(res, "BANK LINE REJECT", err);
+  }
+}
+
+export async function reopenLine(req, res) {
+  try {
+    return res.json({ data: await svc.reopenLine(req) });
+  } catch (err) {
+    return fail(res, "BANK LINE REOPEN", err);
+  }
+}
@@ -0,0 +1,242 @@
+// src/modules/reconciliation/reconciliation.parser.js
+// Bank statement CSV -> normalized credit lines, driven by a BankStatementMapping.
+import crypto from "crypto";
+
+export const DATE_FORMATS = ["DD/MM/YYYY", "MM/DD/YYYY", "YYYY-MM-DD", "DD-MM-YYYY", "DD.MM.YYYY", "DD-MMM-YYYY"];
+export const DELIMITERS = [",", ";", "\t", "|"];
+
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+/**
+ * RFC 4180-ish CSV: quoted fields, "" escapes, CRLF/LF, leading BOM.
+ * Returns an array of rows (arrays of strings).
+ */
+export function parseCsv(text, delimiter = ",") {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') quoted = true;
+    else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Midnight UTC for the statement date, or null.
+export function parseStatementDate(value, format) {
+  const s = String(value || "").trim();
+  if (!s) return null;
+
+  let y;
+  let m;
+  let d;
+  let parts;
+
+  switch (format) {
+    case "YYYY-MM-DD":
+      parts = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(s);
+      if (parts) [, y, m, d] = parts;
+      break;
+    case "MM/DD/YYYY":
+      parts = /^(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(s);
+      if (parts) [, m, d, y] = parts;
+      break;
+    case "DD-MM-YYYY":
+      parts = /^(\d{1,2})-(\d{1,2})-(\d{4})/.exec(s);
+      if (parts) [, d, m, y] = parts;
+      break;
+    case "DD.MM.YYYY":
+      parts = /^(\d{1,2})\.(\d{1,2})\.(\d{4})/.exec(s);
+      if (parts) [, d, m, y] = parts;
+      break;
+    case "DD-MMM-YYYY":
+      parts = /^(\d{1,2})[- ]([A-Za-z]{3})[- ](\d{2,4})/.exec(s);
+      if (parts) {
+        d = parts[1];
+        m = MONTHS.indexOf(parts[2].toUpperCase()) + 1;
+        y = parts[3].length === 2 ? `20${parts[3]}` : parts[3];
+      }
+      break;
+    default: // DD/MM/YYYY
+      parts = /^(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(s);
+      if (parts) [, d, m, y] = parts;
+  }
+
+  if (!parts) return null;
+  [y, m, d] = [Number(y), Number(m), Number(d)];
+  if (!(m >= 1 && m <= 12 && d >= 1 && d <= 31)) return null;
+
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCDate() === d ? dt : null;
+}
+
+/**
+ * Bank amount text -> whole shillings (rounded). Handles "1,500.00", "KES 1500", "(200.00)", "200.00 DR".
+ * Returns null when not a number.
+ */
+export function parseStatementAmount(value) {
+  let s = String(value ?? "").trim().toUpperCase();
+  if (!s) return null;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(s)) {
+    sign = -1;
+    s = s.slice(1, -1);
+  }
+  if (/\bDR$/.test(s)) sign = -1;
+
+  s = s.replace(/\b(KES|KSH|CR|DR)\b/g, "").replace(/[,\s]/g, "");
+  if (s.startsWith("-")) {
+    sign = -sign;
+    s = s.slice(1);
+  }
+  if (!/^\d+(\.\d+)?$/.test(s)) return null;
+
+  return sign * Math.round(Number(s));
+}
+
+export function lineFingerprint(schoolId, { txnDate, amount, reference, description }) {
+  const key = [
+    schoolId,
+    txnDate.toISOString().slice(0, 10),
+    amount,
+    String(reference || "").trim().toUpperCase(),
+    String(description || "").trim().toUpperCase(),
+  ].join("|");
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function headerIndex(headers, name) {
+  if (!name) return -1;
+  const want = String(name).trim().toLowerCase();
+  return headers.findIndex((h) => String(h || "").trim().toLowerCase() === want);
+}
+
+/**
+ * Applies a mapping to CSV text.
+ * Returns { headers, lines: [{ rowNo, txnDate, amount, reference, description, raw }], skipped: [{ rowNo, reason }] }.
+ * Only credits (money in) become lines. Throws { statusCode: 400 } when the mapping does not fit the file.
+ */
+export function readStatement(text, mapping) {
+  const rows = parseCsv(text, mapping.delimiter || ",");
+  const headerAt = Math.max(Number(mapping.headerRow || 1), 1) - 1;
+  const headers = (rows[headerAt] || []).map((h) => String(h || "").trim());
+
+  const col = {
+    date: headerIndex(headers, mapping.dateColumn),
+    reference: headerIndex(headers, mapping.referenceColumn),
+    description: headerIndex(headers, mapping.descriptionColumn),
+    amount: headerIndex(headers, mapping.amountColumn),
+    credit: headerIndex(headers, mapping.creditColumn),
+  };
+
+  const missing = [];
+  if (col.date < 0) missing.push(mapping.dateColumn);
+  if (col.reference < 0) missing.push(mapping.referenceColumn);
+  if (mapping.descriptionColumn && col.description < 0) missing.push(mapping.descriptionColumn);
+  if (mapping.amountColumn && col.amount < 0) missing.push(mapping.amountColumn);
+  if (mapping.creditColumn && col.credit < 0) missing.push(mapping.creditColumn);
+
+  if (missing.length) {
+    const err = new Error(
+      `Columns not found in row ${headerAt + 1}: ${missing.join(", ")}. File has: ${headers.filter(Boolean).join(", ") || "(nothing)"}`
+    );
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const lines = [];
+  const skipped = [];
+
+  for (let i = headerAt + 1; i < rows.length; i++) {
+    const cells = rows[i];
+    const rowNo = i + 1;
+    if (!cells.some((c) => String(c || "").trim())) continue; // blank
+
+    const txnDate = parseStatementDate(cells[col.date], mapping.dateFormat);
+    const rawAmount = col.credit >= 0 ? cells[col.credit] : cells[col.amount];
+    const amount = parseStatementAmount(rawAmount);
+
+    if (!txnDate) {
+      skipped.push({ rowNo, reason: `Unreadable date "${cells[col.date] ?? ""}"` });
+      continue;
+    }
+    if (amount === null) {
+      // an empty credit cell is just a debit row
+      if (col.credit >= 0 && !String(rawAmount || "").trim()) skipped.push({ rowNo, reason: "Debit" });
+      else skipped.push({ rowNo, reason: `Unreadable amount "${rawAmount ?? ""}"` });
+      continue;
+    }
+    if (amount <= 0) {
+      skipped.push({ rowNo, reason: "Debit" });
+      continue;
+    }
+
+    const raw = {};
+    headers.forEach((h, idx) => {
+      if (h) raw[h] = cells[idx] ?? "";
+    });
+
+    lines.push({
+      rowNo,
+      txnDate,
+      amount,
+      reference: String(cells[col.reference] ?? "").trim() || null,
+      description: col.description >= 0 ? String(cells[col.description] ?? "").trim() || null : null,
+      raw,
+    });
+  }
+
+  return { headers, lines, skipped };
+}
+
+/**
+ * Candidate identifiers in a line's reference/description, reference first.
+ * Keeps tokens like INV-2026-00012, ADM/123, 4512.
+ */
+export function referenceTokens(line) {
+  const out = [];
+  for (const text of [line.reference, line.description]) {
+    for (const t of String(text || "").toUpperCase().split(/[^A-Z0-9/_-]+/)) {
+      const token = t.replace(/^[-/_]+|[-/_]+$/g, "");
+      if (token.length >= 2 && !out.includes(token)) out.push(token);
+    }
+  }
+  return out;
+}
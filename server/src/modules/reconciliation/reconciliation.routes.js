@@ -0,0 +1,54 @@
+import { Router } from "express";
+import multer from "multer";
+
+import { requireRole } from "../../middleware/auth.js";
+import { requireTenant } from "../../middleware/tenant.js";
+import { loadSubscription, requireEntitlement } from "../../middleware/subscription.js";
+import * as ctrl from "./reconciliation.controller.js";
+
+/**
+ * Bank statement import + reconciliation (mounted under /api/reconciliation).
+ * Finance roles only; anything that posts or changes state needs FEES_WRITE.
+ */
+const router = Router();
+
+router.use(requireTenant);
+router.use(loadSubscription);
+
+const finance = requireRole("ADMIN", "BURSAR");
+const write = requireEntitlement("FEES_WRITE");
+
+// statements are parsed in memory; nothing is kept on disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    const ok = /\.(csv|txt)$/i.test(file.originalname || "") || /csv|text\/plain/.test(file.mimetype || "");
+    cb(ok ? null : new Error("Upload the statement as a CSV file"), ok);
+  },
+});
+
+function uploadStatement(req, res, next) {
+  return upload.single("file")(req, res, (err) => {
+    if (err) return res.status(400).json({ message: err?.message || "Upload failed" });
+    return next();
+  });
+}
+
+// column mappings (one per bank export format)
+router.get("/mappings", finance, ctrl.listMappings);
+router.post("/mappings", finance, write, ctrl.createMapping);
+router.patch("/mappings/:id", finance, write, ctrl.updateMapping);
+
+// statements
+router.get("/statements", finance, ctrl.listStatements);
+router.post("/statements", finance, write, uploadStatement, ctrl.importStatement);
+router.get("/statements/:id", finance, ctrl.getStatement);
+router.get("/statements/:id/report", finance, ctrl.statementReport);
+
+// line review
+router.post("/lines/:id/confirm", finance, write, ctrl.confirmLine);
+router.post("/lines/:id/reject", finance, write, ctrl.rejectLine);
+router.post("/lines/:id/reopen", finance, write, ctrl.reopenLine);
+
+export default router;
@@ -0,0 +1,853 @@
+// src/modules/reconciliation/reconciliation.service.js
+import crypto from "crypto";
+
+import { prisma } from "../../lib/prisma.js";
+import { logAudit } from "../../utils/audit.js";
+import { postFeePaymentTx } from "../../routes/fees.js";
+import {
+  DATE_FORMATS,
+  DELIMITERS,
+  lineFingerprint,
+  readStatement,
+  referenceTokens,
+} from "./reconciliation.parser.js";
+
+/* =========================
+   Helpers
+   ========================= */
+const MAX_LINES = 5000;
+const MAX_ALLOCATIONS = 20;
+
+// lines the bursar can still act on
+const OPEN_STATUSES = ["UNMATCHED", "SUGGESTED", "DUPLICATE"];
+
+function httpError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function requireSchoolOrThrow(req) {
+  const schoolId = req.schoolId || req.user?.schoolId;
+  if (!schoolId) throw httpError("No school selected/attached to this user.");
+  return schoolId;
+}
+
+function actorCtx(req) {
+  return {
+    actorId: req.user?.id || null,
+    actorRole: req.role || req.user?.role || null,
+    actorEmail: req.user?.email || null,
+  };
+}
+
+function cleanStr(v) {
+  const s = String(v ?? "").trim();
+  return s || null;
+}
+
+function fmtDay(d) {
+  return d ? new Date(d).toISOString().slice(0, 10) : "";
+}
+
+function fmtAmount(n) {
+  return Number(n || 0).toLocaleString("en-KE");
+}
+
+const INVOICE_BRIEF = {
+  id: true,
+  invoiceNo: true,
+  status: true,
+  balance: true,
+  year: true,
+  term: true,
+  studentId: true,
+};
+
+const LINE_INCLUDE = {
+  suggestedInvoice: { select: INVOICE_BRIEF },
+  matchedPayment: {
+    select: { id: true, receiptNo: true, amount: true, method: true, receivedAt: true, isReversed: true },
+  },
+  allocations: {
+    select: {
+      id: true,
+      amount: true,
+      invoice: { select: INVOICE_BRIEF },
+      payment: { select: { id: true, receiptNo: true, isReversed: true } },
+    },
+  },
+};
+
+/* =========================
+   Column mappings
+   ========================= */
+function mappingPayload(body, { partial = false } = {}) {
+  const data = {};
+  const has = (k) => body[k] !== undefined;
+
+  if (!partial || has("name")) {
+    const name = cleanStr(body.name);
+    if (!name || name.length < 2) throw httpError("name is required.");
+    data.name = name.slice(0, 80);
+  }
+
+  if (has("delimiter")) {
+    const delimiter = body.delimiter === "\\t" ? "\t" : String(body.delimiter);
+    if (!DELIMITERS.includes(delimiter)) throw httpError("delimiter must be one of , ; | or tab.");
+    data.delimiter = delimiter;
+  }
+
+  if (has("headerRow")) {
+    const headerRow = Number(body.headerRow);
+    if (!Number.isInteger(headerRow) || headerRow < 1 || headerRow > 50) {
+      throw httpError("headerRow must be between 1 and 50.");
+    }
+    data.headerRow = headerRow;
+  }
+
+  if (has("dateFormat")) {
+    if (!DATE_FORMATS.includes(body.dateFormat)) throw httpError(`dateFormat must be one of ${DATE_FORMATS.join(", ")}.`);
+    data.dateFormat = body.dateFormat;
+  }
+
+  for (const field of ["dateColumn", "referenceColumn"]) {
+    if (!partial || has(field)) {
+      const v = cleanStr(body[field]);
+      if (!v) throw httpError(`${field} is required.`);
+      data[field] = v;
+    }
+  }
+
+  for (const field of ["descriptionColumn", "amountColumn", "creditColumn"]) {
+    if (has(field)) data[field] = cleanStr(body[field]);
+  }
+
+  if (has("isActive")) {
+    if (typeof body.isActive !== "boolean") throw httpError("isActive must be boolean.");
+    data.isActive = body.isActive;
+  }
+
+  return data;
+}
+
+function assertAmountColumns(m) {
+  if (!m.amountColumn === !m.creditColumn) {
+    throw httpError("Set either an amount column (signed) or a credit column, not both.");
+  }
+}
+
+export async function listMappings(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  return prisma.bankStatementMapping.findMany({
+    where: { schoolId },
+    orderBy: [{ isActive: "desc" }, { name: "asc" }],
+  });
+}
+
+export async function createMapping(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const data = mappingPayload(req.body || {});
+  assertAmountColumns(data);
+
+  let mapping;
+  try {
+    mapping = await prisma.bankStatementMapping.create({ data: { schoolId, ...data } });
+  } catch (e) {
+    if (e?.code === "P2002") throw httpError("A mapping with this name already exists.", 409);
+    throw e;
+  }
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "FEES_BANK_MAPPING_CREATED",
+    targetType: "BANK_MAPPING",
+    targetId: mapping.id,
+    metadata: { name: mapping.name },
+  });
+
+  return mapping;
+}
+
+export async function updateMapping(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const existing = await prisma.bankStatementMapping.findFirst({ where: { id: String(req.params.id), schoolId } });
+  if (!existing) throw httpError("Mapping not found.", 404);
+
+  const data = mappingPayload(req.body || {}, { partial: true });
+  assertAmountColumns({ ...existing, ...data });
+
+  let mapping;
+  try {
+    mapping = await prisma.bankStatementMapping.update({ where: { id: existing.id }, data });
+  } catch (e) {
+    if (e?.code === "P2002") throw httpError("A mapping with this name already exists.", 409);
+    throw e;
+  }
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "FEES_BANK_MAPPING_UPDATED",
+    targetType: "BANK_MAPPING",
+    targetId: mapping.id,
+    metadata: { updatedFields: Object.keys(data) },
+  });
+
+  return mapping;
+}
+
+/* =========================
+   Matching
+   ========================= */
+
+/**
+ * Suggests what each line is, without writing anything:
+ * - DUPLICATE: fingerprint already imported, or repeated earlier in this file
+ * - SUGGESTED + matchedPaymentId: a BANK/CHEQUE payment with the same reference and amount was keyed in by hand
+ * - SUGGESTED + suggestedInvoiceId: an invoice number, or an admission number (-> that student's invoice), appears
+ *   in the reference/narrative; among a student's open invoices the one whose balance equals the amount wins
+ * - UNMATCHED otherwise
+ * `lines` need { txnDate, amount, reference, description, rowNo } and optionally `id` (re-matching a saved line).
+ */
+async function matchLines(db, schoolId, lines) {
+  const fingerprints = lines.map((l) => lineFingerprint(schoolId, l));
+  const ownIds = lines.map((l) => l.id).filter(Boolean);
+
+  // 1) earlier imports
+  const earlier = await db.bankStatementLine.findMany({
+    where: { schoolId, fingerprint: { in: [...new Set(fingerprints)] }, id: { notIn: ownIds } },
+    orderBy: { createdAt: "asc" },
+    select: { id: true, fingerprint: true, rowNo: true, statement: { select: { fileName: true } } },
+  });
+  const earlierByFp = new Map();
+  for (const e of earlier) if (!earlierByFp.has(e.fingerprint)) earlierByFp.set(e.fingerprint, e);
+
+  // 2) payments keyed in by hand (not already claimed by another line)
+  const refs = [...new Set(lines.map((l) => cleanStr(l.reference)).filter(Boolean))];
+  const refVariants = [...new Set(refs.flatMap((r) => [r, r.toUpperCase(), r.toLowerCase()]))];
+  const manual = refVariants.length
+    ? await db.feePayment.findMany({
+        where: {
+          schoolId,
+          method: { in: ["BANK", "CHEQUE"] },
+          isReversed: false,
+          reference: { in: refVariants },
+          bankAllocation: null,
+          bankLinesMatched: {
+            none: { status: { in: ["SUGGESTED", "RECONCILED"] }, id: { notIn: ownIds } },
+          },
+        },
+        orderBy: { receivedAt: "asc" },
+        select: { id: true, reference: true, amount: true, receiptNo: true, receivedAt: true },
+      })
+    : [];
+  const manualByKey = new Map();
+  for (const p of manual) {
+    const key = `${String(p.reference).toUpperCase()}|${p.amount}`;
+    if (!manualByKey.has(key)) manualByKey.set(key, []);
+    manualByKey.get(key).push(p);
+  }
+
+  // 3) invoice / admission numbers mentioned in references
+  const tokensByLine = lines.map((l) => referenceTokens(l));
+  const allTokens = [...new Set(tokensByLine.flat())];
+
+  const invoices = allTokens.length
+    ? await db.feeInvoice.findMany({
+        where: {
+          schoolId,
+          OR: [{ invoiceNo: { in: allTokens } }, { legacyInvoiceNo: { in: allTokens } }],
+        },
+        select: { id: true, invoiceNo: true, legacyInvoiceNo: true, status: true, balance: true },
+      })
+    : [];
+  const invoiceByNo = new Map();
+  for (const inv of invoices) {
+    if (inv.invoiceNo) invoiceByNo.set(inv.invoiceNo.toUpperCase(), inv);
+    if (inv.legacyInvoiceNo && !invoiceByNo.has(inv.legacyInvoiceNo.toUpperCase())) {
+      invoiceByNo.set(inv.legacyInvoiceNo.toUpperCase(), inv);
+    }
+  }
+
+  const students = allTokens.length
+    ? await db.student.findMany({ where: { schoolId }, select: { id: true, admissionNo: true } })
+    : [];
+  const studentByAdm = new Map(students.map((s) => [String(s.admissionNo).trim().toUpperCase(), s]));
+  const mentioned = [...new Set(allTokens.map((t) => studentByAdm.get(t)?.id).filter(Boolean))];
+
+  const studentInvoices = mentioned.length
+    ? await db.feeInvoice.findMany({
+        where: { schoolId, studentId: { in: mentioned }, status: { notIn: ["VOID", "CARRIED_FORWARD"] } },
+        orderBy: [{ year: "asc" }, { term: "asc" }, { createdAt: "asc" }],
+        select: { id: true, invoiceNo: true, status: true, balance: true, studentId: true },
+      })
+    : [];
+  const invoicesByStudent = new Map();
+  for (const inv of studentInvoices) {
+    if (!invoicesByStudent.has(inv.studentId)) invoicesByStudent.set(inv.studentId, []);
+    invoicesByStudent.get(inv.studentId).push(inv);
+  }
+
+  const balanceNote = (inv, amount) => {
+    const bal = Number(inv.balance || 0);
+    if (bal === amount) return "amount equals balance";
+    if (bal <= 0) return "invoice already cleared; becomes credit";
+    return `balance ${fmtAmount(bal)}`;
+  };
+
+  const seenInFile = new Map();
+  const claimed = new Set();
+
+  return lines.map((line, i) => {
+    const fp = fingerprints[i];
+    const base = { fingerprint: fp, suggestedInvoiceId: null, matchedPaymentId: null, duplicateOfId: null };
+
+    const prior = earlierByFp.get(fp);
+    if (prior) {
+      return {
+        ...base,
+        status: "DUPLICATE",
+        duplicateOfId: prior.id,
+        matchReason: `Already imported (${prior.statement?.fileName || "earlier statement"}, row ${prior.rowNo})`,
+      };
+    }
+    if (seenInFile.has(fp)) {
+      return { ...base, status: "DUPLICATE", matchReason: `Repeated in this file (row ${seenInFile.get(fp)})` };
+    }
+    seenInFile.set(fp, line.rowNo);
+
+    const ref = cleanStr(line.reference)?.toUpperCase();
+    const manualHit = ref ? (manualByKey.get(`${ref}|${line.amount}`) || []).find((p) => !claimed.has(p.id)) : null;
+    if (manualHit) {
+      claimed.add(manualHit.id);
+      return {
+        ...base,
+        status: "SUGGESTED",
+        matchedPaymentId: manualHit.id,
+        matchReason: `Matches receipt ${manualHit.receiptNo || manualHit.id} keyed in on ${fmtDay(manualHit.receivedAt)}`,
+      };
+    }
+
+    const tokens = tokensByLine[i];
+    let voided = null;
+
+    for (const t of tokens) {
+      const inv = invoiceByNo.get(t);
+      if (!inv) continue;
+      if (inv.status === "VOID") {
+        voided = t;
+        continue;
+      }
+      return {
+        ...base,
+        status: "SUGGESTED",
+        suggestedInvoiceId: inv.id,
+        matchReason: `Invoice ${t} • ${balanceNote(inv, line.amount)}`,
+      };
+    }
+
+    for (const t of tokens) {
+      const student = studentByAdm.get(t);
+      if (!student) continue;
+
+      const own = invoicesByStudent.get(student.id) || [];
+      const open = own.filter((inv) => Number(inv.balance || 0) > 0);
+      const pick = open.find((inv) => Number(inv.balance) === line.amount) || open[0] || own[own.length - 1];
+      if (!pick) {
+        return { ...base, status: "UNMATCHED", matchReason: `Admission ${t} has no invoice to pay` };
+      }
+      return {
+        ...base,
+        status: "SUGGESTED",
+        suggestedInvoiceId: pick.id,
+        matchReason: `Admission ${t} → ${pick.invoiceNo || "invoice"} • ${balanceNote(pick, line.amount)}`,
+      };
+    }
+
+    return {
+      ...base,
+      status: "UNMATCHED",
+      matchReason: voided ? `Invoice ${voided} is void` : "No invoice or admission number in the reference",
+    };
+  });
+}
+
+/* =========================
+   Import
+   ========================= */
+export async function importStatement(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const body = req.body || {};
+  const dryRun = body.dryRun === true || body.dryRun === "true" || body.dryRun === "1";
+
+  if (!req.file?.buffer?.length) throw httpError("Upload a CSV file.");
+  if (!body.mappingId) throw httpError("mappingId is required.");
+
+  const mapping = await prisma.bankStatementMapping.findFirst({
+    where: { id: String(body.mappingId), schoolId, isActive: true },
+  });
+  if (!mapping) throw httpError("Column mapping not found.", 404);
+
+  const fileHash = crypto.createHash("sha256").update(req.file.buffer).digest("hex");
+  const already = await prisma.bankStatement.findUnique({
+    where: { schoolId_fileHash: { schoolId, fileHash } },
+    select: { id: true, fileName: true, createdAt: true },
+  });
+  if (already && !dryRun) {
+    throw httpError(`This file was already imported as "${already.fileName}" on ${fmtDay(already.createdAt)}.`, 409);
+  }
+
+  const { headers, lines, skipped } = readStatement(req.file.buffer.toString("utf8"), mapping);
+  if (lines.length > MAX_LINES) throw httpError(`Statements are limited to ${MAX_LINES} credit lines per upload.`);
+
+  const matches = await matchLines(prisma, schoolId, lines);
+  const rows = lines.map((l, i) => ({ ...l, ...matches[i] }));
+
+  const countBy = (status) => rows.filter((r) => r.status === status).length;
+  const summary = {
+    lines: rows.length,
+    skipped: skipped.length,
+    totalCredits: rows.reduce((s, r) => s + r.amount, 0),
+    suggested: countBy("SUGGESTED"),
+    unmatched: countBy("UNMATCHED"),
+    duplicate: countBy("DUPLICATE"),
+  };
+
+  const dates = rows.map((r) => r.txnDate.getTime());
+  const periodFrom = dates.length ? new Date(Math.min(...dates)) : null;
+  const periodTo = dates.length ? new Date(Math.max(...dates)) : null;
+
+  if (dryRun) {
+    return {
+      dryRun: true,
+      alreadyImported: already ? { id: already.id, fileName: already.fileName } : null,
+      headers,
+      periodFrom,
+      periodTo,
+      summary,
+      skipped: skipped.slice(0, 50),
+      preview: rows.slice(0, 50).map(({ raw, fingerprint, ...r }) => r),
+    };
+  }
+
+  if (!rows.length) throw httpError("No credit lines found in this file. Check the column mapping.");
+
+  const fileName = cleanStr(req.file.originalname)?.slice(0, 200) || "statement.csv";
+
+  const statement = await prisma.$transaction(
+    async (tx) => {
+      const created = await tx.bankStatement.create({
+        data: {
+          schoolId,
+          mappingId: mapping.id,
+          fileName,
+          fileHash,
+          bankName: cleanStr(body.bankName)?.slice(0, 80) || mapping.name,
+          periodFrom,
+          periodTo,
+          lineCount: rows.length,
+          skippedRows: skipped.length,
+          totalCredits: summary.totalCredits,
+          uploadedBy: req.user?.id || null,
+        },
+      });
+
+      await tx.bankStatementLine.createMany({
+        data: rows.map((r) => ({
+          schoolId,
+          statementId: created.id,
+          rowNo: r.rowNo,
+          txnDate: r.txnDate,
+          amount: r.amount,
+          reference: r.reference,
+          description: r.description,
+          fingerprint: r.fingerprint,
+          status: r.status,
+          matchReason: r.matchReason,
+          suggestedInvoiceId: r.suggestedInvoiceId,
+          matchedPaymentId: r.matchedPaymentId,
+          duplicateOfId: r.duplicateOfId,
+          raw: r.raw,
+        })),
+      });
+
+      return created;
+    },
+    { timeout: 30_000 }
+  ).catch((e) => {
+    if (e?.code === "P2002") throw httpError("This file was already imported.", 409);
+    throw e;
+  });
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "FEES_BANK_STATEMENT_IMPORTED",
+    targetType: "BANK_STATEMENT",
+    targetId: statement.id,
+    metadata: { fileName, mapping: mapping.name, ...summary },
+  });
+
+  return { dryRun: false, statement, summary, skipped: skipped.slice(0, 50) };
+}
+
+/* =========================
+   Statements
+   ========================= */
+async function statusCounts(statementIds) {
+  const grouped = statementIds.length
+    ? await prisma.bankStatementLine.groupBy({
+        by: ["statementId", "status"],
+        where: { statementId: { in: statementIds } },
+        _count: { _all: true },
+        _sum: { amount: true },
+      })
+    : [];
+
+  const out = new Map();
+  for (const g of grouped) {
+    if (!out.has(g.statementId)) out.set(g.statementId, {});
+    out.get(g.statementId)[g.status] = { count: g._count._all, amount: g._sum.amount || 0 };
+  }
+  return out;
+}
+
+export async function listStatements(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const statements = await prisma.bankStatement.findMany({
+    where: { schoolId },
+    orderBy: { createdAt: "desc" },
+    take: 100,
+    include: { mapping: { select: { id: true, name: true } } },
+  });
+
+  const counts = await statusCounts(statements.map((s) => s.id));
+  return statements.map((s) => ({ ...s, counts: counts.get(s.id) || {} }));
+}
+
+async function loadStatement(schoolId, id) {
+  const statement = await prisma.bankStatement.findFirst({
+    where: { id: String(id), schoolId },
+    include: { mapping: { select: { id: true, name: true } } },
+  });
+  if (!statement) throw httpError("Statement not found.", 404);
+  return statement;
+}
+
+export async function getStatement(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const statement = await loadStatement(schoolId, req.params.id);
+
+  const status = String(req.query?.status || "").trim().toUpperCase();
+  const lines = await prisma.bankStatementLine.findMany({
+    where: { statementId: statement.id, ...(status ? { status } : {}) },
+    orderBy: { rowNo: "asc" },
+    include: LINE_INCLUDE,
+  });
+  await withStudents(schoolId, lines);
+
+  const counts = await statusCounts([statement.id]);
+  return { ...statement, counts: counts.get(statement.id) || {}, lines };
+}
+
+/**
+ * Reconciliation report for one statement.
+ * matched = POSTED + RECONCILED; pending = SUGGESTED (not yet confirmed).
+ */
+export async function statementReport(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const statement = await loadStatement(schoolId, req.params.id);
+
+  const lines = await prisma.bankStatementLine.findMany({
+    where: { statementId: statement.id },
+    orderBy: { rowNo: "asc" },
+    include: LINE_INCLUDE,
+  });
+  await withStudents(schoolId, lines);
+
+  const groups = { matched: [], pending: [], unmatched: [], duplicate: [], rejected: [] };
+  for (const l of lines) {
+    if (l.status === "POSTED" || l.status === "RECONCILED") groups.matched.push(l);
+    else if (l.status === "SUGGESTED") groups.pending.push(l);
+    else if (l.status === "UNMATCHED") groups.unmatched.push(l);
+    else if (l.status === "DUPLICATE") groups.duplicate.push(l);
+    else groups.rejected.push(l);
+  }
+
+  const tally = (list) => ({ count: list.length, amount: list.reduce((s, l) => s + l.amount, 0) });
+  const reversed = lines.filter(
+    (l) => l.matchedPayment?.isReversed || l.allocations.some((a) => a.payment?.isReversed)
+  );
+
+  return {
+    statement,
+    summary: {
+      lines: tally(lines),
+      matched: tally(groups.matched),
+      posted: tally(lines.filter((l) => l.status === "POSTED")),
+      reconciled: tally(lines.filter((l) => l.status === "RECONCILED")),
+      pending: tally(groups.pending),
+      unmatched: tally(groups.unmatched),
+      duplicate: tally(groups.duplicate),
+      rejected: tally(groups.rejected),
+      // matched lines whose receipt was later reversed: the bank still has the money
+      reversedAfterMatch: tally(reversed),
+    },
+    groups,
+  };
+}
+
+// Flat rows for CSV export of the report.
+export function reportRows(report) {
+  const describe = (l) => {
+    if (l.allocations.length) {
+      return l.allocations
+        .map((a) => `${a.invoice?.invoiceNo || "—"} ${a.invoice?.student?.admissionNo || ""} ${fmtAmount(a.amount)} (${a.payment?.receiptNo || "—"}${a.payment?.isReversed ? ", reversed" : ""})`)
+        .join("; ");
+    }
+    if (l.matchedPayment) return `Receipt ${l.matchedPayment.receiptNo || l.matchedPayment.id}`;
+    if (l.suggestedInvoice) return `Suggested ${l.suggestedInvoice.invoiceNo || "—"} ${l.suggestedInvoice.student?.admissionNo || ""}`;
+    return "";
+  };
+
+  const order = ["matched", "pending", "unmatched", "duplicate", "rejected"];
+  return order.flatMap((group) =>
+    report.groups[group].map((l) => ({
+      Group: group.toUpperCase(),
+      Row: l.rowNo,
+      Date: fmtDay(l.txnDate),
+      Reference: l.reference || "",
+      Description: l.description || "",
+      Amount: l.amount,
+      Status: l.status,
+      MatchedTo: describe(l),
+      Note: l.rejectReason || l.matchReason || "",
+    }))
+  );
+}
+
+/* =========================
+   Line actions
+   ========================= */
+
+// FeeInvoice has no student relation: look the students up and hang them on the line's invoices.
+async function withStudents(schoolId, lines) {
+  const invoices = lines
+    .flatMap((l) => [l.suggestedInvoice, ...(l.allocations || []).map((a) => a.invoice)])
+    .filter(Boolean);
+  if (!invoices.length) return lines;
+
+  const students = await prisma.student.findMany({
+    where: { schoolId, id: { in: [...new Set(invoices.map((i) => i.studentId))] } },
+    select: { id: true, firstName: true, lastName: true, admissionNo: true },
+  });
+  const byId = new Map(students.map((st) => [st.id, st]));
+  for (const inv of invoices) inv.student = byId.get(inv.studentId) || null;
+  return lines;
+}
+
+async function lineView(schoolId, id) {
+  const line = await prisma.bankStatementLine.findUnique({ where: { id }, include: LINE_INCLUDE });
+  const [view] = await withStudents(schoolId, [line]);
+  return view;
+}
+
+async function loadLine(db, schoolId, id) {
+  const line = await db.bankStatementLine.findFirst({ where: { id: String(id), schoolId } });
+  if (!line) throw httpError("Statement line not found.", 404);
+  return line;
+}
+
+function parseAllocations(input, lineAmount) {
+  if (!Array.isArray(input) || input.length === 0) throw httpError("allocations must be a non-empty array.");
+  if (input.length > MAX_ALLOCATIONS) throw httpError(`At most ${MAX_ALLOCATIONS} allocations per line.`);
+
+  const out = input.map((a) => {
+    const amount = Number(a?.amount);
+    if (!a?.invoiceId) throw httpError("Each allocation needs an invoiceId.");
+    if (!Number.isInteger(amount) || amount <= 0) throw httpError("Allocation amounts must be whole numbers above 0.");
+    return { invoiceId: String(a.invoiceId), amount };
+  });
+
+  const total = out.reduce((s, a) => s + a.amount, 0);
+  if (total !== lineAmount) {
+    throw httpError(`Allocations add up to ${fmtAmount(total)} but the bank line is ${fmtAmount(lineAmount)}.`);
+  }
+  return out;
+}
+
+/**
+ * Confirm a line.
+ * - no body + manual-payment match -> RECONCILED (nothing new is posted)
+ * - no body + suggested invoice -> one BANK payment for the full amount
+ * - { allocations: [{ invoiceId, amount }] } -> one payment per allocation (split); must add up to the line amount
+ */
+export async function confirmLine(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const userId = req.user?.id || null;
+  const body = req.body || {};
+
+  const result = await prisma.$transaction(
+    async (tx) => {
+      const line = await loadLine(tx, schoolId, req.params.id);
+      if (!OPEN_STATUSES.includes(line.status)) throw httpError(`Line is already ${line.status}.`, 409);
+
+      const useSuggestion = !Array.isArray(body.allocations);
+
+      if (useSuggestion && line.matchedPaymentId) {
+        const payment = await tx.feePayment.findFirst({
+          where: { id: line.matchedPaymentId, schoolId },
+          select: { id: true, isReversed: true, receiptNo: true },
+        });
+        if (!payment || payment.isReversed) {
+          throw httpError("The matched receipt was reversed or removed. Allocate the line to an invoice instead.", 409);
+        }
+
+        const { count } = await tx.bankStatementLine.updateMany({
+          where: { id: line.id, status: { in: OPEN_STATUSES } },
+          data: { status: "RECONCILED", reviewedBy: userId, reviewedAt: new Date() },
+        });
+        if (count === 0) throw httpError("Line was confirmed by someone else.", 409);
+
+        return { line, kind: "RECONCILED", receipts: [payment.receiptNo] };
+      }
+
+      let allocations;
+      if (useSuggestion) {
+        if (!line.suggestedInvoiceId) throw httpError("No suggested invoice. Choose the invoice(s) to post this line to.");
+        allocations = [{ invoiceId: line.suggestedInvoiceId, amount: line.amount }];
+      } else {
+        allocations = parseAllocations(body.allocations, line.amount);
+      }
+
+      // claim the line first so two bursars cannot post it twice
+      const { count } = await tx.bankStatementLine.updateMany({
+        where: { id: line.id, status: { in: OPEN_STATUSES } },
+        data: { status: "POSTED", matchedPaymentId: null, reviewedBy: userId, reviewedAt: new Date() },
+      });
+      if (count === 0) throw httpError("Line was confirmed by someone else.", 409);
+
+      const posted = [];
+      for (const [i, a] of allocations.entries()) {
+        let res;
+        try {
+          res = await postFeePaymentTx(tx, {
+            schoolId,
+            invoiceId: a.invoiceId,
+            amount: a.amount,
+            method: "BANK",
+            reference: line.reference || `Bank row ${line.rowNo}`,
+            clientTxnId: `BANK:${line.id}:${i + 1}`,
+            userId,
+            receivedAt: line.txnDate,
+          });
+        } catch (e) {
+          if (e?.status) throw httpError(e.message, e.status);
+          throw e;
+        }
+
+        await tx.bankLineAllocation.create({
+          data: { lineId: line.id, invoiceId: res.invoice.id, amount: a.amount, paymentId: res.payment.id },
+        });
+
+        posted.push({
+          invoiceId: res.invoice.id,
+          invoiceNo: res.invoice.invoiceNo,
+          amount: a.amount,
+          paymentId: res.payment.id,
+          receiptNo: res.payment.receiptNo,
+          creditCreated: res.credit?.created || 0,
+        });
+      }
+
+      return { line, kind: "POSTED", posted, receipts: posted.map((p) => p.receiptNo) };
+    },
+    { timeout: 30_000 }
+  );
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: result.kind === "RECONCILED" ? "FEES_BANK_LINE_RECONCILED" : "FEES_BANK_LINE_POSTED",
+    targetType: "BANK_STATEMENT_LINE",
+    targetId: result.line.id,
+    metadata: {
+      statementId: result.line.statementId,
+      rowNo: result.line.rowNo,
+      amount: result.line.amount,
+      reference: result.line.reference,
+      split: (result.posted?.length || 0) > 1,
+      allocations: result.posted || null,
+      receipts: result.receipts,
+    },
+  });
+
+  return lineView(schoolId, result.line.id);
+}
+
+export async function rejectLine(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const reason = String(req.body?.reason || "").trim();
+  if (reason.length < 3) throw httpError("A reason is required to reject a line.");
+
+  const line = await loadLine(prisma, schoolId, req.params.id);
+  const { count } = await prisma.bankStatementLine.updateMany({
+    where: { id: line.id, status: { in: OPEN_STATUSES } },
+    data: { status: "REJECTED", rejectReason: reason.slice(0, 500), reviewedBy: req.user?.id || null, reviewedAt: new Date() },
+  });
+  if (count === 0) throw httpError(`Line is already ${line.status}.`, 409);
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "FEES_BANK_LINE_REJECTED",
+    targetType: "BANK_STATEMENT_LINE",
+    targetId: line.id,
+    metadata: { statementId: line.statementId, rowNo: line.rowNo, amount: line.amount, reason },
+  });
+
+  return lineView(schoolId, line.id);
+}
+
+// Undo a rejection: the line is matched again from scratch.
+export async function reopenLine(req) {
+  const schoolId = requireSchoolOrThrow(req);
+  const line = await loadLine(prisma, schoolId, req.params.id);
+  if (line.status !== "REJECTED") throw httpError("Only rejected lines can be reopened.", 409);
+
+  const [match] = await matchLines(prisma, schoolId, [line]);
+
+  const { count } = await prisma.bankStatementLine.updateMany({
+    where: { id: line.id, status: "REJECTED" },
+    data: {
+      status: match.status,
+      matchReason: match.matchReason,
+      suggestedInvoiceId: match.suggestedInvoiceId,
+      matchedPaymentId: match.matchedPaymentId,
+      duplicateOfId: match.duplicateOfId,
+      rejectReason: null,
+      reviewedBy: req.user?.id || null,
+      reviewedAt: new Date(),
+    },
+  });
+  if (count === 0) throw httpError("Line changed while reopening; refresh and try again.", 409);
+
+  await logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId,
+    action: "FEES_BANK_LINE_REOPENED",
+    targetType: "BANK_STATEMENT_LINE",
+    targetId: line.id,
+    metadata: { statementId: line.statementId, rowNo: line.rowNo, previousReason: line.rejectReason, status: match.status },
+  });
+
+  return lineView(schoolId, line.id);
+}
@@ -48,7 +48,7 @@ const session = await prisma.examSession.findFirst({
     select: { id: true, name: true, stream: true, year: true },
   });
 
-  // 2) Reuse your existing class-results engine (same grading + ranking + missing policy)
+  // 2) Read the frozen publish snapshot (same grading + ranking + missing policy)
   const classResults = await getClassResults({
     ...req,
     params: { id: sessionId },
@@ -94,7 +94,8 @@ const session = await prisma.examSession.findFirst({
       term: session.term,
       classId: session.classId,
       sessionId: session.id,
-      computedAt: new Date().toISOString(),
+      computedAt: new Date(classResults.meta?.publishedAt || Date.now()).toISOString(),
+      source: classResults.meta?.source || "LIVE",
       passThreshold,
     },
     class: klass, // ✅ now comes from Class table
@@ -4,7 +4,7 @@ import bcrypt from "bcryptjs";
 import { prisma } from "../lib/prisma.js";
 import { signToken } from "../utils/jwt.js";
 import { requireAuth, requireRole } from "../middleware/auth.js";
-import { tenantContext } from "../middleware/tenant.js";
+import { tenantContext, hasMedicalAccess } from "../middleware/tenant.js";
 import { logAudit } from "../utils/audit.js";
 
 const router = Router();
@@ -443,6 +443,8 @@ router.get("/me", requireAuth, tenantContext, async (req, res) => {
         schoolId: req.schoolId ?? null,
         teacherId: req.teacherId ?? null,
         studentId: req.studentId ?? null,
+        guardianId: req.guardianId ?? null,
+        medicalAccess: hasMedicalAccess(req),
       },
       school: req.school ? { id: req.school.id, code: req.school.code, name: req.school.name } : null,
     });
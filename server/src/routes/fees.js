@@ -4,10 +4,12 @@ import PDFDocument from "pdfkit";
 
 import { prisma } from "../lib/prisma.js";
 import { requireRole } from "../middleware/auth.js";
-import { requireTenant } from "../middleware/tenant.js";
+import { canAccessStudent, requireStudentScope, requireTenant } from "../middleware/tenant.js";
 import { loadSubscription, requireEntitlement } from "../middleware/subscription.js";
 import { logAudit } from "../utils/audit.js";
 import { exportCSV, exportXLSX } from "../utils/export.js";
+import { counterYear, formatDocNo, getDocNoFormat, nextDocNo } from "../utils/docNumbers.js";
+import { lockOpenSessionFor } from "../modules/cashier/cashier.service.js";
 
 
 const router = Router();
@@ -51,500 +53,2617 @@ function computeInvoiceStatus(total, paid) {
   return { balance, status };
 }
 
-function makeInvoiceNo() {
-  const d = new Date();
-  const y = d.getFullYear();
-  const rand = Math.random().toString(36).slice(2, 6).toUpperCase();
-  return `INV-${y}-${rand}`;
+function planTotal(plan) {
+  return (plan?.items || []).reduce((sum, it) => sum + (Number(it.amount) || 0), 0);
 }
 
-function makeReceiptNo() {
-  const d = new Date();
-  const y = d.getUTCFullYear();
-  const m = String(d.getUTCMonth() + 1).padStart(2, "0");
-  const day = String(d.getUTCDate()).padStart(2, "0");
-  const rand = Math.random().toString(36).slice(2, 8).toUpperCase();
-  return `RCPT-${y}${m}${day}-${rand}`;
+/**
+ * Invoice create payload for one student from a fee plan (lines and installment schedule copied from the plan).
+ * Discount policies attached to the student become DISCOUNT adjustments on the new invoice.
+ * Shared by single and batch generation so both bill exactly the same way.
+ */
+function invoiceDataFromPlan({
+  schoolId,
+  studentId,
+  classId,
+  year,
+  term,
+  plan,
+  policies = [],
+  userId = null,
+  invoiceNo = null,
+}) {
+  const lines = (plan.items || []).map((it) => ({
+    feeItemId: it.feeItemId,
+    amount: it.amount,
+  }));
+  const adjustments = policyAdjustments(policies, lines);
+  const total = Math.max(linesTotal(lines) + adjustmentsTotal(adjustments), 0);
+
+  return {
+    schoolId,
+    studentId: String(studentId),
+    classId: String(classId),
+    year,
+    term: String(term),
+    invoiceNo,
+    status: "ISSUED",
+    total,
+    paid: 0,
+    balance: total,
+    lines: { create: lines },
+    adjustments: {
+      create: adjustments.map((adj) => ({ ...adj, schoolId, createdBy: userId })),
+    },
+    installments: { create: copyInstallments(plan.installments) },
+  };
 }
 
-function normalizeExportType(v) {
-  const x = String(v || "").trim().toLowerCase();
-  if (x === "csv" || x === "xlsx") return x;
-  return null;
+// P2002 on invoiceNo means an older (pre-sequence) number is in the way, not a duplicate invoice.
+function isInvoiceNoClash(err) {
+  const target = err?.meta?.target;
+  const fields = Array.isArray(target) ? target : [String(target || "")];
+  return err?.code === "P2002" && fields.some((f) => String(f).includes("invoiceNo"));
 }
 
+/* ------------ Invoice adjustments ------------ */
 
-/* ------------ Audit helpers ------------ */
-function actorCtx(req) {
-  return {
-    actorId: req.user?.id || null,
-    actorRole: req.role || req.user?.role || null,
-    actorEmail: req.user?.email || null,
-  };
+const ADJUSTMENT_TYPES = ["DISCOUNT", "BURSARY", "WAIVER", "CHARGE"];
+
+function linesTotal(lines) {
+  return (lines || []).reduce((sum, l) => sum + (Number(l.amount) || 0), 0);
 }
 
-async function feesAudit(req, { schoolId, action, targetType, targetId, metadata }) {
-  return logAudit({
-    req,
-    ...actorCtx(req),
-    schoolId: schoolId ?? req.schoolId ?? null,
-    action,
-    targetType,
-    targetId: targetId ? String(targetId) : null,
-    metadata: metadata ?? null,
-  });
+// Lines billed for the term itself (the "Balance b/f" line is arrears, not a charge).
+function chargeLines(lines) {
+  return (lines || []).filter((l) => !l.isBroughtForward);
 }
 
-/* --------------------------------------
- * Subscription gating for specific reports
- * -------------------------------------- */
-function requireSubscriptionForReports(req, res, next) {
-  if (!req.subscription) {
-    return res.status(402).json({ message: "Subscription required.", mode: "READ_ONLY" });
-  }
-  return next();
+function adjustmentsTotal(adjustments) {
+  return (adjustments || [])
+    .filter((a) => !a.isReversed)
+    .reduce((sum, a) => sum + (Number(a.amount) || 0), 0);
 }
 
-/* --------------------------------------
- * Strong date-range parsing for reports
- * -------------------------------------- */
-function parseDateRange(from, to) {
-  if (!from || !to) {
-    const e = new Error("from and to are required (YYYY-MM-DD).");
-    e.status = 400;
-    throw e;
-  }
+/**
+ * Signed amount for a reduction (DISCOUNT / BURSARY / WAIVER) or CHARGE.
+ * Percentages are taken off the original line (or the term's gross charges, arrears excluded);
+ * reductions are capped at what is still left on their target so nothing goes below zero.
+ */
+function resolveAdjustmentAmount({ type, percent, amount, feeItemId }, lines, existing = []) {
+  if (type === "CHARGE") return Math.trunc(Number(amount) || 0);
 
-  const fromDate = new Date(`${String(from)}T00:00:00.000Z`);
-  const toDate = new Date(`${String(to)}T23:59:59.999Z`);
+  const active = (existing || []).filter((a) => !a.isReversed);
+  const line = feeItemId ? (lines || []).find((l) => l.feeItemId === feeItemId) : null;
 
-  if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
-    const e = new Error("Invalid date format. Use YYYY-MM-DD.");
-    e.status = 400;
-    throw e;
-  }
+  const original = feeItemId ? Number(line?.amount || 0) : linesTotal(chargeLines(lines));
+  const remaining = feeItemId
+    ? original + adjustmentsTotal(active.filter((a) => a.feeItemId === feeItemId))
+    : original + adjustmentsTotal(active);
 
-  if (fromDate > toDate) {
-    const e = new Error("from must be less than or equal to to.");
-    e.status = 400;
-    throw e;
-  }
+  let reduce;
+  if (type === "WAIVER") reduce = remaining;
+  else if (percent !== null && percent !== undefined) reduce = Math.round((original * Number(percent)) / 100);
+  else reduce = Math.trunc(Number(amount) || 0);
 
-  return { fromDate, toDate };
+  return -Math.max(Math.min(reduce, remaining), 0);
 }
 
-/* --------------------------------------
- * Subscription (demo/admin setup endpoints)
- * -------------------------------------- */
+// DISCOUNT adjustments for a student's attached policies, resolved one after another.
+function policyAdjustments(policies, lines) {
+  const out = [];
+  for (const p of policies || []) {
+    if (!p?.isActive) continue;
+    if (p.feeItemId && !(lines || []).some((l) => l.feeItemId === p.feeItemId)) continue;
+
+    const amount = resolveAdjustmentAmount(
+      { type: "DISCOUNT", percent: p.percent, amount: p.amount, feeItemId: p.feeItemId },
+      lines,
+      out
+    );
+    if (!amount) continue;
+
+    out.push({
+      type: "DISCOUNT",
+      feeItemId: p.feeItemId || null,
+      percent: p.percent ?? null,
+      amount,
+      reason: `Discount policy: ${p.name}`,
+      discountPolicyId: p.id,
+    });
+  }
+  return out;
+}
 
-router.get("/subscription", async (req, res) => {
-  return res.json({
-    schoolId: req.schoolId,
-    subscription: req.subscription,
-    mode: req.subscription ? "SUBSCRIBED" : "READ_ONLY",
+// studentId -> active discount policies attached to that student
+async function loadStudentPolicies(db, schoolId, studentIds) {
+  const rows = await db.studentFeeDiscount.findMany({
+    where: {
+      schoolId,
+      studentId: { in: studentIds.map(String) },
+      policy: { isActive: true },
+    },
+    orderBy: { createdAt: "asc" },
+    include: { policy: true },
   });
-});
 
-// Keep as ADMIN for demo setup. Later move to SYSTEM_ADMIN control plane.
-router.post("/subscription", requireRole("ADMIN"), async (req, res) => {
-  try {
-    const {
-      schoolName,
-      schoolCode,
-      status = "ACTIVE",
-      entitlements = { FEES_WRITE: true, FEES_READ: true },
-      currentPeriodEnd,
-    } = req.body || {};
+  const map = new Map();
+  for (const r of rows) {
+    if (!map.has(r.studentId)) map.set(r.studentId, []);
+    map.get(r.studentId).push(r.policy);
+  }
+  return map;
+}
 
-    if (!schoolName || String(schoolName).trim().length < 2) {
-      return res.status(400).json({ message: "schoolName is required (min 2 chars)." });
-    }
+/**
+ * Recomputes total/balance/status from lines + active adjustments.
+ * A reduction may not take the invoice below what was actually paid; credit applied
+ * beyond the new total goes back to the student's credit balance.
+ */
+async function recomputeInvoiceTotals(tx, { schoolId, invoiceId, userId }) {
+  const invoice = await tx.feeInvoice.findFirst({
+    where: { id: invoiceId, schoolId },
+    include: { lines: true, adjustments: { where: { isReversed: false } } },
+  });
 
-    const school = await prisma.school.upsert({
-      where: { id: req.schoolId },
-      update: {
-        name: String(schoolName).trim(),
-        code: schoolCode ? String(schoolCode).trim() : undefined,
-      },
-      create: {
-        id: req.schoolId,
-        name: String(schoolName).trim(),
-        code: schoolCode ? String(schoolCode).trim() : null,
-        isActive: true,
-      },
-    });
+  const total = Math.max(linesTotal(invoice.lines) + adjustmentsTotal(invoice.adjustments), 0);
+  const paid = Number(invoice.paid || 0);
 
-    const sub = await prisma.subscription.create({
+  if (paid > total) {
+    const e = new Error(`Adjustment would take the invoice below the amount already paid (${paid}). Reverse payments first.`);
+    e.status = 400;
+    throw e;
+  }
+
+  let creditApplied = Number(invoice.creditApplied || 0);
+  const excessCredit = paid + creditApplied - total;
+  if (excessCredit > 0) {
+    creditApplied -= excessCredit;
+    await tx.feeCreditEntry.create({
       data: {
-        schoolId: school.id,
-        status,
-        entitlements,
-        currentPeriodEnd: currentPeriodEnd ? new Date(currentPeriodEnd) : null,
+        schoolId,
+        studentId: invoice.studentId,
+        type: "UNAPPLIED",
+        amount: excessCredit,
+        invoiceId: invoice.id,
+        note: "Invoice reduced by adjustment",
+        createdBy: userId || null,
       },
     });
+  }
 
-    await feesAudit(req, {
-      action: "SUBSCRIPTION_CREATED",
-      targetType: "SUBSCRIPTION",
-      targetId: sub.id,
-      metadata: { status, entitlements },
-    });
+  const { balance, status } = computeInvoiceStatus(total, paid + creditApplied);
 
-    return res.status(201).json({ school, subscription: sub });
-  } catch (err) {
-    console.error("CREATE SUBSCRIPTION ERROR:", err);
-    return res.status(500).json({ message: "Server error" });
-  }
-});
+  const updated = await tx.feeInvoice.update({
+    where: { id: invoice.id },
+    data: { total, creditApplied, balance, status },
+  });
 
-/* --------------------
- * Fee Items (ADMIN-only)
- * -------------------- */
+  await rebalanceAllocations(tx, { schoolId, invoiceId: invoice.id });
+  return updated;
+}
 
-router.get("/items", requireRole("ADMIN"), async (req, res) => {
-  const items = await prisma.feeItem.findMany({
-    where: { schoolId: req.schoolId },
-    orderBy: { createdAt: "desc" },
+/* ------------ Student credit ledger ------------ */
+
+// Credit balance = sum of signed FeeCreditEntry amounts. `db` may be prisma or a tx client.
+async function getCreditBalance(db, schoolId, studentId) {
+  const agg = await db.feeCreditEntry.aggregate({
+    where: { schoolId, studentId: String(studentId) },
+    _sum: { amount: true },
   });
-  return res.json(items);
-});
+  return Math.max(Number(agg._sum.amount || 0), 0);
+}
 
-router.post(
-  "/items",
-  requireRole("ADMIN"),
-  requireEntitlement("FEES_WRITE"),
-  async (req, res) => {
-    const { name, code } = req.body || {};
+// Anything that reads the credit balance and then spends it takes this first, so two
+// transactions cannot both spend the same credit. Held until the transaction ends.
+async function lockStudentCredit(tx, schoolId, studentId) {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`credit:${schoolId}:${studentId}`}::text))`;
+}
 
-    if (!name || String(name).trim().length < 2) {
-      return res.status(400).json({ message: "name is required (min 2 chars)" });
-    }
+/**
+ * Fee clearance for students leaving the school: studentId -> { balance, creditBalance, cleared }.
+ * Cleared means nothing is owed on any non-void invoice; leftover credit is refundable, not a blocker.
+ */
+export async function feeClearanceByStudent(db, schoolId, studentIds) {
+  const ids = [...new Set(studentIds.map(String))];
+  if (ids.length === 0) return new Map();
+
+  const owed = await db.feeInvoice.groupBy({
+    by: ["studentId"],
+    where: { schoolId, studentId: { in: ids }, status: { not: "VOID" } },
+    _sum: { balance: true },
+  });
+  const credit = await db.feeCreditEntry.groupBy({
+    by: ["studentId"],
+    where: { schoolId, studentId: { in: ids } },
+    _sum: { amount: true },
+  });
 
-    try {
-      const item = await prisma.feeItem.create({
-        data: {
-          schoolId: req.schoolId,
-          name: String(name).trim(),
-          code: code ? String(code).trim() : null,
-        },
-      });
+  const owedBy = new Map(owed.map((r) => [r.studentId, Math.max(Number(r._sum.balance || 0), 0)]));
+  const creditBy = new Map(credit.map((r) => [r.studentId, Math.max(Number(r._sum.amount || 0), 0)]));
 
-      await feesAudit(req, {
-        action: "FEES_ITEM_CREATED",
-        targetType: "FEE_ITEM",
-        targetId: item.id,
-        metadata: { name: item.name, code: item.code },
-      });
+  return new Map(
+    ids.map((id) => {
+      const balance = owedBy.get(id) || 0;
+      return [id, { balance, creditBalance: creditBy.get(id) || 0, cleared: balance <= 0 }];
+    })
+  );
+}
 
-      return res.status(201).json(item);
-    } catch (err) {
-      if (err?.code === "P2002") {
-        return res.status(409).json({ message: "Fee item already exists." });
-      }
-      console.error("CREATE FEE ITEM ERROR:", err);
-      return res.status(500).json({ message: "Server error" });
-    }
-  }
-);
+// Settles as much of the invoice balance as the student's credit covers.
+async function applyStudentCredit(tx, { schoolId, invoice, userId }) {
+  if (invoice.status === "VOID" || invoice.status === "CARRIED_FORWARD") return invoice;
+
+  await lockStudentCredit(tx, schoolId, invoice.studentId);
+  const available = await getCreditBalance(tx, schoolId, invoice.studentId);
+  const use = Math.min(available, Math.max(Number(invoice.balance || 0), 0));
+  if (use <= 0) return invoice;
+
+  const creditApplied = Number(invoice.creditApplied || 0) + use;
+  const { balance, status } = computeInvoiceStatus(invoice.total, Number(invoice.paid || 0) + creditApplied);
+
+  await tx.feeCreditEntry.create({
+    data: {
+      schoolId,
+      studentId: invoice.studentId,
+      type: "APPLIED",
+      amount: -use,
+      invoiceId: invoice.id,
+      createdBy: userId || null,
+    },
+  });
 
-router.patch(
-  "/items/:id",
-  requireRole("ADMIN"),
-  requireEntitlement("FEES_WRITE"),
-  async (req, res) => {
-    const { id } = req.params;
-    const { name, code, isActive } = req.body || {};
+  return tx.feeInvoice.update({
+    where: { id: invoice.id },
+    data: { creditApplied, balance, status },
+  });
+}
 
-    const existing = await prisma.feeItem.findFirst({
-      where: { id: String(id), schoolId: req.schoolId },
+/**
+ * Removes credit created by a reversed payment. If part of it was already used,
+ * the newest credit applications are undone first so those invoices owe again.
+ * Returns the invoices whose balance changed.
+ */
+async function unwindPaymentCredit(tx, { schoolId, payment, studentId, userId, reason }) {
+  const amount = Number(payment.creditAmount || 0);
+  if (amount <= 0) return [];
+
+  await lockStudentCredit(tx, schoolId, studentId);
+  const touched = [];
+  let shortfall = amount - (await getCreditBalance(tx, schoolId, studentId));
+
+  if (shortfall > 0) {
+    const invoices = await tx.feeInvoice.findMany({
+      where: {
+        schoolId,
+        studentId,
+        creditApplied: { gt: 0 },
+        status: { notIn: ["VOID", "CARRIED_FORWARD"] },
+      },
+      orderBy: { createdAt: "desc" },
     });
-    if (!existing) return res.status(404).json({ message: "Fee item not found." });
 
-    try {
-      const updated = await prisma.feeItem.update({
-        where: { id: String(id) },
+    for (const row of invoices) {
+      if (shortfall <= 0) break;
+
+      const inv = await lockInvoice(tx, { schoolId, invoiceId: row.id });
+      const take = Math.min(shortfall, Number(inv.creditApplied || 0));
+      const creditApplied = Number(inv.creditApplied || 0) - take;
+      const { balance, status } = computeInvoiceStatus(inv.total, Number(inv.paid || 0) + creditApplied);
+
+      touched.push(
+        await tx.feeInvoice.update({
+          where: { id: inv.id },
+          data: { creditApplied, balance, status },
+        })
+      );
+
+      await tx.feeCreditEntry.create({
         data: {
-          name: name !== undefined ? String(name).trim() : undefined,
-          code: code !== undefined ? (code ? String(code).trim() : null) : undefined,
-          isActive: isActive !== undefined ? Boolean(isActive) : undefined,
+          schoolId,
+          studentId,
+          type: "UNAPPLIED",
+          amount: take,
+          invoiceId: inv.id,
+          paymentId: payment.id,
+          note: "Credit withdrawn: source payment reversed",
+          createdBy: userId || null,
         },
       });
 
-      await feesAudit(req, {
-        action: "FEES_ITEM_UPDATED",
-        targetType: "FEE_ITEM",
-        targetId: id,
-        metadata: { before: existing, after: updated },
-      });
+      shortfall -= take;
+    }
 
-      return res.json(updated);
-    } catch (err) {
-      if (err?.code === "P2002") {
-        return res.status(409).json({ message: "Update conflict (duplicate name/code?)" });
-      }
-      console.error("UPDATE FEE ITEM ERROR:", err);
-      return res.status(500).json({ message: "Server error" });
+    // what is still missing was paid back out as a refund; reversing would leave negative credit
+    if (shortfall > 0) {
+      const e = new Error(
+        `${shortfall} of this payment's credit has already been refunded, so it cannot be reversed.`
+      );
+      e.status = 409;
+      throw e;
     }
   }
-);
-
-router.delete(
-  "/items/:id",
-  requireRole("ADMIN"),
-  requireEntitlement("FEES_WRITE"),
-  async (req, res) => {
-    const { id } = req.params;
-
-    const existing = await prisma.feeItem.findFirst({
-      where: { id: String(id), schoolId: req.schoolId },
-    });
-    if (!existing) return res.status(404).json({ message: "Fee item not found." });
 
-const updated = await prisma.feeItem.updateMany({
-  where: { id: String(id), schoolId: req.schoolId },
-  data: { isActive: false },
-});
+  await tx.feeCreditEntry.create({
+    data: {
+      schoolId,
+      studentId,
+      type: "REVERSAL",
+      amount: -amount,
+      paymentId: payment.id,
+      invoiceId: payment.invoiceId,
+      note: reason || null,
+      createdBy: userId || null,
+    },
+  });
 
-if (updated.count === 0) {
-  return res.status(404).json({ message: "Fee item not found." });
+  return touched;
 }
 
+/* ------------ Balance brought forward ------------ */
 
-    await feesAudit(req, {
-      action: "FEES_ITEM_DEACTIVATED",
-      targetType: "FEE_ITEM",
-      targetId: id,
-    });
+const BALANCE_BF_ITEM = "Balance b/f";
 
-    return res.json({ message: "Fee item deactivated." });
-  }
-);
+// Term enum is TERM1..TERM3, so string order is period order within a year.
+function isEarlierPeriod(inv, year, term) {
+  return inv.year < year || (inv.year === year && String(inv.term) < String(term));
+}
 
-/* --------------------
- * Fee Plans (ADMIN-only)
- * -------------------- */
+// studentId -> earlier invoices still owing (oldest first); these roll onto a new invoice.
+async function findCarryableInvoices(db, { schoolId, studentIds, year, term }) {
+  const rows = await db.feeInvoice.findMany({
+    where: {
+      schoolId,
+      studentId: { in: studentIds.map(String) },
+      status: { in: ["ISSUED", "PARTIALLY_PAID"] },
+      balance: { gt: 0 },
+      year: { lte: year },
+    },
+    orderBy: [{ year: "asc" }, { term: "asc" }, { createdAt: "asc" }],
+    select: { id: true, studentId: true, invoiceNo: true, year: true, term: true, balance: true },
+  });
 
-router.get("/plans", requireRole("ADMIN"), async (req, res) => {
-  const classId = req.query?.classId ? String(req.query.classId) : null;
-  const year = toInt(req.query?.year, null);
-  const term = req.query?.term ? String(req.query.term) : null;
+  const map = new Map();
+  for (const inv of rows) {
+    if (!isEarlierPeriod(inv, year, term)) continue;
+    if (!map.has(inv.studentId)) map.set(inv.studentId, []);
+    map.get(inv.studentId).push(inv);
+  }
+  return map;
+}
 
-  const plans = await prisma.feePlan.findMany({
-    where: {
-      schoolId: req.schoolId,
-      classId: classId || undefined,
-      year: year ?? undefined,
-      term: term || undefined,
+/**
+ * Moves what is owed on `priors` onto `invoice` as one "Balance b/f" line.
+ * The earlier invoices close as CARRIED_FORWARD (balance 0, carriedForward = amount moved).
+ */
+async function carryBalancesForward(tx, { schoolId, invoice, priors, userId }) {
+  const amount = (priors || []).reduce((sum, p) => sum + Number(p.balance || 0), 0);
+  if (amount <= 0) return invoice;
+
+  // system item, created inactive so it is never picked for a fee plan
+  const item = await tx.feeItem.upsert({
+    where: { schoolId_name: { schoolId, name: BALANCE_BF_ITEM } },
+    update: {},
+    create: { schoolId, name: BALANCE_BF_ITEM, isActive: false },
+  });
+
+  await tx.feeInvoiceLine.create({
+    data: {
+      invoiceId: invoice.id,
+      feeItemId: item.id,
+      amount,
+      isBroughtForward: true,
+      note: `From ${priors.map((p) => p.invoiceNo || p.id).join(", ")}`,
     },
-    include: { items: { include: { feeItem: true } } },
-    orderBy: { createdAt: "desc" },
   });
 
-  return res.json(plans);
-});
+  for (const p of priors) {
+    await tx.feeInvoice.update({
+      where: { id: p.id },
+      data: {
+        carriedForward: { increment: Number(p.balance) },
+        carriedToInvoiceId: invoice.id,
+        balance: 0,
+        status: "CARRIED_FORWARD",
+      },
+    });
+  }
 
-router.post(
-  "/plans",
-  requireRole("ADMIN"),
-  requireEntitlement("FEES_WRITE"),
-  async (req, res) => {
-    const { classId, year, term, title, items } = req.body || {};
+  await tx.feeInvoice.update({
+    where: { id: invoice.id },
+    data: { broughtForward: { increment: amount } },
+  });
 
-    const y = toInt(year, null);
-    if (!classId || !y || !term) {
-      return res.status(400).json({ message: "classId, year, term are required." });
-    }
-    if (!Array.isArray(items) || items.length < 1) {
-      return res.status(400).json({ message: "items[] is required (min 1)." });
-    }
+  return recomputeInvoiceTotals(tx, { schoolId, invoiceId: invoice.id, userId });
+}
 
-    const classRow = await prisma.class.findFirst({
-      where: { id: String(classId), schoolId: req.schoolId },
-      select: { id: true },
+// A carried invoice is settled on the invoice its balance moved to (following the chain).
+// Row-locks the invoice until the transaction ends and returns it as last committed.
+// Writers that compute paid/balance from the current values read the invoice through this.
+async function lockInvoice(tx, { schoolId, invoiceId }) {
+  await tx.$queryRaw`SELECT id FROM "FeeInvoice" WHERE id = ${invoiceId} AND "schoolId" = ${schoolId} FOR UPDATE`;
+  return tx.feeInvoice.findFirst({ where: { id: invoiceId, schoolId } });
+}
+
+async function resolveLiveInvoice(tx, { schoolId, invoice }) {
+  let current = invoice;
+  while (current?.status === "CARRIED_FORWARD" && current.carriedToInvoiceId) {
+    current = await tx.feeInvoice.findFirst({
+      where: { id: current.carriedToInvoiceId, schoolId },
     });
-    if (!classRow) return res.status(400).json({ message: "Invalid classId" });
+  }
+  return current;
+}
 
-    const feeItemIds = items.map((it) => String(it.feeItemId));
-    const validItems = await prisma.feeItem.findMany({
-      where: { id: { in: feeItemIds }, schoolId: req.schoolId, isActive: true },
-      select: { id: true },
+/**
+ * A reversed payment reopens `amount` on an invoice that was already carried.
+ * The amount follows the carry chain: each "Balance b/f" line grows, and the live
+ * invoice at the end of the chain owes it again.
+ */
+async function pushReopenedBalance(tx, { schoolId, invoice, amount, userId }) {
+  let current = invoice;
+  while (current.carriedToInvoiceId) {
+    await tx.feeInvoice.update({
+      where: { id: current.id },
+      data: { carriedForward: { increment: amount } },
     });
-    const validSet = new Set(validItems.map((x) => x.id));
-    const bad = feeItemIds.filter((id) => !validSet.has(id));
-    if (bad.length) {
-      return res.status(400).json({ message: `Invalid feeItemId(s): ${bad.join(", ")}` });
-    }
 
-    try {
-      const plan = await prisma.feePlan.create({
-        data: {
-          schoolId: req.schoolId,
-          classId: String(classId),
-          year: y,
-          term: String(term),
-          title: title ? String(title) : null,
-          items: {
-            create: items.map((it) => ({
-              feeItemId: String(it.feeItemId),
-              amount: Number(it.amount),
-              required: it.required !== undefined ? Boolean(it.required) : true,
-            })),
-          },
-        },
-        include: { items: { include: { feeItem: true } } },
-      });
+    const target = await tx.feeInvoice.findFirst({
+      where: { id: current.carriedToInvoiceId, schoolId },
+      include: { lines: true },
+    });
+    const bfLine = target.lines.find((l) => l.isBroughtForward);
 
-      await feesAudit(req, {
-        action: "FEES_PLAN_CREATED",
-        targetType: "FEE_PLAN",
-        targetId: plan.id,
-        metadata: { classId, year: y, term, items: plan.items.length },
-      });
+    await tx.feeInvoiceLine.update({
+      where: { id: bfLine.id },
+      data: { amount: { increment: amount } },
+    });
+    current = await tx.feeInvoice.update({
+      where: { id: target.id },
+      data: { broughtForward: { increment: amount }, total: { increment: amount } },
+    });
 
-      return res.status(201).json(plan);
-    } catch (err) {
-      console.error("CREATE PLAN ERROR:", err);
-      return res.status(409).json({
-        message: "Plan already exists for class/year/term OR invalid input.",
-      });
+    if (current.status !== "CARRIED_FORWARD") break;
+  }
+
+  return recomputeInvoiceTotals(tx, { schoolId, invoiceId: current.id, userId });
+}
+
+// Payments settle arrears (b/f) before the term's own charges.
+function outstandingSplit(invoice) {
+  const settled = Number(invoice.paid || 0) + Number(invoice.creditApplied || 0);
+  const arrears = Math.max(Number(invoice.broughtForward || 0) - settled, 0);
+  return { arrears, current: Math.max(Number(invoice.balance || 0) - arrears, 0) };
+}
+
+/* ------------ Installment schedules ------------ */
+
+const MAX_INSTALLMENTS = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "YYYY-MM-DD" (or a Date) -> midnight UTC of that day, or null when unreadable.
+function toDay(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const d = v instanceof Date ? v : new Date(/^\d{4}-\d{2}-\d{2}$/.test(String(v)) ? `${v}T00:00:00.000Z` : String(v));
+  if (Number.isNaN(d.getTime())) return null;
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+/**
+ * Validates an installment schedule from a request body.
+ * Percents are cumulative and must rise to exactly 100, with due dates rising alongside.
+ * An empty array means "no schedule": the whole invoice is due when issued.
+ */
+function parseInstallments(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) {
+    const e = new Error("installments must be an array.");
+    e.status = 400;
+    throw e;
+  }
+  if (input.length > MAX_INSTALLMENTS) {
+    const e = new Error(`At most ${MAX_INSTALLMENTS} installments.`);
+    e.status = 400;
+    throw e;
+  }
+
+  const out = input.map((it, idx) => {
+    const dueDate = toDay(it?.dueDate);
+    const percent = toInt(it?.percent, null);
+    if (!dueDate || percent === null || percent < 1 || percent > 100) {
+      const e = new Error(`Installment ${idx + 1} needs a dueDate (YYYY-MM-DD) and a percent between 1 and 100.`);
+      e.status = 400;
+      throw e;
+    }
+    const label = it?.label ? String(it.label).trim().slice(0, 60) : null;
+    return { seq: idx + 1, label: label || null, dueDate, percent };
+  });
+
+  for (let i = 1; i < out.length; i++) {
+    if (out[i].percent <= out[i - 1].percent || out[i].dueDate <= out[i - 1].dueDate) {
+      const e = new Error("Installments must be in date order with a rising cumulative percent.");
+      e.status = 400;
+      throw e;
     }
   }
-);
+  if (out.length && out[out.length - 1].percent !== 100) {
+    const e = new Error("The last installment must bring the cumulative percent to 100.");
+    e.status = 400;
+    throw e;
+  }
 
-/* --------------------
- * Invoices
- * --------------------
- * READ: ADMIN, BURSAR
- * WRITE (generate/void): ADMIN only
+  return out;
+}
+
+function copyInstallments(installments) {
+  return (installments || []).map((it) => ({
+    seq: it.seq,
+    label: it.label,
+    dueDate: it.dueDate,
+    percent: it.percent,
+  }));
+}
+
+const AGING_BUCKETS = ["NOT_DUE", "0-30", "31-60", "61-90", "90+"];
+
+function bucketForDays(days) {
+  if (days < 0) return "NOT_DUE";
+  if (days <= 30) return "0-30";
+  if (days <= 60) return "31-60";
+  if (days <= 90) return "61-90";
+  return "90+";
+}
+
+function agingBucket({ overdue, daysOverdue }) {
+  return overdue ? bucketForDays(daysOverdue) : "NOT_DUE";
+}
+
+// Cumulative amounts owed by each due date, oldest first (see invoiceDueStatus).
+function dueSteps(invoice) {
+  const total = Number(invoice.total || 0);
+  const broughtForward = Math.min(Number(invoice.broughtForward || 0), total);
+
+  const schedule = (invoice.installments || []).length
+    ? [...invoice.installments].sort((a, b) => a.seq - b.seq)
+    : [{ seq: 1, label: null, dueDate: invoice.createdAt, percent: 100 }];
+
+  const steps = schedule.map((it) => ({
+    dueDate: toDay(it.dueDate),
+    label: it.label || null,
+    cumulative: broughtForward + Math.round(((total - broughtForward) * it.percent) / 100),
+  }));
+  if (broughtForward > 0 && (invoice.installments || []).length) {
+    steps.push({ dueDate: toDay(invoice.createdAt), label: "Balance b/f", cumulative: broughtForward });
+  }
+  return steps.sort((a, b) => a.dueDate - b.dueDate || a.cumulative - b.cumulative);
+}
+
+/**
+ * What an invoice owes by `asOf` under its installment schedule.
+ * Arrears (b/f) are due from the start; installment percents apply to the term's own charges.
+ * Without a schedule the whole invoice falls due on the day it was issued.
+ * Returns { dueToDate, overdue, daysOverdue, overdueSince, nextDue: { dueDate, amount, label } | null }.
  */
+function invoiceDueStatus(invoice, asOf = new Date()) {
+  const day = toDay(asOf) || toDay(new Date());
+  const settled = Math.max(Number(invoice.total || 0) - Number(invoice.balance || 0), 0);
+  const closed = invoice.status === "VOID" || invoice.status === "CARRIED_FORWARD";
 
-router.get("/invoices", requireRole("ADMIN", "BURSAR"), async (req, res) => {
-  const studentId = req.query?.studentId ? String(req.query.studentId) : null;
-  const classId = req.query?.classId ? String(req.query.classId) : null;
-  const year = toInt(req.query?.year, null);
-  const term = req.query?.term ? String(req.query.term) : null;
-  const status = req.query?.status ? String(req.query.status) : null;
+  const steps = dueSteps(invoice);
+  const fallen = steps.filter((s) => s.dueDate < day);
+  const dueToDate = closed ? 0 : Math.max(0, ...fallen.map((s) => s.cumulative));
+  const overdue = Math.min(Math.max(dueToDate - settled, 0), Number(invoice.balance || 0));
 
-  const invoices = await prisma.feeInvoice.findMany({
-    where: {
-      schoolId: req.schoolId,
-      studentId: studentId || undefined,
-      classId: classId || undefined,
-      year: year ?? undefined,
-      term: term || undefined,
-      status: status || undefined,
-    },
-    include: {
-      lines: true,
-      payments: {
-        orderBy: { receivedAt: "desc" },
-        select: {
-          id: true,
-          amount: true,
-          method: true,
-          reference: true,
-          receiptNo: true,
-          receivedAt: true,
-          isReversed: true,
-          reversedAt: true,
-          reversalReason: true,
-          createdAt: true,
-        },
-      },
-    },
-    orderBy: { createdAt: "desc" },
-  });
+  // the oldest installment that is still not covered by what has been paid
+  const firstUnpaid = overdue > 0 ? fallen.find((s) => s.cumulative > settled) : null;
+  const next = closed ? null : steps.find((s) => s.dueDate >= day && s.cumulative > settled);
 
-  return res.json(invoices);
-});
+  return {
+    dueToDate,
+    overdue,
+    daysOverdue: firstUnpaid ? Math.round((day - firstUnpaid.dueDate) / DAY_MS) : 0,
+    overdueSince: firstUnpaid ? firstUnpaid.dueDate : null,
+    nextDue: next
+      ? { dueDate: next.dueDate, amount: next.cumulative - settled, label: next.label }
+      : null,
+  };
+}
 
-router.get("/invoices/:id", requireRole("ADMIN", "BURSAR"), async (req, res) => {
-  const { id } = req.params;
+/**
+ * Splits an invoice's balance into aging buckets as of `asOf`.
+ * basis "issue": the whole balance is aged from the invoice date.
+ * basis "due": each installment's unpaid part is aged from its own due date (payments clear the oldest first);
+ * parts not yet due land in NOT_DUE.
+ * Returns { [bucket]: amount } (only non-zero buckets).
+ */
+function agingSlices(invoice, asOf, basis = "issue") {
+  const day = toDay(asOf) || toDay(new Date());
+  const balance = Number(invoice.balance || 0);
+  const out = {};
+  if (balance <= 0 || invoice.status === "VOID" || invoice.status === "CARRIED_FORWARD") return out;
+
+  if (basis !== "due") {
+    out[bucketForDays(Math.round((day - toDay(invoice.createdAt)) / DAY_MS))] = balance;
+    return out;
+  }
 
-  const invoice = await prisma.feeInvoice.findFirst({
-    where: { id: String(id), schoolId: req.schoolId },
-    include: {
-      lines: true,
-      payments: {
-        orderBy: { receivedAt: "desc" },
-        select: {
-          id: true,
-          amount: true,
-          method: true,
-          reference: true,
-          receiptNo: true,
-          receivedAt: true,
-          isReversed: true,
-          reversedAt: true,
-          reversalReason: true,
-          createdAt: true,
-        },
-      },
-    },
+  const settled = Math.max(Number(invoice.total || 0) - balance, 0);
+  let reached = 0;
+  for (const step of dueSteps(invoice)) {
+    const from = reached;
+    reached = Math.max(reached, step.cumulative);
+    const unpaid = reached - Math.max(from, Math.min(settled, reached));
+    if (unpaid <= 0) continue;
+
+    const days = Math.round((day - step.dueDate) / DAY_MS);
+    const bucket = days > 0 ? bucketForDays(days) : "NOT_DUE";
+    out[bucket] = (out[bucket] || 0) + unpaid;
+  }
+  return out;
+}
+
+// Whole-shilling split of `amount` in proportion to `weights` (Map key -> weight); remainders go to the largest shares.
+function splitProRata(amount, weights) {
+  const entries = [...weights].filter(([, w]) => w > 0);
+  const totalWeight = entries.reduce((sum, [, w]) => sum + w, 0);
+  const out = new Map();
+  if (!entries.length || totalWeight <= 0) return out;
+
+  let given = 0;
+  const parts = entries.map(([key, w]) => {
+    const exact = (amount * w) / totalWeight;
+    const floor = Math.floor(exact);
+    given += floor;
+    return { key, floor, frac: exact - floor };
   });
+  parts.sort((a, b) => b.frac - a.frac);
+  parts.forEach((p, i) => out.set(p.key, p.floor + (i < amount - given ? 1 : 0)));
+  return out;
+}
 
-  if (!invoice) return res.status(404).json({ message: "Invoice not found." });
-  return res.json(invoice);
-});
+/**
+ * Balance owed per fee item: arrears sit on the "Balance b/f" line, the rest is shared across the
+ * term's charge lines in proportion to their amounts.
+ */
+function outstandingByItem(invoice) {
+  const { arrears, current } = outstandingSplit(invoice);
+  const out = new Map();
+
+  const bfLine = (invoice.lines || []).find((l) => l.isBroughtForward);
+  const charges = new Map();
+  for (const l of chargeLines(invoice.lines)) {
+    charges.set(l.feeItemId, (charges.get(l.feeItemId) || 0) + Number(l.amount || 0));
+  }
 
-router.post(
-  "/invoices/generate",
-  requireRole("ADMIN"),
-  requireEntitlement("FEES_WRITE"),
-  async (req, res) => {
-    const { studentId, classId, year, term, feePlanId } = req.body || {};
-    const y = toInt(year, null);
+  if (arrears > 0 && bfLine) out.set(bfLine.feeItemId, arrears);
+  const shared = splitProRata(current + (arrears > 0 && !bfLine ? arrears : 0), charges);
+  for (const [k, v] of shared) out.set(k, (out.get(k) || 0) + v);
 
-    if (!studentId || !classId || !y || !term || !feePlanId) {
-      return res.status(400).json({
-        message: "studentId, classId, year, term, feePlanId are required.",
+  // nothing to spread across (e.g. only a b/f line): keep the money on whatever line there is
+  const placed = [...out.values()].reduce((sum, v) => sum + v, 0);
+  const leftover = Number(invoice.balance || 0) - placed;
+  if (leftover > 0 && invoice.lines?.length) {
+    const key = bfLine?.feeItemId || invoice.lines[0].feeItemId;
+    out.set(key, (out.get(key) || 0) + leftover);
+  }
+  return out;
+}
+
+/* ------------ Vote heads (payments by fee item) ------------ */
+
+// Paid-first order: "Balance b/f", then the item's allocationPriority, then the larger charge.
+function headOrder(a, b) {
+  return (
+    Number(b.isBroughtForward) - Number(a.isBroughtForward) ||
+    a.priority - b.priority ||
+    b.billed - a.billed ||
+    String(a.feeItemId).localeCompare(String(b.feeItemId))
+  );
+}
+
+/**
+ * Per-fee-item position of one invoice, in paid-first order.
+ * billed = line amount + adjustments aimed at the item (whole-invoice adjustments shared pro rata over the charges);
+ * allocated = the item's FeePaymentAllocation rows. Credit applied, and any paid amount without allocation rows
+ * (payments posted before line allocation), are spread in paid-first order so the heads always add up to the invoice.
+ * `invoice` needs lines + adjustments; `itemsById` maps feeItemId -> { name, code, allocationPriority }.
+ */
+function voteHeads(invoice, allocations = [], itemsById = new Map()) {
+  const heads = new Map();
+  const head = (feeItemId) => {
+    if (!heads.has(feeItemId)) {
+      const item = itemsById.get(feeItemId);
+      heads.set(feeItemId, {
+        feeItemId,
+        name: item?.name || null,
+        code: item?.code || null,
+        priority: item?.allocationPriority ?? 100,
+        isBroughtForward: false,
+        billed: 0,
+        allocated: 0,
+        paid: 0,
+        credit: 0,
+        carried: 0,
+        balance: 0,
       });
     }
+    return heads.get(feeItemId);
+  };
 
-    const [studentRow, classRow] = await Promise.all([
-      prisma.student.findFirst({
-        where: { id: String(studentId), schoolId: req.schoolId },
-        select: { id: true },
-      }),
-      prisma.class.findFirst({
-        where: { id: String(classId), schoolId: req.schoolId },
-        select: { id: true },
-      }),
-    ]);
+  for (const l of invoice.lines || []) {
+    const h = head(l.feeItemId);
+    h.billed += Number(l.amount || 0);
+    if (l.isBroughtForward) h.isBroughtForward = true;
+  }
 
-    if (!studentRow) return res.status(400).json({ message: "Invalid studentId" });
-    if (!classRow) return res.status(400).json({ message: "Invalid classId" });
+  const active = (invoice.adjustments || []).filter((a) => !a.isReversed);
+  for (const a of active.filter((x) => x.feeItemId)) head(a.feeItemId).billed += Number(a.amount || 0);
 
-    const plan = await prisma.feePlan.findFirst({
-      where: { id: String(feePlanId), schoolId: req.schoolId },
-      include: { items: true },
-    });
-    if (!plan) return res.status(404).json({ message: "Fee plan not found." });
+  const general = adjustmentsTotal(active.filter((x) => !x.feeItemId));
+  if (general) {
+    const weights = new Map(chargeLines(invoice.lines).map((l) => [l.feeItemId, Number(l.amount || 0)]));
+    for (const [feeItemId, part] of splitProRata(Math.abs(general), weights)) {
+      head(feeItemId).billed += Math.sign(general) * part;
+    }
+  }
 
-    const total = (plan.items || []).reduce((sum, it) => sum + (Number(it.amount) || 0), 0);
+  for (const a of allocations) head(a.feeItemId).allocated += Number(a.amount || 0);
 
-    try {
-      const invoice = await prisma.feeInvoice.create({
-        data: {
-          schoolId: req.schoolId,
-          studentId: String(studentId),
-          classId: String(classId),
-          year: y,
-          term: String(term),
-          invoiceNo: makeInvoiceNo(), // ok if your schema has it; ignored if not mapped
-          status: "ISSUED",
-          total,
-          paid: 0,
-          balance: total,
-          lines: {
-            create: plan.items.map((it) => ({
-              feeItemId: it.feeItemId,
-              amount: it.amount,
+  const ordered = [...heads.values()].sort(headOrder);
+  for (const h of ordered) {
+    h.billed = Math.max(h.billed, 0);
+    h.paid = h.allocated;
+  }
+
+  const fill = (amount, field) => {
+    let left = Math.max(amount, 0);
+    for (const h of ordered) {
+      if (left <= 0) break;
+      const take = Math.min(Math.max(h.billed - h.paid - h.credit, 0), left);
+      h[field] += take;
+      left -= take;
+    }
+  };
+  fill(Number(invoice.paid || 0) - ordered.reduce((sum, h) => sum + h.allocated, 0), "paid");
+  fill(Number(invoice.creditApplied || 0), "credit");
+
+  for (const h of ordered) {
+    const rest = Math.max(h.billed - h.paid - h.credit, 0);
+    if (invoice.status === "CARRIED_FORWARD") h.carried = rest;
+    else if (invoice.status !== "VOID") h.balance = rest;
+  }
+  return ordered;
+}
+
+async function feeItemsById(db, schoolId, feeItemIds) {
+  const items = await db.feeItem.findMany({
+    where: { id: { in: [...new Set(feeItemIds)] }, schoolId },
+    select: { id: true, name: true, code: true, allocationPriority: true },
+  });
+  return new Map(items.map((i) => [i.id, i]));
+}
+
+// Invoice (with lines, active adjustments and allocation rows) plus its vote heads.
+async function loadVoteHeads(db, { schoolId, invoiceId }) {
+  const invoice = await db.feeInvoice.findFirst({
+    where: { id: String(invoiceId), schoolId },
+    include: {
+      lines: true,
+      adjustments: { where: { isReversed: false } },
+      paymentAllocations: { orderBy: { createdAt: "desc" } },
+    },
+  });
+  if (!invoice) return { invoice: null, heads: [] };
+
+  const itemsById = await feeItemsById(db, schoolId, [
+    ...invoice.lines.map((l) => l.feeItemId),
+    ...invoice.adjustments.filter((a) => a.feeItemId).map((a) => a.feeItemId),
+  ]);
+  return { invoice, heads: voteHeads(invoice, invoice.paymentAllocations, itemsById) };
+}
+
+/**
+ * Splits `amount` over the heads: manual entries ({ feeItemId, amount }) first, the rest in paid-first order.
+ * No head may receive more than it still owes. Returns [{ feeItemId, amount }].
+ */
+function planAllocations(heads, amount, manual = []) {
+  const room = new Map(heads.map((h) => [h.feeItemId, h.balance]));
+  const out = new Map();
+  let left = amount;
+
+  const give = (feeItemId, value) => {
+    out.set(feeItemId, (out.get(feeItemId) || 0) + value);
+    room.set(feeItemId, room.get(feeItemId) - value);
+    left -= value;
+  };
+
+  for (const m of manual) {
+    const h = heads.find((x) => x.feeItemId === m.feeItemId);
+    if (!h) {
+      const e = new Error("Allocation names a fee item that is not on this invoice.");
+      e.status = 400;
+      throw e;
+    }
+    if (m.amount > room.get(h.feeItemId)) {
+      const e = new Error(`${h.name || "Fee item"} only has ${room.get(h.feeItemId)} outstanding.`);
+      e.status = 400;
+      throw e;
+    }
+    if (m.amount > left) {
+      const e = new Error("Allocations add up to more than the amount paid to the invoice.");
+      e.status = 400;
+      throw e;
+    }
+    give(h.feeItemId, m.amount);
+  }
+
+  for (const h of heads) {
+    if (left <= 0) break;
+    const take = Math.min(room.get(h.feeItemId), left);
+    if (take > 0) give(h.feeItemId, take);
+  }
+
+  return [...out].map(([feeItemId, value]) => ({ feeItemId, amount: value }));
+}
+
+// Request body -> [{ feeItemId, amount }] (whole shillings, > 0, one entry per item), or [] when absent.
+function parseManualAllocations(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input) || input.length > 50) {
+    const e = new Error("allocations must be an array of { feeItemId, amount }.");
+    e.status = 400;
+    throw e;
+  }
+
+  const seen = new Set();
+  return input
+    .map((a) => ({ feeItemId: String(a?.feeItemId || ""), amount: toInt(a?.amount, 0) }))
+    .filter((a) => a.amount !== 0)
+    .map((a) => {
+      if (!a.feeItemId || a.amount < 0 || seen.has(a.feeItemId)) {
+        const e = new Error("Each allocation needs a distinct feeItemId and an amount above 0.");
+        e.status = 400;
+        throw e;
+      }
+      seen.add(a.feeItemId);
+      return a;
+    });
+}
+
+/**
+ * After an adjustment lowers a line, moves allocations sitting above what the line now bills
+ * onto lines that still owe (paid-first order), keeping each allocation on its payment.
+ */
+async function rebalanceAllocations(tx, { schoolId, invoiceId }) {
+  const { invoice, heads } = await loadVoteHeads(tx, { schoolId, invoiceId });
+  if (!invoice || !heads.some((h) => h.allocated > h.billed)) return;
+
+  const room = new Map(heads.map((h) => [h.feeItemId, Math.max(h.billed - h.allocated, 0)]));
+
+  for (const h of heads) {
+    let surplus = h.allocated - h.billed;
+    for (const row of invoice.paymentAllocations.filter((r) => r.feeItemId === h.feeItemId)) {
+      if (surplus <= 0) break;
+      const take = Math.min(row.amount, surplus);
+      surplus -= take;
+
+      if (take === row.amount) await tx.feePaymentAllocation.delete({ where: { id: row.id } });
+      else await tx.feePaymentAllocation.update({ where: { id: row.id }, data: { amount: row.amount - take } });
+
+      let left = take;
+      for (const target of heads) {
+        if (left <= 0) break;
+        const give = Math.min(room.get(target.feeItemId), left);
+        if (give <= 0 || target.feeItemId === h.feeItemId) continue;
+        await tx.feePaymentAllocation.create({
+          data: { schoolId, paymentId: row.paymentId, invoiceId: invoice.id, feeItemId: target.feeItemId, amount: give },
+        });
+        room.set(target.feeItemId, room.get(target.feeItemId) - give);
+        left -= give;
+      }
+    }
+  }
+}
+
+function normalizeExportType(v) {
+  const x = String(v || "").trim().toLowerCase();
+  if (x === "csv" || x === "xlsx") return x;
+  return null;
+}
+
+
+/* ------------ Audit helpers ------------ */
+function actorCtx(req) {
+  return {
+    actorId: req.user?.id || null,
+    actorRole: req.role || req.user?.role || null,
+    actorEmail: req.user?.email || null,
+  };
+}
+
+async function feesAudit(req, { schoolId, action, targetType, targetId, metadata }) {
+  return logAudit({
+    req,
+    ...actorCtx(req),
+    schoolId: schoolId ?? req.schoolId ?? null,
+    action,
+    targetType,
+    targetId: targetId ? String(targetId) : null,
+    metadata: metadata ?? null,
+  });
+}
+
+/* --------------------------------------
+ * Subscription gating for specific reports
+ * -------------------------------------- */
+function requireSubscriptionForReports(req, res, next) {
+  if (!req.subscription) {
+    return res.status(402).json({ message: "Subscription required.", mode: "READ_ONLY" });
+  }
+  return next();
+}
+
+/* --------------------------------------
+ * Strong date-range parsing for reports
+ * -------------------------------------- */
+function parseDateRange(from, to) {
+  if (!from || !to) {
+    const e = new Error("from and to are required (YYYY-MM-DD).");
+    e.status = 400;
+    throw e;
+  }
+
+  const fromDate = new Date(`${String(from)}T00:00:00.000Z`);
+  const toDate = new Date(`${String(to)}T23:59:59.999Z`);
+
+  if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+    const e = new Error("Invalid date format. Use YYYY-MM-DD.");
+    e.status = 400;
+    throw e;
+  }
+
+  if (fromDate > toDate) {
+    const e = new Error("from must be less than or equal to to.");
+    e.status = 400;
+    throw e;
+  }
+
+  return { fromDate, toDate };
+}
+
+/* --------------------------------------
+ * Subscription (demo/admin setup endpoints)
+ * -------------------------------------- */
+
+router.get("/subscription", async (req, res) => {
+  return res.json({
+    schoolId: req.schoolId,
+    subscription: req.subscription,
+    mode: req.subscription ? "SUBSCRIBED" : "READ_ONLY",
+  });
+});
+
+// Keep as ADMIN for demo setup. Later move to SYSTEM_ADMIN control plane.
+router.post("/subscription", requireRole("ADMIN"), async (req, res) => {
+  try {
+    const {
+      schoolName,
+      schoolCode,
+      status = "ACTIVE",
+      entitlements = { FEES_WRITE: true, FEES_READ: true },
+      currentPeriodEnd,
+    } = req.body || {};
+
+    if (!schoolName || String(schoolName).trim().length < 2) {
+      return res.status(400).json({ message: "schoolName is required (min 2 chars)." });
+    }
+
+    const school = await prisma.school.upsert({
+      where: { id: req.schoolId },
+      update: {
+        name: String(schoolName).trim(),
+        code: schoolCode ? String(schoolCode).trim() : undefined,
+      },
+      create: {
+        id: req.schoolId,
+        name: String(schoolName).trim(),
+        code: schoolCode ? String(schoolCode).trim() : null,
+        isActive: true,
+      },
+    });
+
+    const sub = await prisma.subscription.create({
+      data: {
+        schoolId: school.id,
+        status,
+        entitlements,
+        currentPeriodEnd: currentPeriodEnd ? new Date(currentPeriodEnd) : null,
+      },
+    });
+
+    await feesAudit(req, {
+      action: "SUBSCRIPTION_CREATED",
+      targetType: "SUBSCRIPTION",
+      targetId: sub.id,
+      metadata: { status, entitlements },
+    });
+
+    return res.status(201).json({ school, subscription: sub });
+  } catch (err) {
+    console.error("CREATE SUBSCRIPTION ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* --------------------
+ * Fee Items (ADMIN-only)
+ * -------------------- */
+
+router.get("/items", requireRole("ADMIN"), async (req, res) => {
+  const items = await prisma.feeItem.findMany({
+    where: { schoolId: req.schoolId },
+    orderBy: { createdAt: "desc" },
+  });
+  return res.json(items);
+});
+
+router.post(
+  "/items",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    const { name, code, allocationPriority } = req.body || {};
+
+    if (!name || String(name).trim().length < 2) {
+      return res.status(400).json({ message: "name is required (min 2 chars)" });
+    }
+
+    const priority = toInt(allocationPriority, 100);
+    if (priority < 0 || priority > 999) {
+      return res.status(400).json({ message: "allocationPriority must be 0–999." });
+    }
+
+    try {
+      const item = await prisma.feeItem.create({
+        data: {
+          schoolId: req.schoolId,
+          name: String(name).trim(),
+          code: code ? String(code).trim() : null,
+          allocationPriority: priority,
+        },
+      });
+
+      await feesAudit(req, {
+        action: "FEES_ITEM_CREATED",
+        targetType: "FEE_ITEM",
+        targetId: item.id,
+        metadata: { name: item.name, code: item.code, allocationPriority: item.allocationPriority },
+      });
+
+      return res.status(201).json(item);
+    } catch (err) {
+      if (err?.code === "P2002") {
+        return res.status(409).json({ message: "Fee item already exists." });
+      }
+      console.error("CREATE FEE ITEM ERROR:", err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+router.patch(
+  "/items/:id",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { name, code, isActive, allocationPriority } = req.body || {};
+
+    const existing = await prisma.feeItem.findFirst({
+      where: { id: String(id), schoolId: req.schoolId },
+    });
+    if (!existing) return res.status(404).json({ message: "Fee item not found." });
+
+    const priority = allocationPriority !== undefined ? toInt(allocationPriority, null) : undefined;
+    if (priority !== undefined && (priority === null || priority < 0 || priority > 999)) {
+      return res.status(400).json({ message: "allocationPriority must be 0–999." });
+    }
+
+    try {
+      const updated = await prisma.feeItem.update({
+        where: { id: String(id) },
+        data: {
+          name: name !== undefined ? String(name).trim() : undefined,
+          code: code !== undefined ? (code ? String(code).trim() : null) : undefined,
+          isActive: isActive !== undefined ? Boolean(isActive) : undefined,
+          allocationPriority: priority,
+        },
+      });
+
+      await feesAudit(req, {
+        action: "FEES_ITEM_UPDATED",
+        targetType: "FEE_ITEM",
+        targetId: id,
+        metadata: { before: existing, after: updated },
+      });
+
+      return res.json(updated);
+    } catch (err) {
+      if (err?.code === "P2002") {
+        return res.status(409).json({ message: "Update conflict (duplicate name/code?)" });
+      }
+      console.error("UPDATE FEE ITEM ERROR:", err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+router.delete(
+  "/items/:id",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    const existing = await prisma.feeItem.findFirst({
+      where: { id: String(id), schoolId: req.schoolId },
+    });
+    if (!existing) return res.status(404).json({ message: "Fee item not found." });
+
+const updated = await prisma.feeItem.updateMany({
+  where: { id: String(id), schoolId: req.schoolId },
+  data: { isActive: false },
+});
+
+if (updated.count === 0) {
+  return res.status(404).json({ message: "Fee item not found." });
+}
+
+
+    await feesAudit(req, {
+      action: "FEES_ITEM_DEACTIVATED",
+      targetType: "FEE_ITEM",
+      targetId: id,
+    });
+
+    return res.json({ message: "Fee item deactivated." });
+  }
+);
+
+/* --------------------
+ * Fee Plans (ADMIN-only)
+ * -------------------- */
+
+router.get("/plans", requireRole("ADMIN"), async (req, res) => {
+  const classId = req.query?.classId ? String(req.query.classId) : null;
+  const year = toInt(req.query?.year, null);
+  const term = req.query?.term ? String(req.query.term) : null;
+
+  const plans = await prisma.feePlan.findMany({
+    where: {
+      schoolId: req.schoolId,
+      classId: classId || undefined,
+      year: year ?? undefined,
+      term: term || undefined,
+    },
+    include: { items: { include: { feeItem: true } }, installments: { orderBy: { seq: "asc" } } },
+    orderBy: { createdAt: "desc" },
+  });
+
+  return res.json(plans);
+});
+
+router.post(
+  "/plans",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    const { classId, year, term, title, items } = req.body || {};
+
+    const y = toInt(year, null);
+    if (!classId || !y || !term) {
+      return res.status(400).json({ message: "classId, year, term are required." });
+    }
+    if (!Array.isArray(items) || items.length < 1) {
+      return res.status(400).json({ message: "items[] is required (min 1)." });
+    }
+
+    let installments;
+    try {
+      installments = parseInstallments(req.body?.installments);
+    } catch (err) {
+      return res.status(err.status || 400).json({ message: err.message });
+    }
+
+    const classRow = await prisma.class.findFirst({
+      where: { id: String(classId), schoolId: req.schoolId },
+      select: { id: true },
+    });
+    if (!classRow) return res.status(400).json({ message: "Invalid classId" });
+
+    const feeItemIds = items.map((it) => String(it.feeItemId));
+    const validItems = await prisma.feeItem.findMany({
+      where: { id: { in: feeItemIds }, schoolId: req.schoolId, isActive: true },
+      select: { id: true },
+    });
+    const validSet = new Set(validItems.map((x) => x.id));
+    const bad = feeItemIds.filter((id) => !validSet.has(id));
+    if (bad.length) {
+      return res.status(400).json({ message: `Invalid feeItemId(s): ${bad.join(", ")}` });
+    }
+
+    try {
+      const plan = await prisma.feePlan.create({
+        data: {
+          schoolId: req.schoolId,
+          classId: String(classId),
+          year: y,
+          term: String(term),
+          title: title ? String(title) : null,
+          items: {
+            create: items.map((it) => ({
+              feeItemId: String(it.feeItemId),
+              amount: Number(it.amount),
+              required: it.required !== undefined ? Boolean(it.required) : true,
             })),
           },
+          installments: { create: installments },
+        },
+        include: { items: { include: { feeItem: true } }, installments: { orderBy: { seq: "asc" } } },
+      });
+
+      await feesAudit(req, {
+        action: "FEES_PLAN_CREATED",
+        targetType: "FEE_PLAN",
+        targetId: plan.id,
+        metadata: { classId, year: y, term, items: plan.items.length, installments: installments.length },
+      });
+
+      return res.status(201).json(plan);
+    } catch (err) {
+      console.error("CREATE PLAN ERROR:", err);
+      return res.status(409).json({
+        message: "Plan already exists for class/year/term OR invalid input.",
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/fees/plans/:id/installments
+ * Body: { installments: [{ label?, dueDate, percent }], applyToInvoices? }
+ * Replaces the plan's schedule. applyToInvoices also re-copies it onto the plan's
+ * existing (non-void) invoices for the same class/year/term; otherwise only new invoices get it.
+ */
+router.put(
+  "/plans/:id/installments",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    try {
+      const installments = parseInstallments(req.body?.installments ?? []);
+      const applyToInvoices =
+        req.body?.applyToInvoices === true || String(req.body?.applyToInvoices) === "true";
+
+      const plan = await prisma.feePlan.findFirst({
+        where: { id: String(req.params.id), schoolId: req.schoolId },
+        select: { id: true, classId: true, year: true, term: true },
+      });
+      if (!plan) return res.status(404).json({ message: "Fee plan not found." });
+
+      const result = await prisma.$transaction(async (tx) => {
+        await tx.feePlanInstallment.deleteMany({ where: { feePlanId: plan.id } });
+        if (installments.length) {
+          await tx.feePlanInstallment.createMany({
+            data: installments.map((it) => ({ ...it, feePlanId: plan.id })),
+          });
+        }
+
+        let invoicesUpdated = 0;
+        if (applyToInvoices) {
+          const invoices = await tx.feeInvoice.findMany({
+            where: {
+              schoolId: req.schoolId,
+              classId: plan.classId,
+              year: plan.year,
+              term: plan.term,
+              status: { not: "VOID" },
+            },
+            select: { id: true },
+          });
+          const invoiceIds = invoices.map((i) => i.id);
+
+          await tx.feeInvoiceInstallment.deleteMany({ where: { invoiceId: { in: invoiceIds } } });
+          if (installments.length && invoiceIds.length) {
+            await tx.feeInvoiceInstallment.createMany({
+              data: invoiceIds.flatMap((invoiceId) => installments.map((it) => ({ ...it, invoiceId }))),
+            });
+          }
+          invoicesUpdated = invoiceIds.length;
+        }
+
+        const updated = await tx.feePlan.findUnique({
+          where: { id: plan.id },
+          include: { items: { include: { feeItem: true } }, installments: { orderBy: { seq: "asc" } } },
+        });
+        return { plan: updated, invoicesUpdated };
+      });
+
+      await feesAudit(req, {
+        action: "FEES_PLAN_INSTALLMENTS_SET",
+        targetType: "FEE_PLAN",
+        targetId: plan.id,
+        metadata: {
+          installments: installments.map((it) => ({
+            dueDate: it.dueDate.toISOString().slice(0, 10),
+            percent: it.percent,
+          })),
+          applyToInvoices,
+          invoicesUpdated: result.invoicesUpdated,
+        },
+      });
+
+      return res.json(result);
+    } catch (err) {
+      console.error("SET PLAN INSTALLMENTS ERROR:", err);
+      return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
+    }
+  }
+);
+
+/* --------------------
+ * Discount policies (ADMIN-only)
+ * --------------------
+ * Reusable rules attached to students; applied as DISCOUNT adjustments
+ * whenever an invoice is generated for them.
+ */
+
+function parsePolicyValue(body) {
+  const percent = toNumber(body?.percent, null);
+  const amount = toInt(body?.amount, null);
+
+  if ((percent === null) === (amount === null)) {
+    const e = new Error("Provide exactly one of percent or amount.");
+    e.status = 400;
+    throw e;
+  }
+  if (percent !== null && (percent <= 0 || percent > 100)) {
+    const e = new Error("percent must be > 0 and <= 100.");
+    e.status = 400;
+    throw e;
+  }
+  if (amount !== null && amount <= 0) {
+    const e = new Error("amount must be > 0.");
+    e.status = 400;
+    throw e;
+  }
+  return { percent, amount };
+}
+
+async function assertFeeItem(schoolId, feeItemId) {
+  if (!feeItemId) return null;
+  const item = await prisma.feeItem.findFirst({
+    where: { id: String(feeItemId), schoolId },
+    select: { id: true },
+  });
+  if (!item) {
+    const e = new Error("Invalid feeItemId");
+    e.status = 400;
+    throw e;
+  }
+  return item.id;
+}
+
+router.get("/discount-policies", requireRole("ADMIN"), async (req, res) => {
+  const policies = await prisma.feeDiscountPolicy.findMany({
+    where: { schoolId: req.schoolId },
+    include: {
+      feeItem: { select: { id: true, name: true, code: true } },
+      _count: { select: { students: true } },
+    },
+    orderBy: [{ isActive: "desc" }, { name: "asc" }],
+  });
+  return res.json(policies);
+});
+
+router.post(
+  "/discount-policies",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    try {
+      const name = String(req.body?.name || "").trim();
+      if (name.length < 2) return res.status(400).json({ message: "name is required (min 2 chars)" });
+
+      const { percent, amount } = parsePolicyValue(req.body);
+      const feeItemId = await assertFeeItem(req.schoolId, req.body?.feeItemId);
+
+      const policy = await prisma.feeDiscountPolicy.create({
+        data: {
+          schoolId: req.schoolId,
+          name,
+          description: req.body?.description ? String(req.body.description).trim() : null,
+          percent,
+          amount,
+          feeItemId,
+        },
+      });
+
+      await feesAudit(req, {
+        action: "FEES_DISCOUNT_POLICY_CREATED",
+        targetType: "FEE_DISCOUNT_POLICY",
+        targetId: policy.id,
+        metadata: { name, percent, amount, feeItemId },
+      });
+
+      return res.status(201).json(policy);
+    } catch (err) {
+      if (err?.code === "P2002") {
+        return res.status(409).json({ message: "A discount policy with this name already exists." });
+      }
+      console.error("CREATE DISCOUNT POLICY ERROR:", err);
+      return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
+    }
+  }
+);
+
+router.patch(
+  "/discount-policies/:id",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const existing = await prisma.feeDiscountPolicy.findFirst({
+        where: { id: String(id), schoolId: req.schoolId },
+      });
+      if (!existing) return res.status(404).json({ message: "Discount policy not found." });
+
+      const body = req.body || {};
+      const data = {};
+
+      if (body.name !== undefined) {
+        const name = String(body.name || "").trim();
+        if (name.length < 2) return res.status(400).json({ message: "name is required (min 2 chars)" });
+        data.name = name;
+      }
+      if (body.description !== undefined) {
+        data.description = body.description ? String(body.description).trim() : null;
+      }
+      if (body.percent !== undefined || body.amount !== undefined) {
+        Object.assign(data, parsePolicyValue(body));
+      }
+      if (body.feeItemId !== undefined) {
+        data.feeItemId = await assertFeeItem(req.schoolId, body.feeItemId);
+      }
+      if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+
+      // existing invoice adjustments keep their amounts; changes apply to new invoices
+      const updated = await prisma.feeDiscountPolicy.update({
+        where: { id: existing.id },
+        data,
+      });
+
+      await feesAudit(req, {
+        action: "FEES_DISCOUNT_POLICY_UPDATED",
+        targetType: "FEE_DISCOUNT_POLICY",
+        targetId: id,
+        metadata: { before: existing, after: updated },
+      });
+
+      return res.json(updated);
+    } catch (err) {
+      if (err?.code === "P2002") {
+        return res.status(409).json({ message: "A discount policy with this name already exists." });
+      }
+      console.error("UPDATE DISCOUNT POLICY ERROR:", err);
+      return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
+    }
+  }
+);
+
+router.delete(
+  "/discount-policies/:id",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    const updated = await prisma.feeDiscountPolicy.updateMany({
+      where: { id: String(id), schoolId: req.schoolId },
+      data: { isActive: false },
+    });
+    if (updated.count === 0) return res.status(404).json({ message: "Discount policy not found." });
+
+    await feesAudit(req, {
+      action: "FEES_DISCOUNT_POLICY_DEACTIVATED",
+      targetType: "FEE_DISCOUNT_POLICY",
+      targetId: id,
+    });
+
+    return res.json({ message: "Discount policy deactivated." });
+  }
+);
+
+router.get("/students/:studentId/discount-policies", requireRole("ADMIN", "BURSAR"), async (req, res) => {
+  const rows = await prisma.studentFeeDiscount.findMany({
+    where: { schoolId: req.schoolId, studentId: String(req.params.studentId) },
+    include: {
+      policy: { include: { feeItem: { select: { id: true, name: true, code: true } } } },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+  return res.json(rows);
+});
+
+router.post(
+  "/students/:studentId/discount-policies",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    const { studentId } = req.params;
+    const policyId = String(req.body?.policyId || "").trim();
+    if (!policyId) return res.status(400).json({ message: "policyId is required." });
+
+    const [student, policy] = await Promise.all([
+      prisma.student.findFirst({
+        where: { id: String(studentId), schoolId: req.schoolId },
+        select: { id: true },
+      }),
+      prisma.feeDiscountPolicy.findFirst({
+        where: { id: policyId, schoolId: req.schoolId },
+        select: { id: true, name: true, isActive: true },
+      }),
+    ]);
+    if (!student) return res.status(404).json({ message: "Student not found." });
+    if (!policy) return res.status(404).json({ message: "Discount policy not found." });
+    if (!policy.isActive) return res.status(400).json({ message: "Discount policy is inactive." });
+
+    try {
+      const row = await prisma.studentFeeDiscount.create({
+        data: {
+          schoolId: req.schoolId,
+          studentId: student.id,
+          policyId: policy.id,
+          note: req.body?.note ? String(req.body.note).trim() : null,
+          createdBy: req.user?.id || null,
+        },
+        include: { policy: true },
+      });
+
+      await feesAudit(req, {
+        action: "FEES_DISCOUNT_ATTACHED",
+        targetType: "STUDENT",
+        targetId: student.id,
+        metadata: { policyId: policy.id, policyName: policy.name },
+      });
+
+      return res.status(201).json(row);
+    } catch (err) {
+      if (err?.code === "P2002") {
+        return res.status(409).json({ message: "Policy is already attached to this student." });
+      }
+      console.error("ATTACH DISCOUNT ERROR:", err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+router.delete(
+  "/students/:studentId/discount-policies/:policyId",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    const { studentId, policyId } = req.params;
+
+    const removed = await prisma.studentFeeDiscount.deleteMany({
+      where: { schoolId: req.schoolId, studentId: String(studentId), policyId: String(policyId) },
+    });
+    if (removed.count === 0) return res.status(404).json({ message: "Policy is not attached to this student." });
+
+    await feesAudit(req, {
+      action: "FEES_DISCOUNT_DETACHED",
+      targetType: "STUDENT",
+      targetId: studentId,
+      metadata: { policyId },
+    });
+
+    return res.json({ message: "Discount policy detached." });
+  }
+);
+
+/* --------------------
+ * Invoices
+ * --------------------
+ * READ: ADMIN, BURSAR
+ * WRITE (generate/generate-batch/void/adjustments): ADMIN only
+ *   (a BURSAR may ask for a void; it waits for an admin's approval)
+ */
+
+router.get("/invoices", requireRole("ADMIN", "BURSAR"), async (req, res) => {
+  const studentId = req.query?.studentId ? String(req.query.studentId) : null;
+  const classId = req.query?.classId ? String(req.query.classId) : null;
+  const year = toInt(req.query?.year, null);
+  const term = req.query?.term ? String(req.query.term) : null;
+  const status = req.query?.status ? String(req.query.status) : null;
+
+  const invoices = await prisma.feeInvoice.findMany({
+    where: {
+      schoolId: req.schoolId,
+      studentId: studentId || undefined,
+      classId: classId || undefined,
+      year: year ?? undefined,
+      term: term || undefined,
+      status: status || undefined,
+    },
+    include: {
+      lines: true,
+      adjustments: {
+        orderBy: { createdAt: "asc" },
+        include: { feeItem: { select: { id: true, name: true, code: true } } },
+      },
+      payments: {
+        orderBy: { receivedAt: "desc" },
+        select: {
+          id: true,
+          amount: true,
+          method: true,
+          reference: true,
+          receiptNo: true,
+          receivedAt: true,
+          isReversed: true,
+          reversedAt: true,
+          reversalReason: true,
+          createdAt: true,
+        },
+      },
+      installments: { orderBy: { seq: "asc" } },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+
+  const now = new Date();
+  return res.json(invoices.map((inv) => ({ ...inv, due: invoiceDueStatus(inv, now) })));
+});
+
+router.get("/invoices/:id", requireRole("ADMIN", "BURSAR"), async (req, res) => {
+  const { id } = req.params;
+
+  const invoice = await prisma.feeInvoice.findFirst({
+    where: { id: String(id), schoolId: req.schoolId },
+    include: {
+      lines: { include: { feeItem: { select: { id: true, name: true, code: true } } } },
+      adjustments: {
+        orderBy: { createdAt: "asc" },
+        include: { feeItem: { select: { id: true, name: true, code: true } } },
+      },
+      payments: {
+        orderBy: { receivedAt: "desc" },
+        select: {
+          id: true,
+          amount: true,
+          method: true,
+          reference: true,
+          receiptNo: true,
+          receivedAt: true,
+          isReversed: true,
+          reversedAt: true,
+          reversalReason: true,
+          createdAt: true,
+        },
+      },
+      carriedTo: { select: { id: true, invoiceNo: true, year: true, term: true } },
+      carriedFrom: {
+        orderBy: [{ year: "asc" }, { term: "asc" }],
+        select: { id: true, invoiceNo: true, year: true, term: true, carriedForward: true },
+      },
+      installments: { orderBy: { seq: "asc" } },
+    },
+  });
+
+  if (!invoice) return res.status(404).json({ message: "Invoice not found." });
+
+  const asOf = req.query?.asOf ? toDay(req.query.asOf) : new Date();
+  if (!asOf) return res.status(400).json({ message: "Invalid asOf date. Use YYYY-MM-DD." });
+
+  const { heads } = await loadVoteHeads(prisma, { schoolId: req.schoolId, invoiceId: invoice.id });
+
+  return res.json({
+    ...invoice,
+    outstanding: outstandingSplit(invoice),
+    due: invoiceDueStatus(invoice, asOf),
+    voteHeads: heads,
+  });
+});
+
+router.post(
+  "/invoices/generate",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    const { studentId, classId, year, term, feePlanId } = req.body || {};
+    const y = toInt(year, null);
+    const carryForward = req.body?.carryForward === true || String(req.body?.carryForward) === "true";
+
+    if (!studentId || !classId || !y || !term || !feePlanId) {
+      return res.status(400).json({
+        message: "studentId, classId, year, term, feePlanId are required.",
+      });
+    }
+
+    const [studentRow, classRow] = await Promise.all([
+      prisma.student.findFirst({
+        where: { id: String(studentId), schoolId: req.schoolId },
+        select: { id: true },
+      }),
+      prisma.class.findFirst({
+        where: { id: String(classId), schoolId: req.schoolId },
+        select: { id: true },
+      }),
+    ]);
+
+    if (!studentRow) return res.status(400).json({ message: "Invalid studentId" });
+    if (!classRow) return res.status(400).json({ message: "Invalid classId" });
+
+    const plan = await prisma.feePlan.findFirst({
+      where: { id: String(feePlanId), schoolId: req.schoolId },
+      include: { items: true, installments: true },
+    });
+    if (!plan) return res.status(404).json({ message: "Fee plan not found." });
+
+    const policies = (await loadStudentPolicies(prisma, req.schoolId, [studentId])).get(String(studentId)) || [];
+
+    try {
+      const invoice = await prisma.$transaction(async (tx) => {
+        let created = await tx.feeInvoice.create({
+          data: invoiceDataFromPlan({
+            schoolId: req.schoolId,
+            studentId,
+            classId,
+            year: y,
+            term,
+            plan,
+            policies,
+            userId: req.user?.id || null,
+            invoiceNo: await nextDocNo(tx, { schoolId: req.schoolId, kind: "INVOICE" }),
+          }),
+        });
+
+        if (carryForward) {
+          const priors = await findCarryableInvoices(tx, {
+            schoolId: req.schoolId,
+            studentIds: [studentId],
+            year: y,
+            term,
+          });
+          created = await carryBalancesForward(tx, {
+            schoolId: req.schoolId,
+            invoice: created,
+            priors: priors.get(String(studentId)) || [],
+            userId: req.user?.id,
+          });
+        }
+
+        // carried-forward credit settles the new invoice straight away
+        await applyStudentCredit(tx, { schoolId: req.schoolId, invoice: created, userId: req.user?.id });
+
+        return tx.feeInvoice.findUnique({
+          where: { id: created.id },
+          include: {
+            lines: true,
+            payments: {
+              orderBy: { receivedAt: "desc" },
+              select: {
+                id: true,
+                amount: true,
+                method: true,
+                reference: true,
+                receiptNo: true,
+                receivedAt: true,
+                isReversed: true,
+                reversedAt: true,
+                reversalReason: true,
+                createdAt: true,
+              },
+            },
+          },
+        });
+      });
+
+      await feesAudit(req, {
+        action: "FEES_INVOICE_GENERATED",
+        targetType: "FEE_INVOICE",
+        targetId: invoice.id,
+        metadata: {
+          studentId,
+          classId,
+          year: y,
+          term,
+          total: invoice.total,
+          discountPolicies: policies.map((p) => p.id),
+          creditApplied: invoice.creditApplied,
+          broughtForward: invoice.broughtForward,
+        },
+      });
+
+      return res.status(201).json(invoice);
+    } catch (err) {
+      if (isInvoiceNoClash(err)) {
+        return res.status(409).json({
+          message: "Next invoice number is already used by an older invoice. Renumber existing invoices first.",
+        });
+      }
+      if (err?.code === "P2002") {
+        return res.status(409).json({
+          message: "Invoice already exists for that student/year/term.",
+        });
+      }
+      console.error("GENERATE INVOICE ERROR:", err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/fees/invoices/generate-batch
+ * Body: { feePlanId, dryRun?, carryForward? }
+ * Invoices every active student in the plan's class for the plan's year/term.
+ * - students already invoiced for that year/term are skipped, so re-runs are safe
+ * - carryForward rolls unpaid earlier invoices onto each new invoice as "Balance b/f"
+ * - dryRun returns the same per-student report without writing anything
+ */
+router.post(
+  "/invoices/generate-batch",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    try {
+      const feePlanId = String(req.body?.feePlanId || "").trim();
+      const dryRun = req.body?.dryRun === true || String(req.body?.dryRun) === "true";
+      const carryForward = req.body?.carryForward === true || String(req.body?.carryForward) === "true";
+
+      if (!feePlanId) return res.status(400).json({ message: "feePlanId is required." });
+
+      const plan = await prisma.feePlan.findFirst({
+        where: { id: feePlanId, schoolId: req.schoolId },
+        include: { items: true, installments: true },
+      });
+      if (!plan) return res.status(404).json({ message: "Fee plan not found." });
+      if (!plan.isActive) return res.status(400).json({ message: "Fee plan is inactive." });
+
+      const total = planTotal(plan);
+      if (!plan.items?.length || total <= 0) {
+        return res.status(400).json({ message: "Fee plan has no billable items." });
+      }
+
+      const classRow = await prisma.class.findFirst({
+        where: { id: plan.classId, schoolId: req.schoolId },
+        select: { id: true, name: true, stream: true, year: true },
+      });
+      if (!classRow) return res.status(400).json({ message: "Fee plan class no longer exists." });
+
+      const students = await prisma.student.findMany({
+        where: { schoolId: req.schoolId, classId: plan.classId, isActive: true },
+        orderBy: [{ admissionNo: "asc" }],
+        select: { id: true, admissionNo: true, firstName: true, lastName: true },
+      });
+
+      const existing = students.length
+        ? await prisma.feeInvoice.findMany({
+            where: {
+              schoolId: req.schoolId,
+              year: plan.year,
+              term: plan.term,
+              studentId: { in: students.map((s) => s.id) },
+            },
+            select: { id: true, studentId: true, invoiceNo: true, status: true },
+          })
+        : [];
+      const existingByStudent = new Map(existing.map((inv) => [inv.studentId, inv]));
+      const policiesByStudent = students.length
+        ? await loadStudentPolicies(prisma, req.schoolId, students.map((s) => s.id))
+        : new Map();
+
+      // preview only: what carried-forward credit would settle
+      const creditByStudent = new Map();
+      if (dryRun && students.length) {
+        const credits = await prisma.feeCreditEntry.groupBy({
+          by: ["studentId"],
+          where: { schoolId: req.schoolId, studentId: { in: students.map((s) => s.id) } },
+          _sum: { amount: true },
+        });
+        for (const c of credits) creditByStudent.set(c.studentId, Math.max(Number(c._sum.amount || 0), 0));
+      }
+
+      // preview only: arrears that would be brought forward
+      const arrearsByStudent = new Map();
+      if (dryRun && carryForward && students.length) {
+        const carryable = await findCarryableInvoices(prisma, {
+          schoolId: req.schoolId,
+          studentIds: students.map((s) => s.id),
+          year: plan.year,
+          term: plan.term,
+        });
+        for (const [studentId, invs] of carryable) {
+          arrearsByStudent.set(studentId, invs.reduce((sum, inv) => sum + Number(inv.balance || 0), 0));
+        }
+      }
+
+      const results = [];
+
+      for (const s of students) {
+        const policies = policiesByStudent.get(s.id) || [];
+        const billed = invoiceDataFromPlan({
+          schoolId: req.schoolId,
+          studentId: s.id,
+          classId: plan.classId,
+          year: plan.year,
+          term: plan.term,
+          plan,
+          policies,
+        }).total;
+
+        const row = {
+          studentId: s.id,
+          admissionNo: s.admissionNo,
+          name: `${s.firstName} ${s.lastName}`.trim(),
+          total: billed,
+          discount: total - billed,
+          status: null,
+          invoiceId: null,
+          invoiceNo: null,
+          broughtForward: 0,
+          creditApplied: 0,
+          reason: null,
+        };
+
+        const prior = existingByStudent.get(s.id);
+        if (prior) {
+          results.push({
+            ...row,
+            total: 0,
+            discount: 0,
+            status: "SKIPPED",
+            invoiceId: prior.id,
+            invoiceNo: prior.invoiceNo,
+            reason: `Already invoiced (${prior.status})`,
+          });
+          continue;
+        }
+
+        if (dryRun) {
+          const broughtForward = arrearsByStudent.get(s.id) || 0;
+          results.push({
+            ...row,
+            status: "WILL_CREATE",
+            broughtForward,
+            creditApplied: Math.min(creditByStudent.get(s.id) || 0, billed + broughtForward),
+          });
+          continue;
+        }
+
+        // Each create is atomic (invoice + number + lines + discounts); a failure gives the number back.
+        let outcome;
+        try {
+          const invoice = await prisma.$transaction(async (tx) => {
+            let created = await tx.feeInvoice.create({
+              data: invoiceDataFromPlan({
+                schoolId: req.schoolId,
+                studentId: s.id,
+                classId: plan.classId,
+                year: plan.year,
+                term: plan.term,
+                plan,
+                policies,
+                userId: req.user?.id || null,
+                invoiceNo: await nextDocNo(tx, { schoolId: req.schoolId, kind: "INVOICE" }),
+              }),
+            });
+            if (carryForward) {
+              const priors = await findCarryableInvoices(tx, {
+                schoolId: req.schoolId,
+                studentIds: [s.id],
+                year: plan.year,
+                term: plan.term,
+              });
+              created = await carryBalancesForward(tx, {
+                schoolId: req.schoolId,
+                invoice: created,
+                priors: priors.get(s.id) || [],
+                userId: req.user?.id,
+              });
+            }
+            return applyStudentCredit(tx, { schoolId: req.schoolId, invoice: created, userId: req.user?.id });
+          });
+          outcome = {
+            ...row,
+            status: "CREATED",
+            invoiceId: invoice.id,
+            invoiceNo: invoice.invoiceNo,
+            broughtForward: Number(invoice.broughtForward || 0),
+            creditApplied: Number(invoice.creditApplied || 0),
+          };
+        } catch (err) {
+          if (isInvoiceNoClash(err)) {
+            outcome = { ...row, total: 0, discount: 0, status: "FAILED", reason: "Invoice number used by an older invoice" };
+          } else if (err?.code === "P2002") {
+            // created concurrently since we looked
+            outcome = { ...row, total: 0, discount: 0, status: "SKIPPED", reason: "Already invoiced" };
+          } else {
+            console.error("BATCH INVOICE ERROR:", s.id, err);
+            outcome = { ...row, total: 0, discount: 0, status: "FAILED", reason: "Server error" };
+          }
+        }
+
+        if (outcome.status === "CREATED") {
+          await feesAudit(req, {
+            action: "FEES_INVOICE_GENERATED",
+            targetType: "FEE_INVOICE",
+            targetId: outcome.invoiceId,
+            metadata: {
+              studentId: s.id,
+              classId: plan.classId,
+              year: plan.year,
+              term: plan.term,
+              total: outcome.total,
+              discountPolicies: policies.map((p) => p.id),
+              creditApplied: outcome.creditApplied,
+              broughtForward: outcome.broughtForward,
+              feePlanId: plan.id,
+              batch: true,
+            },
+          });
+        }
+
+        results.push(outcome);
+      }
+
+      const count = (status) => results.filter((r) => r.status === status).length;
+      const summary = {
+        students: students.length,
+        toCreate: dryRun ? count("WILL_CREATE") : 0,
+        created: count("CREATED"),
+        skipped: count("SKIPPED"),
+        failed: count("FAILED"),
+        totalAmount: results.reduce((sum, r) => sum + (r.total || 0), 0),
+        discountAmount: results.reduce((sum, r) => sum + (r.discount || 0), 0),
+        broughtForward: results.reduce((sum, r) => sum + (r.broughtForward || 0), 0),
+        creditApplied: results.reduce((sum, r) => sum + (r.creditApplied || 0), 0),
+      };
+
+      if (!dryRun) {
+        await feesAudit(req, {
+          action: "FEES_INVOICE_BATCH_GENERATED",
+          targetType: "FEE_PLAN",
+          targetId: plan.id,
+          metadata: {
+            classId: plan.classId,
+            year: plan.year,
+            term: plan.term,
+            perStudent: total,
+            carryForward,
+            ...summary,
+          },
+        });
+      }
+
+      return res.status(dryRun ? 200 : 201).json({
+        dryRun,
+        carryForward,
+        plan: {
+          id: plan.id,
+          title: plan.title,
+          classId: plan.classId,
+          year: plan.year,
+          term: plan.term,
+          perStudent: total,
+        },
+        class: classRow,
+        summary,
+        results,
+      });
+    } catch (err) {
+      console.error("BATCH GENERATE INVOICES ERROR:", err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Throws when the invoice cannot be voided as it stands (checked again inside the void).
+function assertVoidable(invoice) {
+  let message = null;
+  let status = 400;
+
+  if (!invoice) {
+    message = "Invoice not found.";
+    status = 404;
+  } else if (invoice.status === "VOID") {
+    message = "Invoice is already void.";
+  } else if (invoice.status === "CARRIED_FORWARD") {
+    message = "Invoice balance was carried forward. Void the invoice it was carried to first.";
+  } else if ((invoice.payments || []).some((p) => !p.isReversed)) {
+    message = "Cannot void invoice with active payments. Reverse payments first.";
+  }
+
+  if (message) {
+    const e = new Error(message);
+    e.status = status;
+    throw e;
+  }
+}
+
+/**
+ * Voids an invoice inside the caller's transaction: arrears go back to their source invoices and
+ * applied credit back to the student. Shared by the void endpoint and approved void requests.
+ */
+async function voidInvoiceTx(tx, { schoolId, invoiceId, reason, userId }) {
+  const invoice = await tx.feeInvoice.findFirst({
+    where: { id: String(invoiceId), schoolId },
+    include: { payments: true },
+  });
+  assertVoidable(invoice);
+
+  // arrears brought onto this invoice go back to the invoices they came from
+  const sources = await tx.feeInvoice.findMany({
+    where: { schoolId, carriedToInvoiceId: invoice.id },
+  });
+  for (const src of sources) {
+    const { balance, status } = computeInvoiceStatus(
+      src.total,
+      Number(src.paid || 0) + Number(src.creditApplied || 0)
+    );
+    await tx.feeInvoice.update({
+      where: { id: src.id },
+      data: { carriedForward: 0, carriedToInvoiceId: null, balance, status },
+    });
+  }
+
+  // credit used on this invoice goes back to the student
+  if (Number(invoice.creditApplied || 0) > 0) {
+    await tx.feeCreditEntry.create({
+      data: {
+        schoolId,
+        studentId: invoice.studentId,
+        type: "UNAPPLIED",
+        amount: Number(invoice.creditApplied),
+        invoiceId: invoice.id,
+        note: "Invoice voided",
+        createdBy: userId || null,
+      },
+    });
+  }
+
+  return tx.feeInvoice.update({
+    where: { id: invoice.id },
+    data: {
+      status: "VOID",
+      voidedAt: new Date(),
+      voidedBy: userId || null,
+      voidReason: reason,
+      balance: 0,
+      creditApplied: 0,
+    },
+  });
+}
+
+router.post(
+  "/invoices/:id/void",
+  requireRole("ADMIN", "BURSAR"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const reason = String(req.body?.reason || "").trim();
+
+      if (!reason) return res.status(400).json({ message: "Void reason is required." });
+
+      const invoice = await prisma.feeInvoice.findFirst({
+        where: { id: String(id), schoolId: req.schoolId },
+        include: { payments: { select: { isReversed: true } } },
+      });
+      assertVoidable(invoice);
+
+      if (await needsApproval(prisma, req, { action: "VOID_INVOICE", amount: invoice.total })) {
+        const approval = await requestApproval(req, {
+          action: "VOID_INVOICE",
+          invoiceId: invoice.id,
+          amount: invoice.total,
+          reason,
+        });
+        return res.status(202).json({ message: "Void sent to an admin for approval.", approval });
+      }
+
+      const result = await prisma.$transaction(async (tx) => {
+        await assertNoPendingApproval(tx, req.schoolId, { invoiceId: invoice.id });
+        return voidInvoiceTx(tx, { schoolId: req.schoolId, invoiceId: invoice.id, reason, userId: req.user?.id });
+      });
+
+      await feesAudit(req, {
+        action: "FEES_INVOICE_VOIDED",
+        targetType: "FEE_INVOICE",
+        targetId: id,
+        metadata: { reason, broughtForward: result.broughtForward },
+      });
+
+      return res.json({ message: "Invoice voided successfully.", invoice: result });
+    } catch (err) {
+      console.error("VOID INVOICE ERROR:", err);
+      return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
+    }
+  }
+);
+
+/* --------------------
+ * Invoice adjustments
+ * --------------------
+ * DISCOUNT / BURSARY (percent or fixed, invoice or one line), WAIVER (one line),
+ * CHARGE (extra amount). Each entry recomputes total/balance/status.
+ * Adjustments are never edited or deleted — reverse and re-enter instead.
+ */
+
+router.get("/invoices/:id/adjustments", requireRole("ADMIN", "BURSAR"), async (req, res) => {
+  const invoice = await prisma.feeInvoice.findFirst({
+    where: { id: String(req.params.id), schoolId: req.schoolId },
+    select: { id: true },
+  });
+  if (!invoice) return res.status(404).json({ message: "Invoice not found." });
+
+  const adjustments = await prisma.feeInvoiceAdjustment.findMany({
+    where: { schoolId: req.schoolId, invoiceId: invoice.id },
+    include: {
+      feeItem: { select: { id: true, name: true, code: true } },
+      discountPolicy: { select: { id: true, name: true } },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  return res.json(adjustments);
+});
+
+router.post(
+  "/invoices/:id/adjustments",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const body = req.body || {};
+
+      let type = String(body.type || "").trim().toUpperCase();
+      let reason = String(body.reason || "").trim();
+      let feeItemId = body.feeItemId ? String(body.feeItemId) : null;
+      let percent = toNumber(body.percent, null);
+      let amount = toInt(body.amount, null);
+      const sponsor = body.sponsor ? String(body.sponsor).trim() : null;
+      let discountPolicyId = null;
+
+      if (body.discountPolicyId) {
+        const policy = await prisma.feeDiscountPolicy.findFirst({
+          where: { id: String(body.discountPolicyId), schoolId: req.schoolId, isActive: true },
+        });
+        if (!policy) return res.status(404).json({ message: "Discount policy not found." });
+
+        type = "DISCOUNT";
+        discountPolicyId = policy.id;
+        feeItemId = policy.feeItemId;
+        percent = policy.percent;
+        amount = policy.amount;
+        reason = reason || `Discount policy: ${policy.name}`;
+      }
+
+      if (!ADJUSTMENT_TYPES.includes(type)) {
+        return res.status(400).json({ message: `Invalid type. Allowed: ${ADJUSTMENT_TYPES.join(", ")}` });
+      }
+      if (!reason) return res.status(400).json({ message: "Adjustment reason is required." });
+      if (type === "BURSARY" && !sponsor) {
+        return res.status(400).json({ message: "sponsor is required for a bursary." });
+      }
+      if (type === "WAIVER" && !feeItemId) {
+        return res.status(400).json({ message: "feeItemId is required to waive a line." });
+      }
+
+      if (type === "DISCOUNT" || type === "BURSARY") {
+        ({ percent, amount } = parsePolicyValue({ percent, amount }));
+      }
+      if (type === "CHARGE") {
+        if (!amount || amount <= 0) return res.status(400).json({ message: "amount must be > 0." });
+        percent = null;
+        feeItemId = await assertFeeItem(req.schoolId, feeItemId);
+      }
+      if (type === "WAIVER") {
+        percent = null;
+        amount = null;
+      }
+
+      const result = await prisma.$transaction(async (tx) => {
+        const invoice = await tx.feeInvoice.findFirst({
+          where: { id: String(id), schoolId: req.schoolId },
+          include: { lines: true, adjustments: true },
+        });
+        if (!invoice) {
+          const e = new Error("Invoice not found.");
+          e.status = 404;
+          throw e;
+        }
+        if (invoice.status === "VOID") {
+          const e = new Error("Cannot adjust a VOID invoice.");
+          e.status = 400;
+          throw e;
+        }
+        if (invoice.status === "CARRIED_FORWARD") {
+          const e = new Error("Invoice balance was carried forward. Adjust the invoice it was carried to.");
+          e.status = 400;
+          throw e;
+        }
+        if (type !== "CHARGE" && feeItemId && !invoice.lines.some((l) => l.feeItemId === feeItemId)) {
+          const e = new Error("That fee item is not on this invoice.");
+          e.status = 400;
+          throw e;
+        }
+
+        const signed = resolveAdjustmentAmount(
+          { type, percent, amount, feeItemId },
+          invoice.lines,
+          invoice.adjustments
+        );
+        if (!signed) {
+          const e = new Error("Nothing left to reduce on that target.");
+          e.status = 400;
+          throw e;
+        }
+
+        const adjustment = await tx.feeInvoiceAdjustment.create({
+          data: {
+            schoolId: req.schoolId,
+            invoiceId: invoice.id,
+            type,
+            feeItemId,
+            percent,
+            amount: signed,
+            reason,
+            sponsor: type === "BURSARY" ? sponsor : null,
+            discountPolicyId,
+            createdBy: req.user?.id || null,
+          },
+        });
+
+        const updated = await recomputeInvoiceTotals(tx, {
+          schoolId: req.schoolId,
+          invoiceId: invoice.id,
+          userId: req.user?.id,
+        });
+
+        return { adjustment, invoice: updated, before: invoice };
+      });
+
+      await feesAudit(req, {
+        action: "FEES_INVOICE_ADJUSTED",
+        targetType: "FEE_INVOICE",
+        targetId: result.invoice.id,
+        metadata: {
+          adjustmentId: result.adjustment.id,
+          type,
+          amount: result.adjustment.amount,
+          percent,
+          feeItemId,
+          sponsor: result.adjustment.sponsor,
+          discountPolicyId,
+          reason,
+          before: { total: result.before.total, balance: result.before.balance, status: result.before.status },
+          after: { total: result.invoice.total, balance: result.invoice.balance, status: result.invoice.status },
+        },
+      });
+
+      return res.status(201).json({ adjustment: result.adjustment, invoice: result.invoice });
+    } catch (err) {
+      console.error("ADJUST INVOICE ERROR:", err);
+      return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
+    }
+  }
+);
+
+router.post(
+  "/invoices/:id/adjustments/:adjustmentId/reverse",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    try {
+      const { id, adjustmentId } = req.params;
+      const reason = String(req.body?.reason || "").trim();
+
+      if (!reason) return res.status(400).json({ message: "Reversal reason is required." });
+
+      const result = await prisma.$transaction(async (tx) => {
+        const adjustment = await tx.feeInvoiceAdjustment.findFirst({
+          where: { id: String(adjustmentId), invoiceId: String(id), schoolId: req.schoolId },
+          include: { invoice: true },
+        });
+        if (!adjustment) {
+          const e = new Error("Adjustment not found.");
+          e.status = 404;
+          throw e;
+        }
+        if (adjustment.isReversed) {
+          const e = new Error("Adjustment already reversed.");
+          e.status = 400;
+          throw e;
+        }
+        if (adjustment.invoice.status === "VOID") {
+          const e = new Error("Cannot adjust a VOID invoice.");
+          e.status = 400;
+          throw e;
+        }
+        if (adjustment.invoice.status === "CARRIED_FORWARD") {
+          const e = new Error("Invoice balance was carried forward. Adjust the invoice it was carried to.");
+          e.status = 400;
+          throw e;
+        }
+
+        const reversed = await tx.feeInvoiceAdjustment.update({
+          where: { id: adjustment.id },
+          data: {
+            isReversed: true,
+            reversedAt: new Date(),
+            reversedBy: req.user?.id || null,
+            reversalReason: reason,
+          },
+        });
+
+        const updated = await recomputeInvoiceTotals(tx, {
+          schoolId: req.schoolId,
+          invoiceId: adjustment.invoiceId,
+          userId: req.user?.id,
+        });
+
+        return { adjustment: reversed, invoice: updated, before: adjustment.invoice };
+      });
+
+      await feesAudit(req, {
+        action: "FEES_INVOICE_ADJUSTMENT_REVERSED",
+        targetType: "FEE_INVOICE",
+        targetId: result.invoice.id,
+        metadata: {
+          adjustmentId,
+          type: result.adjustment.type,
+          amount: result.adjustment.amount,
+          reason,
+          before: { total: result.before.total, balance: result.before.balance, status: result.before.status },
+          after: { total: result.invoice.total, balance: result.invoice.balance, status: result.invoice.status },
+        },
+      });
+
+      return res.json({ message: "Adjustment reversed.", adjustment: result.adjustment, invoice: result.invoice });
+    } catch (err) {
+      console.error("REVERSE ADJUSTMENT ERROR:", err);
+      return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
+    }
+  }
+);
+
+/* --------------------
+ * Student summary / statement
+ * --------------------
+ * - ADMIN and BURSAR can view any student in the tenant
+ * - STUDENT can only view self (enforced)
+ * - GUARDIAN can only view their linked children (enforced)
+ */
+
+router.get(
+  "/students/:studentId/summary",
+  requireRole("ADMIN", "BURSAR", "STUDENT", "GUARDIAN"),
+  requireStudentScope(),
+  async (req, res) => {
+    const { studentId } = req.params;
+    const year = toInt(req.query?.year, null);
+    const term = req.query?.term ? String(req.query.term) : null;
+
+    if (req.role === "STUDENT") {
+      const me = await prisma.student.findFirst({
+        where: { userId: req.user.id, schoolId: req.schoolId },
+        select: { id: true },
+      });
+      if (!me || me.id !== String(studentId)) {
+        return res.status(403).json({ message: "Students can only view their own fee summary." });
+      }
+    }
+
+    const student = await prisma.student.findFirst({
+      where: { id: String(studentId), schoolId: req.schoolId },
+      select: { id: true },
+    });
+    if (!student) return res.status(404).json({ message: "Student not found." });
+
+    const invoices = await prisma.feeInvoice.findMany({
+      where: {
+        schoolId: req.schoolId,
+        studentId: String(studentId),
+        year: year ?? undefined,
+        term: term || undefined,
+        status: { not: "VOID" },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    const summary = invoices.reduce(
+      (acc, inv) => {
+        // b/f arrears were billed on the earlier invoice already
+        acc.total += Number(inv.total || 0) - Number(inv.broughtForward || 0);
+        acc.paid += Number(inv.paid || 0);
+        acc.balance += Number(inv.balance || 0);
+        acc.count += 1;
+        return acc;
+      },
+      { total: 0, paid: 0, balance: 0, count: 0 }
+    );
+
+    const creditBalance = await getCreditBalance(prisma, req.schoolId, studentId);
+
+    await feesAudit(req, {
+      action: "FEES_SUMMARY_VIEWED",
+      targetType: "STUDENT",
+      targetId: studentId,
+      metadata: { year: year ?? null, term: term || null },
+    });
+
+    return res.json({
+      studentId: String(studentId),
+      year: year ?? null,
+      term: term || null,
+      ...summary,
+      creditBalance,
+      latestInvoice: invoices[0] || null,
+    });
+  }
+);
+
+router.get(
+  "/students/:studentId/statement",
+  requireRole("ADMIN", "BURSAR", "STUDENT", "GUARDIAN"),
+  requireStudentScope(),
+  async (req, res) => {
+    try {
+      const { studentId } = req.params;
+      const year = toInt(req.query?.year, null);
+      const term = req.query?.term ? String(req.query.term) : null;
+
+      if (req.role === "STUDENT") {
+        const me = await prisma.student.findFirst({
+          where: { userId: req.user.id, schoolId: req.schoolId },
+          select: { id: true },
+        });
+
+        if (!me || me.id !== String(studentId)) {
+          return res.status(403).json({ message: "Students can only view their own statement." });
+        }
+      }
+
+      const student = await prisma.student.findFirst({
+        where: { id: String(studentId), schoolId: req.schoolId },
+        select: {
+          id: true,
+          admissionNo: true,
+          firstName: true,
+          lastName: true,
+          classId: true,
+        },
+      });
+
+      if (!student) return res.status(404).json({ message: "Student not found." });
+
+      const invoices = await prisma.feeInvoice.findMany({
+        where: {
+          schoolId: req.schoolId,
+          studentId: String(studentId),
+          year: year ?? undefined,
+          term: term || undefined,
+          status: { not: "VOID" },
         },
         include: {
           lines: true,
+          adjustments: {
+            orderBy: { createdAt: "asc" },
+            include: { feeItem: { select: { id: true, name: true, code: true } } },
+          },
           payments: {
             orderBy: { receivedAt: "desc" },
             select: {
@@ -560,604 +2679,1670 @@ router.post(
               createdAt: true,
             },
           },
+          paymentAllocations: true,
+        },
+        orderBy: { createdAt: "asc" },
+      });
+
+      // per-fee-item position of each invoice, and the student's balance per vote head
+      const itemsById = await feeItemsById(
+        prisma,
+        req.schoolId,
+        invoices.flatMap((inv) => [
+          ...inv.lines.map((l) => l.feeItemId),
+          ...inv.adjustments.filter((a) => a.feeItemId).map((a) => a.feeItemId),
+        ])
+      );
+      const headsByInvoice = new Map(
+        invoices.map((inv) => [inv.id, voteHeads(inv, inv.paymentAllocations, itemsById)])
+      );
+      const voteHeadTotals = new Map();
+      for (const h of [...headsByInvoice.values()].flat()) {
+        const acc = voteHeadTotals.get(h.feeItemId) || {
+          feeItemId: h.feeItemId,
+          name: h.name,
+          code: h.code,
+          isBroughtForward: h.isBroughtForward,
+          billed: 0,
+          paid: 0,
+          credit: 0,
+          balance: 0,
+        };
+        acc.billed += h.billed;
+        acc.paid += h.paid;
+        acc.credit += h.credit;
+        acc.balance += h.balance;
+        voteHeadTotals.set(h.feeItemId, acc);
+      }
+
+      // credit movements touching the listed invoices (all of them when unfiltered)
+      const creditEntries = await prisma.feeCreditEntry.findMany({
+        where: {
+          schoolId: req.schoolId,
+          studentId: String(studentId),
+          ...(year || term ? { invoiceId: { in: invoices.map((inv) => inv.id) } } : {}),
+        },
+        orderBy: { createdAt: "asc" },
+        select: {
+          id: true,
+          type: true,
+          amount: true,
+          note: true,
+          invoiceId: true,
+          paymentId: true,
+          createdAt: true,
+          payment: { select: { receiptNo: true } },
+          invoice: { select: { invoiceNo: true } },
+        },
+      });
+      const creditBalance = await getCreditBalance(prisma, req.schoolId, studentId);
+
+      // refunds carry no invoice; a filtered statement shows the ones paid out between the first
+      // listed invoice and the next period's, earlier ones fold into the opening balance
+      const refunds = await prisma.feeRefund.findMany({
+        where: { schoolId: req.schoolId, studentId: String(studentId), status: "APPROVED" },
+        orderBy: { approvedAt: "asc" },
+      });
+      let periodStart = null;
+      let periodEnd = null;
+      if ((year || term) && invoices.length) {
+        const listed = new Set(invoices.map((inv) => inv.id));
+        periodStart = new Date(invoices[0].createdAt);
+        const later = await prisma.feeInvoice.findMany({
+          where: {
+            schoolId: req.schoolId,
+            studentId: String(studentId),
+            status: { not: "VOID" },
+            createdAt: { gt: periodStart },
+          },
+          select: { id: true, year: true, term: true, createdAt: true },
+          orderBy: { createdAt: "asc" },
+        });
+        const next = later.find(
+          (inv) => !listed.has(inv.id) && (!year || !isEarlierPeriod(inv, year, term || "TERM1"))
+        );
+        periodEnd = next ? new Date(next.createdAt) : null;
+      }
+      const refundsBefore = periodStart ? refunds.filter((r) => new Date(r.approvedAt) < periodStart) : [];
+      const listedRefunds =
+        year || term
+          ? periodStart
+            ? refunds.filter(
+                (r) => new Date(r.approvedAt) >= periodStart && (!periodEnd || new Date(r.approvedAt) < periodEnd)
+              )
+            : []
+          : refunds;
+
+      // what was owed before the filtered period, so running balances carry across terms
+      let openingBalance = 0;
+      if (year) {
+        const earlier = await prisma.feeInvoice.findMany({
+          where: {
+            schoolId: req.schoolId,
+            studentId: String(studentId),
+            year: { lte: year },
+            status: { not: "VOID" },
+          },
+          include: {
+            lines: true,
+            adjustments: { where: { isReversed: false } },
+            payments: { where: { isReversed: false }, select: { amount: true } },
+          },
+        });
+        for (const inv of earlier.filter((x) => isEarlierPeriod(x, year, term || "TERM1"))) {
+          openingBalance +=
+            linesTotal(chargeLines(inv.lines)) +
+            adjustmentsTotal(inv.adjustments) -
+            inv.payments.reduce((sum, p) => sum + Number(p.amount || 0), 0);
+        }
+        openingBalance += refundsBefore.reduce((sum, r) => sum + Number(r.amount || 0), 0);
+      }
+
+      const timeline = [];
+      for (const inv of invoices) {
+        // invoice at the term's own charges (b/f arrears were billed on the earlier invoice);
+        // adjustments follow as their own entries
+        timeline.push({
+          type: "INVOICE",
+          at: inv.createdAt,
+          ref: inv.id,
+          invoiceNo: inv.invoiceNo,
+          year: inv.year,
+          term: inv.term,
+          amount: linesTotal(chargeLines(inv.lines)),
+          total: inv.total,
+          broughtForward: inv.broughtForward,
+          carriedForward: inv.carriedForward,
+          status: inv.status,
+        });
+
+        for (const a of (inv.adjustments || []).filter((x) => !x.isReversed)) {
+          timeline.push({
+            type: "ADJUSTMENT",
+            at: a.createdAt,
+            ref: a.id,
+            invoiceNo: inv.invoiceNo,
+            adjustmentType: a.type,
+            feeItem: a.feeItem?.name || null,
+            reason: a.reason,
+            sponsor: a.sponsor,
+            amount: a.amount,
+          });
+        }
+
+        for (const p of (inv.payments || []).filter((x) => !x.isReversed)) {
+          timeline.push({
+            type: "PAYMENT",
+            at: p.receivedAt,
+            ref: p.id,
+            receiptNo: p.receiptNo,
+            method: p.method,
+            reference: p.reference,
+            amount: p.amount,
+          });
+        }
+      }
+
+      // money handed back to the payer raises what the student owes again
+      for (const r of listedRefunds) {
+        timeline.push({
+          type: "REFUND",
+          at: r.approvedAt,
+          ref: r.id,
+          voucherNo: r.voucherNo,
+          method: r.method,
+          reference: r.reference,
+          reason: r.reason,
+          amount: r.amount,
+        });
+      }
+
+      // informational: payments already carry the cash, these show where the credit went
+      // (REFUND entries are listed above as the refund itself)
+      for (const c of creditEntries.filter((x) => x.type !== "REFUND")) {
+        timeline.push({
+          type: "CREDIT",
+          at: c.createdAt,
+          ref: c.id,
+          entryType: c.type,
+          receiptNo: c.payment?.receiptNo || null,
+          invoiceNo: c.invoice?.invoiceNo || null,
+          note: c.note,
+          amount: c.amount,
+        });
+      }
+
+      timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+      // CREDIT entries only move money between invoices, so they leave the running balance alone
+      let running = openingBalance;
+      for (const t of timeline) {
+        t.movement = t.type === "PAYMENT" ? -Number(t.amount || 0) : t.type === "CREDIT" ? 0 : Number(t.amount || 0);
+        running += t.movement;
+        t.runningBalance = running;
+      }
+
+      const totals = invoices.reduce(
+        (acc, inv) => {
+          acc.totalBilled += Number(inv.total || 0) - Number(inv.broughtForward || 0);
+          acc.totalPaid += Number(inv.paid || 0);
+          acc.totalBalance += Number(inv.balance || 0);
+          acc.invoiceCount += 1;
+          return acc;
         },
+        { totalBilled: 0, totalPaid: 0, totalBalance: 0, invoiceCount: 0 }
+      );
+      totals.totalAdjustments = invoices.reduce((sum, inv) => sum + adjustmentsTotal(inv.adjustments), 0);
+      totals.totalCreditApplied = invoices.reduce((sum, inv) => sum + Number(inv.creditApplied || 0), 0);
+      totals.totalRefunded = listedRefunds.reduce((sum, r) => sum + Number(r.amount || 0), 0);
+      totals.creditBalance = creditBalance;
+      totals.openingBalance = openingBalance;
+      totals.closingBalance = running;
+
+      await feesAudit(req, {
+        action: "FEES_STATEMENT_VIEWED",
+        targetType: "STUDENT",
+        targetId: studentId,
+        metadata: { year: year ?? null, term: term || null },
+      });
+
+      return res.json({
+        student,
+        filters: { year: year ?? null, term: term || null },
+        totals,
+        invoices: invoices.map((inv) => ({
+          ...inv,
+          outstanding: outstandingSplit(inv),
+          voteHeads: headsByInvoice.get(inv.id),
+        })),
+        voteHeads: [...voteHeadTotals.values()],
+        credit: { balance: creditBalance, entries: creditEntries },
+        timeline,
+      });
+    } catch (err) {
+      console.error("STATEMENT ERROR:", err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/* --------------------
+ * Payments
+ * --------------------
+ * - ADMIN and BURSAR can post payments (cashier role)
+ * - Entitlement controls whether the school tier allows it
+ */
+
+/**
+ * Posts one payment against an invoice (atomic, idempotent on clientTxnId).
+ * Shared by the cashier endpoint and automated channels (M-Pesa callbacks, bank reconciliation).
+ * `amount` must already be validated (> 0) and `method` normalized.
+ */
+export async function postFeePayment(args) {
+  return prisma.$transaction((tx) => postFeePaymentTx(tx, args));
+}
+
+// Same as postFeePayment, inside the caller's transaction (e.g. one bank line split over several invoices).
+// `allocations` ([{ feeItemId, amount }]) pins part of the payment to invoice lines; the rest follows item priority.
+// `cashierId` (desk payments) puts the payment on that user's open till, if any.
+export async function postFeePaymentTx(
+  tx,
+  {
+    schoolId,
+    invoiceId,
+    amount,
+    method,
+    reference = null,
+    clientTxnId = null,
+    userId = null,
+    receivedAt = new Date(),
+    allocations = [],
+    cashierId = null,
+  }
+) {
+  const txnId = clientTxnId ? String(clientTxnId) : null;
+
+  // Idempotency
+  if (txnId) {
+    const existing = await tx.feePayment.findFirst({
+      where: { schoolId, clientTxnId: txnId },
+      include: { invoice: true },
+    });
+    if (existing) {
+      const creditBalance = await getCreditBalance(tx, schoolId, existing.invoice.studentId);
+      return {
+        payment: existing,
+        invoice: existing.invoice,
+        credit: { created: existing.creditAmount, balance: creditBalance },
+        idempotent: true,
+      };
+    }
+  }
+
+  const found = await tx.feeInvoice.findFirst({
+    where: { id: String(invoiceId), schoolId },
+  });
+  if (!found) {
+    const e = new Error("Invoice not found.");
+    e.status = 404;
+    throw e;
+  }
+
+  // oldest-first: money for a carried invoice lands where its balance now sits.
+  // Locked and re-read so a concurrent payment's paid/balance is not overwritten; if it
+  // was carried forward meanwhile, follow the chain again.
+  let invoice = await resolveLiveInvoice(tx, { schoolId, invoice: found });
+  while (invoice) {
+    const locked = await lockInvoice(tx, { schoolId, invoiceId: invoice.id });
+    invoice = await resolveLiveInvoice(tx, { schoolId, invoice: locked });
+    if (invoice?.id === locked.id) break;
+  }
+
+  if (invoice.status === "VOID") {
+    const e = new Error("Cannot pay a VOID invoice.");
+    e.status = 400;
+    throw e;
+  }
+
+  // anything above the balance is carried forward as student credit
+  const toInvoice = Math.min(amount, Math.max(Number(invoice.balance || 0), 0));
+  const creditAmount = amount - toInvoice;
+
+  // split across lines against the invoice as it stood before this payment
+  const { heads } = await loadVoteHeads(tx, { schoolId, invoiceId: invoice.id });
+  const split = planAllocations(heads, toInvoice, allocations);
+
+  const session = await lockOpenSessionFor(tx, { schoolId, userId: cashierId });
+
+  const payment = await tx.feePayment.create({
+    data: {
+      schoolId,
+      invoiceId: invoice.id,
+      clientTxnId: txnId,
+      amount,
+      creditAmount,
+      method,
+      reference: reference ? String(reference) : null,
+      receivedBy: userId,
+      sessionId: session?.id || null,
+      receiptNo: await nextDocNo(tx, { schoolId, kind: "RECEIPT" }),
+      // keep both for compatibility
+      receivedAt,
+      receiptIssuedAt: new Date(),
+    },
+  });
+
+  const newPaid = Number(invoice.paid || 0) + toInvoice;
+  const { balance: newBalance, status: newStatus } = computeInvoiceStatus(
+    invoice.total,
+    newPaid + Number(invoice.creditApplied || 0)
+  );
+
+  const updatedInvoice = await tx.feeInvoice.update({
+    where: { id: invoice.id },
+    data: { paid: newPaid, balance: newBalance, status: newStatus },
+  });
+
+  if (split.length) {
+    await tx.feePaymentAllocation.createMany({
+      data: split.map((a) => ({ schoolId, paymentId: payment.id, invoiceId: invoice.id, ...a })),
+    });
+  }
+
+  if (creditAmount > 0) {
+    await tx.feeCreditEntry.create({
+      data: {
+        schoolId,
+        studentId: invoice.studentId,
+        type: "OVERPAYMENT",
+        amount: creditAmount,
+        paymentId: payment.id,
+        invoiceId: invoice.id,
+        note: payment.receiptNo ? `Overpayment on ${payment.receiptNo}` : null,
+        createdBy: userId,
+      },
+    });
+  }
+
+  const creditBalance = await getCreditBalance(tx, schoolId, invoice.studentId);
+
+  return {
+    payment,
+    invoice: updatedInvoice,
+    outstanding: outstandingSplit(updatedInvoice),
+    redirectedFrom: found.id !== invoice.id ? { id: found.id, invoiceNo: found.invoiceNo } : null,
+    credit: { created: creditAmount, balance: creditBalance },
+    allocations: split,
+    idempotent: false,
+  };
+}
+
+router.post(
+  "/payments",
+  requireRole("ADMIN", "BURSAR"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    try {
+      const { invoiceId, amount, method = "CASH", reference, clientTxnId, allocations } = req.body || {};
+
+      if (!invoiceId || amount === undefined || amount === null) {
+        return res.status(400).json({ message: "invoiceId and amount are required." });
+      }
+
+      const amt = toNumber(amount, null);
+      if (!Number.isFinite(amt) || amt <= 0) {
+        return res.status(400).json({ message: "amount must be > 0." });
+      }
+
+      const normalizedMethod = normalizePaymentMethod(method);
+      if (!normalizedMethod) {
+        return res.status(400).json({
+          message: `Invalid payment method. Allowed: ${ALLOWED_PAYMENT_METHODS.join(", ")}`,
+        });
+      }
+
+      const result = await postFeePayment({
+        schoolId: req.schoolId,
+        invoiceId,
+        amount: amt,
+        method: normalizedMethod,
+        reference,
+        clientTxnId,
+        userId: req.user?.id || null,
+        allocations: parseManualAllocations(allocations),
+        // desk payments land on the cashier's open till (if any) for the cash-up
+        cashierId: req.user?.id || null,
       });
 
       await feesAudit(req, {
-        action: "FEES_INVOICE_GENERATED",
-        targetType: "FEE_INVOICE",
-        targetId: invoice.id,
-        metadata: { studentId, classId, year: y, term, total },
+        action: result.idempotent ? "FEES_PAYMENT_IDEMPOTENT" : "FEES_PAYMENT_POSTED",
+        targetType: "FEE_PAYMENT",
+        targetId: result.payment.id,
+        metadata: {
+          amount: result.payment.amount,
+          creditAmount: result.payment.creditAmount,
+          method: result.payment.method,
+          invoiceId: result.payment.invoiceId,
+          requestedInvoiceId: result.redirectedFrom?.id || null,
+          allocations: result.allocations || null,
+          sessionId: result.payment.sessionId || null,
+        },
       });
 
-      return res.status(201).json(invoice);
+      return res.status(201).json(result);
     } catch (err) {
-      if (err?.code === "P2002") {
+      console.error("PAYMENT ERROR:", err);
+
+      if (err?.code === "P2003")
+        return res.status(400).json({ message: "Bad foreign key (invoiceId?)" });
+      if (err?.code === "P2002" && String(err?.meta?.target || "").includes("receiptNo"))
         return res.status(409).json({
-          message: "Invoice already exists for that student/year/term.",
+          message: "Next receipt number is already used by an older receipt. Renumber existing receipts first.",
         });
-      }
-      console.error("GENERATE INVOICE ERROR:", err);
-      return res.status(500).json({ message: "Server error" });
+      if (err?.code === "P2002")
+        return res.status(409).json({ message: "Duplicate payment key. Retry." });
+
+      return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
     }
   }
 );
 
+/**
+ * Reverses a payment inside the caller's transaction: the invoice reopens, its line allocations and any
+ * credit it created are unwound. Shared by the reversal endpoint and approved reversal requests.
+ */
+async function reversePaymentTx(tx, { schoolId, paymentId, reason, userId, role }) {
+  const payment = await tx.feePayment.findFirst({
+    where: { id: String(paymentId), schoolId },
+  });
+  if (!payment) {
+    const e = new Error("Payment not found.");
+    e.status = 404;
+    throw e;
+  }
+
+  // a cashed-up till is locked: only an admin may take money back out of it
+  const session = payment.sessionId
+    ? await tx.cashierSession.findUnique({ where: { id: payment.sessionId }, select: { id: true, status: true } })
+    : null;
+  if (session?.status === "CLOSED" && role !== "ADMIN") {
+    const e = new Error("This receipt is on a closed cashier session. Ask an admin to reverse it.");
+    e.status = 403;
+    throw e;
+  }
+
+  // claim the payment first: of two concurrent reversals only one may reopen the invoice
+  const claimed = await tx.feePayment.updateMany({
+    where: { id: payment.id, schoolId, isReversed: false },
+    data: {
+      isReversed: true,
+      reversedAt: new Date(),
+      reversedBy: userId || null,
+      reversalReason: reason,
+    },
+  });
+  if (claimed.count === 0) {
+    const e = new Error("Payment already reversed.");
+    e.status = 409;
+    throw e;
+  }
+
+  const invoice = await lockInvoice(tx, { schoolId, invoiceId: payment.invoiceId });
+  if (!invoice) {
+    const e = new Error("Invoice not found for payment.");
+    e.status = 404;
+    throw e;
+  }
+
+  // only the part that went to the invoice comes off `paid`; the rest was credit
+  const paidPortion = Number(payment.amount || 0) - Number(payment.creditAmount || 0);
+  const newPaid = Math.max(Number(invoice.paid || 0) - paidPortion, 0);
+  const isCarried = invoice.status === "CARRIED_FORWARD";
+  const { balance: newBalance, status: newStatus } = isCarried
+    ? { balance: 0, status: invoice.status }
+    : computeInvoiceStatus(invoice.total, newPaid + Number(invoice.creditApplied || 0));
+
+  const reversedPayment = await tx.feePayment.findUnique({ where: { id: payment.id } });
+
+  // the lines this payment settled are owed again
+  const unwound = await tx.feePaymentAllocation.deleteMany({ where: { paymentId: payment.id } });
+
+  let updatedInvoice = await tx.feeInvoice.update({
+    where: { id: invoice.id },
+    data: { paid: newPaid, balance: newBalance, status: newStatus },
+  });
+
+  // already carried: the reopened amount is owed on the later invoice instead
+  let carriedTo = null;
+  if (isCarried && paidPortion > 0) {
+    carriedTo = await pushReopenedBalance(tx, {
+      schoolId,
+      invoice: updatedInvoice,
+      amount: paidPortion,
+      userId,
+    });
+    updatedInvoice = await tx.feeInvoice.findUnique({ where: { id: invoice.id } });
+  }
+
+  const reopened = await unwindPaymentCredit(tx, {
+    schoolId,
+    payment,
+    studentId: invoice.studentId,
+    userId,
+    reason,
+  });
+
+  // the payment's own invoice may have given credit back too
+  updatedInvoice = reopened.find((x) => x.id === updatedInvoice.id) || updatedInvoice;
+
+  return {
+    payment: reversedPayment,
+    invoice: updatedInvoice,
+    carriedTo: carriedTo ? { id: carriedTo.id, invoiceNo: carriedTo.invoiceNo, balance: carriedTo.balance } : null,
+    creditReopenedInvoices: reopened.map((x) => ({ id: x.id, invoiceNo: x.invoiceNo, balance: x.balance })),
+    allocationsUnwound: unwound.count,
+    closedSessionId: session?.status === "CLOSED" ? session.id : null,
+  };
+}
+
+function reversalAuditMetadata(reason, result) {
+  return {
+    reason,
+    creditUnwound: result.payment.creditAmount,
+    reopenedInvoiceIds: result.creditReopenedInvoices.map((x) => x.id),
+    carriedToInvoiceId: result.carriedTo?.id || null,
+    allocationsUnwound: result.allocationsUnwound,
+    closedSessionId: result.closedSessionId,
+  };
+}
+
 router.post(
-  "/invoices/:id/void",
-  requireRole("ADMIN"),
+  "/payments/:id/reverse",
+  requireRole("ADMIN", "BURSAR"),
   requireEntitlement("FEES_WRITE"),
   async (req, res) => {
     try {
       const { id } = req.params;
       const reason = String(req.body?.reason || "").trim();
 
-      if (!reason) return res.status(400).json({ message: "Void reason is required." });
+      if (!reason) return res.status(400).json({ message: "Reversal reason is required." });
+
+      const payment = await prisma.feePayment.findFirst({
+        where: { id: String(id), schoolId: req.schoolId },
+        select: { id: true, amount: true, isReversed: true, session: { select: { status: true } } },
+      });
+      if (!payment) return res.status(404).json({ message: "Payment not found." });
+      if (payment.isReversed) return res.status(400).json({ message: "Payment already reversed." });
+
+      // a bursar's reversal on a cashed-up till always goes to an admin
+      const lockedSession = payment.session?.status === "CLOSED";
+      if (await needsApproval(prisma, req, { action: "REVERSE_PAYMENT", amount: payment.amount, lockedSession })) {
+        const approval = await requestApproval(req, {
+          action: "REVERSE_PAYMENT",
+          paymentId: payment.id,
+          amount: payment.amount,
+          reason,
+        });
+        return res.status(202).json({ message: "Reversal sent to an admin for approval.", approval });
+      }
 
       const result = await prisma.$transaction(async (tx) => {
-        const invoice = await tx.feeInvoice.findFirst({
-          where: { id: String(id), schoolId: req.schoolId },
-          include: { payments: true },
+        await assertNoPendingApproval(tx, req.schoolId, { paymentId: payment.id });
+        return reversePaymentTx(tx, {
+          schoolId: req.schoolId,
+          paymentId: payment.id,
+          reason,
+          userId: req.user?.id,
+          role: req.role,
         });
+      });
 
-        if (!invoice) {
-          const e = new Error("Invoice not found.");
-          e.status = 404;
-          throw e;
-        }
+      await feesAudit(req, {
+        action: "FEES_PAYMENT_REVERSED",
+        targetType: "FEE_PAYMENT",
+        targetId: id,
+        metadata: reversalAuditMetadata(reason, result),
+      });
+
+      return res.json({ message: "Payment reversed successfully.", ...result });
+    } catch (err) {
+      console.error("REVERSE PAYMENT ERROR:", err);
+      return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
+    }
+  }
+);
+
+/**
+ * Receipts:
+ * - BURSAR should be able to view/print receipts they issue
+ * - STUDENT / GUARDIAN can open receipts of their own (children's) payments
+ */
+router.get("/payments/:id/receipt", requireRole("ADMIN", "BURSAR", "STUDENT", "GUARDIAN"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const payment = await prisma.feePayment.findFirst({
+      where: { id: String(id), schoolId: req.schoolId },
+      include: {
+        invoice: true,
+        allocations: { include: { feeItem: { select: { name: true, code: true } } } },
+      },
+    });
+
+    // another family's receipt reads as missing, not forbidden
+    if (!payment || !canAccessStudent(req, payment.invoice.studentId)) {
+      return res.status(404).json({ message: "Payment not found." });
+    }
+
+    const student = await prisma.student.findFirst({
+      where: { id: payment.invoice.studentId, schoolId: req.schoolId },
+      select: { id: true, admissionNo: true, firstName: true, lastName: true, classId: true },
+    });
+
+    const creditBalance = await getCreditBalance(prisma, req.schoolId, payment.invoice.studentId);
+
+    await feesAudit(req, {
+      action: "FEES_RECEIPT_VIEWED",
+      targetType: "FEE_PAYMENT",
+      targetId: id,
+    });
+
+    return res.json({
+      receiptNo: payment.receiptNo,
+      receiptIssuedAt: payment.receiptIssuedAt,
+      isReversed: payment.isReversed,
+      reversedAt: payment.reversedAt,
+      reversalReason: payment.reversalReason,
+      payment: {
+        id: payment.id,
+        amount: payment.amount,
+        creditAmount: payment.creditAmount,
+        method: payment.method,
+        reference: payment.reference,
+        receivedAt: payment.receivedAt,
+        receivedBy: payment.receivedBy,
+      },
+      invoice: {
+        id: payment.invoice.id,
+        year: payment.invoice.year,
+        term: payment.invoice.term,
+        total: payment.invoice.total,
+        paid: payment.invoice.paid,
+        creditApplied: payment.invoice.creditApplied,
+        balance: payment.invoice.balance,
+        status: payment.invoice.status,
+      },
+      credit: { created: payment.creditAmount, balance: creditBalance },
+      allocations: payment.allocations.map((a) => ({
+        feeItemId: a.feeItemId,
+        name: a.feeItem?.name || null,
+        code: a.feeItem?.code || null,
+        amount: a.amount,
+      })),
+      student,
+      schoolId: req.schoolId,
+    });
+  } catch (err) {
+    console.error("RECEIPT ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.get("/payments/:id/receipt.pdf", requireRole("ADMIN", "BURSAR", "STUDENT", "GUARDIAN"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const payment = await prisma.feePayment.findFirst({
+      where: { id: String(id), schoolId: req.schoolId },
+      include: { invoice: true },
+    });
+
+    // another family's receipt reads as missing, not forbidden
+    if (!payment || !canAccessStudent(req, payment.invoice.studentId)) {
+      return res.status(404).json({ message: "Payment not found." });
+    }
+
+    const student = await prisma.student.findFirst({
+      where: { id: payment.invoice.studentId, schoolId: req.schoolId },
+      select: { admissionNo: true, firstName: true, lastName: true },
+    });
+
+    const creditBalance = await getCreditBalance(prisma, req.schoolId, payment.invoice.studentId);
+
+    await feesAudit(req, {
+      action: "FEES_RECEIPT_PDF_VIEWED",
+      targetType: "FEE_PAYMENT",
+      targetId: id,
+    });
+
+    const doc = new PDFDocument({ margin: 50 });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename=receipt-${payment.receiptNo}.pdf`);
+    doc.pipe(res);
+
+    if (payment.isReversed) {
+      doc.save();
+      doc.rotate(-25, { origin: [100, 300] });
+      doc.fontSize(60).fillColor("gray").opacity(0.25).text("REVERSED", 80, 250);
+      doc.opacity(1).fillColor("black");
+      doc.restore();
+      doc.moveDown();
+    }
+
+    doc.fontSize(18).text("SCHOOL FEES RECEIPT", { align: "center" });
+    doc.moveDown();
+
+    const issuedAt = payment.receiptIssuedAt
+      ? new Date(payment.receiptIssuedAt)
+      : payment.receivedAt
+      ? new Date(payment.receivedAt)
+      : new Date();
 
-        const activePayments = (invoice.payments || []).filter((p) => !p.isReversed);
-        if (activePayments.length > 0) {
-          const e = new Error("Cannot void invoice with active payments. Reverse payments first.");
-          e.status = 400;
-          throw e;
-        }
+    doc.fontSize(11);
+    doc.text(`Receipt No: ${payment.receiptNo || "—"}`);
+    doc.text(`Date: ${issuedAt.toDateString()}`);
+    doc.text(`Status: ${payment.isReversed ? "REVERSED" : "POSTED"}`);
+    if (payment.isReversed) {
+      doc.text(
+        `Reversed At: ${payment.reversedAt ? new Date(payment.reversedAt).toLocaleString() : "—"}`
+      );
+      doc.text(`Reason: ${payment.reversalReason || "—"}`);
+    }
+    doc.moveDown();
 
-        const updated = await tx.feeInvoice.update({
-          where: { id: invoice.id },
-          data: {
-            status: "VOID",
-            voidedAt: new Date(),
-            voidedBy: req.user?.id || null,
-            voidReason: reason,
-            balance: 0,
-          },
-        });
+    doc.text(`Student: ${student?.firstName || "—"} ${student?.lastName || ""}`);
+    doc.text(`Admission No: ${student?.admissionNo || "—"}`);
+    doc.moveDown();
 
-        return updated;
-      });
+    doc.text(`Amount Paid: ${payment.amount}`);
+    doc.text(`Payment Method: ${payment.method}`);
+    if (payment.reference) doc.text(`Reference: ${payment.reference}`);
+    doc.text(`Received By: ${payment.receivedBy || "—"}`);
+    doc.moveDown();
 
-      await feesAudit(req, {
-        action: "FEES_INVOICE_VOIDED",
-        targetType: "FEE_INVOICE",
-        targetId: id,
-        metadata: { reason },
-      });
+    doc.text(`Invoice Total: ${payment.invoice.total}`);
+    doc.text(`Total Paid: ${payment.invoice.paid}`);
+    if (payment.invoice.creditApplied) doc.text(`Credit Applied: ${payment.invoice.creditApplied}`);
+    doc.text(`Balance: ${payment.invoice.balance}`);
+    doc.moveDown();
 
-      return res.json({ message: "Invoice voided successfully.", invoice: result });
-    } catch (err) {
-      console.error("VOID INVOICE ERROR:", err);
-      return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
+    if (payment.creditAmount || creditBalance) {
+      if (payment.creditAmount) doc.text(`Carried Forward as Credit: ${payment.creditAmount}`);
+      doc.text(`Credit Balance: ${creditBalance}`);
+      doc.moveDown();
     }
+
+    doc.text("Thank you.", { align: "center" });
+    doc.end();
+  } catch (err) {
+    console.error("RECEIPT PDF ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
   }
-);
+});
 
 /* --------------------
- * Student summary / statement
+ * Refunds
  * --------------------
- * - ADMIN and BURSAR can view any student in the tenant
- * - STUDENT can only view self (enforced)
+ * Money paid back to the payer out of the student's credit (e.g. a leaver with an overpayment).
+ * Unlike a reversal the receipts stand; the credit is drawn down by a REFUND credit entry.
+ * A paid amount becomes refundable once it is credit (invoice reduced or voided).
+ * ADMIN refunds are approved on entry; a BURSAR's request waits for an ADMIN.
  */
 
-router.get(
-  "/students/:studentId/summary",
-  requireRole("ADMIN", "BURSAR", "STUDENT"),
-  async (req, res) => {
-    const { studentId } = req.params;
-    const year = toInt(req.query?.year, null);
-    const term = req.query?.term ? String(req.query.term) : null;
+// Credit still free to refund: balance less what pending requests have already claimed.
+async function refundableCredit(db, schoolId, studentId) {
+  const [balance, pending] = await Promise.all([
+    getCreditBalance(db, schoolId, studentId),
+    db.feeRefund.aggregate({
+      where: { schoolId, studentId: String(studentId), status: "PENDING" },
+      _sum: { amount: true },
+    }),
+  ]);
+  const pendingAmount = Number(pending._sum.amount || 0);
+  return { creditBalance: balance, pending: pendingAmount, refundable: Math.max(balance - pendingAmount, 0) };
+}
 
-    if (req.role === "STUDENT") {
-      const me = await prisma.student.findFirst({
-        where: { userId: req.user.id, schoolId: req.schoolId },
-        select: { id: true },
-      });
-      if (!me || me.id !== String(studentId)) {
-        return res.status(403).json({ message: "Students can only view their own fee summary." });
-      }
-    }
+// Draws the credit down and issues the voucher number. Inside the caller's transaction.
+// The PENDING row is claimed first, so two concurrent approvals cannot both pay it out.
+async function payOutRefund(tx, { schoolId, refund, userId }) {
+  const { count } = await tx.feeRefund.updateMany({
+    where: { id: refund.id, schoolId, status: "PENDING" },
+    data: { status: "APPROVED", approvedBy: userId, approvedAt: new Date() },
+  });
+  if (count === 0) {
+    const e = new Error("Refund has already been decided.");
+    e.status = 409;
+    throw e;
+  }
 
-    const student = await prisma.student.findFirst({
-      where: { id: String(studentId), schoolId: req.schoolId },
-      select: { id: true },
-    });
-    if (!student) return res.status(404).json({ message: "Student not found." });
+  await lockStudentCredit(tx, schoolId, refund.studentId);
+  const balance = await getCreditBalance(tx, schoolId, refund.studentId);
+  if (refund.amount > balance) {
+    const e = new Error(`Student only has ${balance} credit left; the refund is ${refund.amount}.`);
+    e.status = 409;
+    throw e;
+  }
 
-    const invoices = await prisma.feeInvoice.findMany({
+  // paid over the desk: it comes out of the payer's open till and off its expected takings
+  const session = await lockOpenSessionFor(tx, { schoolId, userId });
+  const voucherNo = await nextDocNo(tx, { schoolId, kind: "REFUND" });
+  const paid = await tx.feeRefund.update({
+    where: { id: refund.id },
+    data: { voucherNo, sessionId: session?.id || null },
+  });
+
+  await tx.feeCreditEntry.create({
+    data: {
+      schoolId,
+      studentId: refund.studentId,
+      type: "REFUND",
+      amount: -refund.amount,
+      refundId: refund.id,
+      note: `Refund ${voucherNo}`,
+      createdBy: userId,
+    },
+  });
+
+  return paid;
+}
+
+router.get("/students/:studentId/refundable", requireRole("ADMIN", "BURSAR"), async (req, res) => {
+  try {
+    return res.json(await refundableCredit(prisma, req.schoolId, req.params.studentId));
+  } catch (err) {
+    console.error("REFUNDABLE CREDIT ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.get("/refunds", requireRole("ADMIN", "BURSAR"), async (req, res) => {
+  try {
+    const status = req.query?.status ? String(req.query.status).toUpperCase() : undefined;
+    if (status && !["PENDING", "APPROVED", "REJECTED"].includes(status)) {
+      return res.status(400).json({ message: "status must be PENDING, APPROVED or REJECTED." });
+    }
+
+    const refunds = await prisma.feeRefund.findMany({
       where: {
         schoolId: req.schoolId,
-        studentId: String(studentId),
-        year: year ?? undefined,
-        term: term || undefined,
-        status: { not: "VOID" },
+        status,
+        studentId: req.query?.studentId ? String(req.query.studentId) : undefined,
       },
       orderBy: { createdAt: "desc" },
+      take: 200,
     });
 
-    const summary = invoices.reduce(
-      (acc, inv) => {
-        acc.total += Number(inv.total || 0);
-        acc.paid += Number(inv.paid || 0);
-        acc.balance += Number(inv.balance || 0);
-        acc.count += 1;
-        return acc;
-      },
-      { total: 0, paid: 0, balance: 0, count: 0 }
-    );
-
-    await feesAudit(req, {
-      action: "FEES_SUMMARY_VIEWED",
-      targetType: "STUDENT",
-      targetId: studentId,
-      metadata: { year: year ?? null, term: term || null },
+    const students = await prisma.student.findMany({
+      where: { schoolId: req.schoolId, id: { in: [...new Set(refunds.map((r) => r.studentId))] } },
+      select: { id: true, admissionNo: true, firstName: true, lastName: true },
     });
+    const byId = new Map(students.map((st) => [st.id, st]));
 
-    return res.json({
-      studentId: String(studentId),
-      year: year ?? null,
-      term: term || null,
-      ...summary,
-      latestInvoice: invoices[0] || null,
-    });
+    return res.json(refunds.map((r) => ({ ...r, student: byId.get(r.studentId) || null })));
+  } catch (err) {
+    console.error("LIST REFUNDS ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
   }
-);
+});
 
-router.get(
-  "/students/:studentId/statement",
-  requireRole("ADMIN", "BURSAR", "STUDENT"),
+router.post(
+  "/refunds",
+  requireRole("ADMIN", "BURSAR"),
+  requireEntitlement("FEES_WRITE"),
   async (req, res) => {
     try {
-      const { studentId } = req.params;
-      const year = toInt(req.query?.year, null);
-      const term = req.query?.term ? String(req.query.term) : null;
+      const { studentId, amount, method, reference } = req.body || {};
+      const reason = String(req.body?.reason || "").trim();
 
-      if (req.role === "STUDENT") {
-        const me = await prisma.student.findFirst({
-          where: { userId: req.user.id, schoolId: req.schoolId },
-          select: { id: true },
-        });
+      const amt = toInt(amount, null);
+      if (!studentId || !amt || amt <= 0) {
+        return res.status(400).json({ message: "studentId and a whole amount above 0 are required." });
+      }
+      if (reason.length < 3) return res.status(400).json({ message: "A reason is required for a refund." });
 
-        if (!me || me.id !== String(studentId)) {
-          return res.status(403).json({ message: "Students can only view their own statement." });
-        }
+      const normalizedMethod = normalizePaymentMethod(method);
+      if (!normalizedMethod) {
+        return res.status(400).json({
+          message: `Invalid payment method. Allowed: ${ALLOWED_PAYMENT_METHODS.join(", ")}`,
+        });
       }
 
       const student = await prisma.student.findFirst({
         where: { id: String(studentId), schoolId: req.schoolId },
-        select: {
-          id: true,
-          admissionNo: true,
-          firstName: true,
-          lastName: true,
-          classId: true,
-        },
+        select: { id: true },
       });
-
       if (!student) return res.status(404).json({ message: "Student not found." });
 
-      const invoices = await prisma.feeInvoice.findMany({
-        where: {
-          schoolId: req.schoolId,
-          studentId: String(studentId),
-          year: year ?? undefined,
-          term: term || undefined,
-          status: { not: "VOID" },
-        },
-        include: {
-          lines: true,
-          payments: {
-            orderBy: { receivedAt: "desc" },
-            select: {
-              id: true,
-              amount: true,
-              method: true,
-              reference: true,
-              receiptNo: true,
-              receivedAt: true,
-              isReversed: true,
-              reversedAt: true,
-              reversalReason: true,
-              createdAt: true,
-            },
+      const userId = req.user?.id || null;
+      const refund = await prisma.$transaction(async (tx) => {
+        // two requests for the same student must not both claim the same credit
+        await lockStudentCredit(tx, req.schoolId, student.id);
+        const { refundable } = await refundableCredit(tx, req.schoolId, student.id);
+        if (amt > refundable) {
+          const e = new Error(
+            refundable > 0
+              ? `Only ${refundable} of this student's credit can be refunded.`
+              : "This student has no refundable credit."
+          );
+          e.status = 400;
+          throw e;
+        }
+
+        const created = await tx.feeRefund.create({
+          data: {
+            schoolId: req.schoolId,
+            studentId: student.id,
+            amount: amt,
+            method: normalizedMethod,
+            reference: reference ? String(reference).trim() : null,
+            reason: reason.slice(0, 500),
+            requestedBy: userId,
           },
+        });
+
+        return req.role === "ADMIN" ? payOutRefund(tx, { schoolId: req.schoolId, refund: created, userId }) : created;
+      });
+
+      await feesAudit(req, {
+        action: refund.status === "APPROVED" ? "FEES_REFUND_PAID" : "FEES_REFUND_REQUESTED",
+        targetType: "FEE_REFUND",
+        targetId: refund.id,
+        metadata: {
+          studentId: refund.studentId,
+          amount: refund.amount,
+          method: refund.method,
+          reason: refund.reason,
+          voucherNo: refund.voucherNo,
+          sessionId: refund.sessionId || null,
         },
-        orderBy: { createdAt: "asc" },
       });
 
-      const timeline = [];
-      for (const inv of invoices) {
-        timeline.push({
-          type: "INVOICE",
-          at: inv.createdAt,
-          ref: inv.id,
-          year: inv.year,
-          term: inv.term,
-          amount: inv.total,
-          status: inv.status,
-        });
+      return res.status(201).json(refund);
+    } catch (err) {
+      console.error("CREATE REFUND ERROR:", err);
+      return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
+    }
+  }
+);
 
-        for (const p of (inv.payments || []).filter((x) => !x.isReversed)) {
-          timeline.push({
-            type: "PAYMENT",
-            at: p.receivedAt,
-            ref: p.id,
-            receiptNo: p.receiptNo,
-            method: p.method,
-            reference: p.reference,
-            amount: p.amount,
-          });
+router.post(
+  "/refunds/:id/approve",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    try {
+      const refund = await prisma.$transaction(async (tx) => {
+        const found = await tx.feeRefund.findFirst({ where: { id: String(req.params.id), schoolId: req.schoolId } });
+        if (!found) {
+          const e = new Error("Refund not found.");
+          e.status = 404;
+          throw e;
         }
-      }
+        if (found.status !== "PENDING") {
+          const e = new Error(`Refund is already ${found.status}.`);
+          e.status = 409;
+          throw e;
+        }
+        return payOutRefund(tx, { schoolId: req.schoolId, refund: found, userId: req.user?.id || null });
+      });
 
-      timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+      await feesAudit(req, {
+        action: "FEES_REFUND_PAID",
+        targetType: "FEE_REFUND",
+        targetId: refund.id,
+        metadata: {
+          studentId: refund.studentId,
+          amount: refund.amount,
+          method: refund.method,
+          requestedBy: refund.requestedBy,
+          voucherNo: refund.voucherNo,
+          sessionId: refund.sessionId || null,
+        },
+      });
 
-      const totals = invoices.reduce(
-        (acc, inv) => {
-          acc.totalBilled += Number(inv.total || 0);
-          acc.totalPaid += Number(inv.paid || 0);
-          acc.totalBalance += Number(inv.balance || 0);
-          acc.invoiceCount += 1;
-          return acc;
+      return res.json(refund);
+    } catch (err) {
+      console.error("APPROVE REFUND ERROR:", err);
+      if (err?.code === "P2002")
+        return res.status(409).json({ message: "Next voucher number is already used. Retry." });
+      return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
+    }
+  }
+);
+
+router.post(
+  "/refunds/:id/reject",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    try {
+      const reason = String(req.body?.reason || "").trim();
+      if (reason.length < 3) return res.status(400).json({ message: "A reason is required to reject a refund." });
+
+      const found = await prisma.feeRefund.findFirst({ where: { id: String(req.params.id), schoolId: req.schoolId } });
+      if (!found) return res.status(404).json({ message: "Refund not found." });
+
+      const { count } = await prisma.feeRefund.updateMany({
+        where: { id: found.id, status: "PENDING" },
+        data: {
+          status: "REJECTED",
+          rejectedBy: req.user?.id || null,
+          rejectedAt: new Date(),
+          rejectReason: reason.slice(0, 500),
         },
-        { totalBilled: 0, totalPaid: 0, totalBalance: 0, invoiceCount: 0 }
-      );
+      });
+      if (count === 0) return res.status(409).json({ message: `Refund is already ${found.status}.` });
 
       await feesAudit(req, {
-        action: "FEES_STATEMENT_VIEWED",
-        targetType: "STUDENT",
-        targetId: studentId,
-        metadata: { year: year ?? null, term: term || null },
+        action: "FEES_REFUND_REJECTED",
+        targetType: "FEE_REFUND",
+        targetId: found.id,
+        metadata: { studentId: found.studentId, amount: found.amount, reason },
       });
 
-      return res.json({
-        student,
-        filters: { year: year ?? null, term: term || null },
-        totals,
-        invoices,
-        timeline,
-      });
+      return res.json(await prisma.feeRefund.findUnique({ where: { id: found.id } }));
     } catch (err) {
-      console.error("STATEMENT ERROR:", err);
+      console.error("REJECT REFUND ERROR:", err);
       return res.status(500).json({ message: "Server error" });
     }
   }
 );
 
+router.get("/refunds/:id/voucher.pdf", requireRole("ADMIN", "BURSAR"), async (req, res) => {
+  try {
+    const refund = await prisma.feeRefund.findFirst({
+      where: { id: String(req.params.id), schoolId: req.schoolId },
+    });
+    if (!refund) return res.status(404).json({ message: "Refund not found." });
+    if (refund.status !== "APPROVED") {
+      return res.status(409).json({ message: "A voucher is issued once the refund is approved." });
+    }
+
+    const [student, users] = await Promise.all([
+      prisma.student.findFirst({
+        where: { id: refund.studentId, schoolId: req.schoolId },
+        select: { admissionNo: true, firstName: true, lastName: true },
+      }),
+      prisma.user.findMany({
+        where: { id: { in: [refund.requestedBy, refund.approvedBy].filter(Boolean) } },
+        select: { id: true, email: true },
+      }),
+    ]);
+    const emailOf = (id) => users.find((u) => u.id === id)?.email || id || "—";
+
+    await feesAudit(req, {
+      action: "FEES_REFUND_VOUCHER_VIEWED",
+      targetType: "FEE_REFUND",
+      targetId: refund.id,
+    });
+
+    const doc = new PDFDocument({ margin: 50 });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename=refund-${refund.voucherNo}.pdf`);
+    doc.pipe(res);
+
+    doc.fontSize(18).text("FEES REFUND VOUCHER", { align: "center" });
+    doc.moveDown();
+
+    doc.fontSize(11);
+    doc.text(`Voucher No: ${refund.voucherNo || "—"}`);
+    doc.text(`Date: ${new Date(refund.approvedAt).toDateString()}`);
+    doc.moveDown();
+
+    doc.text(`Student: ${student?.firstName || "—"} ${student?.lastName || ""}`);
+    doc.text(`Admission No: ${student?.admissionNo || "—"}`);
+    doc.moveDown();
+
+    doc.text(`Amount Refunded: ${refund.amount}`);
+    doc.text(`Method: ${refund.method}`);
+    if (refund.reference) doc.text(`Reference: ${refund.reference}`);
+    doc.text(`Reason: ${refund.reason}`);
+    doc.moveDown();
+
+    doc.text(`Requested By: ${emailOf(refund.requestedBy)}`);
+    doc.text(`Approved By: ${emailOf(refund.approvedBy)}`);
+    doc.moveDown(2);
+
+    doc.text("Received by (payee): ____________________      ID No: ______________");
+    doc.moveDown();
+    doc.text("Signature: ____________________      Date: ______________");
+    doc.end();
+  } catch (err) {
+    console.error("REFUND VOUCHER ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
 /* --------------------
- * Payments
+ * Two-person approvals
  * --------------------
- * - ADMIN and BURSAR can post payments (cashier role)
- * - Entitlement controls whether the school tier allows it
+ * Voids and reversals at or above the school's thresholds are held as a request (with the reason)
+ * and only run when a different ADMIN approves. Every transition is audited.
+ * Thresholds live on SchoolSettings; null switches approval off for that action, except that a
+ * bursar's void is always a request.
  */
 
-router.post(
-  "/payments",
-  requireRole("ADMIN", "BURSAR"),
-  requireEntitlement("FEES_WRITE"),
-  async (req, res) => {
-    try {
-      const { invoiceId, amount, method = "CASH", reference, clientTxnId } = req.body || {};
+const APPROVAL_DEFAULTS = {
+  voidApprovalThreshold: 0,
+  reversalApprovalThreshold: 0,
+  approvalsApplyToAdmins: false,
+};
 
-      if (!invoiceId || amount === undefined || amount === null) {
-        return res.status(400).json({ message: "invoiceId and amount are required." });
-      }
+async function getApprovalSettings(db, schoolId) {
+  const s = await db.schoolSettings.findUnique({
+    where: { schoolId },
+    select: { voidApprovalThreshold: true, reversalApprovalThreshold: true, approvalsApplyToAdmins: true },
+  });
+  return { ...APPROVAL_DEFAULTS, ...(s || {}) };
+}
 
-      const amt = toNumber(amount, null);
-      if (!Number.isFinite(amt) || amt <= 0) {
-        return res.status(400).json({ message: "amount must be > 0." });
-      }
+// Whether this void/reversal must wait for a second person. Thresholds only relax the rule;
+// voiding is an ADMIN action, so a bursar's void always goes to the queue.
+async function needsApproval(db, req, { action, amount, lockedSession = false }) {
+  if (action === "VOID_INVOICE" && req.role !== "ADMIN") return true;
+  if (lockedSession && req.role !== "ADMIN") return true;
 
-      const normalizedMethod = normalizePaymentMethod(method);
-      if (!normalizedMethod) {
-        return res.status(400).json({
-          message: `Invalid payment method. Allowed: ${ALLOWED_PAYMENT_METHODS.join(", ")}`,
-        });
-      }
+  const cfg = await getApprovalSettings(db, req.schoolId);
+  if (req.role === "ADMIN" && !cfg.approvalsApplyToAdmins) return false;
 
-      const result = await prisma.$transaction(async (tx) => {
-        const txnId = clientTxnId ? String(clientTxnId) : null;
+  const threshold = action === "VOID_INVOICE" ? cfg.voidApprovalThreshold : cfg.reversalApprovalThreshold;
+  return threshold != null && Number(amount || 0) >= threshold;
+}
 
-        // Idempotency
-        if (txnId) {
-          const existing = await tx.feePayment.findFirst({
-            where: { schoolId: req.schoolId, clientTxnId: txnId },
-            include: { invoice: true },
-          });
-          if (existing) return { payment: existing, invoice: existing.invoice, idempotent: true };
-        }
+async function requestApproval(req, { action, invoiceId = null, paymentId = null, amount, reason }) {
+  const pending = await prisma.feeApprovalRequest.findFirst({
+    where: { schoolId: req.schoolId, status: "PENDING", action, invoiceId, paymentId },
+    select: { id: true },
+  });
+  if (pending) {
+    const e = new Error("A request for this is already waiting for approval.");
+    e.status = 409;
+    throw e;
+  }
 
-        const invoice = await tx.feeInvoice.findFirst({
-          where: { id: String(invoiceId), schoolId: req.schoolId },
-        });
-        if (!invoice) {
-          const e = new Error("Invoice not found.");
-          e.status = 404;
-          throw e;
-        }
+  const approval = await prisma.feeApprovalRequest.create({
+    data: {
+      schoolId: req.schoolId,
+      action,
+      invoiceId,
+      paymentId,
+      amount: Number(amount || 0),
+      reason: reason.slice(0, 500),
+      requestedBy: req.user?.id,
+      requestedRole: req.role || null,
+    },
+  });
 
-        if (invoice.status === "VOID") {
-          const e = new Error("Cannot pay a VOID invoice.");
-          e.status = 400;
-          throw e;
-        }
+  await feesAudit(req, {
+    action: "FEES_APPROVAL_REQUESTED",
+    targetType: "FEE_APPROVAL",
+    targetId: approval.id,
+    metadata: { requestAction: action, invoiceId, paymentId, amount: approval.amount, reason: approval.reason },
+  });
 
-        if (amt > Number(invoice.balance || 0)) {
-          const e = new Error(`Overpayment not allowed. Balance is ${invoice.balance}.`);
-          e.status = 400;
-          throw e;
-        }
+  return approval;
+}
 
-        const payment = await tx.feePayment.create({
-          data: {
-            schoolId: req.schoolId,
-            invoiceId: invoice.id,
-            clientTxnId: txnId,
-            amount: amt,
-            method: normalizedMethod,
-            reference: reference ? String(reference) : null,
-            receivedBy: req.user?.id || null,
-            receiptNo: makeReceiptNo(),
-            // keep both for compatibility
-            receivedAt: new Date(),
-            receiptIssuedAt: new Date(),
-          },
-        });
+// A direct void/reversal must not leave a request for the same thing open in the queue: an admin
+// approves or rejects it there instead. Run inside the action's transaction.
+async function assertNoPendingApproval(tx, schoolId, { invoiceId = null, paymentId = null }) {
+  const pending = await tx.feeApprovalRequest.findFirst({
+    where: { schoolId, status: "PENDING", ...(invoiceId ? { invoiceId } : { paymentId }) },
+    select: { id: true },
+  });
+  if (pending) {
+    const e = new Error("A request for this is waiting in the approval queue. Approve or reject it there.");
+    e.status = 409;
+    throw e;
+  }
+}
 
-        const newPaid = Number(invoice.paid || 0) + amt;
-        const { balance: newBalance, status: newStatus } = computeInvoiceStatus(invoice.total, newPaid);
+async function findApprovalOr404(id, schoolId) {
+  const approval = await prisma.feeApprovalRequest.findFirst({ where: { id: String(id), schoolId } });
+  if (!approval) {
+    const e = new Error("Approval request not found.");
+    e.status = 404;
+    throw e;
+  }
+  if (approval.status !== "PENDING") {
+    const e = new Error(`Request is already ${approval.status}.`);
+    e.status = 409;
+    throw e;
+  }
+  return approval;
+}
 
-        const updatedInvoice = await tx.feeInvoice.update({
-          where: { id: invoice.id },
-          data: { paid: newPaid, balance: newBalance, status: newStatus },
-        });
+// Closes a pending request; false when someone else got there first.
+async function decideApproval(db, approval, { status, userId, note }) {
+  const { count } = await db.feeApprovalRequest.updateMany({
+    where: { id: approval.id, status: "PENDING" },
+    data: { status, decidedBy: userId || null, decidedAt: new Date(), decisionNote: note || null },
+  });
+  return count > 0;
+}
 
-        return { payment, invoice: updatedInvoice, idempotent: false };
-      });
+router.get("/approvals/settings", requireRole("ADMIN", "BURSAR"), async (req, res) => {
+  try {
+    return res.json(await getApprovalSettings(prisma, req.schoolId));
+  } catch (err) {
+    console.error("APPROVAL SETTINGS ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
 
-      await feesAudit(req, {
-        action: result.idempotent ? "FEES_PAYMENT_IDEMPOTENT" : "FEES_PAYMENT_POSTED",
-        targetType: "FEE_PAYMENT",
-        targetId: result.payment.id,
-        metadata: {
-          amount: result.payment.amount,
-          method: result.payment.method,
-          invoiceId: result.payment.invoiceId,
-        },
-      });
+router.patch("/approvals/settings", requireRole("ADMIN"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const data = {};
+
+    for (const k of ["voidApprovalThreshold", "reversalApprovalThreshold"]) {
+      if (!(k in body)) continue;
+      if (body[k] === null || body[k] === "") {
+        data[k] = null;
+        continue;
+      }
+      const n = Number(body[k]);
+      if (!Number.isInteger(n) || n < 0) {
+        return res.status(400).json({ message: `${k} must be a whole amount of 0 or more, or null for never.` });
+      }
+      data[k] = n;
+    }
 
-      return res.status(201).json(result);
-    } catch (err) {
-      console.error("PAYMENT ERROR:", err);
+    if ("approvalsApplyToAdmins" in body) {
+      if (typeof body.approvalsApplyToAdmins !== "boolean") {
+        return res.status(400).json({ message: "approvalsApplyToAdmins must be boolean" });
+      }
+      data.approvalsApplyToAdmins = body.approvalsApplyToAdmins;
+    }
 
-      if (err?.code === "P2003")
-        return res.status(400).json({ message: "Bad foreign key (invoiceId?)" });
-      if (err?.code === "P2002")
-        return res.status(409).json({ message: "Duplicate payment key. Retry." });
+    if (!Object.keys(data).length) return res.status(400).json({ message: "Nothing to update." });
 
-      return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
+    const before = await getApprovalSettings(prisma, req.schoolId);
+    await prisma.schoolSettings.upsert({
+      where: { schoolId: req.schoolId },
+      create: { schoolId: req.schoolId, ...data },
+      update: data,
+    });
+    const after = await getApprovalSettings(prisma, req.schoolId);
+
+    await feesAudit(req, {
+      action: "FEES_APPROVAL_SETTINGS_UPDATED",
+      targetType: "SCHOOL_SETTINGS",
+      targetId: req.schoolId,
+      metadata: { before, after },
+    });
+
+    return res.json(after);
+  } catch (err) {
+    console.error("UPDATE APPROVAL SETTINGS ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ADMIN sees the whole queue; a bursar sees their own requests.
+router.get("/approvals", requireRole("ADMIN", "BURSAR"), async (req, res) => {
+  try {
+    const status = req.query?.status ? String(req.query.status).toUpperCase() : undefined;
+    if (status && !["PENDING", "APPROVED", "REJECTED", "CANCELLED"].includes(status)) {
+      return res.status(400).json({ message: "status must be PENDING, APPROVED, REJECTED or CANCELLED." });
     }
+
+    const approvals = await prisma.feeApprovalRequest.findMany({
+      where: {
+        schoolId: req.schoolId,
+        status,
+        requestedBy: req.role === "ADMIN" ? undefined : req.user?.id,
+      },
+      orderBy: { createdAt: "desc" },
+      take: 200,
+      include: {
+        invoice: {
+          select: { id: true, invoiceNo: true, studentId: true, year: true, term: true, total: true, status: true },
+        },
+        payment: {
+          select: {
+            id: true,
+            receiptNo: true,
+            amount: true,
+            method: true,
+            receivedAt: true,
+            isReversed: true,
+            invoice: { select: { invoiceNo: true, studentId: true } },
+          },
+        },
+      },
+    });
+
+    const studentIds = approvals.map((a) => a.invoice?.studentId || a.payment?.invoice?.studentId).filter(Boolean);
+    const [students, users] = await Promise.all([
+      prisma.student.findMany({
+        where: { schoolId: req.schoolId, id: { in: [...new Set(studentIds)] } },
+        select: { id: true, admissionNo: true, firstName: true, lastName: true },
+      }),
+      prisma.user.findMany({
+        where: { id: { in: [...new Set(approvals.flatMap((a) => [a.requestedBy, a.decidedBy]).filter(Boolean))] } },
+        select: { id: true, email: true },
+      }),
+    ]);
+    const studentsById = new Map(students.map((st) => [st.id, st]));
+    const emails = new Map(users.map((u) => [u.id, u.email]));
+
+    return res.json(
+      approvals.map((a) => ({
+        ...a,
+        student: studentsById.get(a.invoice?.studentId || a.payment?.invoice?.studentId) || null,
+        requestedByEmail: emails.get(a.requestedBy) || null,
+        decidedByEmail: emails.get(a.decidedBy) || null,
+      }))
+    );
+  } catch (err) {
+    console.error("LIST APPROVALS ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
   }
-);
+});
 
 router.post(
-  "/payments/:id/reverse",
-  requireRole("ADMIN", "BURSAR"),
+  "/approvals/:id/approve",
+  requireRole("ADMIN"),
   requireEntitlement("FEES_WRITE"),
   async (req, res) => {
     try {
-      const { id } = req.params;
-      const reason = String(req.body?.reason || "").trim();
+      const approval = await findApprovalOr404(req.params.id, req.schoolId);
+      if (approval.requestedBy === req.user?.id) {
+        return res.status(403).json({ message: "A different admin must approve your own request." });
+      }
 
-      if (!reason) return res.status(400).json({ message: "Reversal reason is required." });
+      const note = String(req.body?.note || "").trim().slice(0, 500);
+      const userId = req.user?.id;
 
+      // the action runs in the same transaction: if it fails, the request stays pending
       const result = await prisma.$transaction(async (tx) => {
-        const payment = await tx.feePayment.findFirst({
-          where: { id: String(id), schoolId: req.schoolId },
-        });
-        if (!payment) {
-          const e = new Error("Payment not found.");
-          e.status = 404;
+        if (!(await decideApproval(tx, approval, { status: "APPROVED", userId, note }))) {
+          const e = new Error("This request was decided by someone else.");
+          e.status = 409;
           throw e;
         }
 
-        if (payment.isReversed) {
-          const e = new Error("Payment already reversed.");
-          e.status = 400;
-          throw e;
+        if (approval.action === "VOID_INVOICE") {
+          const invoice = await voidInvoiceTx(tx, {
+            schoolId: req.schoolId,
+            invoiceId: approval.invoiceId,
+            reason: approval.reason,
+            userId,
+          });
+          return { invoice };
         }
 
-        const invoice = await tx.feeInvoice.findFirst({
-          where: { id: payment.invoiceId, schoolId: req.schoolId },
+        return reversePaymentTx(tx, {
+          schoolId: req.schoolId,
+          paymentId: approval.paymentId,
+          reason: approval.reason,
+          userId,
+          role: "ADMIN",
         });
-        if (!invoice) {
-          const e = new Error("Invoice not found for payment.");
-          e.status = 404;
-          throw e;
-        }
+      });
 
-        const newPaid = Math.max(Number(invoice.paid || 0) - Number(payment.amount || 0), 0);
-        const { balance: newBalance, status: newStatus } = computeInvoiceStatus(invoice.total, newPaid);
+      await feesAudit(req, {
+        action: "FEES_APPROVAL_APPROVED",
+        targetType: "FEE_APPROVAL",
+        targetId: approval.id,
+        metadata: {
+          requestAction: approval.action,
+          invoiceId: approval.invoiceId,
+          paymentId: approval.paymentId,
+          amount: approval.amount,
+          requestedBy: approval.requestedBy,
+          note: note || null,
+        },
+      });
 
-        const reversedPayment = await tx.feePayment.update({
-          where: { id: payment.id },
-          data: {
-            isReversed: true,
-            reversedAt: new Date(),
-            reversedBy: req.user?.id || null,
-            reversalReason: reason,
+      if (approval.action === "VOID_INVOICE") {
+        await feesAudit(req, {
+          action: "FEES_INVOICE_VOIDED",
+          targetType: "FEE_INVOICE",
+          targetId: approval.invoiceId,
+          metadata: {
+            reason: approval.reason,
+            broughtForward: result.invoice.broughtForward,
+            approvalId: approval.id,
+            requestedBy: approval.requestedBy,
           },
         });
-
-        const updatedInvoice = await tx.feeInvoice.update({
-          where: { id: invoice.id },
-          data: { paid: newPaid, balance: newBalance, status: newStatus },
+      } else {
+        await feesAudit(req, {
+          action: "FEES_PAYMENT_REVERSED",
+          targetType: "FEE_PAYMENT",
+          targetId: approval.paymentId,
+          metadata: {
+            ...reversalAuditMetadata(approval.reason, result),
+            approvalId: approval.id,
+            requestedBy: approval.requestedBy,
+          },
         });
+      }
+
+      const updated = await prisma.feeApprovalRequest.findUnique({ where: { id: approval.id } });
+      return res.json({ message: "Approved and applied.", approval: updated, ...result });
+    } catch (err) {
+      console.error("APPROVE REQUEST ERROR:", err);
+      return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
+    }
+  }
+);
 
-        return { payment: reversedPayment, invoice: updatedInvoice };
+router.post(
+  "/approvals/:id/reject",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    try {
+      const note = String(req.body?.note || "").trim();
+      if (note.length < 3) return res.status(400).json({ message: "A note is required to reject a request." });
+
+      const approval = await findApprovalOr404(req.params.id, req.schoolId);
+      const decided = await decideApproval(prisma, approval, {
+        status: "REJECTED",
+        userId: req.user?.id,
+        note: note.slice(0, 500),
       });
+      if (!decided) {
+        return res.status(409).json({ message: "This request was decided by someone else." });
+      }
 
       await feesAudit(req, {
-        action: "FEES_PAYMENT_REVERSED",
-        targetType: "FEE_PAYMENT",
-        targetId: id,
-        metadata: { reason },
+        action: "FEES_APPROVAL_REJECTED",
+        targetType: "FEE_APPROVAL",
+        targetId: approval.id,
+        metadata: {
+          requestAction: approval.action,
+          invoiceId: approval.invoiceId,
+          paymentId: approval.paymentId,
+          requestedBy: approval.requestedBy,
+          note,
+        },
       });
 
-      return res.json({ message: "Payment reversed successfully.", ...result });
+      return res.json(await prisma.feeApprovalRequest.findUnique({ where: { id: approval.id } }));
     } catch (err) {
-      console.error("REVERSE PAYMENT ERROR:", err);
+      console.error("REJECT REQUEST ERROR:", err);
       return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
     }
   }
 );
 
-/**
- * Receipts:
- * - BURSAR should be able to view/print receipts they issue
- */
-router.get("/payments/:id/receipt", requireRole("ADMIN", "BURSAR"), async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const payment = await prisma.feePayment.findFirst({
-      where: { id: String(id), schoolId: req.schoolId },
-      include: { invoice: true },
-    });
-
-    if (!payment) return res.status(404).json({ message: "Payment not found." });
-
-    const student = await prisma.student.findFirst({
-      where: { id: payment.invoice.studentId, schoolId: req.schoolId },
-      select: { id: true, admissionNo: true, firstName: true, lastName: true, classId: true },
-    });
+// The requester may withdraw a request that has not been decided yet.
+router.post("/approvals/:id/cancel", requireRole("ADMIN", "BURSAR"), async (req, res) => {
+  try {
+    const approval = await findApprovalOr404(req.params.id, req.schoolId);
+    if (approval.requestedBy !== req.user?.id) {
+      return res.status(403).json({ message: "Only the requester can cancel this request." });
+    }
+
+    if (!(await decideApproval(prisma, approval, { status: "CANCELLED", userId: req.user?.id }))) {
+      return res.status(409).json({ message: "This request was decided by someone else." });
+    }
 
     await feesAudit(req, {
-      action: "FEES_RECEIPT_VIEWED",
-      targetType: "FEE_PAYMENT",
-      targetId: id,
+      action: "FEES_APPROVAL_CANCELLED",
+      targetType: "FEE_APPROVAL",
+      targetId: approval.id,
+      metadata: { requestAction: approval.action, invoiceId: approval.invoiceId, paymentId: approval.paymentId },
     });
 
-    return res.json({
-      receiptNo: payment.receiptNo,
-      receiptIssuedAt: payment.receiptIssuedAt,
-      isReversed: payment.isReversed,
-      reversedAt: payment.reversedAt,
-      reversalReason: payment.reversalReason,
-      payment: {
-        id: payment.id,
-        amount: payment.amount,
-        method: payment.method,
-        reference: payment.reference,
-        receivedAt: payment.receivedAt,
-        receivedBy: payment.receivedBy,
-      },
-      invoice: {
-        id: payment.invoice.id,
-        year: payment.invoice.year,
-        term: payment.invoice.term,
-        total: payment.invoice.total,
-        paid: payment.invoice.paid,
-        balance: payment.invoice.balance,
-        status: payment.invoice.status,
-      },
-      student,
-      schoolId: req.schoolId,
-    });
+    return res.json(await prisma.feeApprovalRequest.findUnique({ where: { id: approval.id } }));
   } catch (err) {
-    console.error("RECEIPT ERROR:", err);
-    return res.status(500).json({ message: "Server error" });
+    console.error("CANCEL REQUEST ERROR:", err);
+    return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
   }
 });
 
-router.get("/payments/:id/receipt.pdf", requireRole("ADMIN", "BURSAR"), async (req, res) => {
-  try {
-    const { id } = req.params;
+/* --------------------
+ * Document numbering
+ * --------------------
+ * Invoice/receipt numbers come from per-school counters (see utils/docNumbers.js).
+ * Documents issued before that carry random numbers; renumbering gives a year's legacy
+ * documents sequence numbers in the order they were created and keeps the old number as legacy*No.
+ */
 
-    const payment = await prisma.feePayment.findFirst({
-      where: { id: String(id), schoolId: req.schoolId },
-      include: { invoice: true },
-    });
+const NUMBERED_DOCS = {
+  INVOICE: { model: "feeInvoice", field: "invoiceNo", legacyField: "legacyInvoiceNo" },
+  RECEIPT: { model: "feePayment", field: "receiptNo", legacyField: "legacyReceiptNo" },
+};
 
-    if (!payment) return res.status(404).json({ message: "Payment not found." });
+// A number nextDocNo could have issued for this format and year (any padding).
+function isSequencedDocNo(fmt, year, docNo) {
+  const prefix = String(fmt.prefix).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const pattern = fmt.includeYear ? `^${prefix}-${year}-\\d+$` : `^${prefix}-\\d+$`;
+  return new RegExp(pattern).test(String(docNo || ""));
+}
 
-    const student = await prisma.student.findFirst({
-      where: { id: payment.invoice.studentId, schoolId: req.schoolId },
-      select: { admissionNo: true, firstName: true, lastName: true },
-    });
+// Legacy documents of the year get 1..n; anything already on the sequence is left alone.
+async function loadRenumberPlan(db, { schoolId, kind, fmt, year }) {
+  const cfg = NUMBERED_DOCS[kind];
+  const docs = await db[cfg.model].findMany({
+    where: {
+      schoolId,
+      ...(fmt.includeYear
+        ? { createdAt: { gte: new Date(Date.UTC(year, 0, 1)), lt: new Date(Date.UTC(year + 1, 0, 1)) } }
+        : {}),
+    },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    select: { id: true, createdAt: true, [cfg.field]: true, [cfg.legacyField]: true },
+  });
 
-    await feesAudit(req, {
-      action: "FEES_RECEIPT_PDF_VIEWED",
-      targetType: "FEE_PAYMENT",
-      targetId: id,
-    });
+  const legacy = docs.filter((d) => !isSequencedDocNo(fmt, year, d[cfg.field]));
+  return {
+    documents: docs.length,
+    sequenced: docs.length - legacy.length,
+    rows: legacy.map((d, i) => ({
+      id: d.id,
+      createdAt: d.createdAt,
+      from: d[cfg.field],
+      to: formatDocNo({ ...fmt, year, seq: i + 1 }),
+      legacy: d[cfg.legacyField] ?? d[cfg.field] ?? null,
+    })),
+  };
+}
 
-    const doc = new PDFDocument({ margin: 50 });
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader("Content-Disposition", `inline; filename=receipt-${payment.receiptNo}.pdf`);
-    doc.pipe(res);
+// Legacy numbers can only take 1..n while nothing has been issued from the year's counter.
+function assertRenumberable(plan, issued) {
+  if (plan.rows.length === 0 || (issued === 0 && plan.sequenced === 0)) return;
+  const e = new Error(
+    `Sequential numbers have already been issued for this year (${Math.max(issued, plan.sequenced)}), ` +
+      "so the older documents can no longer be numbered ahead of them."
+  );
+  e.status = 409;
+  throw e;
+}
 
-    if (payment.isReversed) {
-      doc.save();
-      doc.rotate(-25, { origin: [100, 300] });
-      doc.fontSize(60).fillColor("gray").opacity(0.25).text("REVERSED", 80, 250);
-      doc.opacity(1).fillColor("black");
-      doc.restore();
-      doc.moveDown();
-    }
+/**
+ * POST /api/fees/numbering/renumber
+ * Body: { kind: "INVOICE" | "RECEIPT", year, dryRun? }
+ * year is the calendar year the documents were created in (ignored when the format has no year).
+ * Only legacy-format numbers are replaced, and only before the year's counter has issued any;
+ * re-running after that finds nothing to do.
+ */
+router.post(
+  "/numbering/renumber",
+  requireRole("ADMIN"),
+  requireEntitlement("FEES_WRITE"),
+  async (req, res) => {
+    try {
+      const kind = String(req.body?.kind || "").trim().toUpperCase();
+      const dryRun = req.body?.dryRun === true || String(req.body?.dryRun) === "true";
+      const cfg = NUMBERED_DOCS[kind];
+
+      if (!cfg) return res.status(400).json({ message: "kind must be INVOICE or RECEIPT." });
+
+      const fmt = await getDocNoFormat(prisma, req.schoolId, kind);
+      const requestedYear = toInt(req.body?.year, null);
+      if (fmt.includeYear && !requestedYear) return res.status(400).json({ message: "year is required." });
+      const year = fmt.includeYear ? requestedYear : counterYear(fmt);
+      const counterKey = { schoolId_kind_year: { schoolId: req.schoolId, kind, year } };
+
+      let plan;
+      let issued;
+      if (dryRun) {
+        const counter = await prisma.documentCounter.findUnique({ where: counterKey });
+        issued = counter?.lastNumber || 0;
+        plan = await loadRenumberPlan(prisma, { schoolId: req.schoolId, kind, fmt, year });
+        assertRenumberable(plan, issued);
+      } else {
+        plan = await prisma.$transaction(
+          async (tx) => {
+            // lock the counter first so nothing is issued for this year while we renumber
+            const counter = await tx.documentCounter.upsert({
+              where: counterKey,
+              create: { schoolId: req.schoolId, kind, year, lastNumber: 0 },
+              update: { lastNumber: { increment: 0 } },
+            });
+            issued = counter.lastNumber;
+
+            const result = await loadRenumberPlan(tx, { schoolId: req.schoolId, kind, fmt, year });
+            assertRenumberable(result, issued);
+            if (result.rows.length === 0) return result;
+
+            // legacy numbers never match the sequence format, so the new numbers cannot collide with them
+            for (const r of result.rows) {
+              await tx[cfg.model].update({
+                where: { id: r.id },
+                data: { [cfg.field]: r.to, [cfg.legacyField]: r.legacy },
+              });
+            }
+
+            await tx.documentCounter.update({ where: counterKey, data: { lastNumber: result.rows.length } });
+            return result;
+          },
+          { timeout: 120000 }
+        );
+      }
 
-    doc.fontSize(18).text("SCHOOL FEES RECEIPT", { align: "center" });
-    doc.moveDown();
+      const changes = plan.rows;
 
-    const issuedAt = payment.receiptIssuedAt
-      ? new Date(payment.receiptIssuedAt)
-      : payment.receivedAt
-      ? new Date(payment.receivedAt)
-      : new Date();
+      if (!dryRun) {
+        await feesAudit(req, {
+          action: "FEES_DOCUMENTS_RENUMBERED",
+          targetType: "DOCUMENT_COUNTER",
+          targetId: `${kind}:${year}`,
+          metadata: { kind, year, documents: plan.documents, renumbered: changes.length },
+        });
+      }
 
-    doc.fontSize(11);
-    doc.text(`Receipt No: ${payment.receiptNo || "—"}`);
-    doc.text(`Date: ${issuedAt.toDateString()}`);
-    doc.text(`Status: ${payment.isReversed ? "REVERSED" : "POSTED"}`);
-    if (payment.isReversed) {
-      doc.text(
-        `Reversed At: ${payment.reversedAt ? new Date(payment.reversedAt).toLocaleString() : "—"}`
-      );
-      doc.text(`Reason: ${payment.reversalReason || "—"}`);
+      return res.json({
+        kind,
+        year: fmt.includeYear ? year : null,
+        dryRun,
+        documents: plan.documents,
+        renumbered: changes.length,
+        nextNumber: formatDocNo({ ...fmt, year, seq: issued + changes.length + 1 }),
+        changes: changes.slice(0, 200).map(({ id, createdAt, from, to }) => ({ id, createdAt, from, to })),
+      });
+    } catch (err) {
+      console.error("RENUMBER DOCUMENTS ERROR:", err);
+      return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
     }
-    doc.moveDown();
-
-    doc.text(`Student: ${student?.firstName || "—"} ${student?.lastName || ""}`);
-    doc.text(`Admission No: ${student?.admissionNo || "—"}`);
-    doc.moveDown();
-
-    doc.text(`Amount Paid: ${payment.amount}`);
-    doc.text(`Payment Method: ${payment.method}`);
-    if (payment.reference) doc.text(`Reference: ${payment.reference}`);
-    doc.text(`Received By: ${payment.receivedBy || "—"}`);
-    doc.moveDown();
-
-    doc.text(`Invoice Total: ${payment.invoice.total}`);
-    doc.text(`Total Paid: ${payment.invoice.paid}`);
-    doc.text(`Balance: ${payment.invoice.balance}`);
-    doc.moveDown();
-
-    doc.text("Thank you.", { align: "center" });
-    doc.end();
-  } catch (err) {
-    console.error("RECEIPT PDF ERROR:", err);
-    return res.status(500).json({ message: "Server error" });
   }
-});
+);
 
 /* --------------------
  * Reports (READ entitlement)
@@ -1292,6 +4477,12 @@ router.get(
 );
 
 
+/**
+ * GET /api/fees/reports/defaulters
+ * Query: classId, year, term, asOf?, basis? (overdue|balance), minBalance?, minDays?, limit?, export?
+ * basis=overdue (default) lists only invoices with an installment past due as of `asOf`,
+ * aged from the oldest unpaid installment; basis=balance lists every unpaid invoice.
+ */
 router.get(
   "/reports/defaulters",
   requireRole("ADMIN", "BURSAR"),
@@ -1303,10 +4494,14 @@ router.get(
       const y = toInt(year, null);
       const minB = toNumber(minBalance, 1);
       const lim = Math.min(Math.max(toInt(limit, 50), 1), 500);
+      const basis = String(req.query?.basis || "overdue").toLowerCase() === "balance" ? "balance" : "overdue";
+      const minDays = Math.max(toInt(req.query?.minDays, 0), 0);
+      const asOf = req.query?.asOf ? toDay(req.query.asOf) : toDay(new Date());
 
       if (!classId || !y || !term) {
         return res.status(400).json({ message: "classId, year, and term are required." });
       }
+      if (!asOf) return res.status(400).json({ message: "Invalid asOf date. Use YYYY-MM-DD." });
 
       const classRow = await prisma.class.findFirst({
         where: { id: String(classId), schoolId: req.schoolId },
@@ -1324,19 +4519,43 @@ router.get(
           status: { not: "VOID" },
         },
         orderBy: { balance: "desc" },
-        take: lim,
         select: {
           id: true,
           studentId: true,
+          invoiceNo: true,
           total: true,
           paid: true,
           balance: true,
+          broughtForward: true,
           status: true,
           createdAt: true,
+          installments: { orderBy: { seq: "asc" } },
         },
       });
 
-      const studentIds = [...new Set(invoices.map((i) => i.studentId))];
+      // every unpaid invoice is aged; the filters below decide who is listed
+      const aged = invoices.map((inv) => {
+        const due = invoiceDueStatus(inv, asOf);
+        return { inv, due, bucket: agingBucket(due) };
+      });
+
+      const aging = Object.fromEntries(AGING_BUCKETS.map((b) => [b, { count: 0, overdue: 0, balance: 0 }]));
+      for (const a of aged) {
+        aging[a.bucket].count += 1;
+        aging[a.bucket].overdue += a.due.overdue;
+        aging[a.bucket].balance += a.inv.balance;
+      }
+
+      const listed = aged
+        .filter((a) => (basis === "balance" ? true : a.due.overdue > 0) && a.due.daysOverdue >= minDays)
+        .sort((a, b) =>
+          basis === "balance"
+            ? b.inv.balance - a.inv.balance
+            : b.due.overdue - a.due.overdue || b.due.daysOverdue - a.due.daysOverdue
+        )
+        .slice(0, lim);
+
+      const studentIds = [...new Set(listed.map((a) => a.inv.studentId))];
 
       const students = await prisma.student.findMany({
         where: { id: { in: studentIds }, schoolId: req.schoolId },
@@ -1345,15 +4564,22 @@ router.get(
 
       const studentMap = new Map(students.map((s) => [s.id, s]));
 
-      const rows = invoices.map((inv) => {
+      const rows = listed.map(({ inv, due, bucket }) => {
         const st = studentMap.get(inv.studentId);
         return {
           invoiceId: inv.id,
+          invoiceNo: inv.invoiceNo || "",
           admissionNo: st?.admissionNo || "",
           studentName: `${st?.firstName || ""} ${st?.lastName || ""}`.trim(),
           total: inv.total,
           paid: inv.paid,
           balance: inv.balance,
+          overdue: due.overdue,
+          daysOverdue: due.daysOverdue,
+          overdueSince: due.overdueSince ? due.overdueSince.toISOString().slice(0, 10) : "",
+          aging: bucket,
+          nextDueDate: due.nextDue ? due.nextDue.dueDate.toISOString().slice(0, 10) : "",
+          nextDueAmount: due.nextDue ? due.nextDue.amount : 0,
           status: inv.status,
           createdAt: inv.createdAt,
         };
@@ -1367,7 +4593,10 @@ router.get(
     classId: String(classId),
     year: y,
     term: String(term),
+    asOf: asOf.toISOString().slice(0, 10),
+    basis,
     minBalance: Number(minB),
+    minDays,
     limit: lim,
     export: exportType === "csv" || exportType === "xlsx" ? exportType : null,
     resultCount: rows.length,
@@ -1389,11 +4618,18 @@ router.get(
           "Defaulters",
           [
             { header: "Invoice ID", key: "invoiceId", width: 18 },
+            { header: "Invoice No", key: "invoiceNo", width: 16 },
             { header: "Admission No", key: "admissionNo", width: 14 },
             { header: "Student Name", key: "studentName", width: 22 },
             { header: "Total", key: "total", width: 12 },
             { header: "Paid", key: "paid", width: 12 },
             { header: "Balance", key: "balance", width: 12 },
+            { header: "Overdue", key: "overdue", width: 12 },
+            { header: "Days Overdue", key: "daysOverdue", width: 12 },
+            { header: "Overdue Since", key: "overdueSince", width: 14 },
+            { header: "Aging", key: "aging", width: 10 },
+            { header: "Next Due Date", key: "nextDueDate", width: 14 },
+            { header: "Next Due Amount", key: "nextDueAmount", width: 14 },
             { header: "Status", key: "status", width: 14 },
             { header: "Created At", key: "createdAt", width: 20 },
           ],
@@ -1406,10 +4642,15 @@ router.get(
         classId: String(classId),
         year: y,
         term: String(term),
+        asOf,
+        basis,
         minBalance: Number(minB),
+        minDays,
         count: rows.length,
+        aging,
         rows: rows.map((r) => ({
           invoiceId: r.invoiceId,
+          invoiceNo: r.invoiceNo || null,
           student: {
             admissionNo: r.admissionNo,
             name: r.studentName,
@@ -1417,6 +4658,11 @@ router.get(
           total: r.total,
           paid: r.paid,
           balance: r.balance,
+          overdue: r.overdue,
+          daysOverdue: r.daysOverdue,
+          overdueSince: r.overdueSince || null,
+          aging: r.aging,
+          nextDue: r.nextDueDate ? { dueDate: r.nextDueDate, amount: r.nextDueAmount } : null,
           status: r.status,
           createdAt: r.createdAt,
         })),
@@ -1429,32 +4675,231 @@ router.get(
 );
 
 
+/**
+ * GET /api/fees/reports/aging
+ * Query: classId?, year?, term?, asOf?, basis? (due|issue), groupBy? (class|item, for exports), export?
+ * Aged receivables: outstanding balances bucketed 0–30 / 31–60 / 61–90 / 90+ days,
+ * from each installment's due date (basis=due, default) or from the invoice date (basis=issue).
+ * Balances are the current ones; asOf only sets the aging clock (invoices issued after it are left out).
+ */
 router.get(
-  "/reports/collections",
+  "/reports/aging",
   requireRole("ADMIN", "BURSAR"),
-  requireSubscriptionForReports,
   requireEntitlement("FEES_READ"),
   async (req, res) => {
     try {
-      const { from, to, export: exportType } = req.query;
-      const { fromDate, toDate } = parseDateRange(from, to);
+      const { classId, term, export: exportType } = req.query;
+      const y = toInt(req.query?.year, null);
+      const basis = String(req.query?.basis || "due").toLowerCase() === "issue" ? "issue" : "due";
+      const groupBy = String(req.query?.groupBy || "class").toLowerCase() === "item" ? "item" : "class";
+      const asOf = req.query?.asOf ? toDay(req.query.asOf) : toDay(new Date());
+      if (!asOf) return res.status(400).json({ message: "Invalid asOf date. Use YYYY-MM-DD." });
+
+      if (classId) {
+        const classRow = await prisma.class.findFirst({
+          where: { id: String(classId), schoolId: req.schoolId },
+          select: { id: true },
+        });
+        if (!classRow) return res.status(400).json({ message: "Invalid classId" });
+      }
 
-      const payments = await prisma.feePayment.findMany({
+      const invoices = await prisma.feeInvoice.findMany({
         where: {
           schoolId: req.schoolId,
-          receivedAt: { gte: fromDate, lte: toDate },
-          isReversed: false,
+          classId: classId ? String(classId) : undefined,
+          year: y ?? undefined,
+          term: term ? String(term) : undefined,
+          status: { notIn: ["VOID", "CARRIED_FORWARD"] },
+          balance: { gt: 0 },
+          createdAt: { lt: new Date(asOf.getTime() + DAY_MS) },
+        },
+        select: {
+          id: true,
+          classId: true,
+          total: true,
+          paid: true,
+          balance: true,
+          creditApplied: true,
+          broughtForward: true,
+          status: true,
+          createdAt: true,
+          lines: { select: { feeItemId: true, amount: true, isBroughtForward: true } },
+          installments: { orderBy: { seq: "asc" } },
         },
-        orderBy: { receivedAt: "desc" },
       });
 
-      const rows = payments.map((p) => ({
-        receiptNo: p.receiptNo,
-        amount: p.amount,
-        method: p.method,
-        reference: p.reference,
-        receivedAt: p.receivedAt,
-      }));
+      const emptyRow = () => ({ invoices: 0, ...Object.fromEntries(AGING_BUCKETS.map((b) => [b, 0])), total: 0 });
+      const byClass = new Map();
+      const byItem = new Map();
+      const totals = emptyRow();
+
+      for (const inv of invoices) {
+        const slices = agingSlices(inv, asOf, basis);
+        const itemShares = outstandingByItem(inv);
+
+        if (!byClass.has(inv.classId)) byClass.set(inv.classId, emptyRow());
+        const classRow = byClass.get(inv.classId);
+        classRow.invoices += 1;
+        totals.invoices += 1;
+
+        for (const [bucket, amount] of Object.entries(slices)) {
+          classRow[bucket] += amount;
+          classRow.total += amount;
+          totals[bucket] += amount;
+          totals.total += amount;
+
+          for (const [feeItemId, part] of splitProRata(amount, itemShares)) {
+            if (!byItem.has(feeItemId)) byItem.set(feeItemId, emptyRow());
+            const itemRow = byItem.get(feeItemId);
+            itemRow[bucket] += part;
+            itemRow.total += part;
+          }
+        }
+        for (const feeItemId of itemShares.keys()) {
+          if (byItem.has(feeItemId)) byItem.get(feeItemId).invoices += 1;
+        }
+      }
+
+      const [classes, items] = await Promise.all([
+        prisma.class.findMany({
+          where: { id: { in: [...byClass.keys()] }, schoolId: req.schoolId },
+          select: { id: true, name: true, stream: true, year: true },
+        }),
+        prisma.feeItem.findMany({
+          where: { id: { in: [...byItem.keys()] }, schoolId: req.schoolId },
+          select: { id: true, name: true, code: true },
+        }),
+      ]);
+      const classMap = new Map(classes.map((c) => [c.id, c]));
+      const itemMap = new Map(items.map((i) => [i.id, i]));
+
+      const classRows = [...byClass.entries()]
+        .map(([id, row]) => {
+          const c = classMap.get(id);
+          return { classId: id, className: c ? `${c.name}${c.stream ? ` ${c.stream}` : ""}` : id, ...row };
+        })
+        .sort((a, b) => b.total - a.total);
+      const itemRows = [...byItem.entries()]
+        .map(([id, row]) => ({ feeItemId: id, itemName: itemMap.get(id)?.name || id, code: itemMap.get(id)?.code || null, ...row }))
+        .sort((a, b) => b.total - a.total);
+
+      await feesAudit(req, {
+        action: "REPORTS_FEES_AGING_VIEWED",
+        targetType: classId ? "CLASS" : "SCHOOL",
+        targetId: classId || req.schoolId,
+        metadata: {
+          classId: classId ? String(classId) : null,
+          year: y,
+          term: term ? String(term) : null,
+          asOf: asOf.toISOString().slice(0, 10),
+          basis,
+          export: normalizeExportType(exportType),
+          invoiceCount: totals.invoices,
+          totalOutstanding: totals.total,
+        },
+      });
+
+      const exportMode = normalizeExportType(exportType);
+      if (exportMode) {
+        const rows = (groupBy === "item" ? itemRows : classRows).map((r) => ({
+          group: groupBy === "item" ? r.itemName : r.className,
+          invoices: r.invoices,
+          notDue: r.NOT_DUE,
+          days0to30: r["0-30"],
+          days31to60: r["31-60"],
+          days61to90: r["61-90"],
+          days90plus: r["90+"],
+          total: r.total,
+        }));
+        const fileBase = `fees-aging-by-${groupBy}-${basis}-${asOf.toISOString().slice(0, 10)}`;
+
+        if (exportMode === "csv") return exportCSV(res, fileBase, rows);
+
+        return exportXLSX(
+          res,
+          fileBase,
+          "Aging",
+          [
+            { header: groupBy === "item" ? "Fee Item" : "Class", key: "group", width: 24 },
+            { header: "Invoices", key: "invoices", width: 10 },
+            { header: "Not Due", key: "notDue", width: 12 },
+            { header: "0-30 Days", key: "days0to30", width: 12 },
+            { header: "31-60 Days", key: "days31to60", width: 12 },
+            { header: "61-90 Days", key: "days61to90", width: 12 },
+            { header: "90+ Days", key: "days90plus", width: 12 },
+            { header: "Total", key: "total", width: 14 },
+          ],
+          rows
+        );
+      }
+
+      return res.json({
+        asOf,
+        basis,
+        classId: classId ? String(classId) : null,
+        year: y,
+        term: term ? String(term) : null,
+        buckets: AGING_BUCKETS,
+        totals,
+        byClass: classRows,
+        byItem: itemRows,
+      });
+    } catch (err) {
+      console.error("AGING REPORT ERROR:", err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+
+router.get(
+  "/reports/collections",
+  requireRole("ADMIN", "BURSAR"),
+  requireSubscriptionForReports,
+  requireEntitlement("FEES_READ"),
+  async (req, res) => {
+    try {
+      const { from, to, export: exportType } = req.query;
+      const { fromDate, toDate } = parseDateRange(from, to);
+
+      const [payments, refunds] = await Promise.all([
+        prisma.feePayment.findMany({
+          where: {
+            schoolId: req.schoolId,
+            receivedAt: { gte: fromDate, lte: toDate },
+            isReversed: false,
+          },
+          orderBy: { receivedAt: "desc" },
+        }),
+        prisma.feeRefund.findMany({
+          where: {
+            schoolId: req.schoolId,
+            status: "APPROVED",
+            approvedAt: { gte: fromDate, lte: toDate },
+          },
+          orderBy: { approvedAt: "desc" },
+        }),
+      ]);
+
+      // refunds are money out: negative rows so an export sums to the net
+      const rows = [
+        ...payments.map((p) => ({
+          type: "PAYMENT",
+          receiptNo: p.receiptNo,
+          amount: p.amount,
+          method: p.method,
+          reference: p.reference,
+          receivedAt: p.receivedAt,
+        })),
+        ...refunds.map((r) => ({
+          type: "REFUND",
+          receiptNo: r.voucherNo,
+          amount: -r.amount,
+          method: r.method,
+          reference: r.reference,
+          receivedAt: r.approvedAt,
+        })),
+      ].sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt));
 
       await feesAudit(req, {
   action: "REPORTS_FEES_COLLECTIONS_VIEWED",
@@ -1480,7 +4925,8 @@ router.get(
           "fees-collections",
           "Collections",
           [
-            { header: "Receipt No", key: "receiptNo", width: 20 },
+            { header: "Type", key: "type", width: 10 },
+            { header: "Receipt / Voucher No", key: "receiptNo", width: 20 },
             { header: "Amount", key: "amount", width: 12 },
             { header: "Method", key: "method", width: 12 },
             { header: "Reference", key: "reference", width: 20 },
@@ -1499,8 +4945,17 @@ router.get(
         },
         { totalCollected: 0, byMethod: {} }
       );
+      const totalRefunded = refunds.reduce((sum, r) => sum + Number(r.amount || 0), 0);
 
-      return res.json({ from, to, ...totals, payments });
+      return res.json({
+        from,
+        to,
+        ...totals,
+        totalRefunded,
+        netCollected: totals.totalCollected - totalRefunded,
+        payments,
+        refunds,
+      });
     } catch (err) {
       console.error("COLLECTIONS EXPORT ERROR:", err);
       return res.status(500).json({ message: "Server error" });
@@ -1508,5 +4963,156 @@ router.get(
   }
 );
 
+/**
+ * Collections by fee item (vote head): money received in the range, split by the lines it settled.
+ * Overpayments held as student credit, payments posted before line allocation and refunds paid out
+ * are shown as their own rows.
+ */
+router.get(
+  "/reports/collections-by-item",
+  requireRole("ADMIN", "BURSAR"),
+  requireSubscriptionForReports,
+  requireEntitlement("FEES_READ"),
+  async (req, res) => {
+    try {
+      const { from, to, export: exportType } = req.query;
+      const { fromDate, toDate } = parseDateRange(from, to);
+      const paymentWhere = {
+        schoolId: req.schoolId,
+        receivedAt: { gte: fromDate, lte: toDate },
+        isReversed: false,
+      };
+
+      const [grouped, paymentTotals, refundTotals] = await Promise.all([
+        prisma.feePaymentAllocation.groupBy({
+          by: ["feeItemId"],
+          where: { schoolId: req.schoolId, payment: paymentWhere },
+          _sum: { amount: true },
+          _count: { paymentId: true },
+        }),
+        prisma.feePayment.aggregate({
+          where: paymentWhere,
+          _sum: { amount: true, creditAmount: true },
+          _count: { id: true },
+        }),
+        prisma.feeRefund.aggregate({
+          where: { schoolId: req.schoolId, status: "APPROVED", approvedAt: { gte: fromDate, lte: toDate } },
+          _sum: { amount: true },
+          _count: { id: true },
+        }),
+      ]);
+
+      const itemsById = await feeItemsById(prisma, req.schoolId, grouped.map((g) => g.feeItemId));
+
+      const rows = grouped
+        .map((g) => {
+          const item = itemsById.get(g.feeItemId);
+          return {
+            feeItemId: g.feeItemId,
+            itemName: item?.name || "Unknown item",
+            code: item?.code || null,
+            priority: item?.allocationPriority ?? null,
+            receipts: g._count.paymentId,
+            amount: Number(g._sum.amount || 0),
+          };
+        })
+        .sort((a, b) => b.amount - a.amount || a.itemName.localeCompare(b.itemName));
+
+      const totalCollected = Number(paymentTotals._sum.amount || 0);
+      const toCredit = Number(paymentTotals._sum.creditAmount || 0);
+      const allocated = rows.reduce((sum, r) => sum + r.amount, 0);
+      const unallocated = Math.max(totalCollected - toCredit - allocated, 0);
+
+      if (toCredit > 0) {
+        rows.push({
+          feeItemId: null,
+          itemName: "Student credit (overpayments)",
+          code: null,
+          priority: null,
+          receipts: null,
+          amount: toCredit,
+        });
+      }
+      if (unallocated > 0) {
+        rows.push({
+          feeItemId: null,
+          itemName: "Unallocated (older payments)",
+          code: null,
+          priority: null,
+          receipts: null,
+          amount: unallocated,
+        });
+      }
+
+      // refunds come out of student credit, not a fee item
+      const refunded = Number(refundTotals._sum.amount || 0);
+      if (refunded > 0) {
+        rows.push({
+          feeItemId: null,
+          itemName: "Refunds paid",
+          code: null,
+          priority: null,
+          receipts: refundTotals._count.id,
+          amount: -refunded,
+        });
+      }
+
+      await feesAudit(req, {
+        action: "REPORTS_FEES_COLLECTIONS_BY_ITEM_VIEWED",
+        targetType: "FEES_REPORT",
+        targetId: `${from}:${to}`,
+        metadata: {
+          from,
+          to,
+          export: exportType === "csv" || exportType === "xlsx" ? exportType : null,
+          rows: rows.length,
+        },
+      });
+
+      const exportRows = rows.map((r) => ({
+        feeItem: r.itemName,
+        code: r.code || "",
+        receipts: r.receipts ?? "",
+        amount: r.amount,
+      }));
+
+      if (exportType === "csv") {
+        return exportCSV(res, "fees-collections-by-item", exportRows);
+      }
+
+      if (exportType === "xlsx") {
+        return exportXLSX(
+          res,
+          "fees-collections-by-item",
+          "By Fee Item",
+          [
+            { header: "Fee Item", key: "feeItem", width: 30 },
+            { header: "Code", key: "code", width: 12 },
+            { header: "Receipts", key: "receipts", width: 10 },
+            { header: "Amount", key: "amount", width: 14 },
+          ],
+          exportRows
+        );
+      }
+
+      return res.json({
+        from,
+        to,
+        totalCollected,
+        receipts: paymentTotals._count.id,
+        allocated,
+        toCredit,
+        unallocated,
+        refunded,
+        netCollected: totalCollected - refunded,
+        rows,
+      });
+    } catch (err) {
+      console.error("COLLECTIONS BY ITEM ERROR:", err);
+      return res.status(err?.status || 500).json({ message: err?.message || "Server error" });
+    }
+  }
+);
+
 
 export default router;
@@ -4,6 +4,7 @@ import { requireAuth } from "../../middleware/auth.js";
 import { resolveSchoolScope } from "../../utils/roleScope.js";
 import { clearSettingsCache } from "../../middleware/features.js";
 import { logAudit } from "../../utils/audit.js";
+import { DOC_NO_PADDING_MAX, DOC_NO_PADDING_MIN, formatDocNo } from "../../utils/docNumbers.js";
 
 const router = Router();
 
@@ -23,6 +24,28 @@ async function getOrCreateSettings(schoolId) {
   return settings;
 }
 
+const PREFIX_RE = /^[A-Z0-9]{1,12}$/;
+
+function shapePrint(schoolId, s) {
+  const year = new Date().getUTCFullYear();
+  const sample = (prefix) =>
+    formatDocNo({ prefix, year, seq: 1, includeYear: s.docNoIncludeYear, padding: s.docNoPadding });
+
+  return {
+    schoolId,
+    printShowLogo: s.printShowLogo,
+    printHeaderText: s.printHeaderText,
+    printFooterText: s.printFooterText,
+    invoiceNoPrefix: s.invoiceNoPrefix,
+    receiptNoPrefix: s.receiptNoPrefix,
+    docNoIncludeYear: s.docNoIncludeYear,
+    docNoPadding: s.docNoPadding,
+    sampleInvoiceNo: sample(s.invoiceNoPrefix),
+    sampleReceiptNo: sample(s.receiptNoPrefix),
+    updatedAt: s.updatedAt,
+  };
+}
+
 function cleanText(v, max = 500) {
   if (v == null) return null;
   const s = String(v).trim();
@@ -45,15 +68,7 @@ router.get("/", requireAuth, async (req, res) => {
     const { schoolId } = resolved;
     const s = await getOrCreateSettings(schoolId);
 
-    return res.json({
-      print: {
-        schoolId,
-        printShowLogo: s.printShowLogo,
-        printHeaderText: s.printHeaderText,
-        printFooterText: s.printFooterText,
-        updatedAt: s.updatedAt,
-      },
-    });
+    return res.json({ print: shapePrint(schoolId, s) });
   } catch (err) {
     console.error("GET PRINT ERROR:", err);
     return res.status(500).json({ message: "Server error" });
@@ -74,7 +89,15 @@ router.patch("/", requireAuth, async (req, res) => {
     const { schoolId } = resolved;
     const body = req.body || {};
 
-    const allowed = ["printShowLogo", "printHeaderText", "printFooterText"];
+    const allowed = [
+      "printShowLogo",
+      "printHeaderText",
+      "printFooterText",
+      "invoiceNoPrefix",
+      "receiptNoPrefix",
+      "docNoIncludeYear",
+      "docNoPadding",
+    ];
     for (const k of Object.keys(body)) {
       if (!allowed.includes(k))
         return res.status(400).json({ message: `Unknown field: ${k}` });
@@ -84,6 +107,29 @@ router.patch("/", requireAuth, async (req, res) => {
       return res.status(400).json({ message: "printShowLogo must be boolean" });
     }
 
+    for (const k of ["invoiceNoPrefix", "receiptNoPrefix"]) {
+      if (k in body) {
+        body[k] = String(body[k] ?? "").trim().toUpperCase();
+        if (!PREFIX_RE.test(body[k])) {
+          return res.status(400).json({ message: `${k} must be 1-12 letters or digits` });
+        }
+      }
+    }
+
+    if ("docNoIncludeYear" in body && typeof body.docNoIncludeYear !== "boolean") {
+      return res.status(400).json({ message: "docNoIncludeYear must be boolean" });
+    }
+
+    if ("docNoPadding" in body) {
+      const n = Number(body.docNoPadding);
+      if (!Number.isInteger(n) || n < DOC_NO_PADDING_MIN || n > DOC_NO_PADDING_MAX) {
+        return res
+          .status(400)
+          .json({ message: `docNoPadding must be a whole number from ${DOC_NO_PADDING_MIN} to ${DOC_NO_PADDING_MAX}` });
+      }
+      body.docNoPadding = n;
+    }
+
     const s = await getOrCreateSettings(schoolId);
 
     const data = {};
@@ -92,6 +138,9 @@ router.patch("/", requireAuth, async (req, res) => {
       data.printHeaderText = cleanText(body.printHeaderText, 800);
     if ("printFooterText" in body)
       data.printFooterText = cleanText(body.printFooterText, 800);
+    for (const k of ["invoiceNoPrefix", "receiptNoPrefix", "docNoIncludeYear", "docNoPadding"]) {
+      if (k in body) data[k] = body[k];
+    }
 
     const updated = await prisma.schoolSettings.update({
       where: { id: s.id },
@@ -110,15 +159,7 @@ router.patch("/", requireAuth, async (req, res) => {
       metadata: { updatedFields: Object.keys(data) },
     });
 
-    return res.json({
-      print: {
-        schoolId,
-        printShowLogo: updated.printShowLogo,
-        printHeaderText: updated.printHeaderText,
-        printFooterText: updated.printFooterText,
-        updatedAt: updated.updatedAt,
-      },
-    });
+    return res.json({ print: shapePrint(schoolId, updated) });
   } catch (err) {
     console.error("PATCH PRINT ERROR:", err);
     return res.status(500).json({ message: "Server error" });
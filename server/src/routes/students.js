@@ -1,10 +1,20 @@
 // src/routes/students.js
 import { Router } from "express";
+import PDFDocument from "pdfkit";
 import { prisma } from "../lib/prisma.js";
 import { requireRole } from "../middleware/auth.js";
 import { requireTenant } from "../middleware/tenant.js";
 import { loadSubscription, requireLimit } from "../middleware/subscription.js";
 import { logAudit } from "../utils/audit.js";
+import {
+  classLabel,
+  classRosterWhere,
+  closePlacement,
+  placeStudent,
+} from "../utils/enrollment.js";
+import { nextDocNo } from "../utils/docNumbers.js";
+import { feeClearanceByStudent } from "./fees.js";
+import { studentIncidents } from "../modules/discipline/discipline.service.js";
 
 const router = Router();
 router.use(requireTenant);
@@ -63,6 +73,103 @@ function actorCtx(req) {
   };
 }
 
+// TEACHER scope: only students in their assigned class(es)
+async function teacherCanSeeStudent(req, student) {
+  const teacherId = req.user?.teacherId;
+  if (!teacherId) return false;
+
+  const isAssigned = await prisma.classTeacher.findFirst({
+    where: {
+      teacherId: String(teacherId),
+      isActive: true,
+      classId: student.classId ?? "__none__",
+      class: { schoolId: req.schoolId },
+      teacher: { schoolId: req.schoolId },
+    },
+    select: { id: true },
+  });
+  return !!isAssigned;
+}
+
+// Class lists may show that a child has allergies, never the medical details themselves
+const ALLERGY_ALERT_INCLUDE = { medicalProfile: { select: { allergyAlert: true } } };
+
+function withAllergyAlert(student) {
+  const { medicalProfile, ...rest } = student;
+  return { ...rest, allergyAlert: !!medicalProfile?.allergyAlert };
+}
+
+const GUARDIAN_RELATIONSHIPS = [
+  "MOTHER",
+  "FATHER",
+  "GUARDIAN",
+  "GRANDPARENT",
+  "SIBLING",
+  "SPONSOR",
+  "OTHER",
+];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RE = /^\+?[0-9][0-9 -]{6,18}$/;
+
+// Guardian person fields from a request body. Returns { data } or { error }.
+const pickGuardian = (body, { partial = false } = {}) => {
+  const data = {};
+  for (const k of ["firstName", "lastName", "phone", "altPhone", "email", "nationalId", "address"]) {
+    if (body?.[k] === undefined) continue;
+    const v = cleanStr(body[k]);
+    data[k] = v === "" ? null : v;
+  }
+
+  if (!partial && (!data.firstName || !data.lastName)) {
+    return { error: "Guardian firstName and lastName are required" };
+  }
+  if (partial && (("firstName" in data && !data.firstName) || ("lastName" in data && !data.lastName))) {
+    return { error: "Guardian name cannot be empty" };
+  }
+  if (!partial && !data.phone && !data.email) {
+    return { error: "Give the guardian a phone number or an email" };
+  }
+  for (const k of ["phone", "altPhone"]) {
+    if (data[k] && !PHONE_RE.test(data[k])) return { error: `Invalid ${k}` };
+  }
+  if (data.email) {
+    data.email = data.email.toLowerCase();
+    if (!EMAIL_RE.test(data.email)) return { error: "Invalid email" };
+  }
+  if (data.nationalId) data.nationalId = data.nationalId.toUpperCase();
+
+  return { data };
+};
+
+// Link fields (relationship / primary contact / fee payer). Returns { data } or { error }.
+const pickGuardianLink = (body) => {
+  const data = {};
+  if (body?.relationship !== undefined) {
+    const rel = String(body.relationship || "").trim().toUpperCase();
+    if (!GUARDIAN_RELATIONSHIPS.includes(rel)) {
+      return { error: `relationship must be one of: ${GUARDIAN_RELATIONSHIPS.join(", ")}` };
+    }
+    data.relationship = rel;
+  }
+  for (const k of ["isPrimary", "isFeePayer"]) {
+    if (body?.[k] === undefined) continue;
+    if (typeof body[k] !== "boolean") return { error: `${k} must be boolean` };
+    data[k] = body[k];
+  }
+  return { data };
+};
+
+// Only one primary contact and one fee payer per student: setting the flag moves it.
+async function clearOtherGuardianFlags(tx, { studentId, guardianId, link }) {
+  for (const k of ["isPrimary", "isFeePayer"]) {
+    if (link[k] !== true) continue;
+    await tx.studentGuardian.updateMany({
+      where: { studentId, guardianId: { not: guardianId }, [k]: true },
+      data: { [k]: false },
+    });
+  }
+}
+
 // --------------------
 // STUDENTS
 // Base path: /api/students
@@ -105,18 +212,32 @@ router.post(
             .json({ message: "Invalid classId for this school" });
       }
 
-      const created = await prisma.student.create({
-        data: {
-          schoolId,
-          admissionNo,
-          firstName,
-          lastName,
-          gender: gender || null,
-          dob,
-          classId: classRow ? classRow.id : null,
-          isActive: true,
-        },
-        include: { class: true },
+      const created = await prisma.$transaction(async (tx) => {
+        const student = await tx.student.create({
+          data: {
+            schoolId,
+            admissionNo,
+            firstName,
+            lastName,
+            gender: gender || null,
+            dob,
+            classId: classRow ? classRow.id : null,
+            isActive: true,
+          },
+          include: { class: true },
+        });
+
+        if (student.classId) {
+          await placeStudent(tx, {
+            schoolId,
+            studentId: student.id,
+            classId: student.classId,
+            reason: "ADMISSION",
+            createdBy: req.user?.id || null,
+          });
+        }
+
+        return student;
       });
 
       await logAudit({
@@ -218,11 +339,20 @@ router.get("/", requireRole("ADMIN", "TEACHER", "BURSAR"), async (req, res) => {
           .json({ message: "Invalid classId for this school" });
     }
 
-    const where = {
-      schoolId,
-      isActive: active,
-      ...(classIdFilter ? { classId: classIdFilter } : {}),
-    };
+    // ?asOf=YYYY-MM-DD: the class as it stood that day (from placement history, leavers included)
+    const asOf = req.query.asOf ? toDateOrNull(req.query.asOf) : null;
+    if (req.query.asOf && !asOf)
+      return res.status(400).json({ message: "asOf must be a date (YYYY-MM-DD)" });
+    if (asOf && !classIdFilter)
+      return res.status(400).json({ message: "asOf needs a classId" });
+
+    const where = asOf
+      ? { schoolId, ...classRosterWhere(classIdFilter, asOf) }
+      : {
+          schoolId,
+          isActive: active,
+          ...(classIdFilter ? { classId: classIdFilter } : {}),
+        };
 
     // TEACHER scope enforcement
     if (req.role === "TEACHER") {
@@ -242,28 +372,66 @@ router.get("/", requireRole("ADMIN", "TEACHER", "BURSAR"), async (req, res) => {
       const allowedClassIds = assigned.map((x) => x.classId);
       if (allowedClassIds.length === 0) return res.json([]);
 
-      if (where.classId && !allowedClassIds.includes(where.classId)) {
+      if (classIdFilter && !allowedClassIds.includes(classIdFilter)) {
         return res
           .status(403)
           .json({ message: "Forbidden: not your assigned class" });
       }
 
-      if (!where.classId) where.classId = { in: allowedClassIds };
+      if (!classIdFilter) where.classId = { in: allowedClassIds };
     }
 
     const students = await prisma.student.findMany({
       where,
       orderBy: { createdAt: "desc" },
-      include: { class: true },
+      include: { class: true, ...ALLERGY_ALERT_INCLUDE },
     });
 
-    return res.json(students);
+    return res.json(students.map(withAllergyAlert));
   } catch (err) {
     console.error("LIST STUDENTS ERROR:", err);
     return res.status(500).json({ message: "Server error" });
   }
 });
 
+// ADMIN: Find existing guardians (to link a sibling to the same parent)
+router.get("/guardians/search", requireRole("ADMIN"), async (req, res) => {
+  try {
+    const schoolId = req.schoolId;
+    const q = String(req.query.q || "").trim();
+    if (q.length < 2) return res.json([]);
+
+    const guardians = await prisma.guardian.findMany({
+      where: {
+        schoolId,
+        OR: [
+          { firstName: { contains: q, mode: "insensitive" } },
+          { lastName: { contains: q, mode: "insensitive" } },
+          { phone: { contains: q } },
+          { altPhone: { contains: q } },
+          { email: { contains: q, mode: "insensitive" } },
+          { nationalId: { contains: q.toUpperCase() } },
+        ],
+      },
+      orderBy: [{ lastName: "asc" }, { firstName: "asc" }],
+      take: 20,
+      include: {
+        students: {
+          select: {
+            relationship: true,
+            student: { select: { id: true, admissionNo: true, firstName: true, lastName: true } },
+          },
+        },
+      },
+    });
+
+    return res.json(guardians);
+  } catch (err) {
+    console.error("SEARCH GUARDIANS ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
 // ADMIN + TEACHER: Get one student
 router.get("/:id", requireRole("ADMIN", "TEACHER", "BURSAR"), async (req, res) => {
   try {
@@ -271,7 +439,7 @@ router.get("/:id", requireRole("ADMIN", "TEACHER", "BURSAR"), async (req, res) =
 
     const student = await prisma.student.findFirst({
       where: { id: String(req.params.id), schoolId },
-      include: { class: true },
+      include: { class: true, ...ALLERGY_ALERT_INCLUDE },
     });
 
     if (!student)
@@ -295,7 +463,7 @@ router.get("/:id", requireRole("ADMIN", "TEACHER", "BURSAR"), async (req, res) =
       if (!isAssigned) return res.status(403).json({ message: "Forbidden" });
     }
 
-    return res.json(student);
+    return res.json(withAllergyAlert(student));
   } catch (err) {
     console.error("GET STUDENT ERROR:", err);
     return res.status(500).json({ message: "Server error" });
@@ -329,9 +497,35 @@ router.patch("/:id", requireRole("ADMIN"), async (req, res) => {
     if (!before)
       return res.status(404).json({ message: "Student not found" });
 
-    await prisma.student.updateMany({
-      where: { id: String(req.params.id), schoolId },
-      data,
+    // re-activating an alumnus undoes the graduation
+    if (data.isActive === true && before.graduatedAt) {
+      data.graduatedAt = null;
+      data.graduationYear = null;
+    }
+
+    const wasActive = before.isActive;
+    const isActive = data.isActive ?? before.isActive;
+    const classAfter = "classId" in data ? data.classId : before.classId;
+
+    await prisma.$transaction(async (tx) => {
+      await tx.student.updateMany({
+        where: { id: String(req.params.id), schoolId },
+        data,
+      });
+
+      // keep the placement history in step with the current class
+      const placement = {
+        schoolId,
+        studentId: before.id,
+        createdBy: req.user?.id || null,
+      };
+      if (wasActive && !isActive) {
+        await closePlacement(tx, placement);
+      } else if (!wasActive && isActive) {
+        await placeStudent(tx, { ...placement, classId: classAfter, reason: "READMISSION" });
+      } else if (isActive && classAfter !== before.classId) {
+        await placeStudent(tx, { ...placement, classId: classAfter, reason: "CLASS_CHANGE" });
+      }
     });
 
     const updated = await prisma.student.findFirst({
@@ -361,6 +555,602 @@ router.patch("/:id", requireRole("ADMIN"), async (req, res) => {
   }
 });
 
+// --------------------
+// GUARDIANS
+// Base path: /api/students/:id/guardians
+// --------------------
+
+// ADMIN + BURSAR + TEACHER (assigned class): List a student's guardians, primary contact first
+router.get("/:id/guardians", requireRole("ADMIN", "TEACHER", "BURSAR"), async (req, res) => {
+  try {
+    const schoolId = req.schoolId;
+
+    const student = await prisma.student.findFirst({
+      where: { id: String(req.params.id), schoolId },
+      select: { id: true, classId: true },
+    });
+    if (!student)
+      return res.status(404).json({ message: "Student not found" });
+
+    if (req.role === "TEACHER" && !(await teacherCanSeeStudent(req, student)))
+      return res.status(403).json({ message: "Forbidden" });
+
+    const links = await prisma.studentGuardian.findMany({
+      where: { schoolId, studentId: student.id },
+      include: { guardian: true },
+      orderBy: [{ isPrimary: "desc" }, { createdAt: "asc" }],
+    });
+
+    return res.json(links);
+  } catch (err) {
+    console.error("LIST GUARDIANS ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ADMIN + BURSAR: Siblings = other students sharing at least one guardian
+router.get("/:id/siblings", requireRole("ADMIN", "BURSAR"), async (req, res) => {
+  try {
+    const schoolId = req.schoolId;
+    const studentId = String(req.params.id);
+
+    const links = await prisma.studentGuardian.findMany({
+      where: { schoolId, studentId },
+      select: { guardianId: true },
+    });
+    if (!links.length) return res.json([]);
+
+    const shared = await prisma.studentGuardian.findMany({
+      where: {
+        schoolId,
+        guardianId: { in: links.map((l) => l.guardianId) },
+        studentId: { not: studentId },
+      },
+      include: {
+        student: {
+          select: {
+            id: true,
+            admissionNo: true,
+            firstName: true,
+            lastName: true,
+            isActive: true,
+            class: { select: { id: true, name: true, stream: true } },
+          },
+        },
+        guardian: { select: { id: true, firstName: true, lastName: true } },
+      },
+    });
+
+    const byStudent = new Map();
+    for (const row of shared) {
+      const acc = byStudent.get(row.studentId) || { ...row.student, sharedGuardians: [] };
+      acc.sharedGuardians.push({
+        ...row.guardian,
+        relationship: row.relationship,
+      });
+      byStudent.set(row.studentId, acc);
+    }
+
+    return res.json([...byStudent.values()]);
+  } catch (err) {
+    console.error("LIST SIBLINGS ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ADMIN: Add a guardian to a student — a new person, or an existing one by guardianId
+// (a new guardian whose nationalId is already on file is linked instead of duplicated)
+router.post("/:id/guardians", requireRole("ADMIN"), async (req, res) => {
+  try {
+    const schoolId = req.schoolId;
+    const body = req.body || {};
+
+    const student = await prisma.student.findFirst({
+      where: { id: String(req.params.id), schoolId },
+      select: { id: true, admissionNo: true },
+    });
+    if (!student)
+      return res.status(404).json({ message: "Student not found" });
+
+    const link = pickGuardianLink({ relationship: "GUARDIAN", ...body });
+    if (link.error) return res.status(400).json({ message: link.error });
+
+    let guardian = null;
+    let person = null;
+    if (body.guardianId) {
+      guardian = await prisma.guardian.findFirst({
+        where: { id: String(body.guardianId), schoolId },
+      });
+      if (!guardian)
+        return res.status(404).json({ message: "Guardian not found" });
+    } else {
+      person = pickGuardian(body);
+      if (person.error) return res.status(400).json({ message: person.error });
+
+      if (person.data.nationalId) {
+        guardian = await prisma.guardian.findFirst({
+          where: { schoolId, nationalId: person.data.nationalId },
+        });
+      }
+    }
+
+    const created = await prisma.$transaction(async (tx) => {
+      const target =
+        guardian || (await tx.guardian.create({ data: { schoolId, ...person.data } }));
+
+      // the first guardian on file is the primary contact unless told otherwise
+      const existing = await tx.studentGuardian.count({ where: { studentId: student.id } });
+      const data = { isPrimary: existing === 0, ...link.data };
+
+      await clearOtherGuardianFlags(tx, { studentId: student.id, guardianId: target.id, link: data });
+
+      return tx.studentGuardian.create({
+        data: { schoolId, studentId: student.id, guardianId: target.id, ...data },
+        include: { guardian: true },
+      });
+    });
+
+    await logAudit({
+      req,
+      ...actorCtx(req),
+      schoolId,
+      action: "STUDENT_GUARDIAN_LINKED",
+      targetType: "STUDENT",
+      targetId: student.id,
+      metadata: {
+        guardianId: created.guardianId,
+        name: `${created.guardian.firstName} ${created.guardian.lastName}`.trim(),
+        relationship: created.relationship,
+        isPrimary: created.isPrimary,
+        isFeePayer: created.isFeePayer,
+        existingGuardian: !!guardian,
+      },
+    });
+
+    return res.status(201).json({ ...created, linkedExisting: !!guardian });
+  } catch (err) {
+    if (err?.code === "P2002") {
+      return res
+        .status(409)
+        .json({ message: "This guardian is already linked to the student" });
+    }
+    console.error("ADD GUARDIAN ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ADMIN: Update a guardian's details (shared by all their students) and this student's link
+router.patch("/:id/guardians/:guardianId", requireRole("ADMIN"), async (req, res) => {
+  try {
+    const schoolId = req.schoolId;
+    const body = req.body || {};
+
+    const before = await prisma.studentGuardian.findFirst({
+      where: { schoolId, studentId: String(req.params.id), guardianId: String(req.params.guardianId) },
+      include: { guardian: true },
+    });
+    if (!before)
+      return res.status(404).json({ message: "Guardian not linked to this student" });
+
+    const person = pickGuardian(body, { partial: true });
+    if (person.error) return res.status(400).json({ message: person.error });
+    const link = pickGuardianLink(body);
+    if (link.error) return res.status(400).json({ message: link.error });
+
+    const merged = { ...before.guardian, ...person.data };
+    if (!merged.phone && !merged.email)
+      return res.status(400).json({ message: "Give the guardian a phone number or an email" });
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (Object.keys(person.data).length) {
+        await tx.guardian.update({ where: { id: before.guardianId }, data: person.data });
+      }
+      await clearOtherGuardianFlags(tx, {
+        studentId: before.studentId,
+        guardianId: before.guardianId,
+        link: link.data,
+      });
+      return tx.studentGuardian.update({
+        where: { id: before.id },
+        data: link.data,
+        include: { guardian: true },
+      });
+    });
+
+    await logAudit({
+      req,
+      ...actorCtx(req),
+      schoolId,
+      action: "STUDENT_GUARDIAN_UPDATED",
+      targetType: "STUDENT",
+      targetId: before.studentId,
+      metadata: { guardianId: before.guardianId, from: before, to: updated },
+    });
+
+    return res.json(updated);
+  } catch (err) {
+    if (err?.code === "P2002") {
+      return res
+        .status(409)
+        .json({ message: "Another guardian already has this national ID" });
+    }
+    console.error("UPDATE GUARDIAN ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ADMIN: Unlink a guardian; the guardian record goes too once no student is left on it
+// (unless it carries a parent-portal login)
+router.delete("/:id/guardians/:guardianId", requireRole("ADMIN"), async (req, res) => {
+  try {
+    const schoolId = req.schoolId;
+
+    const link = await prisma.studentGuardian.findFirst({
+      where: { schoolId, studentId: String(req.params.id), guardianId: String(req.params.guardianId) },
+      include: { guardian: true },
+    });
+    if (!link)
+      return res.status(404).json({ message: "Guardian not linked to this student" });
+
+    const guardianDeleted = await prisma.$transaction(async (tx) => {
+      await tx.studentGuardian.delete({ where: { id: link.id } });
+      const remaining = await tx.studentGuardian.count({ where: { guardianId: link.guardianId } });
+      // a guardian with a portal login is kept so the account can be relinked
+      const drop = remaining === 0 && !link.guardian.userId;
+      if (drop) await tx.guardian.delete({ where: { id: link.guardianId } });
+      return drop;
+    });
+
+    await logAudit({
+      req,
+      ...actorCtx(req),
+      schoolId,
+      action: "STUDENT_GUARDIAN_UNLINKED",
+      targetType: "STUDENT",
+      targetId: link.studentId,
+      metadata: {
+        guardianId: link.guardianId,
+        name: `${link.guardian.firstName} ${link.guardian.lastName}`.trim(),
+        relationship: link.relationship,
+        guardianDeleted,
+      },
+    });
+
+    return res.json({ message: "Guardian removed", guardianDeleted });
+  } catch (err) {
+    console.error("REMOVE GUARDIAN ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// --------------------
+// ENROLLMENT HISTORY + EXITS
+// Base path: /api/students/:id/history, /clearance, /exit
+// --------------------
+const EXIT_TYPES = ["TRANSFERRED_OUT", "WITHDRAWN", "EXPELLED", "GRADUATED", "DECEASED"];
+
+const EXIT_LABELS = {
+  TRANSFERRED_OUT: "Transferred to another school",
+  WITHDRAWN: "Withdrawn",
+  EXPELLED: "Expelled",
+  GRADUATED: "Completed studies",
+  DECEASED: "Deceased",
+};
+
+// ADMIN + BURSAR + TEACHER (assigned class): Class placements (newest first), exit records
+// and discipline incidents (not for BURSAR)
+router.get("/:id/history", requireRole("ADMIN", "TEACHER", "BURSAR"), async (req, res) => {
+  try {
+    const schoolId = req.schoolId;
+
+    const student = await prisma.student.findFirst({
+      where: { id: String(req.params.id), schoolId },
+      select: { id: true, classId: true },
+    });
+    if (!student)
+      return res.status(404).json({ message: "Student not found" });
+
+    if (req.role === "TEACHER" && !(await teacherCanSeeStudent(req, student)))
+      return res.status(403).json({ message: "Forbidden" });
+
+    const [enrollments, exits, incidents] = await Promise.all([
+      prisma.studentEnrollment.findMany({
+        where: { schoolId, studentId: student.id },
+        orderBy: [{ startDate: "desc" }, { createdAt: "desc" }],
+      }),
+      prisma.studentExit.findMany({
+        where: { schoolId, studentId: student.id },
+        orderBy: { exitDate: "desc" },
+      }),
+      // bursars see placements and exits, not behaviour records
+      req.role === "BURSAR" ? [] : studentIncidents(schoolId, student.id),
+    ]);
+
+    return res.json({ enrollments, exits, incidents });
+  } catch (err) {
+    console.error("STUDENT HISTORY ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ADMIN + BURSAR: Fee clearance check before recording an exit
+router.get("/:id/clearance", requireRole("ADMIN", "BURSAR"), async (req, res) => {
+  try {
+    const schoolId = req.schoolId;
+
+    const student = await prisma.student.findFirst({
+      where: { id: String(req.params.id), schoolId },
+      select: { id: true },
+    });
+    if (!student)
+      return res.status(404).json({ message: "Student not found" });
+
+    const clearance = await feeClearanceByStudent(prisma, schoolId, [student.id]);
+    return res.json(clearance.get(student.id));
+  } catch (err) {
+    console.error("STUDENT CLEARANCE ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ADMIN: Record that a student left (transfer, withdrawal, expulsion, graduation, death).
+// Unpaid fees block the exit unless allowBalance is set; a leaving certificate number is issued.
+router.post("/:id/exit", requireRole("ADMIN"), async (req, res) => {
+  try {
+    const schoolId = req.schoolId;
+
+    const type = String(req.body?.type || "").trim().toUpperCase();
+    const exitDate = req.body?.exitDate
+      ? toDateOrNull(req.body.exitDate)
+      : new Date();
+    const reason = cleanStr(req.body?.reason) || null;
+    const destinationSchool = cleanStr(req.body?.destinationSchool) || null;
+    const allowBalance = req.body?.allowBalance === true;
+
+    if (!EXIT_TYPES.includes(type))
+      return res
+        .status(400)
+        .json({ message: `type must be one of ${EXIT_TYPES.join(", ")}` });
+    if (!exitDate)
+      return res.status(400).json({ message: "exitDate must be a date" });
+    if (exitDate.getTime() > Date.now())
+      return res.status(400).json({ message: "exitDate cannot be in the future" });
+    if (["WITHDRAWN", "EXPELLED"].includes(type) && !reason)
+      return res.status(400).json({ message: "A reason is required" });
+    if (type === "TRANSFERRED_OUT" && !destinationSchool)
+      return res
+        .status(400)
+        .json({ message: "destinationSchool is required for a transfer" });
+
+    const student = await prisma.student.findFirst({
+      where: { id: String(req.params.id), schoolId },
+      include: { class: true },
+    });
+    if (!student)
+      return res.status(404).json({ message: "Student not found" });
+    if (!student.isActive)
+      return res
+        .status(409)
+        .json({ message: "Student is already inactive" });
+
+    const open = await prisma.studentEnrollment.findFirst({
+      where: { schoolId, studentId: student.id, endDate: null },
+      select: { startDate: true, classLabel: true },
+    });
+    if (open && exitDate < open.startDate)
+      return res.status(400).json({
+        message: `exitDate is before the student joined ${open.classLabel} (${open.startDate
+          .toISOString()
+          .slice(0, 10)})`,
+      });
+
+    const clearance = (
+      await feeClearanceByStudent(prisma, schoolId, [student.id])
+    ).get(student.id);
+
+    if (!clearance.cleared && type !== "DECEASED" && !allowBalance)
+      return res.status(409).json({
+        message: `Fees not cleared: balance of ${clearance.balance} outstanding`,
+        code: "FEES_NOT_CLEARED",
+        clearance,
+      });
+
+    const exit = await prisma.$transaction(async (tx) => {
+      const certificateNo =
+        type === "DECEASED"
+          ? null
+          : await nextDocNo(tx, { schoolId, kind: "LEAVING_CERT", at: exitDate });
+
+      const created = await tx.studentExit.create({
+        data: {
+          schoolId,
+          studentId: student.id,
+          type,
+          exitDate,
+          reason,
+          destinationSchool,
+          classId: student.classId,
+          classLabel: student.class ? classLabel(student.class) : null,
+          feeBalance: clearance.balance,
+          creditBalance: clearance.creditBalance,
+          feeCleared: clearance.cleared,
+          certificateNo,
+          recordedBy: req.user?.id || null,
+          recordedByEmail: req.user?.email || null,
+        },
+      });
+
+      await tx.student.updateMany({
+        where: { id: student.id, schoolId },
+        data: {
+          isActive: false,
+          ...(type === "GRADUATED"
+            ? {
+                graduatedAt: exitDate,
+                graduationYear: student.class?.year ?? exitDate.getUTCFullYear(),
+              }
+            : {}),
+        },
+      });
+
+      await closePlacement(tx, { schoolId, studentId: student.id, at: exitDate });
+
+      return created;
+    });
+
+    await logAudit({
+      req,
+      ...actorCtx(req),
+      schoolId,
+      action: "STUDENT_EXITED",
+      targetType: "STUDENT",
+      targetId: student.id,
+      metadata: {
+        exitId: exit.id,
+        type,
+        exitDate,
+        certificateNo: exit.certificateNo,
+        feeBalance: clearance.balance,
+        feeCleared: clearance.cleared,
+        balanceOverridden: !clearance.cleared && allowBalance,
+      },
+    });
+
+    return res.status(201).json(exit);
+  } catch (err) {
+    console.error("STUDENT EXIT ERROR:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ADMIN + BURSAR: Leaving certificate for an exit record
+router.get(
+  "/:id/exits/:exitId/certificate.pdf",
+  requireRole("ADMIN", "BURSAR"),
+  async (req, res) => {
+    try {
+      const schoolId = req.schoolId;
+
+      let exit = await prisma.studentExit.findFirst({
+        where: {
+          id: String(req.params.exitId),
+          studentId: String(req.params.id),
+          schoolId,
+        },
+        include: { student: true },
+      });
+      if (!exit)
+        return res.status(404).json({ message: "Exit record not found" });
+      if (exit.type === "DECEASED")
+        return res
+          .status(409)
+          .json({ message: "No leaving certificate for this exit" });
+
+      // graduations from a promotion run get their number on first print
+      if (!exit.certificateNo) {
+        exit = await prisma.$transaction(async (tx) => {
+          const certificateNo = await nextDocNo(tx, {
+            schoolId,
+            kind: "LEAVING_CERT",
+            at: exit.exitDate,
+          });
+          const claimed = await tx.studentExit.updateMany({
+            where: { id: exit.id, certificateNo: null },
+            data: { certificateNo },
+          });
+          if (!claimed.count) throw new Error("CERTIFICATE_RACE");
+          return tx.studentExit.findUnique({
+            where: { id: exit.id },
+            include: { student: true },
+          });
+        });
+      }
+
+      const [school, admission] = await Promise.all([
+        prisma.school.findUnique({
+          where: { id: schoolId },
+          select: { name: true },
+        }),
+        prisma.studentEnrollment.findFirst({
+          where: { schoolId, studentId: exit.studentId },
+          orderBy: { startDate: "asc" },
+          select: { startDate: true, classLabel: true },
+        }),
+      ]);
+
+      await logAudit({
+        req,
+        ...actorCtx(req),
+        schoolId,
+        action: "STUDENT_LEAVING_CERT_VIEWED",
+        targetType: "STUDENT",
+        targetId: exit.studentId,
+        metadata: { exitId: exit.id, certificateNo: exit.certificateNo },
+      });
+
+      const { student } = exit;
+      const day = (d) => (d ? new Date(d).toDateString() : "—");
+
+      const doc = new PDFDocument({ margin: 50 });
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `inline; filename=leaving-certificate-${exit.certificateNo}.pdf`
+      );
+      doc.pipe(res);
+
+      doc.fontSize(18).text("SCHOOL LEAVING CERTIFICATE", { align: "center" });
+      if (school?.name) doc.fontSize(12).text(school.name, { align: "center" });
+      doc.moveDown();
+
+      doc.fontSize(11);
+      doc.text(`Certificate No: ${exit.certificateNo}`);
+      doc.text(`Date: ${day(new Date())}`);
+      doc.moveDown();
+
+      doc.text(`Student: ${student.firstName} ${student.lastName}`);
+      doc.text(`Admission No: ${student.admissionNo}`);
+      if (student.dob) doc.text(`Date of Birth: ${day(student.dob)}`);
+      if (student.gender) doc.text(`Gender: ${student.gender}`);
+      doc.moveDown();
+
+      doc.text(
+        `Date of Admission: ${day(admission?.startDate || student.createdAt)}${
+          admission?.classLabel ? ` (${admission.classLabel})` : ""
+        }`
+      );
+      doc.text(`Last Class: ${exit.classLabel || "—"}`);
+      doc.text(`Date of Leaving: ${day(exit.exitDate)}`);
+      doc.text(`Reason for Leaving: ${EXIT_LABELS[exit.type]}`);
+      if (exit.reason) doc.text(`Remarks: ${exit.reason}`);
+      if (exit.destinationSchool)
+        doc.text(`Transferring To: ${exit.destinationSchool}`);
+      doc.moveDown();
+
+      doc.text(
+        `Fee Clearance: ${
+          exit.feeCleared
+            ? "Cleared"
+            : `Balance of ${exit.feeBalance} outstanding at exit`
+        }`
+      );
+      doc.moveDown(2);
+
+      doc.text("Head Teacher: ____________________      Date: ______________");
+      doc.moveDown();
+      doc.text("Signature: ____________________      School Stamp:");
+      doc.end();
+    } catch (err) {
+      if (err?.message === "CERTIFICATE_RACE")
+        return res
+          .status(409)
+          .json({ message: "Certificate is being issued, try again" });
+      console.error("LEAVING CERTIFICATE PDF ERROR:", err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 // ADMIN: Deactivate student (frees slot)
 router.patch("/:id/deactivate", requireRole("ADMIN"), async (req, res) => {
   try {
@@ -372,9 +1162,12 @@ router.patch("/:id/deactivate", requireRole("ADMIN"), async (req, res) => {
     if (!before)
       return res.status(404).json({ message: "Student not found" });
 
-    await prisma.student.updateMany({
-      where: { id: String(req.params.id), schoolId },
-      data: { isActive: false },
+    await prisma.$transaction(async (tx) => {
+      await tx.student.updateMany({
+        where: { id: String(req.params.id), schoolId },
+        data: { isActive: false },
+      });
+      await closePlacement(tx, { schoolId, studentId: before.id });
     });
 
     const updated = await prisma.student.findFirst({
@@ -59,7 +59,7 @@ function isValidSchoolId(v) {
 }
 
 // Never allow SYSTEM_ADMIN creation/modification via this UI API
-const UI_ALLOWED_ROLES = ["ADMIN", "TEACHER", "BURSAR", "STUDENT"];
+const UI_ALLOWED_ROLES = ["ADMIN", "TEACHER", "BURSAR", "STUDENT", "GUARDIAN"];
 
 function assertUiRole(role) {
   const r = String(role || "").toUpperCase();
@@ -78,6 +78,7 @@ function safeUserSelect() {
     failedLoginAttempts: true,
     lockUntil: true,
     lastLoginAt: true,
+    medicalAccess: true,
   };
 }
 
@@ -197,8 +198,10 @@ router.post(
       if (actorRole === "ADMIN") {
         if (!req.schoolId) return res.status(403).json({ message: "Tenant context required" });
 
-        if (!["TEACHER", "STUDENT", "BURSAR"].includes(role)) {
-          return res.status(403).json({ message: "ADMIN can only create TEACHER, STUDENT, or BURSAR" });
+        if (!["TEACHER", "STUDENT", "BURSAR", "GUARDIAN"].includes(role)) {
+          return res
+            .status(403)
+            .json({ message: "ADMIN can only create TEACHER, STUDENT, BURSAR, or GUARDIAN" });
         }
 
         schoolId = req.schoolId;
@@ -218,23 +221,49 @@ router.post(
         schoolId = bodySchoolId;
       }
 
+      // Parent portal logins are bound to a guardian record (that is what scopes them to their children)
+      let guardian = null;
+      if (role === "GUARDIAN") {
+        const guardianId = req.body?.guardianId ? String(req.body.guardianId).trim() : "";
+        if (!guardianId) {
+          return res.status(400).json({ message: "guardianId is required for GUARDIAN accounts" });
+        }
+
+        guardian = await prisma.guardian.findFirst({
+          where: { id: guardianId, schoolId },
+          select: { id: true, userId: true },
+        });
+        if (!guardian) return res.status(404).json({ message: "Guardian not found" });
+        if (guardian.userId) {
+          return res.status(409).json({ message: "This guardian already has a portal login" });
+        }
+      }
+
       const existing = await prisma.user.findUnique({ where: { email } });
       if (existing) return res.status(409).json({ message: "Email already exists" });
 
       const hashed = await bcrypt.hash(password, 10);
 
-      const user = await prisma.user.create({
-        data: {
-          email,
-          password: hashed,
-          role,
-          isActive: true,
-          schoolId,
-          mustChangePassword: true,
-          failedLoginAttempts: 0,
-          lockUntil: null,
-        },
-        select: safeUserSelect(),
+      const user = await prisma.$transaction(async (tx) => {
+        const created = await tx.user.create({
+          data: {
+            email,
+            password: hashed,
+            role,
+            isActive: true,
+            schoolId,
+            mustChangePassword: true,
+            failedLoginAttempts: 0,
+            lockUntil: null,
+          },
+          select: safeUserSelect(),
+        });
+
+        if (guardian) {
+          await tx.guardian.update({ where: { id: guardian.id }, data: { userId: created.id } });
+        }
+
+        return created;
       });
 
    await logAudit(req, {
@@ -245,6 +274,7 @@ router.post(
     schoolId,
     role,
     generatedPassword,
+    guardianId: guardian?.id ?? null,
   },
 });
 
@@ -275,10 +305,12 @@ router.patch("/:id", async (req, res) => {
     const nextEmail = req.body?.email ? cleanEmail(req.body.email) : null;
     const nextRole = req.body?.role ? assertUiRole(req.body.role) : null;
     const nextSchoolId = req.body?.schoolId ? String(req.body.schoolId).trim() : null;
+    const nextMedicalAccess =
+      typeof req.body?.medicalAccess === "boolean" ? req.body.medicalAccess : null;
 
     const target = await prisma.user.findUnique({
       where: { id },
-      select: { id: true, role: true, schoolId: true, email: true },
+      select: { id: true, role: true, schoolId: true, email: true, medicalAccess: true },
     });
     if (!target) return res.status(404).json({ message: "User not found" });
 
@@ -299,6 +331,11 @@ router.patch("/:id", async (req, res) => {
       }
     }
 
+    // GUARDIAN needs a guardian record to scope it — only created via POST with guardianId
+    if (nextRole === "GUARDIAN" && target.role !== "GUARDIAN") {
+      return res.status(400).json({ message: "Create GUARDIAN accounts from the guardian's record" });
+    }
+
     if (actorRole === "SYSTEM_ADMIN") {
       if (nextSchoolId) {
         if (!isValidSchoolId(nextSchoolId)) {
@@ -309,6 +346,11 @@ router.patch("/:id", async (req, res) => {
       }
     }
 
+    // medical access is only meaningful for staff (ADMIN always has it)
+    if (nextMedicalAccess === true && !["TEACHER", "BURSAR"].includes(nextRole || target.role)) {
+      return res.status(400).json({ message: "Medical access can only be given to TEACHER or BURSAR users" });
+    }
+
     if (nextEmail && nextEmail !== target.email) {
       const exists = await prisma.user.findUnique({ where: { email: nextEmail } });
       if (exists) return res.status(409).json({ message: "Email already exists" });
@@ -318,6 +360,7 @@ router.patch("/:id", async (req, res) => {
       email: !!(nextEmail && nextEmail !== target.email),
       role: !!(nextRole && nextRole !== target.role),
       schoolId: !!(nextSchoolId && nextSchoolId !== target.schoolId),
+      medicalAccess: nextMedicalAccess !== null && nextMedicalAccess !== target.medicalAccess,
     };
 
     const updated = await prisma.user.update({
@@ -326,11 +369,18 @@ router.patch("/:id", async (req, res) => {
         ...(nextEmail ? { email: nextEmail } : {}),
         ...(nextRole ? { role: nextRole } : {}),
         ...(nextSchoolId ? { schoolId: nextSchoolId } : {}),
+        ...(nextMedicalAccess !== null ? { medicalAccess: nextMedicalAccess } : {}),
+        // a staff member moved to another role loses medical access
+        ...(nextRole && !["TEACHER", "BURSAR"].includes(nextRole) ? { medicalAccess: false } : {}),
       },
       select: safeUserSelect(),
     });
 
-    const action = changed.role ? "USER_ROLE_CHANGED" : "USER_UPDATED";
+    const action = changed.role
+      ? "USER_ROLE_CHANGED"
+      : changed.medicalAccess
+      ? "USER_MEDICAL_ACCESS_CHANGED"
+      : "USER_UPDATED";
 
 await logAudit(req, {
   action,
@@ -339,8 +389,8 @@ await logAudit(req, {
   metadata: {
     schoolId: updated.schoolId,
     changed,
-    from: { email: target.email, role: target.role, schoolId: target.schoolId },
-    to: { email: updated.email, role: updated.role, schoolId: updated.schoolId },
+    from: { email: target.email, role: target.role, schoolId: target.schoolId, medicalAccess: target.medicalAccess },
+    to: { email: updated.email, role: updated.role, schoolId: updated.schoolId, medicalAccess: updated.medicalAccess },
   },
 });
 
@@ -0,0 +1,32 @@
+// src/services/storage/index.js
+// File storage behind a small driver interface, picked by STORAGE_DRIVER (default "local").
+//
+// A driver is { name, put(key, buffer, { contentType }), get(key) -> Buffer, remove(key) }.
+// get() throws an error with statusCode 404 when the key is missing; remove() ignores missing keys.
+// An S3-compatible driver only has to implement the same three calls and be registered here.
+import { createLocalDriver } from "./local.driver.js";
+
+const DRIVERS = {
+  local: createLocalDriver,
+};
+
+let storage = null;
+
+export function getStorage() {
+  if (storage) return storage;
+
+  const name = String(process.env.STORAGE_DRIVER || "local").trim().toLowerCase();
+  const create = DRIVERS[name];
+  if (!create) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}" (available: ${Object.keys(DRIVERS).join(", ")})`);
+  }
+
+  storage = create();
+  return storage;
+}
+
+// Tenant-scoped key: every school's files sit under their own prefix.
+export function schoolKey(schoolId, ...parts) {
+  const safe = (v) => String(v).replace(/[^a-zA-Z0-9._-]/g, "_");
+  return ["schools", safe(schoolId), ...parts.map(safe)].join("/");
+}
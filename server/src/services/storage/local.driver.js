@@ -0,0 +1,50 @@
+// src/services/storage/local.driver.js
+// Local disk driver. Files live under STORAGE_LOCAL_DIR (default server/storage), outside the
+// public /uploads folder, so they can only be read through authenticated routes.
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// src/services/storage -> src/services -> src -> server
+const SERVER_ROOT = path.resolve(__dirname, "..", "..", "..");
+
+function notFound(key) {
+  const err = new Error(`Stored file not found: ${key}`);
+  err.statusCode = 404;
+  return err;
+}
+
+export function createLocalDriver({ root = process.env.STORAGE_LOCAL_DIR || path.join(SERVER_ROOT, "storage") } = {}) {
+  const base = path.resolve(root);
+
+  // keys are relative paths; anything resolving outside the root is refused
+  function diskPath(key) {
+    const p = path.resolve(base, String(key || ""));
+    if (!p.startsWith(base + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return p;
+  }
+
+  return {
+    name: "local",
+
+    async put(key, buffer) {
+      const p = diskPath(key);
+      await fs.mkdir(path.dirname(p), { recursive: true });
+      await fs.writeFile(p, buffer, { flag: "wx" }); // keys are unique; never overwrite
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(diskPath(key));
+      } catch (err) {
+        if (err?.code === "ENOENT") throw notFound(key);
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(diskPath(key), { force: true });
+    },
+  };
+}
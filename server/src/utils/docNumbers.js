@@ -0,0 +1,66 @@
+// src/utils/docNumbers.js
+// Sequential invoice/receipt/refund voucher/leaving certificate numbers per school (and per year when the year is in the format).
+// The counter row is bumped inside the caller's transaction: a rolled-back document gives its
+// number back, and concurrent issuers queue on the row lock, so numbers stay gap-free.
+
+export const DOC_NO_DEFAULTS = {
+  invoiceNoPrefix: "INV",
+  receiptNoPrefix: "RCPT",
+  refundNoPrefix: "RFND",
+  leavingCertPrefix: "LC",
+  docNoIncludeYear: true,
+  docNoPadding: 5,
+};
+
+export const DOC_NO_PADDING_MIN = 3;
+export const DOC_NO_PADDING_MAX = 10;
+
+export function formatDocNo({ prefix, year, seq, includeYear = true, padding = DOC_NO_DEFAULTS.docNoPadding }) {
+  const width = Math.min(Math.max(Number(padding) || 0, DOC_NO_PADDING_MIN), DOC_NO_PADDING_MAX);
+  const num = String(seq).padStart(width, "0");
+  return includeYear ? `${prefix}-${year}-${num}` : `${prefix}-${num}`;
+}
+
+// Format settings for one document kind. `db` may be prisma or a tx client.
+export async function getDocNoFormat(db, schoolId, kind) {
+  const s = await db.schoolSettings.findUnique({
+    where: { schoolId },
+    select: { invoiceNoPrefix: true, receiptNoPrefix: true, docNoIncludeYear: true, docNoPadding: true },
+  });
+  const cfg = { ...DOC_NO_DEFAULTS, ...(s || {}) };
+
+  return {
+    prefix:
+      kind === "RECEIPT"
+        ? cfg.receiptNoPrefix
+        : kind === "REFUND"
+        ? cfg.refundNoPrefix
+        : kind === "LEAVING_CERT"
+        ? cfg.leavingCertPrefix
+        : cfg.invoiceNoPrefix,
+    includeYear: cfg.docNoIncludeYear,
+    padding: cfg.docNoPadding,
+  };
+}
+
+// Counter bucket: the calendar year, or 0 when numbers run on without a year.
+export function counterYear(fmt, at = new Date()) {
+  return fmt.includeYear ? new Date(at).getUTCFullYear() : 0;
+}
+
+/**
+ * Allocates the next number. Must be called inside the transaction that creates the document.
+ * kind: "INVOICE" | "RECEIPT" | "REFUND" | "LEAVING_CERT"
+ */
+export async function nextDocNo(tx, { schoolId, kind, at = new Date() }) {
+  const fmt = await getDocNoFormat(tx, schoolId, kind);
+  const year = counterYear(fmt, at);
+
+  const counter = await tx.documentCounter.upsert({
+    where: { schoolId_kind_year: { schoolId, kind, year } },
+    create: { schoolId, kind, year, lastNumber: 1 },
+    update: { lastNumber: { increment: 1 } },
+  });
+
+  return formatDocNo({ ...fmt, year, seq: counter.lastNumber });
+}
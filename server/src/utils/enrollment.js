@@ -0,0 +1,85 @@
+// src/utils/enrollment.js
+// Dated class placements (StudentEnrollment). Student.classId is the current class;
+// these rows keep every earlier placement so class lists can be rebuilt for any date.
+
+// why a placement was opened
+export const PLACEMENT_REASONS = ["ADMISSION", "CLASS_CHANGE", "PROMOTION", "REPEAT", "IMPORT", "READMISSION"];
+
+export function classLabel(c) {
+  return c ? `${c.name}${c.stream ? ` ${c.stream}` : ""} (${c.year})` : "";
+}
+
+// Closes the open placement (if any) at `at`. `db` may be prisma or a tx client.
+export async function closePlacement(db, { schoolId, studentId, at = new Date() }) {
+  return db.studentEnrollment.updateMany({
+    where: { schoolId, studentId, endDate: null },
+    data: { endDate: at },
+  });
+}
+
+/**
+ * Places a student in `classId` from `at`: closes the open placement and opens a new one.
+ * Nothing changes when the open placement is already that class. classId null only closes.
+ */
+export async function placeStudent(
+  db,
+  { schoolId, studentId, classId, at = new Date(), reason, promotionRunId = null, createdBy = null }
+) {
+  const open = await db.studentEnrollment.findFirst({
+    where: { schoolId, studentId, endDate: null },
+    select: { id: true, classId: true },
+  });
+  if (open && classId && open.classId === classId) return open;
+
+  if (open) {
+    await db.studentEnrollment.update({ where: { id: open.id }, data: { endDate: at } });
+  }
+  if (!classId) return null;
+
+  const cls = await db.class.findFirst({
+    where: { id: classId, schoolId },
+    select: { name: true, stream: true, year: true },
+  });
+
+  return db.studentEnrollment.create({
+    data: {
+      schoolId,
+      studentId,
+      classId,
+      classLabel: classLabel(cls),
+      startDate: at,
+      reason,
+      promotionRunId,
+      createdBy,
+    },
+  });
+}
+
+// "YYYY-MM-DD" or Date -> last instant of that UTC day (placements opened that day count)
+export function endOfDay(v) {
+  const d = v instanceof Date ? new Date(v) : new Date(`${String(v).slice(0, 10)}T00:00:00.000Z`);
+  if (Number.isNaN(d.getTime())) return null;
+  d.setUTCHours(23, 59, 59, 999);
+  return d;
+}
+
+/**
+ * Prisma `where` for the students of a class.
+ * Without asOf: who is in the class now. With asOf: whose placement covered that day, active or not
+ * (students with no history at all, e.g. restored from an old backup, fall back to classId).
+ */
+export function classRosterWhere(classId, asOf) {
+  if (!asOf) return { classId, isActive: true };
+
+  const at = endOfDay(asOf);
+  return {
+    OR: [
+      {
+        enrollments: {
+          some: { classId, startDate: { lte: at }, OR: [{ endDate: null }, { endDate: { gt: at } }] },
+        },
+      },
+      { classId, isActive: true, enrollments: { none: {} } },
+    ],
+  };
+}